@@ -0,0 +1,247 @@
+// app.js - Express app factory (middleware + every HTTP route, no listen)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// server.js builds the production app with createApp(), then owns everything
+// with a lifecycle: Firebase init, MongoDB connection, Socket.IO (attached with
+// app.set('io', io)), cron jobs, the job worker and listen(). The test harness
+// (test/helpers/app.js) builds the same app against an in-memory MongoDB.
+//
+//   getActiveChats  () => number, reported by /api/health
+// ─────────────────────────────────────────────────────────────────────────────
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const helmet = require('helmet');
+const mongoSanitize = require('express-mongo-sanitize');
+const hpp = require('hpp');
+const { globalLimiter } = require('./middleware/rateLimitMiddleware');
+const { presenceManager } = require('./utils/presenceManager');
+
+const ALLOWED_ORIGINS = [
+  'https://humrah.in',
+  'https://www.humrah.in',
+];
+
+// Shared by Express CORS and the Socket.IO handshake
+const isAllowedOrigin = (origin) => {
+  if (!origin) return true;
+  if (ALLOWED_ORIGINS.includes(origin)) return true;
+  if (origin.endsWith('.vercel.app') || origin === 'https://admin.humrah.in') return true;
+  if (process.env.NODE_ENV !== 'production' && origin.startsWith('http://localhost')) return true;
+  return false;
+};
+
+const corsOptions = {
+  origin: (origin, callback) => {
+    if (isAllowedOrigin(origin)) return callback(null, true);
+    return callback(new Error(`CORS blocked: ${origin}`));
+  },
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  credentials: false,
+};
+
+function createApp({ getActiveChats = () => 0 } = {}) {
+  const app = express();
+
+  app.set('trust proxy', 1);
+
+  app.disable('x-powered-by');
+
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc:  ["'self'"],
+        scriptSrc:   ["'self'", "'unsafe-inline'", "https://unpkg.com", "https://cdnjs.cloudflare.com"],
+        styleSrc:    ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+        imgSrc:      ["'self'", "data:", "https://res.cloudinary.com", "https://*.tile.openstreetmap.org", "https://*.google.com"],
+        connectSrc:  ["'self'", "https://api.humrah.in"],
+        fontSrc:     ["'self'", "https://fonts.gstatic.com"],
+        objectSrc:   ["'none'"],
+        frameSrc:    ["'none'"],
+        upgradeInsecureRequests: [],
+      },
+    },
+    crossOriginEmbedderPolicy: false,
+    hsts: { maxAge: 31536000, includeSubDomains: true, preload: true },
+    referrerPolicy: { policy: 'strict-origin-when-cross-origin' },
+  }));
+
+  app.use(cors(corsOptions));
+  app.use(mongoSanitize());
+  app.use(hpp());
+  app.use(globalLimiter);
+
+  app.use('/api/users/upload-profile-photo-base64',      express.json({ limit: '5mb' }));
+  app.use('/api/users/submit-verification-photo-base64', express.json({ limit: '5mb' }));
+  app.use('/api/posts',                                  express.json({ limit: '5mb' }));
+  // Webhook signatures are computed over the raw body — keep it as a Buffer here.
+  app.use('/api/payment/webhooks',                       express.raw({ type: 'application/json', limit: '1mb' }));
+
+  app.use(express.json({ limit: '25mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '25mb' }));
+
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  app.get('/reset-password', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
+  });
+
+  app.get('/live/:sessionId', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'humrah-live-safety.html'));
+  });
+
+  app.get('/humrah-live-safety.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'humrah-live-safety.html'));
+  });
+
+  // =============================================
+  // ROUTES
+  // =============================================
+  const { authenticate, authenticateForAppeal, adminOnly } = require('./middleware/auth');
+  const { enforceLegalAcceptance }  = require('./middleware/enforceLegalAcceptance');
+  const moderationRoutes            = require('./routes/moderation');
+  const gamingRoutes                = require('./routes/gamingRoutes');
+
+  const authRoutes             = require('./routes/auth');
+  const userRoutes             = require('./routes/users');
+  const legalRoutes            = require('./routes/legal');
+  const eventRoutes            = require('./routes/events');
+  const companionRoutes        = require('./routes/companions');
+  const bookingRoutes          = require('./routes/bookings');
+  const messageRoutes          = require('./routes/messages');
+  const postRoutes             = require('./routes/posts');
+  const spotlightRoutes        = require('./routes/spotlight.route');
+  const safetyReportRoutes     = require('./routes/safetyReports');
+  const profileRoutes          = require('./routes/profile');
+  const activityRoutes         = require('./routes/activityRoutes');
+  const reviewRoutes           = require('./routes/reviews');
+  const paymentRoutes          = require('./routes/payment');
+  const foodRoutes             = require('./routes/foodRoutes');
+  const settingsRoutes         = require('./routes/settings');
+  const profileAssistantRoutes = require('./routes/profileAssistant');
+  const movieSessionRoutes     = require('./routes/movieSessionRoutes');
+  const passwordResetRoutes    = require('./routes/passwordReset');
+  const fcmTokenRoutes         = require('./routes/fcmToken');
+  const matchingMoodRoutes     = require('./routes/matchingMood');
+  const moodRequestRoutes      = require('./routes/moodRequest');
+  const safetyToolsRoutes      = require('./routes/safetyTools');
+  const safetyTicketRoutes     = require('./routes/safetyTickets'); // ✅ Phase 2 Safety Tickets
+  // ✅ NEW: Lightweight live location for matchmaking (separate from safety live-location)
+  const liveLocationMatchmakingRoutes = require('./routes/liveLocationMatchmaking');
+
+  // ✅ App Links routes (must be before /api)
+  const appLinksRoutes = require('./routes/appLinksRoutes');
+  app.use('/', appLinksRoutes);
+
+  // ✅ Public App Configuration (must be before authenticated routes)
+  app.use('/api/app-config', require('./routes/appConfig.route'));
+
+  // Health check must stay public and before broad authenticated /api routes.
+  // ── Public routes ──────────────────────────────────────────────────────────────
+  app.get('/api/health', async (req, res) => {
+    const io = req.app.get('io');
+    const onlineUsers = await presenceManager.getOnlineCount().catch(() => null);
+    res.json({
+      status:   'OK',
+      message:  'Humrah API is running',
+      socketConnections:      io ? io.engine.clientsCount : 0,
+      activeChats:            getActiveChats(),
+      onlineUsers,
+    });
+  });
+
+  app.use('/api/auth',  authRoutes);
+  app.use('/api/auth',  passwordResetRoutes);
+  app.use('/api/admin-dashboard-auth', require('./routes/adminDashboardAuth'));
+  app.use('/api/legal', legalRoutes);
+  app.use('/api/payment/webhooks', require('./routes/paymentWebhooks'));
+
+  const { liveLocationPollLimiter } = require('./routes/liveLocationRoutes');
+  app.get('/api/live-location/:sessionId', liveLocationPollLimiter, require('./controllers/liveLocationController').get);
+
+  // ── Protected routes ───────────────────────────────────────────────────────────
+  app.use('/api/launch-region',     require('./routes/launchRegionRoutes'));
+  app.use('/api/users',             authenticate, enforceLegalAcceptance, userRoutes);
+  app.use('/api/home-banners',      authenticate, require('./routes/homeBanners'));
+  app.use('/api/events',            authenticate, enforceLegalAcceptance, eventRoutes);
+  app.use('/api/companions',        authenticate, enforceLegalAcceptance, companionRoutes);
+  app.use('/api/bookings',          authenticate, enforceLegalAcceptance, bookingRoutes);
+  app.use('/api/messages',          authenticate, enforceLegalAcceptance, messageRoutes);
+  app.use('/api/posts',             authenticate, enforceLegalAcceptance, postRoutes);
+  app.use('/api/spotlight',         authenticate, enforceLegalAcceptance, spotlightRoutes);
+  app.use('/api/home',              authenticate, enforceLegalAcceptance, require('./routes/home.route'));
+  app.use('/api/safety',            authenticate, enforceLegalAcceptance, safetyReportRoutes);
+  app.use('/api/profile',           authenticate, enforceLegalAcceptance, profileRoutes);
+  app.use('/api/reviews',           authenticate, enforceLegalAcceptance, reviewRoutes);
+  app.use('/api/payment',           authenticate, enforceLegalAcceptance, paymentRoutes);
+  app.use('/api/random-booking',    authenticate, enforceLegalAcceptance, require('./routes/randomBooking'));
+  app.use('/api/verification',      authenticate, enforceLegalAcceptance, require('./routes/verification'));
+  app.use('/api/chats',             authenticate, enforceLegalAcceptance, require('./routes/chats')); // ✅ Unified Chat Inbox
+  app.use('/api/settings',          authenticate, enforceLegalAcceptance, settingsRoutes);
+  app.use('/api/notifications',     authenticate, enforceLegalAcceptance, require('./routes/notifications'));
+  app.use('/api/profile-assistant', authenticate, profileAssistantRoutes);
+  app.use('/api/admin/2fa',         authenticate, require('./routes/adminTwoFactor')); // ✅ Admin TOTP 2FA
+  app.use('/api/admin/jobs',        authenticate, require('./routes/adminJobs'));      // ✅ Persistent job queue
+  app.use('/api/admin/rate-limits', authenticate, require('./routes/adminRateLimits')); // ✅ Shared rate-limit counters
+  app.use('/api/admin/moderation-rules', authenticate, require('./routes/adminModerationRules')); // ✅ Unified moderation policy
+  app.use('/api/admin/appeals',     authenticate, require('./routes/adminAppeals'));   // ✅ Moderation appeal queue
+  app.use('/api/admin/moderation/tasks', authenticate, require('./routes/adminModerationTasks')); // ✅ AI moderation review console
+  app.use('/api/admin/image-blocklist', authenticate, require('./routes/adminImageBlocklist')); // ✅ Removed-image hash blocklist
+  app.use('/api/admin/crisis-cases', authenticate, require('./routes/adminCrisisCases')); // ✅ Letters self-harm escalations
+  app.use('/api/admin/notification-channels', authenticate, require('./routes/adminNotificationChannels')); // ✅ Push / in-app / email rules
+  app.use('/api/admin',             authenticate, require('./routes/admin'));
+  app.use('/api/admin/branding',    require('./routes/branding.route'));
+  app.use('/api/admin-dashboard',   authenticate, require('./routes/adminDashboard'));
+  app.use('/api/admin-analytics',   authenticate, require('./routes/adminAnalytics'));
+  app.use('/api/moderation',        authenticate, adminOnly, moderationRoutes);
+  const adminModerationRoutes = require('./routes/adminModeration');
+  app.use('/api/admin/moderation',  authenticate, adminOnly, adminModerationRoutes);
+  app.use('/api/admin/launch-regions', require('./routes/adminLaunchRegionRoutes'));
+  app.use('/api/admin/places',      authenticate, adminOnly, require('./routes/adminPlaces')); // ✅ Google Places API
+  app.use('/api/admin/broadcasts',  authenticate, adminOnly, require('./routes/broadcastRoutes')); // ✅ Phase 1: Broadcast Notification System
+  app.use('/api/agora',             authenticate, enforceLegalAcceptance, require('./routes/agora'));
+  app.use('/api/voice-call',        authenticate, enforceLegalAcceptance, require('./routes/voice-call'));
+  app.use('/api/letters',           authenticate, require('./routes/letters.route'));
+  app.use('/api/appeals',           authenticateForAppeal, require('./routes/appeals')); // suspended/banned users too
+  app.use('/api/activity',          authenticate, enforceLegalAcceptance, activityRoutes);
+  app.use('/api/session',           authenticate, enforceLegalAcceptance, gamingRoutes);
+  app.use('/api/food',              authenticate, enforceLegalAcceptance, foodRoutes);
+  app.use('/api',                   authenticate, enforceLegalAcceptance, movieSessionRoutes);
+  app.use('/api/auth',              authenticate, fcmTokenRoutes);
+  app.use('/api/events',            authenticate, require('./routes/featureClicks'));
+  app.use('/api/features',          authenticate, require('./routes/features'));
+  app.use('/api/matching-mood',     authenticate, enforceLegalAcceptance, matchingMoodRoutes);
+  app.use('/api/mood-request',      authenticate, enforceLegalAcceptance, moodRequestRoutes);
+  app.use('/api/safety-tools',      authenticate, enforceLegalAcceptance, safetyToolsRoutes);
+  app.use('/api/safety-tickets',    authenticate, enforceLegalAcceptance, safetyTicketRoutes); // ✅ Phase 2
+  app.use('/api/founder',           authenticate, enforceLegalAcceptance, require('./routes/founder')); // ✅ Founder Inbox
+  app.use('/api/live-location',     authenticate, enforceLegalAcceptance, require('./routes/liveLocationRoutes'));
+  app.use('/api',                   authenticate, enforceLegalAcceptance, require('./routes/moderation_route'));
+  app.use('/api/official-events',   authenticate, enforceLegalAcceptance, require('./routes/officialEvents')); // ✅ Official Events Management System
+  app.use('/api/event-requests',    authenticate, enforceLegalAcceptance, require('./routes/eventRequests')); // ✅ Event Requests System
+
+  // ✅ NEW: Live location for matchmaking — POST /api/users/matchmaking-location
+  //         Separate from safety live-location. Updates liveLocation on User doc.
+  app.use('/api/users/matchmaking-location', authenticate, enforceLegalAcceptance, liveLocationMatchmakingRoutes);
+
+  // ✅ NEW: App Links / Open Graph Share Routes (accessible without auth)
+  app.use('/', require('./routes/shareRoutes'));
+
+  // ── Global error handler ───────────────────────────────────────────────────────
+  app.use((err, req, res, next) => {
+    if (err.message && err.message.startsWith('CORS blocked')) {
+      return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
+    console.error(err.stack);
+    res.status(500).json({
+      success: false,
+      message: 'Something went wrong!',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createApp, isAllowedOrigin, corsOptions, ALLOWED_ORIGINS };
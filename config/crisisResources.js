@@ -0,0 +1,59 @@
+// config/crisisResources.js — Helplines shown when a letter mentions self-harm
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Read by services/crisisEscalationService.js. Keyed by ISO country code; the
+// author's country comes from liveLocation.country and falls back to
+// DEFAULT_COUNTRY (every launch region is in India).
+//
+// LINE
+//   name     helpline name as the service publishes it
+//   phone    number to dial (display form)
+//   hours    when it is staffed
+//   url      optional website
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const DEFAULT_COUNTRY = 'IN';
+
+// Shown when no country-specific entry exists
+const INTERNATIONAL_DIRECTORY = 'https://findahelpline.com';
+
+const RESOURCES = Object.freeze({
+  IN: {
+    emergency: '112',
+    lines: [
+      { name: 'Tele-MANAS (Govt. of India)', phone: '14416', hours: '24x7', url: 'https://telemanas.mohfw.gov.in' },
+      { name: 'Vandrevala Foundation',       phone: '+91 9999 666 555', hours: '24x7', url: 'https://www.vandrevalafoundation.com' },
+      { name: 'AASRA',                       phone: '+91 98204 66726',  hours: '24x7', url: 'http://www.aasra.info' },
+      { name: 'iCall (TISS)',                phone: '+91 91529 87821',  hours: 'Mon–Sat, 10am–8pm', url: 'https://icallhelpline.org' },
+    ],
+  },
+  US: {
+    emergency: '911',
+    lines: [{ name: '988 Suicide & Crisis Lifeline', phone: '988', hours: '24x7', url: 'https://988lifeline.org' }],
+  },
+  CA: {
+    emergency: '911',
+    lines: [{ name: '9-8-8 Suicide Crisis Helpline', phone: '988', hours: '24x7', url: 'https://988.ca' }],
+  },
+  GB: {
+    emergency: '999',
+    lines: [{ name: 'Samaritans', phone: '116 123', hours: '24x7', url: 'https://www.samaritans.org' }],
+  },
+  AU: {
+    emergency: '000',
+    lines: [{ name: 'Lifeline', phone: '13 11 14', hours: '24x7', url: 'https://www.lifeline.org.au' }],
+  },
+});
+
+// Reverse-geocoders return country names, not codes
+const COUNTRY_ALIASES = Object.freeze({
+  'india': 'IN', 'bharat': 'IN',
+  'united states': 'US', 'united states of america': 'US', 'usa': 'US',
+  'canada': 'CA',
+  'united kingdom': 'GB', 'uk': 'GB', 'england': 'GB', 'scotland': 'GB', 'wales': 'GB',
+  'australia': 'AU',
+});
+
+module.exports = { DEFAULT_COUNTRY, INTERNATIONAL_DIRECTORY, RESOURCES, COUNTRY_ALIASES };
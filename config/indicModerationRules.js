@@ -0,0 +1,101 @@
+// config/indicModerationRules.js — Built-in rules for Hindi, Hinglish and other Indian languages
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Appended to BUILTIN_RULES (config/moderationRules.js); same rule shape,
+// same admin overrides by key. Every rule here uses target 'transliterated':
+// patterns are keywords written once in plain Hinglish and matched against
+// Devanagari, Latin and mixed spellings alike (utils/indicText.js). Words in
+// other scripts (Tamil, Telugu, Bengali, …) match as written.
+//
+// Only unambiguous terms belong here. Words that are insults in one sentence
+// and ordinary in the next (saala, kutta, gadha, pagal, ullu) are weak
+// features in the offline classifier instead (config/localToxicityModel.json).
+// Names and places are out too (Kamini, Katwa). Avoid bare 'chod': the
+// skeleton keeps 'chhod' (leave) apart only when the writer spells the aspirate.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const INDIC_RULES = [
+  // ── LEVEL 4 — Zero tolerance ───────────────────────────────────────────────
+  {
+    key: 'indic_hate_caste', category: 'hate', level: 4, reason: 'zero_tolerance', target: 'transliterated',
+    patterns: [
+      'neech jaat', 'neechi jaat', 'neech jati', 'chhoti jaat ke',
+      'chamar saala', 'chamar kahin ka', 'chamar ki aulad', 'bhangi kahin ka', 'bhangi ki aulad',
+      'chuhra', 'chuhre',
+    ],
+  },
+  {
+    key: 'indic_hate_religious', category: 'hate', level: 4, reason: 'zero_tolerance', target: 'transliterated',
+    patterns: [
+      'katua', 'katue', 'mulle', 'mullo', 'landya', 'landye',
+      'gaumutri', 'gomutri', 'gaumutra peene wale',
+    ],
+  },
+  {
+    key: 'indic_sexual_exploitation', category: 'sexual', level: 4, reason: 'zero_tolerance', target: 'transliterated',
+    patterns: [
+      'sex karna hai', 'sex karoge', 'sex karogi', 'sex chat karo', 'chudai', 'chudogi', 'chudega',
+      'nangi photo', 'nangi pic*', 'nude bhej*', 'nudes bhej*', 'ek raat ke liye', 'raat bitani hai',
+    ],
+  },
+  {
+    key: 'indic_self_harm', category: 'self_harm', level: 4, reason: 'zero_tolerance', target: 'transliterated',
+    patterns: [
+      'khudkushi kar*', 'aatmahatya kar*', 'suicide kar lu*', 'apni jaan le lu*',
+      'khud ko maar du*', 'khud ko khatam kar*', 'phansi laga lu*', 'fanda laga lu*',
+    ],
+  },
+  {
+    // Letters — the softer phrasings, as for English self_harm_ideation
+    key: 'indic_self_harm_ideation', category: 'self_harm', level: 4, reason: 'self_harm', target: 'transliterated',
+    surfaces: ['letter'],
+    patterns: [
+      'khudkushi', 'aatmahatya', 'jeene ka mann nahi', 'jeene ki ichha nahi', 'jeena nahi chahta', 'jeena nahi chahti',
+      'marna chahta', 'marna chahti', 'mar jana chahta', 'mar jana chahti', 'zindagi khatam kar*', 'sab khatam kar du*',
+      'tharkolai', 'attohotta', 'atmahatya',
+      'தற்கொலை', 'আত্মহত্যা', 'ఆత్మహత్య', 'ಆತ್ಮಹತ್ಯೆ', 'ആത്മഹത്യ', 'ਖੁਦਕੁਸ਼ੀ',
+    ],
+  },
+
+  // ── LEVEL 3 — Harassment: abuse aimed at someone, threats ──────────────────
+  {
+    key: 'indic_harassment', category: 'harassment', level: 3, reason: 'targeted_harassment', target: 'transliterated',
+    patterns: [
+      'teri maa ki chut', 'teri maa ka bhosda', 'teri maa ko chod*', 'teri behen ko chod*', 'teri maa randi',
+      'maa ki chut', 'behen ki chut', 'maa chuda', 'randi ki aulad', 'kutte ki aulad', 'kutiya ki aulad', 'suar ki aulad', 'haramkhor',
+      'jaan se maar*', 'maar dalunga', 'maar dunga', 'jaan le lunga', 'dekh lunga tujhe', 'tujhe dekh lunga',
+      'tezaab dal*', 'tezaab phek*', 'acid phek*', 'uthwa lunga', 'utha lunga', 'kaat dunga', 'kaat ke rakh dunga',
+      'goli maar du*', 'tera rape',
+    ],
+  },
+
+  // ── LEVEL 1 — Soft: gaali (as English 'profanity') ─────────────────────────
+  {
+    key: 'indic_profanity', category: 'profanity', level: 1, reason: 'minor_violation', target: 'transliterated',
+    actions: { letter: 'review' },
+    patterns: [
+      'madarchod', 'maderchod', 'madarchot', 'mkc', 'behenchod', 'bahenchod', 'bahanchod', 'behnchod', 'bhenchod', 'bhencho',
+      'chutiya', 'chutiye', 'chutiyapa', 'chodu', 'bhosdike', 'bhosdi', 'bhosda', 'bhosadi*', 'bsdk', 'bkl',
+      'gaandu', 'gaand mara', 'lauda', 'lavda', 'lode', 'lodu', 'lund', 'jhaant', 'jhaatu',
+      'haramzada', 'haramzadi', 'harami', 'kamina', 'kamine', 'randi', 'randwa', 'chinaal',
+    ],
+  },
+  {
+    // Marathi, Punjabi, Bengali, Tamil, Telugu, Kannada, Malayalam — romanized and native script
+    key: 'indic_profanity_regional', category: 'profanity', level: 1, reason: 'minor_violation', target: 'transliterated',
+    actions: { letter: 'review' },
+    patterns: [
+      'zavadya', 'zhavadya', 'bhadwa', 'bhadve', 'aighalya', 'lavdya',
+      'pencho', 'penchod',
+      'bokachoda', 'khanki', 'banchod', 'chudir bhai', 'খানকি', 'বোকাচোদা',
+      'thevidiya', 'thevdiya', 'punda', 'pundai', 'oombu', 'தேவடியா', 'புண்டை',
+      'dengu', 'dengey', 'lanja', 'lanjakoduku', 'లంజ', 'దెంగు',
+      'soolemagane', 'sulemagane', 'bolimaga', 'boli magane', 'ಸೂಳೆಮಗ', 'ಬೋಳಿಮಗ',
+      'thayoli', 'myre', 'myru', 'poorimone', 'തായോളി', 'മൈര്',
+    ],
+  },
+];
+
+module.exports = { INDIC_RULES };
@@ -0,0 +1,259 @@
+// config/moderationRules.js — Built-in content-moderation policy
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Declarative rule set read by services/moderationPolicy.js. Every surface
+// that accepts user text (profile fields, chat, letters, the async profile
+// review worker, food captions) is checked against these rules plus any rules
+// admins add in MongoDB (models/ModerationRule.js).
+//
+// RULE
+//   key        unique id; a DB rule with the same key replaces the built-in
+//   category   what the rule catches — contact, scam, self_harm, hate, …
+//   level      0 auto-clean · 1 soft · 2 policy · 3 harassment · 4 zero tolerance
+//   reason     reason string recorded on the violation
+//   target     'original' (trimmed text), 'normalized' (leet/spacing folded) or
+//              'transliterated' (normalized, Devanagari romanized and Hinglish
+//              spellings folded — see utils/indicText.js)
+//   patterns   RegExps (built-ins) or strings (DB rules)
+//   surfaces   only apply on these surfaces (omitted = all)
+//   actions    per-surface action overriding the surface default for `level`
+//
+// SURFACES — default action by level, and which actions the caller handles
+//   allow   pass through untouched
+//   clean   strip the matched text, keep the rest
+//   review  accept but hold for the Safety Team
+//   block   reject (profile/chat also apply strikes)
+//
+// Order matters: on a level tie the earlier rule supplies the reason.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const { INDIC_RULES } = require('./indicModerationRules');
+
+const SURFACES = Object.freeze({
+  //                 L0        L1        L2        L3        L4
+  profile:        { defaults: ['clean',  'block',  'block',  'block',  'block' ], actions: ['allow', 'clean', 'block'] },
+  chat:           { defaults: ['clean',  'block',  'block',  'block',  'block' ], actions: ['allow', 'clean', 'block'] },
+  letter:         { defaults: ['review', 'allow',  'review', 'review', 'review'], actions: ['allow', 'review'] },
+  profile_review: { defaults: ['allow',  'review', 'review', 'review', 'review'], actions: ['allow', 'review', 'block'] },
+  food_caption:   { defaults: ['clean',  'allow',  'block',  'block',  'block' ], actions: ['allow', 'clean', 'block'] },
+});
+
+// Review/block matches in these categories jump the Safety Team queue
+const HIGH_PRIORITY_CATEGORIES = ['self_harm', 'csa'];
+
+const BUILTIN_RULES = [
+  // ── LEVEL 4 — Zero tolerance ───────────────────────────────────────────────
+  {
+    key: 'hate_racial', category: 'hate', level: 4, reason: 'zero_tolerance', target: 'original',
+    patterns: [
+      /\bhate\s+(black|white|brown|asian|african|arab|jewish|muslim|hindu|sikh|christian)\s+(people|person|men|women|girls|guys|community)\b/i,
+      /\b(black|white|brown|asian|african|arab|jewish|muslim|hindu|sikh)\s+people\s+(are|r)\s+(not\s+welcome|not\s+allowed|disgusting|dirty|inferior|ugly|stupid|criminals?|terrorists?|filthy)\b/i,
+      /\bno\s+(black|white|brown|asian|african|arab|jewish|muslim|hindu|sikh|dalit|lower\s*caste)\s+(people|person|allowed|welcome|here|pls|please)\b/i,
+      /\bonly\s+(fair|light\s*skin|white|upper\s*caste|hindu|muslim)\s+(people|person|allowed|welcome|connect)\b/i,
+      /\b(blacks?|whiteys?|brownies?)\s+(not\s+welcome|stay\s+away|don'?t\s+connect|please\s+don'?t)\b/i,
+      /\balways\s+(be\s+)?happy\s+with\s+(white|fair|light)\b/i,
+      /\bno\s+(minorities|untouchables?|refugees?|foreigners?|outsiders?)\b/i,
+    ],
+  },
+  {
+    key: 'hate_caste', category: 'hate', level: 4, reason: 'zero_tolerance', target: 'original',
+    patterns: [
+      /\b(upper|lower)\s+caste\s+(only|not\s+welcome|stay\s+away|preferred|not\s+allowed)\b/i,
+      /\b(brahmin|kshatriya|vaishya|shudra|dalit|obc|sc|st)\s+(only|not\s+welcome|not\s+allowed|stay\s+away)\b/i,
+      /\bno\s+(dalit|sc|st|obc|lower\s*caste)\b/i,
+      /\bcasteist\b/i,
+    ],
+  },
+  {
+    key: 'hate_religious', category: 'hate', level: 4, reason: 'zero_tolerance', target: 'original',
+    patterns: [
+      /\bhate\s+(muslim|hindu|christian|sikh|jewish|buddhist|jain|parsi)s?\b/i,
+      /\b(muslims?|hindus?|christians?|sikhs?|jews?)\s+(not\s+welcome|not\s+allowed|stay\s+away|are\s+(?:terrorists?|criminals?|evil|bad\s+people))\b/i,
+    ],
+  },
+  {
+    key: 'hate_skin_tone', category: 'hate', level: 4, reason: 'zero_tolerance', target: 'original',
+    patterns: [
+      /\b(only|prefer|no)\s+(fair|dark|dusky|wheatish)\s+(skin|people|girls|guys|person)\b/i,
+      /\b(dark\s*skin|black\s*skin)\s+(not\s+welcome|stay\s+away|not\s+my\s+type|disgusting)\b/i,
+    ],
+  },
+  {
+    key: 'sexual_exploitation', category: 'sexual', level: 4, reason: 'zero_tolerance', target: 'original',
+    patterns: [
+      /\bfor\s*sex\b/i,
+      /\bsex\s*(available|meet|chat|friend|partner|service|work)\b/i,
+      /\bavailable\s*for\s*sex\b/i,
+      /\b(playboy|play\s*boy|gigolo|call\s*girl|escort)\b/i,
+      /\bone\s*night\s*stand\b/i,
+    ],
+  },
+  {
+    key: 'csa', category: 'csa', level: 4, reason: 'zero_tolerance', target: 'original',
+    patterns: [
+      /\b(child\s*(?:sex|abuse|porn)|minor\s*(?:sex|exploit)|csa)\b/i,
+      /\b(rape|molestation)\b/i,
+    ],
+  },
+  {
+    key: 'extremism', category: 'extremism', level: 4, reason: 'zero_tolerance', target: 'original',
+    patterns: [
+      /\b(join\s*(?:this|our|the)\s*(?:jihad|extremist|terrorist|isis|al.?qaeda))\b/i,
+      /\b(let'?s\s*(?:hurt|attack|bomb|kill)\s*(?:them|those|the))\b/i,
+      /\b(kill\s*all\s*(?:muslims?|hindus?|christians?|jews?|blacks?|whites?))\b/i,
+      /\b(suicide\s*bomb|blow\s*up|mass\s*shooting)\b/i,
+    ],
+  },
+  {
+    key: 'self_harm', category: 'self_harm', level: 4, reason: 'zero_tolerance', target: 'original',
+    patterns: [
+      /\b(kill\s*(?:my)?self|want\s*to\s*die|end\s*(?:my\s*)?life|commit\s*suicide)\b/i,
+    ],
+  },
+  {
+    // Letters are where people write about how they feel — catch the softer phrasings there
+    key: 'self_harm_ideation', category: 'self_harm', level: 4, reason: 'self_harm', target: 'original',
+    surfaces: ['letter'],
+    patterns: [
+      /\b(suicide|don'?t\s*want\s*to\s*live|i\s*want\s*to\s*die|no\s*reason\s*to\s*live)\b/i,
+    ],
+  },
+  {
+    key: 'sexual_exploitation_bypass', category: 'sexual', level: 4, reason: 'zero_tolerance_bypass', target: 'normalized',
+    patterns: [
+      /playboy/, /gigolo/, /callgirl/, /escort/,
+      /forsex/, /sexavailable/, /availableforsex/,
+    ],
+  },
+
+  // ── LEVEL 3 — Harassment ───────────────────────────────────────────────────
+  {
+    key: 'harassment', category: 'harassment', level: 3, reason: 'targeted_harassment', target: 'original',
+    patterns: [
+      /\b(i\s*will\s*(?:find|hurt|kill|destroy|ruin)\s*you)\b/i,
+      /\b(you'?re?\s*(?:worthless|pathetic|disgusting|a\s*loser|garbage|trash|scum))\b/i,
+      /\b(go\s*(?:kill\s*yourself|die|hang\s*yourself))\b/i,
+      /\b(i\s*know\s*where\s*you\s*(?:live|are|work))\b/i,
+      /\b(watch\s*your\s*back|you\s*(?:will|won'?t)\s*get\s*away)\b/i,
+      /\b(you\s*are\s*(?:a\s*)?(?:bitch|whore|slut|bastard|asshole|idiot|moron))\b/i,
+      /\b(nobody\s*(?:likes|loves|cares\s*about)\s*you)\b/i,
+    ],
+  },
+  {
+    key: 'violent_language', category: 'violence', level: 3, reason: 'hate_threat', target: 'original',
+    surfaces: ['letter'],
+    patterns: [/\b(kill|murder|terror)\b/i],
+  },
+
+  // ── LEVEL 2 — Policy: solicitation, contact-sharing, scams ─────────────────
+  {
+    key: 'contact_solicitation', category: 'contact', level: 2, reason: 'policy_solicitation', target: 'original',
+    patterns: [
+      /\b(call\s*me|text\s*me|dm\s*me|message\s*me|contact\s*me)\b/i,
+      /\b(reach\s*(?:me|out)|hit\s*me\s*up|ping\s*me|slide\s*in(?:to)?\s*(?:my|the))\b/i,
+      /\b(my\s*(?:number|no\.?|num|contact|handle|id)\s*(?:is|:))/i,
+      /\b(find\s*me\s*on|add\s*me\s*on|follow\s*me\s*on)\b/i,
+    ],
+  },
+  {
+    key: 'paid_solicitation', category: 'solicitation', level: 2, reason: 'policy_solicitation', target: 'original',
+    patterns: [
+      /\b(hookup|hook\s*up|nsa|fwb|friends?\s*with\s*benefits)\b/i,
+      /\b(paid\s*(?:service|meet|session|companion|friend)|rate\s*card)\b/i,
+      /\b(sugar\s*(?:daddy|mama|baby)|adult\s*(?:service|fun|meet))\b/i,
+      /\b(available\s*for\s*(?:hire|booking)|book\s*me|hire\s*me|dm\s*me\s*for\s*rates?)\b/i,
+    ],
+  },
+  {
+    key: 'contact_apps_bypass', category: 'contact', level: 2, reason: 'policy_bypass', target: 'normalized',
+    patterns: [
+      /whatsapp/, /telegram/, /instagram/, /snapchat/, /discord/, /onlyfans/,
+      /[6-9]\d{9}/, /\b\d{10,}\b/,
+    ],
+  },
+  {
+    key: 'social_profile_links', category: 'contact', level: 2, reason: 'policy_bypass', target: 'normalized',
+    surfaces: ['profile_review', 'letter'],
+    patterns: [/facebook/],
+  },
+  {
+    key: 'scam', category: 'scam', level: 2, reason: 'policy_bypass', target: 'normalized',
+    patterns: [/investment/, /crypto/, /scam/, /guaranteed\s*returns/, /send\s*money/],
+  },
+
+  // ── LEVEL 1 — Soft: mild tone, light non-targeted profanity ────────────────
+  {
+    key: 'soft_tone', category: 'tone', level: 1, reason: 'minor_violation', target: 'original',
+    patterns: [
+      /\b(no\s+idiots?|don'?t\s+be\s+boring|boring\s+people\s+stay\s+away)\b/i,
+      /\b(losers?\s+(not\s+welcome|stay\s+away)|only\s+serious\s+people)\b/i,
+      /\b(hot\s*guy|hot\s*girl|sexy\s*(?:time|fun|vibes?)|flirt(?:y|ing)?)\b/i,
+      /\b(looking\s*for\s*(?:fun|timepass|tp|good\s*time))\b/i,
+      /\b(no\s*strings|casual\s*(?:meet|fun|hangout|relation))\b/i,
+      /\b(open\s*minded\s*(?:guy|girl|person|meet))\b/i,
+    ],
+  },
+  {
+    key: 'mild_profanity', category: 'profanity', level: 1, reason: 'minor_violation', target: 'original',
+    patterns: [/\b(wtf|damn|crap|bloody\s+hell|shut\s+up)\b/i],
+  },
+  {
+    key: 'profanity', category: 'profanity', level: 1, reason: 'minor_violation', target: 'original',
+    actions: { letter: 'review' },
+    patterns: [/\b(fuck|shit|bitch|asshole|cunt)\b/i],
+  },
+  {
+    key: 'mild_insult', category: 'tone', level: 1, reason: 'minor_violation', target: 'original',
+    surfaces: ['profile_review'],
+    patterns: [/\bstupid\b/i],
+  },
+
+  // ── LEVEL 0 — Auto-clean: contact details, payment handles, pricing, links ──
+  {
+    key: 'phone_number', category: 'contact', level: 0, reason: 'auto_cleaned', target: 'original',
+    patterns: [
+      /(?:(?:\+|00)?91[\s\-.]?)?[6-9]\d{9}/,
+      /\b[6-9]([\s.\-]{1,3}\d){9}\b/,
+    ],
+  },
+  {
+    key: 'messaging_apps', category: 'contact', level: 0, reason: 'auto_cleaned', target: 'original',
+    patterns: [/\b(whatsapp|whats\s*app|watsapp|wa\.me|telegram|t\.me|instagram|insta|snapchat|snap)\b/i],
+  },
+  {
+    key: 'payment_handles', category: 'payment', level: 0, reason: 'auto_cleaned', target: 'original',
+    patterns: [/\b(upi|paytm|gpay|google\s*pay|phonepe|bhim|@okaxis|@oksbi|@ybl|@paytm)\b/i],
+  },
+  {
+    // Prices are the point of a food caption and harmless in a letter
+    key: 'pricing', category: 'pricing', level: 0, reason: 'auto_cleaned', target: 'original',
+    actions: { food_caption: 'allow', letter: 'allow' },
+    patterns: [
+      /[₹$€£]\s*\d+/,
+      /\b\d+\s*(?:rs|inr|rupees?)\b/i,
+      /\bper\s*(?:hour|hr|day|session|meet|visit|call)\b/i,
+      /\b(?:rate|charge|fee|cost)s?\s*[:=]?\s*\d+/i,
+    ],
+  },
+  {
+    key: 'links', category: 'link', level: 0, reason: 'auto_cleaned', target: 'original',
+    patterns: [/https?:\/\/[^\s]*/i, /www\.[^\s]*/i],
+  },
+  {
+    key: 'email_address', category: 'contact', level: 0, reason: 'auto_cleaned', target: 'original',
+    patterns: [/[\w.+-]+@[\w-]+\.[a-z]{2,}/i],
+  },
+  {
+    // Landlines and non-Indian numbers — too broad for profiles/chat, where dates and prices appear
+    key: 'long_digit_run', category: 'contact', level: 0, reason: 'auto_cleaned', target: 'original',
+    surfaces: ['food_caption', 'letter'],
+    patterns: [/(\+?\d[\s\-.]?){7,}/],
+  },
+
+  // ── Hindi, Hinglish and other Indian languages (all levels) ────────────────
+  ...INDIC_RULES,
+];
+
+module.exports = { SURFACES, HIGH_PRIORITY_CATEGORIES, BUILTIN_RULES };
@@ -0,0 +1,169 @@
+// config/notificationEvents.js — Every push the backend can send, by event type
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Read by services/notificationDispatcher.js. Features call
+// dispatch(event, {...}) with one of these keys instead of talking to FCM.
+//
+// EVENT
+//   preference     User.notifications toggle that must be on (pushNotifications
+//                  is the master switch on top of it)
+//   critical       safety/account events — ignore the toggles and quiet hours
+//                  (settingsController already refuses to turn those off)
+//   collapseMs     a second dispatch with the same collapse key inside this
+//                  window is dropped instead of pushed again
+//   defaultQuietHours  ['HH:MM', 'HH:MM'] in the user's timezone — held back
+//                  in that window even when the user hasn't turned on quiet
+//                  hours of their own (their window replaces it when they do)
+//   timely         only useful right now (calls, time-boxed offers) — quiet
+//                  hours drop the push instead of deferring it to the morning
+//   inbox          'notification' → Notification row (type = notificationType)
+//                  'activity'     → Activity feed entry (type = activityType)
+//                  omitted        → the feature keeps its own record
+//   previewFields  data keys that carry user content; blanked, and the body
+//                  replaced with hiddenPreview, when previewContent is off
+//   digest         low-priority — with digestEnabled, held for the user's next
+//                  morning/evening digest push; digestLabel [one, many] is how
+//                  the digest counts it. Safety and live-meetup events never set it.
+//   email          'fallback' → also emailed when the push can't be delivered or
+//                  isn't acknowledged within ackWindowMs; 'always' → emailed as
+//                  well as pushed; omitted → push only. Admins can override
+//                  this per event (services/notificationChannels.js)
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const MINUTE = 60 * 1000;
+
+const NOTIFICATION_EVENTS = Object.freeze({
+  // ── General ──
+  'notifications.digest': {},   // the batched push itself
+
+  // ── Companion & Social ──
+  'companion.request':  { preference: 'companionRequests' },
+  'companion.accepted': { preference: 'companionAccepted' },
+  'companion.declined': { preference: 'companionRejected' },
+
+  // ── Messages ──
+  'chat.message': {
+    preference: 'chatMessages',
+    previewFields: ['messageText', 'lastMessage'],
+    hiddenPreview: 'You have a new message',
+  },
+  'founder.message': { preference: 'chatMessages' },
+  'founder.update':  { preference: 'chatMessages', inbox: 'notification', notificationType: 'SYSTEM' },
+
+  // ── Activities ──
+  'movie_hangout.message': {
+    preference: 'movieHangout',
+    previewFields: ['body'],
+    hiddenPreview: 'New message in your movie hangout',
+  },
+  'movie_hangout.plan':    { preference: 'movieHangout', collapseMs: 1 * MINUTE },
+  'movie_hangout.payment_reminder': { preference: 'movieHangout', collapseMs: 10 * MINUTE },
+  'movie_hangout.ended': {
+    preference: 'movieHangout',
+    digest: true,
+    digestLabel: ['movie hangout update', 'movie hangout updates'],
+  },
+  'random_booking.nearby': { preference: 'randomBooking', collapseMs: 60 * MINUTE, inbox: 'notification', notificationType: 'MATCH' },
+  'random_booking.matched': { preference: 'randomBooking' },
+  'random_booking.expired': { preference: 'randomBooking' },
+  'surprise_meetup.offer':   { preference: 'surpriseActivity', timely: true },
+  'surprise_meetup.matched': { preference: 'surpriseActivity' },
+  'surprise_meetup.expired': { preference: 'surpriseActivity' },
+  'gaming.player_joined':  { preference: 'gamingAlerts', collapseMs: 1 * MINUTE },
+  'gaming.new_session': {
+    preference: 'gamingAlerts',
+    collapseMs: 60 * MINUTE,
+    digest: true,
+    digestLabel: ['gaming session looking for players', 'gaming sessions looking for players'],
+  },
+
+  // ── Calls ── (data-only signals the app turns into call UI)
+  'voice_call.incoming': { timely: true },
+  'voice_call.status':   { timely: true },   // accepted / rejected / ended
+
+  // ── Bookings & Payments ──
+  'booking.confirmed': {
+    preference: 'companionAccepted',
+    inbox: 'notification',
+    notificationType: 'ACTIVITY',
+    email: 'fallback',
+    ackWindowMs: 30 * MINUTE,
+  },
+  // Payout.process() already emails the receipt — push and inbox only
+  'payout.completed': { inbox: 'notification', notificationType: 'SYSTEM' },
+
+  // ── Events ──
+  'event_ticket.issued': {
+    preference: 'officialEvents',
+    inbox: 'notification',
+    notificationType: 'ACTIVITY',
+    email: 'fallback',
+    ackWindowMs: 60 * MINUTE,
+  },
+  'official_event.announced': {
+    preference: 'officialEvents',
+    collapseMs: 60 * MINUTE,   // re-saving an event doesn't announce it again
+    digest: true,
+    digestLabel: ['new event near you', 'new events near you'],
+  },
+
+  // ── Community ──
+  'food.comment': {
+    preference: 'communityActivity',
+    previewFields: ['body'],
+    hiddenPreview: 'Someone commented on your food post',
+    digest: true,
+    digestLabel: ['new comment on your food posts', 'new comments on your food posts'],
+  },
+
+  // ── Letters ──
+  'letter.note':         { preference: 'replies', previewFields: ['body'], hiddenPreview: 'Someone left a note on your letter.' },
+  'letter.conversation': { preference: 'replies', previewFields: ['body'], hiddenPreview: 'There is something new on a letter you touched.' },
+  'letter.summary': {
+    preference: 'letters',
+    defaultQuietHours: ['23:00', '08:00'],
+    collapseMs: 10 * MINUTE,
+    digest: true,
+    digestLabel: ['reaction update on your letters', 'reaction updates on your letters'],
+  },
+
+  // ── Safety (cannot be fully disabled) ──
+  'moderation.warning':  { preference: 'safetyAlerts', critical: true, collapseMs: 1 * MINUTE, inbox: 'activity', activityType: 'WARNING' },
+  'verification.result': { preference: 'verification', critical: true, inbox: 'notification', notificationType: 'SYSTEM' },
+  // The routes keep their own Activity entry (type varies by outcome)
+  'moderation.post':        { preference: 'safetyAlerts', critical: true },
+  'safety_report.resolved': { preference: 'safetyAlerts' },
+  'safety_ticket.reply': {
+    preference: 'safetyAlerts',
+    critical: true,
+    inbox: 'notification',
+    notificationType: 'SYSTEM',
+    previewFields: ['body'],
+    hiddenPreview: 'The Humrah Safety Team replied to your ticket',
+    email: 'fallback',
+    ackWindowMs: 15 * MINUTE,
+  },
+
+  // ── Admin ──
+  'admin.manual_review': {},
+
+  // ── Broadcasts ── (batched by services/broadcastFcmService.js)
+  'broadcast.announcement': { preference: 'announcements' },
+  'broadcast.update':       { preference: 'updates' },
+  'broadcast.promotion':    { preference: 'promotions' },
+  'broadcast.alert':        { preference: 'maintenance' },
+  'broadcast.reminder':     { preference: 'announcements' },
+});
+
+// Broadcast.type → event
+const BROADCAST_EVENTS = Object.freeze({
+  ANNOUNCEMENT: 'broadcast.announcement',
+  UPDATE:       'broadcast.update',
+  PROMOTION:    'broadcast.promotion',
+  ALERT:        'broadcast.alert',
+  REMINDER:     'broadcast.reminder',
+});
+
+module.exports = { NOTIFICATION_EVENTS, BROADCAST_EVENTS };
@@ -0,0 +1,81 @@
+// config/socketAdapter.js — Socket.IO adapter selection (single node vs cluster)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// SOCKET_ADAPTER=memory (default)
+//   Socket.IO's built-in adapter. Rooms and emits only reach sockets connected
+//   to this process — fine for local dev and a single instance.
+//
+// SOCKET_ADAPTER=mongo
+//   @socket.io/mongo-adapter over a MongoDB change stream, so io.to(room).emit,
+//   io.emit and fetchSockets() reach every instance behind the load balancer.
+//   Requires a replica set or sharded cluster (Atlas is one). Packets are kept
+//   in SOCKET_ADAPTER_COLLECTION and removed by a TTL index after an hour.
+//
+// The same setting selects the presence store (utils/presenceManager.js), so
+// presence is shared exactly when emits are.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const ADAPTERS = ['memory', 'mongo'];
+
+const ADAPTER_COLLECTION   = process.env.SOCKET_ADAPTER_COLLECTION || 'socket.io-adapter-events';
+const ADAPTER_EVENT_TTL_SEC = 60 * 60;
+
+function getAdapterName() {
+  const name = (process.env.SOCKET_ADAPTER || 'memory').toLowerCase();
+  if (!ADAPTERS.includes(name)) {
+    throw new Error(`SOCKET_ADAPTER must be one of ${ADAPTERS.join(', ')} (got "${name}")`);
+  }
+  return name;
+}
+
+// Connections are held back until the adapter is attached — a socket that
+// joined rooms on the default adapter would lose them when it is swapped.
+let markReady;
+const ready = new Promise(resolve => { markReady = resolve; });
+
+/** First io.use() middleware: waits for attachSocketAdapter(). */
+function waitForSocketAdapter(socket, next) {
+  ready.then(() => next(), next);
+}
+
+/**
+ * Attach the configured adapter. Call once MongoDB is connected (server.js).
+ * Throws when the cluster adapter is requested but MongoDB cannot serve
+ * change streams — running "clustered" with per-process rooms is worse than
+ * not starting.
+ */
+async function attachSocketAdapter(io) {
+  const name = getAdapterName();
+
+  if (name === 'memory') {
+    markReady();
+    console.log('✅ Socket.IO adapter: in-memory (single instance)');
+    return name;
+  }
+
+  const db    = mongoose.connection.db;
+  const hello = await db.admin().command({ hello: 1 });
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error('SOCKET_ADAPTER=mongo needs a MongoDB replica set or sharded cluster (change streams)');
+  }
+
+  const { createAdapter } = require('@socket.io/mongo-adapter');
+  const collection = db.collection(ADAPTER_COLLECTION);
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: ADAPTER_EVENT_TTL_SEC });
+
+  io.adapter(createAdapter(collection, { addCreatedAtField: true }));
+  markReady();
+
+  console.log(`✅ Socket.IO adapter: MongoDB change stream (${ADAPTER_COLLECTION})`);
+  return name;
+}
+
+module.exports = {
+  getAdapterName,
+  waitForSocketAdapter,
+  attachSocketAdapter,
+};
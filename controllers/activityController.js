@@ -3,10 +3,11 @@
 //
 // Spec rules:
 //   LIKE_*    → aggregated within 30-min window — NO push
-//   COMMENT_* → single entry — COMMENT_FOOD pushes via gamingPush.js
-//   JOIN_GAMING → single entry — pushes via gamingPush.js
-//   WARNING   → always single entry — always pushes
-//   SYSTEM    → optional push
+//   COMMENT_* → single entry — COMMENT_FOOD caller dispatches 'food.comment'
+//   JOIN_GAMING → single entry — caller dispatches 'gaming.player_joined'
+//   WARNING   → always single entry — created by the 'moderation.warning'
+//               dispatch (utils/sendWarningActivity.js), which also pushes
+//   SYSTEM    → no push from here
 //
 // Public API:
 //   createOrAggregateActivity(params)  — called by food/post/gaming controllers
@@ -17,9 +18,6 @@
 const Activity = require('../models/Activity');
 const User     = require('../models/User');
 
-// Lazy require — avoids circular deps at module load time
-const getPush = () => require('../utils/gamingPush').sendGamingPush;
-
 // ─────────────────────────────────────────────────────────────
 //  CONSTANTS
 // ─────────────────────────────────────────────────────────────
@@ -144,21 +142,7 @@ async function createOrAggregateActivity({
     isRead: false,
   });
 
-  // 6. Push notifications — WARNING always pushes (spec §5)
-  //    COMMENT_FOOD and JOIN_GAMING are handled at the caller level
-  if (type === 'WARNING') {
-    getPush()({
-      recipientId: userId,
-      title:       '⚠ Community Guidelines',
-      body:        created.message,
-      data: {
-        type:       'WARNING',
-        entityType: entityType || '',
-        entityId:   entityId ? entityId.toString() : '',
-      },
-    }).catch(e => console.error('[ActivityPush] WARNING:', e.message));
-  }
-
+  // Pushes go through services/notificationDispatcher.js at the caller level
   return created;
 }
 
@@ -6,10 +6,11 @@ const FoodPost  = require('../models/FoodPost');
 const FoodComment = require('../models/FoodCommentModel');
 const { getPlaceDetails } = require('../services/googlePlaceService');
 const { uploadBuffer }    = require('../config/cloudinary');
+const { sanitizeCaption } = require('../services/foodService');
 
 // ── Activity + Push helpers (lazy require — avoids circular deps) ──
 const getActivity = () => require('./activityController').createOrAggregateActivity;
-const getPush     = () => require('../utils/gamingPush').sendGamingPush;
+const getPush     = () => require('../services/notificationDispatcher').dispatch;
 
 // ── Daily post limit ──────────────────────────────────────────
 async function dailyPostCount(userId) {
@@ -62,6 +63,13 @@ exports.createPost = async (req, res) => {
       return res.status(400).json({ success: false, message: 'city is required' });
     }
 
+    let cleanCaption;
+    try {
+      cleanCaption = sanitizeCaption(caption);
+    } catch (err) {
+      return res.status(err.statusCode || 422).json({ success: false, code: 'CAPTION_MODERATED', message: err.message });
+    }
+
     // Upload image to Cloudinary
     const { url: imageUrl, publicId: imagePublicId } = await uploadBuffer(
       req.file.buffer,
@@ -88,7 +96,8 @@ exports.createPost = async (req, res) => {
       userId,
       imageUrl,
       imagePublicId,
-      caption:         caption.trim().slice(0, 120),
+      imageHash:       req.imageHash || null,
+      caption:         cleanCaption,
       placeId:         placeId || null,
       placeName:       finalPlaceName,
       latitude:        finalLat,
@@ -362,8 +371,8 @@ exports.addComment = async (req, res) => {
       }).catch(e => console.error('[Activity] COMMENT_FOOD:', e.message));
 
       // Push notification
-      getPush()({
-        recipientId: post.userId,
+      getPush()('food.comment', {
+        userId:      post.userId,
         title:       '💬 New comment on your food post',
         body:        `${actorName}: "${text.trim().slice(0, 60)}"`,
         data: {
@@ -6,7 +6,7 @@ const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const FounderMessage = require('../models/FounderMessage');
 const User = require('../models/User');
-const { sendDataFcm } = require('../utils/fcmHelper');
+const { dispatch } = require('../services/notificationDispatcher');
 const { validateWorkflowAction } = require('../utils/workflowValidator');
 const { emitFounderEvent } = require('../services/founderNotificationService');
 
@@ -401,17 +401,17 @@ exports.sendMessage = async (req, res) => {
       });
     }
 
-    uniqueNotifyIds.forEach(async pId => {
-      const recipient = await User.findById(pId).select('fcmTokens');
-      if (recipient && recipient.fcmTokens && recipient.fcmTokens.length > 0) {
-        sendDataFcm(pId, recipient.fcmTokens, {
+    uniqueNotifyIds.forEach(pId => {
+      dispatch('founder.message', {
+        userId: pId,
+        data: {
           type: 'NEW_CHAT_MESSAGE',
           chatId: chatId,
           chatType: 'FOUNDER',
           senderName: senderRole === 'ADMIN' ? 'Humrah Founder' : (senderData ? senderData.firstName : 'User'),
           senderPhotoUrl: senderRole === 'ADMIN' ? 'founder.png' : (senderData ? senderData.profilePhoto : '')
-        }).catch(err => console.error('[FCM] Founder chat push error:', err.message));
-      }
+        }
+      }).catch(err => console.error('[FCM] Founder chat push error:', err.message));
     });
 
     res.status(201).json({ success: true, message: payload });
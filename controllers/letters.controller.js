@@ -27,18 +27,19 @@ class LettersController {
         return res.status(429).json({ success: false, message: 'Please wait a few seconds before writing another letter.' });
       }
 
-      const letter = await lettersService.createLetter(userId, { body, category, feeling });
+      const { letter, crisisSupport } = await lettersService.createLetter(userId, { body, category, feeling });
 
       // Trigger socket event
       const io = req.app.get('io');
-      if (io) {
+      if (io && letter.status === 'active') {
         io.emit('letter_created', { letterId: letter._id });
       }
 
       return res.status(201).json({
         success: true,
-        message: 'Letter delivered.',
-        letterId: letter._id
+        message: crisisSupport ? crisisSupport.message : 'Letter delivered.',
+        letterId: letter._id,
+        ...(crisisSupport && { crisisSupport })
       });
     } catch (error) {
       console.error('Error in createLetter:', error);
@@ -107,18 +108,9 @@ class LettersController {
       const { body } = req.body;
       const userId = req.userId;
 
-      // Check daily limit (20 per day)
-      const startOfDay = new Date();
-      startOfDay.setUTCHours(0, 0, 0, 0);
-      const count = await repliesRepo.countUserRepliesToday(userId, startOfDay);
-      if (count >= 20) {
-        return res.status(429).json({ success: false, message: 'You have reached the limit of 20 replies per day.' });
-      }
-
-      // Check reply cooldown (3 seconds)
-      const latestReply = await repliesRepo.getLatestUserReply(userId);
-      if (latestReply && (Date.now() - new Date(latestReply.createdAt).getTime() < 3000)) {
-        return res.status(429).json({ success: false, message: 'Please wait a few seconds before sending another note.' });
+      const limitMessage = await this._replyLimitMessage(userId);
+      if (limitMessage) {
+        return res.status(429).json({ success: false, message: limitMessage });
       }
 
       const letter = await lettersRepo.findById(id);
@@ -151,6 +143,78 @@ class LettersController {
     }
   }
 
+  async createThreadReply(req, res) {
+    try {
+      const { id, replyId } = req.params;
+      const { body } = req.body;
+      const userId = req.userId;
+
+      const limitMessage = await this._replyLimitMessage(userId);
+      if (limitMessage) {
+        return res.status(429).json({ success: false, message: limitMessage });
+      }
+
+      const reply = await lettersService.createThreadReply(userId, id, replyId, body);
+
+      // Trigger socket event
+      const io = req.app.get('io');
+      if (io) {
+        io.emit('letter_thread_replied', { letterId: id, parentReplyId: replyId, replyId: reply.id });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: 'Reply added to the conversation.',
+        reply
+      });
+    } catch (error) {
+      const mapped = this._letterError(error);
+      if (mapped) return res.status(mapped.status).json({ success: false, message: mapped.message });
+      console.error('Error in createThreadReply:', error);
+      return res.status(500).json({ success: false, message: 'Failed to reply to note' });
+    }
+  }
+
+  async postUpdate(req, res) {
+    try {
+      const { letter, crisisSupport } = await lettersService.postUpdate(req.userId, req.params.id, req.body.body);
+
+      const io = req.app.get('io');
+      if (io && letter.update) {
+        io.emit('letter_updated', { letterId: req.params.id });
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: crisisSupport ? crisisSupport.message
+          : letter.update ? 'Update shared.' : 'Update received and is being reviewed.',
+        letter,
+        ...(crisisSupport && { crisisSupport })
+      });
+    } catch (error) {
+      const mapped = this._letterError(error);
+      if (mapped) return res.status(mapped.status).json({ success: false, message: mapped.message });
+      console.error('Error in postUpdate:', error);
+      return res.status(500).json({ success: false, message: 'Failed to post update' });
+    }
+  }
+
+  async extendLetter(req, res) {
+    try {
+      const letter = await lettersService.extendLetter(req.userId, req.params.id);
+      return res.status(200).json({
+        success: true,
+        message: 'Your letter will stay open for another day.',
+        letter
+      });
+    } catch (error) {
+      const mapped = this._letterError(error);
+      if (mapped) return res.status(mapped.status).json({ success: false, message: mapped.message });
+      console.error('Error in extendLetter:', error);
+      return res.status(500).json({ success: false, message: 'Failed to extend letter' });
+    }
+  }
+
   async reactToLetter(req, res) {
     try {
       const { id } = req.params;
@@ -243,6 +307,35 @@ class LettersController {
     }
   }
 
+  // Daily limit (20 per day) and cooldown (3 seconds) shared by notes and thread replies
+  async _replyLimitMessage(userId) {
+    const startOfDay = new Date();
+    startOfDay.setUTCHours(0, 0, 0, 0);
+    const count = await repliesRepo.countUserRepliesToday(userId, startOfDay);
+    if (count >= 20) {
+      return 'You have reached the limit of 20 replies per day.';
+    }
+
+    const latestReply = await repliesRepo.getLatestUserReply(userId);
+    if (latestReply && (Date.now() - new Date(latestReply.createdAt).getTime() < 3000)) {
+      return 'Please wait a few seconds before sending another note.';
+    }
+    return null;
+  }
+
+  _letterError(error) {
+    switch (error.message) {
+      case 'LetterNotFound':       return { status: 404, message: 'Letter not found or no longer active' };
+      case 'ReplyNotFound':        return { status: 404, message: 'Note not found' };
+      case 'LetterExpired':        return { status: 410, message: 'This letter has expired.' };
+      case 'NotLetterAuthor':      return { status: 403, message: 'Only the writer of this letter can do that.' };
+      case 'NotThreadParticipant': return { status: 403, message: 'Only the letter writer and this note\'s writer can reply here.' };
+      case 'UpdateAlreadyPosted':  return { status: 409, message: 'You have already shared an update on this letter.' };
+      case 'AlreadyExtended':      return { status: 409, message: 'This letter has already been extended once.' };
+      default:                     return null;
+    }
+  }
+
   // Admin routes
   async getStats(req, res) {
     try {
@@ -254,6 +347,44 @@ class LettersController {
       return res.status(500).json({ success: false, message: 'Failed to fetch stats' });
     }
   }
+
+  // GET /api/letters/admin/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv
+  async getAnalyticsRange(req, res) {
+    try {
+      const DAY = /^\d{4}-\d{2}-\d{2}$/;
+      const today = new Date().toISOString().split('T')[0];
+      const to = req.query.to || today;
+      const from = req.query.from || new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+      if (!DAY.test(from) || !DAY.test(to) || isNaN(Date.parse(from)) || isNaN(Date.parse(to))) {
+        return res.status(400).json({ success: false, message: 'from and to must be dates in YYYY-MM-DD format' });
+      }
+      if (from > to || to > today) {
+        return res.status(400).json({ success: false, message: 'Invalid date range' });
+      }
+      if ((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) >= 92) {
+        return res.status(400).json({ success: false, message: 'Date range cannot exceed 92 days' });
+      }
+
+      const format = (req.query.format || 'json').toLowerCase();
+      if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ success: false, message: 'format must be json or csv' });
+      }
+
+      const report = await analyticsService.getRangeAnalytics(from, to);
+
+      if (format === 'csv') {
+        res.set('Content-Disposition', `attachment; filename="letters-analytics-${from}_${to}.csv"`);
+        res.set('Cache-Control', 'private, no-store');
+        return res.type('text/csv; charset=utf-8').send(analyticsService.rangeToCsv(report));
+      }
+
+      return res.status(200).json({ success: true, ...report });
+    } catch (error) {
+      console.error('Error in getAnalyticsRange:', error);
+      return res.status(500).json({ success: false, message: 'Failed to fetch analytics' });
+    }
+  }
 }
 
 module.exports = new LettersController();
@@ -10,11 +10,11 @@ const FCM_AVAILABLE = (() => {
   try { require('../config/firebase'); return true; } catch { return false; }
 })();
 
-async function safePush(userId, title, body, data = {}) {
+async function safePush(event, userId, title, body, data = {}) {
   if (!FCM_AVAILABLE) return;
   try {
-    const { sendPushToUser } = require('../services/notificationService');
-    await sendPushToUser(userId.toString(), title, body, data);
+    const { dispatch } = require('../services/notificationDispatcher');
+    await dispatch(event, { userId, title, body, data });
   } catch (e) {
     console.error('❌ [MoodReq] push error:', e.message);
   }
@@ -59,6 +59,7 @@ exports.sendRequest = async (req, res) => {
     console.log(`[MoodReq] Request created: ${req_._id} by User ${senderId} for User ${receiverId}`);
     
     await safePush(
+      'companion.request',
       receiverId,
       'New Companion Request 🤝',
       `${sender?.firstName ?? 'Someone'} wants to connect with you.`,
@@ -212,6 +213,7 @@ exports.acceptRequest = async (req, res) => {
 
     // Notify sender
     await safePush(
+      'companion.accepted',
       moodReq.senderId,
       'Your vibe request was accepted! ✨',
       'Start chatting safely.',
@@ -256,6 +258,7 @@ exports.declineRequest = async (req, res) => {
 
     // Soft decline notification to sender
     await safePush(
+      'companion.declined',
       moodReq.senderId,
       'Update on your request',
       'The user is currently unavailable. Explore other vibes nearby!',
@@ -346,14 +349,12 @@ exports.sendMessage = async (req, res) => {
     // 90 s after app kill. Android side suppresses if the chat screen is open.
     if (otherId) {
       try {
-        const { sendDataFcm } = require('../utils/fcmHelper');
-        const [recipient, sender] = await Promise.all([
-          User.findById(otherId).select('fcmTokens'),
-          User.findById(req.userId).select('firstName profilePhoto'),
-        ]);
-        if (recipient?.fcmTokens?.length > 0) {
-          const msgId = chat.messages[chat.messages.length - 1]?._id?.toString() ?? chatRoomId;
-          await sendDataFcm(otherId.toString(), recipient.fcmTokens, {
+        const { dispatch } = require('../services/notificationDispatcher');
+        const sender = await User.findById(req.userId).select('firstName profilePhoto');
+        const msgId = chat.messages[chat.messages.length - 1]?._id?.toString() ?? chatRoomId;
+        await dispatch('chat.message', {
+          userId: otherId,
+          data: {
             type:            'NEW_CHAT_MESSAGE',
             chatId:          chatRoomId,
             chatType:        'MOOD',
@@ -362,9 +363,8 @@ exports.sendMessage = async (req, res) => {
             senderId:        req.userId.toString(),
             messageText:     msg.text.substring(0, 100),
             messageId:       msgId,
-            recipientUserId: otherId.toString(),
-          });
-        }
+          },
+        });
       } catch (pushErr) {
         console.error('[FCM] mood chat push error:', pushErr.message);
       }
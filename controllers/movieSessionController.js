@@ -6,6 +6,7 @@
 'use strict';
 
 const svc = require('../services/movieSessionService');
+const planSvc = require('../services/moviePlanService');
 
 // ─── Helper: get userId from req ─────────────────────────────────────────────
 const uid = req => (req.user?.id || req.user?._id || req.userId)?.toString();
@@ -180,6 +181,77 @@ exports.getMySessions = async (req, res) => {
   }
 };
 
+// =============================================================================
+// Ticket-split plan — /api/movie-session/:id/plan
+// All logic in services/moviePlanService.js; changes are emitted to the chat
+// room as 'moviePlanUpdated'.
+// =============================================================================
+
+// GET /api/movie-session/:id/plan
+exports.getPlan = async (req, res) => {
+  try {
+    return send(res, await planSvc.getPlan(uid(req), req.params.id));
+  } catch (err) {
+    console.error('[ctrl] getPlan:', err.message);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// POST /api/movie-session/:id/plan — admin: { showTime?, seats?, pricePerSeat, note? }
+exports.proposePlan = async (req, res) => {
+  try {
+    const io = req.app.get('io');
+    return send(res, await planSvc.proposePlan(uid(req), req.params.id, req.body, io));
+  } catch (err) {
+    console.error('[ctrl] proposePlan:', err.message);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// POST /api/movie-session/:id/plan/respond — { response: 'confirmed' | 'declined' }
+exports.respondToPlan = async (req, res) => {
+  try {
+    const io = req.app.get('io');
+    return send(res, await planSvc.respondToPlan(uid(req), req.params.id, req.body.response, io));
+  } catch (err) {
+    console.error('[ctrl] respondToPlan:', err.message);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// PATCH /api/movie-session/:id/plan/members/:userId/payment — { payment: 'paid' | 'unpaid' }
+exports.setPlanPayment = async (req, res) => {
+  try {
+    const io = req.app.get('io');
+    return send(res, await planSvc.setPayment(uid(req), req.params.id, req.params.userId, req.body.payment, io));
+  } catch (err) {
+    console.error('[ctrl] setPlanPayment:', err.message);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// POST /api/movie-session/:id/plan/booked — admin: { bookingReference? }
+exports.markPlanBooked = async (req, res) => {
+  try {
+    const io = req.app.get('io');
+    return send(res, await planSvc.markBooked(uid(req), req.params.id, req.body.bookingReference, io));
+  } catch (err) {
+    console.error('[ctrl] markPlanBooked:', err.message);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
+// DELETE /api/movie-session/:id/plan — admin
+exports.cancelPlan = async (req, res) => {
+  try {
+    const io = req.app.get('io');
+    return send(res, await planSvc.cancelPlan(uid(req), req.params.id, io));
+  } catch (err) {
+    console.error('[ctrl] cancelPlan:', err.message);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
 // =============================================================================
 // GET /api/movie-session/debug  ← TEMPORARY — remove after confirming data flow
 // =============================================================================
@@ -1,6 +1,8 @@
 'use strict';
 
+const mongoose = require('mongoose');
 const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
 const Broadcast = require('../models/Broadcast');
 
 /**
@@ -227,6 +229,36 @@ exports.getUnreadCount = async (req, res) => {
   }
 };
 
+/**
+ * POST /api/notifications/deliveries/:deliveryId/ack
+ * The app displayed a push (deliveryId from its data payload). Acknowledged
+ * pushes are not followed up by a fallback email.
+ */
+exports.acknowledgeDelivery = async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    if (!mongoose.isValidObjectId(deliveryId)) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+
+    const delivery = await NotificationDelivery.findOne({ _id: deliveryId, userId: req.user._id });
+
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+
+    if (!delivery.acknowledgedAt) {
+      delivery.acknowledgedAt = new Date();
+      await delivery.save();
+    }
+
+    res.json({ success: true, acknowledgedAt: delivery.acknowledgedAt });
+  } catch (err) {
+    console.error('[NotificationController] acknowledgeDelivery error:', err);
+    res.status(500).json({ success: false, message: 'Failed to acknowledge delivery.' });
+  }
+};
+
 /**
  * DELETE /api/notifications/:id
  * Delete a specific notification belonging to the authenticated user.
@@ -17,6 +17,44 @@ const generateOTP = () =>
 const isValidEmail = (email) =>
   /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 
+/** HH:MM, 00:00–23:59 */
+const isValidClock = (value) =>
+  /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+/** IANA zone the runtime can format in, e.g. 'Asia/Kolkata' */
+const isValidTimezone = (zone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/** What GET/PUT /notifications report for keys the user never stored */
+const NOTIFICATION_DEFAULTS = Object.freeze({
+  // Legacy
+  activityRequests: true, gamingAlerts: true, communityActivity: true, appUpdates: true,
+  // General
+  pushNotifications: true, sound: true, vibration: true, badge: true, previewContent: true,
+  // Companion & Social
+  companionRequests: true, companionAccepted: true, companionRejected: true, friendRequests: true,
+  // Activities
+  movieHangout: true, surpriseActivity: true, randomBooking: true, officialEvents: true, nearbyActivities: true,
+  // Messages
+  chatMessages: true, letters: true, replies: true,
+  // Safety
+  safetyAlerts: true, emergencyAlerts: true, accountSecurity: true, verification: true,
+  // Broadcasts
+  announcements: true, updates: true, promotions: true, featureReleases: true, maintenance: true,
+  // Marketing
+  tips: true, recommendations: true, weeklySummary: true, premiumOffers: true,
+  // Quiet Hours
+  quietHoursEnabled: false, quietHoursStart: '23:00', quietHoursEnd: '07:00', timezone: 'Asia/Kolkata',
+  // Digest
+  digestEnabled: false, digestMorningTime: '08:00', digestEveningTime: '19:00'
+});
+
 // ══════════════════════════════════════════════════════════════════════════════
 // CHANGE EMAIL — STEP 1: Send OTP to the NEW email address
 // POST /api/settings/email/send-otp
@@ -191,7 +229,9 @@ exports.updatePassword = async (req, res) => {
 // ══════════════════════════════════════════════════════════════════════════════
 // NOTIFICATION SETTINGS
 // PUT /api/settings/notifications
-// Body: { activityRequests, gamingAlerts, communityActivity, appUpdates }
+// Body: any of the toggles in NOTIFICATION_DEFAULTS, plus
+//   quietHoursStart / quietHoursEnd / digestMorningTime / digestEveningTime  'HH:MM'
+//   timezone  IANA zone the quiet hours and digest times are read in
 // ══════════════════════════════════════════════════════════════════════════════
 exports.updateNotifications = async (req, res) => {
   try {
@@ -204,11 +244,11 @@ exports.updateNotifications = async (req, res) => {
       'safetyAlerts', 'emergencyAlerts', 'accountSecurity', 'verification',
       'announcements', 'updates', 'promotions', 'featureReleases', 'maintenance',
       'tips', 'recommendations', 'weeklySummary', 'premiumOffers',
-      'quietHoursEnabled'
+      'quietHoursEnabled', 'digestEnabled'
     ];
 
-    const stringKeys = [
-      'quietHoursStart', 'quietHoursEnd'
+    const clockKeys = [
+      'quietHoursStart', 'quietHoursEnd', 'digestMorningTime', 'digestEveningTime'
     ];
 
     // These safety items cannot be turned off by the user
@@ -226,12 +266,19 @@ exports.updateNotifications = async (req, res) => {
       }
     }
 
-    for (const key of stringKeys) {
-      if (typeof req.body[key] === 'string' && /^\d{2}:\d{2}$/.test(req.body[key])) {
+    for (const key of clockKeys) {
+      if (typeof req.body[key] === 'string' && isValidClock(req.body[key])) {
         update[`notifications.${key}`] = req.body[key];
       }
     }
 
+    if (req.body.timezone !== undefined) {
+      if (typeof req.body.timezone !== 'string' || !isValidTimezone(req.body.timezone)) {
+        return res.status(400).json({ success: false, message: 'Invalid timezone.' });
+      }
+      update['notifications.timezone'] = req.body.timezone;
+    }
+
     if (Object.keys(update).length === 0) {
       return res.status(400).json({ success: false, message: 'No valid notification fields provided.' });
     }
@@ -242,23 +289,11 @@ exports.updateNotifications = async (req, res) => {
       { new: true }
     ).select('notifications');
 
-    const defaults = {
-      activityRequests: true, gamingAlerts: true, communityActivity: true, appUpdates: true,
-      pushNotifications: true, sound: true, vibration: true, badge: true, previewContent: true,
-      companionRequests: true, companionAccepted: true, companionRejected: true, friendRequests: true,
-      movieHangout: true, surpriseActivity: true, randomBooking: true, officialEvents: true, nearbyActivities: true,
-      chatMessages: true, letters: true, replies: true,
-      safetyAlerts: true, emergencyAlerts: true, accountSecurity: true, verification: true,
-      announcements: true, updates: true, promotions: true, featureReleases: true, maintenance: true,
-      tips: true, recommendations: true, weeklySummary: true, premiumOffers: true,
-      quietHoursEnabled: false, quietHoursStart: '23:00', quietHoursEnd: '07:00'
-    };
-
     const stored = user.notifications?.toObject ? user.notifications.toObject() : (user.notifications || {});
     res.json({
       success: true,
       message: 'Notification preferences updated.',
-      notifications: { ...defaults, ...stored }
+      notifications: { ...NOTIFICATION_DEFAULTS, ...stored }
     });
   } catch (err) {
     console.error('updateNotifications error:', err);
@@ -409,33 +444,12 @@ exports.reportBug = async (req, res) => {
 // ══════════════════════════════════════════════════════════════════════════════
 exports.getNotifications = async (req, res) => {
   try {
-    const defaults = {
-      // Legacy
-      activityRequests: true, gamingAlerts: true, communityActivity: true, appUpdates: true,
-      // General
-      pushNotifications: true, sound: true, vibration: true, badge: true, previewContent: true,
-      // Companion & Social
-      companionRequests: true, companionAccepted: true, companionRejected: true, friendRequests: true,
-      // Activities
-      movieHangout: true, surpriseActivity: true, randomBooking: true, officialEvents: true, nearbyActivities: true,
-      // Messages
-      chatMessages: true, letters: true, replies: true,
-      // Safety
-      safetyAlerts: true, emergencyAlerts: true, accountSecurity: true, verification: true,
-      // Broadcasts
-      announcements: true, updates: true, promotions: true, featureReleases: true, maintenance: true,
-      // Marketing
-      tips: true, recommendations: true, weeklySummary: true, premiumOffers: true,
-      // Quiet Hours
-      quietHoursEnabled: false, quietHoursStart: '23:00', quietHoursEnd: '07:00'
-    };
-
     let user = await User.findById(req.userId).select('notifications');
     if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
 
     // Merge defaults with whatever the user has stored — missing keys get defaults
     const stored = user.notifications?.toObject ? user.notifications.toObject() : (user.notifications || {});
-    const merged = { ...defaults, ...stored };
+    const merged = { ...NOTIFICATION_DEFAULTS, ...stored };
 
     res.json({ success: true, notifications: merged });
   } catch (err) {
@@ -26,8 +26,9 @@ const EncryptionKey      = require('./models/EncryptionKey');
 // ══════════════════════════════════════════════════════════════════════════════
 // EVERY MINUTE — Surprise Meetup reservation expiry
 //
-// Safety net: if the in-process setTimeout was lost (server restart, crash),
-// this cron advances bookings whose reservedUntil has passed.
+// Safety net: response windows are persistent jobs (services/jobQueue.js);
+// this cron still advances any booking whose reservedUntil has passed in case
+// a timeout job could not be enqueued.
 // Low cost: only fetches bookings with status = RESERVED & reservedUntil < now.
 // ══════════════════════════════════════════════════════════════════════════════
 cron.schedule('* * * * *', async () => {
@@ -80,16 +81,18 @@ cron.schedule('0 * * * *', async () => {
       const LetterReaction = require('./models/LetterReaction');
       const LetterReport = require('./models/LetterReport');
       const LetterNotification = require('./models/LetterNotification');
+      const LetterView = require('./models/LetterView');
       const Letter = require('./models/Letter');
       
       const activeLetters = await Letter.find({}, '_id').lean();
       const existingLetterIds = activeLetters.map(l => l._id);
 
-      const [repliesRes, reactionsRes, reportsRes, notifRes] = await Promise.all([
+      const [repliesRes, reactionsRes, reportsRes, notifRes, viewsRes] = await Promise.all([
         LetterReply.deleteMany({ letterId: { $nin: existingLetterIds } }),
         LetterReaction.deleteMany({ letterId: { $nin: existingLetterIds } }),
         LetterReport.deleteMany({ letterId: { $nin: existingLetterIds } }),
-        LetterNotification.deleteMany({ letterId: { $nin: existingLetterIds } })
+        LetterNotification.deleteMany({ letterId: { $nin: existingLetterIds } }),
+        LetterView.deleteMany({ letterId: { $nin: existingLetterIds } })
       ]);
 
       console.log('🧹 [Letters Cleanup]');
@@ -97,6 +100,7 @@ cron.schedule('0 * * * *', async () => {
       console.log(`   Deleted orphan reactions: ${reactionsRes.deletedCount}`);
       console.log(`   Deleted orphan reports: ${reportsRes.deletedCount}`);
       console.log(`   Deleted orphan notifications: ${notifRes.deletedCount}`);
+      console.log(`   Deleted orphan views: ${viewsRes.deletedCount}`);
     } catch (err) {
       console.error('[CRON] Letters orphan cleanup error:', err.message);
     }
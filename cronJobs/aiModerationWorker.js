@@ -1,12 +1,13 @@
 // cronJobs/aiModerationWorker.js
 const mongoose = require('mongoose');
-const crypto = require('crypto');
 const ModerationTask = require('../models/ModerationTask');
 const User = require('../models/User');
 const Activity = require('../models/Activity');
 const ModerationLog = require('../models/ModerationLog');
 const ModerationCache = require('../models/ModerationCache');
-const { checkWithOpenAI, checkWithLlamaGuard } = require('../middleware/moderation');
+const { checkWithOpenAI, checkWithLlamaGuard, checkWithLocalClassifier } = require('../middleware/moderation');
+const { moderateContent } = require('../services/moderationPolicy');
+const { taskContentHash, queueStrandedTasks } = require('../services/moderationReviewService');
 
 let SYSTEM_USER_ID = null;
 
@@ -24,17 +25,6 @@ async function ensureSystemUser() {
   SYSTEM_USER_ID = existing._id;
 }
 
-const L1_PATTERNS = [
-  /whatsapp/i, /telegram/i, /instagram/i, /snapchat/i, /facebook/i, /onlyfans/i, /discord/i,
-  /[6-9]\d{9}/, /\b\d{10,}\b/,
-  /\b(call\s*me|text\s*me|dm\s*me|message\s*me|contact\s*me)\b/i,
-  /\b(reach\s*(?:me|out)|hit\s*me\s*up|ping\s*me|slide\s*in(?:to)?\s*(?:my|the))\b/i,
-  /\b(my\s*(?:number|no\.?|num|contact|handle|id)\s*(?:is|:))/i,
-  /\b(find\s*me\s*on|add\s*me\s*on|follow\s*me\s*on)\b/i,
-  /\b(wtf|damn|crap|bloody\s+hell|shut\s+up|stupid)\b/i,
-  /investment/i, /crypto/i, /scam/i, /guaranteed\s*returns/i, /send\s*money/i
-];
-
 let _activeWorkerCount = 0;
 const MAX_CONCURRENT_MODERATIONS = 3;
 
@@ -43,13 +33,14 @@ async function processTask(task) {
   let providerUsed = 'Multiple';
   let openAiRes = null;
   let llamaRes = null;
+  let localRes = null;
   let ruleRes = null;
+  let contentHash = null;
 
   try {
     const textsForAI = {};
     task.fields.forEach(f => { textsForAI[f.path] = f.value; });
-    const contentString = Object.entries(textsForAI).map(([f, t]) => `[${f}]: ${t}`).join('\n---\n');
-    const contentHash = crypto.createHash('sha256').update(contentString).digest('hex');
+    contentHash = taskContentHash(task);
 
     // 1. Check Cache
     const cached = await ModerationCache.findOne({ contentHash });
@@ -58,22 +49,22 @@ async function processTask(task) {
       finalDecision = cached.decision;
       openAiRes = cached.openAiResult;
       llamaRes = cached.llamaGuardResult;
+      localRes = cached.localClassifierResult;
       ruleRes = cached.ruleEngineResult;
     } else {
-      // 2. Humrah Rule Engine
-      let hasL1Violation = false;
+      // 2. Humrah policy engine ('profile_review' surface)
+      let ruleDecision = 'APPROVE';
       let flaggedFields = [];
-      task.fields.forEach(f => { 
-        const normalized = f.value.replace(/\s+/g, '').toLowerCase();
-        if (L1_PATTERNS.some(p => p.test(f.value) || p.test(normalized))) {
-          hasL1Violation = true;
-          flaggedFields.push(f.path);
-        }
+      task.fields.forEach(f => {
+        const { action } = moderateContent(f.value, { surface: 'profile_review' });
+        if (action === 'review' || action === 'block') flaggedFields.push(f.path);
+        if (action === 'block') ruleDecision = 'REJECT';
+        else if (action === 'review' && ruleDecision !== 'REJECT') ruleDecision = 'REVIEW';
       });
 
-      if (hasL1Violation) {
+      if (ruleDecision !== 'APPROVE') {
         ruleRes = { flagged: true, fields: flaggedFields };
-        finalDecision = 'REVIEW';
+        finalDecision = ruleDecision;
       } else {
         ruleRes = { flagged: false };
       }
@@ -97,10 +88,16 @@ async function processTask(task) {
         }
       }
 
+      // 5. No AI provider configured → offline classifier (provider errors still retry above)
+      if (finalDecision === 'APPROVE' && openAiRes?.skipped && llamaRes?.skipped) {
+        localRes = checkWithLocalClassifier(textsForAI);
+        if (!localRes.safe) finalDecision = 'REVIEW';
+      }
+
       // Save Cache
       await ModerationCache.updateOne(
         { contentHash },
-        { contentHash, decision: finalDecision, openAiResult: openAiRes, llamaGuardResult: llamaRes, ruleEngineResult: ruleRes },
+        { contentHash, decision: finalDecision, openAiResult: openAiRes, llamaGuardResult: llamaRes, ruleEngineResult: ruleRes, localClassifierResult: localRes },
         { upsert: true }
       );
     }
@@ -113,10 +110,13 @@ async function processTask(task) {
       openAiResult: openAiRes,
       llamaGuardResult: llamaRes,
       ruleEngineResult: ruleRes,
+      localClassifierResult: localRes,
       finalDecision,
       retryCount: task.retryCount
     });
 
+    const flaggedPaths = finalDecision === 'APPROVE' ? [] : (ruleRes?.fields || task.fields.map(f => f.path));
+
     const user = await User.findById(task.userId);
     if (!user) {
       await ModerationTask.findByIdAndUpdate(task._id, { status: 'completed' });
@@ -127,7 +127,6 @@ async function processTask(task) {
       // Level 3 (Severe) Action
       user.moderationStatus = 'flagged';
       if (!user.flaggedFields) user.flaggedFields = [];
-      let flaggedPaths = ruleRes?.fields || task.fields.map(f => f.path);
       flaggedPaths.forEach(p => { if (!user.flaggedFields.includes(p)) user.flaggedFields.push(p); });
       
       user.restrictedUntil = new Date(Date.now() + 3650 * 24 * 60 * 60 * 1000); 
@@ -147,7 +146,6 @@ async function processTask(task) {
       // Level 1 (Minor) Action
       user.moderationStatus = 'flagged';
       if (!user.flaggedFields) user.flaggedFields = [];
-      let flaggedPaths = ruleRes?.fields || task.fields.map(f => f.path);
       flaggedPaths.forEach(p => { if (!user.flaggedFields.includes(p)) user.flaggedFields.push(p); });
 
       if (!user.moderationFlags) user.moderationFlags = {};
@@ -196,7 +194,14 @@ async function processTask(task) {
       }
     }
 
-    await ModerationTask.findByIdAndUpdate(task._id, { status: 'completed' });
+    // Anything the AI flagged waits for a human in /api/admin/moderation/tasks
+    await ModerationTask.findByIdAndUpdate(task._id, {
+      status: 'completed',
+      contentHash,
+      aiDecision: finalDecision,
+      flaggedPaths,
+      'review.status': finalDecision === 'APPROVE' ? 'none' : 'pending'
+    });
 
   } catch (err) {
     console.error(`[MODERATION] Task ${task._id} failed:`, err.message);
@@ -219,7 +224,9 @@ async function processTask(task) {
     } else {
       await ModerationTask.findByIdAndUpdate(task._id, {
         status: 'failed_permanently',
-        lastError: err.message
+        lastError: err.message,
+        contentHash,
+        'review.status': 'pending'
       });
       await User.findByIdAndUpdate(task.userId, {
         moderationStatus: 'pending_review'
@@ -233,6 +240,9 @@ async function processTask(task) {
 
 async function runModerationWorker() {
   await ensureSystemUser().catch(err => console.error('[MODERATION] Failed to ensure system user', err));
+  await queueStrandedTasks()
+    .then(n => { if (n > 0) console.log(`[MODERATION] ${n} failed task(s) queued for human review`); })
+    .catch(err => console.error('[MODERATION] Failed to queue stranded tasks', err));
 
   setInterval(async () => {
     if (_activeWorkerCount >= MAX_CONCURRENT_MODERATIONS) return;
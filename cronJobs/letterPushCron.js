@@ -3,29 +3,22 @@ const mongoose = require('mongoose');
 const pushService = require('../services/push.service');
 const LetterNotification = require('../models/LetterNotification');
 
-// Runs every 15 minutes
+// Runs every 15 minutes. Each summary is a 'letter.summary' dispatch, so the
+// recipient's timezone, quiet hours and digest setting decide when it actually
+// reaches their phone (services/notificationDispatcher.js). Without quiet hours
+// of their own, summaries still wait out 11 PM–8 AM in their timezone.
 const startLetterPushCron = () => {
   cron.schedule('*/15 * * * *', async () => {
     try {
-      // 1. Check Quiet Hours (11:00 PM - 8:00 AM IST)
-      const nowIST = new Date().toLocaleString('en-US', { timeZone: 'Asia/Kolkata', hour: 'numeric', hour12: false });
-      const currentHour = parseInt(nowIST, 10);
-      
-      // Quiet hours: 23 (11 PM) or 0-7 (12 AM - 7:59 AM)
-      if (currentHour >= 23 || currentHour < 8) {
-        console.log('[letterPushCron] Quiet hours active. Skipping push summary.');
-        return;
-      }
-
       console.log('[letterPushCron] Checking for batched letter notifications...');
 
-      // 2. Find pending pushes
+      // 1. Find pending pushes
       const pendingNotifications = await LetterNotification.find({ pendingPushCount: { $gt: 0 } });
       if (!pendingNotifications || pendingNotifications.length === 0) {
         return;
       }
 
-      // 3. Group by letterId
+      // 2. Group by letterId
       const batchedByLetter = {};
       pendingNotifications.forEach(notif => {
         const letterStr = notif.letterId.toString();
@@ -46,7 +39,7 @@ const startLetterPushCron = () => {
         batchedByLetter[letterStr].notificationIds.push(notif._id);
       });
 
-      // 4. Send summaries and reset counts
+      // 3. Send summaries and reset counts
       for (const [letterId, data] of Object.entries(batchedByLetter)) {
         await pushService.sendSummaryNotification(data.recipientId, letterId, data.comfortCount, data.warmthCount);
 
@@ -1,16 +1,24 @@
-// jobs/payoutCron.js - Automated Payout Processing
-const cron = require('node-cron');
+// cronJobs/payoutCron.js - Automated Payout Processing
+// Schedules run through the persistent job queue (services/jobQueue.js) so each
+// tick executes on exactly one instance, even with several servers running.
+const mongoose = require('mongoose');
 const Payout = require('../models/Payout');
 const User = require('../models/User');
 const Booking = require('../models/Booking');
 const { sendEmail } = require('../services/email');
+const { postBookingEarned } = require('../services/ledgerService');
+const { registerHandler, scheduleRecurring } = require('../services/jobQueue');
+
+// A payout run can take a while with many companions; never let a second
+// worker pick it up mid-run and pay anyone twice.
+const PAYOUT_JOB_OPTIONS = { queue: 'payouts', maxAttempts: 1, leaseMs: 2 * 60 * 60 * 1000 };
 
 /**
  * Weekly Payout Job
  * Runs every Monday at 9:00 AM
  * Processes payouts for users with pending balance >= ₹500
  */
-const weeklyPayoutJob = cron.schedule('0 9 * * 1', async () => {
+async function runWeeklyPayouts() {
   console.log('🔄 Running weekly payout job...');
   
   try {
@@ -19,8 +27,9 @@ const weeklyPayoutJob = cron.schedule('0 9 * * 1', async () => {
       'paymentInfo.pendingPayout': { $gte: 500 },
       'paymentInfo.upiStatus': 'verified',
       status: 'ACTIVE',
-      'suspensionInfo.isSuspended': false,
-      'banInfo.isBanned': false
+      // $ne: accounts created before these fields existed have neither set
+      'suspensionInfo.isSuspended': { $ne: true },
+      'banInfo.isBanned': { $ne: true }
     }).select('_id firstName email paymentInfo');
     
     console.log(`Found ${eligibleUsers.length} users eligible for payout`);
@@ -88,14 +97,14 @@ const weeklyPayoutJob = cron.schedule('0 9 * * 1', async () => {
   } catch (error) {
     console.error('Weekly payout job error:', error);
   }
-});
+}
 
 /**
  * Monthly Payout Job
  * Runs on the 1st of every month at 9:00 AM
  * Processes payouts for users with pending balance < ₹500
  */
-const monthlyPayoutJob = cron.schedule('0 9 1 * *', async () => {
+async function runMonthlyPayouts() {
   console.log('🔄 Running monthly payout job...');
   
   try {
@@ -104,8 +113,8 @@ const monthlyPayoutJob = cron.schedule('0 9 1 * *', async () => {
       'paymentInfo.pendingPayout': { $gt: 0, $lt: 500 },
       'paymentInfo.upiStatus': 'verified',
       status: 'ACTIVE',
-      'suspensionInfo.isSuspended': false,
-      'banInfo.isBanned': false
+      'suspensionInfo.isSuspended': { $ne: true },
+      'banInfo.isBanned': { $ne: true }
     }).select('_id firstName email paymentInfo');
     
     console.log(`Found ${eligibleUsers.length} users eligible for monthly payout`);
@@ -147,14 +156,14 @@ const monthlyPayoutJob = cron.schedule('0 9 1 * *', async () => {
   } catch (error) {
     console.error('Monthly payout job error:', error);
   }
-});
+}
 
 /**
  * Retry Failed Payouts Job
  * Runs every hour
  * Retries payouts that failed but have retry attempts remaining
  */
-const retryPayoutJob = cron.schedule('0 * * * *', async () => {
+async function retryFailedPayouts() {
   console.log('🔄 Running payout retry job...');
   
   try {
@@ -196,49 +205,82 @@ const retryPayoutJob = cron.schedule('0 * * * *', async () => {
   } catch (error) {
     console.error('Retry payout job error:', error);
   }
-});
+}
 
 /**
  * Update Earnings on Booking Completion
  * This is triggered by booking status change, not a cron job
  */
 async function updateEarningsOnBookingCompletion(bookingId) {
+  const session = await mongoose.startSession();
   try {
-    const booking = await Booking.findById(bookingId);
-    
-    if (!booking || booking.status !== 'completed' || booking.paymentStatus !== 'paid') {
+    let booking = null;
+
+    // Claim, ledger and cache commit together: if any write fails the claim
+    // is rolled back too, so the next save of the booking credits it again.
+    await session.withTransaction(async () => {
+      // Concurrent saves of the same completed booking must only credit the
+      // companion once.
+      booking = await Booking.findOneAndUpdate(
+        {
+          _id: bookingId,
+          status: 'completed',
+          paymentStatus: 'paid',
+          earningsCreditedAt: null
+        },
+        { $set: { earningsCreditedAt: new Date() } },
+        { new: true, session }
+      );
+
+      if (!booking) {
+        return;
+      }
+
+      // platformFee / companionEarning (25 / 75) are set by Booking's pre-save hook
+      const companionEarning = booking.companionEarning || 0;
+
+      await postBookingEarned(booking, { session });
+
+      await User.updateOne(
+        { _id: booking.companionId },
+        {
+          $inc: {
+            'paymentInfo.totalEarnings': companionEarning,
+            'paymentInfo.pendingPayout': companionEarning
+          }
+        },
+        { session }
+      );
+    });
+
+    if (!booking) {
       return;
     }
-    
-    // Calculate earnings (75% of total amount)
-    const platformFee = booking.totalAmount * 0.25;
-    const companionEarning = booking.totalAmount * 0.75;
-    
-    // Update booking
-    booking.platformFee = platformFee;
-    booking.companionEarning = companionEarning;
-    await booking.save();
-    
-    // Update user's earnings
-    const companion = await User.findById(booking.companionId);
-    if (companion) {
-      await companion.addEarnings(companionEarning);
-      
-      console.log(`✅ Added ₹${companionEarning} earnings for companion ${companion._id}`);
-    }
+
+    console.log(`✅ Added ₹${booking.companionEarning || 0} earnings for companion ${booking.companionId}`);
     
   } catch (error) {
     console.error('Update earnings error:', error);
+  } finally {
+    await session.endSession();
   }
 }
 
+registerHandler('payout.weekly',  runWeeklyPayouts,  PAYOUT_JOB_OPTIONS);
+registerHandler('payout.monthly', runMonthlyPayouts, PAYOUT_JOB_OPTIONS);
+registerHandler('payout.retry',   retryFailedPayouts, PAYOUT_JOB_OPTIONS);
+
+let scheduledTasks = [];
+
 /**
  * Start all cron jobs
  */
 function startPayoutCronJobs() {
-  weeklyPayoutJob.start();
-  monthlyPayoutJob.start();
-  retryPayoutJob.start();
+  scheduledTasks = [
+    scheduleRecurring('payout.weekly',  '0 9 * * 1'),
+    scheduleRecurring('payout.monthly', '0 9 1 * *'),
+    scheduleRecurring('payout.retry',   '0 * * * *')
+  ];
   
   console.log('✅ Payout cron jobs started');
   console.log('   - Weekly payouts: Every Monday at 9:00 AM');
@@ -250,9 +292,8 @@ function startPayoutCronJobs() {
  * Stop all cron jobs
  */
 function stopPayoutCronJobs() {
-  weeklyPayoutJob.stop();
-  monthlyPayoutJob.stop();
-  retryPayoutJob.stop();
+  scheduledTasks.forEach(task => task.stop());
+  scheduledTasks = [];
   
   console.log('⏹️  Payout cron jobs stopped');
 }
@@ -260,5 +301,8 @@ function stopPayoutCronJobs() {
 module.exports = {
   startPayoutCronJobs,
   stopPayoutCronJobs,
+  runWeeklyPayouts,
+  runMonthlyPayouts,
+  retryFailedPayouts,
   updateEarningsOnBookingCompletion
 };
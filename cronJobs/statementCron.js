@@ -0,0 +1,18 @@
+// cronJobs/statementCron.js - Monthly earnings statement emails
+// Runs through the job queue so the emails go out once, not once per instance.
+const { registerHandler, scheduleRecurring } = require('../services/jobQueue');
+const { sendMonthlyStatements } = require('../services/statementService');
+
+registerHandler('statements.monthly', async () => {
+  console.log('[statementCron] Emailing monthly earnings statements...');
+  await sendMonthlyStatements();
+}, { queue: 'payouts', maxAttempts: 1, leaseMs: 2 * 60 * 60 * 1000 });
+
+// 1st of every month, 8:00 AM IST — statements for the month that just ended
+const startStatementCron = () => {
+  scheduleRecurring('statements.monthly', '0 8 1 * *', { timezone: 'Asia/Kolkata' });
+
+  console.log('✅ Statement cron started (1st of every month, 8:00 AM IST)');
+};
+
+module.exports = { startStatementCron };
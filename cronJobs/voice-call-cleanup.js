@@ -1,8 +1,9 @@
 // cronJobs/voice-call-cleanup.js - PRODUCTION VERSION
 // ✅ Enforces 30-minute call duration limit
 // ✅ Cleans up stale calls
-const cron = require('node-cron');
+// ✅ Runs through the job queue — one instance per tick
 const VoiceCall = require('../models/VoiceCall');
+const { registerHandler, scheduleRecurring } = require('../services/jobQueue');
 
 /**
  * Run cleanup tasks every minute
@@ -10,7 +11,7 @@ const VoiceCall = require('../models/VoiceCall');
  * - End CONNECTED calls exceeding 30 minutes
  * - Clean up stale CONNECTING calls (>5 minutes)
  */
-cron.schedule('* * * * *', async () => {
+async function cleanupVoiceCalls() {
   try {
     let totalCleaned = 0;
     
@@ -88,16 +89,22 @@ cron.schedule('* * * * *', async () => {
   } catch (error) {
     console.error('❌ [VOICE-CALL] Cleanup error:', error);
   }
-});
+}
 
-console.log('');
-console.log('🤖 Voice Call Cleanup Cron Job Initialized');
-console.log('⏰ Runs every minute');
-console.log('📋 Tasks:');
-console.log('   - Timeout unanswered calls (>1 minute)');
-console.log('   - Auto-end calls exceeding 30 minutes ✅');
-console.log('   - Clean stale connecting calls (>5 minutes)');
-console.log('---------------------------------------------------');
-console.log('');
+registerHandler('voiceCall.cleanup', cleanupVoiceCalls, { queue: 'maintenance', maxAttempts: 1 });
 
-module.exports = {};
+function startVoiceCallCleanup() {
+  scheduleRecurring('voiceCall.cleanup', '* * * * *');
+
+  console.log('');
+  console.log('🤖 Voice Call Cleanup Cron Job Initialized');
+  console.log('⏰ Runs every minute');
+  console.log('📋 Tasks:');
+  console.log('   - Timeout unanswered calls (>1 minute)');
+  console.log('   - Auto-end calls exceeding 30 minutes ✅');
+  console.log('   - Clean stale connecting calls (>5 minutes)');
+  console.log('---------------------------------------------------');
+  console.log('');
+}
+
+module.exports = { startVoiceCallCleanup, cleanupVoiceCalls };
@@ -0,0 +1,29 @@
+// jobs/letterEngagementJob.js
+// Every 10 minutes through the job queue (services/jobQueue.js): rebuild
+// Letter.engagementScore from the reaction / reply / reader counters for every
+// live letter. The incremental $inc in letters.service.js keeps the score close
+// between runs; this corrects whatever it missed (un-reacts, moderated replies).
+'use strict';
+
+const { registerHandler, scheduleRecurring } = require('../services/jobQueue');
+const { recomputeEngagementScores } = require('../services/letterRanking');
+
+async function refreshLetterEngagement() {
+  try {
+    const updated = await recomputeEngagementScores();
+    if (updated > 0) {
+      console.log(`📈 [LetterEngagement] Recomputed engagement for ${updated} letter(s)`);
+    }
+  } catch (err) {
+    console.error('❌ [LetterEngagement] Error:', err.message);
+  }
+}
+
+registerHandler('letters.engagement', refreshLetterEngagement, { queue: 'maintenance', maxAttempts: 1 });
+
+function startLetterEngagementJob() {
+  scheduleRecurring('letters.engagement', '*/10 * * * *');
+  console.log('⏰ [LetterEngagement] Job registered — runs every 10 min');
+}
+
+module.exports = { startLetterEngagementJob, refreshLetterEngagement };
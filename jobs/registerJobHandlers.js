@@ -0,0 +1,30 @@
+// jobs/registerJobHandlers.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Loads every module that registers a job-queue handler, so the worker can run
+// jobs enqueued before a restart even if nothing else has required the module
+// yet in this process (e.g. the matchers are otherwise loaded lazily by
+// routes/randomBooking.js).
+//
+// Required once by services/jobQueue.js startJobWorker(). Add new handler
+// modules here.
+// ─────────────────────────────────────────────────────────────────────────────
+'use strict';
+
+// matching
+require('../utils/progressiveMatching');
+require('../utils/surpriseMeetupMatcher');
+
+// payouts
+require('../cronJobs/payoutCron');
+require('../cronJobs/statementCron');
+
+// notifications (quiet-hours deferrals, email copies, movie plan reminders)
+require('../services/notificationDispatcher');
+require('../services/moviePlanService');
+
+// maintenance
+require('../cronJobs/voice-call-cleanup');
+require('./sessionExpiryJob');
+require('./movieSessionExpiryJob');
+require('./letterEngagementJob');
+require('../utils/presenceManager');
@@ -2,6 +2,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
+const { getRevocationReason, APPEAL_TOKEN_SCOPE } = require('../services/authSessionService');
+const AdminTwoFactor = require('../models/AdminTwoFactor');
+const { MFA_MAX_AGE_MS } = require('../services/adminTwoFactorService');
 
 // =============================================
 // AUTHENTICATION MIDDLEWARE
@@ -32,6 +35,15 @@ const authenticate = async (req, res, next) => {
     }
     const decoded = jwt.verify(token, JWT_SECRET);
 
+    // Appeal tokens (handed to suspended/banned accounts at login) only open /api/appeals
+    if (decoded.scope === APPEAL_TOKEN_SCOPE) {
+      return res.status(401).json({
+        success: false,
+        message: 'This token can only be used to submit an appeal',
+        code: 'APPEAL_TOKEN_ONLY'
+      });
+    }
+
     // Fetch user from database (CRITICAL: get fresh data including role)
     const user = await User.findById(decoded.userId).select('-password');
 
@@ -42,20 +54,24 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // ✅ TOKEN VERSION CHECK — rejects revoked tokens instantly.
-    // payload.tv is the tokenVersion at issue time.
-    // db.tokenVersion is the current value (incremented on logout-all / password change).
-    // Mismatch = token was issued before the last revocation event → reject.
-    // Existing users have no tv in their old tokens → treat as 0 (backward-compatible).
-    const payloadTv = decoded.tv ?? 0;
-    const dbTv      = user.tokenVersion   ?? 0;
-    if (payloadTv !== dbTv) {
+    // ✅ TOKEN VERSION + DEVICE SESSION CHECK — rejects revoked tokens instantly.
+    // payload.tv is the tokenVersion at issue time; a mismatch means logout-all
+    // or a password change happened since (old tokens without tv count as 0).
+    // payload.sid is the RefreshToken session — revoked via DELETE /api/auth/sessions/:id.
+    const revocationReason = await getRevocationReason(decoded, user, { ip: req.ip });
+    if (revocationReason) {
       return res.status(401).json({
         success: false,
-        message: 'Session expired. Please login again.'
+        message: 'Session expired. Please login again.',
+        code: 'SESSION_REVOKED'
       });
     }
 
+    // Expose the device session so /api/auth/sessions can flag the current one
+    req.sessionId = decoded.sid || null;
+    // Set only on tokens issued after an admin TOTP check (see requireTwoFactor)
+    req.mfaAt = decoded.mfaAt || null;
+
     // Check if account is locked (if method exists)
     if (user.isLocked && user.isLocked()) {
       return res.status(403).json({
@@ -166,6 +182,80 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// =============================================
+// APPEAL AUTHENTICATION
+// =============================================
+/**
+ * Authentication for /api/appeals. Accepts a normal access token or the
+ * appeal-scoped token returned by a refused login, and — unlike authenticate —
+ * lets SUSPENDED and BANNED accounts through so they can contest the decision.
+ */
+const authenticateForAppeal = async (req, res, next) => {
+  try {
+    const authHeader = req.header('Authorization');
+    const token = authHeader?.startsWith('Bearer ')
+      ? authHeader.replace('Bearer ', '')
+      : null;
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'No authentication token provided'
+      });
+    }
+
+    const JWT_SECRET = process.env.JWT_SECRET;
+    if (!JWT_SECRET) {
+      console.error('[auth.js] JWT_SECRET env var is not set. Server misconfiguration.');
+      return res.status(500).json({ success: false, message: 'Server configuration error' });
+    }
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revocationReason = await getRevocationReason(decoded, user, { ip: req.ip });
+    if (revocationReason) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please login again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    if (user.status && !['ACTIVE', 'SUSPENDED', 'BANNED'].includes(user.status)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is currently inactive. Please contact support.',
+        status: user.status,
+      });
+    }
+
+    req.user = user;
+    req.userId = user._id;
+
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        success: false,
+        message: error.name === 'TokenExpiredError' ? 'Token expired, please login again' : 'Invalid token'
+      });
+    }
+
+    console.error('Appeal authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
 // =============================================
 // BACKWARD COMPATIBILITY
 // Export as both 'auth' and 'authenticate'
@@ -350,6 +440,67 @@ const adminOnly = authorize('SAFETY_ADMIN', 'SUPER_ADMIN', 'admin', 'moderator')
  */
 const superAdminOnly = authorize('SUPER_ADMIN', 'admin');
 
+// =============================================
+// TWO-FACTOR (TOTP) ENFORCEMENT FOR SENSITIVE ADMIN ACTIONS
+// =============================================
+/**
+ * Require an enrolled authenticator app AND a recent second-factor check.
+ * The check is proven by `mfaAt` in the access token, issued by
+ * POST /api/admin/2fa/verify or the admin dashboard login.
+ * Responds with a machine-readable code so the dashboard knows whether to
+ * show the enrolment screen or the code prompt.
+ */
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const enrolment = await AdminTwoFactor.findOne({ userId: req.user._id, enabled: true })
+      .select('enrolledAt')
+      .lean();
+
+    if (!enrolment) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_ENROLMENT_REQUIRED',
+        message: 'Set up an authenticator app before performing this action.'
+      });
+    }
+
+    const mfaAtMs = req.mfaAt ? req.mfaAt * 1000 : 0;
+    const isFresh = mfaAtMs
+      && Date.now() - mfaAtMs <= MFA_MAX_AGE_MS
+      && mfaAtMs >= new Date(enrolment.enrolledAt).getTime() - 1000;
+
+    if (!isFresh) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Enter your authenticator code to continue.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Two-factor check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Two-factor check failed'
+    });
+  }
+};
+
+/**
+ * Sensitive variants — role check + TOTP (bans, admin permissions, etc.)
+ * Usage: router.post('/users/ban', authenticate, sensitiveSuperAdminOnly, ...)
+ */
+const sensitiveAdminOnly = [adminOnly, requireTwoFactor];
+const sensitiveSuperAdminOnly = [superAdminOnly, requireTwoFactor];
+
 /**
  * Ensure user is regular USER only
  */
@@ -468,10 +619,14 @@ function sanitizeBody(body) {
 module.exports = {
   // Primary exports (new names)
   authenticate,
+  authenticateForAppeal,
   authorize,
   requirePermission,
   canPerformAction,
   auditLog,
+  requireTwoFactor,
+  sensitiveAdminOnly,
+  sensitiveSuperAdminOnly,
   
   // Backward compatibility (old names)
   auth,  // ✅ This is the key export for backward compatibility
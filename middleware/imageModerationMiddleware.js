@@ -1,14 +1,18 @@
 // middleware/imageModerationMiddleware.js
 const User = require('../models/User');
 const { analyzeImageSafety } = require('../services/imageModeration');
+const { computeImageHash, findBlockedImage, findCachedVerdict, cacheVerdict } = require('../services/imageHashService');
 const { sendWarningActivity } = require('../utils/sendWarningActivity');
 
 /**
  * Middleware: runs Google Vision SafeSearch on req.body.imageBase64
  * and enforces the 3-strike image blocking system.
  *
+ * Images on the removed-content blocklist are rejected without a Vision call,
+ * and re-uploads / near-duplicates reuse the cached SafeSearch verdict.
+ *
  * Must run AFTER auth middleware (needs req.userId).
- * On pass, attaches req.moderationResult and req.moderationPassed = true.
+ * On pass, attaches req.moderationResult, req.imageHash and req.moderationPassed = true.
  */
 const enforceImageModeration = async (req, res, next) => {
   try {
@@ -44,94 +48,28 @@ const enforceImageModeration = async (req, res, next) => {
       });
     }
 
-    // ── 3. Run SafeSearch ──────────────────────────────────────
-    const modResult = await analyzeImageSafety(imageBase64);
-
-    // ── 4. Extreme content → immediate 7-day account suspension ─
-    if (modResult.extremeContent) {
-      const suspendedUntil = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-
-      user.status = 'SUSPENDED';
-      user.suspensionInfo = {
-        isSuspended:      true,
-        suspensionReason: 'Extreme content violation detected in uploaded image',
-        suspendedUntil,
-        restrictions:     ['post', 'comment', 'chat', 'upload']
-      };
-
-      appendModerationLog(user, {
-        action:      'EXTREME_CONTENT',
-        blockReason: modResult.blockReason,
-        strikeCount: user.imageStrikeCount,
-        safeSearch:  modResult.scores
-      });
-
-      await user.save();
-      console.warn(`🚨 Extreme content — user ${user._id} suspended for 7 days`);
-
-      // TODO: trigger push notification 'ACCOUNT_SUSPENDED_7_DAYS' here
-
-      return res.status(403).json({
-        success:      false,
-        code:         'EXTREME_CONTENT_VIOLATION',
-        message:      'Your account has been suspended for 7 days due to severely inappropriate content.',
-        suspendedUntil,
-        strikeCount:  user.imageStrikeCount
-      });
+    // ── 3. Perceptual hash: known-removed image or cached verdict ─
+    const imageHash = await hashOrNull(imageBase64);
+    let modResult = null;
+    if (imageHash) {
+      const blocked = await findBlockedImage(imageHash);
+      modResult = blocked ? blocklistVerdict(blocked) : await findCachedVerdict(imageHash);
     }
 
-    // ── 5. Standard violation → apply strike ───────────────────
-    if (modResult.blocked) {
-      user.imageStrikeCount     = Math.min((user.imageStrikeCount || 0) + 1, 3);
-      user.lastImageViolationAt = new Date();
-
-      let message = '', blockedUntil = null, notifType = '';
-
-      switch (user.imageStrikeCount) {
-        case 1:
-          message   = 'Your image was removed for violating our content guidelines. This is your first warning.';
-          notifType = 'IMAGE_WARNING_1';
-          break;
-        case 2:
-          message   = 'Your image was removed. This is your second warning — one more violation will result in a temporary posting ban.';
-          notifType = 'IMAGE_WARNING_2';
-          break;
-        case 3:
-        default:
-          blockedUntil               = new Date(Date.now() + 24 * 60 * 60 * 1000);
-          user.imagePostBlockedUntil = blockedUntil;
-          message   = 'Your image posting has been disabled for 24 hours due to repeated guideline violations.';
-          notifType = 'IMAGE_SUSPENSION_24H';
-          break;
+    // ── 4. Run SafeSearch (cache miss) ─────────────────────────
+    if (!modResult) {
+      modResult = await analyzeImageSafety(imageBase64);
+      if (imageHash) {
+        await cacheVerdict(imageHash, modResult).catch(e =>
+          console.error('[ImageMod] Verdict cache write failed:', e.message)
+        );
       }
-
-      appendModerationLog(user, {
-        action:      'BLOCKED',
-        blockReason: modResult.blockReason,
-        strikeCount: user.imageStrikeCount,
-        safeSearch:  modResult.scores
-      });
-
-      await user.save();
-
-      // ── ✅ WARNING activity feed entry + push (spec §6) ───────
-      sendWarningActivity({ userId: user._id }).catch(e =>
-        console.error('[ImageMod] WARNING activity failed:', e.message)
-      );
-
-      // TODO: trigger push notification [notifType] here
-      console.log(`📣 Notification queued: [${notifType}] for user ${user._id}`);
-
-      return res.status(400).json({
-        success:      false,
-        code:         'IMAGE_POLICY_VIOLATION',
-        message,
-        strikeCount:  user.imageStrikeCount,
-        blockedUntil: blockedUntil || null
-      });
     }
 
-    // ── 6. Passed — log it and continue ────────────────────────
+    const violation = await rejectViolation(user, modResult, res);
+    if (violation) return violation;
+
+    // ── 7. Passed — log it and continue ────────────────────────
     appendModerationLog(user, {
       action:      'ALLOWED',
       blockReason: null,
@@ -141,6 +79,7 @@ const enforceImageModeration = async (req, res, next) => {
     await user.save();
 
     req.moderationResult = modResult;
+    req.imageHash        = imageHash;
     req.moderationPassed = true;
     next();
 
@@ -152,6 +91,147 @@ const enforceImageModeration = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware: blocklist-only screen for uploads that skip SafeSearch
+ * (profile photos, food posts). Reads req.file (multer) or
+ * req.body.photoBase64 / imageBase64; a blocklisted image gets the same
+ * strike / suspension response as a SafeSearch block.
+ *
+ * Must run AFTER auth and multer. On pass, attaches req.imageHash.
+ */
+const enforceImageBlocklist = async (req, res, next) => {
+  try {
+    const image = req.file?.buffer || req.body?.photoBase64 || req.body?.imageBase64;
+    if (!image) return next();
+
+    const imageHash = await hashOrNull(image);
+    const blocked = imageHash && await findBlockedImage(imageHash);
+    if (blocked) {
+      const user = await User.findById(req.userId);
+      if (!user) {
+        return res.status(401).json({ success: false, message: 'User not found' });
+      }
+      return rejectViolation(user, blocklistVerdict(blocked), res);
+    }
+
+    req.imageHash = imageHash;
+    next();
+
+  } catch (error) {
+    console.error('❌ Image blocklist middleware error:', error);
+    next();
+  }
+};
+
+// ── Steps 5–6: apply the verdict; returns the sent response, or null if the image passed ──
+async function rejectViolation(user, modResult, res) {
+  // ── 5. Extreme content → immediate 7-day account suspension ─
+  if (modResult.extremeContent) {
+    const suspendedUntil = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+    user.status = 'SUSPENDED';
+    user.suspensionInfo = {
+      isSuspended:      true,
+      suspensionReason: 'Extreme content violation detected in uploaded image',
+      suspendedUntil,
+      restrictions:     ['post', 'comment', 'chat', 'upload']
+    };
+
+    appendModerationLog(user, {
+      action:      'EXTREME_CONTENT',
+      blockReason: modResult.blockReason,
+      strikeCount: user.imageStrikeCount,
+      safeSearch:  modResult.scores
+    });
+
+    await user.save();
+    console.warn(`🚨 Extreme content — user ${user._id} suspended for 7 days`);
+
+    // TODO: trigger push notification 'ACCOUNT_SUSPENDED_7_DAYS' here
+
+    return res.status(403).json({
+      success:      false,
+      code:         'EXTREME_CONTENT_VIOLATION',
+      message:      'Your account has been suspended for 7 days due to severely inappropriate content.',
+      suspendedUntil,
+      strikeCount:  user.imageStrikeCount
+    });
+  }
+
+  // ── 6. Standard violation → apply strike ───────────────────
+  if (modResult.blocked) {
+    user.imageStrikeCount     = Math.min((user.imageStrikeCount || 0) + 1, 3);
+    user.lastImageViolationAt = new Date();
+
+    let message = '', blockedUntil = null, notifType = '';
+
+    switch (user.imageStrikeCount) {
+      case 1:
+        message   = 'Your image was removed for violating our content guidelines. This is your first warning.';
+        notifType = 'IMAGE_WARNING_1';
+        break;
+      case 2:
+        message   = 'Your image was removed. This is your second warning — one more violation will result in a temporary posting ban.';
+        notifType = 'IMAGE_WARNING_2';
+        break;
+      case 3:
+      default:
+        blockedUntil               = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        user.imagePostBlockedUntil = blockedUntil;
+        message   = 'Your image posting has been disabled for 24 hours due to repeated guideline violations.';
+        notifType = 'IMAGE_SUSPENSION_24H';
+        break;
+    }
+
+    appendModerationLog(user, {
+      action:      'BLOCKED',
+      blockReason: modResult.blockReason,
+      strikeCount: user.imageStrikeCount,
+      safeSearch:  modResult.scores
+    });
+
+    await user.save();
+
+    // ── ✅ WARNING activity feed entry + push (spec §6) ───────
+    sendWarningActivity({ userId: user._id }).catch(e =>
+      console.error('[ImageMod] WARNING activity failed:', e.message)
+    );
+
+    // TODO: trigger push notification [notifType] here
+    console.log(`📣 Notification queued: [${notifType}] for user ${user._id}`);
+
+    return res.status(400).json({
+      success:      false,
+      code:         'IMAGE_POLICY_VIOLATION',
+      message,
+      strikeCount:  user.imageStrikeCount,
+      blockedUntil: blockedUntil || null
+    });
+  }
+
+  return null;
+}
+
+// ── Helper: perceptual hash, or null for input sharp can't decode ──
+async function hashOrNull(image) {
+  try {
+    return await computeImageHash(image);
+  } catch (e) {
+    console.warn('[ImageMod] Could not hash image:', e.message);
+    return null;
+  }
+}
+
+// ── Helper: blocklist hit in analyzeImageSafety's result shape ──
+function blocklistVerdict({ entry, distance }) {
+  console.log(`🚫 Blocklisted image re-uploaded (entry ${entry._id}, distance ${distance})`);
+  return {
+    safe: false, scores: {}, rawResponse: null,
+    blocked: true, blockReason: 'blocklisted', extremeContent: entry.severity === 'extreme',
+    blocklistEntryId: entry._id, hashDistance: distance
+  };
+}
+
 // ── Helper: append to imageModerationLog (cap at 20 entries) ──
 function appendModerationLog(user, entry) {
   if (!user.imageModerationLog) user.imageModerationLog = [];
@@ -161,4 +241,4 @@ function appendModerationLog(user, entry) {
   }
 }
 
-module.exports = { enforceImageModeration };
+module.exports = { enforceImageModeration, enforceImageBlocklist };
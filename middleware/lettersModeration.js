@@ -1,5 +1,3 @@
-const moderationService = require('../services/moderation.service');
-
 const lettersModeration = (req, res, next) => {
   // We can choose to block immediately here or let the service handle it and flag it as under_review.
   // In the current architecture, we flag it as under_review instead of blocking the request outright,
@@ -1,4 +1,5 @@
 const rateLimit = require('express-rate-limit');
+const { rateLimitStore } = require('./rateLimitMiddleware');
 
 const getUserId = (req, res) => {
   const uid = req.userId?.toString() || req.user?._id?.toString();
@@ -6,6 +7,8 @@ const getUserId = (req, res) => {
 };
 
 const lettersWriteLimiter = rateLimit({
+  store: rateLimitStore('lettersWrite'),
+  passOnStoreError: true,
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 30, // 30 requests per minute
   keyGenerator: getUserId,
@@ -18,6 +21,8 @@ const lettersWriteLimiter = rateLimit({
 });
 
 const lettersReadLimiter = rateLimit({
+  store: rateLimitStore('lettersRead'),
+  passOnStoreError: true,
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 100, // 100 requests per minute
   keyGenerator: getUserId,
@@ -28,6 +28,8 @@
 'use strict';
 
 const axios = require('axios');
+const { moderateContent, normalizeText, LEVEL } = require('../services/moderationPolicy');
+const { checkWithLocalClassifier } = require('../services/localToxicityClassifier');
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONSTANTS
@@ -38,14 +40,6 @@ const MIN_LENGTH_FOR_AI     = 15;
 const CLEAN_RESET_DAYS      = 90;
 const CLEAN_RESET_MS        = CLEAN_RESET_DAYS * 24 * 60 * 60 * 1000;
 
-const LEVEL = Object.freeze({
-  CLEAN     : 0,
-  SOFT      : 1,
-  POLICY    : 2,
-  HARASSMENT: 3,
-  ZERO_TOL  : 4,
-});
-
 // ── L2 Policy escalation by offense count ─────────────────────────────────────
 const L2_ESCALATION = Object.freeze({
   1: { action: 'cooldown', restrictions: ['profile_edit'],                                       durationHours: 24,   message: 'Your profile editing has been locked for 24 hours due to a policy violation.' },
@@ -99,147 +93,11 @@ const OPENAI_THRESHOLDS = {
 };
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// LAYER 1 — TEXT NORMALIZATION
-// ═══════════════════════════════════════════════════════════════════════════════
-
-const LEET_MAP = { '@':'a','4':'a','3':'e','1':'i','!':'i','0':'o','5':'s','$':'s','7':'t','+':'t','8':'b','6':'g','9':'g' };
-
-function normalizeText(text) {
-  let t = text.toLowerCase();
-  t = t.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-  t = t.replace(/[ａ-ｚ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
-  t = t.replace(/[Ａ-Ｚ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
-  t = t.replace(/[@4310!5$78+69]/g, c => LEET_MAP[c] || c);
-  t = t.replace(/\b(\w)([\s.\-_]+\w){2,}/g, m => m.replace(/[\s.\-_]+/g, ''));
-  t = t.replace(/(\w)[.\-_](\w)/g, '$1$2');
-  return t;
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// LAYER 2A — LEVEL 0: AUTO-CLEAN PATTERNS
+// REGEX LAYER — patterns, levels and per-surface actions live in the shared
+// policy engine (services/moderationPolicy.js, config/moderationRules.js) so
+// admin rule edits reach profiles, chat, letters and food captions at once.
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const AUTO_CLEAN_PATTERNS = [
-  /(?:(?:\+|00)?91[\s\-.]?)?[6-9]\d{9}/g,
-  /\b[6-9]([\s.\-]{1,3}\d){9}\b/g,
-  /\b(whatsapp|whats\s*app|watsapp|wa\.me|telegram|t\.me|instagram|insta|snapchat|snap)\b/gi,
-  /\b(upi|paytm|gpay|google\s*pay|phonepe|bhim|@okaxis|@oksbi|@ybl|@paytm)\b/gi,
-  /[₹$€£]\s*\d+/g,
-  /\b\d+\s*(?:rs|inr|rupees?)\b/gi,
-  /\bper\s*(?:hour|hr|day|session|meet|visit|call)\b/gi,
-  /\b(?:rate|charge|fee|cost)s?\s*[:=]?\s*\d+/gi,
-  /https?:\/\/[^\s]*/gi,
-  /www\.[^\s]*/gi,
-  /[\w.+-]+@[\w-]+\.[a-z]{2,}/gi,
-];
-
-function autoCleanText(text) {
-  let c = text;
-  for (const p of AUTO_CLEAN_PATTERNS) { p.lastIndex = 0; c = c.replace(p, ''); }
-  return c.replace(/\s{2,}/g, ' ').trim();
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// LAYER 2B — LEVEL 1: SOFT / MINOR PATTERNS
-// Mild rudeness, borderline tone, light non-targeted profanity.
-// No immediate strike. 3 soft offenses = 1 strike (tracked in DB).
-// ═══════════════════════════════════════════════════════════════════════════════
-
-const SOFT_PATTERNS = [
-  /\b(no\s+idiots?|don'?t\s+be\s+boring|boring\s+people\s+stay\s+away)\b/i,
-  /\b(losers?\s+(not\s+welcome|stay\s+away)|only\s+serious\s+people)\b/i,
-  /\b(hot\s*guy|hot\s*girl|sexy\s*(?:time|fun|vibes?)|flirt(?:y|ing)?)\b/i,
-  /\b(looking\s*for\s*(?:fun|timepass|tp|good\s*time))\b/i,
-  /\b(no\s*strings|casual\s*(?:meet|fun|hangout|relation))\b/i,
-  /\b(open\s*minded\s*(?:guy|girl|person|meet))\b/i,
-  /\b(wtf|damn|crap|bloody\s+hell|shut\s+up)\b/i,
-];
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// LAYER 2C — LEVEL 2: POLICY VIOLATION PATTERNS
-// Solicitation, contact-sharing, booking/pricing.
-// ═══════════════════════════════════════════════════════════════════════════════
-
-const POLICY_PATTERNS_ORIGINAL = [
-  /\b(call\s*me|text\s*me|dm\s*me|message\s*me|contact\s*me)\b/i,
-  /\b(reach\s*(?:me|out)|hit\s*me\s*up|ping\s*me|slide\s*in(?:to)?\s*(?:my|the))\b/i,
-  /\b(my\s*(?:number|no\.?|num|contact|handle|id)\s*(?:is|:))/i,
-  /\b(find\s*me\s*on|add\s*me\s*on|follow\s*me\s*on)\b/i,
-  /\b(hookup|hook\s*up|nsa|fwb|friends?\s*with\s*benefits)\b/i,
-  /\b(paid\s*(?:service|meet|session|companion|friend)|rate\s*card)\b/i,
-  /\b(sugar\s*(?:daddy|mama|baby)|adult\s*(?:service|fun|meet))\b/i,
-  /\b(available\s*for\s*(?:hire|booking)|book\s*me|hire\s*me|dm\s*me\s*for\s*rates?)\b/i,
-];
-
-const POLICY_PATTERNS_NORMALIZED = [
-  /whatsapp/, /telegram/, /instagram/, /snapchat/, /discord/,
-  /[6-9]\d{9}/, /\b\d{10,}\b/,
-  /investment/, /crypto/, /scam/, /guaranteedreturns/, /sendmoney/,
-];
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// LAYER 2D — LEVEL 3: HARASSMENT PATTERNS
-// Targeted threats, personal attacks, abuse toward a person.
-// ═══════════════════════════════════════════════════════════════════════════════
-
-const HARASSMENT_PATTERNS = [
-  /\b(i\s*will\s*(?:find|hurt|kill|destroy|ruin)\s*you)\b/i,
-  /\b(you'?re?\s*(?:worthless|pathetic|disgusting|a\s*loser|garbage|trash|scum))\b/i,
-  /\b(go\s*(?:kill\s*yourself|die|hang\s*yourself))\b/i,
-  /\b(i\s*know\s*where\s*you\s*(?:live|are|work))\b/i,
-  /\b(watch\s*your\s*back|you\s*(?:will|won'?t)\s*get\s*away)\b/i,
-  /\b(you\s*are\s*(?:a\s*)?(?:bitch|whore|slut|bastard|asshole|idiot|moron))\b/i,
-  /\b(nobody\s*(?:likes|loves|cares\s*about)\s*you)\b/i,
-];
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// LAYER 2E — LEVEL 4: ZERO TOLERANCE PATTERNS
-// Hate speech / CSA / extremism / sexual exploitation / violence incitement.
-// ═══════════════════════════════════════════════════════════════════════════════
-
-const ZERO_TOL_PATTERNS = [
-  // Racial hate
-  /\bhate\s+(black|white|brown|asian|african|arab|jewish|muslim|hindu|sikh|christian)\s+(people|person|men|women|girls|guys|community)\b/i,
-  /\b(black|white|brown|asian|african|arab|jewish|muslim|hindu|sikh)\s+people\s+(are|r)\s+(not\s+welcome|not\s+allowed|disgusting|dirty|inferior|ugly|stupid|criminals?|terrorists?|filthy)\b/i,
-  /\bno\s+(black|white|brown|asian|african|arab|jewish|muslim|hindu|sikh|dalit|lower\s*caste)\s+(people|person|allowed|welcome|here|pls|please)\b/i,
-  /\bonly\s+(fair|light\s*skin|white|upper\s*caste|hindu|muslim)\s+(people|person|allowed|welcome|connect)\b/i,
-  /\b(blacks?|whiteys?|brownies?)\s+(not\s+welcome|stay\s+away|don'?t\s+connect|please\s+don'?t)\b/i,
-  /\balways\s+(be\s+)?happy\s+with\s+(white|fair|light)\b/i,
-  /\bno\s+(minorities|untouchables?|refugees?|foreigners?|outsiders?)\b/i,
-  // Caste discrimination
-  /\b(upper|lower)\s+caste\s+(only|not\s+welcome|stay\s+away|preferred|not\s+allowed)\b/i,
-  /\b(brahmin|kshatriya|vaishya|shudra|dalit|obc|sc|st)\s+(only|not\s+welcome|not\s+allowed|stay\s+away)\b/i,
-  /\bno\s+(dalit|sc|st|obc|lower\s*caste)\b/i,
-  /\bcasteist\b/i,
-  // Religious hate
-  /\bhate\s+(muslim|hindu|christian|sikh|jewish|buddhist|jain|parsi)s?\b/i,
-  /\b(muslims?|hindus?|christians?|sikhs?|jews?)\s+(not\s+welcome|not\s+allowed|stay\s+away|are\s+(?:terrorists?|criminals?|evil|bad\s+people))\b/i,
-  // Skin tone discrimination
-  /\b(only|prefer|no)\s+(fair|dark|dusky|wheatish)\s+(skin|people|girls|guys|person)\b/i,
-  /\b(dark\s*skin|black\s*skin)\s+(not\s+welcome|stay\s+away|not\s+my\s+type|disgusting)\b/i,
-  // Sexual exploitation
-  /\bfor\s*sex\b/i,
-  /\bsex\s*(available|meet|chat|friend|partner|service|work)\b/i,
-  /\bavailable\s*for\s*sex\b/i,
-  /\b(playboy|play\s*boy|gigolo|call\s*girl|escort)\b/i,
-  /\bone\s*night\s*stand\b/i,
-  // CSA
-  /\b(child\s*(?:sex|abuse|porn)|minor\s*(?:sex|exploit)|csa)\b/i,
-  /\b(rape|molestation)\b/i,
-  // Extremism / violence incitement
-  /\b(join\s*(?:this|our|the)\s*(?:jihad|extremist|terrorist|isis|al.?qaeda))\b/i,
-  /\b(let'?s\s*(?:hurt|attack|bomb|kill)\s*(?:them|those|the))\b/i,
-  /\b(kill\s*all\s*(?:muslims?|hindus?|christians?|jews?|blacks?|whites?))\b/i,
-  /\b(suicide\s*bomb|blow\s*up|mass\s*shooting)\b/i,
-  // Severe self-harm
-  /\b(kill\s*(?:my)?self|want\s*to\s*die|end\s*(?:my\s*)?life|commit\s*suicide)\b/i,
-];
-
-const ZERO_TOL_NORMALIZED = [
-  /playboy/, /gigolo/, /callgirl/, /escort/,
-  /forsex/, /sexavailable/, /availableforsex/,
-];
-
 // ═══════════════════════════════════════════════════════════════════════════════
 // OPENAI MODERATION LAYER
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -295,7 +153,7 @@ async function checkWithOpenAI(fieldTexts) {
   if (!apiKey) {
     if (process.env.NODE_ENV === 'production')
       console.error('[MODERATION] OPENAI_API_KEY missing — AI layer disabled');
-    return { safe: true, flaggedCategories: [], maxLevel: LEVEL.CLEAN };
+    return { safe: true, flaggedCategories: [], maxLevel: LEVEL.CLEAN, skipped: true };
   }
 
   if (Date.now() < openAiUnavailableUntil) {
@@ -319,7 +177,8 @@ async function checkWithOpenAI(fieldTexts) {
           if (catLevel > maxLevel) maxLevel = catLevel;
         }
       }
-      return { safe: flagged.length === 0, flaggedCategories: flagged, maxLevel };
+      // scores are kept (via ModerationCache) for the human review console
+      return { safe: flagged.length === 0, flaggedCategories: flagged, maxLevel, scores };
 
     } catch (err) {
       if (err.message === 'TIMEOUT_ZOMBIE') throw new Error('OpenAI Request Timeout in Queue');
@@ -390,7 +249,7 @@ async function checkWithLlamaGuard(fieldTexts) {
   const apiToken = process.env.CLOUDFLARE_API_TOKEN;
   
   if (!accountId || !apiToken) {
-    return { safe: true, flaggedCategories: [], maxLevel: LEVEL.CLEAN }; // Graceful bypass
+    return { safe: true, flaggedCategories: [], maxLevel: LEVEL.CLEAN, skipped: true }; // Graceful bypass
   }
 
   if (Date.now() < cloudflareUnavailableUntil) {
@@ -434,20 +293,6 @@ async function checkWithLlamaGuard(fieldTexts) {
   });
 }
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// REGEX CLASSIFIER
-// ═══════════════════════════════════════════════════════════════════════════════
-
-function classifyText(original, normalized) {
-  for (const p of ZERO_TOL_PATTERNS)         { if (p.test(original))   return { level: LEVEL.ZERO_TOL,   reason: 'zero_tolerance'        }; }
-  for (const p of ZERO_TOL_NORMALIZED)        { if (p.test(normalized))  return { level: LEVEL.ZERO_TOL,   reason: 'zero_tolerance_bypass' }; }
-  for (const p of HARASSMENT_PATTERNS)        { if (p.test(original))   return { level: LEVEL.HARASSMENT,  reason: 'targeted_harassment'   }; }
-  for (const p of POLICY_PATTERNS_ORIGINAL)   { if (p.test(original))   return { level: LEVEL.POLICY,      reason: 'policy_solicitation'   }; }
-  for (const p of POLICY_PATTERNS_NORMALIZED) { if (p.test(normalized))  return { level: LEVEL.POLICY,      reason: 'policy_bypass'         }; }
-  for (const p of SOFT_PATTERNS)              { if (p.test(original))   return { level: LEVEL.SOFT,        reason: 'minor_violation'       }; }
-  return { level: LEVEL.CLEAN, reason: null };
-}
-
 // ═══════════════════════════════════════════════════════════════════════════════
 // USER-FACING MESSAGES — Professional. Neutral. Firm.
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -557,10 +402,9 @@ function moderateQuestionnaireSync(questionnaire) {
     const trimmed    = raw.trim();
     if (!trimmed) continue;
 
-    const normalized           = normalizeText(trimmed);
-    const { level, reason }    = classifyText(trimmed, normalized);
+    const { action, level, reason, cleanedText } = moderateContent(trimmed, { surface: 'profile' });
 
-    if (level >= LEVEL.POLICY) {
+    if (action === 'block') {
       cleaned[field] = '';
       if (level > maxLevel) maxLevel = level;
       violations.push({ field, level, reason, originalValue: trimmed });
@@ -568,15 +412,7 @@ function moderateQuestionnaireSync(questionnaire) {
       continue;
     }
 
-    if (level === LEVEL.SOFT) {
-      cleaned[field] = '';
-      if (LEVEL.SOFT > maxLevel) maxLevel = LEVEL.SOFT;
-      violations.push({ field, level: LEVEL.SOFT, reason, originalValue: trimmed });
-      errors.push({ field, code: 'SOFT_BLOCK', level: LEVEL.SOFT, message: getUserMessage(LEVEL.SOFT, reason) });
-      continue;
-    }
-
-    const autoCleaned = autoCleanText(trimmed);
+    const autoCleaned = cleanedText;
     if (autoCleaned !== trimmed) {
       violations.push({ field, level: LEVEL.CLEAN, reason: 'auto_cleaned', originalValue: trimmed, cleanedValue: autoCleaned });
       autoCleanedFields.push(field);
@@ -599,26 +435,24 @@ async function moderateChatMessage(messageText) {
   const empty = { allowed: true, cleanedText: '', level: -1, reason: null, autoCleanOnly: false, violations: [], userMessage: null };
   if (!messageText || typeof messageText !== 'string') return empty;
 
-  const trimmed           = messageText.trim();
-  const normalized        = normalizeText(trimmed);
-  const { level, reason } = classifyText(trimmed, normalized);
+  const trimmed = messageText.trim();
+  const { action, level, reason, cleanedText } = moderateContent(trimmed, { surface: 'chat' });
 
-  if (level >= LEVEL.POLICY) {
+  if (action === 'block') {
     return { allowed: false, cleanedText: '', level, reason, autoCleanOnly: false,
       violations: [{ level, reason, originalValue: trimmed }],
       userMessage: getUserMessage(level, reason) };
   }
 
-  if (level === LEVEL.SOFT) {
-    return { allowed: false, cleanedText: '', level: LEVEL.SOFT, reason, autoCleanOnly: false,
-      violations: [{ level: LEVEL.SOFT, reason, originalValue: trimmed }],
-      userMessage: getUserMessage(LEVEL.SOFT, reason) };
-  }
-
-  const autoCleaned  = autoCleanText(trimmed);
+  const autoCleaned  = cleanedText;
   const cleanedForAI = normalizeText(autoCleaned);
   if (cleanedForAI.length >= MIN_LENGTH_FOR_AI) {
-    const ai = await checkWithOpenAI({ message: cleanedForAI });
+    // No OpenAI verdict (no key, cooldown, error) → offline Hindi/Hinglish classifier
+    let ai = await checkWithOpenAI({ message: cleanedForAI }).catch((err) => {
+      console.warn('[MODERATION] Chat AI check failed — using local classifier:', err.message);
+      return null;
+    });
+    if (!ai || ai.skipped) ai = checkWithLocalClassifier({ message: autoCleaned });
     if (!ai.safe) {
       return { allowed: false, cleanedText: '', level: ai.maxLevel, reason: 'ai_flagged', autoCleanOnly: false,
         violations: [{ level: ai.maxLevel, reason: 'ai_flagged', categories: ai.flaggedCategories, originalValue: trimmed }],
@@ -806,6 +640,7 @@ function buildAutoCleanSuccessResponse(autoCleanedFields) {
 module.exports = {
   checkWithOpenAI,
   checkWithLlamaGuard,
+  checkWithLocalClassifier,
   moderateQuestionnaireSync,
   moderateChatMessage,
   applyStrikesAndEnforce,
@@ -36,6 +36,15 @@
 //   getClientIp()  — reads X-Forwarded-For directly (Traefik-safe, ::ffff: stripped)
 //   getUserId()    — reads req.userId set by authenticate middleware
 //
+// STORE:
+//   Every limiter counts in MongoDB (utils/mongoRateLimitStore.js) so limits
+//   survive restarts and are shared by all instances. Each limiter gets its own
+//   store instance named after it — the name is what GET /api/admin/rate-limits
+//   shows and what an admin clears. A store error lets the request through
+//   (passOnStoreError) rather than taking the API down with the database —
+//   except on login / OTP / password reset (credentialBase), which answer 500
+//   instead: letting those through would switch off brute-force protection.
+//
 // NOTE: GamingSession is NOT imported at top level.
 //   Lazy-required inside sessionCreationCooldown() only to avoid circular
 //   dependency crashes that would make all exported limiters undefined.
@@ -44,6 +53,7 @@
 'use strict';
 
 const { rateLimit } = require('express-rate-limit');
+const MongoRateLimitStore = require('../utils/mongoRateLimitStore');
 const { isWithinSpamWindow, nextAllowedCreateTime } = require('../utils/timeUtils');
 
 // =============================================================================
@@ -71,6 +81,13 @@ const getUserId = (req) => {
   return uid ? `uid:${uid}` : `ip:${getClientIp(req)}`;
 };
 
+// =============================================================================
+// SHARED STORE
+// =============================================================================
+
+/** New MongoDB-backed store for one limiter — never share an instance. */
+const rateLimitStore = (name) => new MongoRateLimitStore(name);
+
 // =============================================================================
 // SHARED BASE OPTIONS
 // =============================================================================
@@ -81,6 +98,7 @@ const ipBase = {
   legacyHeaders:   false,
   skipFailedRequests:     false,
   skipSuccessfulRequests: false,
+  passOnStoreError:       true,
   keyGenerator: getClientIp,
   validate: {
     xForwardedForHeader:    false,
@@ -88,12 +106,19 @@ const ipBase = {
   },
 };
 
+/** IP-keyed limiters guarding credentials — fail closed when the store errors */
+const credentialBase = {
+  ...ipBase,
+  passOnStoreError: false,
+};
+
 /** Base options for user-token-keyed limiters (post-auth endpoints) */
 const userBase = {
   standardHeaders: true,
   legacyHeaders:   false,
   skipFailedRequests:     false,
   skipSuccessfulRequests: false,
+  passOnStoreError:       true,
   keyGenerator: getUserId,
   validate: {
     xForwardedForHeader:    false,
@@ -114,7 +139,8 @@ const handler429 = (message) => (_req, res) => {
 
 /** OTP send — 3 / 15 min / IP */
 const sendOtpLimiter = rateLimit({
-  ...ipBase,
+  ...credentialBase,
+  store:    rateLimitStore('sendOtp'),
   windowMs: 15 * 60 * 1000,
   max:      3,
   handler:  handler429('Too many OTP requests from this device. Please try again in 15 minutes.'),
@@ -122,7 +148,8 @@ const sendOtpLimiter = rateLimit({
 
 /** OTP verify — 3 / 15 min / IP */
 const verifyOtpLimiter = rateLimit({
-  ...ipBase,
+  ...credentialBase,
+  store:    rateLimitStore('verifyOtp'),
   windowMs: 15 * 60 * 1000,
   max:      3,
   handler:  handler429('Too many verification attempts. Please wait and try again.'),
@@ -130,7 +157,8 @@ const verifyOtpLimiter = rateLimit({
 
 /** Login — 5 / 15 min / IP */
 const loginLimiter = rateLimit({
-  ...ipBase,
+  ...credentialBase,
+  store:    rateLimitStore('login'),
   windowMs: 15 * 60 * 1000,
   max:      5,
   handler:  handler429('Too many login attempts from this device. Please try again in 15 minutes.'),
@@ -139,6 +167,7 @@ const loginLimiter = rateLimit({
 /** Register — 5 / 15 min / IP */
 const registerLimiter = rateLimit({
   ...ipBase,
+  store:    rateLimitStore('register'),
   windowMs: 15 * 60 * 1000,
   max:      5,
   handler:  handler429('Too many registration attempts from this device. Please try again later.'),
@@ -146,7 +175,8 @@ const registerLimiter = rateLimit({
 
 /** Password reset — 3 / 15 min / IP */
 const passwordResetLimiter = rateLimit({
-  ...ipBase,
+  ...credentialBase,
+  store:    rateLimitStore('passwordReset'),
   windowMs: 15 * 60 * 1000,
   max:      3,
   handler:  handler429('Too many password reset requests. Please try again in 15 minutes.'),
@@ -158,6 +188,7 @@ const passwordResetLimiter = rateLimit({
  */
 const publicApiLimiter = rateLimit({
   ...ipBase,
+  store:    rateLimitStore('publicApi'),
   windowMs: 15 * 60 * 1000,
   max:      100,
   handler:  handler429('Too many requests. Please try again shortly.'),
@@ -174,6 +205,7 @@ const publicApiLimiter = rateLimit({
  */
 const authApiLimiter = rateLimit({
   ...userBase,
+  store:    rateLimitStore('authApi'),
   windowMs: 15 * 60 * 1000,
   max:      1500,
   handler:  handler429('You\'re making too many requests. Please slow down and try again shortly.'),
@@ -185,6 +217,7 @@ const authApiLimiter = rateLimit({
  */
 const chatMessageLimiter = rateLimit({
   ...userBase,
+  store:    rateLimitStore('chatMessage'),
   windowMs: 60 * 1000,
   max:      60,
   handler:  handler429('You\'re sending messages too fast. Please slow down.'),
@@ -196,6 +229,7 @@ const chatMessageLimiter = rateLimit({
  */
 const vibeRequestLimiter = rateLimit({
   ...userBase,
+  store:    rateLimitStore('vibeRequest'),
   windowMs: 60 * 60 * 1000,
   max:      20,
   handler:  handler429('You\'re sending too many requests. Please wait a while before trying again.'),
@@ -208,6 +242,7 @@ const vibeRequestLimiter = rateLimit({
  */
 const nearbyMoodLimiter = rateLimit({
   ...userBase,
+  store:    rateLimitStore('nearbyMood'),
   windowMs: 15 * 60 * 1000,
   max:      300,
   handler:  handler429('Too many location requests. Please wait a moment.'),
@@ -219,6 +254,7 @@ const nearbyMoodLimiter = rateLimit({
  */
 const uploadLimiter = rateLimit({
   ...userBase,
+  store:    rateLimitStore('upload'),
   windowMs: 15 * 60 * 1000,
   max:      30,
   handler:  handler429('Too many uploads. Please wait before uploading again.'),
@@ -230,6 +266,7 @@ const uploadLimiter = rateLimit({
  */
 const searchLimiter = rateLimit({
   ...userBase,
+  store:    rateLimitStore('search'),
   windowMs: 15 * 60 * 1000,
   max:      100,
   handler:  handler429('Too many search requests. Please wait a moment.'),
@@ -241,6 +278,7 @@ const searchLimiter = rateLimit({
  */
 const founderMessageBurstLimiter = rateLimit({
   ...userBase,
+  store:    rateLimitStore('founderMessageBurst'),
   windowMs: 5 * 60 * 1000,
   max:      1,
   handler:  handler429('You can only send one message to the founder every 5 minutes.'),
@@ -256,6 +294,7 @@ const founderMessageBurstLimiter = rateLimit({
  */
 const createSessionIpLimiter = rateLimit({
   ...ipBase,
+  store:    rateLimitStore('createSessionIp'),
   windowMs: 15 * 60 * 1000,
   max:      5,
   handler:  handler429('Too many session creation attempts. Please try again later.'),
@@ -269,6 +308,7 @@ const createSessionIpLimiter = rateLimit({
  */
 const globalLimiter = rateLimit({
   ...ipBase,
+  store:    rateLimitStore('global'),
   windowMs: 15 * 60 * 1000,
   max:      500,
   handler:  handler429('You\'re moving a little fast \u2728 Please take a moment and try again shortly.'),
@@ -308,6 +348,9 @@ async function sessionCreationCooldown(req, res, next) {
 // EXPORTS
 // =============================================================================
 module.exports = {
+  // Store factory (route-local limiters)
+  rateLimitStore,
+
   // Pre-auth (IP-keyed)
   globalLimiter,
   publicApiLimiter,
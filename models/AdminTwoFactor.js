@@ -0,0 +1,127 @@
+// models/AdminTwoFactor.js — Authenticator-app (TOTP) enrolment for admin accounts
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Kept out of the User document on purpose: User is read on every request by
+// middleware/auth.js and returned by several admin endpoints. 2FA secrets must
+// never ride along with those reads.
+//
+// SECRETS:
+//   TOTP secret     AES-256-GCM encrypted (key = TOTP_ENCRYPTION_KEY, falls back
+//                   to a key derived from JWT_SECRET). A DB dump alone is useless.
+//   Recovery codes  sha256 + OTP_PEPPER, single use, 10 issued at a time.
+//
+// LOCKOUT mirrors models/Otp.js — 5 wrong codes → 15-minute lock.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+const crypto   = require('crypto');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const recoveryCodeSchema = new mongoose.Schema(
+  {
+    codeHash: { type: String, required: true },
+    usedAt:   { type: Date,   default: null },
+  },
+  { _id: false }
+);
+
+const adminTwoFactorSchema = new mongoose.Schema(
+  {
+    userId: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'User',
+      required: true,
+      unique:   true,
+    },
+
+    // Encrypted "iv:authTag:ciphertext" (hex). Never plaintext.
+    secretEncrypted: {
+      type:    String,
+      default: null,
+      select:  false,
+    },
+
+    // Generated by POST /enroll, promoted to secretEncrypted on confirm.
+    pendingSecretEncrypted: {
+      type:    String,
+      default: null,
+      select:  false,
+    },
+    pendingCreatedAt: { type: Date, default: null },
+
+    enabled:    { type: Boolean, default: false },
+    enrolledAt: { type: Date,    default: null },
+
+    recoveryCodes: {
+      type:    [recoveryCodeSchema],
+      default: [],
+      select:  false,
+    },
+
+    // Last accepted TOTP time-step — the same code can never be used twice.
+    lastUsedStep: { type: Number, default: null },
+    lastVerifiedAt: { type: Date, default: null },
+
+    failedAttempts: { type: Number, default: 0 },
+    lockedUntil:    { type: Date,   default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// ── Encryption helpers ────────────────────────────────────────────────────────
+function getEncryptionKey() {
+  const raw = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!raw) {
+    throw new Error('[AdminTwoFactor] TOTP_ENCRYPTION_KEY (or JWT_SECRET) env var is not set.');
+  }
+  return crypto.createHash('sha256').update(`totp:${raw}`).digest();
+}
+
+adminTwoFactorSchema.statics.encryptSecret = function (plain) {
+  const iv     = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const enc    = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return `${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${enc.toString('hex')}`;
+};
+
+adminTwoFactorSchema.statics.decryptSecret = function (stored) {
+  if (!stored) return null;
+  const [ivHex, tagHex, dataHex] = stored.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(dataHex, 'hex')), decipher.final()]).toString('utf8');
+};
+
+// ── Recovery code helpers ─────────────────────────────────────────────────────
+// Format: xxxx-xxxx-xxxx (hex) — easy to read out over the phone, 48 bits each.
+adminTwoFactorSchema.statics.generateRecoveryCodes = function () {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+  );
+};
+
+adminTwoFactorSchema.statics.hashRecoveryCode = function (code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto
+    .createHash('sha256')
+    .update(normalized + (process.env.OTP_PEPPER || ''))
+    .digest('hex');
+};
+
+// ── Methods ───────────────────────────────────────────────────────────────────
+adminTwoFactorSchema.methods.isLocked = function () {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+adminTwoFactorSchema.methods.remainingRecoveryCodes = function () {
+  return (this.recoveryCodes || []).filter(c => !c.usedAt).length;
+};
+
+module.exports = mongoose.model('AdminTwoFactor', adminTwoFactorSchema);
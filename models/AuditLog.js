@@ -78,6 +78,19 @@ const auditLogSchema = new mongoose.Schema({
       'UPDATE_SYSTEM_SETTINGS',
       'VIEW_DASHBOARD',
       'GENERATE_REPORT',
+      'RESET_RATE_LIMIT',
+      'CREATE_MODERATION_RULE',
+      'UPDATE_MODERATION_RULE',
+      'DELETE_MODERATION_RULE',
+      'UPDATE_NOTIFICATION_CHANNEL_RULE',
+      'DELETE_NOTIFICATION_CHANNEL_RULE',
+      'UPHOLD_APPEAL',
+      'OVERTURN_APPEAL',
+      'REVIEW_MODERATION_TASK',
+      'BLOCK_IMAGE',
+      'UNBLOCK_IMAGE',
+      'ACKNOWLEDGE_CRISIS_CASE',
+      'RESOLVE_CRISIS_CASE',
       
       // Booking Actions
       'VIEW_BOOKING_DETAILS',
@@ -90,6 +103,14 @@ const auditLogSchema = new mongoose.Schema({
       'SEND_BROADCAST',
       'AI_REPHRASE_BROADCAST',
       
+      // Admin Two-Factor Authentication
+      'TWO_FACTOR_ENROLMENT_STARTED',
+      'TWO_FACTOR_ENROLMENT_CONFIRMED',
+      'TWO_FACTOR_VERIFICATION_FAILED',
+      'TWO_FACTOR_RECOVERY_CODE_USED',
+      'TWO_FACTOR_RECOVERY_CODES_REGENERATED',
+      'TWO_FACTOR_RESET',
+      
       // Other
       'UNAUTHORIZED_ACCESS_ATTEMPT'
     ]
@@ -0,0 +1,42 @@
+// models/BlockedImageHash.js — Perceptual hashes of images the Safety Team removed
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Uploads within BLOCKLIST_MAX_DISTANCE bits of an entry are rejected before
+// SafeSearch runs (services/imageHashService.js). Entries are added when an
+// admin removes a post and through /api/admin/image-blocklist; restoring the
+// post drops its entry again.
+//
+//   hash      64-bit dHash, 16 hex chars
+//   bands     the hash cut into eight 8-bit bands ("<index>:<hex>") — two
+//             hashes within 7 bits share at least one, so an indexed $in
+//             finds every near-duplicate candidate
+//   severity  'extreme' re-uploads take the 7-day suspension path
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const blockedImageHashSchema = new mongoose.Schema(
+  {
+    hash:  { type: String, required: true, unique: true, match: /^[0-9a-f]{16}$/ },
+    bands: { type: [String], index: true },
+
+    reason:   { type: String, default: 'removed_content', maxlength: 200 },
+    severity: { type: String, enum: ['standard', 'extreme'], default: 'standard' },
+
+    sourceType: { type: String, enum: ['post', 'food_post', 'profile_photo', 'manual'], default: 'manual' },
+    sourceId:   { type: mongoose.Schema.Types.ObjectId, default: null },
+    addedBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    hits:      { type: Number, default: 0 },
+    lastHitAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+blockedImageHashSchema.index({ sourceType: 1, sourceId: 1 });
+
+module.exports = mongoose.model('BlockedImageHash', blockedImageHashSchema);
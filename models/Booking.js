@@ -91,6 +91,13 @@ const bookingSchema = new mongoose.Schema({
     default: null
   },
   
+  // Set atomically when the companion's share is credited to paymentInfo —
+  // guards against crediting the same booking twice.
+  earningsCreditedAt: {
+    type: Date,
+    default: null
+  },
+  
   // =============================================
   // REVIEW TRACKING (NEW)
   // =============================================
@@ -140,17 +147,15 @@ bookingSchema.pre('save', function(next) {
 /**
  * Update companion earnings when booking is completed
  */
-bookingSchema.post('save', async function(doc, next) {
+bookingSchema.post('save', async function(doc) {
   // Check if status just changed to 'completed' and payment is 'paid'
   if (doc.status === 'completed' && 
       doc.paymentStatus === 'paid' && 
       !doc.earningsPaidOut) {
     
-    const { updateEarningsOnBookingCompletion } = require('../jobs/payoutCron');
+    const { updateEarningsOnBookingCompletion } = require('../cronJobs/payoutCron');
     await updateEarningsOnBookingCompletion(doc._id);
   }
-  
-  next();
 });
 
 // =============================================
@@ -189,6 +194,9 @@ bookingSchema.methods.complete = async function() {
 
 /**
  * Cancel booking with refund
+ * Calling it again on a cancelled booking that is still 'paid' retries the refund.
+ * Returns the refund result (or null when nothing was paid) — the booking is
+ * cancelled either way.
  */
 bookingSchema.methods.cancel = async function(reason) {
   if (this.status === 'completed') {
@@ -197,17 +205,15 @@ bookingSchema.methods.cancel = async function(reason) {
   
   this.status = 'cancelled';
   
-  // If payment was made, mark for refund
+  // If payment was made, refund via the checkout subsystem
+  let refund = null;
   if (this.paymentStatus === 'paid') {
-    this.paymentStatus = 'refunded';
-    
-    // Process refund via payment gateway
-    const paymentGateway = require('../services/paymentGateway');
-    await paymentGateway.refundPayment(this.paymentId, this.totalAmount);
+    const { refundBookingPayment } = require('../services/checkoutService');
+    refund = await refundBookingPayment(this, reason);
   }
   
   await this.save();
-  return this;
+  return refund;
 };
 
 /**
@@ -0,0 +1,65 @@
+// models/CrisisCase.js — Safety Team case opened when a letter mentions self-harm
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Opened by services/crisisEscalationService.js, worked through
+// /api/admin/crisis-cases. One open case per letter: a later self-harm hit on
+// the same letter (e.g. the author's update) is appended to `triggers`.
+//
+//   status     OPEN          alert sent, nobody has picked it up
+//              ACKNOWLEDGED  a safety admin is on it (acknowledgedBy)
+//              RESOLVED      closed with an outcome
+//   outcome    REINSTATE     letter goes back to the feed
+//              KEEP_HIDDEN   letter stays off the feed, author keeps it
+//              REMOVE        letter is removed
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const crisisCaseSchema = new mongoose.Schema(
+  {
+    caseId:   { type: String, required: true, unique: true },
+    userId:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    letterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Letter', required: true, index: true },
+
+    triggers: [{
+      _id:       false,
+      source:    { type: String, enum: ['letter', 'letter_update'], required: true },
+      excerpt:   { type: String, maxlength: 500 },
+      createdAt: { type: Date, default: Date.now }
+    }],
+
+    // Country whose helplines the author was shown
+    country: { type: String, default: null },
+
+    status: { type: String, enum: ['OPEN', 'ACKNOWLEDGED', 'RESOLVED'], default: 'OPEN', index: true },
+    telegramMessageId: { type: Number, default: null },
+
+    acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    acknowledgedAt: { type: Date, default: null },
+
+    resolution: {
+      outcome:    { type: String, enum: ['REINSTATE', 'KEEP_HIDDEN', 'REMOVE', null], default: null },
+      note:       { type: String, default: null },
+      resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      resolvedAt: { type: Date, default: null }
+    }
+  },
+  { timestamps: true }
+);
+
+// Open-case lookup per letter and the queue (oldest open first)
+crisisCaseSchema.index({ letterId: 1, status: 1 });
+crisisCaseSchema.index({ status: 1, createdAt: 1 });
+
+crisisCaseSchema.statics.generateId = function () {
+  const now  = new Date();
+  const yr   = now.getFullYear();
+  const mo   = String(now.getMonth() + 1).padStart(2, '0');
+  const dy   = String(now.getDate()).padStart(2, '0');
+  const rand = Math.floor(1000 + Math.random() * 9000);
+  return `HCC-${yr}${mo}${dy}-${rand}`;
+};
+
+module.exports = mongoose.model('CrisisCase', crisisCaseSchema);
@@ -44,6 +44,11 @@ const FoodPostSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Perceptual hash (services/imageHashService.js) — for the removed-image blocklist
+    imageHash: {
+      type: String,
+      default: null,
+    },
     caption: {
       type: String,
       maxlength: [120, 'Caption cannot exceed 120 characters'],
@@ -0,0 +1,31 @@
+// models/ImageModerationCache.js — SafeSearch verdicts keyed by perceptual hash
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Re-uploads and near-duplicates (within CACHE_MAX_DISTANCE bits) reuse the
+// stored verdict instead of calling Google Vision again. Like ModerationCache
+// for text, entries expire after 30 days so policy changes catch up.
+//
+//   bands  the hash cut into four 16-bit bands ("<index>:<hex>") — hashes
+//          within 3 bits share at least one
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const imageModerationCacheSchema = new mongoose.Schema({
+  hash:  { type: String, required: true, unique: true },
+  bands: { type: [String], index: true },
+
+  verdict: {
+    blocked:        { type: Boolean, default: false },
+    extremeContent: { type: Boolean, default: false },
+    blockReason:    { type: String, default: null },
+    scores:         { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+
+  hits:      { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now, expires: 30 * 24 * 60 * 60 }, // TTL 30 days
+});
+
+module.exports = mongoose.model('ImageModerationCache', imageModerationCacheSchema);
@@ -0,0 +1,74 @@
+// models/Job.js — Persistent delayed job (see services/jobQueue.js)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// LIFECYCLE:
+//   pending ──lease──▶ leased ──ok──▶ completed   (TTL-deleted after 7 days)
+//      ▲                 │
+//      └──── retry ──────┤ error, attempts < maxAttempts (exponential backoff)
+//                        └──▶ dead                (kept for inspection / manual retry)
+//
+// A leased job whose leaseUntil passes (worker crashed mid-run, deploy) is
+// picked up again by any worker — nothing in flight is lost on restart.
+//
+// uniqueKey (optional) makes enqueue idempotent: recurring cron slots and
+// per-booking matching phases use it so two instances never double-schedule.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['pending', 'leased', 'completed', 'dead'];
+
+const jobSchema = new mongoose.Schema(
+  {
+    // Handler name, e.g. 'randomBooking.matchingPhase'
+    name:  { type: String, required: true },
+    // Grouping for the admin view ('matching', 'payouts', 'maintenance', ...)
+    queue: { type: String, default: 'default' },
+
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    status: {
+      type:    String,
+      enum:    JOB_STATUSES,
+      default: 'pending',
+    },
+
+    runAt: { type: Date, required: true, default: Date.now },
+
+    attempts:    { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+
+    leasedBy:   { type: String, default: null },
+    leaseUntil: { type: Date,   default: null },
+
+    lastError:   { type: String, default: null },
+    startedAt:   { type: Date,   default: null },
+    completedAt: { type: Date,   default: null },
+    deadAt:      { type: Date,   default: null },
+
+    uniqueKey: { type: String, default: undefined },
+
+    // Set on completion only — completed jobs are cleaned up, dead ones are kept.
+    expireAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Worker lease query: due pending jobs, oldest first
+jobSchema.index({ status: 1, runAt: 1 });
+// Expired-lease recovery
+jobSchema.index({ status: 1, leaseUntil: 1 });
+// Admin inspection
+jobSchema.index({ queue: 1, name: 1, status: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+jobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('Job', jobSchema);
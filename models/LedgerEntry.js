@@ -0,0 +1,99 @@
+// models/LedgerEntry.js — Append-only double-entry earnings ledger
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Source of truth for companion money. User.paymentInfo counters are a cache
+// of what this collection says; GET /api/payment/admin/reconciliation flags
+// any user where the two disagree.
+//
+// Every posting is a transaction of ≥2 lines sharing `transactionKey`, with
+// Σ debits = Σ credits. Lines are never updated or deleted — a mistake is
+// corrected by posting a reversing transaction (kind 'manual_adjustment').
+//
+// ACCOUNTS:
+//   companion_payable   per-user liability (userId set) — what we owe them
+//   platform_revenue    our 25% fee
+//   gateway_clearing    money collected from bookers, not yet settled
+//   payout_bank         money sent out to companions' UPI
+//   adjustments         counter-account for manual corrections
+//
+// companion_payable balance (credits − debits) == paymentInfo.pendingPayout.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const ACCOUNTS = [
+  'companion_payable',
+  'platform_revenue',
+  'gateway_clearing',
+  'payout_bank',
+  'adjustments',
+];
+
+const KINDS = [
+  'booking_earned',     // companion share of a completed booking
+  'platform_fee',       // platform share of the same booking
+  'payout_debit',       // payout completed
+  'payout_reversal',    // payout returned by the bank
+  'refund_clawback',    // booker refunded after earnings were credited
+  'manual_adjustment',  // admin correction / opening balance
+];
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    // Idempotency key for the whole transaction, e.g. "booking_earned:<bookingId>"
+    transactionKey: { type: String, required: true },
+    line:           { type: Number, required: true, min: 0 },
+
+    kind:    { type: String, enum: KINDS,    required: true },
+    account: { type: String, enum: ACCOUNTS, required: true },
+
+    direction: { type: String, enum: ['debit', 'credit'], required: true },
+    amount:    { type: Number, required: true, min: 0 },
+
+    // Set on companion_payable lines
+    userId: {
+      type:    mongoose.Schema.Types.ObjectId,
+      ref:     'User',
+      default: null,
+    },
+
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+    payoutId:  { type: mongoose.Schema.Types.ObjectId, ref: 'Payout',  default: null },
+
+    description: { type: String, default: null },
+    createdBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+ledgerEntrySchema.index({ transactionKey: 1, line: 1 }, { unique: true });
+ledgerEntrySchema.index({ userId: 1, account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ bookingId: 1 });
+ledgerEntrySchema.index({ payoutId: 1 });
+
+// ── Append-only ──────────────────────────────────────────────────────────────
+function rejectMutation() {
+  throw new Error('LedgerEntry is append-only — post a correcting transaction instead.');
+}
+
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('LedgerEntry is append-only — post a correcting transaction instead.'));
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete',
+].forEach(op => ledgerEntrySchema.pre(op, { document: false, query: true }, rejectMutation));
+ledgerEntrySchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+ledgerEntrySchema.statics.KINDS    = KINDS;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -50,6 +50,7 @@ const letterSchema = new mongoose.Schema(
       type: Number,
       default: 0
     },
+    // Reader-days, not people: each reader counts once per UTC day (models/LetterView.js)
     uniqueReadersCount: {
       type: Number,
       default: 0
@@ -79,9 +80,34 @@ const letterSchema = new mongoose.Schema(
       type: String,
       default: 'normal'
     },
+    // Self-harm content: kept out of the feed until the Safety Team resolves
+    // the letter's CrisisCase (services/crisisEscalationService.js)
+    crisisHold: {
+      type: Boolean,
+      default: false
+    },
     expiresAt: {
       type: Date,
       required: true
+    },
+    // Set once the author has used their single 24h extension
+    extendedAt: {
+      type: Date,
+      default: null
+    },
+    // The author's one follow-up on how things turned out. Held like a letter
+    // (isModerated) when the 'letter' surface flags it.
+    update: {
+      type: new mongoose.Schema(
+        {
+          body: { type: String, required: true, minlength: 10, maxlength: 500 },
+          isModerated: { type: Boolean, default: false },
+          moderationReason: { type: String, default: null },
+          createdAt: { type: Date, default: Date.now }
+        },
+        { _id: false }
+      ),
+      default: null
     }
   },
   { timestamps: true }
@@ -52,7 +52,35 @@ const letterAnalyticsSchema = new mongoose.Schema(
     engagementAverage: {
       type: Number,
       default: 0
-    }
+    },
+    // Share of the day's letters with at least one visible note
+    replyRate: {
+      type: Number,
+      default: 0
+    },
+    // Median minutes from letter to its first visible note (null when none)
+    medianFirstReplyMinutes: {
+      type: Number,
+      default: null
+    },
+    // Share of the day's letters reported at least once
+    reportRate: {
+      type: Number,
+      default: 0
+    },
+    // The same metrics per category and per language
+    breakdown: [
+      {
+        _id: false,
+        dimension: { type: String, enum: ['category', 'language'] },
+        key: String,
+        lettersCreated: Number,
+        activeReaders: Number,
+        replyRate: Number,
+        medianFirstReplyMinutes: Number,
+        reportRate: Number
+      }
+    ]
   },
   { timestamps: true }
 );
@@ -20,10 +20,13 @@ const letterNotificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['comfort', 'warmth', 'note'],
+      // author_reply → the letter author answered your note
+      // thread_reply → a note writer answered you back in their thread
+      // update       → the author posted how things turned out
+      enum: ['comfort', 'warmth', 'note', 'author_reply', 'thread_reply', 'update'],
       required: true
     },
-    // Only populated for type === 'note' (first 100 chars of the reply body)
+    // Only populated for text types (note, author_reply, thread_reply, update)
     preview: {
       type: String,
       default: null,
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One random salt per UTC day for hashing letter readers (services/readerHashService.js).
+// The TTL drops each salt two days later, after which that day's reader hashes
+// can no longer be recomputed from a user ID.
+const letterReaderSaltSchema = new mongoose.Schema(
+  {
+    day: {
+      type: String, // YYYY-MM-DD (UTC)
+      required: true,
+      unique: true
+    },
+    salt: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 2 * 24 * 60 * 60
+    }
+  }
+);
+
+module.exports = mongoose.model('LetterReaderSalt', letterReaderSaltSchema);
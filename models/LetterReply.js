@@ -12,6 +12,18 @@ const letterReplySchema = new mongoose.Schema(
       ref: 'User',
       required: true
     },
+    // Set on thread messages: the top-level note this message answers.
+    // A thread is only ever between the letter author and that note's writer.
+    parentReplyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LetterReply',
+      default: null
+    },
+    // True when the letter author wrote this message (shown under their authorHash)
+    fromLetterAuthor: {
+      type: Boolean,
+      default: false
+    },
     body: {
       type: String,
       required: true,
@@ -32,5 +44,6 @@ const letterReplySchema = new mongoose.Schema(
 
 // Indexes
 letterReplySchema.index({ letterId: 1, createdAt: -1 });
+letterReplySchema.index({ parentReplyId: 1, createdAt: 1 });
 
 module.exports = mongoose.model('LetterReply', letterReplySchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One document per (letter, reader, UTC day). Readers are stored only as the
+// day's salted hash (services/readerHashService.js), so views can be counted
+// per day but not tied to a user or linked across days.
+// Backs Letter.uniqueReadersCount (services/letterRanking.js) and the active
+// reader metrics in services/analytics.service.js. Because the hash rotates
+// daily, both count reader-days: someone who opens a letter on three days is
+// three. Upgrading from the old per-user views? Run
+// scripts/migrateLetterViewIndex.js once to drop the { letterId, userId } index.
+const letterViewSchema = new mongoose.Schema(
+  {
+    letterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Letter',
+      required: true
+    },
+    readerHash: {
+      type: String,
+      required: true
+    },
+    day: {
+      type: String, // YYYY-MM-DD (UTC)
+      required: true
+    },
+    // Copied from the letter so daily breakdowns don't need a $lookup
+    category: {
+      type: String,
+      default: null
+    },
+    language: {
+      type: String,
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 35 * 24 * 60 * 60
+    }
+  }
+);
+
+letterViewSchema.index({ letterId: 1, readerHash: 1 }, { unique: true });
+letterViewSchema.index({ day: 1 });
+
+module.exports = mongoose.model('LetterView', letterViewSchema);
@@ -0,0 +1,64 @@
+// models/ModerationAppeal.js — User appeals against strikes, suspensions and bans
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Filed through /api/appeals, decided through /api/admin/appeals
+// (services/appealService.js does both).
+//
+//   type         STRIKE      one moderationFlags.violations entry (violationId)
+//                SUSPENSION  the current suspension or profile-edit cooldown
+//                BAN         the current ban
+//   targetKey    identifies the contested decision so it can only be appealed
+//                once — "strike:<violationId>", "suspension:<ms>", "ban:<ms>"
+//   snapshot     what the user saw when they appealed (the violation, or the
+//                suspensionInfo / banInfo) — the live fields change on reinstatement
+//   violationIds the violations the decision rests on; removed on OVERTURN
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const moderationAppealSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    type:        { type: String, enum: ['STRIKE', 'SUSPENSION', 'BAN'], required: true },
+    violationId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    targetKey:   { type: String, required: true },
+
+    statement: { type: String, required: true, trim: true, minlength: 20, maxlength: 2000 },
+
+    snapshot:     { type: mongoose.Schema.Types.Mixed, default: {} },
+    violationIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+
+    status: {
+      type: String,
+      enum: ['PENDING', 'UPHELD', 'OVERTURNED'],
+      default: 'PENDING',
+    },
+
+    decision: {
+      decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      decidedAt: { type: Date,   default: null },
+      note:      { type: String, default: null, maxlength: 1000 },
+    },
+
+    // Set on OVERTURN when the account went back to ACTIVE
+    reinstated: { type: Boolean, default: false },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One appeal per decision
+moderationAppealSchema.index({ userId: 1, targetKey: 1 }, { unique: true });
+// Admin queue
+moderationAppealSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ModerationAppeal', moderationAppealSchema);
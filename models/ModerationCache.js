@@ -6,6 +6,7 @@ const moderationCacheSchema = new mongoose.Schema({
   openAiResult: { type: mongoose.Schema.Types.Mixed, default: null },
   llamaGuardResult: { type: mongoose.Schema.Types.Mixed, default: null },
   ruleEngineResult: { type: mongoose.Schema.Types.Mixed, default: null },
+  localClassifierResult: { type: mongoose.Schema.Types.Mixed, default: null }, // offline fallback, when neither AI provider answered
   createdAt: { type: Date, default: Date.now, expires: 30 * 24 * 60 * 60 } // TTL 30 days
 });
 
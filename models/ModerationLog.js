@@ -10,6 +10,7 @@ const moderationLogSchema = new mongoose.Schema({
   openAiResult: { type: mongoose.Schema.Types.Mixed, default: null },
   llamaGuardResult: { type: mongoose.Schema.Types.Mixed, default: null },
   ruleEngineResult: { type: mongoose.Schema.Types.Mixed, default: null },
+  localClassifierResult: { type: mongoose.Schema.Types.Mixed, default: null },
   finalDecision: { type: String, enum: ['APPROVE', 'REVIEW', 'REJECT', 'PENDING_REVIEW'], required: true },
   retryCount: { type: Number, default: 0 },
   timestamp: { type: Date, default: Date.now }
@@ -0,0 +1,57 @@
+// models/ModerationRule.js — Admin-editable content-moderation rules
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Layered on top of the built-in policy (config/moderationRules.js) by
+// services/moderationPolicy.js. A rule whose key matches a built-in replaces
+// it (set enabled:false to switch a built-in off); deleting the document
+// restores the built-in. Managed through /api/admin/moderation-rules.
+//
+//   matchType  'keyword' — each pattern is a literal word/phrase (whole-word,
+//              case-insensitive); 'regex' — each pattern is a RegExp source,
+//              without nested quantifiers such as (a+)+
+//   target     'original' | 'normalized' | 'transliterated' — the last folds
+//              Devanagari and Hinglish spellings, so one keyword covers
+//              'chootiya', 'chutiya' and 'चूतिया'; a trailing * matches any ending
+//   surfaces   empty = every surface
+//   actions    { <surface>: 'allow'|'clean'|'review'|'block' } overrides
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const moderationRuleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9_]{2,60}$/,
+    },
+    description: { type: String, default: '', maxlength: 500 },
+
+    category: { type: String, required: true, trim: true, lowercase: true, default: 'other' },
+    level:    { type: Number, required: true, min: 0, max: 4 },
+    reason:   { type: String, default: null },
+
+    target:    { type: String, enum: ['original', 'normalized', 'transliterated'], default: 'original' },
+    matchType: { type: String, enum: ['keyword', 'regex'], default: 'keyword' },
+    patterns:  { type: [String], required: true },
+    flags:     { type: String, default: 'i', match: /^[imsu]*$/ },
+
+    surfaces: { type: [String], default: [] },
+    actions:  { type: Map, of: String, default: {} },
+
+    enabled: { type: Boolean, default: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('ModerationRule', moderationRuleSchema);
@@ -25,7 +25,31 @@ const moderationTaskSchema = new mongoose.Schema({
   },
   retryCount: { type: Number, default: 0 },
   nextAttemptAt: { type: Date, default: Date.now, index: true },
-  lastError: { type: String, default: null }
+  lastError: { type: String, default: null },
+
+  // Set by cronJobs/aiModerationWorker.js — contentHash keys ModerationCache
+  contentHash: { type: String, default: null },
+  aiDecision: { type: String, enum: ['APPROVE', 'REVIEW', 'REJECT', null], default: null },
+  flaggedPaths: [{ type: String }],
+
+  // Human review (services/moderationReviewService.js). 'pending' when the AI
+  // flagged something or gave up (failed_permanently); 'none' for clean tasks.
+  review: {
+    status: { type: String, enum: ['none', 'pending', 'decided'], default: 'none' },
+    fields: [{
+      _id: false,
+      path: { type: String, required: true },
+      decision: { type: String, enum: ['approve', 'reject'], required: true },
+      aiVerdict: { type: String, enum: ['approve', 'reject', null], default: null }
+    }],
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    decidedAt: { type: Date, default: null },
+    note: { type: String, default: null }
+  }
 }, { timestamps: true });
 
+// Review queue (oldest first) and reviewer stats
+moderationTaskSchema.index({ 'review.status': 1, createdAt: 1 });
+moderationTaskSchema.index({ 'review.decidedBy': 1, 'review.decidedAt': -1 });
+
 module.exports = mongoose.model('ModerationTask', moderationTaskSchema);
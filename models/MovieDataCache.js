@@ -0,0 +1,26 @@
+// models/MovieDataCache.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Cached TMDB / Google Places responses, shared by every instance.
+// Written and read by services/movieDataProvider.js.
+//
+// FIELD NOTES:
+//  • key         — e.g. 'tmdb:trending', 'places:nearby:28.61:77.21:8000'
+//  • freshUntil  — served without calling the API until then
+//  • expiresAt   — kept (stale) until then, for when the API is failing or out
+//                  of quota; MongoDB removes the document afterwards
+// ─────────────────────────────────────────────────────────────────────────────
+'use strict';
+
+const mongoose = require('mongoose');
+
+const movieDataCacheSchema = new mongoose.Schema({
+  key:        { type: String, required: true, unique: true },
+  provider:   { type: String, required: true },
+  value:      { type: mongoose.Schema.Types.Mixed, required: true },
+  freshUntil: { type: Date, required: true },
+  expiresAt:  { type: Date, required: true },
+}, { timestamps: true });
+
+movieDataCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('MovieDataCache', movieDataCacheSchema);
@@ -0,0 +1,52 @@
+// models/MovieTicketPlan.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Seat / showtime plan for a movie hangout — one per MovieSession.
+// Managed by services/moviePlanService.js.
+//
+// FIELD NOTES:
+//  • proposedBy    — the session admin; they book all the seats and the others
+//                    pay them back their share
+//  • version       — bumps on every (re)proposal; confirmations reset with it
+//  • members       — session participants at proposal time, plus anyone who
+//                    joins and responds later. The admin is confirmed and paid.
+//  • status        — 'proposed' → 'booked' (tickets bought) | 'cancelled'
+//  • remindedAt    — last unpaid-share reminder, per member
+// ─────────────────────────────────────────────────────────────────────────────
+'use strict';
+
+const mongoose = require('mongoose');
+
+const planMemberSchema = new mongoose.Schema({
+  userId:       { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  response:     { type: String, enum: ['pending', 'confirmed', 'declined'], default: 'pending' },
+  respondedAt:  { type: Date, default: null },
+  payment:      { type: String, enum: ['unpaid', 'paid'], default: 'unpaid' },
+  paidAt:       { type: Date, default: null },
+  // Who marked it paid — the member themselves or the admin who collected it
+  paymentMarkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  remindedAt:   { type: Date, default: null },
+}, { _id: false });
+
+const movieTicketPlanSchema = new mongoose.Schema({
+  sessionId:  { type: mongoose.Schema.Types.ObjectId, ref: 'MovieSession', required: true, unique: true },
+  proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  version:    { type: Number, default: 1 },
+
+  showTime:     { type: Date, required: true },
+  seats:        { type: [String], default: [] },    // e.g. ['H7', 'H8', 'H9']
+  pricePerSeat: { type: Number, required: true, min: 0 },   // ₹, one member's share
+  note:         { type: String, default: '', maxlength: 300 },
+
+  members: { type: [planMemberSchema], default: [] },
+
+  status:           { type: String, enum: ['proposed', 'booked', 'cancelled'], default: 'proposed' },
+  bookingReference: { type: String, default: null },
+  bookedAt:         { type: Date, default: null },
+
+  // Removed a day after the show, like the session itself
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+movieTicketPlanSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+module.exports = mongoose.model('MovieTicketPlan', movieTicketPlanSchema);
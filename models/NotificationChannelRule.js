@@ -0,0 +1,38 @@
+// models/NotificationChannelRule.js — Admin overrides of an event's delivery channels
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Layered on top of the defaults in config/notificationEvents.js by
+// services/notificationChannels.js. Unset fields keep the event's default;
+// deleting the document restores it. Managed through
+// /api/admin/notification-channels.
+//
+//   inApp             keep a Notification row even if the event has no inbox
+//                     of its own (events that have one always keep it)
+//   email             'off' | 'fallback' | 'always'
+//   ackWindowMinutes  with 'fallback', email a push the app has not
+//                     acknowledged after this long (0 = only when it fails)
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const notificationChannelRuleSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    inApp:            { type: Boolean, default: undefined },
+    email:            { type: String, enum: ['off', 'fallback', 'always'], default: undefined },
+    ackWindowMinutes: { type: Number, min: 0, max: 24 * 60, default: undefined },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('NotificationChannelRule', notificationChannelRuleSchema);
@@ -0,0 +1,88 @@
+// models/NotificationDelivery.js
+// One row per services/notificationDispatcher.js dispatch() — what happened to
+// the push and why. Also the lookup for collapsing duplicates and the record a
+// quiet-hours deferral, a digest or an email copy is sent from later.
+// Retention: MongoDB TTL auto-deletes after 30 days.
+
+const mongoose = require('mongoose');
+
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    event: {
+      type: String,
+      required: true
+    },
+    collapseKey: {
+      type: String,
+      required: true
+    },
+
+    // Payload as it will be (or was) pushed — kept for deferred sends
+    title: { type: String, default: '' },
+    body:  { type: String, default: '' },
+    data:  { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    status: {
+      type: String,
+      enum: [
+        'SENT',                // at least one token accepted it
+        'FAILED',              // every token rejected it, or FCM threw
+        'NO_TOKENS',           // user has no registered device
+        'SUPPRESSED',          // preference toggle is off
+        'COLLAPSED',           // duplicate of a recent dispatch
+        'DEFERRED',            // quiet hours — sends at deliverAfter
+        'DIGESTED'             // waiting for the digest push at deliverAfter
+      ],
+      required: true
+    },
+    reason:       { type: String, default: null },
+    deliverAfter: { type: Date, default: null },
+    sentAt:       { type: Date, default: null },
+    // Digest push this event went out in (its own row, event 'notifications.digest')
+    digestDeliveryId: { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationDelivery', default: null },
+
+    successCount:  { type: Number, default: 0 },
+    failureCount:  { type: Number, default: 0 },
+    prunedTokens:  { type: Number, default: 0 },
+
+    // In-app record written alongside the push, if the event has one
+    notificationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Notification', default: null },
+    activityId:     { type: mongoose.Schema.Types.ObjectId, ref: 'Activity', default: null },
+
+    // The app showed the push (POST /api/notifications/deliveries/:id/ack)
+    acknowledgedAt: { type: Date, default: null },
+
+    // Email copy, per the event's channel rule (services/notificationChannels.js)
+    emailStatus: {
+      type: String,
+      enum: [
+        'PENDING',             // 'notifications.email' job queued
+        'SENT',
+        'SKIPPED'              // acknowledged in time, no address, or rule turned off
+      ],
+      default: null
+    },
+    emailReason: { type: String, default: null },
+    emailSentAt: { type: Date, default: null },
+
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 30 * 24 * 60 * 60
+    }
+  }
+);
+
+// Collapse lookup: latest dispatch for this user + key
+notificationDeliverySchema.index({ userId: 1, collapseKey: 1, createdAt: -1 });
+notificationDeliverySchema.index({ event: 1, status: 1, createdAt: -1 });
+// Digest sweep: a user's held events that are due
+notificationDeliverySchema.index({ userId: 1, status: 1, deliverAfter: 1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -15,7 +15,7 @@
 //      DB lockout = brute-force via DB dump is effectively impossible.
 //
 // 🛡️ BRUTE-FORCE PREVENTION (layered defense-in-depth):
-//   Layer 1: express-rate-limit       → blocks IPs after N requests (fast, memory)
+//   Layer 1: express-rate-limit       → blocks IPs after N requests (shared MongoDB counters)
 //   Layer 2: DB resend cooldown        → per-email throttle, cross-instance safe
 //   Layer 3: attempts + lockedUntil   → after 5 wrong OTPs, locked 15 min in DB
 //   Layer 4: bcrypt slow hashing      → expensive even if layers 1-3 bypassed
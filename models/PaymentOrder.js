@@ -0,0 +1,135 @@
+// models/PaymentOrder.js — Gateway checkout order for a companion Booking
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// One document per gateway order. A booking normally has exactly one, but a
+// failed/expired order is kept and a fresh one created on retry so the
+// attempt history survives.
+//
+// LIFECYCLE:
+//   created ──▶ paid ──▶ refund_pending ──▶ refunded
+//      │                        │
+//      ├──▶ failed              └──▶ paid (refund call failed — retried later)
+//      └──▶ expired
+//
+// Booking.paymentStatus is the summary the rest of the app reads; this model
+// holds the gateway identifiers and signature needed to prove it.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Unpaid orders stop being accepted after this long — the client must check out again.
+const ORDER_TTL_MS = 30 * 60 * 1000;
+
+const ORDER_STATUSES = ['created', 'paid', 'failed', 'expired', 'refund_pending', 'refunded'];
+
+const orderEventSchema = new mongoose.Schema(
+  {
+    type:   { type: String, required: true },
+    at:     { type: Date,   default: Date.now },
+    detail: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const paymentOrderSchema = new mongoose.Schema(
+  {
+    bookingId: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'Booking',
+      required: true,
+      index:    true,
+    },
+    // Payer (Booking.userId)
+    userId: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'User',
+      required: true,
+      index:    true,
+    },
+    companionId: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'User',
+      required: true,
+    },
+
+    // Rupees — same unit as Booking.totalAmount
+    amount:   { type: Number, required: true, min: 1 },
+    currency: { type: String, default: 'INR' },
+    receipt:  { type: String, required: true },
+
+    gatewayOrderId: {
+      type:     String,
+      required: true,
+      unique:   true,
+    },
+    gatewayPaymentId: { type: String, default: null, index: true },
+    gatewaySignature: { type: String, default: null, select: false },
+
+    // 'mock' orders come from paymentGateway's development mode
+    mode: { type: String, enum: ['live', 'mock'], default: 'live' },
+
+    status: {
+      type:    String,
+      enum:    ORDER_STATUSES,
+      default: 'created',
+      index:   true,
+    },
+
+    paidAt:       { type: Date,   default: null },
+    failureReason: { type: String, default: null },
+
+    refundId:     { type: String, default: null },
+    refundAmount: { type: Number, default: null },
+    refundReason: { type: String, default: null },
+    refundedAt:   { type: Date,   default: null },
+
+    expiresAt: {
+      type:    Date,
+      default: () => new Date(Date.now() + ORDER_TTL_MS),
+    },
+
+    events: { type: [orderEventSchema], default: [] },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+paymentOrderSchema.index({ bookingId: 1, status: 1 });
+
+// ── Methods ───────────────────────────────────────────────────────────────────
+paymentOrderSchema.methods.isPayable = function () {
+  return this.status === 'created' && this.expiresAt > new Date();
+};
+
+paymentOrderSchema.methods.addEvent = function (type, detail = null) {
+  this.events.push({ type, detail });
+};
+
+paymentOrderSchema.methods.toClientJSON = function () {
+  return {
+    orderId:   this.gatewayOrderId,
+    bookingId: this.bookingId,
+    amount:    this.amount,
+    currency:  this.currency,
+    status:    this.status,
+    mode:      this.mode,
+    paidAt:    this.paidAt,
+    refundedAt: this.refundedAt,
+    expiresAt: this.expiresAt,
+  };
+};
+
+// ── Statics ───────────────────────────────────────────────────────────────────
+/** The order a client should pay / is paying / has paid for this booking. */
+paymentOrderSchema.statics.findCurrentForBooking = function (bookingId) {
+  return this.findOne({ bookingId, status: { $nin: ['failed', 'expired'] } }).sort({ createdAt: -1 });
+};
+
+paymentOrderSchema.statics.ORDER_TTL_MS = ORDER_TTL_MS;
+
+module.exports = mongoose.model('PaymentOrder', paymentOrderSchema);
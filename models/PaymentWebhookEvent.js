@@ -0,0 +1,65 @@
+// models/PaymentWebhookEvent.js — Raw payment-gateway webhook deliveries
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Every signature-verified delivery to POST /api/payment/webhooks lands here
+// before it is acted on. The unique eventId is what makes processing
+// idempotent: the gateway retries deliveries, and a retry of an event we have
+// already processed is acknowledged without touching any payout again.
+//
+// Deliveries that fail processing keep status 'failed' and are picked up
+// again when the gateway retries.
+//
+// Kept indefinitely — this is the audit trail for money movements that
+// happen after Payout.process() has returned.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const paymentWebhookEventSchema = new mongoose.Schema(
+  {
+    // x-razorpay-event-id, or sha256 of the raw body when the header is absent
+    eventId: {
+      type:     String,
+      required: true,
+      unique:   true,
+    },
+    event:    { type: String, required: true, index: true },   // e.g. 'payout.reversed'
+    provider: { type: String, default: 'razorpay' },
+
+    rawBody: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    status: {
+      type:    String,
+      enum:    ['received', 'processed', 'ignored', 'failed'],
+      default: 'received',
+      index:   true,
+    },
+    attempts:    { type: Number, default: 1 },
+    error:       { type: String, default: null },
+    processedAt: { type: Date,   default: null },
+
+    // What the event did, when it concerned one of our payouts
+    payoutId: {
+      type:    mongoose.Schema.Types.ObjectId,
+      ref:     'Payout',
+      default: null,
+      index:   true,
+    },
+    transition: {
+      from: { type: String, default: null },
+      to:   { type: String, default: null },
+    },
+
+    ipAddress: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model('PaymentWebhookEvent', paymentWebhookEventSchema);
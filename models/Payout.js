@@ -24,7 +24,8 @@ const payoutSchema = new mongoose.Schema({
   // Payout status
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    // reversed — completed at our end, later returned by the bank (webhook)
+    enum: ['pending', 'processing', 'completed', 'failed', 'reversed'],
     default: 'pending',
     // ✅ FIX: index:true removed — covered by compound index({ status, nextRetryAt }) below
   },
@@ -58,7 +59,12 @@ const payoutSchema = new mongoose.Schema({
   failureReason: { type: String, default: null },
   retryCount:    { type: Number, default: 0 },
   lastRetryAt:   { type: Date,   default: null },
-  nextRetryAt:   { type: Date,   default: null }
+  nextRetryAt:   { type: Date,   default: null },
+
+  // Bank-side reversal reported by webhook (see services/payoutWebhookService.js)
+  utr:            { type: String, default: null },
+  reversedAt:     { type: Date,   default: null },
+  reversalReason: { type: String, default: null }
 
 }, {
   timestamps: true
@@ -110,6 +116,9 @@ payoutSchema.methods.process = async function() {
       this.gatewayResponse = result;
       this.completedAt = new Date();
 
+      const { postPayoutDebit } = require('../services/ledgerService');
+      await postPayoutDebit(this);
+
       const User = mongoose.model('User');
       await User.findByIdAndUpdate(this.userId, {
         $inc: {
@@ -126,11 +135,21 @@ payoutSchema.methods.process = async function() {
 
       const emailService = require('../services/email');
       const user = await User.findById(this.userId).select('email firstName');
+      // Money has already moved — a mail failure must not send this payout to retry
       await emailService.sendPayoutSuccessEmail(user.email, {
         amount: this.amount,
         transactionId: this.transactionId,
         name: user.firstName
-      });
+      }).catch(err => console.error('Payout email error:', err.message));
+
+      const { dispatch } = require('../services/notificationDispatcher');
+      await dispatch('payout.completed', {
+        userId: this.userId,
+        title: `💸 ₹${this.amount} has been sent to your UPI`,
+        body: `Transaction ID: ${this.transactionId}`,
+        data: { type: 'PAYOUT_COMPLETED', payoutId: this._id.toString() },
+        entityId: this._id
+      }).catch(err => console.error('Payout notification error:', err.message));
 
     } else {
       this.status = 'failed';
@@ -165,6 +184,90 @@ payoutSchema.methods.process = async function() {
   }
 };
 
+// =============================================
+// GATEWAY-DRIVEN TRANSITIONS (webhooks)
+// =============================================
+
+/**
+ * Gateway confirmed the transfer after we had left it pending/processing
+ * (e.g. process() crashed or timed out mid-flight). Applies the same balance
+ * and booking updates as the success branch of process().
+ */
+payoutSchema.methods.markCompletedFromGateway = async function(entity = {}) {
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: ['pending', 'processing', 'failed'] } },
+    {
+      $set: {
+        status:        'completed',
+        transactionId: entity.id || this.transactionId,
+        utr:           entity.utr || this.utr,
+        completedAt:   new Date(),
+        nextRetryAt:   null
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  const { postPayoutDebit } = require('../services/ledgerService');
+  await postPayoutDebit(this);
+
+  const User = mongoose.model('User');
+  await User.findByIdAndUpdate(this.userId, {
+    $inc: {
+      'paymentInfo.pendingPayout':    -this.amount,
+      'paymentInfo.completedPayouts':  this.amount
+    }
+  });
+
+  const Booking = mongoose.model('Booking');
+  await Booking.updateMany(
+    { _id: { $in: this.bookingsIncluded } },
+    { earningsPaidOut: true, payoutId: this._id, payoutDate: new Date() }
+  );
+
+  return true;
+};
+
+/**
+ * Money came back after we marked the payout completed. Restores the amount
+ * to paymentInfo.pendingPayout and releases the bookings so the next payout
+ * run picks them up again. No-op (returns false) unless currently completed.
+ */
+payoutSchema.methods.reverse = async function(reason) {
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'completed' },
+    {
+      $set: {
+        status:         'reversed',
+        reversedAt:     new Date(),
+        reversalReason: reason || 'Reversed by bank'
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  const { postPayoutReversal } = require('../services/ledgerService');
+  await postPayoutReversal(claimed);
+
+  const User = mongoose.model('User');
+  await User.findByIdAndUpdate(this.userId, {
+    $inc: {
+      'paymentInfo.pendingPayout':     this.amount,
+      'paymentInfo.completedPayouts': -this.amount
+    }
+  });
+
+  const Booking = mongoose.model('Booking');
+  await Booking.updateMany(
+    { _id: { $in: this.bookingsIncluded }, payoutId: this._id },
+    { earningsPaidOut: false, payoutId: null, payoutDate: null }
+  );
+
+  return true;
+};
+
 payoutSchema.statics.getPendingRetries = async function() {
   return this.find({
     status: 'pending',
@@ -12,6 +12,7 @@ const postSchema = new mongoose.Schema(
 
     imageUrl:      { type: String, required: true },
     imagePublicId: { type: String, required: true },
+    imageHash:     { type: String, default: null },   // perceptual hash — blocklisted on admin removal
     caption:       { type: String, default: '' },
     location:      { type: String, default: null },
 
@@ -0,0 +1,37 @@
+// models/RateLimitCounter.js — Shared express-rate-limit counters
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// One document per (limiter, client key) window, written by
+// utils/mongoRateLimitStore.js. Counts survive restarts and are shared by
+// every instance. MongoDB's TTL monitor removes a document once its window
+// has ended (resetTime), so the collection only holds live windows.
+//
+//   limiter    limiter name, e.g. 'login', 'chatMessage'
+//   clientKey  what the limiter's keyGenerator returned — an IP for pre-auth
+//              limiters, 'uid:<userId>' / 'ip:<ip>' for post-auth ones
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    limiter:   { type: String, required: true },
+    clientKey: { type: String, required: true },
+
+    totalHits: { type: Number, default: 0 },
+    resetTime: { type: Date,   required: true },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+rateLimitCounterSchema.index({ limiter: 1, clientKey: 1 }, { unique: true });
+// Admin lookup of one client across every limiter
+rateLimitCounterSchema.index({ clientKey: 1 });
+rateLimitCounterSchema.index({ resetTime: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,145 @@
+// models/RefreshToken.js — Per-device refresh sessions
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// One document = one signed-in device. The raw refresh token is never stored:
+//   token returned to client = "<sessionId>.<64 hex chars of CSPRNG>"
+//                              (after a rotation: HMAC of the previous secret,
+//                              see services/authSessionService.js)
+//   tokenHash                 = sha256(secret part)
+// sha256 (not bcrypt) is deliberate — the secret is 256 bits of entropy, so
+// there is nothing to brute-force and every /refresh stays a single fast lookup.
+//
+// ROTATION:
+//   Every POST /api/auth/refresh replaces tokenHash with a fresh one and keeps
+//   the old hash in previousTokenHash. If a client presents the previous
+//   token again more than a few seconds after rotatedAt (longer than two
+//   concurrent refreshes can be apart), the token was stolen and replayed →
+//   the session is revoked.
+//
+// REVOCATION (three levers, all honoured by middleware/auth.js + socket auth):
+//   1. DELETE /api/auth/sessions/:id  → revokedAt set on one device
+//   2. POST   /api/auth/logout-all    → revokedAt set on every device
+//   3. tokenVersion bump on User      → tokenVersion mismatch on every device
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+const crypto   = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'User',
+      required: true,
+      index:    true,
+    },
+
+    // sha256(secret) of the CURRENT refresh token. Never plaintext.
+    tokenHash: {
+      type:     String,
+      required: true,
+    },
+
+    // Hash of the token this one replaced — used for reuse detection only.
+    previousTokenHash: {
+      type:    String,
+      default: null,
+    },
+
+    // When tokenHash last replaced previousTokenHash — starts the reuse grace window.
+    rotatedAt: {
+      type:    Date,
+      default: null,
+    },
+
+    // User.tokenVersion at issue time. A mismatch means logout-all or a
+    // password change happened after this session was created.
+    tokenVersion: {
+      type:    Number,
+      default: 0,
+    },
+
+    // ── Device metadata (shown in GET /api/auth/sessions) ──────────────────
+    deviceId:   { type: String, default: null, trim: true, maxlength: 128 },
+    deviceName: { type: String, default: null, trim: true, maxlength: 128 },
+    platform: {
+      type:    String,
+      enum:    ['android', 'ios', 'web', 'unknown'],
+      default: 'unknown',
+    },
+    appVersion: { type: String, default: null, trim: true, maxlength: 32 },
+    userAgent:  { type: String, default: null, maxlength: 512 },
+    lastIp:     { type: String, default: null },
+    lastSeenAt: { type: Date,   default: Date.now },
+
+    rotationCount: { type: Number, default: 0 },
+
+    revokedAt: {
+      type:    Date,
+      default: null,
+    },
+    revokedReason: {
+      type:    String,
+      enum:    [null, 'USER_LOGOUT', 'USER_REVOKED', 'LOGOUT_ALL', 'TOKEN_REUSE', 'REPLACED', 'APPEAL_REINSTATED'],
+      default: null,
+    },
+
+    // Sliding expiry — pushed forward on every rotation.
+    // TTL index below removes the document once it passes.
+    expiresAt: {
+      type:     Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────────
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+refreshTokenSchema.index({ userId: 1, deviceId: 1 });
+
+// ── Statics ───────────────────────────────────────────────────────────────────
+
+// 32 random bytes → 64 hex chars. Never use Math.random() for secrets.
+refreshTokenSchema.statics.generateSecret = function () {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+refreshTokenSchema.statics.hashSecret = function (secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+};
+
+// Constant-time comparison of two hex sha256 digests.
+refreshTokenSchema.statics.hashesMatch = function (a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+};
+
+// ── Methods ───────────────────────────────────────────────────────────────────
+refreshTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+refreshTokenSchema.methods.toSessionJSON = function (currentSessionId = null) {
+  return {
+    _id:        this._id,
+    deviceId:   this.deviceId,
+    deviceName: this.deviceName,
+    platform:   this.platform,
+    appVersion: this.appVersion,
+    lastIp:     this.lastIp,
+    lastSeenAt: this.lastSeenAt,
+    createdAt:  this.createdAt,
+    expiresAt:  this.expiresAt,
+    current:    !!currentSessionId && this._id.toString() === currentSessionId.toString(),
+  };
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -223,7 +223,13 @@ const userSchema = new mongoose.Schema({
     // ── Quiet Hours ──
     quietHoursEnabled:  { type: Boolean, default: false },
     quietHoursStart:    { type: String,  default: '23:00' },
-    quietHoursEnd:      { type: String,  default: '07:00' }
+    quietHoursEnd:      { type: String,  default: '07:00' },
+    timezone:           { type: String,  default: 'Asia/Kolkata' },   // IANA zone for quiet hours + digests
+
+    // ── Digest ── (low-priority pushes batched into these two slots)
+    digestEnabled:      { type: Boolean, default: false },
+    digestMorningTime:  { type: String,  default: '08:00' },
+    digestEveningTime:  { type: String,  default: '19:00' }
   },
 
   blockedUsers:  [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
@@ -299,6 +305,26 @@ const userSchema = new mongoose.Schema({
     suspendedUntil:   { type: Date,    default: null  },
     suspendedBy:      { type: String,  default: null  },
     autoLiftAt:       { type: Date,    default: null  },
+    // Set by middleware/moderation.js applyStrikesAndEnforce
+    restrictions:           { type: [String], default: [] },   // 'chat' | 'profile_edit' | 'companion' | 'earnings'
+    profileEditLockedUntil: { type: Date,     default: null },
+    chatRestrictedUntil:    { type: Date,     default: null },
+    // Set when the suspension is lifted early (appeal overturned); the fields above stay as the record
+    liftedAt:   { type: Date,   default: null },
+    liftedBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    liftReason: { type: String, default: null },
+  },
+
+  banInfo: {
+    isBanned:    { type: Boolean, default: false },
+    banReason:   { type: String,  default: null  },
+    bannedAt:    { type: Date,    default: null  },
+    bannedBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    isPermanent: { type: Boolean, default: true  },
+    // Set when the ban is lifted (appeal overturned); the fields above stay as the record
+    liftedAt:    { type: Date,    default: null  },
+    liftedBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    liftReason:  { type: String,  default: null  },
   },
 
   // =============================================
@@ -430,6 +456,7 @@ const userSchema = new mongoose.Schema({
 
   profilePhoto:        { type: String, default: null },
   profilePhotoPublicId:{ type: String, default: null },
+  profilePhotoHash:    { type: String, default: null },   // perceptual hash (services/imageHashService.js)
   questionnaire:       { type: questionnaireSchema, default: {} },
   verified:            { type: Boolean, default: false },
   hostActive:          { type: Boolean, default: true },
@@ -0,0 +1,55 @@
+// models/UserPresence.js — Cluster-wide presence (SOCKET_ADAPTER=mongo only)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// One document per user, one entry in `connections` per live socket on any
+// instance. Each instance refreshes heartbeatAt for its own sockets; entries
+// whose heartbeat is older than the stale window belong to an instance that
+// died without disconnecting them and are pruned by the 'presence.prune' job
+// (utils/presenceManager.js).
+//
+// A user is online while at least one connection has a fresh heartbeat.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const connectionSchema = new mongoose.Schema(
+  {
+    socketId:    { type: String, required: true },
+    instanceId:  { type: String, required: true },
+    connectedAt: { type: Date,   required: true },
+    heartbeatAt: { type: Date,   required: true },
+  },
+  { _id: false }
+);
+
+const userPresenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type:     mongoose.Schema.Types.ObjectId,
+      ref:      'User',
+      required: true,
+      unique:   true,
+    },
+
+    connections: { type: [connectionSchema], default: [] },
+
+    // Set when the last connection goes away
+    lastSeen: { type: Date, default: null },
+
+    name:  { type: String, default: null },
+    photo: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Online counts, stale-connection pruning
+userPresenceSchema.index({ 'connections.heartbeatAt': 1 });
+// Heartbeat / shutdown release by instance
+userPresenceSchema.index({ 'connections.instanceId': 1 });
+
+module.exports = mongoose.model('UserPresence', userPresenceSchema);
@@ -49,6 +49,23 @@ const verificationSessionSchema = new mongoose.Schema({
   // Face Embedding
   faceEmbedding: { type: [Number], default: null },
 
+  // Profile photo vs video consistency check (services/faceMatchService.js).
+  // Advisory only — flagged sessions are listed first for the reviewer.
+  faceMatch: {
+    status: {
+      type: String,
+      enum: ['MATCH', 'LOW_SIMILARITY', 'NO_FACE', 'NO_PROFILE_PHOTO', 'SKIPPED', 'FAILED', null],
+      default: null
+    },
+    flagged:         { type: Boolean, default: false },
+    provider:        { type: String, default: null },
+    modelVersion:    { type: String, default: null },
+    threshold:       { type: Number, default: null },
+    profilePhotoUrl: { type: String, default: null },
+    checkedAt:       { type: Date, default: null },
+    error:           { type: String, default: null }
+  },
+
   // Rejection Info
   rejectionReason: { type: String, default: null },
 
@@ -97,6 +114,7 @@ const verificationSessionSchema = new mongoose.Schema({
 // =============================================
 verificationSessionSchema.index({ userId: 1, createdAt: -1 });
 verificationSessionSchema.index({ status: 1, createdAt: -1 });
+verificationSessionSchema.index({ status: 1, 'faceMatch.flagged': -1, createdAt: -1 });
 // Plain expiresAt index — for TTL cleanup queries (NOT a Mongoose TTL index)
 verificationSessionSchema.index({ expiresAt: 1 });
 
@@ -119,7 +137,6 @@ verificationSessionSchema.methods.getClientSummary = function() {
     result:                this.result,
     confidence:            this.confidence,
     livenessScore:         this.livenessScore,
-    faceMatchScore:        this.faceMatchScore,
     rejectionReason:       this.rejectionReason,
     manualReviewStartedAt: this.manualReviewStartedAt,
     reviewDeadline:        this.reviewDeadline,
@@ -142,8 +159,9 @@ verificationSessionSchema.statics.findActiveSession = async function(userId) {
 
 verificationSessionSchema.statics.findPendingReviews = async function(limit = 50) {
   return await this.find({ status: 'MANUAL_REVIEW' })
+    .select('-faceEmbedding')
     .populate('userId', 'firstName lastName email profilePhoto')
-    .sort({ createdAt: -1 })
+    .sort({ 'faceMatch.flagged': -1, createdAt: -1 })
     .limit(limit);
 };
 
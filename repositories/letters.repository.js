@@ -1,4 +1,6 @@
 const Letter = require('../models/Letter');
+const LetterView = require('../models/LetterView');
+const LetterReply = require('../models/LetterReply');
 const mongoose = require('mongoose');
 
 class LettersRepository {
@@ -36,6 +38,87 @@ class LettersRepository {
     };
   }
 
+  // Pipeline from services/letterRanking.js buildRankedPipeline() (ends in a $facet)
+  async findRanked(pipeline, page = 1, limit = 20) {
+    const [result] = await Letter.aggregate(pipeline);
+    const total = result?.total[0]?.count || 0;
+
+    return {
+      letters: result?.letters || [],
+      page,
+      totalPages: Math.ceil(total / limit),
+      total
+    };
+  }
+
+  // True only the first time today's reader hash opens the letter
+  async recordUniqueView(letter, { readerHash, day }) {
+    try {
+      const result = await LetterView.updateOne(
+        { letterId: letter._id, readerHash },
+        { $setOnInsert: { letterId: letter._id, readerHash, day, category: letter.category, language: letter.language } },
+        { upsert: true }
+      );
+      return result.upsertedCount > 0;
+    } catch (error) {
+      // Two concurrent opens race on the upsert; the loser has already been counted
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Letters created in [start, end] with the time of their first visible note
+  async getLetterMetrics(startOfDay, endOfDay) {
+    return await Letter.aggregate([
+      { $match: { createdAt: { $gte: startOfDay, $lte: endOfDay } } },
+      {
+        $lookup: {
+          from: LetterReply.collection.name,
+          let: { letterId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$letterId', '$$letterId'] }, parentReplyId: null, isModerated: false } },
+            { $sort: { createdAt: 1 } },
+            { $limit: 1 },
+            { $project: { _id: 0, createdAt: 1 } }
+          ],
+          as: 'firstReply'
+        }
+      },
+      {
+        $project: {
+          category: 1,
+          language: 1,
+          createdAt: 1,
+          replyCount: 1,
+          reportsCount: 1,
+          firstReplyAt: { $arrayElemAt: ['$firstReply.createdAt', 0] }
+        }
+      }
+    ]);
+  }
+
+  // Distinct reader hashes for one UTC day, overall and per category / language
+  async getActiveReaders(day) {
+    const [result] = await LetterView.aggregate([
+      { $match: { day } },
+      {
+        $facet: {
+          all:      [{ $group: { _id: '$readerHash' } }, { $count: 'count' }],
+          category: [{ $group: { _id: { key: '$category', reader: '$readerHash' } } }, { $group: { _id: '$_id.key', count: { $sum: 1 } } }],
+          language: [{ $group: { _id: { key: '$language', reader: '$readerHash' } } }, { $group: { _id: '$_id.key', count: { $sum: 1 } } }]
+        }
+      }
+    ]);
+
+    return {
+      total: result?.all[0]?.count || 0,
+      category: result?.category || [],
+      language: result?.language || []
+    };
+  }
+
   async incrementStat(id, field, amount = 1) {
     if (!mongoose.Types.ObjectId.isValid(id)) return null;
     return await Letter.findByIdAndUpdate(
@@ -45,6 +128,34 @@ class LettersRepository {
     ).lean();
   }
 
+  async incrementStats(id, increments) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return await Letter.findByIdAndUpdate(
+      id,
+      { $inc: increments },
+      { new: true }
+    ).lean();
+  }
+
+  // The conditions in the filter make both writes one-shot even under concurrent requests
+  async setUpdate(id, update) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return await Letter.findOneAndUpdate(
+      { _id: id, update: null },
+      { $set: { update } },
+      { new: true }
+    ).lean();
+  }
+
+  async extendExpiry(id, hours) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return await Letter.findOneAndUpdate(
+      { _id: id, extendedAt: null, status: 'active', expiresAt: { $gt: new Date() } },
+      [{ $set: { extendedAt: '$$NOW', expiresAt: { $add: ['$expiresAt', hours * 60 * 60 * 1000] } } }],
+      { new: true }
+    ).lean();
+  }
+
   async updateStatus(id, status, moderationReason = null) {
     if (!mongoose.Types.ObjectId.isValid(id)) return null;
     const updateData = { status };
@@ -22,6 +22,10 @@ class ReactionsRepository {
     return await LetterReaction.findOneAndDelete({ userId, letterId }).lean();
   }
 
+  async findReactors(letterId) {
+    return await LetterReaction.distinct('userId', { letterId });
+  }
+
   async countUserReactionsToday(userId, startOfDay) {
     return await LetterReaction.countDocuments({
       userId,
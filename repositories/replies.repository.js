@@ -7,14 +7,32 @@ class RepliesRepository {
     return await reply.save();
   }
 
+  async findById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return await LetterReply.findById(id).lean();
+  }
+
+  // Top-level notes only; thread messages are fetched with findThreads
   async findByLetterId(letterId, limit = 50) {
     if (!mongoose.Types.ObjectId.isValid(letterId)) return [];
-    return await LetterReply.find({ letterId, isModerated: false })
+    return await LetterReply.find({ letterId, parentReplyId: null, isModerated: false })
       .sort({ createdAt: 1 })
       .limit(limit)
       .lean();
   }
 
+  async findThreads(parentReplyIds) {
+    if (parentReplyIds.length === 0) return [];
+    return await LetterReply.find({ parentReplyId: { $in: parentReplyIds }, isModerated: false })
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  // Everyone who left a visible top-level note on the letter
+  async findNoteAuthors(letterId) {
+    return await LetterReply.distinct('author', { letterId, parentReplyId: null, isModerated: false });
+  }
+
   async countUserRepliesToday(userId, startOfDay) {
     return await LetterReply.countDocuments({
       author: userId,
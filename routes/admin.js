@@ -5,7 +5,7 @@ const User = require('../models/User');
 const SafetyReport = require('../models/SafetyReport');
 const AuditLog = require('../models/AuditLog');
 const PostReport = require('../models/PostReport');
-const { authenticate, authorize, superAdminOnly, adminOnly, auditLog } = require('../middleware/auth');
+const { authenticate, authorize, superAdminOnly, adminOnly, auditLog, sensitiveAdminOnly, sensitiveSuperAdminOnly } = require('../middleware/auth');
 
 
 /**
@@ -169,9 +169,9 @@ router.post('/users/warn', authenticate, adminOnly, auditLog('WARN_USER', 'USER'
 /**
  * @route   POST /api/admin/users/suspend
  * @desc    Suspend a user
- * @access  Private (Admin)
+ * @access  Private (Admin + 2FA)
  */
-router.post('/users/suspend', authenticate, adminOnly, auditLog('SUSPEND_USER', 'USER'), async (req, res) => {
+router.post('/users/suspend', authenticate, sensitiveAdminOnly, auditLog('SUSPEND_USER', 'USER'), async (req, res) => {
   try {
     const { userId, reason, duration, restrictions = [], reportId, notifyUser = true } = req.body;
 
@@ -242,9 +242,9 @@ router.post('/users/suspend', authenticate, adminOnly, auditLog('SUSPEND_USER',
 /**
  * @route   POST /api/admin/users/ban
  * @desc    Ban a user (SUPER_ADMIN only)
- * @access  Private (Super Admin)
+ * @access  Private (Super Admin + 2FA)
  */
-router.post('/users/ban', authenticate, superAdminOnly, auditLog('BAN_USER', 'USER'), async (req, res) => {
+router.post('/users/ban', authenticate, sensitiveSuperAdminOnly, auditLog('BAN_USER', 'USER'), async (req, res) => {
   try {
     const { userId, reason, isPermanent = true, reportId, deleteUserContent = false } = req.body;
 
@@ -342,9 +342,9 @@ router.delete('/users/:userId/suspend', authenticate, adminOnly, auditLog('UNSUS
 /**
  * @route   DELETE /api/admin/users/:userId/ban
  * @desc    Remove ban (SUPER_ADMIN only)
- * @access  Private (Super Admin)
+ * @access  Private (Super Admin + 2FA)
  */
-router.delete('/users/:userId/ban', authenticate, superAdminOnly, auditLog('UNBAN_USER', 'USER'), async (req, res) => {
+router.delete('/users/:userId/ban', authenticate, sensitiveSuperAdminOnly, auditLog('UNBAN_USER', 'USER'), async (req, res) => {
   try {
     const user = await User.findById(req.params.userId);
     
@@ -455,9 +455,9 @@ router.get('/admins', authenticate, superAdminOnly, async (req, res) => {
 /**
  * @route   POST /api/admin/admins/create
  * @desc    Create new admin
- * @access  Private (Super Admin)
+ * @access  Private (Super Admin + 2FA)
  */
-router.post('/admins/create', authenticate, superAdminOnly, auditLog('CREATE_ADMIN', 'ADMIN'), async (req, res) => {
+router.post('/admins/create', authenticate, sensitiveSuperAdminOnly, auditLog('CREATE_ADMIN', 'ADMIN'), async (req, res) => {
   try {
     const { email, firstName, lastName, role, permissions } = req.body;
 
@@ -525,9 +525,9 @@ router.post('/admins/create', authenticate, superAdminOnly, auditLog('CREATE_ADM
 /**
  * @route   PUT /api/admin/admins/permissions
  * @desc    Update admin permissions
- * @access  Private (Super Admin)
+ * @access  Private (Super Admin + 2FA)
  */
-router.put('/admins/permissions', authenticate, superAdminOnly, auditLog('UPDATE_ADMIN_PERMISSIONS', 'ADMIN'), async (req, res) => {
+router.put('/admins/permissions', authenticate, sensitiveSuperAdminOnly, auditLog('UPDATE_ADMIN_PERMISSIONS', 'ADMIN'), async (req, res) => {
   try {
     const { adminId, permissions } = req.body;
 
@@ -571,9 +571,9 @@ router.put('/admins/permissions', authenticate, superAdminOnly, auditLog('UPDATE
 /**
  * @route   PUT /api/admin/admins/:adminId/disable
  * @desc    Disable admin account
- * @access  Private (Super Admin)
+ * @access  Private (Super Admin + 2FA)
  */
-router.put('/admins/:adminId/disable', authenticate, superAdminOnly, auditLog('DISABLE_ADMIN', 'ADMIN'), async (req, res) => {
+router.put('/admins/:adminId/disable', authenticate, sensitiveSuperAdminOnly, auditLog('DISABLE_ADMIN', 'ADMIN'), async (req, res) => {
   try {
     const admin = await User.findById(req.params.adminId);
     
@@ -605,9 +605,9 @@ router.put('/admins/:adminId/disable', authenticate, superAdminOnly, auditLog('D
 /**
  * @route   PUT /api/admin/admins/:adminId/enable
  * @desc    Enable admin account
- * @access  Private (Super Admin)
+ * @access  Private (Super Admin + 2FA)
  */
-router.put('/admins/:adminId/enable', authenticate, superAdminOnly, auditLog('ENABLE_ADMIN', 'ADMIN'), async (req, res) => {
+router.put('/admins/:adminId/enable', authenticate, sensitiveSuperAdminOnly, auditLog('ENABLE_ADMIN', 'ADMIN'), async (req, res) => {
   try {
     const admin = await User.findById(req.params.adminId);
     
@@ -771,17 +771,16 @@ router.patch('/post-reports/:id/resolve', authenticate, adminOnly, async (req, r
       });
     }
 
-    // FCM push (works even when user is offline)
+    // Push (works even when user is offline)
     try {
-      const reporter = await User.findById(report.reportedBy._id).select('fcmTokens');
-      if (reporter?.fcmTokens?.length) {
-        const { getMessaging } = require('firebase-admin/messaging');
-        await getMessaging().sendEachForMulticast({
-          notification: { title: '🛡️ Report Resolved', body: message },
-          data: { type: 'REPORT_RESOLVED', reportId: report._id.toString(), reason: report.reason },
-          tokens: reporter.fcmTokens
-        });
-      }
+      const { dispatch } = require('../services/notificationDispatcher');
+      await dispatch('safety_report.resolved', {
+        userId: report.reportedBy._id,
+        title: '🛡️ Report Resolved',
+        body: message,
+        data: { type: 'REPORT_RESOLVED', reportId: report._id.toString(), reason: report.reason },
+        entityId: report._id
+      });
     } catch (fcmErr) {
       console.error('FCM notify error:', fcmErr.message);
     }
@@ -0,0 +1,109 @@
+// routes/adminAppeals.js - Review queue for moderation appeals
+// Mounted at /api/admin/appeals (authenticate applied in app.js)
+//
+// Decisions go through services/appealService.js decideAppeal(), which writes
+// the AuditLog entry (UPHOLD_APPEAL / OVERTURN_APPEAL) and handles reinstatement.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { adminOnly, sensitiveAdminOnly } = require('../middleware/auth');
+const ModerationAppeal = require('../models/ModerationAppeal');
+const { decideAppeal } = require('../services/appealService');
+
+const USER_FIELDS = 'firstName lastName email profilePhoto status suspensionInfo banInfo';
+
+/**
+ * @route   GET /api/admin/appeals
+ * @desc    Appeal queue — ?status=PENDING|UPHELD|OVERTURNED&type=&page=&limit= (oldest pending first)
+ * @access  Private (Admin)
+ */
+router.get('/', adminOnly, async (req, res) => {
+  try {
+    const status = String(req.query.status || 'PENDING');
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = { status };
+    if (req.query.type) query.type = String(req.query.type);
+
+    const [appeals, total] = await Promise.all([
+      ModerationAppeal.find(query)
+        .populate('userId', `${USER_FIELDS} moderationFlags.strikeCount`)
+        .populate('decision.decidedBy', 'firstName lastName email')
+        .sort({ createdAt: status === 'PENDING' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ModerationAppeal.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      appeals,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('List appeal queue error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load appeals' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/appeals/:id
+ * @desc    One appeal with the user's current moderation record
+ * @access  Private (Admin)
+ */
+router.get('/:id', adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid appeal ID' });
+    }
+
+    const appeal = await ModerationAppeal.findById(req.params.id)
+      .populate('userId', `${USER_FIELDS} moderationFlags`)
+      .populate('decision.decidedBy', 'firstName lastName email')
+      .lean();
+    if (!appeal) {
+      return res.status(404).json({ success: false, message: 'Appeal not found' });
+    }
+
+    const history = await ModerationAppeal.find({ userId: appeal.userId?._id, _id: { $ne: appeal._id } })
+      .select('type status createdAt decision.decidedAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ success: true, appeal, history });
+  } catch (error) {
+    console.error('Get appeal error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load appeal' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/appeals/:id/decision
+ * @desc    Decide an appeal — { decision: 'UPHOLD'|'OVERTURN', note }. Overturning a ban needs SUPER_ADMIN.
+ * @access  Private (Admin, 2FA)
+ */
+router.post('/:id/decision', sensitiveAdminOnly, async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    const result = await decideAppeal(req.params.id, req.user, { decision, note }, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'OVERTURN' ? 'Appeal overturned' : 'Appeal upheld',
+      appeal: result.appeal,
+      removedViolations: result.removedViolations,
+      lifted: result.lifted,
+      reinstated: result.reinstated
+    });
+  } catch (error) {
+    console.error('Decide appeal error:', error);
+    res.status(500).json({ success: false, message: 'Failed to record decision' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+// routes/adminCrisisCases.js - Safety Team queue for self-harm escalations in Letters
+// Mounted at /api/admin/crisis-cases (authenticate applied in app.js)
+//
+// Cases are opened by services/crisisEscalationService.js escalateLetter();
+// acknowledging and resolving go through the same service, which writes the
+// AuditLog entry and applies the outcome to the letter.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { adminOnly } = require('../middleware/auth');
+const CrisisCase = require('../models/CrisisCase');
+const { acknowledgeCase, resolveCase } = require('../services/crisisEscalationService');
+
+const LETTER_FIELDS = 'body category feeling status crisisHold moderationReason moderationPriority update expiresAt createdAt';
+
+/**
+ * @route   GET /api/admin/crisis-cases
+ * @desc    Case queue — ?status=OPEN|ACKNOWLEDGED|RESOLVED&page=&limit= (oldest unresolved first)
+ * @access  Private (Admin)
+ */
+router.get('/', adminOnly, async (req, res) => {
+  try {
+    const status = String(req.query.status || 'OPEN');
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = { status };
+
+    const [cases, total] = await Promise.all([
+      CrisisCase.find(query)
+        .populate('userId', 'firstName lastName email profilePhoto')
+        .populate('acknowledgedBy', 'firstName lastName email')
+        .sort({ createdAt: status === 'RESOLVED' ? -1 : 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CrisisCase.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      cases,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('List crisis cases error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load crisis cases' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/crisis-cases/:id
+ * @desc    One case with the letter it concerns
+ * @access  Private (Admin)
+ */
+router.get('/:id', adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid case ID' });
+    }
+
+    const crisisCase = await CrisisCase.findById(req.params.id)
+      .populate('userId', 'firstName lastName email profilePhoto liveLocation.city liveLocation.country')
+      .populate('letterId', LETTER_FIELDS)
+      .populate('acknowledgedBy', 'firstName lastName email')
+      .populate('resolution.resolvedBy', 'firstName lastName email')
+      .lean();
+    if (!crisisCase) {
+      return res.status(404).json({ success: false, message: 'Case not found' });
+    }
+
+    res.json({ success: true, crisisCase });
+  } catch (error) {
+    console.error('Get crisis case error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load crisis case' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/crisis-cases/:id/acknowledge
+ * @desc    Pick up an open case
+ * @access  Private (Admin)
+ */
+router.post('/:id/acknowledge', adminOnly, async (req, res) => {
+  try {
+    const result = await acknowledgeCase(req.params.id, req.user, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, message: 'Case acknowledged', crisisCase: result.crisisCase });
+  } catch (error) {
+    console.error('Acknowledge crisis case error:', error);
+    res.status(500).json({ success: false, message: 'Failed to acknowledge case' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/crisis-cases/:id/resolve
+ * @desc    Close a case — { outcome: 'REINSTATE'|'KEEP_HIDDEN'|'REMOVE', note }
+ * @access  Private (Admin)
+ */
+router.post('/:id/resolve', adminOnly, async (req, res) => {
+  try {
+    const { outcome, note } = req.body;
+    const result = await resolveCase(req.params.id, req.user, { outcome, note }, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, message: 'Case resolved', crisisCase: result.crisisCase });
+  } catch (error) {
+    console.error('Resolve crisis case error:', error);
+    res.status(500).json({ success: false, message: 'Failed to resolve case' });
+  }
+});
+
+module.exports = router;
@@ -327,26 +327,24 @@ router.post('/verifications/:userId/:action', authenticate, adminOnly, async (re
     // --- FCM NOTIFICATIONS ---
     setImmediate(async () => {
       try {
-        const { sendDataFcm } = require('../utils/fcmHelper');
-        if (!user.fcmTokens || user.fcmTokens.length === 0) {
-          console.log(`[FCM TOKEN MISSING] No FCM tokens found for user ${user._id}`);
-          return;
-        }
-        
-        console.log(`[FCM TOKEN FOUND] ${user.fcmTokens.length} tokens for user ${user._id}`);
+        const { dispatch } = require('../services/notificationDispatcher');
         console.log(`[FCM SEND START] Dispatching ${action} notification to user ${user._id}`);
 
-        const notificationData = {
-          type: action === 'approve' ? 'verification_approved' : 'verification_rejected',
-          title: action === 'approve' ? '🎉 Verification Approved' : 'Verification Update',
-          body: action === 'approve' 
-            ? 'Your photo verification has been approved. You can now access verified member features.'
-            : 'Your verification could not be approved. Please review the requirements and submit again.',
-          userId: user._id.toString()
-        };
-
-        await sendDataFcm(user._id.toString(), user.fcmTokens, notificationData);
-        console.log(`[FCM RESPONSE] Successfully processed FCM dispatch for user ${user._id}`);
+        const title = action === 'approve' ? '🎉 Verification Approved' : 'Verification Update';
+        const body = action === 'approve' 
+          ? 'Your photo verification has been approved. You can now access verified member features.'
+          : 'Your verification could not be approved. Please review the requirements and submit again.';
+
+        const { status } = await dispatch('verification.result', {
+          userId: user._id,
+          title,
+          body,
+          data: {
+            type: action === 'approve' ? 'verification_approved' : 'verification_rejected',
+            userId: user._id.toString()
+          }
+        });
+        console.log(`[FCM RESPONSE] Verification dispatch for user ${user._id}: ${status}`);
       } catch (fcmError) {
         console.error(`[FCM ERROR] Failed to send verification FCM to user ${user._id}:`, fcmError.message);
       }
@@ -606,6 +604,16 @@ router.post('/reports/safety-ticket/:id/messages', authenticate, adminOnly, asyn
       isSystem: false
     });
 
+    // The reporter may have closed the app — emailed if the push doesn't land
+    const { dispatch } = require('../services/notificationDispatcher');
+    dispatch('safety_ticket.reply', {
+      userId: ticket.reporterId,
+      title: '🛡️ Humrah Safety Team replied',
+      body: msg.content,
+      data: { type: 'SAFETY_TICKET_MESSAGE', ticketId: ticket.ticketId },
+      entityId: ticket._id
+    }).catch(err => console.error('Safety reply notification error:', err.message));
+
     // Audit Log
     if (AuditLog && AuditLog.logAction) {
       await AuditLog.logAction({
@@ -736,7 +744,7 @@ router.post('/broadcast/profile-completion', authenticate, adminOnly, async (req
     }
     // ALL_USERS just uses the default { role: 'USER' } filter
     
-    const users = await User.find(filter, '_id fcmTokens');
+    const users = await User.find(filter, '_id fcmTokens notifications').lean();
     const recipientCount = users.length;
     
     if (recipientCount === 0) {
@@ -770,35 +778,28 @@ router.post('/broadcast/profile-completion', authenticate, adminOnly, async (req
     // Insert in batches if very large, but insertMany handles large arrays decently well
     await Notification.insertMany(notifications);
     
-    // FCM Delivery in Batches (Non-blocking)
-    const { sendDataFcm } = require('../utils/fcmHelper');
+    // FCM Delivery in Batches (Non-blocking) — respects each user's reminder toggle
+    const broadcastFcm = require('../services/broadcastFcmService');
     const fcmPayload = {
-      type: 'ADMIN_BROADCAST',
-      broadcastId: broadcast._id.toString(),
+      event: 'broadcast.reminder',
       title,
-      message,
-      action: 'OPEN_PROFILE',
-      destination: 'PROFILE',
-      priority: 'high'
+      body: message,
+      data: {
+        type: 'ADMIN_BROADCAST',
+        broadcastId: broadcast._id.toString(),
+        title,
+        message,
+        action: 'OPEN_PROFILE',
+        destination: 'PROFILE',
+        priority: 'high'
+      }
     };
     
     // Fire and forget FCM dispatch (process asynchronously so it doesn't block response)
     (async () => {
       try {
-        let successCount = 0;
-        let failCount = 0;
-        for (const user of users) {
-          if (user.fcmTokens && user.fcmTokens.length > 0) {
-            try {
-              await sendDataFcm(user._id.toString(), user.fcmTokens, fcmPayload);
-              successCount++;
-            } catch (err) {
-              failCount++;
-              console.error(`[FCM] Failed to send broadcast to user ${user._id}:`, err.message);
-            }
-          }
-        }
-        console.log(`[BROADCAST FCM] Delivered: ${successCount}, Failed: ${failCount}, Total: ${recipientCount}`);
+        const { successCount, failureCount } = await broadcastFcm.sendToMultipleUsers(users, fcmPayload);
+        console.log(`[BROADCAST FCM] Delivered: ${successCount}, Failed: ${failureCount}, Total: ${recipientCount}`);
       } catch (err) {
         console.error('[BROADCAST FCM] Global error in background dispatcher:', err);
       }
@@ -3,8 +3,10 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
+const { rateLimitStore } = require('../middleware/rateLimitMiddleware');
 const AdminOtp = require('../models/AdminOtp');
 const User = require('../models/User');
+const { isEnabled: isTwoFactorEnabled, verifySecondFactor } = require('../services/adminTwoFactorService');
 const { Resend } = require('resend');
 
 // Provide a dummy key if RESEND_API_KEY is missing so it doesn't crash, 
@@ -14,6 +16,8 @@ const resend = new Resend(process.env.RESEND_API_KEY || 're_dummy');
 const ADMIN_EMAIL = 'safety@humrah.in'; // Official admin destination email
 
 const otpRateLimiter = rateLimit({
+  store: rateLimitStore('adminDashboardOtp'),
+  passOnStoreError: false,   // guards OTP guessing — refuse rather than skip the limit
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Increased for testing
   message: { success: false, message: 'Too many OTP requests. Please try again after 15 minutes.' }
@@ -90,6 +94,28 @@ router.post('/otp/verify', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid OTP.' });
     }
 
+    // Second factor — once the admin has enrolled an authenticator app, the
+    // emailed OTP alone is not enough. Checked before the OTP is consumed so the
+    // dashboard can re-submit the same OTP together with the TOTP code.
+    const existingAdmin = await User.findOne({ email: ADMIN_EMAIL }).select('_id email role');
+    let mfaAt = null;
+    if (existingAdmin && await isTwoFactorEnabled(existingAdmin._id)) {
+      const { totpCode, recoveryCode } = req.body;
+      if (!totpCode && !recoveryCode) {
+        return res.status(401).json({
+          success: false,
+          twoFactorRequired: true,
+          message: 'Enter the code from your authenticator app.'
+        });
+      }
+
+      const mfa = await verifySecondFactor(existingAdmin, { code: totpCode, recoveryCode }, req);
+      if (!mfa.ok) {
+        return res.status(mfa.status).json({ success: false, twoFactorRequired: true, message: mfa.message });
+      }
+      mfaAt = Math.floor(Date.now() / 1000);
+    }
+
     await AdminOtp.deleteOne({ _id: adminOtp._id });
 
     // Find or create the admin user
@@ -115,8 +141,10 @@ router.post('/otp/verify', async (req, res) => {
     }
 
     const JWT_SECRET = process.env.JWT_SECRET;
+    const payload = { userId: user._id, role: user.role, tv: user.tokenVersion || 0 };
+    if (mfaAt) payload.mfaAt = mfaAt;
     const token = jwt.sign(
-      { userId: user._id, role: user.role, tv: user.tokenVersion || 0 },
+      payload,
       JWT_SECRET,
       { expiresIn: '24h' }
     );
@@ -125,6 +153,7 @@ router.post('/otp/verify', async (req, res) => {
       success: true,
       message: 'Login successful',
       token,
+      twoFactorVerified: !!mfaAt,
       user: {
         _id: user._id,
         email: user.email,
@@ -0,0 +1,161 @@
+// routes/adminImageBlocklist.js - Perceptual-hash blocklist of removed images
+// Mounted at /api/admin/image-blocklist (authenticate applied in app.js)
+//
+// Uploads within a few bits of an entry are rejected before SafeSearch runs
+// (services/imageHashService.js). Removing a post through
+// /api/admin/moderation/posts/:id/remove adds its image automatically; this
+// route covers profile photos, food posts and images from elsewhere.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { adminOnly } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const BlockedImageHash = require('../models/BlockedImageHash');
+const Post = require('../models/Post');
+const FoodPost = require('../models/FoodPost');
+const User = require('../models/User');
+const { blockImage } = require('../services/imageHashService');
+
+const SOURCE_TYPES = ['post', 'food_post', 'profile_photo', 'manual'];
+
+// The stored hash (or the image URL to hash) for a piece of content
+async function resolveSource(sourceType, sourceId) {
+  if (sourceType === 'post') {
+    const post = await Post.findById(sourceId).select('imageHash imageUrl').lean();
+    return post && { hash: post.imageHash, imageUrl: post.imageUrl };
+  }
+  if (sourceType === 'food_post') {
+    const post = await FoodPost.findById(sourceId).select('imageHash imageUrl').lean();
+    return post && { hash: post.imageHash, imageUrl: post.imageUrl };
+  }
+  const user = await User.findById(sourceId).select('profilePhotoHash profilePhoto').lean();
+  return user?.profilePhoto ? { hash: user.profilePhotoHash, imageUrl: user.profilePhoto } : null;
+}
+
+function auditBlocklistChange(req, action, entry) {
+  return AuditLog.logAction({
+    actorId: req.user._id,
+    actorRole: req.user.role,
+    actorEmail: req.user.email,
+    action,
+    targetType: 'SYSTEM',
+    reason: req.body?.reason,
+    details: { hash: entry.hash, sourceType: entry.sourceType, sourceId: entry.sourceId, severity: entry.severity },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestMethod: req.method,
+    requestPath: req.originalUrl
+  });
+}
+
+/**
+ * @route   GET /api/admin/image-blocklist
+ * @desc    Blocklisted hashes, newest first — ?sourceType, ?page, ?limit
+ * @access  Private (Admin)
+ */
+router.get('/', adminOnly, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = {};
+    if (req.query.sourceType) query.sourceType = String(req.query.sourceType);
+
+    const [entries, total] = await Promise.all([
+      BlockedImageHash.find(query)
+        .select('-bands')
+        .populate('addedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      BlockedImageHash.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('List image blocklist error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load image blocklist' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/image-blocklist
+ * @desc    Blocklist an image — { sourceType: 'post'|'food_post'|'profile_photo', sourceId }
+ *          (profile_photo takes the user ID) or { sourceType: 'manual', imageUrl }; plus reason, extreme
+ * @access  Private (Admin)
+ */
+router.post('/', adminOnly, async (req, res) => {
+  try {
+    const { sourceType, sourceId, imageUrl, reason, extreme } = req.body;
+    if (!SOURCE_TYPES.includes(sourceType)) {
+      return res.status(400).json({ success: false, message: `sourceType must be one of ${SOURCE_TYPES.join(', ')}` });
+    }
+
+    let source;
+    if (sourceType === 'manual') {
+      if (typeof imageUrl !== 'string' || !/^https?:\/\//.test(imageUrl)) {
+        return res.status(400).json({ success: false, message: 'imageUrl is required for manual entries' });
+      }
+      source = { imageUrl };
+    } else {
+      if (!mongoose.isValidObjectId(sourceId)) {
+        return res.status(400).json({ success: false, message: 'Invalid sourceId' });
+      }
+      source = await resolveSource(sourceType, sourceId);
+      if (!source) {
+        return res.status(404).json({ success: false, message: 'No image found for that source' });
+      }
+    }
+
+    let entry;
+    try {
+      entry = await blockImage({
+        ...source,
+        reason,
+        severity: extreme === true ? 'extreme' : 'standard',
+        sourceType,
+        sourceId: sourceType === 'manual' ? null : sourceId,
+        addedBy: req.user._id,
+      });
+    } catch (err) {
+      return res.status(422).json({ success: false, message: `Could not hash image: ${err.message}` });
+    }
+
+    await auditBlocklistChange(req, 'BLOCK_IMAGE', entry);
+    res.status(201).json({ success: true, message: 'Image blocklisted', entry });
+  } catch (error) {
+    console.error('Add image blocklist entry error:', error);
+    res.status(500).json({ success: false, message: 'Failed to blocklist image' });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/image-blocklist/:id
+ * @desc    Allow an image again
+ * @access  Private (Admin)
+ */
+router.delete('/:id', adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid entry ID' });
+    }
+
+    const entry = await BlockedImageHash.findByIdAndDelete(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Blocklist entry not found' });
+    }
+
+    await auditBlocklistChange(req, 'UNBLOCK_IMAGE', entry);
+    res.json({ success: true, message: 'Image removed from blocklist' });
+  } catch (error) {
+    console.error('Remove image blocklist entry error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update image blocklist' });
+  }
+});
+
+module.exports = router;
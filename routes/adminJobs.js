@@ -0,0 +1,95 @@
+// routes/adminJobs.js - Inspect the persistent job queue (services/jobQueue.js)
+// Mounted at /api/admin/jobs (authenticate applied in server.js)
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { adminOnly, superAdminOnly } = require('../middleware/auth');
+const Job = require('../models/Job');
+const { getQueueStats, listJobs, retryDeadJob } = require('../services/jobQueue');
+
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    Per-queue / per-job counts by status, overdue count, worker info
+ * @access  Private (Admin)
+ */
+router.get('/', adminOnly, async (req, res) => {
+  try {
+    const stats = await getQueueStats();
+    res.json({ success: true, ...stats });
+  } catch (error) {
+    console.error('Job queue stats error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load job queue stats' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs/list?queue=&name=&status=&page=&limit=
+ * @desc    Browse jobs, e.g. ?status=dead for the dead-letter queue
+ * @access  Private (Admin)
+ */
+router.get('/list', adminOnly, async (req, res) => {
+  try {
+    const { queue, name, status } = req.query;
+    if (status && !Job.JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of ${Job.JOB_STATUSES.join(', ')}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const result = await listJobs({ queue, name, status, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Job list error:', error);
+    res.status(500).json({ success: false, message: 'Failed to list jobs' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/jobs/:jobId
+ * @desc    Single job including payload and last error
+ * @access  Private (Admin)
+ */
+router.get('/:jobId', adminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.jobId)) {
+      return res.status(400).json({ success: false, message: 'Invalid job id' });
+    }
+
+    const job = await Job.findById(req.params.jobId).lean();
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load job' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/jobs/:jobId/retry
+ * @desc    Move a dead-lettered job back to pending with a fresh attempt budget
+ * @access  Private (Super Admin)
+ */
+router.post('/:jobId/retry', superAdminOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.jobId)) {
+      return res.status(400).json({ success: false, message: 'Invalid job id' });
+    }
+
+    const job = await retryDeadJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'No dead job with that id' });
+    }
+
+    console.log(`♻️ [JobQueue] ${job.name} (${job._id}) re-queued by admin ${req.user.email}`);
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({ success: false, message: 'Failed to retry job' });
+  }
+});
+
+module.exports = router;
@@ -6,8 +6,9 @@ const PostReport = require('../models/PostReport');
 const AuditLog = require('../models/AuditLog');
 const { auditLog } = require('../middleware/auth');
 const { createOrAggregateActivity } = require('../controllers/activityController');
-const { getMessaging } = require('firebase-admin/messaging');
+const { dispatch } = require('../services/notificationDispatcher');
 const User = require('../models/User');
+const { blockImage, unblockSource } = require('../services/imageHashService');
 
 // GET /api/admin/moderation/posts
 router.get('/posts', async (req, res) => {
@@ -112,7 +113,7 @@ router.get('/posts/:id', async (req, res) => {
   }
 });
 
-// Helper for FCM and Activity
+// Helper for push and Activity
 async function notifyModerationEvent(userId, actorId, type, message, postId) {
   try {
     // 1. Community Activity Record (Mandatory)
@@ -125,15 +126,14 @@ async function notifyModerationEvent(userId, actorId, type, message, postId) {
       message: message
     });
     
-    // 2. FCM Notification (Best effort)
-    const owner = await User.findById(userId).select('fcmTokens');
-    if (owner && owner.fcmTokens && owner.fcmTokens.length > 0) {
-      await getMessaging().sendEachForMulticast({
-        notification: { title: '🛡️ Post Moderation', body: message },
-        data: { type: type, postId: postId.toString() },
-        tokens: owner.fcmTokens
-      });
-    }
+    // 2. Push Notification (Best effort)
+    await dispatch('moderation.post', {
+      userId,
+      title: '🛡️ Post Moderation',
+      body: message,
+      data: { type: type, postId: postId.toString() },
+      collapseKey: `moderation.post:${postId}:${type}`
+    });
   } catch (error) {
     console.error(`Moderation notification error for ${type}:`, error.message);
     // Don't throw, let moderation succeed even if FCM/Activity fails
@@ -203,6 +203,11 @@ router.patch('/posts/:id/restore', auditLog('RESTORE_POST', 'POST'), async (req,
     post.moderationStatus = 'ACTIVE';
     await post.save();
 
+    // The image is acceptable after all — stop rejecting re-uploads of it
+    await unblockSource('post', post._id).catch(err =>
+      console.error('Image unblock error:', err.message)
+    );
+
     const adminUser = await User.findById(req.userId).select('email role');
     await AuditLog.logAction({
       actorId: req.userId,
@@ -231,7 +236,7 @@ router.patch('/posts/:id/restore', auditLog('RESTORE_POST', 'POST'), async (req,
   }
 });
 
-// PATCH /api/admin/moderation/posts/:id/remove
+// PATCH /api/admin/moderation/posts/:id/remove — { userMessage, internalNote, reasonCode, extreme }
 router.patch('/posts/:id/remove', auditLog('REMOVE_POST', 'POST'), async (req, res) => {
   try {
     const { userMessage, internalNote, reasonCode } = req.body;
@@ -248,6 +253,17 @@ router.patch('/posts/:id/remove', auditLog('REMOVE_POST', 'POST'), async (req, r
     post.moderationStatus = 'REMOVED';
     await post.save();
 
+    // Re-uploads of the removed image are rejected before SafeSearch (posts created before hashing are fetched and hashed)
+    await blockImage({
+      hash: post.imageHash,
+      imageUrl: post.imageUrl,
+      reason: reasonCode || 'removed_post',
+      severity: req.body.extreme === true ? 'extreme' : 'standard',
+      sourceType: 'post',
+      sourceId: post._id,
+      addedBy: req.userId,
+    }).catch(err => console.error('Image blocklist error:', err.message));
+
     const adminUser = await User.findById(req.userId).select('email role');
     await AuditLog.logAction({
       actorId: req.userId,
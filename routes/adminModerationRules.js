@@ -0,0 +1,193 @@
+// routes/adminModerationRules.js - Manage the content-moderation policy
+// Mounted at /api/admin/moderation-rules (authenticate applied in app.js)
+//
+// Rules are evaluated by services/moderationPolicy.js on every surface
+// (profile, chat, letter, profile_review, food_caption). Writes take effect on
+// this instance immediately and on the others at their next refresh (≤ 1 min).
+const express = require('express');
+const router = express.Router();
+const { adminOnly, sensitiveAdminOnly } = require('../middleware/auth');
+const ModerationRule = require('../models/ModerationRule');
+const AuditLog = require('../models/AuditLog');
+const {
+  moderateContent, compileRule, reloadRules, listRules, isBuiltinRule, getPolicyVersion, SURFACES
+} = require('../services/moderationPolicy');
+
+const EDITABLE_FIELDS = [
+  'description', 'category', 'level', 'reason', 'target', 'matchType', 'patterns', 'flags', 'surfaces', 'actions', 'enabled'
+];
+
+function pickRuleFields(body) {
+  const fields = {};
+  for (const f of EDITABLE_FIELDS) {
+    if (body[f] !== undefined) fields[f] = body[f];
+  }
+  return fields;
+}
+
+function auditRuleChange(req, action, rule, extra = {}) {
+  return AuditLog.logAction({
+    actorId: req.user._id,
+    actorRole: req.user.role,
+    actorEmail: req.user.email,
+    action,
+    targetType: 'SYSTEM',
+    reason: req.body?.auditReason,
+    details: { ruleKey: rule.key, rule, ...extra },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestMethod: req.method,
+    requestPath: req.originalUrl
+  });
+}
+
+/**
+ * @route   GET /api/admin/moderation-rules
+ * @desc    Effective rule set (built-in, overridden and custom) and surface defaults
+ * @access  Private (Admin)
+ */
+router.get('/', adminOnly, async (req, res) => {
+  try {
+    res.json({ success: true, version: getPolicyVersion(), surfaces: SURFACES, rules: listRules() });
+  } catch (error) {
+    console.error('List moderation rules error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load moderation rules' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/moderation-rules/test
+ * @desc    Dry-run text against the live policy — { text, surface? } (all surfaces if omitted)
+ * @access  Private (Admin)
+ */
+router.post('/test', adminOnly, async (req, res) => {
+  try {
+    const { text, surface } = req.body;
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ success: false, message: 'text is required' });
+    }
+    if (surface && !SURFACES[surface]) {
+      return res.status(400).json({ success: false, message: `surface must be one of ${Object.keys(SURFACES).join(', ')}` });
+    }
+
+    const surfaces = surface ? [surface] : Object.keys(SURFACES);
+    const results = surfaces.map(s => moderateContent(text, { surface: s }));
+
+    res.json({ success: true, version: getPolicyVersion(), results });
+  } catch (error) {
+    console.error('Test moderation rules error:', error);
+    res.status(500).json({ success: false, message: 'Failed to evaluate text' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/moderation-rules
+ * @desc    Add a custom rule, e.g. { key: 'upi_refund_scam', category: 'scam', level: 2, patterns: ['refund processing fee'] }
+ * @access  Private (Admin, 2FA)
+ */
+router.post('/', sensitiveAdminOnly, async (req, res) => {
+  try {
+    const key = String(req.body.key || '').trim().toLowerCase();
+    if (!/^[a-z0-9_]{2,60}$/.test(key)) {
+      return res.status(400).json({ success: false, message: 'key must be 2-60 characters of a-z, 0-9 or _' });
+    }
+    if (isBuiltinRule(key)) {
+      return res.status(409).json({ success: false, message: `"${key}" is a built-in rule — use PUT to override it` });
+    }
+    if (await ModerationRule.exists({ key })) {
+      return res.status(409).json({ success: false, message: `Rule "${key}" already exists` });
+    }
+
+    const fields = { key, ...pickRuleFields(req.body) };
+    try {
+      compileRule(fields);
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+
+    const rule = await ModerationRule.create({ ...fields, createdBy: req.user._id, updatedBy: req.user._id });
+    const { version } = await reloadRules();
+
+    await auditRuleChange(req, 'CREATE_MODERATION_RULE', rule.toObject());
+    console.log(`🛡️ Moderation rule "${key}" added by ${req.user.email}`);
+
+    res.status(201).json({ success: true, version, rule });
+  } catch (error) {
+    console.error('Create moderation rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to create moderation rule' });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/moderation-rules/:key
+ * @desc    Edit a custom rule, or override a built-in (unspecified fields keep the built-in values)
+ * @access  Private (Admin, 2FA)
+ */
+router.put('/:key', sensitiveAdminOnly, async (req, res) => {
+  try {
+    const key = req.params.key.toLowerCase();
+    const existing = await ModerationRule.findOne({ key });
+    const builtin = listRules().find(r => r.key === key && r.source !== 'custom');
+
+    if (!existing && !builtin) {
+      return res.status(404).json({ success: false, message: 'Rule not found' });
+    }
+
+    // Overriding a built-in for the first time starts from its definition
+    const base = existing
+      ? existing.toObject()
+      : { ...builtin, matchType: 'regex', flags: 'i' };
+    const fields = { ...pickRuleFields(base), ...pickRuleFields(req.body), key };
+
+    try {
+      compileRule(fields);
+    } catch (err) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+
+    const previous = existing ? existing.toObject() : null;
+    const rule = await ModerationRule.findOneAndUpdate(
+      { key },
+      {
+        $set: { ...fields, updatedBy: req.user._id },
+        $setOnInsert: { createdBy: req.user._id }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+    const { version } = await reloadRules();
+
+    await auditRuleChange(req, 'UPDATE_MODERATION_RULE', rule.toObject(), { previous, overridesBuiltin: Boolean(builtin) });
+    console.log(`🛡️ Moderation rule "${key}" ${existing ? 'updated' : 'overridden'} by ${req.user.email}`);
+
+    res.json({ success: true, version, rule });
+  } catch (error) {
+    console.error('Update moderation rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update moderation rule' });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/moderation-rules/:key
+ * @desc    Delete a custom rule, or drop an override so the built-in applies again
+ * @access  Private (Admin, 2FA)
+ */
+router.delete('/:key', sensitiveAdminOnly, async (req, res) => {
+  try {
+    const key = req.params.key.toLowerCase();
+    const rule = await ModerationRule.findOneAndDelete({ key });
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'No custom rule or override with that key' });
+    }
+    const { version } = await reloadRules();
+
+    await auditRuleChange(req, 'DELETE_MODERATION_RULE', rule.toObject(), { restoredBuiltin: isBuiltinRule(key) });
+    console.log(`🛡️ Moderation rule "${key}" deleted by ${req.user.email}`);
+
+    res.json({ success: true, version, restoredBuiltin: isBuiltinRule(key) });
+  } catch (error) {
+    console.error('Delete moderation rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete moderation rule' });
+  }
+});
+
+module.exports = router;
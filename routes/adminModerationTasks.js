@@ -0,0 +1,140 @@
+// routes/adminModerationTasks.js - Human review console for the AI moderation queue
+// Mounted at /api/admin/moderation/tasks (authenticate applied in app.js)
+//
+// Tasks land here when cronJobs/aiModerationWorker.js flags a profile field or
+// gives up on it (failed_permanently). See services/moderationReviewService.js.
+const express = require('express');
+const router = express.Router();
+const { adminOnly } = require('../middleware/auth');
+const {
+  listTasks, getTask, decideTask, bulkDecide, getReviewerStats
+} = require('../services/moderationReviewService');
+
+const REVIEW_STATUSES = ['pending', 'decided', 'none'];
+const TASK_STATUSES = ['pending', 'processing', 'completed', 'failed', 'failed_permanently'];
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * @route   GET /api/admin/moderation/tasks
+ * @desc    Review queue with flagged field values and cached AI results —
+ *          ?review=pending|decided|none (default pending), ?status=<task status>, ?page, ?limit
+ * @access  Private (Admin)
+ */
+router.get('/', adminOnly, async (req, res) => {
+  try {
+    const review = req.query.review ? String(req.query.review) : 'pending';
+    const status = req.query.status ? String(req.query.status) : null;
+    if (!REVIEW_STATUSES.includes(review)) {
+      return res.status(400).json({ success: false, message: `review must be one of ${REVIEW_STATUSES.join(', ')}` });
+    }
+    if (status && !TASK_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of ${TASK_STATUSES.join(', ')}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { tasks, total } = await listTasks({ reviewStatus: review, status, page, limit });
+
+    res.json({
+      success: true,
+      tasks,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('List moderation tasks error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load moderation tasks' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/moderation/tasks/stats
+ * @desc    Queue size and per-reviewer throughput / AI agreement — ?from&to (ISO dates, default last 30 days)
+ * @access  Private (Admin)
+ */
+router.get('/stats', adminOnly, async (req, res) => {
+  try {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ success: false, message: 'from and to must be valid dates' });
+    }
+
+    const range = {
+      from: from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      to: to || new Date()
+    };
+    const { ok, ...stats } = await getReviewerStats(range);
+
+    res.json({ success: ok, range, ...stats });
+  } catch (error) {
+    console.error('Moderation review stats error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load review stats' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/moderation/tasks/bulk
+ * @desc    Same decision for every field of up to 100 tasks — { taskIds, decision: 'approve'|'reject', note }
+ * @access  Private (Admin)
+ */
+router.post('/bulk', adminOnly, async (req, res) => {
+  try {
+    const { taskIds, decision, note } = req.body;
+    const result = await bulkDecide(taskIds, req.user, { decision, note }, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, decided: result.decided, failed: result.failed, results: result.results });
+  } catch (error) {
+    console.error('Bulk moderation decision error:', error);
+    res.status(500).json({ success: false, message: 'Failed to record decisions' });
+  }
+});
+
+/**
+ * @route   GET /api/admin/moderation/tasks/:id
+ * @desc    One task with the user's current profile and cached AI results
+ * @access  Private (Admin)
+ */
+router.get('/:id', adminOnly, async (req, res) => {
+  try {
+    const result = await getTask(req.params.id);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, task: result.task });
+  } catch (error) {
+    console.error('Get moderation task error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load moderation task' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/moderation/tasks/:id/decision
+ * @desc    Decide each field — { fields: { 'questionnaire.bio': 'approve', ... }, note }
+ *          or { decision: 'approve'|'reject', note } for all of them
+ * @access  Private (Admin)
+ */
+router.post('/:id/decision', adminOnly, async (req, res) => {
+  try {
+    const { fields, decision, note } = req.body;
+    const result = await decideTask(req.params.id, req.user, { decisions: fields || decision, note }, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, task: result.task, clearedFields: result.clearedFields });
+  } catch (error) {
+    console.error('Moderation decision error:', error);
+    res.status(500).json({ success: false, message: 'Failed to record decision' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+// routes/adminNotificationChannels.js - Per-event notification channel rules
+// Mounted at /api/admin/notification-channels (authenticate applied in app.js)
+//
+// Rules are applied by services/notificationDispatcher.js on every dispatch:
+// whether an event keeps an in-app copy and when it is also emailed. Writes
+// take effect on this instance immediately and on the others within a minute.
+const express = require('express');
+const router = express.Router();
+const { adminOnly, sensitiveAdminOnly } = require('../middleware/auth');
+const NotificationChannelRule = require('../models/NotificationChannelRule');
+const AuditLog = require('../models/AuditLog');
+const {
+  EMAIL_MODES, isConfigurableEvent, validateChannelRule, reloadChannelRules, listChannelRules, getChannelRule
+} = require('../services/notificationChannels');
+
+const EDITABLE_FIELDS = ['inApp', 'email', 'ackWindowMinutes'];
+
+function pickRuleFields(body) {
+  const fields = {};
+  for (const f of EDITABLE_FIELDS) {
+    if (body[f] !== undefined) fields[f] = body[f];
+  }
+  return fields;
+}
+
+function auditRuleChange(req, action, event, extra = {}) {
+  return AuditLog.logAction({
+    actorId: req.user._id,
+    actorRole: req.user.role,
+    actorEmail: req.user.email,
+    action,
+    targetType: 'SYSTEM',
+    reason: req.body?.auditReason,
+    details: { event, ...extra },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    requestMethod: req.method,
+    requestPath: req.originalUrl
+  });
+}
+
+/**
+ * @route   GET /api/admin/notification-channels
+ * @desc    Effective channel rule for every event (default or overridden)
+ * @access  Private (Admin)
+ */
+router.get('/', adminOnly, async (req, res) => {
+  try {
+    await reloadChannelRules();
+    res.json({ success: true, emailModes: EMAIL_MODES, rules: listChannelRules() });
+  } catch (error) {
+    console.error('List notification channel rules error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load notification channel rules' });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/notification-channels/:event
+ * @desc    Override an event's channels, e.g. { email: 'fallback', ackWindowMinutes: 20 }
+ * @access  Private (Admin, 2FA)
+ */
+router.put('/:event', sensitiveAdminOnly, async (req, res) => {
+  try {
+    const { event } = req.params;
+    if (!isConfigurableEvent(event)) {
+      return res.status(404).json({ success: false, message: 'Unknown notification event' });
+    }
+
+    const fields = pickRuleFields(req.body);
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ success: false, message: `Provide at least one of ${EDITABLE_FIELDS.join(', ')}` });
+    }
+    const invalid = validateChannelRule(event, fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const previous = await getChannelRule(event);
+    await NotificationChannelRule.findOneAndUpdate(
+      { event },
+      { $set: { ...fields, updatedBy: req.user._id } },
+      { upsert: true, new: true, runValidators: true }
+    );
+    await reloadChannelRules();
+    const rule = await getChannelRule(event);
+
+    await auditRuleChange(req, 'UPDATE_NOTIFICATION_CHANNEL_RULE', event, { previous, rule });
+    console.log(`🔔 Notification channels for "${event}" updated by ${req.user.email}`);
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('Update notification channel rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update notification channel rule' });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/notification-channels/:event
+ * @desc    Drop an override so the event's default channels apply again
+ * @access  Private (Admin, 2FA)
+ */
+router.delete('/:event', sensitiveAdminOnly, async (req, res) => {
+  try {
+    const { event } = req.params;
+    const override = await NotificationChannelRule.findOneAndDelete({ event });
+    if (!override) {
+      return res.status(404).json({ success: false, message: 'No override for that event' });
+    }
+    await reloadChannelRules();
+    const rule = await getChannelRule(event);
+
+    await auditRuleChange(req, 'DELETE_NOTIFICATION_CHANNEL_RULE', event, { removed: override, rule });
+    console.log(`🔔 Notification channels for "${event}" reset by ${req.user.email}`);
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('Delete notification channel rule error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset notification channel rule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+// routes/adminRateLimits.js - View / clear rate-limit counters for one client
+// Mounted at /api/admin/rate-limits (authenticate applied in server.js)
+//
+// Counters live in models/RateLimitCounter (utils/mongoRateLimitStore.js).
+// A client is identified the way the limiters key it:
+//   ?userId=<id>  → 'uid:<id>' (user-keyed limiters) and '<id>' (route-local ones)
+//   ?key=<ip>     → '<ip>' (IP-keyed limiters) and 'ip:<ip>' (user-keyed fallback)
+//   ?key=<raw>    → any other exact key
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { adminOnly, sensitiveAdminOnly } = require('../middleware/auth');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const AuditLog = require('../models/AuditLog');
+
+function resolveClientKeys(query) {
+  const { userId, key } = query;
+
+  if (userId) {
+    if (!mongoose.isValidObjectId(userId)) return null;
+    return [`uid:${userId}`, String(userId)];
+  }
+
+  if (key && typeof key === 'string') {
+    const trimmed = key.trim();
+    if (!trimmed) return null;
+    if (trimmed.startsWith('uid:') || trimmed.startsWith('ip:')) return [trimmed];
+    return [trimmed, `ip:${trimmed}`];
+  }
+
+  return null;
+}
+
+/**
+ * @route   GET /api/admin/rate-limits?userId=|key=
+ * @desc    Live counters for a client across every limiter
+ * @access  Private (Admin)
+ */
+router.get('/', adminOnly, async (req, res) => {
+  try {
+    const clientKeys = resolveClientKeys(req.query);
+    if (!clientKeys) {
+      return res.status(400).json({ success: false, message: 'Provide a valid userId or key' });
+    }
+
+    const counters = await RateLimitCounter.find({
+      clientKey: { $in: clientKeys },
+      resetTime: { $gt: new Date() }
+    })
+      .select('limiter clientKey totalHits resetTime createdAt')
+      .sort({ limiter: 1 })
+      .lean();
+
+    res.json({ success: true, clientKeys, counters });
+  } catch (error) {
+    console.error('Get rate limits error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load rate-limit counters' });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/rate-limits?userId=|key=[&limiter=]
+ * @desc    Clear a client's counters (all limiters, or just ?limiter=login)
+ * @access  Private (Admin, 2FA)
+ */
+router.delete('/', sensitiveAdminOnly, async (req, res) => {
+  try {
+    const clientKeys = resolveClientKeys(req.query);
+    if (!clientKeys) {
+      return res.status(400).json({ success: false, message: 'Provide a valid userId or key' });
+    }
+
+    const filter = { clientKey: { $in: clientKeys } };
+    if (req.query.limiter) filter.limiter = String(req.query.limiter);
+
+    const cleared = await RateLimitCounter.find(filter).select('limiter clientKey totalHits').lean();
+    await RateLimitCounter.deleteMany(filter);
+
+    await AuditLog.logAction({
+      actorId: req.user._id,
+      actorRole: req.user.role,
+      actorEmail: req.user.email,
+      action: 'RESET_RATE_LIMIT',
+      targetType: req.query.userId ? 'USER' : 'SYSTEM',
+      targetId: req.query.userId || undefined,
+      reason: req.body?.reason,
+      details: { clientKeys, limiter: filter.limiter || null, cleared },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      requestMethod: req.method,
+      requestPath: req.originalUrl
+    });
+
+    console.log(`🔓 Rate limits cleared for ${clientKeys.join(', ')} (${cleared.length} counter(s)) by ${req.user.email}`);
+
+    res.json({ success: true, cleared: cleared.length, counters: cleared });
+  } catch (error) {
+    console.error('Clear rate limits error:', error);
+    res.status(500).json({ success: false, message: 'Failed to clear rate-limit counters' });
+  }
+});
+
+module.exports = router;
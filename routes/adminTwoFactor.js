@@ -0,0 +1,192 @@
+// routes/adminTwoFactor.js - Authenticator-app (TOTP) 2FA for admin accounts
+// Mounted at /api/admin/2fa (authenticate applied in server.js)
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authorize, sensitiveSuperAdminOnly } = require('../middleware/auth');
+const { signAccessToken } = require('../services/authSessionService');
+const {
+  TWO_FACTOR_ROLES,
+  getStatus,
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  resetForAdmin
+} = require('../services/adminTwoFactorService');
+
+const twoFactorRolesOnly = authorize(...TWO_FACTOR_ROLES);
+
+/**
+ * Re-issue the caller's access token with mfaAt set, keeping its device session.
+ * Dashboard tokens (no device session) keep their 24h lifetime.
+ */
+function issueStepUpToken(req) {
+  return signAccessToken(
+    req.user._id,
+    req.user.role,
+    req.user.tokenVersion ?? 0,
+    req.sessionId,
+    {
+      claims: { mfaAt: Math.floor(Date.now() / 1000) },
+      expiresIn: req.sessionId ? undefined : '24h'
+    }
+  );
+}
+
+/**
+ * @route   GET /api/admin/2fa/status
+ * @desc    Current admin's 2FA enrolment status
+ * @access  Private (Safety Admin / Super Admin)
+ */
+router.get('/status', twoFactorRolesOnly, async (req, res) => {
+  try {
+    const status = await getStatus(req.user._id);
+    res.json({ success: true, ...status, verifiedThisSession: !!req.mfaAt });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load 2FA status' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/2fa/enroll
+ * @desc    Start enrolment — returns the secret and otpauth:// URI for the QR code
+ * @access  Private (Safety Admin / Super Admin)
+ */
+router.post('/enroll', twoFactorRolesOnly, async (req, res) => {
+  try {
+    const result = await startEnrolment(req.user, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      secret: result.secret,
+      otpauthUri: result.otpauthUri,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.'
+    });
+  } catch (error) {
+    console.error('2FA enroll error:', error);
+    res.status(500).json({ success: false, message: 'Failed to start 2FA enrolment' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/2fa/enroll/confirm
+ * @desc    Confirm enrolment with the first code. Returns recovery codes ONCE
+ *          and a step-up token so the admin can continue without re-entering a code.
+ * @access  Private (Safety Admin / Super Admin)
+ */
+router.post('/enroll/confirm', twoFactorRolesOnly, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Code is required' });
+    }
+
+    const result = await confirmEnrolment(req.user, code, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes: result.recoveryCodes,
+      token: issueStepUpToken(req)
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ success: false, message: 'Failed to confirm 2FA enrolment' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/2fa/verify
+ * @desc    Step-up: verify a TOTP or recovery code, receive a token that unlocks
+ *          sensitive admin actions (bans, admin permissions, ...)
+ * @access  Private (Safety Admin / Super Admin)
+ */
+router.post('/verify', twoFactorRolesOnly, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ success: false, message: 'code or recoveryCode is required' });
+    }
+
+    const result = await verifySecondFactor(req.user, { code, recoveryCode }, req);
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        retryAfterSeconds: result.retryAfterSeconds
+      });
+    }
+
+    res.json({
+      success: true,
+      token: issueStepUpToken(req),
+      method: result.method,
+      recoveryCodesRemaining: result.recoveryCodesRemaining
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ success: false, message: 'Failed to verify 2FA code' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/2fa/recovery-codes
+ * @desc    Regenerate recovery codes (invalidates the old set). Requires a TOTP code.
+ * @access  Private (Safety Admin / Super Admin)
+ */
+router.post('/recovery-codes', twoFactorRolesOnly, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Code is required' });
+    }
+
+    const result = await regenerateRecoveryCodes(req.user, code, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, recoveryCodes: result.recoveryCodes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ success: false, message: 'Failed to regenerate recovery codes' });
+  }
+});
+
+/**
+ * @route   POST /api/admin/2fa/reset/:adminId
+ * @desc    Remove another admin's 2FA enrolment (lost device). They must enrol again.
+ * @access  Private (Super Admin + 2FA)
+ */
+router.post('/reset/:adminId', sensitiveSuperAdminOnly, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const target = await User.findById(req.params.adminId).select('email role firstName lastName');
+
+    if (!target || !TWO_FACTOR_ROLES.includes(target.role)) {
+      return res.status(404).json({ success: false, message: 'Admin not found' });
+    }
+
+    const result = await resetForAdmin(req.user, target, reason, req);
+
+    res.json({
+      success: true,
+      message: result.wasEnabled
+        ? '2FA reset. The admin must enrol again before sensitive actions.'
+        : 'Admin had no 2FA enrolment.'
+    });
+  } catch (error) {
+    console.error('2FA reset error:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset 2FA' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+// routes/appeals.js - Users contesting moderation decisions
+// Mounted at /api/appeals (authenticateForAppeal applied in app.js)
+//
+// Suspended and banned users get here with the appealToken returned by the
+// refused login; everyone else uses their normal access token.
+const express = require('express');
+const router = express.Router();
+const ModerationAppeal = require('../models/ModerationAppeal');
+const { getAppealable, fileAppeal } = require('../services/appealService');
+
+/**
+ * @route   GET /api/appeals/eligible
+ * @desc    Strikes, current suspension/cooldown and ban that can be appealed
+ * @access  Private (incl. suspended/banned)
+ */
+router.get('/eligible', async (req, res) => {
+  try {
+    const { ok, ...items } = await getAppealable(req.user);
+    res.json({ success: ok, ...items });
+  } catch (error) {
+    console.error('Appeal eligibility error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load appealable decisions' });
+  }
+});
+
+/**
+ * @route   POST /api/appeals
+ * @desc    File an appeal — { type: 'STRIKE'|'SUSPENSION'|'BAN', violationId?, statement }
+ * @access  Private (incl. suspended/banned)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { type, violationId, statement } = req.body;
+    const result = await fileAppeal(req.user, { type, violationId, statement });
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Your appeal has been submitted. Our safety team will review it shortly.',
+      appeal: result.appeal
+    });
+  } catch (error) {
+    console.error('File appeal error:', error);
+    res.status(500).json({ success: false, message: 'Failed to submit appeal' });
+  }
+});
+
+/**
+ * @route   GET /api/appeals
+ * @desc    The user's own appeals, newest first
+ * @access  Private (incl. suspended/banned)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const appeals = await ModerationAppeal.find({ userId: req.user._id })
+      .select('-violationIds -decision.decidedBy')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    res.json({ success: true, appeals });
+  } catch (error) {
+    console.error('List appeals error:', error);
+    res.status(500).json({ success: false, message: 'Failed to load appeals' });
+  }
+});
+
+module.exports = router;
@@ -16,6 +16,15 @@ const {
   publicApiLimiter,
 } = require('../middleware/rateLimitMiddleware');
 const { verifyGoogleIdToken } = require('../services/googleAuthService');
+const {
+  issueAuthTokens,
+  rotateRefreshToken,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  signAppealToken,
+} = require('../services/authSessionService');
+const { disconnectUserSockets } = require('../utils/socketAuth');
 
 // OTP constants live in services/otpService.js — single source of truth.
 
@@ -59,33 +68,19 @@ if (!JWT_SECRET) {
 }
 
 // =============================================
-// HELPER: GENERATE JWT TOKEN
+// TOKENS: SHORT-LIVED ACCESS + ROTATING REFRESH
 // =============================================
-// tokenVersion (tv) is embedded in the payload.
-// Auth middleware compares payload.tv against db.tokenVersion on every
-// request — if they differ the token is rejected immediately.
-// This allows instant revocation without a blocklist:
-//   - logout-all   → increment tokenVersion → all old tokens fail
-//   - password change → increment tokenVersion → stolen tokens fail
+// Every sign-in path calls issueAuthTokens() (services/authSessionService.js):
+//   token         JWT { userId, role, tv, sid } — ACCESS_TOKEN_TTL (15m default)
+//   refreshToken  opaque, stored hashed per device in RefreshToken
 //
-// Access token lifetime: 24h (down from 7d).
-//   Risk window for a stolen token is now 24h max instead of 7 days.
+// Revocation levers (all honoured by middleware/auth.js + socket auth):
+//   - DELETE /sessions/:id → one device
+//   - POST /logout-all     → increment tokenVersion + revoke every device
+//   - password change      → increment tokenVersion → stolen tokens fail
 //
-// FUTURE REFRESH TOKEN SLOT:
-//   When you add refresh tokens, generateToken() stays the same.
-//   Add a separate generateRefreshToken(userId, tokenVersion) that issues
-//   a long-lived (30d) opaque token stored hashed in a RefreshToken collection.
-//   POST /api/auth/refresh verifies the refresh token, checks tokenVersion,
-//   and issues a new 24h access token. Android calls /refresh when it gets 401.
+// Android calls POST /api/auth/refresh when it gets a 401 and swaps both tokens.
 // =============================================
-const generateToken = (userId, role, tokenVersion = 0) => {
-  return jwt.sign(
-    { userId, role, tv: tokenVersion },
-    JWT_SECRET,
-    { expiresIn: '7d' }
-  );
-};
-
 
 // =============================================
 // PUBLIC ROUTES
@@ -265,8 +260,8 @@ router.post('/register', registerLimiter, async (req, res) => {
     
     await acceptance.save();
 
-    // Generate token
-    const token = generateToken(user._id, user.role || 'USER');
+    // Generate access + refresh tokens for this device
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user, req);
 
     // Send welcome email if verified
     if (emailVerified) {
@@ -290,6 +285,8 @@ needsGuidelinesAcceptance=${user.needsGuidelinesAcceptance !== undefined ? user.
       success: true,
       message: 'Registration successful',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         _id: user._id,
         firstName: user.firstName,
@@ -407,12 +404,15 @@ router.post('/login', loginLimiter, async (req, res) => {
             liftsOn: until
               ? new Date(until).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })
               : 'indefinite'
-          }
+          },
+          // Only valid on /api/appeals
+          appealToken: signAppealToken(user),
         });
       } else if (user.status === 'BANNED') {
         return res.status(403).json({
           success: false,
           message: 'This account has been permanently banned.',
+          appealToken: signAppealToken(user),
         });
       } else {
         return res.status(403).json({
@@ -447,7 +447,7 @@ router.post('/login', loginLimiter, async (req, res) => {
     // Generate token (includes role + tokenVersion for revocation support)
     if (user.ensureGuidelinesMigration) await user.ensureGuidelinesMigration();
 
-    const token = generateToken(user._id, userRole, user.tokenVersion ?? 0);
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user, req);
 
     console.log(`✅ Login successful: ${user.email} (${userRole})`);
 
@@ -512,6 +512,8 @@ router.post('/login', loginLimiter, async (req, res) => {
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
       user: userResponse,
       // ✅ INCLUDE LEGAL STATUS
       requiresLegalReacceptance: !hasAcceptedCurrent,
@@ -621,13 +623,15 @@ router.post('/google-auth', publicApiLimiter, async (req, res) => {
               suspensionInfo: {
                 reason: user.suspensionInfo?.suspensionReason || 'Community guideline violation',
                 suspendedUntil: until ? until.toISOString() : null
-              }
+              },
+              appealToken: signAppealToken(user)
             });
           }
         } else if (user.status === 'BANNED') {
           return res.status(403).json({
             success: false,
-            message: 'This account has been permanently banned.'
+            message: 'This account has been permanently banned.',
+            appealToken: signAppealToken(user)
           });
         } else {
           return res.status(403).json({
@@ -644,13 +648,15 @@ router.post('/google-auth', publicApiLimiter, async (req, res) => {
 
       if (user.ensureGuidelinesMigration) await user.ensureGuidelinesMigration();
 
-      const token = generateToken(user._id, user.role || 'USER', user.tokenVersion ?? 0);
+      const { token, refreshToken, expiresIn } = await issueAuthTokens(user, req);
       console.log(`✅ Google login success: ${user.email}`);
 
       return res.status(200).json({
         success: true,
         message: 'Login successful',
         token,
+        refreshToken,
+        expiresIn,
         user: buildUserResponse(user)
       });
     }
@@ -667,7 +673,7 @@ router.post('/google-auth', publicApiLimiter, async (req, res) => {
 
       if (user.ensureGuidelinesMigration) await user.ensureGuidelinesMigration();
 
-      const token = generateToken(user._id, user.role || 'USER', user.tokenVersion ?? 0);
+      const { token, refreshToken, expiresIn } = await issueAuthTokens(user, req);
 
       console.log(`ℹ️ Google register: existing account ${user.email} → returning isNewUser=false`);
 
@@ -675,6 +681,8 @@ router.post('/google-auth', publicApiLimiter, async (req, res) => {
         success: true,
         message: 'Account already exists. Logging you in.',
         token,
+        refreshToken,
+        expiresIn,
         user: buildUserResponse(user),
         isNewUser: false
       });
@@ -721,7 +729,7 @@ router.post('/google-auth', publicApiLimiter, async (req, res) => {
 
     await newUser.save();
 
-    const token = generateToken(newUser._id, 'USER', newUser.tokenVersion ?? 0);
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(newUser, req);
 
     console.log(`✅ Google register: new user created ${newUser.email}`);
 
@@ -729,6 +737,8 @@ router.post('/google-auth', publicApiLimiter, async (req, res) => {
       success: true,
       message: 'Account created successfully',
       token,
+      refreshToken,
+      expiresIn,
       user: buildUserResponse(newUser),
       isNewUser: true
     });
@@ -885,6 +895,40 @@ router.post('/verify-otp-registration', verifyOtpLimiter, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token + rotated refresh token.
+ *          The presented refresh token is single-use — replaying it revokes the device.
+ * @access  Public (refresh token is the credential)
+ */
+router.post('/refresh', publicApiLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ success: false, message: 'refreshToken is required' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        code:    'SESSION_REVOKED'
+      });
+    }
+
+    res.json({
+      success:      true,
+      token:        result.token,
+      refreshToken: result.refreshToken,
+      expiresIn:    result.expiresIn
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ success: false, message: 'Server error during token refresh' });
+  }
+});
+
 // =============================================
 // PROTECTED ROUTES
 // =============================================
@@ -1126,13 +1170,15 @@ router.post('/facebook-auth', publicApiLimiter, async (req, res) => {
               suspensionInfo: {
                 reason: user.suspensionInfo?.suspensionReason || 'Community guideline violation',
                 suspendedUntil: until ? until.toISOString() : null
-              }
+              },
+              appealToken: signAppealToken(user)
             });
           }
         } else if (user.status === 'BANNED') {
           return res.status(403).json({
             success: false,
-            message: 'This account has been permanently banned.'
+            message: 'This account has been permanently banned.',
+            appealToken: signAppealToken(user)
           });
         } else {
           return res.status(403).json({
@@ -1148,13 +1194,15 @@ router.post('/facebook-auth', publicApiLimiter, async (req, res) => {
 
       if (user.ensureGuidelinesMigration) await user.ensureGuidelinesMigration();
 
-      const token = generateToken(user._id, user.role || 'USER', user.tokenVersion ?? 0);
+      const { token, refreshToken, expiresIn } = await issueAuthTokens(user, req);
       console.log(`✅ Facebook login success: ${user.email}`);
 
       return res.status(200).json({
         success: true,
         message: 'Login successful',
         token,
+        refreshToken,
+        expiresIn,
         user: buildUserResponse(user)
       });
     }
@@ -1169,13 +1217,15 @@ router.post('/facebook-auth', publicApiLimiter, async (req, res) => {
 
       if (user.ensureGuidelinesMigration) await user.ensureGuidelinesMigration();
 
-      const token = generateToken(user._id, user.role || 'USER', user.tokenVersion ?? 0);
+      const { token, refreshToken, expiresIn } = await issueAuthTokens(user, req);
       console.log(`ℹ️ Facebook register: existing account ${user.email} → isNewUser=false`);
 
       return res.status(200).json({
         success: true,
         message: 'Account already exists. Logging you in.',
         token,
+        refreshToken,
+        expiresIn,
         user: buildUserResponse(user),
         isNewUser: false
       });
@@ -1213,13 +1263,15 @@ router.post('/facebook-auth', publicApiLimiter, async (req, res) => {
 
     await newUser.save();
 
-    const token = generateToken(newUser._id, 'USER', newUser.tokenVersion ?? 0);
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(newUser, req);
     console.log(`✅ Facebook register: new user created ${newUser.email}`);
 
     return res.status(201).json({
       success: true,
       message: 'Account created successfully',
       token,
+      refreshToken,
+      expiresIn,
       user: buildUserResponse(newUser),
       isNewUser: true
     });
@@ -1239,7 +1291,8 @@ router.post('/facebook-auth', publicApiLimiter, async (req, res) => {
 
 /**
  * @route   POST /api/auth/logout-all
- * @desc    Invalidate ALL active JWTs for this user by incrementing tokenVersion.
+ * @desc    Invalidate ALL active JWTs for this user by incrementing tokenVersion
+ *          and revoking every device session (refresh tokens stop working too).
  * @access  Private
  */
 router.post('/logout-all', authenticate, async (req, res) => {
@@ -1248,7 +1301,16 @@ router.post('/logout-all', authenticate, async (req, res) => {
       { _id: req.user._id },
       { $inc: { tokenVersion: 1 } }
     );
-    console.log(`✅ logout-all: tokenVersion incremented for ${req.user.email}`);
+    const revoked = await revokeAllSessions(req.user._id, 'LOGOUT_ALL');
+
+    // Drop live sockets in every namespace — their tokens are dead now
+    const io = req.app.get('io');
+    if (io) {
+      disconnectUserSockets(io, req.user._id)
+        .catch(err => console.error('logout-all socket disconnect error:', err.message));
+    }
+
+    console.log(`✅ logout-all: tokenVersion incremented for ${req.user.email} (${revoked} device sessions revoked)`);
     return res.json({ success: true, message: 'All sessions have been logged out.' });
   } catch (error) {
     console.error('logout-all error:', error);
@@ -1256,4 +1318,78 @@ router.post('/logout-all', authenticate, async (req, res) => {
   }
 });
 
+// =============================================
+// DEVICE SESSIONS
+// =============================================
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log out the current device only (revokes its refresh token).
+ * @access  Private
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.user._id, req.sessionId, 'USER_LOGOUT');
+    }
+    return res.json({ success: true, message: 'Logged out.' });
+  } catch (error) {
+    console.error('logout error:', error);
+    return res.status(500).json({ success: false, message: 'Server error during logout' });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active devices (platform, last IP, last seen). The device making
+ *          the request is flagged with current: true.
+ * @access  Private
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id, req.sessionId);
+    return res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('list sessions error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to fetch sessions' });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one device without logging out everywhere. Its access token is
+ *          rejected on the next request/socket handshake and its refresh token stops working.
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!/^[a-f0-9]{24}$/i.test(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid session id' });
+    }
+
+    const revoked = await revokeSession(req.user._id, id, 'USER_REVOKED');
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    // Drop any live sockets opened with this device's token, in every namespace
+    const io = req.app.get('io');
+    if (io) {
+      disconnectUserSockets(io, req.user._id, id)
+        .catch(err => console.error('session socket disconnect error:', err.message));
+    }
+
+    console.log(`✅ Device session ${id} revoked by ${req.user.email}`);
+    return res.json({
+      success: true,
+      message: 'Device logged out.',
+      current: !!req.sessionId && req.sessionId.toString() === id
+    });
+  } catch (error) {
+    console.error('revoke session error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to revoke session' });
+  }
+});
+
 module.exports = router;
@@ -4,6 +4,18 @@ const router = express.Router();
 const { auth } = require('../middleware/auth');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
+const {
+  isPayer,
+  createOrderForBooking,
+  confirmPayment,
+  mockCompletePayment,
+  getPaymentSummary
+} = require('../services/checkoutService');
+const paymentGateway = require('../services/paymentGateway');
+const { dispatch } = require('../services/notificationDispatcher');
+
+// Paid bookings are opt-in until pricing is live everywhere.
+const BOOKING_PAYMENTS_ENABLED = process.env.BOOKING_PAYMENTS_ENABLED === 'true';
 
 // ─── helper: push a lightweight booking ref into a user doc ───────────────────
 async function pushBookingRef(userId, { bookingId, otherUserId, otherUserEmail, status }) {
@@ -25,6 +37,15 @@ async function pushBookingRef(userId, { bookingId, otherUserId, otherUserEmail,
   ).catch(err => console.error('[BookingRef] pushBookingRef error:', err.message));
 }
 
+// ─── helper: companion price from questionnaire ("₹500", "500 per hour", …) ──
+// Anything without a number (e.g. "Split the bill") is a free booking.
+function resolveBookingAmount(companion) {
+  if (!BOOKING_PAYMENTS_ENABLED) return 0;
+  const raw = companion.questionnaire?.price;
+  const match = raw && String(raw).replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match ? Math.round(parseFloat(match[0])) : 0;
+}
+
 // ─── helper: sync status in both users' bookingRefs ──────────────────────────
 async function syncBookingRefStatus(bookingId, newStatus) {
   return User.updateMany(
@@ -34,6 +55,25 @@ async function syncBookingRefStatus(bookingId, newStatus) {
   ).catch(err => console.error('[BookingRef] syncBookingRefStatus error:', err.message));
 }
 
+// ─── helper: tell the other participant the booking is confirmed ─────────────
+// Expects userId/companionId populated. Emailed if the push doesn't land.
+function notifyBookingConfirmed(booking, confirmedBy) {
+  const byRequester = booking.userId._id.toString() === confirmedBy.toString();
+  const recipient   = byRequester ? booking.companionId : booking.userId;
+  const confirmer   = byRequester ? booking.userId : booking.companionId;
+  const when = booking.bookingDate.toLocaleString('en-IN', {
+    day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit', timeZone: 'Asia/Kolkata'
+  });
+
+  return dispatch('booking.confirmed', {
+    userId: recipient._id,
+    title:  '✅ Booking confirmed',
+    body:   `${confirmer.firstName || 'Your companion'} confirmed your booking for ${when}.`,
+    data:   { type: 'BOOKING_CONFIRMED', bookingId: booking._id.toString() },
+    entityId: booking._id,
+  }).catch(err => console.error('[Booking] Confirmation notification error:', err.message));
+}
+
 
 // @route   POST /api/bookings
 // @desc    Create a new booking
@@ -57,7 +97,7 @@ router.post('/', auth, async (req, res) => {
       meetingLocation,
       notes,
       status: 'pending',
-      totalAmount: 0   // FREE for now
+      totalAmount: resolveBookingAmount(companion)
     });
 
     await booking.save();
@@ -147,25 +187,63 @@ router.put('/:id/status', auth, async (req, res) => {
       });
     }
 
-    if (booking.userId.toString() !== req.userId && 
-        booking.companionId.toString() !== req.userId) {
+    if (booking.userId.toString() !== req.userId.toString() && 
+        booking.companionId.toString() !== req.userId.toString()) {
       return res.status(403).json({ 
         success: false, 
         message: 'Not authorized' 
       });
     }
 
-    booking.status = status;
-    await booking.save();
+    if (status === 'completed' && booking.totalAmount > 0 && booking.paymentStatus !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment must be completed before marking as complete'
+      });
+    }
+
+    const previousStatus = booking.status;
+    let refund = null;
+    if (status === 'cancelled') {
+      // cancel() refunds a captured payment through the checkout subsystem
+      refund = await booking.cancel(req.body.reason);
+    } else {
+      booking.status = status;
+      await booking.save();
+    }
+
+    // Confirmed paid booking → open a gateway order so the payer can check out.
+    // A gateway hiccup must not undo the confirmation; the client can retry
+    // via POST /:id/checkout.
+    let payment = null;
+    if (status === 'confirmed' && booking.totalAmount > 0 && booking.paymentStatus === 'pending') {
+      try {
+        const result = await createOrderForBooking(booking);
+        payment = result.ok
+          ? { required: true, order: result.order.toClientJSON(), keyId: result.keyId }
+          : { required: true, order: null, message: result.message };
+      } catch (err) {
+        console.error('Create payment order error:', err);
+        payment = { required: true, order: null, message: 'Could not start payment. Please try again.' };
+      }
+    }
+
     await booking.populate('userId companionId', 'firstName lastName profilePhoto');
 
     // Keep bookingRefs in sync — non-blocking
     syncBookingRefStatus(booking._id, status);
+    if (status === 'confirmed' && previousStatus !== 'confirmed') notifyBookingConfirmed(booking, req.userId);
 
     res.json({
       success: true,
       message: 'Booking status updated',
-      booking
+      booking,
+      payment,
+      refund: refund && {
+        success: refund.ok,
+        refundId: refund.refundId || null,
+        message: refund.ok ? 'Refund initiated' : refund.message
+      }
     });
 
   } catch (error) {
@@ -177,5 +255,146 @@ router.put('/:id/status', auth, async (req, res) => {
   }
 });
 
+// ─── helper: load booking and check the caller is a participant ──────────────
+async function loadParticipantBooking(req, res) {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    res.status(404).json({ success: false, message: 'Booking not found' });
+    return null;
+  }
+
+  if (booking.userId.toString() !== req.userId.toString() &&
+      booking.companionId.toString() !== req.userId.toString()) {
+    res.status(403).json({ success: false, message: 'Not authorized' });
+    return null;
+  }
+
+  return booking;
+}
+
+// @route   POST /api/bookings/:id/checkout
+// @desc    Create (or re-use) the gateway order for a confirmed paid booking
+// @access  Private (payer only)
+router.post('/:id/checkout', auth, async (req, res) => {
+  try {
+    const booking = await loadParticipantBooking(req, res);
+    if (!booking) return;
+
+    if (!isPayer(booking, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the person who booked can pay for this booking'
+      });
+    }
+
+    const result = await createOrderForBooking(booking);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      order: result.order.toClientJSON(),
+      keyId: result.keyId
+    });
+
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/bookings/:id/payment/verify
+// @desc    Verify the signed checkout callback { orderId, paymentId, signature }
+// @access  Private (payer only)
+router.post('/:id/payment/verify', auth, async (req, res) => {
+  try {
+    const booking = await loadParticipantBooking(req, res);
+    if (!booking) return;
+
+    const { orderId, paymentId, signature } = req.body;
+    const result = await confirmPayment(booking, req.userId, { orderId, paymentId, signature });
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment successful',
+      order: result.order.toClientJSON(),
+      paymentStatus: booking.paymentStatus
+    });
+
+  } catch (error) {
+    console.error('Verify payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/bookings/:id/payment
+// @desc    Payment status and order history for a booking
+// @access  Private (participants)
+router.get('/:id/payment', auth, async (req, res) => {
+  try {
+    const booking = await loadParticipantBooking(req, res);
+    if (!booking) return;
+
+    res.json({
+      success: true,
+      payment: {
+        required: booking.totalAmount > 0,
+        totalAmount: booking.totalAmount,
+        paymentStatus: booking.paymentStatus,
+        paidAt: booking.paidAt,
+        orders: await getPaymentSummary(booking._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/bookings/:id/payment/mock-complete
+// @desc    Mock gateway only — simulate a successful checkout for the open order.
+//          Registered only when USE_MOCK_PAYMENTS=true (never in production).
+// @access  Private (payer only, mock payment mode)
+if (paymentGateway.isDevelopment) router.post('/:id/payment/mock-complete', auth, async (req, res) => {
+  try {
+    const booking = await loadParticipantBooking(req, res);
+    if (!booking) return;
+
+    const result = await mockCompletePayment(booking, req.userId);
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: 'Mock payment successful',
+      order: result.order.toClientJSON(),
+      paymentStatus: booking.paymentStatus
+    });
+
+  } catch (error) {
+    console.error('Mock payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 
 module.exports = router;
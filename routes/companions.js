@@ -6,7 +6,7 @@ const router           = express.Router();
 const { auth, authenticate } = require('../middleware/auth');
 const User             = require('../models/User');
 const MatchingTodayMood = require('../models/MatchingTodayMood');
-const admin            = require('firebase-admin');
+const { dispatch }     = require('../services/notificationDispatcher');
 
 // =============================================================================
 // HELPERS
@@ -268,18 +268,17 @@ router.post('/mood-request', authenticate, async (req, res) => {
     User.findByIdAndUpdate(req.userId, { $set: { [`moodRequestsSent.${receiverId}`]: now } }).exec();
 
     const notifMsg = message?.trim() || `${me.firstName} wants to connect — you both share similar vibes today ☕`;
-    if (receiver.fcmTokens?.length > 0) {
-      try {
-        await admin.messaging().sendEachForMulticast({
-          tokens:       receiver.fcmTokens,
-          notification: { title: `${me.firstName} wants to connect ✨`, body: notifMsg },
-          data:         { type: 'mood_request', senderId: req.userId.toString(), senderName: me.firstName },
-          android:      { priority: 'normal' },
-        });
-      } catch (e) { console.error('[mood-request] FCM (non-fatal):', e.message); }
-    }
-
-    return res.json({ success: true, message: 'Mood request sent!', notificationSent: (receiver.fcmTokens?.length || 0) > 0 });
+    let pushStatus = null;
+    try {
+      ({ status: pushStatus } = await dispatch('companion.request', {
+        userId: receiverId,
+        title:  `${me.firstName} wants to connect ✨`,
+        body:   notifMsg,
+        data:   { type: 'mood_request', senderId: req.userId.toString(), senderName: me.firstName },
+      }));
+    } catch (e) { console.error('[mood-request] push (non-fatal):', e.message); }
+
+    return res.json({ success: true, message: 'Mood request sent!', notificationSent: pushStatus === 'SENT' });
 
   } catch (err) {
     console.error('[mood-request]', err.message);
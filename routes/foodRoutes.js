@@ -2,6 +2,7 @@
 const express = require('express');
 const router  = express.Router();
 const multer  = require('multer');
+const { enforceImageBlocklist } = require('../middleware/imageModerationMiddleware');
 const {
   createPost,
   getNearby,
@@ -28,7 +29,7 @@ const upload = multer({
 // NOTE: authenticate + enforceLegalAcceptance are applied in server.js
 // DO NOT add authenticate here — it would double-fire and break req.userId
 
-router.post('/create',          upload.single('image'), createPost);
+router.post('/create',          upload.single('image'), enforceImageBlocklist, createPost);
 // GET /api/food-posts — spec endpoint name (prompt §3)
 // Accepts: ?latitude=28.61&longitude=77.20&page=1
 router.get('/food-posts',       getFoodPosts);
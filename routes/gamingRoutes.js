@@ -49,7 +49,7 @@ const {
   emitNewReaction,
   emitNewMessage,
 } = require("../sockets/sessionSocket");
-const { sendGamingPush } = require("../utils/gamingPush");
+const { dispatch } = require("../services/notificationDispatcher");
 
 // ── Constants ─────────────────────────────────────────────────
 const THREE_HOURS_MS    = 3 * 60 * 60 * 1000;
@@ -79,7 +79,7 @@ setInterval(() => {
   for (const k of _dailyNotifCount.keys()) {
     if (!k.endsWith(todayDate)) _dailyNotifCount.delete(k);
   }
-}, 60 * 60 * 1000);
+}, 60 * 60 * 1000).unref();
 
 // ── Helpers ───────────────────────────────────────────────────
 
@@ -389,11 +389,12 @@ router.post("/sessions/:id/join", async (req, res) => {
     const io = req.app.get("io");
     if (io) emitPlayerJoined(io, session);
 
-    sendGamingPush({
-      recipientId:  session.creatorId.toString(),
+    dispatch("gaming.player_joined", {
+      userId:       session.creatorId,
       title:        `${session.gameType} Session`,
       body:         `${name} joined your ${session.gameType} session! 🎮`,
       data:         { type: "PLAYER_JOINED", sessionId: session._id.toString() },
+      collapseKey:  `gaming.player_joined:${session._id}:${req.user._id}`,
     }).catch(err => console.error("[gamingPush] join notification failed:", err));
 
     res.json(formatSession(session));
@@ -800,13 +801,17 @@ async function sendNewSessionNotifications(session, hostUserId) {
         console.log(`[gamingNotif] Skipping ${uid} — daily limit reached`);
         continue;
       }
-      sendGamingPush({
-        recipientId: uid,
+      dispatch("gaming.new_session", {
+        userId:      uid,
         title:       "🎮 Gaming session looking for players",
         body:        `Someone is starting a ${gameLabel} session. Join before it fills up.`,
-        data:        { sessionId: String(session._id), type: "new_session" }
+        data:        { sessionId: String(session._id), type: "new_session" },
+        entityId:    session._id,
+      })
+      .then(({ status }) => {
+        if (status === "SENT" || status === "DEFERRED") markNotified(uid);
+        console.log(`[gamingNotif] ${status} → ${uid}`);
       })
-      .then(() => { markNotified(uid); console.log(`[gamingNotif] ✅ Sent to ${uid}`); })
       .catch(err => console.error(`[gamingNotif] ❌ Push failed for ${uid}:`, err.message));
     }
   } catch (err) {
@@ -2,9 +2,10 @@ const express = require('express');
 const router = express.Router();
 const lettersController = require('../controllers/letters.controller');
 const letterNotifController = require('../controllers/letterNotificationController');
-const { validateLetterCreation, validateLetterReply, validateLetterReport } = require('../validators/letters.validator');
+const { validateLetterCreation, validateLetterReply, validateLetterUpdate, validateLetterReport } = require('../validators/letters.validator');
 const { lettersWriteLimiter, lettersReadLimiter } = require('../middleware/lettersRateLimit');
 const lettersModeration = require('../middleware/lettersModeration');
+const { adminOnly } = require('../middleware/auth');
 
 // ── Activity Inbox (must be before /:id routes to avoid "activity" being matched as a letter ID)
 router.get('/activity',          lettersReadLimiter,  letterNotifController.getActivity);
@@ -51,6 +52,31 @@ router.post(
   lettersController.createReply.bind(lettersController)
 );
 
+// REPLY within a note's thread (letter author ↔ that note's writer)
+router.post(
+  '/:id/replies/:replyId/replies',
+  lettersWriteLimiter,
+  validateLetterReply,
+  lettersModeration,
+  lettersController.createThreadReply.bind(lettersController)
+);
+
+// POST the author's single follow-up update
+router.post(
+  '/:id/update',
+  lettersWriteLimiter,
+  validateLetterUpdate,
+  lettersModeration,
+  lettersController.postUpdate.bind(lettersController)
+);
+
+// EXTEND a letter's life once
+router.post(
+  '/:id/extend',
+  lettersWriteLimiter,
+  lettersController.extendLetter.bind(lettersController)
+);
+
 // REACT to a letter
 router.post(
   '/:id/react',
@@ -82,4 +108,12 @@ router.get(
   lettersController.getStats.bind(lettersController)
 );
 
+// GET /api/letters/admin/analytics?from=&to=&format=json|csv
+router.get(
+  '/admin/analytics',
+  lettersReadLimiter,
+  adminOnly,
+  lettersController.getAnalyticsRange.bind(lettersController)
+);
+
 module.exports = router;
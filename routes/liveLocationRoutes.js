@@ -4,12 +4,15 @@
 
 const express    = require('express');
 const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const { rateLimitStore } = require('../middleware/rateLimitMiddleware');
 const router     = express.Router();
 const ctrl       = require('../controllers/liveLocationController');
 
 // Rate limit: live location update — 1 update per 15 seconds per IP
 // (prevents Android bugs from spamming the backend)
 const updateLimiter = rateLimit({
+  store:            rateLimitStore('liveLocationUpdate'),
+  passOnStoreError: true,
   windowMs:         15 * 1000,      // 15 seconds
   max:              1,
   standardHeaders:  true,
@@ -21,6 +24,8 @@ const updateLimiter = rateLimit({
 
 // Rate limit: polling by trusted contacts — 4 polls/minute per IP (every 15s)
 const pollLimiter = rateLimit({
+  store:            rateLimitStore('liveLocationPoll'),
+  passOnStoreError: true,
   windowMs:         60 * 1000,
   max:              6,              // a little slack above the 4 required
   standardHeaders:  true,
@@ -5,6 +5,7 @@ const { auth } = require('../middleware/auth');
 const { chatMessageLimiter } = require('../middleware/rateLimitMiddleware');
 const Message = require('../models/Message');
 const User = require('../models/User');
+const { presenceManager } = require('../utils/presenceManager');
 
 // @route   GET /api/messages/conversations
 // @desc    Get all conversations
@@ -65,15 +66,12 @@ router.get('/conversations', auth, async (req, res) => {
 // @access  Private
 // ✅ FIX: Android chat screen calls this on open to get initial online status,
 //    since socket user-online events only fire for *future* connections.
+// Answered from the shared presence store, so it is correct whichever
+// instance the user's socket is connected to.
 router.get('/presence/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const isOnline = typeof global.isUserOnline === 'function'
-      ? global.isUserOnline(userId)
-      : false;
-    const lastSeen = typeof global.getUserLastSeen === 'function'
-      ? global.getUserLastSeen(userId)
-      : null;
+    const { isOnline, lastSeen } = await presenceManager.getUserPresence(userId);
 
     res.json({
       success: true,
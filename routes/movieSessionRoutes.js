@@ -54,4 +54,14 @@ router.post('/movie-session/:id/chat/message', ctrl.sendMessage);
 // GET /api/movie-session/:id/summary
 router.get('/movie-session/:id/summary', ctrl.getSessionSummary);
 
+// ── Ticket-split plan ─────────────────────────────────────────────────────────
+// Admin proposes showtime/seats/share, members confirm and settle up.
+// Every change emits 'moviePlanUpdated' to the movie:{sessionId} room.
+router.get('/movie-session/:id/plan', ctrl.getPlan);
+router.post('/movie-session/:id/plan', ctrl.proposePlan);
+router.delete('/movie-session/:id/plan', ctrl.cancelPlan);
+router.post('/movie-session/:id/plan/respond', ctrl.respondToPlan);
+router.post('/movie-session/:id/plan/booked', ctrl.markPlanBooked);
+router.patch('/movie-session/:id/plan/members/:userId/payment', ctrl.setPlanPayment);
+
 module.exports = router;
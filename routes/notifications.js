@@ -10,6 +10,7 @@ router.get('/unread-count', ctrl.getUnreadCount);
 router.get('/:id', ctrl.getNotification);
 router.post('/read-all', ctrl.markAllAsRead);
 router.post('/broadcast/:id/click', ctrl.markBroadcastAsClicked);
+router.post('/deliveries/:deliveryId/ack', ctrl.acknowledgeDelivery);
 router.post('/:id/read', ctrl.markAsRead);
 router.post('/:id/click', ctrl.markAsClicked);
 router.delete('/:id', ctrl.deleteNotification);
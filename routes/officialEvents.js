@@ -3,9 +3,9 @@ const router = express.Router();
 const OfficialEvent = require('../models/OfficialEvent');
 const EventTicket   = require('../models/EventTicket');   // ✅ Ticket system
 const User = require('../models/User');
-const admin = require('../config/firebase');
 const { auth, adminOnly } = require('../middleware/auth');
 const { uploadBase64 } = require('../config/cloudinary');
+const { dispatch, dispatchMany } = require('../services/notificationDispatcher');
 
 // ─────────────────────────────────────────────────────────────────────────────
 // HELPERS
@@ -288,23 +288,17 @@ router.post('/:id/join', auth, async (req, res) => {
 
     console.log(`[EVENT JOIN SUCCESS] eventId=${event._id} userId=${userId}`);
 
-    // Push notification (failure shouldn't break join)
+    // Ticket notification — emailed if the push doesn't land (failure shouldn't break join)
     try {
-      const payload = {
-        notification: {
-          title: 'Your Humrah ticket is ready 🎟️',
-          body: `You successfully joined ${event.title}`
-        },
-        data: { type: 'official_event', eventId: event._id.toString() }
-      };
-      const fcmTokens = user.fcmTokens || [];
-      if (fcmTokens.length > 0) {
-        await admin.messaging().sendEachForMulticast({ ...payload, tokens: fcmTokens });
-      } else if (user.fcmToken) {
-        await admin.messaging().send({ ...payload, token: user.fcmToken });
-      }
-    } catch (fcmErr) {
-      console.error('[FCM Error]:', fcmErr.message);
+      await dispatch('event_ticket.issued', {
+        userId,
+        title: 'Your Humrah ticket is ready 🎟️',
+        body: `You successfully joined ${event.title}`,
+        data: { type: 'official_event', eventId: event._id.toString() },
+        entityId: event._id
+      });
+    } catch (notifyErr) {
+      console.error('[Ticket Notification Error]:', notifyErr.message);
     }
 
     res.json({ success: true, message: 'Successfully joined the event!' });
@@ -391,24 +385,15 @@ router.post('/:id/leave', auth, async (req, res) => {
         }
 
         try {
-          const promotedUser = await User.findById(nextUser).select('fcmTokens fcmToken').lean();
-          if (promotedUser) {
-            const payload = {
-              notification: { 
-                title: "You're in 🎉", 
-                body: `A spot opened for ${promoteResult.title}. Your ticket is confirmed.` 
-              },
-              data: { type: 'official_event', eventId: eventId.toString() }
-            };
-            const fcmTokens = promotedUser.fcmTokens || [];
-            if (fcmTokens.length > 0) {
-              await admin.messaging().sendEachForMulticast({ ...payload, tokens: fcmTokens });
-            } else if (promotedUser.fcmToken) {
-              await admin.messaging().send({ ...payload, token: promotedUser.fcmToken });
-            }
-          }
+          await dispatch('event_ticket.issued', {
+            userId: nextUser,
+            title: "You're in 🎉",
+            body: `A spot opened for ${promoteResult.title}. Your ticket is confirmed.`,
+            data: { type: 'official_event', eventId: eventId.toString() },
+            entityId: eventId
+          });
         } catch (e) {
-          console.error('[FCM Error Waitlist Promoted]:', e.message);
+          console.error('[Ticket Notification Error Waitlist Promoted]:', e.message);
         }
       }
     }
@@ -939,13 +924,11 @@ router.patch('/admin/tickets/:ticketId/cancel', auth, adminOnly, async (req, res
 });
 
 // ─────────────────────────────────────────────────────────────────────────────
-// FCM NOTIFICATIONS HELPER
+// PUSH NOTIFICATIONS HELPER
 // ─────────────────────────────────────────────────────────────────────────────
 
 async function sendEventNotifications(event) {
-  if (!admin.apps.length) return;
-
-  const query = { fcmToken: { $exists: true, $ne: null } };
+  const query = { fcmTokens: { $exists: true, $ne: [] } };
 
   if (event.visibility === 'Verified Users Only') {
     query.photoVerificationStatus = 'approved';
@@ -988,9 +971,8 @@ async function sendEventNotifications(event) {
     query['questionnaire.city']  = geo.district;
   }
 
-  const users  = await User.find(query).select('fcmToken').lean();
-  const tokens = users.map(u => u.fcmToken).filter(Boolean);
-  if (!tokens.length) return;
+  const users = await User.find(query).select('_id').lean();
+  if (!users.length) return;
 
   const notifTitle = geo.level === 'State + District'
     ? `🎉 New Event in ${geo.district}`
@@ -1002,21 +984,14 @@ async function sendEventNotifications(event) {
     ? `A special event for verified members: ${event.title}`
     : `${event.title} — ${new Date(event.date).toLocaleDateString('en-IN')}`;
 
-  const message = {
-    notification: { title: notifTitle, body: notifBody, imageUrl: event.bannerImage },
-    data: { type: 'official_event', eventId: event._id.toString() }
-  };
-
-  let successCount = 0;
-  for (let i = 0; i < tokens.length; i += 500) {
-    const batch = tokens.slice(i, i + 500);
-    try {
-      const r = await admin.messaging().sendMulticast({ ...message, tokens: batch });
-      successCount += r.successCount;
-    } catch (e) {
-      console.error('FCM batch error:', e);
-    }
-  }
+  const counts = await dispatchMany('official_event.announced', users.map(u => u._id), {
+    title:       notifTitle,
+    body:        notifBody,
+    data:        { type: 'official_event', eventId: event._id.toString(), imageUrl: event.bannerImage || '' },
+    entityId:    event._id,
+    entityImage: event.bannerImage,
+  });
+  const successCount = counts.SENT || 0;
 
   await OfficialEvent.findByIdAndUpdate(event._id, { $inc: { notificationsSent: successCount } });
   console.log(`Notifications sent: ${successCount}`);
@@ -1,9 +1,22 @@
 // routes/payment.js - UPI Setup and Payout Routes
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const crypto = require('crypto');
+const { auth, superAdminOnly, sensitiveSuperAdminOnly } = require('../middleware/auth');
 const User = require('../models/User');
 const Payout = require('../models/Payout');
+const {
+  getCompanionBalance,
+  getCompanionHistory,
+  postManualAdjustment,
+  buildReconciliationReport
+} = require('../services/ledgerService');
+const {
+  parseStatementMonth,
+  buildStatement,
+  statementToCsv,
+  statementToPdf
+} = require('../services/statementService');
 
 // @route   POST /api/payment/setup-upi
 // @desc    Set up or update UPI ID
@@ -199,33 +212,28 @@ router.get('/earnings', auth, async (req, res) => {
       });
     }
     
-    // Calculate this month's earnings
-    const Booking = require('../models/Booking');
+    // Balances come from the earnings ledger, not the paymentInfo cache
     const startOfMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
-    const thisMonthBookings = await Booking.find({
-      companionId: req.userId,
-      status: 'completed',
-      paymentStatus: 'paid',
-      updatedAt: { $gte: startOfMonth }
-    }).select('companionEarning');
-    
-    const thisMonthEarnings = thisMonthBookings.reduce((sum, b) => sum + b.companionEarning, 0);
+    const [balance, thisMonth] = await Promise.all([
+      getCompanionBalance(req.userId),
+      getCompanionBalance(req.userId, { since: startOfMonth })
+    ]);
     
     // Calculate next payout date
-    const nextPayoutDate = calculateNextPayoutDate(user.paymentInfo?.pendingPayout || 0);
+    const nextPayoutDate = calculateNextPayoutDate(balance.pendingPayout);
     
     res.json({
       success: true,
       summary: {
-        totalEarnings: user.paymentInfo?.totalEarnings || 0,
-        pendingPayout: user.paymentInfo?.pendingPayout || 0,
-        completedPayouts: user.paymentInfo?.completedPayouts || 0,
-        thisMonth: thisMonthEarnings
+        totalEarnings: balance.totalEarnings,
+        pendingPayout: balance.pendingPayout,
+        completedPayouts: balance.completedPayouts,
+        thisMonth: thisMonth.totalEarnings
       },
       nextPayout: nextPayoutDate ? {
-        amount: user.paymentInfo?.pendingPayout || 0,
+        amount: balance.pendingPayout,
         scheduledDate: nextPayoutDate,
-        status: user.paymentInfo?.pendingPayout >= 500 ? 'scheduled' : 'below_minimum'
+        status: balance.pendingPayout >= 500 ? 'scheduled' : 'below_minimum'
       } : null,
       upiStatus: user.paymentInfo?.upiStatus || 'not_set'
     });
@@ -240,51 +248,48 @@ router.get('/earnings', auth, async (req, res) => {
 });
 
 // @route   GET /api/payment/earnings/history
-// @desc    Get detailed earnings history
+// @desc    Get detailed earnings history (ledger entries on the companion's account)
 // @access  Private
 router.get('/earnings/history', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
     
-    const Booking = require('../models/Booking');
+    const { entries, total } = await getCompanionHistory(req.userId, { page, limit });
     
-    const bookings = await Booking.find({
-      companionId: req.userId,
-      status: 'completed',
-      paymentStatus: 'paid'
-    })
-    .populate('userId', 'firstName lastName profilePhoto')
-    .sort({ updatedAt: -1 })
-    .skip((page - 1) * limit)
-    .limit(parseInt(limit))
-    .lean();
-    
-    const total = await Booking.countDocuments({
-      companionId: req.userId,
-      status: 'completed',
-      paymentStatus: 'paid'
+    const history = entries.map(entry => {
+      const booking = entry.bookingId;
+      const signedAmount = entry.direction === 'credit' ? entry.amount : -entry.amount;
+      
+      return {
+        entryId: entry._id,
+        type: entry.kind,
+        amount: signedAmount,
+        description: entry.description,
+        createdAt: entry.createdAt,
+        payoutId: entry.payoutId || null,
+        bookingId: booking?._id || null,
+        date: booking?.bookingDate || entry.createdAt,
+        completedAt: entry.createdAt,
+        bookerName: booking
+          ? (booking.userId ? `${booking.userId.firstName} ${booking.userId.lastName}` : 'Deleted User')
+          : null,
+        bookerPhoto: booking?.userId?.profilePhoto || null,
+        duration: booking ? calculateDuration(booking.bookingDate, entry.createdAt) : null,
+        bookingAmount: booking?.totalAmount ?? null,
+        platformFee: booking?.platformFee ?? null,
+        yourEarning: entry.kind === 'booking_earned' ? entry.amount : null,
+        payoutStatus: booking ? (booking.earningsPaidOut ? 'paid' : 'pending') : null,
+        payoutDate: booking?.earningsPaidOut ? booking.payoutDate : null
+      };
     });
     
-    const history = bookings.map(booking => ({
-      bookingId: booking._id,
-      date: booking.bookingDate,
-      completedAt: booking.updatedAt,
-      bookerName: booking.userId ? `${booking.userId.firstName} ${booking.userId.lastName}` : 'Deleted User',
-      bookerPhoto: booking.userId?.profilePhoto || null,
-      duration: calculateDuration(booking.bookingDate, booking.updatedAt),
-      bookingAmount: booking.totalAmount,
-      platformFee: booking.platformFee,
-      yourEarning: booking.companionEarning,
-      payoutStatus: booking.earningsPaidOut ? 'paid' : 'pending',
-      payoutDate: booking.earningsPaidOut ? booking.payoutDate : null
-    }));
-    
     res.json({
       success: true,
       history,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
         totalPages: Math.ceil(total / limit)
       }
@@ -325,6 +330,62 @@ router.get('/payouts', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/payment/statements/:month
+// @desc    Monthly earnings statement (month = YYYY-MM) as PDF (default) or ?format=csv
+// @access  Private
+router.get('/statements/:month', auth, async (req, res) => {
+  try {
+    const period = parseStatementMonth(req.params.month);
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+    
+    if (period.start > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statements are not available for future months'
+      });
+    }
+    
+    const format = (req.query.format || 'pdf').toLowerCase();
+    if (!['pdf', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be pdf or csv'
+      });
+    }
+    
+    const statement = await buildStatement(req.userId, period);
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const filename = `humrah-statement-${period.key}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'private, no-store');
+    
+    if (format === 'csv') {
+      return res.type('text/csv; charset=utf-8').send(statementToCsv(statement));
+    }
+    
+    const pdf = await statementToPdf(statement);
+    res.type('application/pdf').send(pdf);
+    
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // =============================================
 // ADMIN ROUTES
 // =============================================
@@ -406,6 +467,81 @@ router.post('/admin/trigger-payout/:userId', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/payment/admin/reconciliation
+// @desc    Users whose cached paymentInfo balances disagree with the earnings ledger
+// @access  Private (Super Admin)
+router.get('/admin/reconciliation', superAdminOnly, async (req, res) => {
+  try {
+    const report = await buildReconciliationReport();
+    
+    res.json({
+      success: true,
+      report
+    });
+    
+  } catch (error) {
+    console.error('Reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/payment/admin/ledger/adjustments
+// @desc    Post a manual ledger adjustment { userId, amount (+credit / -debit), reason }
+// @access  Private (Super Admin + 2FA)
+router.post('/admin/ledger/adjustments', sensitiveSuperAdminOnly, async (req, res) => {
+  try {
+    const { userId, reason } = req.body;
+    const amount = Number(req.body.amount);
+    
+    if (!userId || !Number.isFinite(amount) || amount === 0 || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId, non-zero amount and reason are required'
+      });
+    }
+    
+    const user = await User.findById(userId).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const reference = crypto.randomUUID();
+    await postManualAdjustment({
+      userId: user._id,
+      amount,
+      reason,
+      actorId: req.user._id,
+      reference
+    });
+    
+    // Keep the paymentInfo cache in step with the ledger
+    await User.updateOne(
+      { _id: user._id },
+      { $inc: { 'paymentInfo.pendingPayout': amount } }
+    );
+    
+    res.json({
+      success: true,
+      message: 'Adjustment posted',
+      reference,
+      balance: await getCompanionBalance(user._id)
+    });
+    
+  } catch (error) {
+    console.error('Ledger adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // =============================================
 // HELPER FUNCTIONS
 // =============================================
@@ -0,0 +1,39 @@
+// routes/paymentWebhooks.js - Payment gateway webhook receiver
+// Mounted at /api/payment/webhooks BEFORE the authenticated /api/payment router.
+// server.js parses this path with express.raw() so the signature can be
+// checked against the exact bytes the gateway signed.
+const express = require('express');
+const router = express.Router();
+const { handleWebhook } = require('../services/payoutWebhookService');
+
+// @route   POST /api/payment/webhooks
+// @desc    Payout status updates (processed / failed / reversed) from the gateway
+// @access  Public (HMAC signature)
+router.post('/', async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : null;
+
+    const result = await handleWebhook({
+      rawBody,
+      signature: req.get('x-razorpay-signature'),
+      eventId: req.get('x-razorpay-event-id'),
+      ipAddress: req.ip
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.json({ success: true, duplicate: !!result.duplicate });
+
+  } catch (error) {
+    // 5xx makes the gateway retry; the event is kept as 'failed' and re-run then
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed'
+    });
+  }
+});
+
+module.exports = router;
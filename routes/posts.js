@@ -3,6 +3,7 @@
 const express  = require('express');
 const router   = express.Router();
 const rateLimit = require('express-rate-limit');
+const { rateLimitStore } = require('../middleware/rateLimitMiddleware');
 
 const { auth }                    = require('../middleware/auth');
 const { enforceImageModeration }  = require('../middleware/imageModerationMiddleware');
@@ -21,6 +22,8 @@ const PostReport = require('../models/PostReport');
 
 // Comment limiter: max 10 comments per minute per user
 const commentLimiter = rateLimit({
+  store: rateLimitStore('postComment'),
+  passOnStoreError: true,
   windowMs: 60 * 1000,
   max: 10,
   keyGenerator: (req) => req.userId,
@@ -29,6 +32,8 @@ const commentLimiter = rateLimit({
 
 // Like limiter: max 30 likes per minute (prevents rapid toggle spam)
 const likeLimiter = rateLimit({
+  store: rateLimitStore('postLike'),
+  passOnStoreError: true,
   windowMs: 60 * 1000,
   max: 30,
   keyGenerator: (req) => req.userId,
@@ -86,6 +91,7 @@ router.post('/', auth, enforceImageModeration, async (req, res) => {
       userId:        req.userId,
       imageUrl:      uploadResult.url,
       imagePublicId: uploadResult.publicId,
+      imageHash:     req.imageHash || null,
       caption:       caption || '',
       location:      location || null,
       likeCount:     0,
@@ -36,6 +36,7 @@ const crypto   = require('crypto');
 const mongoose = require('mongoose');
 const { auth } = require('../middleware/auth');
 const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const { rateLimitStore } = require('../middleware/rateLimitMiddleware');
 const User     = require('../models/User');
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -78,6 +79,8 @@ async function storeBioInCache(hash, bio, userId) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 const assistantLimiter = rateLimit({
+  store: rateLimitStore('profileAssistant'),
+  passOnStoreError: true,
   windowMs: 60 * 1000,
   max: 20,
   standardHeaders: true,
@@ -483,14 +483,12 @@ router.post('/chats/:chatId/messages', authenticate, async (req, res) => {
       );
       if (recipientParticipant) {
         const recipientId = recipientParticipant.userId.toString();
-        const { sendDataFcm } = require('../utils/fcmHelper');
-        const [recipient, sender] = await Promise.all([
-          User.findById(recipientId).select('fcmTokens firstName'),
-          User.findById(req.userId).select('firstName profilePhoto'),
-        ]);
-        console.log(`[FCM] chat message push | recipientId=${recipientId} | tokenCount=${recipient?.fcmTokens?.length ?? 0}`);
-        if (recipient?.fcmTokens?.length > 0) {
-          sendDataFcm(recipientId, recipient.fcmTokens, {
+        const { dispatch } = require('../services/notificationDispatcher');
+        const sender = await User.findById(req.userId).select('firstName profilePhoto');
+        console.log(`[FCM] chat message push | recipientId=${recipientId}`);
+        dispatch('chat.message', {
+          userId: recipientId,
+          data: {
             type:            'NEW_CHAT_MESSAGE',
             chatId:          req.params.chatId,
             chatType:        'RANDOM_BOOKING',
@@ -499,9 +497,8 @@ router.post('/chats/:chatId/messages', authenticate, async (req, res) => {
             senderId:        req.userId.toString(),
             messageText:     req.body.content.trim().substring(0, 100),
             messageId:       message._id.toString(),
-            recipientUserId: recipientId,
-          }).catch(err => console.error('[FCM] chat msg push error:', err.message));
-        }
+          },
+        }).catch(err => console.error('[FCM] chat msg push error:', err.message));
       }
     } catch (fcmErr) {
       console.error('[FCM] chat msg error:', fcmErr.message);
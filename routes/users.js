@@ -7,14 +7,15 @@ const rateLimit = require('express-rate-limit');
 const { deleteMyAccount } = require('../controllers/deleteAccountController');
 
 const { authenticate, adminOnly, auditLog } = require('../middleware/auth');
-const { uploadLimiter } = require('../middleware/rateLimitMiddleware');
+const { uploadLimiter, rateLimitStore } = require('../middleware/rateLimitMiddleware');
+const { enforceImageBlocklist } = require('../middleware/imageModerationMiddleware');
 const User            = require('../models/User');
 const MatchingTodayMood = require('../models/MatchingTodayMood');
 const { upload, uploadBuffer, uploadBase64, deleteImage } = require('../config/cloudinary');
 const crypto = require('crypto');
 const ModerationLog = require('../models/ModerationLog');
 const ModerationCache = require('../models/ModerationCache');
-const { checkWithOpenAI, checkWithLlamaGuard, moderateQuestionnaireSync, applyStrikesAndEnforce, buildModerationResponse, buildAutoCleanSuccessResponse } = require('../middleware/moderation');
+const { checkWithOpenAI, checkWithLlamaGuard, checkWithLocalClassifier, moderateQuestionnaireSync, applyStrikesAndEnforce, buildModerationResponse, buildAutoCleanSuccessResponse } = require('../middleware/moderation');
 // ✅ Atomic, geocode-first live location update — single source of truth
 // shared with routes/liveLocationMatchmaking.js (see services/liveLocationService.js)
 const { updateUserLiveLocation } = require('../services/liveLocationService');
@@ -45,6 +46,8 @@ const moodCtrl = require('../controllers/matchingMoodController');
 // genuine user sufficient retries if the first attempt fails due to a transient
 // server/network error. Must be applied AFTER authenticate.
 const deleteAccountLimiter = rateLimit({
+  store:            rateLimitStore('deleteAccount'),
+  passOnStoreError: true,
   windowMs:        60 * 60 * 1000, // 1 hour
   max:             3,
   standardHeaders: true,
@@ -283,7 +286,7 @@ router.delete('/fcm-token', authenticate, async (req, res) => {
 
 // ==================== PHOTO UPLOAD ROUTES ====================
 
-router.post('/upload-profile-photo', authenticate, uploadLimiter, upload.single('photo'), async (req, res) => {
+router.post('/upload-profile-photo', authenticate, uploadLimiter, upload.single('photo'), enforceImageBlocklist, async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ success: false, message: 'No photo uploaded' });
 
@@ -295,6 +298,7 @@ router.post('/upload-profile-photo', authenticate, uploadLimiter, upload.single(
 
     user.profilePhoto = uploadResult.url;
     user.profilePhotoPublicId = uploadResult.publicId;
+    user.profilePhotoHash = req.imageHash || null;
     user.profileEditStats.lastPhotoUpdate = new Date();
     user.verified = false;
     user.photoVerificationStatus = 'not_submitted';
@@ -311,7 +315,7 @@ router.post('/upload-profile-photo', authenticate, uploadLimiter, upload.single(
   }
 });
 
-router.post('/upload-profile-photo-base64', authenticate, uploadLimiter, async (req, res) => {
+router.post('/upload-profile-photo-base64', authenticate, uploadLimiter, enforceImageBlocklist, async (req, res) => {
   try {
     const { photoBase64 } = req.body;
     if (!photoBase64) return res.status(400).json({ success: false, message: 'No photo data provided' });
@@ -324,6 +328,7 @@ router.post('/upload-profile-photo-base64', authenticate, uploadLimiter, async (
 
     user.profilePhoto = uploadResult.url;
     user.profilePhotoPublicId = uploadResult.publicId;
+    user.profilePhotoHash = req.imageHash || null;
     user.profileEditStats.lastPhotoUpdate = new Date();
     user.verified = false;
     user.photoVerificationStatus = 'not_submitted';
@@ -476,6 +481,7 @@ router.put('/me/questionnaire', authenticate, async (req, res) => {
       let providerUsed = 'Multiple';
       let openAiRes = null;
       let llamaRes = null;
+      let localRes = null;
       let ruleRes = violations.length > 0 ? { flagged: true, violations } : { flagged: false };
 
       let openAiFailed = false;
@@ -489,6 +495,7 @@ router.put('/me/questionnaire', authenticate, async (req, res) => {
         finalDecision = cached.decision;
         openAiRes = cached.openAiResult;
         llamaRes = cached.llamaGuardResult;
+        localRes = cached.localClassifierResult;
         ruleRes = cached.ruleEngineResult;
       } else {
         if (violations.length > 0) {
@@ -528,14 +535,21 @@ router.put('/me/questionnaire', authenticate, async (req, res) => {
             }
           }
           
-          if (openAiFailed && llamaFailed && finalDecision !== 'REJECT') {
+          // Neither provider gave a verdict (down or not configured) → offline Hindi/Hinglish classifier.
+          // Its hits go to a human, as in cronJobs/aiModerationWorker.js — it is too coarse to reject on its own.
+          if (finalDecision !== 'REJECT' && (openAiFailed || openAiRes?.skipped) && (llamaFailed || llamaRes?.skipped)) {
+            localRes = checkWithLocalClassifier(textsForAI);
+            if (!localRes.safe) finalDecision = 'REVIEW';
+          }
+
+          if (openAiFailed && llamaFailed && finalDecision === 'APPROVE') {
             finalDecision = 'PENDING_REVIEW';
           }
         }
         
         await ModerationCache.updateOne(
           { contentHash },
-          { contentHash, decision: finalDecision, openAiResult: openAiRes, llamaGuardResult: llamaRes, ruleEngineResult: ruleRes },
+          { contentHash, decision: finalDecision, openAiResult: openAiRes, llamaGuardResult: llamaRes, ruleEngineResult: ruleRes, localClassifierResult: localRes },
           { upsert: true }
         );
       }
@@ -550,6 +564,7 @@ router.put('/me/questionnaire', authenticate, async (req, res) => {
         openAiResult: openAiRes,
         llamaGuardResult: llamaRes,
         ruleEngineResult: ruleRes,
+        localClassifierResult: localRes,
         finalDecision,
         retryCount: 0
       });
@@ -559,7 +574,7 @@ router.put('/me/questionnaire', authenticate, async (req, res) => {
           success: false, 
           message: 'Your answer may violate Humrah\'s Community Guidelines. Please remove inappropriate language, contact information, hate speech, harassment, scams, or solicitation before continuing.' 
         });
-      } else if (finalDecision === 'PENDING_REVIEW') {
+      } else if (finalDecision === 'PENDING_REVIEW' || finalDecision === 'REVIEW') {
         user.moderationStatus = 'pending_review';
         // Allow onboarding to continue by NOT returning an error.
       }
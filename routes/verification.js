@@ -8,6 +8,8 @@ const { uploadVerificationVideo, deleteVideo } = require('../config/cloudinary')
 const crypto = require('crypto');
 const multer = require('multer');
 const { notifyVerificationReview } = require('../services/telegramService');
+const { runFaceMatch } = require('../services/faceMatchService');
+const { dispatch, dispatchMany } = require('../services/notificationDispatcher');
 
 // =============================================
 // MULTER SETUP FOR VIDEO UPLOAD
@@ -270,11 +272,17 @@ router.post('/upload-video', auth, (req, res, next) => {
       });
     }
     
-    // Notify admin team via Telegram (fire and forget)
+    // Compare the video with the profile photo, then notify the admin team
+    // via Telegram with the result (fire and forget — the session is already
+    // in the review queue)
     if (updatedUser) {
-        notifyVerificationReview(updatedUser, session).catch(err => 
-            console.error('[Telegram] Failed to notify verification review:', err)
-        );
+        const videoBuffer = req.file.buffer;
+        runFaceMatch(session, updatedUser, videoBuffer)
+            .catch(err => console.error('[FaceMatch] Failed to record face match:', err))
+            .then(() => notifyVerificationReview(updatedUser, session))
+            .catch(err => 
+                console.error('[Telegram] Failed to notify verification review:', err)
+            );
     }
     
     res.json({
@@ -382,12 +390,8 @@ router.get('/admin/pending-reviews', auth, async (req, res) => {
       });
     }
     
-    const pendingSessions = await VerificationSession.find({
-      status: 'MANUAL_REVIEW'
-    })
-    .populate('userId', 'firstName lastName email profilePhoto')
-    .sort({ createdAt: -1 })
-    .limit(50);
+    // Sessions whose video did not match the profile photo come first
+    const pendingSessions = await VerificationSession.findPendingReviews(50);
     
     res.json({
       success: true,
@@ -533,13 +537,6 @@ router.post('/admin/reject/:sessionId', auth, async (req, res) => {
 
 async function sendVerificationResultNotification(user, result, reason = null) {
   try {
-    if (!user.fcmTokens || user.fcmTokens.length === 0) {
-      console.log('ℹ️ No FCM tokens for user, skipping notification');
-      return;
-    }
-    
-    const admin = require('firebase-admin');
-    
     let title, body;
     
     if (result === 'APPROVED') {
@@ -553,18 +550,17 @@ async function sendVerificationResultNotification(user, result, reason = null) {
       body = 'Your verification is being manually reviewed. You will be notified soon.';
     }
     
-    const message = {
-      notification: { title, body },
+    const { status } = await dispatch('verification.result', {
+      userId: user._id,
+      title,
+      body,
       data: {
         type: 'VERIFICATION_RESULT',
         result: result,
         reason: reason || ''
-      },
-      tokens: user.fcmTokens
-    };
-    
-    const response = await admin.messaging().sendEachForMulticast(message);
-    console.log(`📱 Verification notification sent: ${response.successCount}/${user.fcmTokens.length}`);
+      }
+    });
+    console.log(`📱 Verification notification: ${status}`);
     
   } catch (error) {
     console.error('❌ Failed to send verification notification:', error);
@@ -576,31 +572,23 @@ async function notifyAdminsForManualReview(session, user) {
     const admins = await User.find({
       role: { $in: ['SAFETY_ADMIN', 'SUPER_ADMIN'] },
       fcmTokens: { $exists: true, $ne: [] }
-    });
+    }).select('_id').lean();
     
     if (admins.length === 0) {
       console.log('ℹ️ No admins to notify');
       return;
     }
     
-    const admin = require('firebase-admin');
-    
-    for (const adminUser of admins) {
-      const message = {
-        notification: {
-          title: '⚠️ Manual Verification Required',
-          body: `${user.firstName} ${user.lastName} needs manual review`
-        },
-        data: {
-          type: 'MANUAL_REVIEW_PENDING',
-          sessionId: session.sessionId,
-          userId: user._id.toString()
-        },
-        tokens: adminUser.fcmTokens
-      };
-      
-      await admin.messaging().sendEachForMulticast(message);
-    }
+    await dispatchMany('admin.manual_review', admins.map(a => a._id), {
+      title: '⚠️ Manual Verification Required',
+      body: `${user.firstName} ${user.lastName} needs manual review`,
+      entityId: session.sessionId,
+      data: {
+        type: 'MANUAL_REVIEW_PENDING',
+        sessionId: session.sessionId,
+        userId: user._id.toString()
+      }
+    });
     
     console.log(`📱 Notified ${admins.length} admins about manual review`);
     
@@ -2,7 +2,7 @@
 // Key fixes:
 // 1. voice-call-ringing sent to caller whether receiver is online or backgrounded
 // 2. voice-call-ended emitted to BOTH parties on end/reject for instant sync
-// 3. FCM token cleanup on failure
+// 3. Pushes go through the notification dispatcher (dead tokens pruned there)
 // 4. Consistent error shapes throughout
 // 5. INCOMING_CALL uses data-only FCM (no notification payload) so onMessageReceived
 //    always fires when app is killed — Android OS intercepts combined messages.
@@ -12,7 +12,7 @@ const router = express.Router();
 const { RtcTokenBuilder, RtcRole } = require('agora-access-token');
 const VoiceCall = require('../models/VoiceCall');
 const User = require('../models/User');
-const admin = require('../config/firebase');
+const { dispatch } = require('../services/notificationDispatcher');
 const {
   validateCallInitiation,
   validateCallEnd
@@ -49,43 +49,21 @@ function getSocketsForUser(io, userId) {
 }
 
 /**
- * Send FCM to a list of tokens. Prunes invalid tokens from user document.
+ * Push a call signal ('voice_call.incoming' / 'voice_call.status').
  *
- * IMPORTANT: For INCOMING_CALL, do NOT pass notificationPayload.
- * When both notification + data are present, Android OS handles display itself
- * and onMessageReceived is NOT called when the app is killed/backgrounded.
- * Data-only + android.priority=high always delivers to onMessageReceived so
- * our custom CallStyle full-screen notification is always built.
+ * The dispatcher sends data-only FCM with android.priority=high, which always
+ * reaches onMessageReceived — even when the app is killed — so our custom
+ * CallStyle full-screen notification is always built. Calls are timely
+ * events: in quiet hours the push is dropped, never delivered late.
  */
-async function sendFcm(userId, tokens, data, notificationPayload = null) {
-  if (!tokens || tokens.length === 0) return;
+async function pushCallSignal(event, userId, data) {
   try {
-    const msg = {
+    const { status } = await dispatch(event, {
+      userId,
       data,
-      tokens,
-      android: { priority: 'high' }
-    };
-    if (notificationPayload) {
-      msg.notification = {
-        title: notificationPayload.title,
-        body:  notificationPayload.body
-      };
-      msg.android.notification = {
-        channelId:             'humrah_notifications',
-        defaultSound:          true,
-        defaultVibrateTimings: true,
-        visibility:            'public'
-      };
-    }
-    const resp = await admin.messaging().sendEachForMulticast(msg);
-    if (resp.failureCount > 0) {
-      const bad = tokens.filter((_, i) => !resp.responses[i].success);
-      if (bad.length > 0) {
-        await User.findByIdAndUpdate(userId, { $pull: { fcmTokens: { $in: bad } } });
-        console.log('Pruned ' + bad.length + ' invalid FCM tokens for user ' + userId);
-      }
-    }
-    console.log('[FCM] success=' + resp.successCount + ' failure=' + resp.failureCount + ' total=' + tokens.length);
+      collapseKey: event + ':' + data.callId + ':' + data.type
+    });
+    console.log('[FCM] ' + data.type + ' to ' + userId + ': ' + status);
   } catch (err) {
     console.error('FCM error:', err.message);
   }
@@ -152,7 +130,7 @@ router.post('/initiate', authenticate, validateCallInitiation, async (req, res)
     //    is killed; onMessageReceived is never called so our custom CallStyle
     //    full-screen notification never gets built. Data-only with priority=high
     //    always wakes the app and triggers onMessageReceived regardless of app state.
-    await sendFcm(receiverId, receiver.fcmTokens, {
+    await pushCallSignal('voice_call.incoming', receiverId, {
       type:        'INCOMING_CALL',
       callId:      callIdStr,
       bookingId:   bookingId.toString(),
@@ -162,7 +140,7 @@ router.post('/initiate', authenticate, validateCallInitiation, async (req, res)
       callerPhoto: caller.profilePhoto || '',
       channelName,
       appId:       AGORA_APP_ID
-    }); // intentionally no notificationPayload for calls
+    });
 
     // 3. Socket: send ringing status to caller
     if (io) {
@@ -226,8 +204,7 @@ router.post('/accept/:callId', authenticate, async (req, res) => {
       console.log('Socket: voice-call-accepted -> user:' + call.callerId);
     }
 
-    const caller = await User.findById(call.callerId).select('fcmTokens');
-    await sendFcm(call.callerId, caller ? caller.fcmTokens : [], { type: 'CALL_ACCEPTED', callId: callIdStr });
+    await pushCallSignal('voice_call.status', call.callerId, { type: 'CALL_ACCEPTED', callId: callIdStr });
 
     res.json({
       success:     true,
@@ -270,8 +247,7 @@ router.post('/reject/:callId', authenticate, async (req, res) => {
       console.log('Socket: voice-call-rejected -> user:' + call.callerId);
     }
 
-    const caller = await User.findById(call.callerId).select('fcmTokens');
-    await sendFcm(call.callerId, caller ? caller.fcmTokens : [], {
+    await pushCallSignal('voice_call.status', call.callerId, {
       type: 'CALL_REJECTED', callId: callIdStr, reason: 'declined'
     });
 
@@ -308,8 +284,7 @@ router.post('/end/:callId', authenticate, validateCallEnd, async (req, res) => {
       console.log('Socket: voice-call-ended -> user:' + otherUserId);
     }
 
-    const otherUser = await User.findById(otherUserId).select('fcmTokens');
-    await sendFcm(otherUserId, otherUser ? otherUser.fcmTokens : [], {
+    await pushCallSignal('voice_call.status', otherUserId, {
       type: 'CALL_ENDED', callId: callIdStr, reason, duration: duration.toString()
     });
 
@@ -0,0 +1,81 @@
+// scripts/backfillEarningsLedger.js
+// Posts ledger transactions for money movements that happened before the
+// earnings ledger existed: completed+paid bookings and completed payouts.
+// Every posting is keyed on the booking / payout id, so re-running is safe.
+// Afterwards, GET /api/payment/admin/reconciliation shows any user whose
+// paymentInfo counters still disagree with history.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+require('../models/User');
+const Booking = require('../models/Booking');
+const Payout = require('../models/Payout');
+const {
+  postBookingEarned,
+  postPayoutDebit,
+  postPayoutReversal
+} = require('../services/ledgerService');
+
+async function runBackfill() {
+  console.log('--- Starting Earnings Ledger Backfill ---');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB.');
+
+    const stats = {
+      bookingsPosted: 0,
+      payoutsPosted: 0,
+      reversalsPosted: 0,
+      alreadyPosted: 0,
+      failures: 0
+    };
+
+    const bookings = Booking.find({ status: 'completed', paymentStatus: 'paid' })
+      .select('companionId totalAmount platformFee companionEarning')
+      .cursor();
+
+    for await (const booking of bookings) {
+      try {
+        if (await postBookingEarned(booking)) stats.bookingsPosted++;
+        else stats.alreadyPosted++;
+      } catch (err) {
+        stats.failures++;
+        console.error(`Booking ${booking._id}: ${err.message}`);
+      }
+    }
+
+    const payouts = Payout.find({ status: { $in: ['completed', 'reversed'] } }).cursor();
+
+    for await (const payout of payouts) {
+      try {
+        if (await postPayoutDebit(payout)) stats.payoutsPosted++;
+        else stats.alreadyPosted++;
+
+        if (payout.status === 'reversed') {
+          if (await postPayoutReversal(payout)) stats.reversalsPosted++;
+          else stats.alreadyPosted++;
+        }
+      } catch (err) {
+        stats.failures++;
+        console.error(`Payout ${payout._id}: ${err.message}`);
+      }
+    }
+
+    console.log('\n--- Backfill Complete ---');
+    console.log(`Bookings posted:   ${stats.bookingsPosted}`);
+    console.log(`Payouts posted:    ${stats.payoutsPosted}`);
+    console.log(`Reversals posted:  ${stats.reversalsPosted}`);
+    console.log(`Already posted:    ${stats.alreadyPosted}`);
+    console.log(`Failures:          ${stats.failures}`);
+
+  } catch (error) {
+    console.error('Fatal Backfill Error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB.');
+    process.exit(0);
+  }
+}
+
+runBackfill();
@@ -0,0 +1,52 @@
+// scripts/migrateLegacyAdminRoles.js
+// Moves accounts still on the legacy lowercase roles onto the current ones:
+//   'admin'     → SUPER_ADMIN   (superAdminOnly already let 'admin' through)
+//   'moderator' → SAFETY_ADMIN  (adminOnly let 'moderator' through)
+// Only SAFETY_ADMIN / SUPER_ADMIN can enrol in authenticator-app 2FA, so
+// without this the legacy accounts are locked out of every 2FA-gated action.
+// Access is unchanged otherwise; re-running is safe.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const ROLE_MAP = {
+  admin:     'SUPER_ADMIN',
+  moderator: 'SAFETY_ADMIN'
+};
+
+async function runMigration() {
+  console.log('--- Starting Legacy Admin Role Migration ---');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB.');
+
+    for (const [legacy, role] of Object.entries(ROLE_MAP)) {
+      // The schema enum no longer accepts the legacy value, so go straight to the collection
+      const accounts = await User.collection
+        .find({ role: legacy }, { projection: { email: 1 } })
+        .toArray();
+
+      if (accounts.length === 0) {
+        console.log(`No '${legacy}' accounts.`);
+        continue;
+      }
+
+      const result = await User.collection.updateMany({ role: legacy }, { $set: { role } });
+      accounts.forEach(a => console.log(`  ${a.email}: ${legacy} → ${role}`));
+      console.log(`'${legacy}' → ${role}: ${result.modifiedCount} account(s)`);
+    }
+
+    console.log('\n--- Migration Complete ---');
+    console.log('Migrated admins must enrol in 2FA at /api/admin/2fa/enroll before sensitive actions.');
+  } catch (error) {
+    console.error('Fatal Migration Error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB.');
+    process.exit(0);
+  }
+}
+
+runMigration();
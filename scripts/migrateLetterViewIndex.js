@@ -0,0 +1,48 @@
+// scripts/migrateLetterViewIndex.js
+// LetterView used to hold one document per (letter, userId) behind a unique
+// { letterId, userId } index. Views are now keyed by the daily reader hash, so
+// the old index rejects the second new view of every letter (both have no
+// userId). This drops that index and the legacy per-user documents, then
+// builds the current indexes. Re-running is safe.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const LetterView = require('../models/LetterView');
+
+const LEGACY_INDEX_KEY = { letterId: 1, userId: 1 };
+
+async function runMigration() {
+  console.log('--- Starting LetterView Index Migration ---');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB.');
+
+    const indexes = await LetterView.collection.indexes().catch(() => []);
+    const legacy = indexes.find(i => JSON.stringify(i.key) === JSON.stringify(LEGACY_INDEX_KEY));
+    if (legacy) {
+      await LetterView.collection.dropIndex(legacy.name);
+      console.log(`Dropped index ${legacy.name}.`);
+    } else {
+      console.log('No legacy { letterId, userId } index.');
+    }
+
+    // Per-user views can't be turned into reader hashes, and several per letter
+    // would collide on the new { letterId, readerHash } unique index
+    const removed = await LetterView.collection.deleteMany({ readerHash: { $exists: false } });
+    console.log(`Removed ${removed.deletedCount} legacy per-user view(s).`);
+
+    await LetterView.createIndexes();
+    console.log('Current LetterView indexes are in place.');
+
+    console.log('\n--- Migration Complete ---');
+  } catch (error) {
+    console.error('Fatal Migration Error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB.');
+    process.exit(0);
+  }
+}
+
+runMigration();
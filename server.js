@@ -1,16 +1,9 @@
 // server.js - UPDATED WITH LEGAL ACCEPTANCE ENFORCEMENT + PRODUCTION SECURITY HARDENING + LIVE LOCATION MATCHMAKING
-const express = require('express');
 const mongoose = require('mongoose');
-const cors = require('cors');
 const http = require('http');
-const path = require('path');
 const socketIo = require('socket.io');
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
-const helmet = require('helmet');
-const mongoSanitize = require('express-mongo-sanitize');
-const hpp = require('hpp');
-const { globalLimiter } = require('./middleware/rateLimitMiddleware');
 
 dotenv.config();
 
@@ -41,41 +34,19 @@ try {
   console.error('❌ Firebase init failed:', err.message);
 }
 
-const app = express();
+const { createApp, isAllowedOrigin } = require('./app');
+
+// Middleware and HTTP routes live in app.js
+const app = createApp({ getActiveChats: () => chatUsers.size });
 const server = http.createServer(app);
 
 server.keepAliveTimeout = 120000;
 server.headersTimeout   = 125000;
 
-const ALLOWED_ORIGINS = [
-  'https://humrah.in',
-  'https://www.humrah.in',
-];
-
-const corsOptions = {
-  origin: (origin, callback) => {
-    if (!origin) return callback(null, true);
-    if (ALLOWED_ORIGINS.includes(origin)) return callback(null, true);
-    if (origin.endsWith('.vercel.app') || origin === 'https://admin.humrah.in') return callback(null, true);
-    if (process.env.NODE_ENV !== 'production' && origin.startsWith('http://localhost')) {
-      return callback(null, true);
-    }
-    return callback(new Error(`CORS blocked: ${origin}`));
-  },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: false,
-};
-
 const io = socketIo(server, {
   cors: {
     origin: (origin, callback) => {
-      if (!origin) return callback(null, true);
-      if (ALLOWED_ORIGINS.includes(origin)) return callback(null, true);
-      if (origin.endsWith('.vercel.app') || origin === 'https://admin.humrah.in') return callback(null, true);
-      if (process.env.NODE_ENV !== 'production' && origin.startsWith('http://localhost')) {
-        return callback(null, true);
-      }
+      if (isAllowedOrigin(origin)) return callback(null, true);
       return callback(new Error(`Socket CORS blocked: ${origin}`));
     },
     methods: ["GET", "POST"],
@@ -87,68 +58,27 @@ const io = socketIo(server, {
   allowUpgrades: true,
 });
 
-app.set('trust proxy', 1);
-
-app.disable('x-powered-by');
-
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc:  ["'self'"],
-      scriptSrc:   ["'self'", "'unsafe-inline'", "https://unpkg.com", "https://cdnjs.cloudflare.com"],
-      styleSrc:    ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-      imgSrc:      ["'self'", "data:", "https://res.cloudinary.com", "https://*.tile.openstreetmap.org", "https://*.google.com"],
-      connectSrc:  ["'self'", "https://api.humrah.in"],
-      fontSrc:     ["'self'", "https://fonts.gstatic.com"],
-      objectSrc:   ["'none'"],
-      frameSrc:    ["'none'"],
-      upgradeInsecureRequests: [],
-    },
-  },
-  crossOriginEmbedderPolicy: false,
-  hsts: { maxAge: 31536000, includeSubDomains: true, preload: true },
-  referrerPolicy: { policy: 'strict-origin-when-cross-origin' },
-}));
-
-app.use(cors(corsOptions));
-app.use(mongoSanitize());
-app.use(hpp());
-app.use(globalLimiter);
-
-app.use('/api/users/upload-profile-photo-base64',      express.json({ limit: '5mb' }));
-app.use('/api/users/submit-verification-photo-base64', express.json({ limit: '5mb' }));
-app.use('/api/posts',                                  express.json({ limit: '5mb' }));
-
-app.use(express.json({ limit: '25mb' }));
-app.use(express.urlencoded({ extended: true, limit: '25mb' }));
-
 app.set('io', io);
-
-app.use(express.static(path.join(__dirname, 'public')));
-
-app.get('/reset-password', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
-});
-
-app.get('/live/:sessionId', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'humrah-live-safety.html'));
-});
-
-app.get('/humrah-live-safety.html', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'humrah-live-safety.html'));
-});
+global._humrahIo = io; // utils/surpriseMeetupMatcher.js emits through this
 
 // =============================================
-// IN-MEMORY PRESENCE & USER INFO TRACKING
+// PRESENCE & USER INFO TRACKING
 // =============================================
-const userPresence = new Map();
+// Presence is cluster-wide when SOCKET_ADAPTER=mongo (see config/socketAdapter.js);
+// chatUsers / userInfo are per-instance caches.
+const { presenceManager } = require('./utils/presenceManager');
+const { waitForSocketAdapter, attachSocketAdapter } = require('./config/socketAdapter');
 const chatUsers    = new Map();
 const userInfo     = new Map();
 
 // =============================================
 // SOCKET AUTHENTICATION MIDDLEWARE
 // =============================================
-io.use((socket, next) => {
+const { isSocketTokenRevoked } = require('./utils/socketAuth');
+
+io.use(waitForSocketAdapter);
+
+io.use(async (socket, next) => {
   try {
     let token = socket.handshake.auth?.token;
     if (!token) token = socket.handshake.query?.token;
@@ -160,8 +90,15 @@ io.use((socket, next) => {
     if (!JWT_SECRET) return next(new Error('Authentication error: Server misconfiguration'));
 
     const decoded = jwt.verify(token, JWT_SECRET);
-    socket.userId   = decoded.userId;
-    socket.userRole = decoded.role || 'USER';
+
+    // Same revocation rules as HTTP auth — logout-all, password change, revoked device
+    const revoked = await isSocketTokenRevoked(decoded, socket);
+    if (revoked) return next(new Error('Authentication error: Session revoked'));
+
+    socket.userId    = decoded.userId;
+    socket.userRole  = decoded.role || 'USER';
+    socket.sessionId = decoded.sid || null;
+    socket.data.sessionId = socket.sessionId; // readable via fetchSockets() for per-device revoke
 
     const User = mongoose.model('User');
     User.findById(decoded.userId)
@@ -197,13 +134,6 @@ io.on('connection', (socket) => {
   console.log(`[SOCKET JOIN] socketId=${socket.id} userId=${userId} role=${socket.userRole} room=user:${userId}`);
   console.log(`[ROOM MEMBERS] room=user:${userId} members=`, Array.from(io.sockets.adapter.rooms.get(`user:${userId}`) || []));
 
-  userPresence.set(userId, {
-    socketId: socket.id,
-    status:   'ONLINE',
-    lastSeen: new Date(),
-    name:     userName,
-    photo:    socket.userPhoto
-  });
 
   if (socket.userRole === 'ADMIN' || socket.userRole === 'SUPER_ADMIN') {
     socket.join('founder-admins');
@@ -212,16 +142,20 @@ io.on('connection', (socket) => {
     console.log(`[FOUNDER ADMIN ROOM JOIN] socketId=${socket.id} role=${socket.userRole} joined=true memberCount=${adminMembers.length} members=`, adminMembers);
   }
 
-  io.emit('user-online', { userId, userName });
+  // Announce only the first connection across all instances (phone + web = one user)
+  presenceManager.setUserOnline(userId, socket.id, { name: userName, photo: socket.userPhoto })
+    .then(({ firstConnection }) => {
+      if (firstConnection) io.emit('user-online', { userId, userName });
+    })
+    .catch(err => console.error('Presence online error:', err.message));
 
   socket.on('disconnect', (reason) => {
     console.log(`[SOCKET DISCONNECT] socketId=${socket.id} userId=${userId} reason=${reason}`);
-    const presence = userPresence.get(userId);
-    if (presence && presence.socketId === socket.id) {
-      presence.status = 'OFFLINE';
-      presence.lastSeen = new Date();
-      io.emit('user-offline', { userId, lastSeen: presence.lastSeen.toISOString() });
-    }
+    presenceManager.setUserOffline(userId, socket.id)
+      .then(({ lastConnection, lastSeen }) => {
+        if (lastConnection) io.emit('user-offline', { userId, userName, lastSeen: lastSeen.toISOString() });
+      })
+      .catch(err => console.error('Presence offline error:', err.message));
   });
 
   socket.on('join-chat', async (data) => {
@@ -281,10 +215,11 @@ io.on('connection', (socket) => {
         const otherParticipant = chat.participants.find(p => p.userId.toString() !== userId);
         if (otherParticipant) {
           const otherId = otherParticipant.userId.toString();
-          if (isUserOnline(otherId)) {
+          const otherPresence = await presenceManager.getUserPresence(otherId);
+          if (otherPresence.isOnline) {
             socket.emit('user-online', { userId: otherId });
           } else {
-            const lastSeen = getUserLastSeen(otherId);
+            const lastSeen = otherPresence.lastSeen;
             socket.emit('user-offline', { userId: otherId, lastSeen: lastSeen?.toISOString() || null });
           }
         }
@@ -530,9 +465,6 @@ io.on('connection', (socket) => {
         if (chatId) socket.to(chatId).emit('user-typing', { userId, isTyping: false });
       }
     }
-    const user = userPresence.get(userId);
-    if (user) { user.status = 'OFFLINE'; user.lastSeen = new Date(); }
-    io.emit('user-offline', { userId, userName, lastSeen: user?.lastSeen?.toISOString() });
     if (socket.chatId && chatUsers.has(socket.chatId)) {
       chatUsers.get(socket.chatId).delete(socket.id);
       if (chatUsers.get(socket.chatId).size === 0) chatUsers.delete(socket.chatId);
@@ -541,8 +473,9 @@ io.on('connection', (socket) => {
   });
 });
 
-function isUserOnline(userId)   { return userPresence.get(userId)?.status === 'ONLINE'; }
-function getUserLastSeen(userId) { return userPresence.get(userId)?.lastSeen || null; }
+// Async — presence may live in MongoDB (routes/messages.js awaits these)
+function isUserOnline(userId)   { return presenceManager.isUserOnline(userId); }
+function getUserLastSeen(userId) { return presenceManager.getUserLastSeen(userId); }
 function getUserInfo(userId)     { return userInfo.get(userId) || null; }
 global.isUserOnline    = isUserOnline;
 global.getUserLastSeen = getUserLastSeen;
@@ -557,16 +490,30 @@ const { startMovieDailySessionJob }  = require('./jobs/movieDailySessionJob');
 const { runStartupCleanup, scheduleDailyCleanup } = require('./utils/autoModerationCleanup');
 const { startPayoutCronJobs } = require('./cronJobs/payoutCron');
 const { startLetterPushCron } = require('./cronJobs/letterPushCron');
+const { startLetterEngagementJob } = require('./jobs/letterEngagementJob');
+const { startStatementCron } = require('./cronJobs/statementCron');
+const { startVoiceCallCleanup } = require('./cronJobs/voice-call-cleanup');
+const { startJobWorker } = require('./services/jobQueue');
+const { startRuleSync } = require('./services/moderationPolicy');
+const { checkFaceMatchConfig } = require('./services/faceMatchService');
 
 const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('✅ MongoDB Connected');
+    await attachSocketAdapter(io);
+    presenceManager.init(io);
+    // Before anything enqueues — recovers jobs left overdue by the last shutdown
+    await startJobWorker();
+    await startRuleSync();
     startExpiryJob(io);
     startMovieSessionExpiryJob();
     startMovieDailySessionJob();  // pre-seeds tomorrow's system sessions at 7 PM IST
     startPayoutCronJobs();
     startLetterPushCron();
+    startLetterEngagementJob();
+    startStatementCron();
+    startVoiceCallCleanup();
     await runStartupCleanup();
     scheduleDailyCleanup();
   } catch (err) {
@@ -578,143 +525,14 @@ const connectDB = async () => {
 connectDB();
 
 // =============================================
-// ROUTES
+// SESSION SOCKETS
 // =============================================
-const { authenticate, adminOnly } = require('./middleware/auth');
-const { enforceLegalAcceptance }  = require('./middleware/enforceLegalAcceptance');
-const moderationRoutes            = require('./routes/moderation');
-const gamingRoutes                = require('./routes/gamingRoutes');
-const { initSessionSocket }       = require('./sockets/sessionSocket');
+const { initSessionSocket } = require('./sockets/sessionSocket');
 initSessionSocket(io);
 
-const authRoutes             = require('./routes/auth');
-const userRoutes             = require('./routes/users');
-const legalRoutes            = require('./routes/legal');
-const eventRoutes            = require('./routes/events');
-const companionRoutes        = require('./routes/companions');
-const bookingRoutes          = require('./routes/bookings');
-const messageRoutes          = require('./routes/messages');
-const postRoutes             = require('./routes/posts');
-const spotlightRoutes        = require('./routes/spotlight.route');
-const safetyReportRoutes     = require('./routes/safetyReports');
-const profileRoutes          = require('./routes/profile');
-const activityRoutes         = require('./routes/activityRoutes');
-const reviewRoutes           = require('./routes/reviews');
-const paymentRoutes          = require('./routes/payment');
-const foodRoutes             = require('./routes/foodRoutes');
-const settingsRoutes         = require('./routes/settings');
-const profileAssistantRoutes = require('./routes/profileAssistant');
-const movieSessionRoutes     = require('./routes/movieSessionRoutes');
-const passwordResetRoutes    = require('./routes/passwordReset');
-const fcmTokenRoutes         = require('./routes/fcmToken');
-const matchingMoodRoutes     = require('./routes/matchingMood');
-const moodRequestRoutes      = require('./routes/moodRequest');
-const safetyToolsRoutes      = require('./routes/safetyTools');
-const safetyTicketRoutes     = require('./routes/safetyTickets'); // ✅ Phase 2 Safety Tickets
-// ✅ NEW: Lightweight live location for matchmaking (separate from safety live-location)
-const liveLocationMatchmakingRoutes = require('./routes/liveLocationMatchmaking');
-
-// ✅ App Links routes (must be before /api)
-const appLinksRoutes = require('./routes/appLinksRoutes');
-app.use('/', appLinksRoutes);
-
-// ✅ Public App Configuration (must be before authenticated routes)
-app.use('/api/app-config', require('./routes/appConfig.route'));
-
-// Health check must stay public and before broad authenticated /api routes.
-// ── Public routes ──────────────────────────────────────────────────────────────
-app.get('/api/health', (req, res) => {
-  res.json({
-    status:   'OK',
-    message:  'Humrah API is running',
-    socketConnections:      io.engine.clientsCount,
-    activeChats:            chatUsers.size,
-    onlineUsers:            Array.from(userPresence.values()).filter(u => u.status === 'ONLINE').length,
-  });
-});
-
-app.use('/api/auth',  authRoutes);
-app.use('/api/auth',  passwordResetRoutes);
-app.use('/api/admin-dashboard-auth', require('./routes/adminDashboardAuth'));
-app.use('/api/legal', legalRoutes);
-
-const { liveLocationPollLimiter } = require('./routes/liveLocationRoutes');
-app.get('/api/live-location/:sessionId', liveLocationPollLimiter, require('./controllers/liveLocationController').get);
-
-// ── Protected routes ───────────────────────────────────────────────────────────
-app.use('/api/launch-region',     require('./routes/launchRegionRoutes'));
-app.use('/api/users',             authenticate, enforceLegalAcceptance, userRoutes);
-app.use('/api/home-banners',      authenticate, require('./routes/homeBanners'));
-app.use('/api/events',            authenticate, enforceLegalAcceptance, eventRoutes);
-app.use('/api/companions',        authenticate, enforceLegalAcceptance, companionRoutes);
-app.use('/api/bookings',          authenticate, enforceLegalAcceptance, bookingRoutes);
-app.use('/api/messages',          authenticate, enforceLegalAcceptance, messageRoutes);
-app.use('/api/posts',             authenticate, enforceLegalAcceptance, postRoutes);
-app.use('/api/spotlight',         authenticate, enforceLegalAcceptance, spotlightRoutes);
-app.use('/api/home',              authenticate, enforceLegalAcceptance, require('./routes/home.route'));
-app.use('/api/safety',            authenticate, enforceLegalAcceptance, safetyReportRoutes);
-app.use('/api/profile',           authenticate, enforceLegalAcceptance, profileRoutes);
-app.use('/api/reviews',           authenticate, enforceLegalAcceptance, reviewRoutes);
-app.use('/api/payment',           authenticate, enforceLegalAcceptance, paymentRoutes);
-app.use('/api/random-booking',    authenticate, enforceLegalAcceptance, require('./routes/randomBooking'));
-app.use('/api/verification',      authenticate, enforceLegalAcceptance, require('./routes/verification'));
-app.use('/api/chats',             authenticate, enforceLegalAcceptance, require('./routes/chats')); // ✅ Unified Chat Inbox
-app.use('/api/settings',          authenticate, enforceLegalAcceptance, settingsRoutes);
-app.use('/api/notifications',     authenticate, enforceLegalAcceptance, require('./routes/notifications'));
-app.use('/api/profile-assistant', authenticate, profileAssistantRoutes);
-app.use('/api/admin',             authenticate, require('./routes/admin'));
-app.use('/api/admin/branding',    require('./routes/branding.route'));
-app.use('/api/admin-dashboard',   authenticate, require('./routes/adminDashboard'));
-app.use('/api/admin-analytics',   authenticate, require('./routes/adminAnalytics'));
-app.use('/api/moderation',        authenticate, adminOnly, moderationRoutes);
-const adminModerationRoutes = require('./routes/adminModeration');
-app.use('/api/admin/moderation',  authenticate, adminOnly, adminModerationRoutes);
-app.use('/api/admin/launch-regions', require('./routes/adminLaunchRegionRoutes'));
-app.use('/api/admin/places',      authenticate, adminOnly, require('./routes/adminPlaces')); // ✅ Google Places API
-app.use('/api/admin/broadcasts',  authenticate, adminOnly, require('./routes/broadcastRoutes')); // ✅ Phase 1: Broadcast Notification System
-app.use('/api/agora',             authenticate, enforceLegalAcceptance, require('./routes/agora'));
-app.use('/api/voice-call',        authenticate, enforceLegalAcceptance, require('./routes/voice-call'));
-app.use('/api/letters',           authenticate, require('./routes/letters.route'));
-app.use('/api/activity',          authenticate, enforceLegalAcceptance, activityRoutes);
-app.use('/api/session',           authenticate, enforceLegalAcceptance, gamingRoutes);
-app.use('/api/food',              authenticate, enforceLegalAcceptance, foodRoutes);
-app.use('/api',                   authenticate, enforceLegalAcceptance, movieSessionRoutes);
-app.use('/api/auth',              authenticate, fcmTokenRoutes);
-app.use('/api/events',            authenticate, require('./routes/featureClicks'));
-app.use('/api/features',          authenticate, require('./routes/features'));
-app.use('/api/matching-mood',     authenticate, enforceLegalAcceptance, matchingMoodRoutes);
-app.use('/api/mood-request',      authenticate, enforceLegalAcceptance, moodRequestRoutes);
-app.use('/api/safety-tools',      authenticate, enforceLegalAcceptance, safetyToolsRoutes);
-app.use('/api/safety-tickets',    authenticate, enforceLegalAcceptance, safetyTicketRoutes); // ✅ Phase 2
-app.use('/api/founder',           authenticate, enforceLegalAcceptance, require('./routes/founder')); // ✅ Founder Inbox
-app.use('/api/live-location',     authenticate, enforceLegalAcceptance, require('./routes/liveLocationRoutes'));
-app.use('/api',                   authenticate, enforceLegalAcceptance, require('./routes/moderation_route'));
-app.use('/api/official-events',   authenticate, enforceLegalAcceptance, require('./routes/officialEvents')); // ✅ Official Events Management System
-app.use('/api/event-requests',    authenticate, enforceLegalAcceptance, require('./routes/eventRequests')); // ✅ Event Requests System
-
-// ✅ NEW: Live location for matchmaking — POST /api/users/matchmaking-location
-//         Separate from safety live-location. Updates liveLocation on User doc.
-app.use('/api/users/matchmaking-location', authenticate, enforceLegalAcceptance, liveLocationMatchmakingRoutes);
-
-// ✅ NEW: App Links / Open Graph Share Routes (accessible without auth)
-app.use('/', require('./routes/shareRoutes'));
-
 require('./cronJobs');
 require('./jobs/moodExpiry');
 
-// ── Global error handler ───────────────────────────────────────────────────────
-app.use((err, req, res, next) => {
-  if (err.message && err.message.startsWith('CORS blocked')) {
-    return res.status(403).json({ success: false, message: 'Forbidden' });
-  }
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: 'Something went wrong!',
-    error: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
-});
-
 // ── Start server ───────────────────────────────────────────────────────────────
 const PORT = process.env.PORT || 10000;
 const HOST = process.env.HOST || '0.0.0.0';
@@ -724,6 +542,7 @@ server.listen(PORT, HOST, () => {
   console.log(`✅ Legal compliance enforcement active`);
   console.log(`✅ Live Location Matchmaking: POST /api/users/matchmaking-location`);
   console.log(`✅ Live Location Status:      GET  /api/users/matchmaking-location/status`);
+  checkFaceMatchConfig();
 });
 
 // Increase server timeout to 120 seconds for large base64 Cloudinary uploads
@@ -731,6 +550,8 @@ server.timeout = 120000;
 
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} signal received: closing HTTP server`);
+  // Open websockets keep server.close() waiting — release presence first
+  await presenceManager.shutdown().catch(err => console.error('Presence shutdown error:', err.message));
   server.close(async () => {
     try {
       await mongoose.connection.close();
@@ -0,0 +1,253 @@
+// services/adminTwoFactorService.js — TOTP enrolment + verification for admins
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Used by routes/adminTwoFactor.js (enrol / verify / reset) and
+// routes/adminDashboardAuth.js (second factor at dashboard login).
+//
+// Every state change writes an AuditLog entry — enrolment, confirmation,
+// recovery-code use, regeneration and resets by a SUPER_ADMIN.
+//
+// Return shape follows services/otpService.js:
+//   { ok: true, ... }                           on success
+//   { ok: false, status: <http code>, message } on business-rule failure
+//   throws                                      on unexpected error
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const AdminTwoFactor = require('../models/AdminTwoFactor');
+const AuditLog       = require('../models/AuditLog');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+// ── Timing constants (single source of truth) ────────────────────────────────
+const PENDING_ENROLMENT_TTL_MS = 15 * 60 * 1000;  // confirm within 15 minutes
+const LOCKOUT_MS               = 15 * 60 * 1000;
+const MAX_FAILED_ATTEMPTS      = 5;
+
+// How long a successful second-factor check keeps sensitive actions unlocked.
+// Carried in the access token as `mfaAt` (seconds since epoch).
+const MFA_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+// Legacy 'admin' / 'moderator' accounts pass adminOnly but cannot enrol —
+// scripts/migrateLegacyAdminRoles.js moves them onto these roles.
+const TWO_FACTOR_ROLES = ['SAFETY_ADMIN', 'SUPER_ADMIN'];
+
+function audit(actor, action, { target = null, details = {}, req = null, isSuccessful = true } = {}) {
+  return AuditLog.logAction({
+    actorId:       actor._id,
+    actorRole:     actor.role,
+    actorEmail:    actor.email,
+    action,
+    targetType:    'ADMIN',
+    targetId:      (target || actor)._id,
+    targetEmail:   (target || actor).email,
+    details,
+    ipAddress:     req?.ip,
+    userAgent:     req?.get?.('user-agent'),
+    requestMethod: req?.method,
+    requestPath:   req?.originalUrl,
+    isSuccessful,
+    isSensitive:   true,
+  });
+}
+
+async function getStatus(userId) {
+  const doc = await AdminTwoFactor.findOne({ userId }).select('+recoveryCodes');
+  return {
+    enabled:                 !!doc?.enabled,
+    enrolledAt:              doc?.enrolledAt || null,
+    lastVerifiedAt:          doc?.lastVerifiedAt || null,
+    recoveryCodesRemaining:  doc?.enabled ? doc.remainingRecoveryCodes() : 0,
+  };
+}
+
+/** True once the admin has confirmed enrolment. */
+async function isEnabled(userId) {
+  return !!(await AdminTwoFactor.exists({ userId, enabled: true }));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// startEnrolment — generates a pending secret, returns otpauth URI for the QR.
+// Re-enrolling while already enabled requires a SUPER_ADMIN reset first so a
+// stolen dashboard session cannot silently swap the authenticator.
+// ─────────────────────────────────────────────────────────────────────────────
+async function startEnrolment(user, req) {
+  const existing = await AdminTwoFactor.findOne({ userId: user._id });
+  if (existing?.enabled) {
+    return { ok: false, status: 409, message: 'Two-factor authentication is already enabled.' };
+  }
+
+  const secret = generateTotpSecret();
+  await AdminTwoFactor.findOneAndUpdate(
+    { userId: user._id },
+    {
+      $set: {
+        pendingSecretEncrypted: AdminTwoFactor.encryptSecret(secret),
+        pendingCreatedAt:       new Date(),
+        failedAttempts:         0,
+        lockedUntil:            null,
+      },
+    },
+    { upsert: true }
+  );
+
+  await audit(user, 'TWO_FACTOR_ENROLMENT_STARTED', { req });
+
+  return {
+    ok:         true,
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email }),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// confirmEnrolment — first valid code activates 2FA and issues recovery codes.
+// Recovery codes are returned exactly once; only hashes are stored.
+// ─────────────────────────────────────────────────────────────────────────────
+async function confirmEnrolment(user, code, req) {
+  const doc = await AdminTwoFactor.findOne({ userId: user._id }).select('+pendingSecretEncrypted');
+  if (!doc || !doc.pendingSecretEncrypted) {
+    return { ok: false, status: 400, message: 'No enrolment in progress. Start enrolment first.' };
+  }
+  if (doc.enabled) {
+    return { ok: false, status: 409, message: 'Two-factor authentication is already enabled.' };
+  }
+  if (Date.now() - new Date(doc.pendingCreatedAt).getTime() > PENDING_ENROLMENT_TTL_MS) {
+    return { ok: false, status: 400, message: 'Enrolment expired. Please start again.' };
+  }
+
+  const secret = AdminTwoFactor.decryptSecret(doc.pendingSecretEncrypted);
+  const step   = verifyTotp(secret, code);
+  if (step === null) {
+    await audit(user, 'TWO_FACTOR_ENROLMENT_CONFIRMED', { req, isSuccessful: false });
+    return { ok: false, status: 400, message: 'Invalid code. Check your authenticator app and try again.' };
+  }
+
+  const recoveryCodes = AdminTwoFactor.generateRecoveryCodes();
+
+  doc.secretEncrypted        = doc.pendingSecretEncrypted;
+  doc.pendingSecretEncrypted = null;
+  doc.pendingCreatedAt       = null;
+  doc.enabled                = true;
+  doc.enrolledAt             = new Date();
+  doc.lastUsedStep           = step;
+  doc.lastVerifiedAt         = new Date();
+  doc.recoveryCodes          = recoveryCodes.map(c => ({ codeHash: AdminTwoFactor.hashRecoveryCode(c) }));
+  await doc.save();
+
+  await audit(user, 'TWO_FACTOR_ENROLMENT_CONFIRMED', { req });
+
+  return { ok: true, recoveryCodes };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// verifySecondFactor — accepts either a TOTP code or a recovery code.
+// ─────────────────────────────────────────────────────────────────────────────
+async function verifySecondFactor(user, { code, recoveryCode }, req) {
+  const doc = await AdminTwoFactor.findOne({ userId: user._id, enabled: true })
+    .select('+secretEncrypted +recoveryCodes');
+
+  if (!doc) {
+    return { ok: false, status: 400, message: 'Two-factor authentication is not enabled.' };
+  }
+
+  if (doc.isLocked()) {
+    const waitSeconds = Math.ceil((doc.lockedUntil.getTime() - Date.now()) / 1000);
+    return {
+      ok:                false,
+      status:            429,
+      message:           `Too many failed attempts. Try again in ${waitSeconds} seconds.`,
+      retryAfterSeconds: waitSeconds,
+    };
+  }
+
+  let method = null;
+
+  if (code) {
+    const secret = AdminTwoFactor.decryptSecret(doc.secretEncrypted);
+    const step   = verifyTotp(secret, code, doc.lastUsedStep);
+    if (step !== null) {
+      doc.lastUsedStep = step;
+      method = 'totp';
+    }
+  } else if (recoveryCode) {
+    const hash  = AdminTwoFactor.hashRecoveryCode(recoveryCode);
+    const entry = doc.recoveryCodes.find(c => !c.usedAt && c.codeHash === hash);
+    if (entry) {
+      entry.usedAt = new Date();
+      method = 'recovery_code';
+    }
+  }
+
+  if (!method) {
+    doc.failedAttempts += 1;
+    if (doc.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      doc.lockedUntil    = new Date(Date.now() + LOCKOUT_MS);
+      doc.failedAttempts = 0;
+      console.warn(`[2FA] Lockout triggered for admin ${user.email}`);
+    }
+    await doc.save();
+    await audit(user, 'TWO_FACTOR_VERIFICATION_FAILED', { req, isSuccessful: false });
+    return { ok: false, status: 401, message: 'Invalid two-factor code.' };
+  }
+
+  doc.failedAttempts = 0;
+  doc.lockedUntil    = null;
+  doc.lastVerifiedAt = new Date();
+  await doc.save();
+
+  if (method === 'recovery_code') {
+    await audit(user, 'TWO_FACTOR_RECOVERY_CODE_USED', {
+      req,
+      details: { recoveryCodesRemaining: doc.remainingRecoveryCodes() },
+    });
+  }
+
+  return { ok: true, method, recoveryCodesRemaining: doc.remainingRecoveryCodes() };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// regenerateRecoveryCodes — requires a current TOTP code.
+// ─────────────────────────────────────────────────────────────────────────────
+async function regenerateRecoveryCodes(user, code, req) {
+  const check = await verifySecondFactor(user, { code }, req);
+  if (!check.ok) return check;
+
+  const recoveryCodes = AdminTwoFactor.generateRecoveryCodes();
+  await AdminTwoFactor.updateOne(
+    { userId: user._id },
+    { $set: { recoveryCodes: recoveryCodes.map(c => ({ codeHash: AdminTwoFactor.hashRecoveryCode(c) })) } }
+  );
+
+  await audit(user, 'TWO_FACTOR_RECOVERY_CODES_REGENERATED', { req });
+
+  return { ok: true, recoveryCodes };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// resetForAdmin — SUPER_ADMIN wipes another admin's enrolment (lost phone).
+// The target must enrol again before their next sensitive action.
+// ─────────────────────────────────────────────────────────────────────────────
+async function resetForAdmin(actor, target, reason, req) {
+  const result = await AdminTwoFactor.deleteOne({ userId: target._id });
+
+  await audit(actor, 'TWO_FACTOR_RESET', {
+    req,
+    target,
+    details: { reason: reason || null, hadEnrolment: result.deletedCount > 0 },
+  });
+
+  return { ok: true, wasEnabled: result.deletedCount > 0 };
+}
+
+module.exports = {
+  MFA_MAX_AGE_MS,
+  TWO_FACTOR_ROLES,
+  getStatus,
+  isEnabled,
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  resetForAdmin,
+};
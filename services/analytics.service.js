@@ -1,8 +1,26 @@
 const LetterAnalytics = require('../models/LetterAnalytics');
 const lettersRepo = require('../repositories/letters.repository');
+const { csvLine } = require('../utils/csv');
+
+const BACKFILL_CONCURRENCY = 7;
+const VIEW_RETENTION_DAYS = 35; // LetterView TTL (models/LetterView.js)
 
 class AnalyticsService {
+  // Computes and stores the day's snapshot (nightly job, admin stats)
   async generateDailyAnalytics(dateString = null) {
+    const { dateKey, ...updateData } = await this.computeDailyAnalytics(dateString);
+
+    await LetterAnalytics.findOneAndUpdate(
+      { date: dateKey },
+      { $set: updateData },
+      { upsert: true, new: true }
+    );
+
+    return updateData;
+  }
+
+  // Read-only: the day's metrics from letters, replies and views as they are now
+  async computeDailyAnalytics(dateString = null) {
     const targetDate = dateString ? new Date(dateString) : new Date();
     
     // Set to start of day and end of day in UTC
@@ -34,10 +52,38 @@ class AnalyticsService {
       engagementAverage = dailyStats[0].avgEngagement || 0;
     }
     
-    // Assuming activeReaders could be fetched from views, but simplified for now
-    const activeReaders = 0; // Requires a LetterView collection to accurately calculate, using 0 as placeholder since LetterView was removed as per user instruction.
+    const [letterMetrics, readers] = await Promise.all([
+      lettersRepo.getLetterMetrics(startOfDay, endOfDay),
+      lettersRepo.getActiveReaders(dateKey)
+    ]);
+    const activeReaders = readers.total;
+    const overall = this._rates(letterMetrics);
+
+    const breakdown = [];
+    for (const dimension of ['category', 'language']) {
+      const groups = {};
+      letterMetrics.forEach(l => {
+        const key = l[dimension] || 'unknown';
+        (groups[key] = groups[key] || []).push(l);
+      });
+      readers[dimension].forEach(r => {
+        if (!groups[r._id || 'unknown']) groups[r._id || 'unknown'] = [];
+      });
+
+      Object.entries(groups).forEach(([key, letters]) => {
+        const readerRow = readers[dimension].find(r => (r._id || 'unknown') === key);
+        breakdown.push({
+          dimension,
+          key,
+          lettersCreated: letters.length,
+          activeReaders: readerRow ? readerRow.count : 0,
+          ...this._rates(letters)
+        });
+      });
+    }
     
-    const updateData = {
+    return {
+      dateKey,
       lettersCreated: totalCreated,
       lettersDeleted: 0, // Simplification for now, we could check removed status
       reportsCount: totalReports,
@@ -47,16 +93,95 @@ class AnalyticsService {
       topFeelings: topFeelings.map(f => ({ feeling: f._id, count: f.count })),
       topLanguages: topLanguages.map(l => ({ language: l._id, count: l.count })),
       highPriorityReports,
-      engagementAverage
+      engagementAverage,
+      ...overall,
+      breakdown
+    };
+  }
+
+  // Stored days are reused. Today and days the nightly job never stored are
+  // computed on the fly (BACKFILL_CONCURRENCY at a time) and not saved. Views
+  // expire after VIEW_RETENTION_DAYS, so an unstored day older than that has
+  // no reader data left: it is returned with complete: false and null reader counts.
+  async getRangeAnalytics(fromKey, toKey) {
+    const todayKey = new Date().toISOString().split('T')[0];
+    const retainedFrom = new Date(Date.now() - VIEW_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const stored = await LetterAnalytics.find({ date: { $gte: fromKey, $lte: toKey } }).lean();
+    const byDate = new Map(stored.map(d => [d.date, d]));
+
+    const keys = [];
+    for (let day = new Date(`${fromKey}T00:00:00Z`); day.toISOString().split('T')[0] <= toKey; day.setUTCDate(day.getUTCDate() + 1)) {
+      keys.push(day.toISOString().split('T')[0]);
+    }
+
+    const missing = keys.filter(key => key === todayKey || !byDate.has(key));
+    const computed = new Map();
+    for (let i = 0; i < missing.length; i += BACKFILL_CONCURRENCY) {
+      const batch = missing.slice(i, i + BACKFILL_CONCURRENCY);
+      const docs = await Promise.all(batch.map(key => this.computeDailyAnalytics(key)));
+      batch.forEach((key, j) => computed.set(key, docs[j]));
+    }
+
+    const days = keys.map(key => {
+      if (!computed.has(key)) return { date: key, complete: true, ...this._dayRow(byDate.get(key)) };
+
+      const row = this._dayRow(computed.get(key));
+      const complete = key >= retainedFrom;
+      if (!complete) {
+        row.activeReaders = null;
+        row.breakdown.forEach(b => { b.activeReaders = null; });
+      }
+      return { date: key, complete, ...row };
+    });
+
+    return { from: fromKey, to: toKey, days };
+  }
+
+  rangeToCsv(report) {
+    const lines = [csvLine(['date', 'dimension', 'key', 'letters_created', 'active_readers', 'reply_rate',
+      'median_first_reply_minutes', 'report_rate'])];
+    report.days.forEach(day => {
+      lines.push(csvLine([day.date, 'all', 'all', day.lettersCreated, day.activeReaders, day.replyRate,
+        day.medianFirstReplyMinutes, day.reportRate]));
+      day.breakdown.forEach(b => lines.push(csvLine([day.date, b.dimension, b.key, b.lettersCreated,
+        b.activeReaders, b.replyRate, b.medianFirstReplyMinutes, b.reportRate])));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  _dayRow(doc) {
+    return {
+      lettersCreated: doc.lettersCreated || 0,
+      activeReaders: doc.activeReaders || 0,
+      repliesCount: doc.repliesCount || 0,
+      reportsCount: doc.reportsCount || 0,
+      replyRate: doc.replyRate || 0,
+      medianFirstReplyMinutes: doc.medianFirstReplyMinutes ?? null,
+      reportRate: doc.reportRate || 0,
+      breakdown: (doc.breakdown || []).map(({ dimension, key, lettersCreated, activeReaders, replyRate, medianFirstReplyMinutes, reportRate }) =>
+        ({ dimension, key, lettersCreated, activeReaders, replyRate, medianFirstReplyMinutes, reportRate }))
+    };
+  }
+
+  _rates(letters) {
+    const round = (n) => Math.round(n * 1000) / 1000;
+    const replyMinutes = letters
+      .filter(l => l.firstReplyAt)
+      .map(l => (new Date(l.firstReplyAt) - new Date(l.createdAt)) / 60000)
+      .sort((a, b) => a - b);
+
+    let median = null;
+    if (replyMinutes.length) {
+      const mid = Math.floor(replyMinutes.length / 2);
+      median = replyMinutes.length % 2 ? replyMinutes[mid] : (replyMinutes[mid - 1] + replyMinutes[mid]) / 2;
+    }
+
+    return {
+      replyRate: letters.length ? round(replyMinutes.length / letters.length) : 0,
+      medianFirstReplyMinutes: median === null ? null : Math.round(median * 10) / 10,
+      reportRate: letters.length ? round(letters.filter(l => l.reportsCount > 0).length / letters.length) : 0
     };
-    
-    await LetterAnalytics.findOneAndUpdate(
-      { date: dateKey },
-      { $set: updateData },
-      { upsert: true, new: true }
-    );
-    
-    return updateData;
   }
 }
 
@@ -0,0 +1,389 @@
+// services/appealService.js — Moderation appeals (strikes, suspensions, bans)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Used by routes/appeals.js (user side) and routes/adminAppeals.js (queue).
+//
+//   getAppealable   what the user can contest right now: each strike still on
+//                   record, the current suspension / profile-edit cooldown, the ban
+//   fileAppeal      one appeal per decision (ModerationAppeal.targetKey)
+//   decideAppeal    UPHOLD leaves everything as is; OVERTURN removes the
+//                   contested violations, recomputes strikeCount, lifts the
+//                   restriction they caused and — if the account goes back to
+//                   ACTIVE — bumps tokenVersion and revokes every session so the
+//                   user signs in again with fresh claims. Both write AuditLog.
+//
+// Suspensions and bans applied by applyStrikesAndEnforce() don't reference the
+// violation that caused them, so they are linked by time: violations logged
+// within ENFORCEMENT_MATCH_MS of suspendedAt / bannedAt. Admin-applied
+// restrictions have no such violations and are simply lifted.
+//
+// Return shape follows services/otpService.js:
+//   { ok: true, ... }                           on success
+//   { ok: false, status: <http code>, message } on business-rule failure
+//   throws                                      on unexpected error
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose         = require('mongoose');
+const User             = require('../models/User');
+const Activity         = require('../models/Activity');
+const AuditLog         = require('../models/AuditLog');
+const ModerationAppeal = require('../models/ModerationAppeal');
+const { getOffenseCounts, LEVEL } = require('../middleware/moderation');
+const { revokeAllSessions }       = require('./authSessionService');
+
+// applyStrikesAndEnforce stamps both in the same call
+const ENFORCEMENT_MATCH_MS = 5 * 1000;
+
+// ── What is currently in force ───────────────────────────────────────────────
+function currentSuspension(user) {
+  const info = user.suspensionInfo || {};
+  const now  = Date.now();
+
+  if (user.status === 'SUSPENDED' || info.isSuspended) {
+    return {
+      kind:         'suspension',
+      reason:       info.suspensionReason || 'Community guideline violation',
+      enforcedAt:   info.suspendedAt || null,
+      until:        info.suspendedUntil || null,
+      restrictions: info.restrictions || [],
+    };
+  }
+  // L2 cooldown — only the lock is stamped, the violation is the latest one
+  if (info.profileEditLockedUntil && new Date(info.profileEditLockedUntil).getTime() > now) {
+    return {
+      kind:         'cooldown',
+      reason:       'Profile editing locked after a policy violation',
+      enforcedAt:   user.moderationFlags?.lastViolationAt || null,
+      until:        info.profileEditLockedUntil,
+      restrictions: info.restrictions || [],
+    };
+  }
+  // Repeated soft offenses — suspensionInfo is filled in but isSuspended stays false
+  if (info.restrictions?.length && info.suspendedUntil && new Date(info.suspendedUntil).getTime() > now) {
+    return {
+      kind:         'cooldown',
+      reason:       info.suspensionReason || 'Repeated minor violations',
+      enforcedAt:   info.suspendedAt || null,
+      until:        info.suspendedUntil,
+      restrictions: info.restrictions,
+    };
+  }
+  return null;
+}
+
+function currentBan(user) {
+  if (user.status !== 'BANNED' && !user.banInfo?.isBanned) return null;
+  return {
+    reason:      user.banInfo?.banReason || 'Repeated community guideline violations',
+    enforcedAt:  user.banInfo?.bannedAt || null,
+    isPermanent: user.banInfo?.isPermanent !== false,
+  };
+}
+
+function strikesOnRecord(user) {
+  return (user.moderationFlags?.violations || []).filter(v => v.level >= LEVEL.POLICY);
+}
+
+function violationsEnforcedAt(user, enforcedAt) {
+  if (!enforcedAt) return [];
+  const at = new Date(enforcedAt).getTime();
+  return (user.moderationFlags?.violations || []).filter(v =>
+    v.level >= LEVEL.SOFT && Math.abs(new Date(v.detectedAt).getTime() - at) <= ENFORCEMENT_MATCH_MS
+  );
+}
+
+function stamp(date) {
+  return date ? new Date(date).getTime() : 0;
+}
+
+function strikeSnapshot(v) {
+  return {
+    level:      v.level,
+    reason:     v.reason,
+    field:      v.field,
+    categories: v.categories || [],
+    content:    v.originalValue || '',
+    route:      v.route,
+    detectedAt: v.detectedAt,
+  };
+}
+
+// Resolves { type, violationId } against the user's live record
+function resolveTarget(user, type, violationId) {
+  if (type === 'STRIKE') {
+    if (!violationId || !mongoose.isValidObjectId(violationId)) return null;
+    const v = strikesOnRecord(user).find(s => s._id.toString() === String(violationId));
+    if (!v) return null;
+    return {
+      targetKey:    `strike:${v._id}`,
+      violationId:  v._id,
+      snapshot:     strikeSnapshot(v),
+      violationIds: [v._id],
+    };
+  }
+
+  if (type === 'SUSPENSION') {
+    const s = currentSuspension(user);
+    if (!s) return null;
+    return {
+      targetKey:    `suspension:${stamp(s.until || s.enforcedAt)}`,
+      snapshot:     s,
+      violationIds: violationsEnforcedAt(user, s.enforcedAt).map(v => v._id),
+    };
+  }
+
+  if (type === 'BAN') {
+    const b = currentBan(user);
+    if (!b) return null;
+    return {
+      targetKey:    `ban:${stamp(b.enforcedAt)}`,
+      snapshot:     b,
+      violationIds: violationsEnforcedAt(user, b.enforcedAt).map(v => v._id),
+    };
+  }
+
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getAppealable — everything the user could file against, with any existing
+// appeal attached so the app can show "Under review" / "Upheld".
+// ─────────────────────────────────────────────────────────────────────────────
+async function getAppealable(user) {
+  const appeals = await ModerationAppeal.find({ userId: user._id })
+    .select('targetKey status createdAt decision.decidedAt')
+    .lean();
+  const byKey = new Map(appeals.map(a => [a.targetKey, a]));
+  const withAppeal = (target) => {
+    const a = byKey.get(target.targetKey);
+    return a ? { _id: a._id, status: a.status, createdAt: a.createdAt } : null;
+  };
+
+  const strikes = strikesOnRecord(user).map(v => {
+    const target = resolveTarget(user, 'STRIKE', v._id);
+    return { violationId: v._id, ...target.snapshot, appeal: withAppeal(target) };
+  });
+
+  const suspension = resolveTarget(user, 'SUSPENSION');
+  const ban        = resolveTarget(user, 'BAN');
+
+  return {
+    ok: true,
+    strikes,
+    suspension: suspension ? { ...suspension.snapshot, appeal: withAppeal(suspension) } : null,
+    ban:        ban        ? { ...ban.snapshot,        appeal: withAppeal(ban) }        : null,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// fileAppeal
+// ─────────────────────────────────────────────────────────────────────────────
+async function fileAppeal(user, { type, violationId, statement }) {
+  if (!['STRIKE', 'SUSPENSION', 'BAN'].includes(type)) {
+    return { ok: false, status: 400, message: 'type must be STRIKE, SUSPENSION or BAN' };
+  }
+  const text = typeof statement === 'string' ? statement.trim() : '';
+  if (text.length < 20 || text.length > 2000) {
+    return { ok: false, status: 400, message: 'Please explain your appeal in 20 to 2000 characters.' };
+  }
+
+  const target = resolveTarget(user, type, violationId);
+  if (!target) {
+    return { ok: false, status: 404, message: 'There is nothing of that kind on your account to appeal.' };
+  }
+
+  try {
+    const appeal = await ModerationAppeal.create({
+      userId:       user._id,
+      type,
+      violationId:  target.violationId || null,
+      targetKey:    target.targetKey,
+      statement:    text,
+      snapshot:     target.snapshot,
+      violationIds: target.violationIds,
+    });
+    console.log(`📨 Appeal ${appeal._id} filed by ${user._id} (${type})`);
+    return { ok: true, appeal };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { ok: false, status: 409, message: 'You have already appealed this decision.' };
+    }
+    throw err;
+  }
+}
+
+// ── Reinstatement helpers ────────────────────────────────────────────────────
+function removeViolations(user, ids) {
+  const remove = new Set(ids.map(String));
+  const flags  = user.moderationFlags;
+  const before = flags.violations.length;
+
+  flags.violations = flags.violations.filter(v => !remove.has(v._id.toString()));
+  const latest = flags.violations.reduce((max, v) => Math.max(max, stamp(v.detectedAt)), 0);
+  flags.lastViolationAt = latest ? new Date(latest) : null;
+
+  const counts = getOffenseCounts(flags);
+  flags.strikeCount = counts.total;
+  flags.isFlagged   = counts.total > 0 || counts.soft > 0;
+  user.markModified('moderationFlags');
+
+  return before - flags.violations.length;
+}
+
+// Both clear only what is in force and stamp the lift, so the reason and
+// dates of the original decision stay on the account
+function liftSuspension(user, lift) {
+  const info = user.suspensionInfo;
+  info.isSuspended            = false;
+  info.suspendedUntil         = null;
+  info.autoLiftAt             = null;
+  info.restrictions           = [];
+  info.profileEditLockedUntil = null;
+  info.chatRestrictedUntil    = null;
+  info.liftedAt   = lift.at;
+  info.liftedBy   = lift.by;
+  info.liftReason = lift.reason;
+}
+
+function liftBan(user, lift) {
+  user.banInfo.isBanned   = false;
+  user.banInfo.liftedAt   = lift.at;
+  user.banInfo.liftedBy   = lift.by;
+  user.banInfo.liftReason = lift.reason;
+}
+
+// Was this enforcement applied for one of the contested violations?
+function contestedViolationsTriggered(user, violationIds, enforcement) {
+  const contested = violationIds.map(String);
+  return !!enforcement && violationsEnforcedAt(user, enforcement.enforcedAt)
+    .some(v => contested.includes(v._id.toString()));
+}
+
+// Does overturning this appeal lift the ban? Either it is the ban itself, or a
+// strike that was enforced together with it.
+function overturnLiftsBan(user, appeal) {
+  if (appeal.type === 'BAN') return true;
+  return appeal.type === 'STRIKE' && !!user
+    && contestedViolationsTriggered(user, appeal.violationIds || [], currentBan(user));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// decideAppeal — decision: 'UPHOLD' | 'OVERTURN'
+// The PENDING → decided transition is a single conditional update, so two
+// admins deciding at once can't both apply it.
+// ─────────────────────────────────────────────────────────────────────────────
+async function decideAppeal(appealId, admin, { decision, note } = {}, req = null) {
+  if (!['UPHOLD', 'OVERTURN'].includes(decision)) {
+    return { ok: false, status: 400, message: 'decision must be UPHOLD or OVERTURN' };
+  }
+  if (!mongoose.isValidObjectId(appealId)) {
+    return { ok: false, status: 400, message: 'Invalid appeal ID' };
+  }
+
+  const pending = await ModerationAppeal.findById(appealId).select('type status userId violationIds').lean();
+  if (!pending) return { ok: false, status: 404, message: 'Appeal not found' };
+  if (pending.status !== 'PENDING') {
+    return { ok: false, status: 409, message: `Appeal was already ${pending.status.toLowerCase()}` };
+  }
+  // Lifting a ban is SUPER_ADMIN-only everywhere else (DELETE /api/admin/users/:id/ban),
+  // including when it comes with an overturned strike
+  if (decision === 'OVERTURN' && admin.role !== 'SUPER_ADMIN') {
+    const appellant = await User.findById(pending.userId).select('status banInfo moderationFlags').lean();
+    if (overturnLiftsBan(appellant, pending)) {
+      return { ok: false, status: 403, message: 'Only a super admin can overturn an appeal that lifts a ban' };
+    }
+  }
+
+  const appeal = await ModerationAppeal.findOneAndUpdate(
+    { _id: appealId, status: 'PENDING' },
+    {
+      $set: {
+        status:   decision === 'OVERTURN' ? 'OVERTURNED' : 'UPHELD',
+        decision: { decidedBy: admin._id, decidedAt: new Date(), note: note ? String(note).slice(0, 1000) : null },
+      },
+    },
+    { new: true }
+  );
+  if (!appeal) return { ok: false, status: 409, message: 'Appeal was already decided' };
+
+  const user = await User.findById(appeal.userId);
+  const lifted   = [];
+  let removed    = 0;
+  let reinstated = false;
+
+  if (decision === 'OVERTURN' && user) {
+    const wasActive = (user.status || 'ACTIVE') === 'ACTIVE';
+    const suspension = currentSuspension(user);
+    const ban        = currentBan(user);
+    const contested  = appeal.violationIds.map(String);
+    const lift       = { at: new Date(), by: admin._id, reason: `Appeal ${appeal._id} overturned` };
+
+    // A strike also undoes whatever restriction it triggered
+    const triggered = (enforcement) => contestedViolationsTriggered(user, contested, enforcement);
+
+    if (appeal.type === 'BAN' || (appeal.type === 'STRIKE' && triggered(ban))) {
+      liftBan(user, lift);
+      lifted.push('ban');
+    }
+    if (appeal.type === 'SUSPENSION' || (appeal.type === 'STRIKE' && triggered(suspension))) {
+      liftSuspension(user, lift);
+      lifted.push(suspension?.kind || 'suspension');
+    }
+
+    if (user.moderationFlags) removed = removeViolations(user, contested);
+
+    user.status = user.banInfo?.isBanned ? 'BANNED'
+      : user.suspensionInfo?.isSuspended ? 'SUSPENDED'
+      : 'ACTIVE';
+    await user.save();
+
+    if (!wasActive && user.status === 'ACTIVE') {
+      // $inc rather than save(): another revoke may have bumped it meanwhile
+      await User.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+      await revokeAllSessions(user._id, 'APPEAL_REINSTATED');
+      reinstated = true;
+      appeal.reinstated = true;
+      await appeal.save();
+    }
+  }
+
+  if (user) {
+    await Activity.create({
+      userId:    user._id,
+      actorId:   admin._id,
+      actorName: 'Humrah Safety Team',
+      type:      'SYSTEM',
+      message:   decision === 'OVERTURN'
+        ? `Your appeal was accepted. ${reinstated ? 'Your account has been restored — please sign in again.' : 'The decision has been removed from your account.'}`
+        : 'Your appeal was reviewed and the original decision stands.',
+    }).catch(err => console.error('[APPEALS] Activity notice failed:', err.message));
+  }
+
+  await AuditLog.logAction({
+    actorId:       admin._id,
+    actorRole:     admin.role,
+    actorEmail:    admin.email,
+    action:        decision === 'OVERTURN' ? 'OVERTURN_APPEAL' : 'UPHOLD_APPEAL',
+    targetType:    'USER',
+    targetId:      appeal.userId,
+    targetEmail:   user?.email,
+    reason:        appeal.decision.note,
+    details:       { appealId: appeal._id, type: appeal.type, targetKey: appeal.targetKey, removedViolations: removed, lifted, reinstated },
+    ipAddress:     req?.ip,
+    userAgent:     req?.get?.('user-agent'),
+    requestMethod: req?.method,
+    requestPath:   req?.originalUrl,
+  });
+
+  console.log(`⚖️ Appeal ${appeal._id} ${appeal.status} by ${admin.email}${reinstated ? ' — account reinstated' : ''}`);
+  return { ok: true, appeal, removedViolations: removed, lifted, reinstated };
+}
+
+module.exports = {
+  getAppealable,
+  fileAppeal,
+  decideAppeal,
+  ENFORCEMENT_MATCH_MS,
+};
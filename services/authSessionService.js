@@ -0,0 +1,346 @@
+// services/authSessionService.js — Access/refresh token issuing + device sessions
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Every sign-in path (password, Google, Facebook, register) goes through
+// issueAuthTokens() so all of them produce the same pair:
+//   token         short-lived JWT  { userId, role, tv, sid }  (ACCESS_TOKEN_TTL)
+//   refreshToken  opaque "<sid>.<secret>" stored hashed in RefreshToken
+//
+// Android calls POST /api/auth/refresh when it gets a 401 and swaps both.
+//
+// getRevocationReason() is the single revocation check shared by
+// middleware/auth.js (HTTP) and the Socket.IO handshake so a device revoked
+// from GET/DELETE /api/auth/sessions is cut off everywhere at once.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const crypto       = require('crypto');
+const jwt          = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User         = require('../models/User');
+
+// ── Timing constants (single source of truth) ────────────────────────────────
+const ACCESS_TOKEN_TTL        = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS    = 30 * 24 * 60 * 60 * 1000;  // 30 days, sliding
+const LAST_SEEN_THROTTLE_MS   = 5 * 60 * 1000;             // write lastSeenAt at most every 5 min
+const MAX_ACTIVE_SESSIONS     = 10;                        // oldest device is revoked beyond this
+const REFRESH_REUSE_GRACE_MS  = 10 * 1000;                 // previous token still accepted this long after rotation
+const APPEAL_TOKEN_TTL        = '1h';
+const APPEAL_TOKEN_SCOPE      = 'appeal';
+
+const VALID_PLATFORMS = ['android', 'ios', 'web'];
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('[authSessionService] JWT_SECRET env var is not set.');
+  }
+  return secret;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Device metadata
+//
+// Clients send { device: { deviceId, deviceName, platform, appVersion } } in the
+// login/register/refresh body. Older builds send nothing — we fall back to the
+// legalAcceptance.platform that registration already carries.
+// ─────────────────────────────────────────────────────────────────────────────
+function extractDeviceInfo(req) {
+  const device   = (req.body && typeof req.body.device === 'object' && req.body.device) || {};
+  const rawPlat  = (device.platform || req.body?.legalAcceptance?.platform || '').toString().toLowerCase();
+
+  return {
+    deviceId:   device.deviceId   ? String(device.deviceId).slice(0, 128)   : null,
+    deviceName: device.deviceName ? String(device.deviceName).slice(0, 128) : null,
+    platform:   VALID_PLATFORMS.includes(rawPlat) ? rawPlat : 'unknown',
+    appVersion: device.appVersion ? String(device.appVersion).slice(0, 32)  : null,
+    userAgent:  (req.get && req.get('user-agent'))?.slice(0, 512) || null,
+    lastIp:     req.ip || req.connection?.remoteAddress || null,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Token helpers
+// ─────────────────────────────────────────────────────────────────────────────
+// options.claims    extra payload fields (e.g. mfaAt from admin 2FA step-up)
+// options.expiresIn overrides ACCESS_TOKEN_TTL (admin dashboard keeps 24h tokens)
+function signAccessToken(userId, role, tokenVersion = 0, sessionId = null, options = {}) {
+  const payload = { ...(options.claims || {}), userId, role, tv: tokenVersion };
+  if (sessionId) payload.sid = sessionId.toString();
+  return jwt.sign(payload, getJwtSecret(), { expiresIn: options.expiresIn || ACCESS_TOKEN_TTL });
+}
+
+// Suspended/banned accounts get no session, but login hands them this so they
+// can still reach /api/appeals. authenticate() refuses it everywhere else and
+// it dies with the tokenVersion bump on reinstatement.
+function signAppealToken(user) {
+  return signAccessToken(user._id, user.role, user.tokenVersion ?? 0, null, {
+    expiresIn: APPEAL_TOKEN_TTL,
+    claims:    { scope: APPEAL_TOKEN_SCOPE },
+  });
+}
+
+function parseRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.trim().split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+// The secret a rotation hands out is keyed off the one it replaces, so a
+// refresh that lost the race can be given the winner's token again instead of
+// rotating a second time. Knowing it still takes JWT_SECRET and the old secret.
+function nextRefreshSecret(sessionId, secret) {
+  return crypto.createHmac('sha256', getJwtSecret())
+    .update(`${sessionId}.${secret}`)
+    .digest('hex');
+}
+
+function secondsFromTtl(token) {
+  const decoded = jwt.decode(token);
+  return decoded?.exp && decoded?.iat ? decoded.exp - decoded.iat : null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// issueAuthTokens
+//
+// Creates a new device session for `user` and returns the token pair.
+// Signing in again from the same deviceId replaces the earlier session so
+// reinstalls do not pile up phantom devices in the session list.
+// ─────────────────────────────────────────────────────────────────────────────
+async function issueAuthTokens(user, req) {
+  const device = extractDeviceInfo(req);
+
+  if (device.deviceId) {
+    await RefreshToken.updateMany(
+      { userId: user._id, deviceId: device.deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'REPLACED' } }
+    );
+  }
+
+  const secret  = RefreshToken.generateSecret();
+  const session = await RefreshToken.create({
+    userId:       user._id,
+    tokenHash:    RefreshToken.hashSecret(secret),
+    tokenVersion: user.tokenVersion ?? 0,
+    expiresAt:    new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    lastSeenAt:   new Date(),
+    ...device,
+  });
+
+  await enforceSessionCap(user._id);
+
+  const token = signAccessToken(user._id, user.role || 'USER', user.tokenVersion ?? 0, session._id);
+
+  return {
+    token,
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn:    secondsFromTtl(token),
+    sessionId:    session._id,
+  };
+}
+
+async function enforceSessionCap(userId) {
+  const active = await RefreshToken.find({ userId, revokedAt: null })
+    .sort({ lastSeenAt: -1 })
+    .select('_id')
+    .lean();
+
+  if (active.length <= MAX_ACTIVE_SESSIONS) return;
+
+  const overflow = active.slice(MAX_ACTIVE_SESSIONS).map(s => s._id);
+  await RefreshToken.updateMany(
+    { _id: { $in: overflow } },
+    { $set: { revokedAt: new Date(), revokedReason: 'REPLACED' } }
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// rotateRefreshToken
+//
+// Mobile clients often fire two refreshes at once (several requests 401 at the
+// same moment). The one that loses the race presents the token the winner just
+// replaced, so for REFRESH_REUSE_GRACE_MS after a rotation that token gets the
+// winner's pair back without rotating again — rotating would turn the winner's
+// token into the previous one and its next refresh into "reuse". Only a replay
+// after the window counts as reuse.
+//
+// Returns:
+//   { ok: true, token, refreshToken, expiresIn, user }
+//   { ok: false, status: 401, message }   on any invalid / revoked token
+//   throws                                on unexpected error
+// ─────────────────────────────────────────────────────────────────────────────
+async function rotateRefreshToken(refreshToken, req) {
+  // Generic message — caller cannot tell "unknown" from "revoked" from "expired".
+  const genericFail = { ok: false, status: 401, message: 'Session expired. Please login again.' };
+
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return genericFail;
+
+  const presentedHash = RefreshToken.hashSecret(parsed.secret);
+  const device        = extractDeviceInfo(req);
+
+  // Second pass only when a concurrent refresh rotated between our read and write
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const session = await RefreshToken.findById(parsed.sessionId);
+    if (!session || !session.isActive()) return genericFail;
+
+    // ── Reuse detection ────────────────────────────────────────────────────
+    // The previous token was already exchanged once. Seeing it again outside
+    // the grace window means two parties hold this session — kill it so
+    // neither can continue.
+    const isPrevious = RefreshToken.hashesMatch(presentedHash, session.previousTokenHash);
+    if (isPrevious) {
+      const rotatedAt = session.rotatedAt ? session.rotatedAt.getTime() : 0;
+      if (Date.now() - rotatedAt > REFRESH_REUSE_GRACE_MS) {
+        session.revokedAt     = new Date();
+        session.revokedReason = 'TOKEN_REUSE';
+        await session.save();
+        console.warn(`[AUTH] Refresh token reuse detected — session ${session._id} revoked (user ${session.userId})`);
+        return genericFail;
+      }
+    } else if (!RefreshToken.hashesMatch(presentedHash, session.tokenHash)) {
+      return genericFail;
+    }
+
+    const user = await User.findById(session.userId).select('role status tokenVersion');
+    if (!user || (user.status && user.status !== 'ACTIVE')) return genericFail;
+
+    if ((user.tokenVersion ?? 0) !== (session.tokenVersion ?? 0)) {
+      session.revokedAt     = new Date();
+      session.revokedReason = 'LOGOUT_ALL';
+      await session.save();
+      return genericFail;
+    }
+
+    const secret = nextRefreshSecret(session._id, parsed.secret);
+
+    // Lost the race: hand back the winner's pair. If the session has rotated
+    // again since, the winner's token is gone too — fail without revoking.
+    if (isPrevious) {
+      if (!RefreshToken.hashesMatch(RefreshToken.hashSecret(secret), session.tokenHash)) return genericFail;
+      return issueRotated(session, user, secret);
+    }
+
+    const update = {
+      previousTokenHash: session.tokenHash,
+      tokenHash:         RefreshToken.hashSecret(secret),
+      rotatedAt:         new Date(),
+      lastSeenAt:        new Date(),
+      lastIp:            device.lastIp || session.lastIp,
+      userAgent:         device.userAgent || session.userAgent,
+      expiresAt:         new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    };
+    if (device.appVersion) update.appVersion = device.appVersion;
+
+    // Conditional on the hash we read, so two racing refreshes cannot both rotate
+    const rotated = await RefreshToken.updateOne(
+      { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+      { $set: update, $inc: { rotationCount: 1 } }
+    );
+    if (rotated.modifiedCount === 0) continue;
+
+    return issueRotated(session, user, secret);
+  }
+
+  return genericFail;
+}
+
+function issueRotated(session, user, secret) {
+  const token = signAccessToken(user._id, user.role || 'USER', user.tokenVersion ?? 0, session._id);
+
+  return {
+    ok:           true,
+    token,
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn:    secondsFromTtl(token),
+    user,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Session listing / revocation
+// ─────────────────────────────────────────────────────────────────────────────
+async function listActiveSessions(userId, currentSessionId = null) {
+  const sessions = await RefreshToken.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+
+  return sessions.map(s => s.toSessionJSON(currentSessionId));
+}
+
+/**
+ * Revoke one device. Returns false if the session does not belong to userId
+ * or is already revoked (callers map that to 404).
+ */
+async function revokeSession(userId, sessionId, reason = 'USER_REVOKED') {
+  const result = await RefreshToken.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function revokeAllSessions(userId, reason = 'LOGOUT_ALL') {
+  const result = await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getRevocationReason
+//
+// Shared by HTTP + socket auth. `decoded` is the verified JWT payload, `user`
+// must have tokenVersion selected. Returns null when the token is still good,
+// otherwise a short reason string for logging.
+//
+// Tokens issued before device sessions existed carry no `sid` — they are
+// accepted until they expire naturally (tokenVersion still applies).
+// ─────────────────────────────────────────────────────────────────────────────
+async function getRevocationReason(decoded, user, meta = {}) {
+  const payloadTv = decoded.tv ?? 0;
+  const dbTv      = user.tokenVersion ?? 0;
+  if (payloadTv !== dbTv) return 'TOKEN_VERSION';
+
+  if (!decoded.sid) return null;
+
+  const session = await RefreshToken.findById(decoded.sid)
+    .select('userId revokedAt expiresAt lastSeenAt')
+    .lean();
+
+  if (!session || session.userId.toString() !== user._id.toString()) return 'SESSION_NOT_FOUND';
+  if (session.revokedAt) return 'SESSION_REVOKED';
+  if (session.expiresAt <= new Date()) return 'SESSION_EXPIRED';
+
+  // Keep "last seen" meaningful without a write on every request.
+  if (!session.lastSeenAt || Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_THROTTLE_MS) {
+    const update = { lastSeenAt: new Date() };
+    if (meta.ip) update.lastIp = meta.ip;
+    RefreshToken.updateOne({ _id: session._id }, { $set: update })
+      .catch(err => console.error('[AUTH] lastSeenAt update failed:', err.message));
+  }
+
+  return null;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_MS,
+  REFRESH_REUSE_GRACE_MS,
+  APPEAL_TOKEN_SCOPE,
+  signAccessToken,
+  signAppealToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  getRevocationReason,
+  extractDeviceInfo,
+};
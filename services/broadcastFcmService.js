@@ -1,10 +1,15 @@
 // services/broadcastFcmService.js — FCM sender for broadcast notifications
 // Handles single-user, multi-user, and batch FCM delivery with retry logic.
+// Batched separately from services/notificationDispatcher.js for volume, but
+// a payload.event (config/notificationEvents.js) applies the same preference
+// and quiet-hours rules — users need `notifications` selected for that.
 
 'use strict';
 
 const admin = require('../config/firebase');
 const User  = require('../models/User');
+const { DEAD_TOKEN_ERRORS } = require('../utils/fcmHelper');
+const { pushBlockReason }   = require('./notificationDispatcher');
 
 const FCM_BATCH_SIZE = 500;
 const MAX_RETRIES    = 3;
@@ -14,12 +19,12 @@ const MAX_RETRIES    = 3;
  */
 async function sendToSingleUser(userId, payload) {
   try {
-    const user = await User.findById(userId).select('fcmTokens').lean();
+    const user = await User.findById(userId).select('fcmTokens notifications').lean();
     if (!user?.fcmTokens?.length) {
       return { success: false, fcmMessageId: null, reason: 'no_tokens' };
     }
 
-    const { results } = await sendToMultipleUsers([{ _id: userId, fcmTokens: user.fcmTokens }], payload);
+    const { results } = await sendToMultipleUsers([user], payload);
     const result = results.find(r => r.userId.toString() === userId.toString());
     
     return { 
@@ -37,8 +42,8 @@ async function sendToSingleUser(userId, payload) {
  * Send a broadcast push notification to multiple users.
  * Batches tokens securely and efficiently using Firebase Admin SDK.
  *
- * @param {Array<{ _id: string, fcmTokens: string[] }>} users - User objects with tokens
- * @param {object} payload - { title, body, data }
+ * @param {Array<{ _id: string, fcmTokens: string[], notifications?: object }>} users - User objects with tokens
+ * @param {object} payload - { title, body, data, event? }
  * @returns {Promise<{ successCount: number, failureCount: number, results: Array }>}
  */
 async function sendToMultipleUsers(users, payload) {
@@ -58,6 +63,11 @@ async function sendToMultipleUsers(users, payload) {
   const validTokens = [];
   
   for (const user of users) {
+    const blocked = payload.event ? pushBlockReason(user, payload.event) : null;
+    if (blocked) {
+      results.push({ userId: user._id, success: false, reason: blocked });
+      continue;
+    }
     if (!user.fcmTokens || user.fcmTokens.length === 0) {
       results.push({ userId: user._id, success: false, reason: 'no_tokens' });
       continue;
@@ -129,7 +139,7 @@ async function sendChunkWithRetry(tokens, title, body, data, tokenMap, attempt =
         results.push({ userId, success: true, fcmMessageId: resp.messageId });
       } else {
         const errCode = resp.error?.code;
-        if (errCode === 'messaging/invalid-registration-token' || errCode === 'messaging/registration-token-not-registered') {
+        if (DEAD_TOKEN_ERRORS.has(errCode)) {
            // Permanent error: queue for deletion
            if (!deadTokensByUserId.has(userId)) deadTokensByUserId.set(userId, []);
            deadTokensByUserId.get(userId).push(token);
@@ -7,6 +7,7 @@ const User         = require('../models/User');
 const Broadcast    = require('../models/Broadcast');
 const Notification = require('../models/Notification');
 const broadcastFcm = require('./broadcastFcmService');
+const { BROADCAST_EVENTS } = require('../config/notificationEvents');
 
 // Configurable batch size for user fetching (default 100 for MVP)
 const BATCH_SIZE = parseInt(process.env.BROADCAST_BATCH_SIZE, 10) || 100;
@@ -179,7 +180,7 @@ async function sendToAudience(broadcastId) {
       // Fetch users using cursor
       const users = await User.find(cursorQuery)
         .sort({ _id: 1 })
-        .select('_id fcmTokens fcmDevices')
+        .select('_id fcmTokens fcmDevices notifications')
         .limit(BATCH_SIZE)
         .lean();
 
@@ -192,6 +193,7 @@ async function sendToAudience(broadcastId) {
 
       // Build FCM payload
       const payload = {
+        event: BROADCAST_EVENTS[broadcast.type] || BROADCAST_EVENTS.ANNOUNCEMENT,
         title: broadcast.title,
         body:  broadcast.message,
         data: {
@@ -281,10 +283,11 @@ async function retryFailedSends(broadcastId) {
   const broadcast = await Broadcast.findById(broadcastId);
   if (!broadcast) throw new Error('Broadcast not found');
 
-  // Find notifications that were not delivered
+  // Find notifications that were not delivered — users who opted out stay skipped
   const failedNotifications = await Notification.find({
     broadcastId,
     deliveredAt: null,
+    failureReason: { $nin: ['push_disabled', 'preference_disabled'] },
   }).select('userId').lean();
 
   if (failedNotifications.length === 0) {
@@ -294,6 +297,7 @@ async function retryFailedSends(broadcastId) {
   console.log(`[BroadcastService] Retrying ${failedNotifications.length} failed sends for broadcast ${broadcastId}`);
 
   const payload = {
+    event: BROADCAST_EVENTS[broadcast.type] || BROADCAST_EVENTS.ANNOUNCEMENT,
     title: broadcast.title,
     body:  broadcast.message,
     data: {
@@ -0,0 +1,258 @@
+// services/checkoutService.js — Payment collection for companion Bookings
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Used by routes/bookings.js (checkout / verify / mock-complete) and by
+// Booking.cancel() for refunds.
+//
+//   confirmed booking ──▶ createOrderForBooking()  gateway order (PaymentOrder)
+//   client pays       ──▶ confirmPayment()         signature check → paid
+//   cancellation      ──▶ refundBookingPayment()   gateway refund → refunded
+//
+// In paymentGateway's development mode every call is mocked, and
+// paymentGateway.mockSignPayment() produces a valid callback so the whole
+// lifecycle runs offline.
+//
+// Return shape follows services/otpService.js:
+//   { ok: true, ... }                           on success
+//   { ok: false, status: <http code>, message } on business-rule failure
+//   throws                                      on unexpected error
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const PaymentOrder   = require('../models/PaymentOrder');
+const User           = require('../models/User');
+const paymentGateway = require('./paymentGateway');
+const { postRefundClawback } = require('./ledgerService');
+
+function isPayer(booking, userId) {
+  const payerId = booking.userId?._id || booking.userId;
+  return payerId.toString() === userId.toString();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// createOrderForBooking
+//
+// Idempotent: a still-payable order is returned as-is, so a client that lost
+// the first response can simply call checkout again. Stale unpaid orders are
+// marked expired and replaced.
+// ─────────────────────────────────────────────────────────────────────────────
+async function createOrderForBooking(booking) {
+  if (booking.status !== 'confirmed') {
+    return { ok: false, status: 400, message: 'Only confirmed bookings can be paid for.' };
+  }
+  if (!booking.totalAmount || booking.totalAmount <= 0) {
+    return { ok: false, status: 400, message: 'This booking is free — no payment required.' };
+  }
+  if (booking.paymentStatus === 'paid') {
+    return { ok: false, status: 409, message: 'This booking is already paid.' };
+  }
+  if (booking.paymentStatus === 'refunded') {
+    return { ok: false, status: 409, message: 'This booking was refunded.' };
+  }
+
+  const current = await PaymentOrder.findCurrentForBooking(booking._id);
+  if (current) {
+    if (current.isPayable()) {
+      return { ok: true, order: current, keyId: keyIdFor(current), reused: true };
+    }
+    if (current.status === 'created') {
+      current.status = 'expired';
+      current.addEvent('expired');
+      await current.save();
+    } else {
+      // paid / refund_pending / refunded — Booking.paymentStatus is out of step
+      return { ok: false, status: 409, message: 'A payment already exists for this booking.' };
+    }
+  }
+
+  const receipt = `bk_${booking._id}_${Date.now().toString(36)}`;
+  const result  = await paymentGateway.createOrder({
+    amount:   booking.totalAmount,
+    currency: 'INR',
+    receipt,
+    notes:    { bookingId: booking._id.toString() },
+  });
+
+  if (!result.success) {
+    return { ok: false, status: 502, message: result.error || 'Could not start payment. Please try again.' };
+  }
+
+  const order = await PaymentOrder.create({
+    bookingId:      booking._id,
+    userId:         booking.userId?._id || booking.userId,
+    companionId:    booking.companionId?._id || booking.companionId,
+    amount:         booking.totalAmount,
+    currency:       result.currency || 'INR',
+    receipt,
+    gatewayOrderId: result.orderId,
+    mode:           result.mock ? 'mock' : 'live',
+    events:         [{ type: 'created' }],
+  });
+
+  if (booking.paymentStatus === 'failed') {
+    booking.paymentStatus = 'pending';
+    await booking.save();
+  }
+
+  console.log(`💳 Payment order ${order.gatewayOrderId} created for booking ${booking._id} (₹${order.amount})`);
+
+  return { ok: true, order, keyId: result.keyId, reused: false };
+}
+
+function keyIdFor(order) {
+  return order.mode === 'mock' ? 'rzp_mock' : paymentGateway.apiKey;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// confirmPayment — verify the signed checkout callback and mark the booking paid
+// ─────────────────────────────────────────────────────────────────────────────
+async function confirmPayment(booking, userId, { orderId, paymentId, signature }) {
+  if (!isPayer(booking, userId)) {
+    return { ok: false, status: 403, message: 'Only the person who booked can pay for this booking.' };
+  }
+  if (!orderId || !paymentId || !signature) {
+    return { ok: false, status: 400, message: 'orderId, paymentId and signature are required' };
+  }
+
+  const order = await PaymentOrder.findOne({ gatewayOrderId: orderId, bookingId: booking._id });
+  if (!order) {
+    return { ok: false, status: 404, message: 'Payment order not found for this booking.' };
+  }
+
+  // Same callback delivered twice (retrying client) — answer with the same result.
+  if (order.status === 'paid' && order.gatewayPaymentId === paymentId) {
+    return { ok: true, order, booking, alreadyPaid: true };
+  }
+  if (order.status !== 'created') {
+    return { ok: false, status: 409, message: `Payment order is ${order.status}.` };
+  }
+
+  if (!paymentGateway.verifyPaymentSignature({ orderId, paymentId, signature })) {
+    order.addEvent('signature_mismatch', { paymentId });
+    await order.save();
+    console.warn(`⚠️ Payment signature mismatch for order ${orderId} (booking ${booking._id})`);
+    return { ok: false, status: 400, message: 'Payment could not be verified.' };
+  }
+
+  // A signed payment is captured at the gateway even if our order timed out
+  // locally, so it is accepted here rather than rejected as expired.
+  order.status           = 'paid';
+  order.gatewayPaymentId = paymentId;
+  order.gatewaySignature = signature;
+  order.paidAt           = new Date();
+  order.addEvent('paid', { paymentId });
+  await order.save();
+
+  await booking.markAsPaid(paymentId);
+
+  console.log(`✅ Booking ${booking._id} paid (order ${orderId}, payment ${paymentId})`);
+
+  return { ok: true, order, booking, alreadyPaid: false };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// refundBookingPayment
+//
+// Called from Booking.cancel() BEFORE the booking is saved — it only updates
+// booking.paymentStatus in memory, the caller persists it.
+// On gateway failure the order goes back to 'paid' with the reason recorded
+// so the refund can be retried; the booking keeps paymentStatus 'paid'.
+// ─────────────────────────────────────────────────────────────────────────────
+async function refundBookingPayment(booking, reason = null) {
+  if (booking.paymentStatus !== 'paid') {
+    return { ok: false, status: 400, message: 'Booking has no captured payment to refund.' };
+  }
+
+  const order = await PaymentOrder.findOne({ bookingId: booking._id, status: 'paid' });
+  const paymentId = order?.gatewayPaymentId || booking.paymentId;
+
+  if (order) {
+    order.status = 'refund_pending';
+    order.addEvent('refund_requested', { reason });
+    await order.save();
+  }
+
+  const result = await paymentGateway.refundPayment(paymentId, booking.totalAmount, {
+    bookingId: booking._id.toString(),
+    reason:    reason || 'booking_cancelled',
+  });
+
+  if (!result.success) {
+    if (order) {
+      order.status        = 'paid';
+      order.failureReason = result.error || 'Refund failed';
+      order.addEvent('refund_failed', { error: result.error });
+      await order.save();
+    }
+    console.error(`❌ Refund failed for booking ${booking._id}: ${result.error}`);
+    return { ok: false, status: 502, message: 'Refund could not be processed. Our team has been notified.' };
+  }
+
+  if (order) {
+    order.status       = 'refunded';
+    order.refundId     = result.refundId;
+    order.refundAmount = result.amount ?? booking.totalAmount;
+    order.refundReason = reason;
+    order.refundedAt   = new Date();
+    order.failureReason = null;
+    order.addEvent('refunded', { refundId: result.refundId });
+    await order.save();
+  }
+
+  booking.paymentStatus = 'refunded';
+
+  // Earnings already credited (admin refund of a completed booking) — claw them back.
+  if (booking.earningsCreditedAt) {
+    await clawBackEarnings(booking);
+  }
+
+  console.log(`↩️ Refunded ₹${booking.totalAmount} for booking ${booking._id}`);
+
+  return { ok: true, refundId: result.refundId };
+}
+
+async function clawBackEarnings(booking) {
+  const posted = await postRefundClawback(booking);
+  if (!posted) return;
+
+  await User.updateOne(
+    { _id: booking.companionId?._id || booking.companionId },
+    {
+      $inc: {
+        'paymentInfo.totalEarnings': -(booking.companionEarning || 0),
+        'paymentInfo.pendingPayout': -(booking.companionEarning || 0)
+      }
+    }
+  );
+}
+
+/**
+ * Mock-mode only: simulate the client completing checkout for the current order.
+ */
+async function mockCompletePayment(booking, userId) {
+  if (!paymentGateway.isDevelopment) {
+    return { ok: false, status: 404, message: 'Not found' };
+  }
+
+  const order = await PaymentOrder.findCurrentForBooking(booking._id);
+  if (!order || !order.isPayable()) {
+    return { ok: false, status: 400, message: 'No open payment order. Call checkout first.' };
+  }
+
+  return confirmPayment(booking, userId, paymentGateway.mockSignPayment(order.gatewayOrderId));
+}
+
+async function getPaymentSummary(bookingId) {
+  const orders = await PaymentOrder.find({ bookingId }).sort({ createdAt: -1 });
+  return orders.map(o => o.toClientJSON());
+}
+
+module.exports = {
+  isPayer,
+  createOrderForBooking,
+  confirmPayment,
+  refundBookingPayment,
+  mockCompletePayment,
+  getPaymentSummary,
+};
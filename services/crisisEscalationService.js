@@ -0,0 +1,196 @@
+// services/crisisEscalationService.js — Self-harm escalation for Letters
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Used by services/letters.service.js (when the 'letter' surface matches a
+// self_harm rule) and routes/adminCrisisCases.js (the Safety Team queue).
+//
+//   getCrisisResources  helplines for the author's country (config/crisisResources.js),
+//                       returned to the author in the same response
+//   escalateLetter      hides the letter from the feed (Letter.crisisHold),
+//                       opens or extends the letter's CrisisCase and alerts the
+//                       Safety Reports Telegram bot. Never throws — the author
+//                       must get the helplines even if the case write fails.
+//   acknowledgeCase     OPEN → ACKNOWLEDGED
+//   resolveCase         → RESOLVED with REINSTATE / KEEP_HIDDEN / REMOVE
+//
+// Return shape of the admin actions follows services/appealService.js:
+//   { ok: true, ... }                           on success
+//   { ok: false, status: <http code>, message } on business-rule failure
+//   throws                                      on unexpected error
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose   = require('mongoose');
+const User       = require('../models/User');
+const Letter     = require('../models/Letter');
+const AuditLog   = require('../models/AuditLog');
+const CrisisCase = require('../models/CrisisCase');
+const { notifyCrisisEscalation } = require('./telegramService');
+const {
+  DEFAULT_COUNTRY, INTERNATIONAL_DIRECTORY, RESOURCES, COUNTRY_ALIASES,
+} = require('../config/crisisResources');
+
+const OUTCOMES = ['REINSTATE', 'KEEP_HIDDEN', 'REMOVE'];
+
+const SUPPORT_MESSAGE =
+  'What you wrote matters, and so do you. Your letter is with our Safety Team. ' +
+  'If you are thinking about hurting yourself, please reach out to someone now — these lines are free and confidential.';
+
+function resolveCountry(user) {
+  const raw = String(user?.liveLocation?.country || '').trim();
+  if (!raw) return DEFAULT_COUNTRY;
+  const code = raw.length === 2 ? raw.toUpperCase() : COUNTRY_ALIASES[raw.toLowerCase()];
+  return code || null;
+}
+
+async function getCrisisResources(userId) {
+  const user = await User.findById(userId).select('liveLocation.country').lean().catch(() => null);
+  const country = resolveCountry(user);
+  const entry = country && RESOURCES[country];
+
+  return {
+    message:   SUPPORT_MESSAGE,
+    country:   entry ? country : null,
+    emergency: entry ? entry.emergency : null,
+    helplines: entry ? entry.lines : [],
+    directory: INTERNATIONAL_DIRECTORY,
+  };
+}
+
+// ── Escalation ───────────────────────────────────────────────────────────────
+async function escalateLetter({ userId, letterId, source, excerpt }) {
+  const resources = await getCrisisResources(userId);
+
+  try {
+    await Letter.updateOne({ _id: letterId }, { $set: { crisisHold: true } });
+
+    const trigger = { source, excerpt: String(excerpt || '').slice(0, 500), createdAt: new Date() };
+
+    let crisisCase = await CrisisCase.findOneAndUpdate(
+      { letterId, status: { $ne: 'RESOLVED' } },
+      { $push: { triggers: trigger } },
+      { new: true }
+    );
+    if (!crisisCase) {
+      crisisCase = await CrisisCase.create({
+        caseId:   CrisisCase.generateId(),
+        userId,
+        letterId,
+        triggers: [trigger],
+        country:  resources.country,
+      });
+    }
+
+    const messageId = await notifyCrisisEscalation(crisisCase, trigger);
+    if (messageId && !crisisCase.telegramMessageId) {
+      crisisCase.telegramMessageId = messageId;
+      await crisisCase.save();
+    }
+
+    console.log(`🆘 Crisis case ${crisisCase.caseId} (${source}) for letter ${letterId}`);
+  } catch (err) {
+    console.error('[CRISIS] Escalation failed:', err.message);
+  }
+
+  return resources;
+}
+
+// ── Safety Team actions ──────────────────────────────────────────────────────
+async function acknowledgeCase(caseId, admin, req = null) {
+  if (!mongoose.isValidObjectId(caseId)) {
+    return { ok: false, status: 400, message: 'Invalid case ID' };
+  }
+
+  const crisisCase = await CrisisCase.findOneAndUpdate(
+    { _id: caseId, status: 'OPEN' },
+    { $set: { status: 'ACKNOWLEDGED', acknowledgedBy: admin._id, acknowledgedAt: new Date() } },
+    { new: true }
+  );
+  if (!crisisCase) {
+    const exists = await CrisisCase.exists({ _id: caseId });
+    return exists
+      ? { ok: false, status: 409, message: 'Case was already picked up' }
+      : { ok: false, status: 404, message: 'Case not found' };
+  }
+
+  await audit('ACKNOWLEDGE_CRISIS_CASE', crisisCase, admin, null, req);
+  return { ok: true, crisisCase };
+}
+
+// Only the letter's crisis hold is lifted on REINSTATE; a held update was held
+// for the same reason and is published with it.
+async function resolveCase(caseId, admin, { outcome, note } = {}, req = null) {
+  if (!OUTCOMES.includes(outcome)) {
+    return { ok: false, status: 400, message: `outcome must be one of ${OUTCOMES.join(', ')}` };
+  }
+  if (!mongoose.isValidObjectId(caseId)) {
+    return { ok: false, status: 400, message: 'Invalid case ID' };
+  }
+
+  const crisisCase = await CrisisCase.findOneAndUpdate(
+    { _id: caseId, status: { $ne: 'RESOLVED' } },
+    {
+      $set: {
+        status:     'RESOLVED',
+        resolution: { outcome, note: note ? String(note).slice(0, 1000) : null, resolvedBy: admin._id, resolvedAt: new Date() },
+      },
+    },
+    { new: true }
+  );
+  if (!crisisCase) {
+    const exists = await CrisisCase.exists({ _id: caseId });
+    return exists
+      ? { ok: false, status: 409, message: 'Case was already resolved' }
+      : { ok: false, status: 404, message: 'Case not found' };
+  }
+
+  if (outcome === 'REINSTATE') {
+    const letter = await Letter.findById(crisisCase.letterId).select('update').lean();
+    await Letter.updateOne(
+      { _id: crisisCase.letterId },
+      {
+        $set: {
+          crisisHold: false,
+          status: 'active',
+          ...(letter?.update?.isModerated && { 'update.isModerated': false }),
+        },
+      }
+    );
+  } else if (outcome === 'REMOVE') {
+    await Letter.updateOne(
+      { _id: crisisCase.letterId },
+      { $set: { status: 'removed', isModerated: true, moderationReason: 'Removed by Safety Team (crisis review)' } }
+    );
+  }
+
+  await audit('RESOLVE_CRISIS_CASE', crisisCase, admin, crisisCase.resolution.note, req);
+  console.log(`🆘 Crisis case ${crisisCase.caseId} resolved (${outcome}) by ${admin.email}`);
+  return { ok: true, crisisCase };
+}
+
+function audit(action, crisisCase, admin, reason, req) {
+  return AuditLog.logAction({
+    actorId:       admin._id,
+    actorRole:     admin.role,
+    actorEmail:    admin.email,
+    action,
+    targetType:    'USER',
+    targetId:      crisisCase.userId,
+    reason,
+    details:       { caseId: crisisCase.caseId, letterId: crisisCase.letterId, outcome: crisisCase.resolution?.outcome || null },
+    isSensitive:   true,
+    ipAddress:     req?.ip,
+    userAgent:     req?.get?.('user-agent'),
+    requestMethod: req?.method,
+    requestPath:   req?.originalUrl,
+  });
+}
+
+module.exports = {
+  getCrisisResources,
+  escalateLetter,
+  acknowledgeCase,
+  resolveCase,
+  OUTCOMES,
+};
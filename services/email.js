@@ -22,9 +22,11 @@ apiInstance.setApiKey(
 
 /**
  * Generic send-email used by payoutCron.js
- * @param {{ to: string, subject: string, html: string }} opts
+ * @param {{ to: string, subject: string, html: string,
+ *           attachments?: Array<{ name: string, content: Buffer|string }> }} opts
+ *        attachment content is a Buffer or an already base64-encoded string
  */
-async function sendEmail({ to, subject, html }) {
+async function sendEmail({ to, subject, html, attachments }) {
   if (!to || !subject || !html) {
     throw new Error('[services/email] sendEmail: to, subject, and html are required');
   }
@@ -39,9 +41,57 @@ async function sendEmail({ to, subject, html }) {
     htmlContent: html,
   };
 
+  if (attachments && attachments.length > 0) {
+    payload.attachment = attachments.map(a => ({
+      name:    a.name,
+      content: Buffer.isBuffer(a.content) ? a.content.toString('base64') : a.content,
+    }));
+  }
+
   const result = await apiInstance.sendTransacEmail(payload);
   console.log(`[services/email] ✅ Email sent to ${to} — messageId: ${result.messageId}`);
   return { success: true, messageId: result.messageId };
 }
 
-module.exports = { sendEmail };
+/**
+ * Payout confirmation — called by Payout.process() after a successful transfer.
+ */
+async function sendPayoutSuccessEmail(to, { amount, transactionId, name }) {
+  return sendEmail({
+    to,
+    subject: `₹${amount} has been sent to your UPI`,
+    html: `
+      <p>Hi ${name || 'there'},</p>
+      <p>Your Humrah payout of <strong>₹${amount}</strong> has been processed.</p>
+      <p>Transaction ID: ${transactionId}</p>
+      <p>It usually reflects in your bank account within a few minutes.</p>
+      <p>— Team Humrah</p>
+    `,
+  });
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[c]);
+}
+
+/**
+ * Email copy of a push notification — sent by services/notificationDispatcher.js
+ * when the event's channel rule asks for one. title and body are plain text.
+ */
+async function sendNotificationEmail(to, { name, title, body }) {
+  return sendEmail({
+    to,
+    subject: title || 'You have a new update on Humrah',
+    html: `
+      <p>Hi ${escapeHtml(name) || 'there'},</p>
+      ${title ? `<p><strong>${escapeHtml(title)}</strong></p>` : ''}
+      ${body ? `<p>${escapeHtml(body).replace(/\n/g, '<br>')}</p>` : ''}
+      <p>Open the Humrah app to see the details.</p>
+      <p>— Team Humrah</p>
+    `,
+  });
+}
+
+module.exports = { sendEmail, sendPayoutSuccessEmail, sendNotificationEmail, escapeHtml };
@@ -0,0 +1,251 @@
+// services/faceMatchService.js — Profile photo vs verification video consistency check
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// After a verification video is uploaded (routes/verification.js), a handful
+// of frames are pulled out with ffmpeg and each face is compared with the
+// face on the user's current profile photo. The median cosine similarity
+// lands on the session as `faceMatchScore`:
+//
+//   similarity ≥ FACE_MATCH_THRESHOLD   faceMatch.status 'MATCH'
+//   similarity <  threshold             'LOW_SIMILARITY' — flagged, top of the queue
+//   no face in the photo or the video   'NO_FACE'        — flagged
+//
+// Every session still ends in MANUAL_REVIEW and an admin approves it — the
+// score tells the reviewer where to look, it never approves anyone.
+//
+// The face model is pluggable. FACE_EMBEDDING_MODEL names a module (absolute,
+// or relative to the project root) exporting:
+//
+//   name                       e.g. 'arcface-r100'
+//   version                    optional, recorded on the session
+//   detectFaces(imageBuffer)   → Promise<[{ embedding: number[] }]>, largest face first
+//
+// No model ships with the app, so FACE_EMBEDDING_MODEL is required for the
+// check to do anything: without it every session is recorded as 'SKIPPED',
+// nothing is flagged, and review works as before. server.js warns about this
+// at startup (checkFaceMatchConfig). FACE_MATCH_THRESHOLD (default 0.5) tunes
+// the MATCH cut-off for the chosen model.
+//
+// The score is for reviewers only — the user being verified never sees it, or
+// they could adjust photos until they clear the threshold.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const ffmpeg = require('fluent-ffmpeg');
+const VerificationSession = require('../models/VerificationSession');
+
+const FRAME_COUNT = 5;
+const DEFAULT_THRESHOLD = 0.5;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODEL
+// ═══════════════════════════════════════════════════════════════════════════════
+
+let provider;   // undefined = not resolved yet, null = none configured
+
+function getFaceEmbeddingProvider() {
+  if (provider !== undefined) return provider;
+
+  const modulePath = process.env.FACE_EMBEDDING_MODEL;
+  provider = null;
+  if (!modulePath) return provider;
+
+  try {
+    const loaded = require(path.resolve(__dirname, '..', modulePath));
+    if (typeof loaded.detectFaces !== 'function') throw new Error('module does not export detectFaces()');
+    provider = loaded;
+    console.log(`🧑 [FaceMatch] Using face model ${loaded.name || modulePath}`);
+  } catch (err) {
+    console.error(`❌ [FaceMatch] Could not load FACE_EMBEDDING_MODEL "${modulePath}":`, err.message);
+  }
+  return provider;
+}
+
+// Tests and alternative bootstraps can inject a model; pass undefined to re-read the env
+function setFaceEmbeddingProvider(next) {
+  provider = next;
+}
+
+// Startup check: the feature is silently inert without a model, so say so
+function checkFaceMatchConfig() {
+  if (!process.env.FACE_EMBEDDING_MODEL) {
+    console.warn('⚠️ [FaceMatch] FACE_EMBEDDING_MODEL is not set — photo/video face matching is off and every verification is recorded as SKIPPED');
+    return false;
+  }
+  return getFaceEmbeddingProvider() !== null;
+}
+
+function matchThreshold() {
+  const value = parseFloat(process.env.FACE_MATCH_THRESHOLD);
+  return Number.isFinite(value) ? value : DEFAULT_THRESHOLD;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPARISON
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot   += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function median(values) {
+  const sorted = [...values].sort((x, y) => x - y);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Unit-length mean of the frame embeddings — kept as the session's faceEmbedding
+function meanEmbedding(embeddings) {
+  const sum = new Array(embeddings[0].length).fill(0);
+  for (const e of embeddings) e.forEach((v, i) => { sum[i] += v; });
+  const norm = Math.sqrt(sum.reduce((acc, v) => acc + v * v, 0)) || 1;
+  return sum.map(v => v / norm);
+}
+
+/**
+ * Compare the face on a profile photo with the faces in video frames.
+ * The median over frames keeps one head-turn or one held-up photo from
+ * deciding the result.
+ *
+ * @returns {Promise<{ status: string, similarity: number|null, framesCompared: number,
+ *                     facesDetected: number, embedding: number[]|null, threshold: number }>}
+ */
+async function compareFaces(frameBuffers, photoBuffer, model = getFaceEmbeddingProvider()) {
+  const threshold = matchThreshold();
+  const result = { status: 'NO_FACE', similarity: null, framesCompared: frameBuffers.length, facesDetected: 0, embedding: null, threshold };
+
+  const [photoFace] = await model.detectFaces(photoBuffer);
+  if (!photoFace) return result;
+
+  const frameEmbeddings = [];
+  for (const frame of frameBuffers) {
+    const [face] = await model.detectFaces(frame);
+    if (face) frameEmbeddings.push(face.embedding);
+  }
+  result.facesDetected = frameEmbeddings.length;
+  if (frameEmbeddings.length === 0) return result;
+
+  const similarity = median(frameEmbeddings.map(e => Math.max(0, cosineSimilarity(photoFace.embedding, e))));
+  result.similarity = Math.round(similarity * 1000) / 1000;
+  result.embedding  = meanEmbedding(frameEmbeddings);
+  result.status     = similarity >= threshold ? 'MATCH' : 'LOW_SIMILARITY';
+  return result;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FRAMES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Evenly spaced JPEG frames from a video buffer. Uses the ffmpeg binary on
+ * PATH (or FFMPEG_PATH / FFPROBE_PATH). Throws when ffmpeg fails.
+ */
+async function extractFrames(videoBuffer, count = FRAME_COUNT) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'humrah-verify-'));
+  try {
+    const input = path.join(dir, 'video');
+    await fs.writeFile(input, videoBuffer);
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(input)
+        .on('end', resolve)
+        .on('error', reject)
+        .screenshots({ count, folder: dir, filename: 'frame-%i.jpg', size: '640x?' });
+    });
+
+    const names = (await fs.readdir(dir)).filter(name => name.startsWith('frame-')).sort();
+    return await Promise.all(names.map(name => fs.readFile(path.join(dir, name))));
+  } finally {
+    fs.rm(dir, { recursive: true, force: true })
+      .catch(err => console.error('[FaceMatch] Temp cleanup failed:', err.message));
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SESSION CHECK
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Run the check for an uploaded session and record it. A failed check is
+ * stored as faceMatch.status 'FAILED' and the session stays in the review
+ * queue like any other.
+ *
+ * @param {Object} session      VerificationSession document
+ * @param {Object} user         needs profilePhoto
+ * @param {Buffer} videoBuffer  the uploaded video
+ * @returns {Promise<Object>}   the faceMatch subdocument written
+ */
+async function runFaceMatch(session, user, videoBuffer) {
+  const started = Date.now();
+  const model   = getFaceEmbeddingProvider();
+  const faceMatch = {
+    status: 'SKIPPED',
+    flagged: false,
+    provider: model?.name || null,
+    modelVersion: model?.version || null,
+    threshold: matchThreshold(),
+    profilePhotoUrl: user.profilePhoto || null,
+    checkedAt: new Date(),
+    error: null,
+  };
+  const update = { faceMatch };
+
+  try {
+    if (model && !user.profilePhoto) {
+      faceMatch.status  = 'NO_PROFILE_PHOTO';
+      faceMatch.flagged = true;
+    } else if (model) {
+      const [frames, photo] = await Promise.all([
+        extractFrames(videoBuffer),
+        axios.get(user.profilePhoto, { responseType: 'arraybuffer', timeout: 10000 }).then(r => Buffer.from(r.data)),
+      ]);
+      const result = await compareFaces(frames, photo, model);
+
+      faceMatch.status  = result.status;
+      faceMatch.flagged = result.status !== 'MATCH';
+      Object.assign(update, {
+        faceMatchScore:  result.similarity,
+        faceEmbedding:   result.embedding,
+        framesExtracted: frames.length,
+        facesDetected:   result.facesDetected,
+        processingTime:  Date.now() - started,
+      });
+    }
+  } catch (err) {
+    console.error(`❌ [FaceMatch] Session ${session.sessionId} check failed:`, err.message);
+    faceMatch.status = 'FAILED';
+    faceMatch.error  = err.message;
+  }
+
+  await VerificationSession.updateOne({ _id: session._id }, { $set: update });
+  Object.assign(session, update);
+
+  if (faceMatch.flagged) {
+    console.log(`⚠️ [FaceMatch] Session ${session.sessionId}: ${faceMatch.status}` +
+      (update.faceMatchScore != null ? ` (similarity ${update.faceMatchScore})` : ''));
+  }
+  return faceMatch;
+}
+
+module.exports = {
+  cosineSimilarity,
+  compareFaces,
+  extractFrames,
+  runFaceMatch,
+  getFaceEmbeddingProvider,
+  setFaceEmbeddingProvider,
+  checkFaceMatchConfig,
+  FRAME_COUNT,
+};
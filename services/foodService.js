@@ -3,6 +3,7 @@
 // All DB queries live here — controllers stay thin
 
 const FoodPost = require('../models/FoodPost');
+const { moderateContent } = require('./moderationPolicy');
 
 // ─── Constants ────────────────────────────────────────────────
 const MAX_POSTS_PER_WEEK = 3;
@@ -21,15 +22,20 @@ const checkWeeklyLimit = async (userId) => {
 };
 
 // ─── Helper: sanitize caption for business promo ──────────────
+// Links and phone numbers are stripped by the shared policy ('food_caption'
+// surface); anything the policy blocks outright throws a 422.
 const sanitizeCaption = (caption) => {
   if (!caption) return '';
 
-  // Remove URLs
-  let clean = caption.replace(/https?:\/\/[^\s]+/gi, '');
-  // Remove phone numbers
-  clean = clean.replace(/(\+?\d[\s\-\.]?){7,}/g, '');
+  const { action, cleanedText } = moderateContent(caption, { surface: 'food_caption' });
+  if (action === 'block') {
+    const err = new Error('Your caption violates our community guidelines.');
+    err.statusCode = 422;
+    throw err;
+  }
+
   // Trim and enforce length
-  return clean.trim().slice(0, 120);
+  return cleanedText.trim().slice(0, 120);
 };
 
 // ─── Service: Create a food discovery post ───────────────────
@@ -191,6 +197,7 @@ const getComments = async ({ postId, page = 1, limit = 20 }) => {
 };
 
 module.exports = {
+  sanitizeCaption,
   createFoodPost,
   getNearbyFoodPosts,
   getFeedFoodCards,
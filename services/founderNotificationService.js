@@ -1,20 +1,19 @@
 'use strict';
 
 const User = require('../models/User');
-const { sendDataFcm } = require('../utils/fcmHelper');
+const { dispatch } = require('./notificationDispatcher');
 
 /**
- * Maps workflow events to notification content and dispatches them via FCM.
+ * Maps workflow events to notification content and dispatches them as
+ * 'founder.update' (services/notificationDispatcher.js).
  * @param {string} userId - Recipient User ID
  * @param {object} messageDocument - The FounderMessage document
  * @param {string} eventType - The workflow event (e.g. 'MESSAGE_SUBMITTED', 'MESSAGE_READ_WORKFLOW')
  */
 exports.emitFounderEvent = async (userId, messageDocument, eventType) => {
   try {
-    const user = await User.findById(userId);
-    if (!user || !user.fcmTokens || user.fcmTokens.length === 0) {
-      return; // No tokens to send to
-    }
+    const user = await User.findById(userId).select('_id').lean();
+    if (!user) return;
 
     let title = '';
     let body = '';
@@ -66,7 +65,7 @@ exports.emitFounderEvent = async (userId, messageDocument, eventType) => {
     // Dispatch asynchronously without awaiting if we don't want to block, 
     // but we are inside an async function so we await it here.
     // The controller won't await emitFounderEvent to prevent blocking.
-    await sendDataFcm(user._id.toString(), user.fcmTokens, payload);
+    await dispatch('founder.update', { userId: user._id, title, body, data: payload });
   } catch (error) {
     // Notifications must not roll back business logic, just log the error
     console.error(`[FounderNotificationService] Failed to emit event ${eventType}:`, error.message);
@@ -0,0 +1,208 @@
+// services/imageHashService.js — Perceptual hashing, image blocklist and SafeSearch verdict cache
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Every uploaded image (posts, profile photos, food posts) is reduced to a
+// 64-bit difference hash (dHash): shrink to 9×8 greyscale, one bit per
+// "is this pixel brighter than its right-hand neighbour". Re-encoding,
+// resizing and light filters move only a few bits, so the Hamming distance
+// between two hashes says how alike the images are.
+//
+//   findBlockedImage()   removed content (models/BlockedImageHash.js) —
+//                        a hit rejects the upload without calling Vision
+//   findCachedVerdict()  earlier SafeSearch verdicts (models/ImageModerationCache.js)
+//                        — a hit is reused instead of a new Vision call
+//
+// Used by middleware/imageModerationMiddleware.js and, when an admin removes
+// or restores a post, routes/adminModeration.js.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const axios = require('axios');
+const sharp = require('sharp');
+const BlockedImageHash = require('../models/BlockedImageHash');
+const ImageModerationCache = require('../models/ImageModerationCache');
+
+const BLOCKLIST_MAX_DISTANCE = 6;   // ≤ 7 is guaranteed to share one of eight 8-bit bands
+const CACHE_MAX_DISTANCE     = 3;   // ≤ 3 is guaranteed to share one of four 16-bit bands
+const MAX_CANDIDATES         = 50;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HASHING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function toBuffer(input) {
+  if (Buffer.isBuffer(input)) return input;
+  const base64 = input.startsWith('data:') ? input.split(',')[1] : input;
+  return Buffer.from(base64, 'base64');
+}
+
+/**
+ * 64-bit dHash of a Buffer, raw base64 or data URL, as 16 hex chars.
+ * Throws when sharp cannot decode the image.
+ */
+async function computeImageHash(input) {
+  const pixels = await sharp(toBuffer(input))
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let bits = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits = (bits << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return bits.toString(16).padStart(16, '0');
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+// "0:ab", "1:cd", … — the index keeps equal chunks at different positions apart
+function hashBands(hash, bits) {
+  const width = bits / 4;
+  const bands = [];
+  for (let i = 0; i * width < hash.length; i++) bands.push(`${i}:${hash.slice(i * width, (i + 1) * width)}`);
+  return bands;
+}
+
+function nearest(docs, hash, maxDistance) {
+  let best = null;
+  for (const doc of docs) {
+    const distance = hammingDistance(doc.hash, hash);
+    if (distance <= maxDistance && (!best || distance < best.distance)) best = { doc, distance };
+  }
+  return best;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BLOCKLIST
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The closest blocklist entry within BLOCKLIST_MAX_DISTANCE, or null.
+ * @returns {Promise<{ entry: Object, distance: number }|null>}
+ */
+async function findBlockedImage(hash) {
+  const candidates = await BlockedImageHash.find({ bands: { $in: hashBands(hash, 8) } })
+    .limit(MAX_CANDIDATES)
+    .lean();
+  const match = nearest(candidates, hash, BLOCKLIST_MAX_DISTANCE);
+  if (!match) return null;
+
+  BlockedImageHash.updateOne({ _id: match.doc._id }, { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } })
+    .catch(err => console.error('[ImageHash] Blocklist hit count failed:', err.message));
+
+  return { entry: match.doc, distance: match.distance };
+}
+
+/**
+ * Add a hash to the blocklist (idempotent — an existing entry keeps its source).
+ * `hash` may be omitted when `imageUrl` is given; the image is fetched and hashed.
+ */
+async function blockImage({ hash, imageUrl, reason, severity, sourceType = 'manual', sourceId = null, addedBy = null }) {
+  const imageHash = hash || (imageUrl ? await hashImageUrl(imageUrl) : null);
+  if (!imageHash) throw new Error('hash or imageUrl is required');
+
+  const entry = await BlockedImageHash.findOneAndUpdate(
+    { hash: imageHash },
+    {
+      $setOnInsert: {
+        hash: imageHash,
+        bands: hashBands(imageHash, 8),
+        reason: reason || 'removed_content',
+        severity: severity === 'extreme' ? 'extreme' : 'standard',
+        sourceType,
+        sourceId,
+        addedBy,
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  // A cached "safe" verdict for this image must not outlive the removal
+  await ImageModerationCache.deleteOne({ hash: imageHash });
+  return entry;
+}
+
+async function unblockSource(sourceType, sourceId) {
+  const { deletedCount } = await BlockedImageHash.deleteMany({ sourceType, sourceId });
+  return deletedCount;
+}
+
+async function hashImageUrl(url) {
+  const { data } = await axios.get(url, { responseType: 'arraybuffer', timeout: 10000 });
+  return computeImageHash(Buffer.from(data));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SAFESEARCH VERDICT CACHE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * A cached verdict within CACHE_MAX_DISTANCE, in analyzeImageSafety's result
+ * shape plus `cached: true` and `hashDistance`, or null.
+ */
+async function findCachedVerdict(hash) {
+  const candidates = await ImageModerationCache.find({ bands: { $in: hashBands(hash, 16) } })
+    .limit(MAX_CANDIDATES)
+    .lean();
+  const match = nearest(candidates, hash, CACHE_MAX_DISTANCE);
+  if (!match) return null;
+
+  ImageModerationCache.updateOne({ _id: match.doc._id }, { $inc: { hits: 1 } })
+    .catch(err => console.error('[ImageHash] Cache hit count failed:', err.message));
+
+  const { blocked, extremeContent, blockReason, scores } = match.doc.verdict;
+  return {
+    safe: !blocked, scores, rawResponse: null,
+    blocked, blockReason, extremeContent,
+    cached: true, hashDistance: match.distance,
+  };
+}
+
+async function cacheVerdict(hash, modResult) {
+  // Vision errors fail open — never cache those as "safe"
+  if (modResult.apiError) return;
+
+  await ImageModerationCache.updateOne(
+    { hash },
+    {
+      $set: {
+        bands: hashBands(hash, 16),
+        verdict: {
+          blocked:        !!modResult.blocked,
+          extremeContent: !!modResult.extremeContent,
+          blockReason:    modResult.blockReason || null,
+          scores:         modResult.scores || {},
+        },
+      },
+      $setOnInsert: { hash, createdAt: new Date() },
+    },
+    { upsert: true }
+  );
+}
+
+module.exports = {
+  computeImageHash,
+  hammingDistance,
+  hashBands,
+  findBlockedImage,
+  blockImage,
+  unblockSource,
+  hashImageUrl,
+  findCachedVerdict,
+  cacheVerdict,
+  BLOCKLIST_MAX_DISTANCE,
+  CACHE_MAX_DISTANCE,
+};
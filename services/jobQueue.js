@@ -0,0 +1,326 @@
+// services/jobQueue.js — MongoDB-backed delayed job queue
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Replaces in-process setTimeout for work that must survive a deploy or crash
+// (matching phases, candidate response windows) and runs the periodic
+// maintenance jobs so that only one instance executes each tick.
+//
+//   registerHandler(name, fn, opts)   at module load (see jobs/registerJobHandlers.js)
+//   enqueue(name, payload, opts)      delayMs / runAt / uniqueKey
+//   scheduleRecurring(name, cronExpr) node-cron only decides WHEN; each tick
+//                                     enqueues one job keyed on its time slot
+//   startJobWorker()                  after MongoDB connects (server.js)
+//
+// Delivery is at-least-once: a handler may run again if its worker dies after
+// finishing but before the job is marked completed. Handlers re-read state and
+// bail out when there is nothing left to do (all current handlers already do).
+//
+// Retry backoff: backoffMs × 2^(attempt − 1), capped at 1 hour.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const os   = require('os');
+const cron = require('node-cron');
+const Job  = require('../models/Job');
+
+// ── Timing constants (single source of truth) ────────────────────────────────
+const POLL_INTERVAL_MS      = 1000;
+const DEFAULT_LEASE_MS      = 5 * 60 * 1000;
+const DEFAULT_BACKOFF_MS    = 30 * 1000;
+const MAX_BACKOFF_MS        = 60 * 60 * 1000;
+const COMPLETED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_CONCURRENT_JOBS   = 5;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();   // name → { fn, queue, maxAttempts, backoffMs, leaseMs }
+let running    = false;
+let pollTimer  = null;
+let inFlight   = 0;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Registration / enqueue
+// ─────────────────────────────────────────────────────────────────────────────
+function registerHandler(name, fn, opts = {}) {
+  handlers.set(name, {
+    fn,
+    queue:       opts.queue       || 'default',
+    maxAttempts: opts.maxAttempts || 5,
+    backoffMs:   opts.backoffMs   || DEFAULT_BACKOFF_MS,
+    leaseMs:     opts.leaseMs     || DEFAULT_LEASE_MS,
+  });
+}
+
+/**
+ * Enqueue a job. With a uniqueKey, enqueueing the same key twice is a no-op
+ * and returns the existing job.
+ */
+async function enqueue(name, payload = {}, opts = {}) {
+  const config = handlers.get(name) || {};
+  const runAt  = opts.runAt
+    ? new Date(opts.runAt)
+    : new Date(Date.now() + (opts.delayMs || 0));
+
+  const doc = {
+    name,
+    queue:       opts.queue || config.queue || 'default',
+    payload,
+    runAt,
+    maxAttempts: opts.maxAttempts || config.maxAttempts || 5,
+  };
+  if (opts.uniqueKey) doc.uniqueKey = opts.uniqueKey;
+
+  try {
+    return await Job.create(doc);
+  } catch (err) {
+    if (err.code === 11000 && opts.uniqueKey) {
+      return Job.findOne({ uniqueKey: opts.uniqueKey });
+    }
+    throw err;
+  }
+}
+
+/** Drop not-yet-started jobs, e.g. remaining matching phases once a booking is matched. */
+async function cancelPending(name, payloadFilter = {}) {
+  const filter = { name, status: 'pending' };
+  for (const [key, value] of Object.entries(payloadFilter)) {
+    filter[`payload.${key}`] = value;
+  }
+  const result = await Job.deleteMany(filter);
+  return result.deletedCount;
+}
+
+/**
+ * Recurring job on a cron expression. Every instance runs the cron, but the
+ * slot-based uniqueKey means each tick is enqueued (and executed) once.
+ * Retries follow the handler's registered maxAttempts unless opts override it.
+ */
+function scheduleRecurring(name, cronExpression, opts = {}) {
+  return cron.schedule(cronExpression, () => {
+    const slot = new Date();
+    slot.setSeconds(0, 0);
+    enqueue(name, opts.payload || {}, {
+      uniqueKey: `${name}@${slot.toISOString()}`,
+      maxAttempts: opts.maxAttempts,
+    }).catch(err => console.error(`[JobQueue] Failed to enqueue recurring ${name}:`, err.message));
+  }, opts.timezone ? { timezone: opts.timezone } : undefined);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Worker
+// ─────────────────────────────────────────────────────────────────────────────
+async function leaseNextJob() {
+  const now = new Date();
+  const names = [...handlers.keys()];
+  if (names.length === 0) return null;
+
+  return Job.findOneAndUpdate(
+    {
+      name: { $in: names },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'leased',  leaseUntil: { $lte: now } },   // worker died mid-run
+      ],
+    },
+    [
+      {
+        $set: {
+          status:     'leased',
+          leasedBy:   WORKER_ID,
+          startedAt:  now,
+          attempts:   { $add: ['$attempts', 1] },
+          leaseUntil: new Date(now.getTime() + DEFAULT_LEASE_MS),
+        },
+      },
+    ],
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  const config = handlers.get(job.name);
+
+  // Re-leased after repeated worker crashes — do not let it take the worker down again.
+  if (job.attempts > job.maxAttempts) {
+    await Job.updateOne(
+      { _id: job._id, leasedBy: WORKER_ID },
+      { $set: { status: 'dead', deadAt: new Date(), leaseUntil: null, lastError: job.lastError || 'Lease expired too many times' } }
+    );
+    return;
+  }
+
+  // Handler-specific lease length
+  if (config.leaseMs !== DEFAULT_LEASE_MS) {
+    await Job.updateOne({ _id: job._id }, { $set: { leaseUntil: new Date(Date.now() + config.leaseMs) } });
+  }
+
+  try {
+    await config.fn(job.payload || {}, job);
+
+    await Job.updateOne(
+      { _id: job._id, leasedBy: WORKER_ID },
+      {
+        $set: {
+          status:      'completed',
+          completedAt: new Date(),
+          leaseUntil:  null,
+          lastError:   null,
+          expireAt:    new Date(Date.now() + COMPLETED_RETENTION_MS),
+        },
+      }
+    );
+  } catch (err) {
+    const message = (err && err.message) || String(err);
+
+    if (job.attempts >= job.maxAttempts) {
+      await Job.updateOne(
+        { _id: job._id, leasedBy: WORKER_ID },
+        { $set: { status: 'dead', deadAt: new Date(), leaseUntil: null, lastError: message } }
+      );
+      console.error(`☠️ [JobQueue] ${job.name} (${job._id}) dead after ${job.attempts} attempt(s): ${message}`);
+    } else {
+      const backoff = Math.min(config.backoffMs * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+      await Job.updateOne(
+        { _id: job._id, leasedBy: WORKER_ID },
+        {
+          $set: {
+            status:     'pending',
+            runAt:      new Date(Date.now() + backoff),
+            leaseUntil: null,
+            lastError:  message,
+          },
+        }
+      );
+      console.warn(`⚠️ [JobQueue] ${job.name} (${job._id}) failed, retry ${job.attempts}/${job.maxAttempts} in ${Math.round(backoff / 1000)}s: ${message}`);
+    }
+  }
+}
+
+async function poll() {
+  if (!running) return;
+
+  try {
+    while (running && inFlight < MAX_CONCURRENT_JOBS) {
+      const job = await leaseNextJob();
+      if (!job) break;
+
+      inFlight++;
+      runJob(job)
+        .catch(err => console.error(`[JobQueue] ${job.name} bookkeeping error:`, err.message))
+        .finally(() => { inFlight--; });
+    }
+  } catch (err) {
+    console.error('[JobQueue] Poll error:', err.message);
+  }
+
+  pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// recoverOverdueJobs — startup
+//
+// Releases leases that expired while no worker was alive and reports how much
+// work is overdue. The poller then drains it oldest-first.
+// ─────────────────────────────────────────────────────────────────────────────
+async function recoverOverdueJobs() {
+  const now = new Date();
+
+  const released = await Job.updateMany(
+    { status: 'leased', leaseUntil: { $lte: now } },
+    { $set: { status: 'pending', leaseUntil: null, runAt: now } }
+  );
+  const overdue = await Job.countDocuments({ status: 'pending', runAt: { $lte: now } });
+
+  if (released.modifiedCount > 0 || overdue > 0) {
+    console.log(`♻️ [JobQueue] Recovered ${released.modifiedCount} abandoned job(s); ${overdue} overdue job(s) will run now`);
+  }
+
+  return { released: released.modifiedCount, overdue };
+}
+
+async function startJobWorker() {
+  if (running) return;
+  require('../jobs/registerJobHandlers');
+
+  await recoverOverdueJobs();
+  running = true;
+  poll();
+
+  console.log(`✅ Job queue worker started (${WORKER_ID}, ${handlers.size} handlers)`);
+}
+
+function stopJobWorker() {
+  running = false;
+  if (pollTimer) clearTimeout(pollTimer);
+  pollTimer = null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Inspection (GET /api/admin/jobs)
+// ─────────────────────────────────────────────────────────────────────────────
+async function getQueueStats() {
+  const rows = await Job.aggregate([
+    {
+      $group: {
+        _id:         { queue: '$queue', name: '$name', status: '$status' },
+        count:       { $sum: 1 },
+        oldestRunAt: { $min: '$runAt' },
+      },
+    },
+  ]);
+
+  const queues = {};
+  for (const r of rows) {
+    const q = (queues[r._id.queue] ||= { queue: r._id.queue, totals: {}, jobs: {} });
+    const j = (q.jobs[r._id.name]  ||= { name: r._id.name, pending: 0, leased: 0, completed: 0, dead: 0, oldestPendingRunAt: null });
+
+    j[r._id.status] = r.count;
+    q.totals[r._id.status] = (q.totals[r._id.status] || 0) + r.count;
+    if (r._id.status === 'pending') j.oldestPendingRunAt = r.oldestRunAt;
+  }
+
+  const overdue = await Job.countDocuments({ status: 'pending', runAt: { $lte: new Date() } });
+
+  return {
+    worker: { id: WORKER_ID, running, inFlight, handlers: [...handlers.keys()].sort() },
+    overdue,
+    queues: Object.values(queues).map(q => ({ ...q, jobs: Object.values(q.jobs) })),
+  };
+}
+
+async function listJobs({ queue, name, status, page = 1, limit = 50 } = {}) {
+  const filter = {};
+  if (queue)  filter.queue  = queue;
+  if (name)   filter.name   = name;
+  if (status) filter.status = status;
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter).sort({ runAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    Job.countDocuments(filter),
+  ]);
+
+  return { jobs, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } };
+}
+
+/** Dead-letter → pending with a fresh attempt budget. */
+async function retryDeadJob(jobId) {
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: 'dead' },
+    { $set: { status: 'pending', runAt: new Date(), attempts: 0, deadAt: null, lastError: null } },
+    { new: true }
+  );
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  cancelPending,
+  scheduleRecurring,
+  startJobWorker,
+  stopJobWorker,
+  recoverOverdueJobs,
+  getQueueStats,
+  listJobs,
+  retryDeadJob,
+};
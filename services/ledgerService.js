@@ -0,0 +1,277 @@
+// services/ledgerService.js — Posting to and reading from the earnings ledger
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Writers (each posting is idempotent on its transactionKey):
+//   postBookingEarned     cronJobs/payoutCron.js  updateEarningsOnBookingCompletion
+//   postPayoutDebit       models/Payout.js        process() / markCompletedFromGateway()
+//   postPayoutReversal    models/Payout.js        reverse()
+//   postRefundClawback    services/checkoutService.js
+//   postManualAdjustment  routes/payment.js       admin adjustments
+//
+// Readers:
+//   getCompanionBalance / getCompanionHistory   GET /api/payment/earnings(/history)
+//   buildReconciliationReport                   GET /api/payment/admin/reconciliation
+//
+// Callers keep updating the User.paymentInfo cache themselves; the ledger is
+// what that cache is checked against.
+//
+// A transaction's lines are written in one Mongo transaction, so MONGODB_URI
+// must point at a replica set (Atlas clusters are). Pass { session } to post
+// inside the caller's own transaction instead.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose    = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+
+// Rupee amounts are whole numbers today; allow for paise rounding anyway.
+const RECONCILIATION_TOLERANCE = 0.01;
+
+function toObjectId(id) {
+  return id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// postTransaction
+//
+// lines: [{ account, direction, amount, kind, userId?, ... }]
+// Returns true when posted, false when the key was already posted.
+// Throws if the lines do not balance — that is a programming error.
+// Either every line is written or none is.
+// ─────────────────────────────────────────────────────────────────────────────
+async function postTransaction(transactionKey, lines, common = {}, { session = null } = {}) {
+  const debits  = lines.filter(l => l.direction === 'debit').reduce((s, l) => s + l.amount, 0);
+  const credits = lines.filter(l => l.direction === 'credit').reduce((s, l) => s + l.amount, 0);
+  if (Math.abs(debits - credits) > RECONCILIATION_TOLERANCE) {
+    throw new Error(`[ledger] Unbalanced transaction ${transactionKey}: debits ${debits} ≠ credits ${credits}`);
+  }
+
+  const docs = lines
+    .filter(l => l.amount > 0)
+    .map((l, line) => ({ ...common, ...l, transactionKey, line }));
+  if (docs.length === 0) return false;
+
+  if (session) return insertLines(transactionKey, docs, session);
+
+  const own = await mongoose.startSession();
+  try {
+    let posted = false;
+    await own.withTransaction(async () => {
+      posted = await insertLines(transactionKey, docs, own);
+    });
+    return posted;
+  } catch (err) {
+    if (err.code === 11000 || err.writeErrors?.[0]?.code === 11000) return false;
+    throw err;
+  } finally {
+    await own.endSession();
+  }
+}
+
+// A write error aborts the whole Mongo transaction, so an already-posted key
+// is checked up front rather than caught as a duplicate
+async function insertLines(transactionKey, docs, session) {
+  if (await LedgerEntry.exists({ transactionKey }).session(session)) return false;
+  await LedgerEntry.insertMany(docs, { ordered: true, session });
+  return true;
+}
+
+// ── Postings ──────────────────────────────────────────────────────────────────
+async function postBookingEarned(booking, options = {}) {
+  const companionEarning = booking.companionEarning || 0;
+  const platformFee      = booking.platformFee || 0;
+
+  return postTransaction(`booking_earned:${booking._id}`, [
+    { account: 'gateway_clearing',  direction: 'debit',  amount: companionEarning + platformFee, kind: 'booking_earned' },
+    { account: 'companion_payable', direction: 'credit', amount: companionEarning, kind: 'booking_earned', userId: booking.companionId },
+    { account: 'platform_revenue',  direction: 'credit', amount: platformFee,      kind: 'platform_fee' },
+  ], {
+    bookingId:   booking._id,
+    description: 'Booking completed',
+  }, options);
+}
+
+async function postRefundClawback(booking) {
+  const companionEarning = booking.companionEarning || 0;
+  const platformFee      = booking.platformFee || 0;
+
+  return postTransaction(`refund_clawback:${booking._id}`, [
+    { account: 'companion_payable', direction: 'debit',  amount: companionEarning, kind: 'refund_clawback', userId: booking.companionId },
+    { account: 'platform_revenue',  direction: 'debit',  amount: platformFee,      kind: 'refund_clawback' },
+    { account: 'gateway_clearing',  direction: 'credit', amount: companionEarning + platformFee, kind: 'refund_clawback' },
+  ], {
+    bookingId:   booking._id,
+    description: 'Booking refunded after completion',
+  });
+}
+
+async function postPayoutDebit(payout) {
+  return postTransaction(`payout_debit:${payout._id}`, [
+    { account: 'companion_payable', direction: 'debit',  amount: payout.amount, kind: 'payout_debit', userId: payout.userId },
+    { account: 'payout_bank',       direction: 'credit', amount: payout.amount, kind: 'payout_debit' },
+  ], {
+    payoutId:    payout._id,
+    description: `Payout to ${payout.upiId}`,
+  });
+}
+
+async function postPayoutReversal(payout) {
+  return postTransaction(`payout_reversal:${payout._id}`, [
+    { account: 'payout_bank',       direction: 'debit',  amount: payout.amount, kind: 'payout_reversal' },
+    { account: 'companion_payable', direction: 'credit', amount: payout.amount, kind: 'payout_reversal', userId: payout.userId },
+  ], {
+    payoutId:    payout._id,
+    description: payout.reversalReason || 'Payout reversed by bank',
+  });
+}
+
+/**
+ * amount > 0 credits the companion, amount < 0 debits them.
+ * Each call is its own transaction — retries must not re-post, so the caller
+ * passes a unique reference (admin request id / script run id).
+ */
+async function postManualAdjustment({ userId, amount, reason, actorId, reference }) {
+  const abs    = Math.abs(amount);
+  const credit = amount > 0;
+
+  return postTransaction(`manual_adjustment:${reference}`, [
+    { account: 'companion_payable', direction: credit ? 'credit' : 'debit', amount: abs, kind: 'manual_adjustment', userId },
+    { account: 'adjustments',       direction: credit ? 'debit' : 'credit', amount: abs, kind: 'manual_adjustment' },
+  ], {
+    description: reason,
+    createdBy:   actorId || null,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Balances
+//
+//   totalEarnings     booking_earned − refund_clawback
+//   completedPayouts  payout_debit − payout_reversal
+//   pendingPayout     companion_payable credits − debits (includes adjustments)
+// ─────────────────────────────────────────────────────────────────────────────
+function summarise(rows) {
+  const sum = (kind, direction) =>
+    rows.filter(r => r._id.kind === kind && r._id.direction === direction).reduce((s, r) => s + r.total, 0);
+
+  const credits = rows.filter(r => r._id.direction === 'credit').reduce((s, r) => s + r.total, 0);
+  const debits  = rows.filter(r => r._id.direction === 'debit').reduce((s, r) => s + r.total, 0);
+
+  return {
+    totalEarnings:    sum('booking_earned', 'credit') - sum('refund_clawback', 'debit'),
+    completedPayouts: sum('payout_debit', 'debit') - sum('payout_reversal', 'credit'),
+    adjustments:      sum('manual_adjustment', 'credit') - sum('manual_adjustment', 'debit'),
+    pendingPayout:    credits - debits,
+  };
+}
+
+async function getCompanionBalance(userId, { since = null } = {}) {
+  const match = { account: 'companion_payable', userId: toObjectId(userId) };
+  if (since) match.createdAt = { $gte: since };
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    { $group: { _id: { kind: '$kind', direction: '$direction' }, total: { $sum: '$amount' } } },
+  ]);
+
+  return summarise(rows);
+}
+
+async function getCompanionHistory(userId, { page = 1, limit = 10 } = {}) {
+  const filter = { account: 'companion_payable', userId: toObjectId(userId) };
+
+  const [entries, total] = await Promise.all([
+    LedgerEntry.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate({
+        path:     'bookingId',
+        select:   'bookingDate totalAmount platformFee companionEarning earningsPaidOut payoutDate userId',
+        populate: { path: 'userId', select: 'firstName lastName profilePhoto' },
+      })
+      .lean(),
+    LedgerEntry.countDocuments(filter),
+  ]);
+
+  return { entries, total };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// buildReconciliationReport
+//
+// Compares every user that has either ledger lines or a non-zero cached
+// balance. Only mismatches are returned in `mismatches`.
+// ─────────────────────────────────────────────────────────────────────────────
+async function buildReconciliationReport() {
+  const User = mongoose.model('User');
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: { account: 'companion_payable' } },
+    {
+      $group: {
+        _id:   { userId: '$userId', kind: '$kind', direction: '$direction' },
+        total: { $sum: '$amount' },
+      },
+    },
+  ]);
+
+  const byUser = new Map();
+  for (const r of rows) {
+    const key = r._id.userId.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push({ _id: { kind: r._id.kind, direction: r._id.direction }, total: r.total });
+  }
+
+  const users = await User.find({
+    $or: [
+      { _id: { $in: [...byUser.keys()].map(toObjectId) } },
+      { 'paymentInfo.totalEarnings':    { $ne: 0, $exists: true } },
+      { 'paymentInfo.pendingPayout':    { $ne: 0, $exists: true } },
+      { 'paymentInfo.completedPayouts': { $ne: 0, $exists: true } },
+    ],
+  }).select('firstName lastName email paymentInfo.totalEarnings paymentInfo.pendingPayout paymentInfo.completedPayouts').lean();
+
+  const mismatches = [];
+  for (const user of users) {
+    const ledger = summarise(byUser.get(user._id.toString()) || []);
+    const cached = {
+      totalEarnings:    user.paymentInfo?.totalEarnings    || 0,
+      pendingPayout:    user.paymentInfo?.pendingPayout    || 0,
+      completedPayouts: user.paymentInfo?.completedPayouts || 0,
+    };
+
+    const fields = ['totalEarnings', 'pendingPayout', 'completedPayouts']
+      .filter(f => Math.abs(cached[f] - ledger[f]) > RECONCILIATION_TOLERANCE);
+
+    if (fields.length > 0) {
+      mismatches.push({
+        userId: user._id,
+        name:   `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+        email:  user.email,
+        fields,
+        cached,
+        ledger,
+      });
+    }
+  }
+
+  return {
+    generatedAt:  new Date(),
+    usersChecked: users.length,
+    mismatchCount: mismatches.length,
+    mismatches,
+  };
+}
+
+module.exports = {
+  postBookingEarned,
+  postRefundClawback,
+  postPayoutDebit,
+  postPayoutReversal,
+  postManualAdjustment,
+  getCompanionBalance,
+  getCompanionHistory,
+  buildReconciliationReport,
+};
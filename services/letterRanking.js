@@ -0,0 +1,171 @@
+// services/letterRanking.js — "For you" ranking for the Letters feed
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Used by services/letters.service.js getFeed(sort = 'for_you') and
+// jobs/letterEngagementJob.js.
+//
+//   engagementScore   stored on Letter: comfort·3 + support·2 + replies·4 +
+//                     unique readers·0.5. letters.service.js $inc's it as things
+//                     happen; recomputeEngagementScores() rebuilds it from the
+//                     counters so drift (un-reacts, moderation) doesn't stick.
+//   rankScore         computed per request, never stored:
+//                       (engagementScore + 1) / (ageHours + 2)^GRAVITY
+//                       × ZERO_REPLY_BOOST   while nobody has replied yet
+//                       × language factor    reader's languages vs letter.language
+//                       × category factor    1 + share of the reader's recent
+//                                            engagement in that category
+//   getReaderProfile  the reader's languages (questionnaire.preferredLanguages
+//                     plus what they engaged with) and category affinity, and
+//                     the letters they already left a note on — those are hidden.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const User           = require('../models/User');
+const Letter         = require('../models/Letter');
+const LetterReply    = require('../models/LetterReply');
+const LetterReaction = require('../models/LetterReaction');
+
+const ENGAGEMENT_WEIGHTS = Object.freeze({
+  comfort: 3,   // 'helped' reaction → comfortCount
+  support: 2,   // 'warmth' reaction → supportCount
+  reply:   4,
+  reader:  0.5,
+});
+
+const GRAVITY                  = 1.5;
+const ZERO_REPLY_BOOST         = 1.5;
+const LANGUAGE_MATCH_BOOST     = 1.25;
+const LANGUAGE_MISMATCH_FACTOR = 0.5;
+const CATEGORY_AFFINITY_WEIGHT = 0.5;
+const AFFINITY_WINDOW_DAYS     = 30;
+
+// questionnaire.preferredLanguages holds display names; Letter.language holds
+// the codes from LettersService._detectLanguage()
+const LANGUAGE_CODES = Object.freeze({
+  english: 'en', hindi: 'hi', bengali: 'bn', bangla: 'bn',
+  tamil: 'ta', telugu: 'te', malayalam: 'ml',
+});
+
+function engagementExpression() {
+  return {
+    $add: [
+      { $multiply: [{ $ifNull: ['$comfortCount', 0] }, ENGAGEMENT_WEIGHTS.comfort] },
+      { $multiply: [{ $ifNull: ['$supportCount', 0] }, ENGAGEMENT_WEIGHTS.support] },
+      { $multiply: [{ $ifNull: ['$replyCount', 0] }, ENGAGEMENT_WEIGHTS.reply] },
+      { $multiply: [{ $ifNull: ['$uniqueReadersCount', 0] }, ENGAGEMENT_WEIGHTS.reader] },
+    ],
+  };
+}
+
+async function recomputeEngagementScores() {
+  const result = await Letter.updateMany(
+    { status: 'active', expiresAt: { $gt: new Date() } },
+    [{ $set: { engagementScore: engagementExpression() } }]
+  );
+  return result.modifiedCount;
+}
+
+// ── Reader profile ───────────────────────────────────────────────────────────
+async function getReaderProfile(userId) {
+  const since = new Date(Date.now() - AFFINITY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const [user, repliedLetterIds, reactedLetterIds] = await Promise.all([
+    User.findById(userId).select('questionnaire.preferredLanguages').lean(),
+    LetterReply.distinct('letterId', { author: userId, parentReplyId: null }),
+    LetterReaction.distinct('letterId', { userId, createdAt: { $gte: since } }),
+  ]);
+
+  const languages = new Set(
+    (user?.questionnaire?.preferredLanguages || [])
+      .map(name => LANGUAGE_CODES[String(name).trim().toLowerCase()])
+      .filter(Boolean)
+  );
+
+  const engaged = await Letter.find({ _id: { $in: [...repliedLetterIds, ...reactedLetterIds] } })
+    .select('category language')
+    .lean();
+
+  const categoryCounts = {};
+  engaged.forEach(letter => {
+    categoryCounts[letter.category] = (categoryCounts[letter.category] || 0) + 1;
+    if (letter.language && letter.language !== 'unknown') languages.add(letter.language);
+  });
+
+  const categoryAffinity = {};
+  Object.entries(categoryCounts).forEach(([category, count]) => {
+    categoryAffinity[category] = count / engaged.length;
+  });
+
+  return { languages: [...languages], categoryAffinity, repliedLetterIds };
+}
+
+// ── Ranking pipeline ─────────────────────────────────────────────────────────
+function languageFactor(languages) {
+  if (languages.length === 0) return 1;
+  return {
+    $switch: {
+      branches: [
+        { case: { $in: ['$language', languages] }, then: LANGUAGE_MATCH_BOOST },
+        { case: { $eq: [{ $ifNull: ['$language', 'unknown'] }, 'unknown'] }, then: 1 },
+      ],
+      default: LANGUAGE_MISMATCH_FACTOR,
+    },
+  };
+}
+
+function categoryFactor(categoryAffinity) {
+  const branches = Object.entries(categoryAffinity).map(([category, share]) => ({
+    case: { $eq: ['$category', category] },
+    then: 1 + CATEGORY_AFFINITY_WEIGHT * share,
+  }));
+  return branches.length ? { $switch: { branches, default: 1 } } : 1;
+}
+
+function buildRankedPipeline(query, profile, { page = 1, limit = 20, now = new Date() } = {}) {
+  const match = profile.repliedLetterIds.length
+    ? { ...query, _id: { $nin: profile.repliedLetterIds } }
+    : query;
+
+  return [
+    { $match: match },
+    {
+      $addFields: {
+        _ageHours: { $divide: [{ $subtract: [now, '$createdAt'] }, 60 * 60 * 1000] },
+      },
+    },
+    {
+      $addFields: {
+        rankScore: {
+          $multiply: [
+            {
+              $divide: [
+                { $add: [{ $ifNull: ['$engagementScore', 0] }, 1] },
+                { $pow: [{ $add: [{ $max: ['$_ageHours', 0] }, 2] }, GRAVITY] },
+              ],
+            },
+            { $cond: [{ $eq: [{ $ifNull: ['$replyCount', 0] }, 0] }, ZERO_REPLY_BOOST, 1] },
+            languageFactor(profile.languages),
+            categoryFactor(profile.categoryAffinity),
+          ],
+        },
+      },
+    },
+    { $project: { _ageHours: 0 } },
+    { $sort: { rankScore: -1, createdAt: -1 } },
+    {
+      $facet: {
+        letters: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total:   [{ $count: 'count' }],
+      },
+    },
+  ];
+}
+
+module.exports = {
+  ENGAGEMENT_WEIGHTS,
+  engagementExpression,
+  recomputeEngagementScores,
+  getReaderProfile,
+  buildRankedPipeline,
+};
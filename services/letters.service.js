@@ -2,12 +2,31 @@ const crypto = require('crypto');
 const lettersRepo = require('../repositories/letters.repository');
 const repliesRepo = require('../repositories/replies.repository');
 const reactionsRepo = require('../repositories/reactions.repository');
-const moderationService = require('./moderation.service');
+const { moderateContent } = require('./moderationPolicy');
 const { generateLocationLabel } = require('../utils/locationLabelGenerator');
 const notificationsService = require('./notifications.service');
+const crisisEscalationService = require('./crisisEscalationService');
+const letterRanking = require('./letterRanking');
+const { ENGAGEMENT_WEIGHTS } = letterRanking;
+const { getReaderHash } = require('./readerHashService');
+
+// A letter's author may push its expiry back once, by this much
+const EXTENSION_HOURS = 24;
 
 class LettersService {
   
+  // Letters are held for review rather than cleaned or rejected — see the 'letter' surface
+  _moderate(body) {
+    const result = moderateContent(body, { surface: 'letter' });
+    const held = result.matches.filter(m => m.action === 'review');
+    return {
+      safe: result.action !== 'review',
+      reason: held.length ? [...new Set(held.map(m => m.category))].join(',') : null,
+      priority: result.priority,
+      selfHarm: held.some(m => m.category === 'self_harm')
+    };
+  }
+
   _generateAuthorHash(userId) {
     const secret = process.env.AUTHOR_SECRET || 'fallback_secret_humrah_letters';
     return crypto.createHash('sha256').update(userId.toString() + secret).digest('hex');
@@ -17,7 +36,7 @@ class LettersService {
     // Check limits (done in middleware or controller, but we can do it here if needed)
     
     // Moderation
-    const modResult = moderationService.moderateText(body);
+    const modResult = this._moderate(body);
     
     const expiresAt = new Date();
     expiresAt.setHours(expiresAt.getHours() + 24); // 24 hours
@@ -35,16 +54,23 @@ class LettersService {
       expiresAt,
       status: modResult.safe ? 'active' : 'under_review',
       isModerated: !modResult.safe,
-      moderationReason: !modResult.safe ? modResult.reasons.join(',') : null,
-      moderationPriority: modResult.priority || 'normal',
+      moderationReason: modResult.reason,
+      moderationPriority: modResult.priority,
       language
     };
 
-    return await lettersRepo.create(letterData);
+    const letter = await lettersRepo.create(letterData);
+
+    // The author hears back right away with helplines; the Safety Team gets a case
+    const crisisSupport = modResult.selfHarm
+      ? await crisisEscalationService.escalateLetter({ userId, letterId: letter._id, source: 'letter', excerpt: body })
+      : null;
+
+    return { letter, crisisSupport };
   }
 
   async getFeed(userId, page = 1, limit = 20, category = null, search = null, sortType = 'new') {
-    const query = { status: 'active', expiresAt: { $gt: new Date() } };
+    const query = { status: 'active', crisisHold: { $ne: true }, expiresAt: { $gt: new Date() } };
     
     if (category) {
       query.category = category;
@@ -55,13 +81,19 @@ class LettersService {
       sortType = 'score';
     }
     
-    let sort = sortType === 'popular' ? { comfortCount: -1, createdAt: -1 } : { createdAt: -1 };
-    if (sortType === 'score') {
-      sort = { score: { $meta: 'textScore' } };
+    let result;
+    if (sortType === 'for_you') {
+      const profile = await letterRanking.getReaderProfile(userId);
+      const pipeline = letterRanking.buildRankedPipeline(query, profile, { page, limit });
+      result = await lettersRepo.findRanked(pipeline, page, limit);
+    } else {
+      let sort = sortType === 'popular' ? { comfortCount: -1, createdAt: -1 } : { createdAt: -1 };
+      if (sortType === 'score') {
+        sort = { score: { $meta: 'textScore' } };
+      }
+      result = await lettersRepo.findWithPagination(query, page, limit, sort);
     }
     
-    const result = await lettersRepo.findWithPagination(query, page, limit, sort);
-    
     // Anonymize before sending
     const anonymizedLetters = result.letters.map(letter => this._anonymizeLetter(letter, userId));
     
@@ -76,14 +108,29 @@ class LettersService {
     const letter = await lettersRepo.findById(letterId);
     if (!letter || letter.status !== 'active') return null;
     
-    // Increment view count
+    // Increment view count; a reader's first view of the day (other than the
+    // author's) also counts towards unique readers and the engagement score
     await lettersRepo.incrementStat(letterId, 'viewsCount');
+    if (letter.author.toString() !== userId.toString() &&
+        await lettersRepo.recordUniqueView(letter, await getReaderHash(userId))) {
+      await lettersRepo.incrementStats(letterId, { uniqueReadersCount: 1, engagementScore: ENGAGEMENT_WEIGHTS.reader });
+    }
     
     const replies = await repliesRepo.findByLetterId(letterId);
+    const threadMessages = await repliesRepo.findThreads(replies.map(r => r._id));
+
+    const threads = {};
+    threadMessages.forEach(m => {
+      const key = m.parentReplyId.toString();
+      (threads[key] = threads[key] || []).push(this._anonymizeReply(m, userId, letter.authorHash));
+    });
     
     return {
       letter: this._anonymizeLetter(letter, userId),
-      replies: replies.map(r => this._anonymizeReply(r, userId)),
+      replies: replies.map(r => ({
+        ...this._anonymizeReply(r, userId),
+        thread: threads[r._id.toString()] || []
+      })),
       stats: {
         comfortCount: letter.comfortCount,
         supportCount: letter.supportCount,
@@ -102,22 +149,21 @@ class LettersService {
       throw new Error('SelfInteractionNotAllowed');
     }
 
-    const modResult = moderationService.moderateText(body);
+    const modResult = this._moderate(body);
     
     const replyData = {
       letterId,
       author: userId,
       body,
       isModerated: !modResult.safe,
-      moderationReason: !modResult.safe ? modResult.reasons.join(',') : null
+      moderationReason: modResult.reason
     };
     
     const reply = await repliesRepo.create(replyData);
     
     if (modResult.safe) {
-      // Increment reply count and engagement score on the letter (reply = +4)
-      await lettersRepo.incrementStat(letterId, 'replyCount', 1);
-      await lettersRepo.incrementStat(letterId, 'engagementScore', 4);
+      // Increment reply count and engagement score on the letter
+      await lettersRepo.incrementStats(letterId, { replyCount: 1, engagementScore: ENGAGEMENT_WEIGHTS.reply });
 
       // Notify letter author about the new note
       await notificationsService.notifyNewNote(letter.author, letterId, body);
@@ -126,6 +172,114 @@ class LettersService {
     return this._anonymizeReply(reply, userId);
   }
 
+  // Continues the private-by-anonymity conversation under one note. Only the
+  // letter author and that note's writer may post in it.
+  async createThreadReply(userId, letterId, replyId, body) {
+    const letter = await lettersRepo.findById(letterId);
+    if (!letter || letter.status !== 'active') {
+      throw new Error('LetterNotFound');
+    }
+    if (new Date(letter.expiresAt) <= new Date()) {
+      throw new Error('LetterExpired');
+    }
+
+    const parent = await repliesRepo.findById(replyId);
+    if (!parent || parent.parentReplyId || parent.isModerated || parent.letterId.toString() !== letterId.toString()) {
+      throw new Error('ReplyNotFound');
+    }
+
+    const fromLetterAuthor = letter.author.toString() === userId.toString();
+    if (!fromLetterAuthor && parent.author.toString() !== userId.toString()) {
+      throw new Error('NotThreadParticipant');
+    }
+
+    const modResult = this._moderate(body);
+
+    const reply = await repliesRepo.create({
+      letterId,
+      parentReplyId: parent._id,
+      author: userId,
+      fromLetterAuthor,
+      body,
+      isModerated: !modResult.safe,
+      moderationReason: modResult.reason
+    });
+
+    if (modResult.safe) {
+      if (fromLetterAuthor) {
+        await notificationsService.notifyAuthorReply(parent.author, letterId, body);
+      } else {
+        await notificationsService.notifyThreadReply(letter.author, letterId, body);
+      }
+    }
+
+    return this._anonymizeReply(reply, userId, letter.authorHash);
+  }
+
+  async postUpdate(userId, letterId, body) {
+    const letter = await lettersRepo.findById(letterId);
+    if (!letter || letter.status !== 'active') {
+      throw new Error('LetterNotFound');
+    }
+    if (letter.author.toString() !== userId.toString()) {
+      throw new Error('NotLetterAuthor');
+    }
+    if (letter.update) {
+      throw new Error('UpdateAlreadyPosted');
+    }
+
+    const modResult = this._moderate(body);
+
+    const updated = await lettersRepo.setUpdate(letterId, {
+      body,
+      isModerated: !modResult.safe,
+      moderationReason: modResult.reason,
+      createdAt: new Date()
+    });
+    if (!updated) {
+      throw new Error('UpdateAlreadyPosted');
+    }
+
+    const crisisSupport = modResult.selfHarm
+      ? await crisisEscalationService.escalateLetter({ userId, letterId, source: 'letter_update', excerpt: body })
+      : null;
+
+    if (modResult.safe) {
+      const [noteAuthors, reactors] = await Promise.all([
+        repliesRepo.findNoteAuthors(letterId),
+        reactionsRepo.findReactors(letterId)
+      ]);
+      const recipients = [...new Set([...noteAuthors, ...reactors].map(id => id.toString()))]
+        .filter(id => id !== userId.toString());
+      await notificationsService.notifyLetterUpdate(recipients, letterId, body);
+    }
+
+    return { letter: this._anonymizeLetter(updated, userId), crisisSupport };
+  }
+
+  async extendLetter(userId, letterId) {
+    const letter = await lettersRepo.findById(letterId);
+    if (!letter || letter.status !== 'active') {
+      throw new Error('LetterNotFound');
+    }
+    if (letter.author.toString() !== userId.toString()) {
+      throw new Error('NotLetterAuthor');
+    }
+    if (letter.extendedAt) {
+      throw new Error('AlreadyExtended');
+    }
+    if (new Date(letter.expiresAt) <= new Date()) {
+      throw new Error('LetterExpired');
+    }
+
+    const extended = await lettersRepo.extendExpiry(letterId, EXTENSION_HOURS);
+    if (!extended) {
+      throw new Error('AlreadyExtended');
+    }
+
+    return this._anonymizeLetter(extended, userId);
+  }
+
   async toggleReaction(userId, letterId, type) {
     const letter = await lettersRepo.findById(letterId);
     if (!letter) {
@@ -143,7 +297,7 @@ class LettersService {
         // Same type, remove it
         await reactionsRepo.delete(userId, letterId);
         const statField = type === 'helped' ? 'comfortCount' : 'supportCount';
-        const scoreChange = type === 'helped' ? -3 : -2;
+        const scoreChange = -this._reactionWeight(type);
         await lettersRepo.incrementStat(letterId, statField, -1);
         await lettersRepo.incrementStat(letterId, 'engagementScore', scoreChange);
         return { added: false, type };
@@ -151,13 +305,13 @@ class LettersService {
         // Different type, switch it
         await reactionsRepo.delete(userId, letterId);
         const oldStatField = existing.type === 'helped' ? 'comfortCount' : 'supportCount';
-        const oldScoreChange = existing.type === 'helped' ? -3 : -2;
+        const oldScoreChange = -this._reactionWeight(existing.type);
         await lettersRepo.incrementStat(letterId, oldStatField, -1);
         await lettersRepo.incrementStat(letterId, 'engagementScore', oldScoreChange);
         
         await reactionsRepo.create({ userId, letterId, type });
         const newStatField = type === 'helped' ? 'comfortCount' : 'supportCount';
-        const newScoreChange = type === 'helped' ? 3 : 2;
+        const newScoreChange = this._reactionWeight(type);
         await lettersRepo.incrementStat(letterId, newStatField, 1);
         await lettersRepo.incrementStat(letterId, 'engagementScore', newScoreChange);
         return { added: true, type };
@@ -166,7 +320,7 @@ class LettersService {
       // Add new
       await reactionsRepo.create({ userId, letterId, type });
       const statField = type === 'helped' ? 'comfortCount' : 'supportCount';
-      const scoreChange = type === 'helped' ? 3 : 2;
+      const scoreChange = this._reactionWeight(type);
       await lettersRepo.incrementStat(letterId, statField, 1);
       await lettersRepo.incrementStat(letterId, 'engagementScore', scoreChange);
 
@@ -177,6 +331,10 @@ class LettersService {
     }
   }
 
+  _reactionWeight(type) {
+    return type === 'helped' ? ENGAGEMENT_WEIGHTS.comfort : ENGAGEMENT_WEIGHTS.support;
+  }
+
   async getMyLetters(userId) {
     const letters = await lettersRepo.findMyLetters(userId);
     const now = new Date();
@@ -213,17 +371,26 @@ class LettersService {
       language: letter.language,
       createdAt: letter.createdAt,
       expiresAt: letter.expiresAt,
+      isExtended: !!letter.extendedAt,
+      update: letter.update && !letter.update.isModerated
+        ? { body: letter.update.body, createdAt: letter.update.createdAt }
+        : null,
       isMine: isMine
     };
   }
   
-  _anonymizeReply(reply, currentUserId) {
+  // Thread messages from the letter author carry the letter's authorHash so the
+  // client can label them without learning who wrote the letter
+  _anonymizeReply(reply, currentUserId, letterAuthorHash = null) {
     const isMine = currentUserId && reply.author ? reply.author.toString() === currentUserId.toString() : false;
 
     return {
       id: reply._id,
       letterId: reply.letterId,
+      parentReplyId: reply.parentReplyId || null,
       body: reply.isModerated ? '[This note was removed by moderation]' : reply.body,
+      fromLetterAuthor: !!reply.fromLetterAuthor,
+      authorHash: reply.fromLetterAuthor ? letterAuthorHash : null,
       createdAt: reply.createdAt,
       isMine: isMine
     };
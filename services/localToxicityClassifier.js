@@ -0,0 +1,101 @@
+// services/localToxicityClassifier.js — Offline toxicity scoring for Hindi, Hinglish and Indian languages
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// The fallback when the AI layer (checkWithOpenAI / checkWithLlamaGuard in
+// middleware/moderation.js) is down, in cooldown or not configured. No
+// network, no dependencies: a small logistic model bundled with the repo
+// (config/localToxicityModel.json) scores the phonetic skeleton of each text
+// (services/moderationPolicy.js toSkeleton) on unigrams and adjacent-word
+// bigrams.
+//
+// Clear-cut gaali, threats and slurs are policy rules (config/
+// indicModerationRules.js) and have already been applied by the time this
+// runs. The model catches what no single word does — "saale kutte, teri
+// aukaat kya hai" — and leaves "mera kutta bahut pyara hai" alone.
+//
+//   score ≥ thresholds.flag                        → 'toxicity'   (LEVEL.SOFT)
+//   score ≥ thresholds.harassment, aimed at "tu"… → 'harassment' (LEVEL.HARASSMENT)
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const model = require('../config/localToxicityModel.json');
+const { toSkeleton, LEVEL } = require('./moderationPolicy');
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODEL — keys folded to skeletons once at load
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const WEIGHTS = new Map();
+for (const [feature, weight] of Object.entries(model.weights)) {
+  const key = tokenize(feature).join(' ');
+  // Two spellings of one word fold to the same key — keep the stronger weight
+  if (!WEIGHTS.has(key) || Math.abs(weight) > Math.abs(WEIGHTS.get(key))) WEIGHTS.set(key, weight);
+}
+const DIRECTED = new Set(model.directed.map(w => tokenize(w).join(' ')));
+
+function tokenize(text) {
+  return toSkeleton(text).match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCORING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Score one text.
+ *
+ * @returns {{ score: number, directed: boolean, level: number, category: string|null, features: string[] }}
+ */
+function scoreText(text) {
+  const tokens   = tokenize(typeof text === 'string' ? text : '');
+  const features = new Set(tokens);
+  for (let i = 1; i < tokens.length; i++) features.add(`${tokens[i - 1]} ${tokens[i]}`);
+
+  let logit = model.bias;
+  const hits = [];
+  for (const f of features) {
+    if (!WEIGHTS.has(f)) continue;
+    logit += WEIGHTS.get(f);
+    hits.push(f);
+  }
+
+  const score    = 1 / (1 + Math.exp(-logit));
+  const directed = tokens.some(t => DIRECTED.has(t));
+
+  let level = LEVEL.CLEAN;
+  let category = null;
+  if (score >= model.thresholds.harassment && directed) { level = LEVEL.HARASSMENT; category = 'harassment'; }
+  else if (score >= model.thresholds.flag)              { level = LEVEL.SOFT;       category = 'toxicity'; }
+
+  return { score: Math.round(score * 1000) / 1000, directed, level, category, features: hits };
+}
+
+/**
+ * Same input and result shape as checkWithOpenAI, so callers can swap it in
+ * when the AI layer has no verdict. Synchronous; never throws.
+ */
+function checkWithLocalClassifier(fieldTexts) {
+  const flagged = new Set();
+  let maxLevel  = LEVEL.CLEAN;
+  let maxScore  = 0;
+
+  for (const text of Object.values(fieldTexts || {})) {
+    const { score, level, category } = scoreText(text);
+    if (score > maxScore) maxScore = score;
+    if (!category) continue;
+    flagged.add(category);
+    if (level > maxLevel) maxLevel = level;
+  }
+
+  return {
+    safe: flagged.size === 0,
+    flaggedCategories: [...flagged],
+    maxLevel,
+    scores: { toxicity: maxScore },
+    provider: 'local',
+    modelVersion: model.version,
+  };
+}
+
+module.exports = { scoreText, checkWithLocalClassifier, MODEL_VERSION: model.version };
@@ -0,0 +1,404 @@
+// services/moderationPolicy.js — Unified content-moderation policy engine
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// One entry point for every surface that accepts user text:
+//
+//   const { action, level, reason, cleanedText } = moderateContent(text, { surface: 'chat' });
+//
+// The rule set is the built-in policy (config/moderationRules.js) merged with
+// admin rules from MongoDB (models/ModerationRule.js). Evaluation is
+// synchronous against an in-memory snapshot; startRuleSync() loads the DB
+// rules at boot and refreshes them every RULE_REFRESH_MS, and the admin
+// routes call reloadRules() after each write so the editing instance applies
+// a change immediately and every other instance within a minute.
+//
+// The engine only decides. Strikes, suspensions and review queues stay with
+// the callers:
+//   profile         middleware/moderation.js  moderateQuestionnaireSync
+//   chat            middleware/moderation.js  moderateChatMessage
+//   letter          services/letters.service.js
+//   profile_review  cronJobs/aiModerationWorker.js
+//   food_caption    services/foodService.js   sanitizeCaption
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const crypto = require('crypto');
+const ModerationRule = require('../models/ModerationRule');
+const { transliterateDevanagari, phoneticSkeleton } = require('../utils/indicText');
+const { SURFACES, HIGH_PRIORITY_CATEGORIES, BUILTIN_RULES } = require('../config/moderationRules');
+
+const LEVEL = Object.freeze({
+  CLEAN     : 0,
+  SOFT      : 1,
+  POLICY    : 2,
+  HARASSMENT: 3,
+  ZERO_TOL  : 4,
+});
+
+const ACTION_RANK = Object.freeze({ allow: 0, clean: 1, review: 2, block: 3 });
+
+const RULE_REFRESH_MS    = 60 * 1000;
+const MAX_PATTERNS       = 50;
+const MAX_PATTERN_LENGTH = 200;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEXT NORMALIZATION — folds leetspeak, full-width letters and s.p.a.c.i.n.g
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const LEET_MAP = { '@':'a','4':'a','3':'e','1':'i','!':'i','0':'o','5':'s','$':'s','7':'t','+':'t','8':'b','6':'g','9':'g' };
+
+function normalizeText(text) {
+  let t = text.toLowerCase();
+  t = t.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  t = t.replace(/[ａ-ｚ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
+  t = t.replace(/[Ａ-Ｚ]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
+  t = t.replace(/[@4310!5$78+69]/g, c => LEET_MAP[c] || c);
+  t = t.replace(/\b(\w)([\s.\-_]+\w){2,}/g, m => m.replace(/[\s.\-_]+/g, ''));
+  t = t.replace(/(\w)[.\-_](\w)/g, '$1$2');
+  return t;
+}
+
+// Devanagari romanized, then normalized, then folded to one spelling per word —
+// what 'transliterated' rules (Hindi/Hinglish and other Indian-language terms) match
+function toSkeleton(text) {
+  return phoneticSkeleton(normalizeText(transliterateDevanagari(text)));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RULE COMPILATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word match; a keyword that starts or ends with a symbol ('@ybl') is only anchored on its word side
+function keywordSource(keyword) {
+  const trimmed = keyword.trim();
+  const words   = trimmed.split(/\s+/).map(escapeRegExp).join('\\s+');
+  const before  = /^\w/.test(trimmed) ? '(?<!\\w)' : '';
+  const after   = /\w$/.test(trimmed) ? '(?!\\w)' : '';
+  return `${before}${words}${after}`;
+}
+
+// Keywords are folded the same way as the text, so 'chootiya', 'chutiya' and
+// 'चूतिया' are one entry. Words may run together ('teri maa' matches 'terimaa'),
+// any script counts as a word character, and a trailing * matches any ending.
+function transliteratedKeywordSource(keyword) {
+  const trimmed = keyword.trim();
+  const prefix  = trimmed.endsWith('*');
+  const words   = trimmed.replace(/\*$/, '').split(/\s+/).map(w => escapeRegExp(toSkeleton(w))).join('\\s*');
+  return `(?<![\\p{L}\\p{M}\\p{N}])${words}${prefix ? '' : '(?![\\p{L}\\p{M}\\p{N}])'}`;
+}
+
+// A repeated group that itself repeats — (a+)+, (\w*\s?)*, (x{2,}){3,} — can
+// backtrack exponentially on a near-miss, and the check runs synchronously on
+// every message. Escapes and character classes are skipped; ? and {n} / {n,1}
+// don't repeat, so (ab?)+ and (a+)? are fine.
+function repeatsAt(source, i) {
+  const c = source[i];
+  if (c === '*' || c === '+') return true;
+  if (c !== '{') return false;
+  const m = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+  return Boolean(m) && m[2] !== undefined && (m[3] === '' || Number(m[3]) > 1);
+}
+
+function hasNestedQuantifier(source) {
+  const groups = [{ repeats: false }];
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === '\\') { i++; continue; }
+    if (c === '[') {
+      for (i++; i < source.length && source[i] !== ']'; i++) if (source[i] === '\\') i++;
+      continue;
+    }
+    if (c === '(') { groups.push({ repeats: false }); continue; }
+    if (c === ')' && groups.length > 1) {
+      const inner = groups.pop();
+      if (repeatsAt(source, i + 1)) {
+        if (inner.repeats) return true;
+        groups[groups.length - 1].repeats = true;
+      } else if (inner.repeats) {
+        groups[groups.length - 1].repeats = true;
+      }
+      continue;
+    }
+    if (repeatsAt(source, i)) groups[groups.length - 1].repeats = true;
+  }
+  return false;
+}
+
+function toRegExp(pattern, matchType, flags, target) {
+  if (pattern instanceof RegExp) return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+  if (matchType === 'regex') return new RegExp(pattern, flags);
+  if (target === 'transliterated') return new RegExp(transliteratedKeywordSource(pattern), flags.includes('u') ? flags : flags + 'u');
+  return new RegExp(keywordSource(pattern), flags);
+}
+
+/**
+ * Validate and compile a built-in or DB rule. Throws with a message suitable
+ * for a 400 response when the rule is malformed.
+ */
+function compileRule(rule, source = 'custom') {
+  const level = Number(rule.level);
+  if (!Number.isInteger(level) || level < LEVEL.CLEAN || level > LEVEL.ZERO_TOL) {
+    throw new Error('level must be an integer from 0 to 4');
+  }
+
+  const target = rule.target || 'original';
+  if (!['original', 'normalized', 'transliterated'].includes(target)) {
+    throw new Error('target must be original, normalized or transliterated');
+  }
+
+  const patterns = Array.isArray(rule.patterns) ? rule.patterns : [];
+  if (patterns.length === 0) throw new Error('patterns must be a non-empty array');
+  if (patterns.length > MAX_PATTERNS) throw new Error(`At most ${MAX_PATTERNS} patterns per rule`);
+
+  const matchType = rule.matchType || 'keyword';
+  const flags     = (rule.flags ?? 'i').replace(/[gy]/g, '');
+
+  const regexes = patterns.map((p) => {
+    if (p instanceof RegExp) return toRegExp(p);
+    if (typeof p !== 'string' || !p.trim()) throw new Error('patterns must be non-empty strings');
+    // Admin-supplied expressions run on every message — keep them short
+    if (p.length > MAX_PATTERN_LENGTH) throw new Error(`Patterns are limited to ${MAX_PATTERN_LENGTH} characters`);
+    let regex;
+    try {
+      regex = toRegExp(p, matchType, flags, target);
+    } catch (err) {
+      throw new Error(`Invalid pattern "${p}": ${err.message}`);
+    }
+    if (matchType === 'regex' && hasNestedQuantifier(regex.source)) {
+      throw new Error(`Invalid pattern "${p}": nested quantifiers like (a+)+ are not allowed`);
+    }
+    return regex;
+  });
+
+  const surfaces = rule.surfaces?.length ? [...rule.surfaces] : null;
+  for (const s of surfaces || []) {
+    if (!SURFACES[s]) throw new Error(`Unknown surface "${s}" (expected ${Object.keys(SURFACES).join(', ')})`);
+  }
+
+  const actions = rule.actions instanceof Map ? Object.fromEntries(rule.actions) : { ...(rule.actions || {}) };
+  for (const [s, action] of Object.entries(actions)) {
+    if (!SURFACES[s]) throw new Error(`Unknown surface "${s}" in actions`);
+    if (!SURFACES[s].actions.includes(action)) {
+      throw new Error(`Action "${action}" is not supported on ${s} (expected ${SURFACES[s].actions.join(', ')})`);
+    }
+  }
+
+  // Normalized text can't be mapped back onto what the user typed, so there is nothing to strip
+  if (target !== 'original') {
+    const cleans = Object.keys(SURFACES).some(s => (actions[s] || SURFACES[s].defaults[level]) === 'clean');
+    if (cleans) throw new Error(`Rules that match ${target} text cannot clean — use level 1+ or target original`);
+  }
+
+  return {
+    key:      rule.key,
+    category: rule.category || 'other',
+    level,
+    reason:   rule.reason || (level === LEVEL.CLEAN ? 'auto_cleaned' : `rule:${rule.key}`),
+    target,
+    surfaces,
+    actions,
+    regexes,
+    cleaners: regexes.map(r => new RegExp(r.source, r.flags + 'g')),
+    enabled:  rule.enabled !== false,
+    source,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RULE SET — built-ins merged with DB rules
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const builtinRules = BUILTIN_RULES.map(r => compileRule(r, 'builtin'));
+
+let ruleSet       = [];   // every rule, including disabled ones (for listRules)
+let activeRules   = [];
+let policyVersion = null;
+let refreshTimer  = null;
+
+function applyRuleSet(dbRules) {
+  const byKey = new Map(dbRules.map(r => [r.key, r]));
+
+  const merged = builtinRules.map(b => byKey.has(b.key) ? { ...byKey.get(b.key), source: 'override' } : b);
+  for (const r of dbRules) {
+    if (!builtinRules.some(b => b.key === r.key)) merged.push(r);
+  }
+
+  ruleSet     = merged;
+  activeRules = merged.filter(r => r.enabled);
+
+  policyVersion = crypto.createHash('sha1')
+    .update(JSON.stringify(activeRules.map(r => [r.key, r.level, r.target, r.surfaces, r.actions, r.regexes.map(String)])))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+applyRuleSet([]);
+
+/**
+ * Re-read admin rules from MongoDB. A rule that no longer compiles is skipped
+ * (and logged) rather than taking the whole policy down.
+ */
+async function reloadRules() {
+  const docs = await ModerationRule.find({}).lean();
+
+  const dbRules = [];
+  for (const doc of docs) {
+    try {
+      dbRules.push(compileRule(doc, 'custom'));
+    } catch (err) {
+      console.error(`[MODERATION] Skipping rule "${doc.key}": ${err.message}`);
+    }
+  }
+
+  applyRuleSet(dbRules);
+  return { rules: activeRules.length, custom: dbRules.length, version: policyVersion };
+}
+
+async function startRuleSync() {
+  if (refreshTimer) return;
+
+  try {
+    const { rules, custom } = await reloadRules();
+    console.log(`🛡️ Moderation policy loaded: ${rules} active rules (${custom} from DB)`);
+  } catch (err) {
+    console.error('[MODERATION] Failed to load DB rules — using built-ins:', err.message);
+  }
+
+  refreshTimer = setInterval(() => {
+    reloadRules().catch(err => console.error('[MODERATION] Rule refresh failed:', err.message));
+  }, RULE_REFRESH_MS);
+  refreshTimer.unref();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENTRY POINT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Evaluate `text` for `surface`.
+ *
+ * @returns {{
+ *   surface: string,
+ *   action: 'allow'|'clean'|'review'|'block',
+ *   level: number, reason: string|null, category: string|null, ruleKey: string|null,
+ *   priority: 'normal'|'high',
+ *   cleanedText: string,
+ *   matches: Array<{ key, category, level, reason, action }>
+ * }}
+ */
+function moderateContent(text, { surface } = {}) {
+  const policy = SURFACES[surface];
+  if (!policy) throw new Error(`Unknown moderation surface "${surface}"`);
+
+  const original = typeof text === 'string' ? text.trim() : '';
+  const result = {
+    surface,
+    action:      'allow',
+    level:       LEVEL.CLEAN,
+    reason:      null,
+    category:    null,
+    ruleKey:     null,
+    priority:    'normal',
+    cleanedText: original,
+    matches:     [],
+  };
+  if (!original) return result;
+
+  const normalized = normalizeText(original);
+  let   skeleton   = null;
+  const matched    = [];
+
+  for (const rule of activeRules) {
+    if (rule.surfaces && !rule.surfaces.includes(surface)) continue;
+    let subject = original;
+    if (rule.target === 'normalized') subject = normalized;
+    else if (rule.target === 'transliterated') subject = skeleton ??= toSkeleton(original);
+    if (!rule.regexes.some(r => r.test(subject))) continue;
+    matched.push({ rule, action: rule.actions[surface] || policy.defaults[rule.level] });
+  }
+  if (matched.length === 0) return result;
+
+  // Strip everything the surface cleans, in rule order
+  let cleaned = original;
+  for (const { rule, action } of matched) {
+    if (action !== 'clean') continue;
+    for (const c of rule.cleaners) cleaned = cleaned.replace(c, '');
+  }
+  if (cleaned !== original) cleaned = cleaned.replace(/\s{2,}/g, ' ').trim();
+
+  // The most severe action wins; the highest-level rule behind it supplies the reason
+  for (const m of matched) {
+    if (ACTION_RANK[m.action] > ACTION_RANK[result.action]) result.action = m.action;
+  }
+  const decisive = matched.filter(m => result.action === 'clean'
+    ? m.action === 'clean'
+    : ACTION_RANK[m.action] >= ACTION_RANK.review);
+
+  let deciding = null;
+  for (const m of decisive) {
+    if (!deciding || m.rule.level > deciding.rule.level) deciding = m;
+  }
+
+  if (deciding) {
+    result.level    = deciding.rule.level;
+    result.reason   = deciding.rule.reason;
+    result.category = deciding.rule.category;
+    result.ruleKey  = deciding.rule.key;
+  }
+
+  result.priority = matched.some(m => ACTION_RANK[m.action] >= ACTION_RANK.review && HIGH_PRIORITY_CATEGORIES.includes(m.rule.category))
+    ? 'high'
+    : 'normal';
+  result.cleanedText = cleaned;
+  result.matches = matched.map(({ rule, action }) => ({
+    key: rule.key, category: rule.category, level: rule.level, reason: rule.reason, action,
+  }));
+
+  return result;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INTROSPECTION (admin)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function listRules() {
+  return ruleSet.map(r => ({
+    key:      r.key,
+    source:   r.source,
+    enabled:  r.enabled,
+    category: r.category,
+    level:    r.level,
+    reason:   r.reason,
+    target:   r.target,
+    surfaces: r.surfaces || [],
+    actions:  r.actions,
+    patterns: r.regexes.map(re => re.source),
+  }));
+}
+
+function isBuiltinRule(key) {
+  return builtinRules.some(b => b.key === key);
+}
+
+function getPolicyVersion() {
+  return policyVersion;
+}
+
+module.exports = {
+  moderateContent,
+  normalizeText,
+  toSkeleton,
+  compileRule,
+  reloadRules,
+  startRuleSync,
+  listRules,
+  isBuiltinRule,
+  getPolicyVersion,
+  LEVEL,
+  SURFACES,
+};
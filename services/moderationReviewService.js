@@ -0,0 +1,353 @@
+// services/moderationReviewService.js — Human review of the AI moderation queue
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// cronJobs/aiModerationWorker.js marks a ModerationTask review.status 'pending'
+// when the AI flagged a field (REVIEW / REJECT) or gave up after retries
+// (failed_permanently). routes/adminModerationTasks.js lists those with the
+// cached AI results and lets a reviewer settle each field:
+//
+//   approve  field is unhidden (removed from User.flaggedFields)
+//   reject   field is cleared — only if the profile still holds the reviewed
+//            text, so a newer edit (already queued on its own) isn't lost
+//
+// Each field decision is stored next to the AI's verdict for that field
+// (flagged → 'reject', otherwise 'approve'; null when the AI never answered)
+// so getReviewerStats() can report throughput and agreement with the AI.
+//
+// Return shape follows services/otpService.js:
+//   { ok: true, ... }                           on success
+//   { ok: false, status: <http code>, message } on business-rule failure
+//   throws                                      on unexpected error
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const crypto          = require('crypto');
+const mongoose        = require('mongoose');
+const ModerationTask  = require('../models/ModerationTask');
+const ModerationCache = require('../models/ModerationCache');
+const ModerationLog   = require('../models/ModerationLog');
+const User            = require('../models/User');
+const Activity        = require('../models/Activity');
+const AuditLog        = require('../models/AuditLog');
+const { getPolicyVersion } = require('./moderationPolicy');
+
+const MAX_BULK = 100;
+
+// Keyed on the policy version too, so a rule edit re-evaluates content decided
+// under the old rules. Shared with the worker so the console finds its cache rows.
+function taskContentHash(task) {
+  const contentString = task.fields.map(f => `[${f.path}]: ${f.value}`).join('\n---\n');
+  return crypto.createHash('sha256').update(`${getPolicyVersion()}\n${contentString}`).digest('hex');
+}
+
+// ── Queue ────────────────────────────────────────────────────────────────────
+// AI results come from ModerationCache (30-day TTL); ModerationLog is the
+// fallback for tasks whose cache row has expired or was never written.
+async function attachAiResults(tasks) {
+  // Tasks queued before contentHash was stored: best effort under today's policy
+  const hashOf = (t) => t.contentHash || taskContentHash(t);
+  const hashes = [...new Set(tasks.map(hashOf))];
+
+  const [cached, logs] = await Promise.all([
+    ModerationCache.find({ contentHash: { $in: hashes } }).lean(),
+    ModerationLog.find({ contentHash: { $in: hashes } }).sort({ timestamp: -1 }).lean(),
+  ]);
+  const byHash = new Map();
+  for (const l of logs) if (!byHash.has(l.contentHash)) byHash.set(l.contentHash, { ...l, decision: l.finalDecision, source: 'log' });
+  for (const c of cached) byHash.set(c.contentHash, { ...c, source: 'cache' });
+
+  return tasks.map(t => {
+    const hit = byHash.get(hashOf(t));
+    return {
+      ...t,
+      ai: hit ? {
+        source:     hit.source,
+        decision:   hit.decision,
+        openAi:     hit.openAiResult,
+        llamaGuard: hit.llamaGuardResult,
+        ruleEngine: hit.ruleEngineResult,
+        local:      hit.localClassifierResult || null,
+      } : null,
+    };
+  });
+}
+
+async function listTasks({ reviewStatus = 'pending', status, page = 1, limit = 20 } = {}) {
+  const query = {};
+  if (reviewStatus) query['review.status'] = reviewStatus;
+  if (status) query.status = status;
+
+  const [tasks, total] = await Promise.all([
+    ModerationTask.find(query)
+      .populate('userId', 'firstName lastName email profilePhoto status moderationStatus flaggedFields')
+      .populate('review.decidedBy', 'firstName lastName email')
+      .sort({ createdAt: reviewStatus === 'decided' ? -1 : 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ModerationTask.countDocuments(query),
+  ]);
+
+  return { ok: true, tasks: await attachAiResults(tasks), total };
+}
+
+async function getTask(taskId) {
+  if (!mongoose.isValidObjectId(taskId)) return { ok: false, status: 400, message: 'Invalid task ID' };
+
+  const task = await ModerationTask.findById(taskId)
+    .populate('userId', 'firstName lastName email profilePhoto status moderationStatus flaggedFields questionnaire')
+    .populate('review.decidedBy', 'firstName lastName email')
+    .lean();
+  if (!task) return { ok: false, status: 404, message: 'Task not found' };
+
+  const [withAi] = await attachAiResults([task]);
+  return { ok: true, task: withAi };
+}
+
+// Failed tasks from before the review console have no review.status — queue them
+async function queueStrandedTasks() {
+  const { modifiedCount } = await ModerationTask.updateMany(
+    { status: 'failed_permanently', 'review.status': { $exists: false } },
+    { $set: { 'review.status': 'pending' } }
+  );
+  return modifiedCount;
+}
+
+// ── Deciding ─────────────────────────────────────────────────────────────────
+function aiVerdictFor(task, path) {
+  if (!task.aiDecision) return null;
+  return (task.flaggedPaths || []).includes(path) ? 'reject' : 'approve';
+}
+
+// decisions: { [path]: 'approve'|'reject' } — or a single string for every field
+function resolveFieldDecisions(task, decisions) {
+  const fields = [];
+  for (const f of task.fields) {
+    const decision = typeof decisions === 'string' ? decisions : decisions?.[f.path];
+    if (!['approve', 'reject'].includes(decision)) return null;
+    fields.push({ path: f.path, decision, aiVerdict: aiVerdictFor(task, f.path) });
+  }
+  return fields;
+}
+
+async function applyToUser(task, fields, reviewer) {
+  const user = await User.findById(task.userId);
+  if (!user) return { rejected: [] };
+
+  const rejected = [];
+  user.flaggedFields = (user.flaggedFields || []).filter(p => !fields.some(f => f.path === p));
+
+  for (const f of fields) {
+    if (f.decision !== 'reject') continue;
+    const reviewed = task.fields.find(t => t.path === f.path)?.value;
+    if (user.get(f.path) === reviewed) {
+      user.set(f.path, '');
+      rejected.push(f.path);
+    }
+  }
+  if (rejected.some(p => p.startsWith('questionnaire.'))) user.markModified('questionnaire');
+
+  const stillQueued = await ModerationTask.countDocuments({
+    _id: { $ne: task._id },
+    userId: user._id,
+    $or: [{ status: { $in: ['pending', 'processing'] } }, { 'review.status': 'pending' }],
+  });
+  if (user.flaggedFields.length === 0 && stillQueued === 0) user.moderationStatus = 'clean';
+
+  if (!user.moderationFlags) user.moderationFlags = {};
+  user.moderationFlags.reviewedByAdmin = true;
+  user.moderationFlags.lastReviewedAt  = new Date();
+  await user.save();
+
+  if (rejected.length > 0) {
+    await Activity.create({
+      userId:    user._id,
+      actorId:   reviewer._id,
+      actorName: 'Humrah Safety Team',
+      type:      'WARNING',
+      message:   'Part of your profile was removed after review because it goes against our community guidelines. Please update it.',
+    }).catch(err => console.error('[MODERATION REVIEW] Activity notice failed:', err.message));
+  }
+
+  return { rejected };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// decideTask — the pending → decided transition is one conditional update, so
+// a task can't be decided twice (two reviewers, or a bulk run racing a single).
+// ─────────────────────────────────────────────────────────────────────────────
+async function decideTask(taskId, reviewer, { decisions, note } = {}, req = null) {
+  if (!mongoose.isValidObjectId(taskId)) return { ok: false, status: 400, message: 'Invalid task ID' };
+
+  const task = await ModerationTask.findById(taskId).lean();
+  if (!task) return { ok: false, status: 404, message: 'Task not found' };
+  if (task.review?.status !== 'pending') {
+    return { ok: false, status: 409, message: 'Task is not awaiting review' };
+  }
+
+  const fields = resolveFieldDecisions(task, decisions);
+  if (!fields) {
+    return { ok: false, status: 400, message: 'Every field needs a decision: approve or reject' };
+  }
+
+  const claimed = await ModerationTask.findOneAndUpdate(
+    { _id: task._id, 'review.status': 'pending' },
+    {
+      $set: {
+        'review.status':    'decided',
+        'review.fields':    fields,
+        'review.decidedBy': reviewer._id,
+        'review.decidedAt': new Date(),
+        'review.note':      note ? String(note).slice(0, 1000) : null,
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) return { ok: false, status: 409, message: 'Task was already decided' };
+
+  const { rejected } = await applyToUser(task, fields, reviewer);
+
+  await AuditLog.logAction({
+    actorId:       reviewer._id,
+    actorRole:     reviewer.role,
+    actorEmail:    reviewer.email,
+    action:        'REVIEW_MODERATION_TASK',
+    targetType:    'USER',
+    targetId:      task.userId,
+    reason:        claimed.review.note,
+    details:       { taskId: task._id, aiDecision: task.aiDecision, taskStatus: task.status, fields, clearedFields: rejected },
+    ipAddress:     req?.ip,
+    userAgent:     req?.get?.('user-agent'),
+    requestMethod: req?.method,
+    requestPath:   req?.originalUrl,
+  });
+
+  return { ok: true, task: claimed, clearedFields: rejected };
+}
+
+// Same decision for every field of every task; failures are reported per task
+async function bulkDecide(taskIds, reviewer, { decision, note } = {}, req = null) {
+  if (!Array.isArray(taskIds) || taskIds.length === 0) {
+    return { ok: false, status: 400, message: 'taskIds must be a non-empty array' };
+  }
+  if (taskIds.length > MAX_BULK) {
+    return { ok: false, status: 400, message: `At most ${MAX_BULK} tasks per request` };
+  }
+  if (!['approve', 'reject'].includes(decision)) {
+    return { ok: false, status: 400, message: 'decision must be approve or reject' };
+  }
+
+  const results = [];
+  for (const taskId of [...new Set(taskIds.map(String))]) {
+    const result = await decideTask(taskId, reviewer, { decisions: decision, note }, req);
+    results.push(result.ok
+      ? { taskId, ok: true, clearedFields: result.clearedFields }
+      : { taskId, ok: false, message: result.message });
+  }
+
+  const decided = results.filter(r => r.ok).length;
+  console.log(`🧑‍⚖️ ${reviewer.email} bulk-${decision}d ${decided}/${results.length} moderation tasks`);
+  return { ok: true, decided, failed: results.length - decided, results };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getReviewerStats — per reviewer over [from, to): tasks and fields decided,
+// median time from queueing to decision, and agreement with the AI on fields
+// where the AI gave a verdict.
+// ─────────────────────────────────────────────────────────────────────────────
+async function getReviewerStats({ from, to } = {}) {
+  const decidedAt = {};
+  if (from) decidedAt.$gte = from;
+  if (to) decidedAt.$lt = to;
+  const match = { 'review.status': 'decided' };
+  if (from || to) match['review.decidedAt'] = decidedAt;
+
+  const rows = await ModerationTask.aggregate([
+    { $match: match },
+    {
+      $project: {
+        reviewer:  '$review.decidedBy',
+        waitMs:    { $subtract: ['$review.decidedAt', '$createdAt'] },
+        fields:    '$review.fields',
+      },
+    },
+    { $unwind: '$fields' },
+    {
+      $group: {
+        _id:      { reviewer: '$reviewer', task: '$_id' },
+        waitMs:   { $first: '$waitMs' },
+        fields:   { $sum: 1 },
+        rejected: { $sum: { $cond: [{ $eq: ['$fields.decision', 'reject'] }, 1, 0] } },
+        withAi:   { $sum: { $cond: [{ $ne: ['$fields.aiVerdict', null] }, 1, 0] } },
+        agreed:   { $sum: { $cond: [{ $and: [{ $ne: ['$fields.aiVerdict', null] }, { $eq: ['$fields.aiVerdict', '$fields.decision'] }] }, 1, 0] } },
+      },
+    },
+    {
+      $group: {
+        _id:      '$_id.reviewer',
+        tasks:    { $sum: 1 },
+        fields:   { $sum: '$fields' },
+        rejected: { $sum: '$rejected' },
+        withAi:   { $sum: '$withAi' },
+        agreed:   { $sum: '$agreed' },
+        waits:    { $push: '$waitMs' },
+      },
+    },
+    { $sort: { tasks: -1 } },
+  ]);
+  const people = await User.find({ _id: { $in: rows.map(r => r._id) } }).select('firstName lastName email').lean();
+  const byId = new Map(people.map(p => [p._id.toString(), p]));
+
+  const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+  };
+  const rate = (n, d) => (d > 0 ? Math.round((n / d) * 1000) / 1000 : null);
+
+  const reviewers = rows.map(r => {
+    const person = byId.get(String(r._id));
+    return {
+      reviewerId:       r._id,
+      name:             person ? `${person.firstName} ${person.lastName || ''}`.trim() : null,
+      email:            person?.email || null,
+      tasksDecided:     r.tasks,
+      fieldsDecided:    r.fields,
+      rejectRate:       rate(r.rejected, r.fields),
+      aiAgreementRate:  rate(r.agreed, r.withAi),
+      fieldsWithAi:     r.withAi,
+      medianWaitMs:     median(r.waits),
+    };
+  });
+
+  const sum = (key) => rows.reduce((n, r) => n + r[key], 0);
+
+  const [pending, failed] = await Promise.all([
+    ModerationTask.countDocuments({ 'review.status': 'pending' }),
+    ModerationTask.countDocuments({ 'review.status': 'pending', status: 'failed_permanently' }),
+  ]);
+
+  return {
+    ok: true,
+    queue: { pending, failedPermanently: failed },
+    totals: {
+      tasksDecided:    sum('tasks'),
+      fieldsDecided:   sum('fields'),
+      aiAgreementRate: rate(sum('agreed'), sum('withAi')),
+    },
+    reviewers,
+  };
+}
+
+module.exports = {
+  taskContentHash,
+  queueStrandedTasks,
+  listTasks,
+  getTask,
+  decideTask,
+  bulkDecide,
+  getReviewerStats,
+  MAX_BULK,
+};
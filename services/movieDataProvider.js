@@ -0,0 +1,182 @@
+// services/movieDataProvider.js — Where movie hangouts get movies, cinemas and showtimes
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Two providers with the same interface:
+//
+//   services/tmdbPlacesProvider.js    live TMDB + Google Places
+//   services/movieFixtureProvider.js  JSON catalogue (config/movieCatalogue.json)
+//
+// MOVIE_DATA_PROVIDER picks the mode:
+//
+//   'live' (default)  live responses are cached in MongoDB (models/MovieDataCache.js)
+//                     for FRESH_FOR_MS; after that the API is asked again. When
+//                     the API has no key, fails or is out of quota, the last
+//                     cached response is served (up to STALE_FOR_MS old), and
+//                     the catalogue when there is none.
+//   'fixture'         catalogue only — no network, no cache. For dev and CI.
+//
+// A 429 pauses calls to that API on this instance for QUOTA_BACKOFF_MS, so a
+// spent daily quota isn't hammered by every feed request.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+const MovieDataCache = require('../models/MovieDataCache');
+const live = require('./tmdbPlacesProvider');
+const fixture = require('./movieFixtureProvider');
+
+const MINUTE = 60 * 1000;
+const HOUR   = 60 * MINUTE;
+
+const FRESH_FOR_MS = {
+  trendingMovies: 15 * MINUTE,
+  searchMovies:   1 * HOUR,
+  nearbyTheatres: 6 * HOUR,
+  searchTheatres: 6 * HOUR,
+};
+const STALE_FOR_MS     = 24 * HOUR;
+const QUOTA_BACKOFF_MS = 15 * MINUTE;
+
+const backoffUntil = { tmdb: 0, places: 0 };
+const warnedMissingKey = new Set();
+
+function providerMode() {
+  return process.env.MOVIE_DATA_PROVIDER === 'fixture' ? 'fixture' : 'live';
+}
+
+function clearQuotaBackoff() {
+  backoffUntil.tmdb = 0;
+  backoffUntil.places = 0;
+}
+
+// Without a connection mongoose would buffer the query — skip the cache instead
+function _cacheAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+async function _readCache(key) {
+  if (!_cacheAvailable()) return null;
+  try {
+    return await MovieDataCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  } catch (err) {
+    console.warn(`[movieData] cache read failed for ${key}: ${err.message}`);
+    return null;
+  }
+}
+
+async function _writeCache(key, value, freshForMs) {
+  if (!_cacheAvailable()) return;
+  const now = Date.now();
+  try {
+    await MovieDataCache.updateOne(
+      { key },
+      { $set: {
+        provider:   live.name,
+        value,
+        freshUntil: new Date(now + freshForMs),
+        expiresAt:  new Date(now + freshForMs + STALE_FOR_MS),
+      } },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.warn(`[movieData] cache write failed for ${key}: ${err.message}`);
+  }
+}
+
+async function _callLive(method, args, key) {
+  const api = live.API_FOR[method];
+
+  if (!live.isConfigured(api)) {
+    if (!warnedMissingKey.has(api)) {
+      warnedMissingKey.add(api);
+      console.warn(`[movieData] no ${api === 'tmdb' ? 'TMDB_API_KEY' : 'GOOGLE_PLACES_API_KEY'} — using cache / catalogue`);
+    }
+    return undefined;
+  }
+  if (Date.now() < backoffUntil[api]) return undefined;
+
+  try {
+    const value = await live[method](...args);
+    await _writeCache(key, value, FRESH_FOR_MS[method]);
+    return value;
+  } catch (err) {
+    if (err.status === 429) {
+      backoffUntil[api] = Date.now() + QUOTA_BACKOFF_MS;
+      console.warn(`[movieData] ${api} quota exhausted — pausing calls for ${QUOTA_BACKOFF_MS / MINUTE} min`);
+    } else {
+      console.warn(`[movieData] ${method} failed (${err.message})`);
+    }
+    return undefined;
+  }
+}
+
+// Fresh cache → live API → stale cache → catalogue
+async function _resolve(method, args, key) {
+  if (providerMode() === 'fixture') return fixture[method](...args);
+
+  const cached = await _readCache(key);
+  if (cached && cached.freshUntil > new Date()) return cached.value;
+
+  const value = await _callLive(method, args, key);
+  if (value !== undefined) return value;
+
+  if (cached) {
+    console.log(`[movieData] serving stale ${key} from ${cached.updatedAt?.toISOString?.()}`);
+    return cached.value;
+  }
+  return fixture[method](...args);
+}
+
+function _normaliseQuery(query) {
+  return (query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// ~100 m grid, so neighbours share a cache entry
+function _coordKey(lat, lng) {
+  return (lat === null || lng === null) ? 'any' : `${lat.toFixed(3)}:${lng.toFixed(3)}`;
+}
+
+/** India-first movie pool for the feed and system sessions. */
+async function getTrendingMovies() {
+  return _resolve('trendingMovies', [], 'tmdb:trending');
+}
+
+/** Movies matching query (page is clamped to 1–100); [] for an empty query. */
+async function searchMovies(query, page = 1) {
+  const q = _normaliseQuery(query);
+  if (!q) return [];
+  const pageInt = Math.max(1, Math.min(parseInt(page) || 1, 100));
+  return _resolve('searchMovies', [q, pageInt], `tmdb:search:${q}:${pageInt}`);
+}
+
+/** Up to 5 cinemas rated 3.0+, nearest first. Never empty. */
+async function getNearbyTheatres(lat, lng, radius = 8000) {
+  if (lat === null || lng === null) return fixture.nearbyTheatres(null, null);
+  return _resolve('nearbyTheatres', [lat, lng, radius], `places:nearby:${_coordKey(lat, lng)}:${radius}`);
+}
+
+/** Up to 10 cinemas matching query, biased towards lat/lng when given. */
+async function searchTheatres(query, lat = null, lng = null) {
+  const q = _normaliseQuery(query);
+  return _resolve('searchTheatres', [q, lat, lng], `places:search:${q}:${_coordKey(lat, lng)}`);
+}
+
+/**
+ * The catalogue's showtimes for a city in fixture mode, or null to use the
+ * fixed system schedule.
+ */
+async function getShowTimes(city, lat = null, lng = null) {
+  if (providerMode() !== 'fixture') return live.showTimes(city, lat, lng);
+  return fixture.showTimes(city, lat, lng);
+}
+
+module.exports = {
+  providerMode,
+  getTrendingMovies,
+  searchMovies,
+  getNearbyTheatres,
+  searchTheatres,
+  getShowTimes,
+  clearQuotaBackoff,
+};
@@ -0,0 +1,213 @@
+// services/movieFixtureProvider.js — Offline stand-in for TMDB + Google Places
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Serves movie, theatre and showtime data from a JSON catalogue so movie
+// hangouts work without API keys (dev, CI) and keep working when the live
+// APIs are down or out of quota. Same interface as services/tmdbPlacesProvider.js;
+// selected by services/movieDataProvider.js.
+//
+// The catalogue is config/movieCatalogue.json unless MOVIE_FIXTURE_PATH names
+// another file (absolute, or relative to the project root):
+//
+//   defaultShowtimes   ['HH:MM', ...] IST, for places outside every city
+//   movies             [{ id, title, language, popularity, posterPath?, overview?,
+//                         rating?, releaseDate?, genreIds? }]
+//   cities             [{ name, lat, lng, showtimes?, theatres: [{ placeId, name,
+//                         address, rating, lat, lng }] }]
+//
+// Coordinates with no catalogue cinema within the radius get generic
+// stand-in cinemas placed at the user, so geo queries always find them.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { calculateDistance } = require('../utils/distance');
+
+const DEFAULT_CATALOGUE = path.join(__dirname, '..', 'config', 'movieCatalogue.json');
+const INDIAN_LANGUAGES  = new Set(['hi', 'ta', 'te', 'ml', 'kn', 'bn', 'mr', 'gu', 'pa']);
+const CITY_RADIUS_KM    = 60;    // coordinates this close to a city use its showtimes
+const SEARCH_PAGE_SIZE  = 20;
+const FALLBACK_SHOWTIMES = ['11:00', '15:00', '19:00'];
+
+const name = 'fixture';
+
+let catalogue = null;
+
+function catalogueFile() {
+  const configured = process.env.MOVIE_FIXTURE_PATH;
+  return configured ? path.resolve(__dirname, '..', configured) : DEFAULT_CATALOGUE;
+}
+
+function parseCatalogue(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(raw.movies)) throw new Error('catalogue has no movies array');
+
+  return {
+    defaultShowtimes: raw.defaultShowtimes || FALLBACK_SHOWTIMES,
+    movies: raw.movies,
+    cities: (raw.cities || []).map(c => ({
+      ...c,
+      name:     String(c.name || '').trim().toLowerCase(),
+      theatres: c.theatres || [],
+    })),
+  };
+}
+
+function loadCatalogue() {
+  if (catalogue) return catalogue;
+
+  const file = catalogueFile();
+  try {
+    catalogue = parseCatalogue(file);
+  } catch (err) {
+    if (file === DEFAULT_CATALOGUE) throw err;
+    console.error(`❌ [MovieData] Could not load MOVIE_FIXTURE_PATH "${file}":`, err.message);
+    catalogue = parseCatalogue(DEFAULT_CATALOGUE);
+  }
+  console.log(`🎬 [MovieData] Fixture catalogue: ${catalogue.movies.length} movie(s), ${catalogue.cities.length} city(ies)`);
+  return catalogue;
+}
+
+// Tests and scripts that switch MOVIE_FIXTURE_PATH re-read the file
+function reloadCatalogue() {
+  catalogue = null;
+  return loadCatalogue();
+}
+
+function mapMovie(m, source) {
+  return {
+    id:          String(m.id),
+    title:       m.title,
+    posterPath:  m.posterPath || null,
+    overview:    m.overview || '',
+    rating:      m.rating || 0,
+    releaseDate: m.releaseDate || null,
+    genreIds:    m.genreIds || [],
+    language:    m.language,
+    source,
+    popularity:  m.popularity || 0,
+  };
+}
+
+function withDistance(t, lat, lng, city) {
+  return {
+    placeId:  t.placeId,
+    name:     t.name,
+    address:  t.address || '',
+    rating:   t.rating ?? null,
+    lat:      t.lat,
+    lng:      t.lng,
+    distance: (lat !== null && lng !== null)
+      ? Math.round(calculateDistance(lat, lng, t.lat, t.lng) * 1000)
+      : null,
+    city,
+  };
+}
+
+function allTheatres(lat, lng) {
+  return loadCatalogue().cities.flatMap(c => c.theatres.map(t => withDistance(t, lat, lng, c.name)));
+}
+
+function _stripCity({ city, ...theatre }) {
+  return theatre;
+}
+
+// Stand-in cinemas placed AT the user's coords so geo queries always find them
+function standInTheatres(lat, lng) {
+  return [
+    { placeId: 'fb_1', name: 'City Multiplex', address: 'City Centre',
+      rating: 4.0, lat,              lng,              distance: 0    },
+    { placeId: 'fb_2', name: 'PVR Cinemas',    address: 'Mall Road',
+      rating: 4.2, lat: lat + 0.005, lng: lng + 0.005, distance: 700  },
+    { placeId: 'fb_3', name: 'INOX Megaplex',  address: 'High Street',
+      rating: 3.8, lat: lat + 0.009, lng: lng - 0.003, distance: 1100 },
+  ];
+}
+
+// Indian languages first, then English, then the rest — most popular first in each
+async function trendingMovies() {
+  const tier = (m) => (INDIAN_LANGUAGES.has(m.language) ? 0 : m.language === 'en' ? 1 : 2);
+  return loadCatalogue().movies
+    .map(m => mapMovie(m, 'fixture'))
+    .sort((a, b) => (tier(a) - tier(b)) || (b.popularity - a.popularity));
+}
+
+async function searchMovies(query, page = 1) {
+  const q = query.trim().toLowerCase();
+  const start = (page - 1) * SEARCH_PAGE_SIZE;
+  return loadCatalogue().movies
+    .filter(m => m.title.toLowerCase().includes(q))
+    .slice(start, start + SEARCH_PAGE_SIZE)
+    .map(m => mapMovie(m, 'search'));
+}
+
+// Same contract as the live provider: rating >= 3.0, nearest 5
+async function nearbyTheatres(lat, lng, radius = 8000) {
+  if (lat === null || lng === null) return standInTheatres(0, 0);
+
+  const list = allTheatres(lat, lng)
+    .filter(t => t.distance <= radius && (t.rating === null || t.rating >= 3.0))
+    .sort((a, b) => (a.distance - b.distance) || ((b.rating || 0) - (a.rating || 0)))
+    .slice(0, 5)
+    .map(_stripCity);
+
+  return list.length ? list : standInTheatres(lat, lng);
+}
+
+// Every query word must appear in the cinema's name, address or city
+async function searchTheatres(query, lat = null, lng = null) {
+  const words = query.trim().toLowerCase().split(/\s+/);
+  const matches = allTheatres(lat, lng).filter(t => {
+    const haystack = `${t.name} ${t.address} ${t.city}`.toLowerCase();
+    return words.every(w => haystack.includes(w));
+  });
+
+  if (lat !== null && lng !== null) matches.sort((a, b) => a.distance - b.distance);
+  return matches.slice(0, 10).map(_stripCity);
+}
+
+function _findCity(city, lat, lng) {
+  const { cities } = loadCatalogue();
+  const wanted = (city || '').trim().toLowerCase();
+  const byName = wanted && cities.find(c => c.name === wanted);
+  if (byName) return byName;
+  if (lat === null || lat === undefined || lng === null || lng === undefined) return null;
+
+  let nearest = null;
+  let nearestKm = CITY_RADIUS_KM;
+  for (const c of cities) {
+    const km = calculateDistance(lat, lng, c.lat, c.lng);
+    if (km <= nearestKm) { nearest = c; nearestKm = km; }
+  }
+  return nearest;
+}
+
+function _toSlot(hhmm) {
+  const [hour, minute] = hhmm.split(':').map(Number);
+  const h12 = hour % 12 || 12;
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  return { hour, minute, label: minute ? `${h12}:${String(minute).padStart(2, '0')} ${suffix}` : `${h12} ${suffix}` };
+}
+
+/**
+ * IST showtime slots for a city (matched by name, else by coordinates),
+ * in the { hour, minute, label } shape generateSystemSessions() expects.
+ */
+async function showTimes(city, lat = null, lng = null) {
+  const match = _findCity(city, lat, lng);
+  const times = match?.showtimes?.length ? match.showtimes : loadCatalogue().defaultShowtimes;
+  return [...times].sort().map(_toSlot);
+}
+
+module.exports = {
+  name,
+  loadCatalogue,
+  reloadCatalogue,
+  trendingMovies,
+  searchMovies,
+  nearbyTheatres,
+  searchTheatres,
+  showTimes,
+};
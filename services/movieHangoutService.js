@@ -184,6 +184,23 @@ async function handlePollVote(userId, sessionId, rating, io) {
   }
 }
 
+/**
+ * Post a system message ("Humrah") to the session chat and broadcast it
+ */
+async function postSystemMessage(sessionId, text, io) {
+  const msg = new MovieMessage({
+    sessionId,
+    senderId: null,
+    senderName: 'Humrah',
+    type: 'system',
+    text,
+  });
+  await msg.save();
+
+  _broadcastMessage(io, sessionId, msg);
+  return msg;
+}
+
 /**
  * Handle marking messages as read
  */
@@ -237,5 +254,6 @@ module.exports = {
   handleMessageReaction,
   handlePinMessage,
   handlePollVote,
-  handleMarkRead
+  handleMarkRead,
+  postSystemMessage
 };
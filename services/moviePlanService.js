@@ -0,0 +1,402 @@
+// services/moviePlanService.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Ticket-split plans for movie hangouts, so the group books seats together.
+//
+// FLOW:
+//  proposePlan()      session admin proposes showtime, seats and the share
+//                     per seat; members are notified, confirmations reset
+//  respondToPlan()    member confirms or declines
+//  setPayment()       member marks their share paid; the admin (who books and
+//                     pays for every seat) can mark anyone paid or unpaid
+//  markBooked()       admin bought the tickets — responses are locked
+//  cancelPlan()       admin drops the plan
+//
+// Every change is emitted to the chat room (movie:{sessionId}) as
+// 'moviePlanUpdated' with the formatted plan, and the notable ones leave a
+// system message in the chat. Confirmed members who haven't paid are reminded
+// 3 hrs and 30 min before showTime through the job queue ('movie_plan.remind').
+//
+// Returns { success, status?, message?, plan? } like movieSessionService.
+// ─────────────────────────────────────────────────────────────────────────────
+'use strict';
+
+const mongoose        = require('mongoose');
+const MovieSession    = require('../models/MovieSession');
+const MovieTicketPlan = require('../models/MovieTicketPlan');
+const User            = require('../models/User');
+const { dispatch }    = require('./notificationDispatcher');
+const { postSystemMessage } = require('./movieHangoutService');
+const { registerHandler, enqueue } = require('./jobQueue');
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+const REMINDER_OFFSETS_MIN = [180, 30];
+const MAX_PRICE_PER_SEAT   = 5000;
+const SEAT_PATTERN         = /^[A-Z]{1,3}-?\d{1,3}$/;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+const _sameId = (a, b) => a?.toString() === b?.toString();
+
+function _formatShowTime(date) {
+  return date.toLocaleTimeString('en-IN', { hour: 'numeric', minute: '2-digit', timeZone: 'Asia/Kolkata' });
+}
+
+/** Session the user may plan in, or an error result. */
+async function _loadSession(userId, sessionId) {
+  const session = mongoose.isValidObjectId(sessionId) ? await MovieSession.findById(sessionId) : null;
+  if (!session) return { error: { success: false, status: 404, message: 'Session not found' } };
+
+  if (!session.participants.some(p => _sameId(p, userId))) {
+    return { error: { success: false, status: 403, message: 'You are not a member of this session' } };
+  }
+  if (session.status === 'expired' || new Date() > session.chatExpiresAt) {
+    return { error: { success: false, status: 400, message: 'This session has expired' } };
+  }
+  return { session };
+}
+
+function _notAdmin() {
+  return { success: false, status: 403, message: 'Only the hangout admin can do that' };
+}
+
+function _noPlan() {
+  return { success: false, status: 404, message: 'No plan has been proposed yet' };
+}
+
+/**
+ * Validate a proposal body. Returns { fields } or { error }.
+ */
+function _parseProposal(session, data = {}) {
+  const showTime = data.showTime ? new Date(data.showTime) : session.showTime;
+  if (!showTime) return { error: 'showTime is required' };
+  if (Number.isNaN(showTime.getTime())) {
+    return { error: 'showTime must be a valid date' };
+  }
+  if (showTime <= new Date() || showTime > session.chatExpiresAt) {
+    return { error: 'Showtime must be in the future and before the hangout chat closes' };
+  }
+
+  const rawSeats = data.seats === undefined ? [] : data.seats;
+  if (!Array.isArray(rawSeats)) return { error: 'seats must be a list like ["H7", "H8"]' };
+  const seats = rawSeats.map(s => String(s).trim().toUpperCase());
+  if (seats.some(s => !SEAT_PATTERN.test(s))) return { error: 'Each seat must look like "H7"' };
+  if (new Set(seats).size !== seats.length) return { error: 'Seats must not repeat' };
+  if (seats.length > session.maxParticipants) {
+    return { error: `At most ${session.maxParticipants} seats for this hangout` };
+  }
+
+  const pricePerSeat = Number(data.pricePerSeat);
+  if (!Number.isInteger(pricePerSeat) || pricePerSeat < 0 || pricePerSeat > MAX_PRICE_PER_SEAT) {
+    return { error: `pricePerSeat must be a whole number of rupees from 0 to ${MAX_PRICE_PER_SEAT}` };
+  }
+
+  const note = typeof data.note === 'string' ? data.note.trim().slice(0, 300) : '';
+  return { fields: { showTime, seats, pricePerSeat, note } };
+}
+
+async function _formatPlan(plan) {
+  const users = await User.find({ _id: { $in: plan.members.map(m => m.userId) } })
+    .select('firstName lastName profilePhoto')
+    .lean();
+  const byId = new Map(users.map(u => [u._id.toString(), u]));
+
+  const confirmed = plan.members.filter(m => m.response === 'confirmed');
+  const paid      = confirmed.filter(m => m.payment === 'paid');
+
+  return {
+    id:               plan._id.toString(),
+    sessionId:        plan.sessionId.toString(),
+    version:          plan.version,
+    status:           plan.status,
+    proposedBy:       plan.proposedBy.toString(),
+    showTime:         plan.showTime.toISOString(),
+    seats:            plan.seats,
+    pricePerSeat:     plan.pricePerSeat,
+    note:             plan.note,
+    bookingReference: plan.bookingReference,
+    bookedAt:         plan.bookedAt?.toISOString() || null,
+    members: plan.members.map(m => {
+      const user = byId.get(m.userId.toString());
+      return {
+        userId:   m.userId.toString(),
+        name:     user ? `${user.firstName} ${user.lastName || ''}`.trim() : 'User',
+        photo:    user?.profilePhoto || null,
+        isAdmin:  _sameId(m.userId, plan.proposedBy),
+        response: m.response,
+        payment:  m.payment,
+        paidAt:   m.paidAt?.toISOString() || null,
+      };
+    }),
+    totals: {
+      confirmed:   confirmed.length,
+      paid:        paid.length,
+      collected:   paid.length * plan.pricePerSeat,
+      outstanding: (confirmed.length - paid.length) * plan.pricePerSeat,
+    },
+  };
+}
+
+/** Format, emit to the chat room and wrap as a service result. */
+async function _publish(plan, io, extra = {}) {
+  const formatted = await _formatPlan(plan);
+  if (io) {
+    io.to(`movie:${plan.sessionId}`).emit('moviePlanUpdated', { sessionId: formatted.sessionId, plan: formatted });
+  }
+  return { success: true, ...extra, plan: formatted };
+}
+
+function _notifyMembers(plan, session, exceptUserId, { title, body }) {
+  const recipients = plan.members.filter(m => !_sameId(m.userId, exceptUserId) && m.response !== 'declined');
+  return Promise.all(recipients.map(m => dispatch('movie_hangout.plan', {
+    userId:      m.userId,
+    title,
+    body,
+    data:        { type: 'MOVIE_PLAN_UPDATED', sessionId: session._id.toString() },
+    collapseKey: `movie_hangout.plan:${session._id}`,
+  }).catch(err => console.error('[moviePlan] notify error:', err.message))));
+}
+
+function _scheduleReminders(plan) {
+  const now = Date.now();
+  return Promise.all(REMINDER_OFFSETS_MIN.map(offset => {
+    const runAt = new Date(plan.showTime.getTime() - offset * 60 * 1000);
+    if (runAt.getTime() <= now) return null;
+    return enqueue('movie_plan.remind', { planId: plan._id.toString(), version: plan.version }, {
+      runAt,
+      uniqueKey: `movie_plan.remind:${plan._id}:v${plan.version}@${offset}`,
+    });
+  }));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// getPlan — any member
+// ─────────────────────────────────────────────────────────────────────────────
+async function getPlan(userId, sessionId) {
+  const { session, error } = await _loadSession(userId, sessionId);
+  if (error) return error;
+
+  const plan = await MovieTicketPlan.findOne({ sessionId: session._id });
+  if (!plan) return { success: true, plan: null };
+  return { success: true, plan: await _formatPlan(plan) };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// proposePlan — admin only. Re-proposing bumps the version and resets
+// responses; shares already paid stay paid.
+// ─────────────────────────────────────────────────────────────────────────────
+async function proposePlan(userId, sessionId, data, io) {
+  const { session, error } = await _loadSession(userId, sessionId);
+  if (error) return error;
+  if (!_sameId(session.adminId, userId)) return _notAdmin();
+
+  const { fields, error: invalid } = _parseProposal(session, data);
+  if (invalid) return { success: false, status: 400, message: invalid };
+
+  let plan = await MovieTicketPlan.findOne({ sessionId: session._id });
+  if (plan?.status === 'booked') {
+    return { success: false, status: 409, message: 'Tickets are already booked — cancel the plan to propose a new one' };
+  }
+
+  const previous = new Map((plan?.members || []).map(m => [m.userId.toString(), m]));
+  const members = session.participants.map(participantId => {
+    const isAdmin = _sameId(participantId, userId);
+    const before  = previous.get(participantId.toString());
+    return {
+      userId:      participantId,
+      response:    isAdmin ? 'confirmed' : 'pending',
+      respondedAt: isAdmin ? new Date() : null,
+      payment:     isAdmin ? 'paid' : (before?.payment || 'unpaid'),
+      paidAt:      isAdmin ? null : (before?.paidAt || null),
+      paymentMarkedBy: before?.paymentMarkedBy || null,
+    };
+  });
+
+  if (plan) {
+    Object.assign(plan, fields, {
+      members,
+      proposedBy:       userId,
+      version:          plan.version + 1,
+      status:           'proposed',
+      bookingReference: null,
+      bookedAt:         null,
+      expiresAt:        session.chatExpiresAt,
+    });
+    await plan.save();
+  } else {
+    plan = await MovieTicketPlan.create({
+      sessionId: session._id,
+      proposedBy: userId,
+      ...fields,
+      members,
+      expiresAt: session.chatExpiresAt,
+    });
+  }
+
+  const admin = await User.findById(userId).select('firstName').lean();
+  const seatText = plan.seats.length ? plan.seats.join(', ') : 'seats together';
+  const summary  = `${seatText} for the ${_formatShowTime(plan.showTime)} show · ₹${plan.pricePerSeat} each`;
+
+  await postSystemMessage(session._id, `🎟️ ${admin?.firstName || 'The admin'} proposed ${summary}. Confirm in the plan.`, io);
+  await _notifyMembers(plan, session, userId, {
+    title: `🎟️ Seat plan for ${session.movieTitle}`,
+    body:  `${admin?.firstName || 'Your hangout admin'} proposed ${summary}. Tap to confirm.`,
+  });
+  await _scheduleReminders(plan);
+
+  return _publish(plan, io, { status: plan.version === 1 ? 201 : 200 });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// respondToPlan — any member, while the plan is still a proposal
+// ─────────────────────────────────────────────────────────────────────────────
+async function respondToPlan(userId, sessionId, response, io) {
+  if (!['confirmed', 'declined'].includes(response)) {
+    return { success: false, status: 400, message: 'response must be confirmed or declined' };
+  }
+
+  const { session, error } = await _loadSession(userId, sessionId);
+  if (error) return error;
+
+  const plan = await MovieTicketPlan.findOne({ sessionId: session._id });
+  if (!plan || plan.status === 'cancelled') return _noPlan();
+  if (plan.status !== 'proposed') {
+    return { success: false, status: 409, message: 'Tickets are already booked' };
+  }
+  if (_sameId(plan.proposedBy, userId) && response === 'declined') {
+    return { success: false, status: 400, message: 'Cancel the plan instead of declining your own proposal' };
+  }
+
+  // Joined after the proposal — add them now
+  let member = plan.members.find(m => _sameId(m.userId, userId));
+  if (!member) {
+    plan.members.push({ userId });
+    member = plan.members[plan.members.length - 1];
+  }
+  member.response    = response;
+  member.respondedAt = new Date();
+  await plan.save();
+
+  return _publish(plan, io);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// setPayment — a member marks their own share paid; the admin marks anyone
+// ─────────────────────────────────────────────────────────────────────────────
+async function setPayment(userId, sessionId, memberId, payment, io) {
+  if (!['paid', 'unpaid'].includes(payment)) {
+    return { success: false, status: 400, message: 'payment must be paid or unpaid' };
+  }
+
+  const { session, error } = await _loadSession(userId, sessionId);
+  if (error) return error;
+
+  const plan = await MovieTicketPlan.findOne({ sessionId: session._id });
+  if (!plan || plan.status === 'cancelled') return _noPlan();
+
+  // The current hangout admin, like propose/book/cancel — not whoever proposed
+  const isAdmin = _sameId(session.adminId, userId);
+  if (!isAdmin && (!_sameId(memberId, userId) || payment !== 'paid')) {
+    return { success: false, status: 403, message: 'You can only mark your own share as paid' };
+  }
+
+  const member = plan.members.find(m => _sameId(m.userId, memberId));
+  if (!member) return { success: false, status: 404, message: 'Not part of this plan' };
+  if (member.response !== 'confirmed') {
+    return { success: false, status: 400, message: 'Only confirmed members have a share to pay' };
+  }
+  if (_sameId(member.userId, session.adminId) && payment === 'unpaid') {
+    return { success: false, status: 400, message: 'The admin paid for the tickets' };
+  }
+
+  member.payment         = payment;
+  member.paidAt          = payment === 'paid' ? new Date() : null;
+  member.paymentMarkedBy = payment === 'paid' ? userId : null;
+  await plan.save();
+
+  return _publish(plan, io);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// markBooked — admin bought the tickets
+// ─────────────────────────────────────────────────────────────────────────────
+async function markBooked(userId, sessionId, bookingReference, io) {
+  const { session, error } = await _loadSession(userId, sessionId);
+  if (error) return error;
+  if (!_sameId(session.adminId, userId)) return _notAdmin();
+
+  const plan = await MovieTicketPlan.findOne({ sessionId: session._id });
+  if (!plan || plan.status === 'cancelled') return _noPlan();
+  if (plan.status === 'booked') return { success: false, status: 409, message: 'Tickets are already booked' };
+
+  plan.status           = 'booked';
+  plan.bookedAt         = new Date();
+  plan.bookingReference = typeof bookingReference === 'string' ? bookingReference.trim().slice(0, 100) || null : null;
+  await plan.save();
+
+  const seatText = plan.seats.length ? ` — seats ${plan.seats.join(', ')}` : '';
+  await postSystemMessage(session._id, `✅ Tickets booked for the ${_formatShowTime(plan.showTime)} show${seatText}.`, io);
+  await _notifyMembers(plan, session, userId, {
+    title: `✅ Tickets booked for ${session.movieTitle}`,
+    body:  `Your seats for the ${_formatShowTime(plan.showTime)} show are booked. Settle your ₹${plan.pricePerSeat} share with the admin.`,
+  });
+
+  return _publish(plan, io);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// cancelPlan — admin only
+// ─────────────────────────────────────────────────────────────────────────────
+async function cancelPlan(userId, sessionId, io) {
+  const { session, error } = await _loadSession(userId, sessionId);
+  if (error) return error;
+  if (!_sameId(session.adminId, userId)) return _notAdmin();
+
+  const plan = await MovieTicketPlan.findOne({ sessionId: session._id });
+  if (!plan || plan.status === 'cancelled') return _noPlan();
+
+  plan.status = 'cancelled';
+  await plan.save();
+  await postSystemMessage(session._id, '🎟️ The seat plan was cancelled.', io);
+
+  return _publish(plan, io);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// sendPaymentReminders — job handler. Stale jobs (plan re-proposed or
+// cancelled since) bail out.
+// ─────────────────────────────────────────────────────────────────────────────
+async function sendPaymentReminders({ planId, version }) {
+  const plan = await MovieTicketPlan.findById(planId);
+  if (!plan || plan.version !== version || plan.status === 'cancelled') return;
+  if (plan.showTime <= new Date()) return;
+
+  const session = await MovieSession.findById(plan.sessionId).select('movieTitle').lean();
+  const unpaid  = plan.members.filter(m =>
+    m.response === 'confirmed' && m.payment === 'unpaid' && !_sameId(m.userId, plan.proposedBy)
+  );
+  if (unpaid.length === 0) return;
+
+  for (const member of unpaid) {
+    await dispatch('movie_hangout.payment_reminder', {
+      userId: member.userId,
+      title:  `🍿 ${session?.movieTitle || 'Your movie'} starts at ${_formatShowTime(plan.showTime)}`,
+      body:   `Your ₹${plan.pricePerSeat} ticket share is still unpaid. Settle it with your hangout admin.`,
+      data:   { type: 'MOVIE_PLAN_PAYMENT_REMINDER', sessionId: plan.sessionId.toString() },
+      collapseKey: `movie_hangout.payment_reminder:${plan._id}`,
+    });
+    member.remindedAt = new Date();
+  }
+  await plan.save();
+  console.log(`🎟️ [moviePlan] Reminded ${unpaid.length} unpaid member(s) for plan ${plan._id}`);
+}
+
+registerHandler('movie_plan.remind', sendPaymentReminders, { queue: 'notifications', maxAttempts: 3 });
+
+module.exports = {
+  getPlan,
+  proposePlan,
+  respondToPlan,
+  setPayment,
+  markBooked,
+  cancelPlan,
+  sendPaymentReminders,
+};
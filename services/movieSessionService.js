@@ -3,9 +3,9 @@
 // ALL business logic lives here. Controller is a thin HTTP adapter.
 //
 // ARCHITECTURE:
-//  fetchTrendingMovies()        → TMDB API → FALLBACK_MOVIES
-//  fetchNearbyTheatres()        → Google Places API v1 → fallback at user coords
-//  searchTheatres()             → Google Places Text Search v1
+//  fetchTrendingMovies()        → movieDataProvider: TMDB → cache → catalogue
+//  fetchNearbyTheatres()        → movieDataProvider: Places v1 → cache → catalogue
+//  searchTheatres()             → movieDataProvider: Places Text Search v1
 //  generateSystemSessions()     → auto-seed feed, empty participants, no fakes
 //  getNearbySessions()          → strict 4-step flow per spec
 //  createSession()              → user-created session + welcome chat msg
@@ -21,6 +21,7 @@ const MovieSession = require('../models/MovieSession');
 const MovieChat    = require('../models/MovieChat');
 const MovieMessage = require('../models/MovieMessage');
 const MovieParticipant = require('../models/MovieParticipant');
+const movieData    = require('./movieDataProvider');
 const { getTimeLabel, getParticipantDisplay, getPostSessionMessage,
         getNextShowTime, isCreationAllowed, validateShowTime, isAfterEndHour } = require('../utils/timeLabel');
 
@@ -47,34 +48,6 @@ const _LANG_DISPLAY = {
   pa: 'Punjabi'
 };
 
-// ─── Fallback movies (used ONLY when TMDB key missing / request fails) ───────
-// Hindi-first per Humrah spec. Updated for 2024–2025 Indian theatrical slate.
-// posterPath is null (no image in outage mode). IDs are TMDB movie IDs.
-const FALLBACK_MOVIES = [
-  { id: '1295691', title: 'Pushpa 2: The Rule',               posterPath: null, language: 'hi', popularity: 98 },
-  { id: '1262229', title: 'Stree 2',                          posterPath: null, language: 'hi', popularity: 95 },
-  { id: '1221931', title: 'Singham Again',                    posterPath: null, language: 'hi', popularity: 78 },
-  { id: '1011985', title: 'Fighter',                          posterPath: null, language: 'hi', popularity: 75 },
-  { id: '1350480', title: 'Sky Force',                        posterPath: null, language: 'hi', popularity: 72 },
-  { id: '822119',  title: 'Captain America: Brave New World', posterPath: null, language: 'en', popularity: 88 },
-];
-
-// Fallback theatres placed AT user coords so geo queries always find them
-function _buildFallbackTheatres(lat, lng) {
-  return [
-    { placeId: 'fb_1', name: 'City Multiplex', address: 'City Centre',
-      rating: 4.0, lat,              lng,              distance: 0    },
-    { placeId: 'fb_2', name: 'PVR Cinemas',    address: 'Mall Road',
-      rating: 4.2, lat: lat + 0.005, lng: lng + 0.005, distance: 700  },
-    { placeId: 'fb_3', name: 'INOX Megaplex',  address: 'High Street',
-      rating: 3.8, lat: lat + 0.009, lng: lng - 0.003, distance: 1100 },
-  ];
-}
-
-// ─── TMDB cache (15 min in-memory) ───────────────────────────────────────────
-let _moviesCache = { data: null, ts: 0 };
-const CACHE_TTL  = 15 * 60 * 1000;
-
 // ─── Recently used movies cache (rotation — prevents same movie repeating) ───
 // Tracks the last N movieIds used by the system generator across all calls.
 // Cleared every 24 hours so the pool fully resets each day.
@@ -140,22 +113,6 @@ function _haversine(lat1, lng1, lat2, lng2) {
   return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
 }
 
-// ─── Shared TMDB Movie Mapper ─────────────────────────────────────────────────
-function _mapTmdbMovie(m, defaultSource = null) {
-  return {
-    id:         m.id,
-    title:      m.title,
-    posterPath: m.poster_path || null,
-    overview:   m.overview || '',
-    rating:     Math.round((m.vote_average || 0) * 10) / 10,
-    releaseDate: m.release_date || null,
-    genreIds:   m.genre_ids || [],
-    language:   m.original_language,  // 'hi' | 'en' | other
-    source:     m._src || defaultSource,
-    popularity: m.popularity || 0,
-  };
-}
-
 // ─── Fetch user language + saved location from DB ────────────────────────────
 async function _fetchUserContext(userId) {
   try {
@@ -341,302 +298,27 @@ function _formatSession(session, currentUserId, distMetres = null) {
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// fetchTrendingMovies — India-first movie pool for system-generated sessions
-//
-// SOURCES (fetched in parallel, merged with source-priority dedup):
-//   1. /movie/now_playing?region=IN (page 1)  ← highest priority: in theatres NOW
-//   2. /movie/now_playing?region=IN (page 2)  ← extends the IN now-playing pool
-//   3. /movie/popular?region=IN&with_original_language=hi  ← dedicated Hindi popular
-//   4. /movie/popular?region=IN               ← India-popular across all languages
-//   5. /trending/movie/week                   ← global trending (blockbuster catches)
-//
-// LANGUAGE FILTER (Humrah spec — Delhi launch):
-//   Priority 1 → Hindi   (original_language = 'hi')
-//   Priority 2 → English (original_language = 'en')
-//   All others → excluded UNLESS popularity >= GLOBAL_POP_THRESHOLD
-//                (covers Avatar / Avengers / Mission Impossible scale events only)
-//
-// QUALITY GATES:
-//   • poster_path must exist
-//   • vote_count >= 50
-//   • popularity  >= 20
-//   • release_date within last ~3 months  (now_playing bypasses this gate)
-//
-// POOL: up to 30 movies, sorted Hindi-first → English-second → global,
-//       and Now-Playing-first within each language tier.
-//
-// Cache: 15 min in-memory (CACHE_TTL).
+// Movie + cinema data — services/movieDataProvider.js picks TMDB/Places or the
+// offline catalogue, caches live responses in MongoDB and falls back when the
+// APIs fail or run out of quota.
 // ─────────────────────────────────────────────────────────────────────────────
-async function fetchTrendingMovies() {
-  const now = Date.now();
-  if (_moviesCache.data?.length && now - _moviesCache.ts < CACHE_TTL) return _moviesCache.data;
-
-  const KEY = process.env.TMDB_API_KEY;
-  if (!KEY) {
-    console.warn('[movies] TMDB_API_KEY not set — using fallback');
-    return FALLBACK_MOVIES;
-  }
-
-  try {
-    // Indian ISPs (like Jio) frequently block api.themoviedb.org.
-    // api.tmdb.org is an official alternative domain that bypasses this block.
-    const BASE = process.env.TMDB_BASE_URL || 'https://api.tmdb.org/3';
-
-    // ── Parallel fetch from FIVE TMDB sources ────────────────────────────
-    // Sources 1+2: now_playing India pages 1 & 2 (confirmed theatrical content)
-    // Source 3: popular Hindi-only (with_original_language=hi) — boosts Hindi pool
-    // Source 4: popular India (all langs, filtered downstream to hi/en)
-    // Source 5: global trending — catches mega-blockbusters (Avatar, Avengers…)
-    const [np1Settled, np2Settled, hindiPopSettled, popularSettled, trendingSettled] = await Promise.allSettled([
-      fetch(`${BASE}/movie/now_playing?${new URLSearchParams({ api_key: KEY, region: 'IN', language: 'en-US', page: '1' })}`),
-      fetch(`${BASE}/movie/now_playing?${new URLSearchParams({ api_key: KEY, region: 'IN', language: 'en-US', page: '2' })}`),
-      fetch(`${BASE}/movie/popular?${new URLSearchParams(    { api_key: KEY, region: 'IN', language: 'en-US', page: '1', with_original_language: 'hi' })}`),
-      fetch(`${BASE}/movie/popular?${new URLSearchParams(    { api_key: KEY, region: 'IN', language: 'en-US', page: '1' })}`),
-      fetch(`${BASE}/trending/movie/week?${new URLSearchParams({ api_key: KEY, language: 'en-US' })}`),
-    ]);
-
-    // ── Parse each settled promise — failures yield empty arrays ──────────
-    const parseSettled = async (settled, src) => {
-      if (settled.status !== 'fulfilled') {
-        console.warn(`[movies] ${src} fetch rejected: ${settled.reason?.message}`);
-        return [];
-      }
-      if (!settled.value.ok) {
-        console.warn(`[movies] ${src} HTTP ${settled.value.status}`);
-        return [];
-      }
-      const data = await settled.value.json();
-      return (data.results || []).map(m => ({ ...m, _src: src }));
-    };
-
-    const [np1Raw, np2Raw, hindiPopRaw, popularRaw, trendingRaw] = await Promise.all([
-      parseSettled(np1Settled,       'now_playing'),
-      parseSettled(np2Settled,       'now_playing'),  // same _src tag → same source priority
-      parseSettled(hindiPopSettled,  'popular'),       // Hindi-only popular → same tier as general popular
-      parseSettled(popularSettled,   'popular'),
-      parseSettled(trendingSettled,  'trending'),
-    ]);
-
-    // Merge both now_playing pages into a single list
-    const nowPlayingRaw = [...np1Raw, ...np2Raw];
-
-    console.log(`[movies] raw — nowPlaying:${nowPlayingRaw.length} hindiPop:${hindiPopRaw.length} popular:${popularRaw.length} trending:${trendingRaw.length}`);
-
-    // ── Merge with source-priority dedup ──────────────────────────────────
-    // Priority order: now_playing > hindiPop > popular > trending
-    // Hindi popular is placed before general popular so Hindi movies win dedup
-    // when they appear in both lists (ensures _src stays 'popular' for both,
-    // but the dedicated Hindi source runs first so its richer metadata wins).
-    const seenIds    = new Set();
-    const seenTitles = new Set();
-    const merged = [...nowPlayingRaw, ...hindiPopRaw, ...popularRaw, ...trendingRaw].filter(m => {
-      if (!m.id || !m.title) return false;
-      const titleKey = m.title.trim().toLowerCase();
-      if (seenIds.has(m.id) || seenTitles.has(titleKey)) return false;
-      seenIds.add(m.id);
-      seenTitles.add(titleKey);
-      return true;
-    });
-
-    // ── Recency gate ──────────────────────────────────────────────────────
-    // Movies more than ~3 months old are unlikely to still be in theatres.
-    // now_playing bypasses this gate because TMDB guarantees they're playing.
-    const cutoff = new Date();
-    cutoff.setMonth(cutoff.getMonth() - 3);
-    const cutoffStr = cutoff.toISOString().slice(0, 10); // YYYY-MM-DD
-
-    // ── India + Language filter ───────────────────────────────────────────
-    const filtered = merged.filter(m => {
-      if (!m.poster_path)               return false; // no poster → broken UI card
-      if ((m.vote_count  || 0) < 50)    return false; // too few votes → unreliable
-      if ((m.popularity  || 0) < 20)    return false; // too niche for Indian screens
 
-      // Recency: now_playing bypasses; popular/trending must be within 3-month window
-      if (m._src !== 'now_playing' && m.release_date && m.release_date < cutoffStr) return false;
-
-      // Identify Indian movies
-      const isIndian = INDIAN_LANGUAGES.has(m.original_language) || (m.origin_country && m.origin_country.includes('IN'));
-
-      if (isIndian) {
-        return true; // Indian movies pass if they meet the baseline gates above
-      }
-
-      // Stricter quality gates for International movies
-      const isHighQualityIntl = (m.vote_average || 0) >= 7.0 && (m.popularity || 0) >= 80 && (m.vote_count || 0) >= 100;
-      
-      if (isHighQualityIntl) {
-        return true; // Outstanding international movie
-      }
-
-      return false;
-    });
-
-    if (!filtered.length) throw new Error('0 movies after India/language filter');
-
-    // ── Priority sort ─────────────────────────────────────────────────────
-    //  0 — Indian  + now_playing  (current Indian theatrical releases in IN)
-    //  1 — Indian  + popular / trending
-    //  2 — English + now_playing  (current English theatrical releases in IN)
-    //  3 — English + popular / trending
-    //  4 — Other
-    const _srcPriority = (m) => {
-      const isIndian = INDIAN_LANGUAGES.has(m.original_language) || (m.origin_country && m.origin_country.includes('IN'));
-      const en = m.original_language === 'en';
-      const np = m._src === 'now_playing';
-      if (isIndian && np) return 0;
-      if (isIndian)       return 1;
-      if (en && np) return 2;
-      if (en)       return 3;
-      return 4;
-    };
-
-    filtered.sort((a, b) => {
-      const diff = _srcPriority(a) - _srcPriority(b);
-      if (diff !== 0) return diff;
-      return (b.popularity || 0) - (a.popularity || 0); // within tier: most popular first
-    });
-
-    // ── Build pool of up to 10 movies ─────────────────────────────────────
-    const pool = filtered.slice(0, 10).map(m => _mapTmdbMovie(m));
-
-    _moviesCache = { data: pool, ts: now };
-
-    const hiCount = pool.filter(m => m.language === 'hi').length;
-    const enCount = pool.filter(m => m.language === 'en').length;
-    const npCount = pool.filter(m => m.source  === 'now_playing').length;
-    console.log(`[movies] pool: ${pool.length} total | Hindi:${hiCount} English:${enCount} NowPlaying:${npCount}`);
-
-    return pool;
-  } catch (err) {
-    console.warn(`[movies] TMDB failed (${err.message}) — fallback`);
-    return _moviesCache.data?.length ? _moviesCache.data : FALLBACK_MOVIES;
-  }
+// India-first pool (up to 10 movies) for system-generated sessions
+async function fetchTrendingMovies() {
+  return movieData.getTrendingMovies();
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// fetchNearbyTheatres — Google Places API v1 (POST, not GET)
-// Filter: rating >= 3.0, top 5 only
-// Sort: distance ASC, then rating DESC
-// ─────────────────────────────────────────────────────────────────────────────
+// Top 5 cinemas rated 3.0+, distance ASC then rating DESC
 async function fetchNearbyTheatres(lat, lng, radius = 8000) {
-  if (lat === null || lng === null) return _buildFallbackTheatres(0, 0);
-
-  const KEY = process.env.GOOGLE_PLACES_API_KEY;
-  if (!KEY) {
-    console.warn('[theatres] GOOGLE_PLACES_API_KEY not set — fallback');
-    return _buildFallbackTheatres(lat, lng);
-  }
-
-  try {
-    const res = await fetch('https://places.googleapis.com/v1/places:searchNearby', {
-      method: 'POST',
-      headers: {
-        'Content-Type':     'application/json',
-        'X-Goog-Api-Key':   KEY,
-        'X-Goog-FieldMask': 'places.id,places.displayName,places.formattedAddress,places.rating,places.location',
-      },
-      body: JSON.stringify({
-        includedTypes: ['movie_theater'],
-        maxResultCount: 20,
-        locationRestriction: {
-          circle: {
-            center: { latitude: lat, longitude: lng },
-            radius: parseFloat(radius),
-          },
-        },
-      }),
-    });
-
-    if (!res.ok) throw new Error(`Places API HTTP ${res.status}`);
-    const data = await res.json();
-    const places = data.places || [];
-
-    const list = places
-      .map(p => ({
-        placeId:  p.id || '',
-        name:     p.displayName?.text   || 'Cinema',
-        address:  p.formattedAddress    || '',
-        rating:   p.rating              || null,
-        lat:      p.location?.latitude  || 0,
-        lng:      p.location?.longitude || 0,
-        distance: Math.round(_haversine(lat, lng, p.location?.latitude || 0, p.location?.longitude || 0)),
-      }))
-      // ── Filter: rating >= 3.0 (spec requirement) ──────────────────────────
-      .filter(t => t.rating === null || t.rating >= 3.0)
-      // ── Sort: distance ASC, rating DESC ───────────────────────────────────
-      .sort((a, b) => {
-        if (a.distance !== b.distance) return a.distance - b.distance;
-        return (b.rating || 0) - (a.rating || 0);
-      })
-      // ── Top 5 only (spec requirement) ─────────────────────────────────────
-      .slice(0, 5);
-
-    if (!list.length) {
-      console.warn('[theatres] 0 results after filter — fallback');
-      return _buildFallbackTheatres(lat, lng);
-    }
-
-    console.log(`[theatres] Places API v1: ${list.length} cinema(s)`);
-    return list;
-  } catch (err) {
-    console.warn(`[theatres] Places failed (${err.message}) — fallback`);
-    return _buildFallbackTheatres(lat, lng);
-  }
+  return movieData.getNearbyTheatres(lat, lng, radius);
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// searchTheatres — Google Places Text Search API v1
-// Ignores distance limit — lets user find any cinema by name
-// Returns max 10 results (not filtered to top 5)
-// ─────────────────────────────────────────────────────────────────────────────
+// searchTheatres — any cinema by name, ignoring the distance limit (max 10)
 async function searchTheatres(query, lat = null, lng = null) {
-  const KEY = process.env.GOOGLE_PLACES_API_KEY;
-  if (!KEY) return { success: false, theatres: [], message: 'Search unavailable' };
   if (!query?.trim()) return { success: false, theatres: [], message: 'Query required' };
 
   try {
-    const body = {
-      textQuery:    `${query.trim()} cinema movie theatre`,
-      includedType: 'movie_theater',
-      maxResultCount: 10,
-    };
-
-    // Bias results towards user's location if available
-    if (lat !== null && lng !== null) {
-      body.locationBias = {
-        circle: {
-          center: { latitude: lat, longitude: lng },
-          radius: 50000,
-        },
-      };
-    }
-
-    const res = await fetch('https://places.googleapis.com/v1/places:searchText', {
-      method: 'POST',
-      headers: {
-        'Content-Type':     'application/json',
-        'X-Goog-Api-Key':   KEY,
-        'X-Goog-FieldMask': 'places.id,places.displayName,places.formattedAddress,places.rating,places.location',
-      },
-      body: JSON.stringify(body),
-    });
-
-    if (!res.ok) throw new Error(`Places Text Search HTTP ${res.status}`);
-    const data  = await res.json();
-    const places = data.places || [];
-
-    const theatres = places.map(p => ({
-      placeId:  p.id || '',
-      name:     p.displayName?.text   || 'Cinema',
-      address:  p.formattedAddress    || '',
-      rating:   p.rating              || null,
-      lat:      p.location?.latitude  || 0,
-      lng:      p.location?.longitude || 0,
-      distance: (lat !== null && lng !== null)
-        ? Math.round(_haversine(lat, lng, p.location?.latitude || 0, p.location?.longitude || 0))
-        : null,
-    }));
-
+    const theatres = await movieData.searchTheatres(query, lat, lng);
     return { success: true, theatres, source: 'search' };
   } catch (err) {
     console.error(`[theatres/search] error: ${err.message}`);
@@ -644,74 +326,15 @@ async function searchTheatres(query, lat = null, lng = null) {
   }
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// searchMovies — TMDB Search API
-// Normalizes query, supports pagination, and maps response identically to Trending.
-// Uses short-lived caching for responsiveness.
-// ─────────────────────────────────────────────────────────────────────────────
-const _movieSearchCache = new Map();
-const MOVIE_SEARCH_TTL  = 5 * 60 * 1000; // 5 min TTL for searches
-
+// searchMovies — normalised query, paginated, mapped identically to trending
 async function searchMovies(query, page = 1) {
-  if (!query) return [];
-  const normalizedQuery = query.trim().replace(/\s+/g, ' ').toLowerCase();
-  if (!normalizedQuery) return [];
-  
-  const pageInt = Math.max(1, Math.min(parseInt(page) || 1, 100)); // Cap page to 100
-  const cacheKey = `${normalizedQuery}:${pageInt}`;
-
-  // Prune cache logic
-  const now = Date.now();
-  for (const [k, v] of _movieSearchCache.entries()) {
-    if (now - v.ts > MOVIE_SEARCH_TTL) {
-      _movieSearchCache.delete(k);
-    }
-  }
-
-  if (_movieSearchCache.has(cacheKey)) {
-    return _movieSearchCache.get(cacheKey).data;
-  }
-
-  const KEY = process.env.TMDB_API_KEY;
-  if (!KEY) {
-    console.warn('[searchMovies] TMDB_API_KEY not set');
-    return [];
-  }
-
-  try {
-    const BASE = process.env.TMDB_BASE_URL || 'https://api.tmdb.org/3';
-    const params = new URLSearchParams({
-      api_key: KEY,
-      query: normalizedQuery,
-      page: pageInt,
-      language: 'en-US',
-      region: 'IN',
-      include_adult: 'false'
-    });
-    
-    const res = await fetch(`${BASE}/search/movie?${params}`);
-    if (!res.ok) {
-      console.warn(`[searchMovies] TMDB HTTP ${res.status}`);
-      return [];
-    }
-
-    const data = await res.json();
-    const results = (data.results || [])
-      .filter(m => m.poster_path) // Require poster for UI integrity
-      .map(m => _mapTmdbMovie(m, 'search'));
-
-    _movieSearchCache.set(cacheKey, { data: results, ts: now });
-    return results;
-  } catch (err) {
-    console.warn(`[searchMovies] TMDB error: ${err.message}`);
-    return [];
-  }
+  return movieData.searchMovies(query, page);
 }
 
-
 // ─────────────────────────────────────────────────────────────────────────────
 // SYSTEM_SHOW_TIMES — fixed daily schedule for auto-generated sessions
 //   11 AM · 3 PM · 7 PM  (IST)
+// In fixture mode the catalogue's per-city showtimes replace it.
 // ─────────────────────────────────────────────────────────────────────────────
 const SYSTEM_SHOW_TIMES = [
   { hour: 11, minute: 0, label: '11 AM' },
@@ -786,10 +409,13 @@ async function generateSystemSessions(userCtx, lat, lng) {
   console.log(`   IST hour=${istHour}, target=${AFTER_7PM ? 'TOMORROW' : 'TODAY'} (${targetDateStr})`);
   console.log(`   lat=${lat}, lng=${lng}, lang=${userCtx?.languagePreference}, city=${userCtx?.city}`);
 
-  const [movies, theatres] = await Promise.all([
+  const [movies, theatres, cityShowTimes] = await Promise.all([
     fetchTrendingMovies(),
     fetchNearbyTheatres(lat, lng),
+    movieData.getShowTimes(userCtx?.city, lat, lng),
   ]);
+  // Never more than 3 slots — the max-3 system sessions rule
+  const showTimes = (cityShowTimes || SYSTEM_SHOW_TIMES).slice(0, 3);
 
   console.log(`   movies=${movies.length}, theatres=${theatres.length}`);
 
@@ -882,8 +508,8 @@ async function generateSystemSessions(userCtx, lat, lng) {
 
   let movieIdx = 0;
 
-  for (let i = 0; i < SYSTEM_SHOW_TIMES.length; i++) {
-    const slot    = SYSTEM_SHOW_TIMES[i];
+  for (let i = 0; i < showTimes.length; i++) {
+    const slot    = showTimes[i];
     const timeStr = `${String(slot.hour).padStart(2, '0')}:${String(slot.minute).padStart(2, '0')}`;
 
     // For TODAY: skip slots that are already in the past (IST)
@@ -1530,7 +1156,7 @@ async function sendMessage(userId, sessionId, text, io) {
 // sendPostSessionNotifications
 // Called by expiry job when showTime + 15 min passes.
 //
-// Sends FCM push + (optionally) activity feed entry.
+// Sends the 'movie_hangout.ended' push to the creator.
 // Messages per spec:
 //  1  participant  → "Your hangout didn't get any joins this time. Try again later."
 //  <=2 participants → "Only a few people joined this time. Try again with a different time."
@@ -1546,31 +1172,20 @@ async function sendPostSessionNotifications(session) {
   const message = getPostSessionMessage(count);
 
   try {
-    const User    = mongoose.model('User');
-    const creator = await User.findById(creatorStr).select('fcmTokens firstName').lean();
-    if (!creator) return;
-
-    // ── FCM push notification ─────────────────────────────────────────────────
-    const { tokens } = { tokens: creator.fcmTokens || [] };
-    if (tokens.length > 0) {
-      try {
-        const { messaging } = require('../config/firebase');
-        await messaging().sendEachForMulticast({
-          tokens,
-          notification: {
-            title: '🎬 Movie Hangout Update',
-            body:  message,
-          },
-          data: {
-            type:      'MOVIE_SESSION_EXPIRED',
-            sessionId: session._id.toString(),
-          },
-          android: { priority: 'normal' },
-        });
-        console.log(`[notify] FCM sent to ${creatorStr}: "${message}"`);
-      } catch (fcmErr) {
-        console.warn(`[notify] FCM failed: ${fcmErr.message}`);
-      }
+    // ── Push notification ─────────────────────────────────────────────────────
+    try {
+      const { dispatch } = require('./notificationDispatcher');
+      const { status } = await dispatch('movie_hangout.ended', {
+        userId:   creatorStr,
+        title:    '🎬 Movie Hangout Update',
+        body:     message,
+        data:     { type: 'MOVIE_SESSION_EXPIRED', sessionId: session._id.toString() },
+        entityId: session._id,
+      });
+      if (status === null) return;   // creator's account is gone
+      console.log(`[notify] push ${status} for ${creatorStr}: "${message}"`);
+    } catch (fcmErr) {
+      console.warn(`[notify] push failed: ${fcmErr.message}`);
     }
 
     // ── Mark as notified ──────────────────────────────────────────────────────
@@ -0,0 +1,135 @@
+// services/notificationChannels.js — Which channels each notification event uses
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Every dispatch() pushes; the channel rule decides what else happens:
+//
+//   inApp             keep a Notification row (events with their own inbox
+//                     always keep it)
+//   email             'off'      — push only
+//                     'fallback' — email when the push finds no device, FCM
+//                                  rejects it, or the app has not acknowledged
+//                                  it after ackWindowMinutes (0 = failures only)
+//                     'always'   — email as well as push
+//
+// Defaults come from config/notificationEvents.js; admins override them per
+// event through /api/admin/notification-channels (models/NotificationChannelRule.js).
+// Overrides are cached for a minute, so a write takes effect on this instance
+// immediately (the route reloads) and on the others within a minute.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const NotificationChannelRule = require('../models/NotificationChannelRule');
+const { NOTIFICATION_EVENTS, BROADCAST_EVENTS } = require('../config/notificationEvents');
+
+const MINUTE       = 60 * 1000;
+const RULE_TTL_MS  = 1 * MINUTE;
+const EMAIL_MODES  = ['off', 'fallback', 'always'];
+const MAX_ACK_WINDOW_MINUTES = 24 * 60;
+
+// Sent in batches or as a summary — never dispatched for one user's event
+const UNROUTED_EVENTS = new Set(['notifications.digest', ...Object.values(BROADCAST_EVENTS)]);
+
+let overrides = new Map();   // event → NotificationChannelRule
+let loadedAt  = 0;
+
+function isConfigurableEvent(event) {
+  return Boolean(NOTIFICATION_EVENTS[event]) && !UNROUTED_EVENTS.has(event);
+}
+
+function resolveRule(event, override = {}) {
+  const def = NOTIFICATION_EVENTS[event];
+  if (!def) throw new Error(`Unknown notification event: ${event}`);
+
+  const rule = {
+    event,
+    inApp:            Boolean(def.inbox),
+    email:            def.email || 'off',
+    ackWindowMinutes: def.ackWindowMs ? def.ackWindowMs / MINUTE : 0,
+  };
+  for (const field of ['inApp', 'email', 'ackWindowMinutes']) {
+    if (override[field] !== undefined && override[field] !== null) rule[field] = override[field];
+  }
+  if (def.inbox) rule.inApp = true;
+  return rule;
+}
+
+/**
+ * Why fields can't be applied to event, or null if they can.
+ */
+function validateChannelRule(event, fields) {
+  if (!isConfigurableEvent(event)) return `"${event}" has no per-user channel rule`;
+
+  if (fields.inApp !== undefined) {
+    if (typeof fields.inApp !== 'boolean') return 'inApp must be true or false';
+    if (fields.inApp === false && NOTIFICATION_EVENTS[event].inbox) {
+      return `"${event}" always keeps its in-app record`;
+    }
+  }
+  if (fields.email !== undefined && !EMAIL_MODES.includes(fields.email)) {
+    return `email must be one of ${EMAIL_MODES.join(', ')}`;
+  }
+  if (fields.ackWindowMinutes !== undefined) {
+    const minutes = fields.ackWindowMinutes;
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_ACK_WINDOW_MINUTES) {
+      return `ackWindowMinutes must be a whole number from 0 to ${MAX_ACK_WINDOW_MINUTES}`;
+    }
+  }
+  return null;
+}
+
+async function reloadChannelRules() {
+  const docs = await NotificationChannelRule.find({}).lean();
+  overrides = new Map(docs.map(doc => [doc.event, doc]));
+  loadedAt  = Date.now();
+  return overrides.size;
+}
+
+/**
+ * The effective rule for event — its default with any admin override applied.
+ */
+async function getChannelRule(event) {
+  if (Date.now() - loadedAt > RULE_TTL_MS) {
+    try {
+      await reloadChannelRules();
+    } catch (err) {
+      // Keep the last known overrides rather than fail the dispatch
+      console.error('[NOTIFY] Channel rule refresh failed:', err.message);
+      loadedAt = Date.now();
+    }
+  }
+  return resolveRule(event, overrides.get(event));
+}
+
+/** Every configurable event's effective rule, as of the last reload. */
+function listChannelRules() {
+  return Object.keys(NOTIFICATION_EVENTS)
+    .filter(isConfigurableEvent)
+    .map(event => ({ ...resolveRule(event, overrides.get(event)), overridden: overrides.has(event) }));
+}
+
+/**
+ * When the email copy of a delivery should go out, or null if it shouldn't.
+ * status is the push outcome (NotificationDelivery status).
+ */
+function emailDueAt(rule, status, now = new Date()) {
+  if (status === 'COLLAPSED' || status === 'DIGESTED') return null;
+  if (rule.email === 'always') return now;
+  if (rule.email !== 'fallback') return null;
+
+  if (status === 'NO_TOKENS' || status === 'FAILED') return now;
+  if (status === 'SENT' && rule.ackWindowMinutes > 0) {
+    return new Date(now.getTime() + rule.ackWindowMinutes * MINUTE);
+  }
+  return null;   // suppressed by the user, or still waiting out quiet hours
+}
+
+module.exports = {
+  EMAIL_MODES,
+  isConfigurableEvent,
+  validateChannelRule,
+  reloadChannelRules,
+  getChannelRule,
+  listChannelRules,
+  emailDueAt,
+};
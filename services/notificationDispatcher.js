@@ -0,0 +1,469 @@
+// services/notificationDispatcher.js — The one way features send a push
+// ─────────────────────────────────────────────────────────────────────────────
+//
+//   dispatch(event, { userId, title, body, data, collapseKey,
+//                     actorId, entityType, entityId, entityImage })
+//   dispatchMany(event, userIds, { ...same, without userId })
+//
+// event is a key of config/notificationEvents.js. For every call:
+//   1. collapse   same user + collapseKey inside the event's collapseMs → dropped
+//   2. inbox      Notification row or Activity entry, if the event has one or
+//                 its channel rule keeps an in-app copy (written even when the
+//                 push itself is suppressed)
+//   3. preference pushNotifications master switch + the event's toggle;
+//                 critical events skip this and quiet hours
+//   4. preview    previewContent off → user content blanked from the payload
+//   5. digest     digestEnabled + a low-priority event → held for the next
+//                 morning/evening slot; one 'notifications.digest' job per user
+//                 per slot sends a single push counting everything held
+//   6. quiet hrs  (the user's, or the event's defaultQuietHours when they have
+//                 none) push deferred to the end of the window through the job
+//                 queue ('notifications.deliver'), re-checked when it runs;
+//                 dropped instead for timely events
+//   7. send       utils/fcmHelper.js — data-only FCM, dead tokens pruned
+//   8. outcome    one NotificationDelivery row per call
+//   9. email      per the event's channel rule (services/notificationChannels.js)
+//                 — 'always', or 'fallback' when the push fails, finds no
+//                 device or is not acknowledged in time; sent by the
+//                 'notifications.email' job, which re-checks the ack first
+//
+// The payload carries deliveryId (and notificationId for an in-app copy) so
+// the app can acknowledge the push or mark the copy read.
+//
+// Quiet hours and digest times are wall-clock in notifications.timezone.
+//
+// Returns { status, deliveryId } — status is the NotificationDelivery status,
+// or null when the recipient no longer exists.
+//
+// Broadcasts are batched by services/broadcastFcmService.js and only use
+// pushBlockReason() from here.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose             = require('mongoose');
+const User                 = require('../models/User');
+const Notification         = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { NOTIFICATION_EVENTS } = require('../config/notificationEvents');
+const { sendDataFcm }      = require('../utils/fcmHelper');
+const { sendNotificationEmail } = require('./email');
+const { getChannelRule, emailDueAt } = require('./notificationChannels');
+const { registerHandler, enqueue } = require('./jobQueue');
+
+// Users who never picked a zone — every launch region is in India
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const MINUTES_PER_DAY  = 24 * 60;
+const FAN_OUT_BATCH    = 25;   // dispatchMany recipients in flight at once
+
+function getEvent(event) {
+  const def = NOTIFICATION_EVENTS[event];
+  if (!def) throw new Error(`Unknown notification event: ${event}`);
+  return def;
+}
+
+// ── Preferences ──────────────────────────────────────────────────────────────
+function parseClock(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes < MINUTES_PER_DAY ? minutes : null;
+}
+
+const clockFormats = new Map();   // timezone → Intl.DateTimeFormat
+
+/** Minutes past local midnight at now in timeZone (DEFAULT_TIMEZONE if unknown). */
+function localMinutes(now, timeZone) {
+  const zone = timeZone || DEFAULT_TIMEZONE;
+  let format = clockFormats.get(zone);
+  if (!format) {
+    try {
+      format = new Intl.DateTimeFormat('en-GB', { timeZone: zone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    } catch {
+      return localMinutes(now, DEFAULT_TIMEZONE);
+    }
+    clockFormats.set(zone, format);
+  }
+  const parts = format.formatToParts(now);
+  const part  = type => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+/** The Date minutesAhead minutes after now, on the minute. */
+function minutesFromNow(now, minutesAhead) {
+  const at = new Date(now.getTime() + minutesAhead * 60 * 1000);
+  at.setUTCSeconds(0, 0);
+  return at;
+}
+
+/**
+ * When now falls inside the user's quiet hours, the Date they end; otherwise null.
+ */
+function quietHoursEnd(prefs, now = new Date()) {
+  if (!prefs?.quietHoursEnabled) return null;
+  const start = parseClock(prefs.quietHoursStart);
+  const end   = parseClock(prefs.quietHoursEnd);
+  if (start === null || end === null || start === end) return null;
+
+  const local = localMinutes(now, prefs.timezone);
+  const inside = start < end
+    ? local >= start && local < end
+    : local >= start || local < end;   // window wraps past midnight
+  if (!inside) return null;
+
+  return minutesFromNow(now, (end - local + MINUTES_PER_DAY) % MINUTES_PER_DAY);
+}
+
+/**
+ * With digests on, the Date of the next morning/evening digest strictly after
+ * the current minute; otherwise null.
+ */
+function nextDigestAt(prefs, now = new Date()) {
+  if (!prefs?.digestEnabled) return null;
+  const slots = [prefs.digestMorningTime, prefs.digestEveningTime]
+    .map(parseClock)
+    .filter(slot => slot !== null);
+  if (slots.length === 0) return null;
+
+  const local = localMinutes(now, prefs.timezone);
+  const ahead = Math.min(...slots.map(slot => (slot - local + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY));
+  return minutesFromNow(now, ahead);
+}
+
+/**
+ * The quiet-hours settings that apply to def: the user's own when they have
+ * turned them on, otherwise the event's defaultQuietHours (if any).
+ */
+function quietHoursFor(prefs, def) {
+  if (prefs?.quietHoursEnabled || !def.defaultQuietHours) return prefs;
+  const [quietHoursStart, quietHoursEnd] = def.defaultQuietHours;
+  return { ...prefs, quietHoursEnabled: true, quietHoursStart, quietHoursEnd };
+}
+
+/**
+ * Why this user must not get a push for event right now, or null if they may.
+ * 'push_disabled' | 'preference_disabled' | 'quiet_hours'
+ */
+function pushBlockReason(user, event, now = new Date()) {
+  const def = getEvent(event);
+  if (def.critical) return null;
+
+  const prefs = user?.notifications || {};
+  if (prefs.pushNotifications === false) return 'push_disabled';
+  if (def.preference && prefs[def.preference] === false) return 'preference_disabled';
+  if (quietHoursEnd(quietHoursFor(prefs, def), now)) return 'quiet_hours';
+  return null;
+}
+
+// ── Payload ──────────────────────────────────────────────────────────────────
+function buildPayload(def, user, { userId, title, body, data }) {
+  const payload = { ...data, recipientUserId: String(userId) };
+  if (title) payload.title = title;
+  if (body)  payload.body  = body;
+
+  const prefs = user.notifications || {};
+  if (prefs.previewContent === false && def.previewFields) {
+    def.previewFields.forEach(field => {
+      if (field in payload) payload[field] = '';
+    });
+    payload.body = def.hiddenPreview || '';
+  }
+  return payload;
+}
+
+async function writeInbox(def, rule, { userId, title, body, actorId, entityType, entityId, entityImage }) {
+  const inbox = def.inbox || (rule.inApp ? 'notification' : null);
+
+  if (inbox === 'notification') {
+    const notification = await Notification.create({
+      userId,
+      title,
+      message: body,
+      type:    def.notificationType || 'SYSTEM',
+      createdBy: 'system',
+    });
+    return { notificationId: notification._id };
+  }
+
+  if (inbox === 'activity') {
+    // Lazy require — keeps controllers out of the dispatcher's load graph
+    const { createOrAggregateActivity } = require('../controllers/activityController');
+    const activity = await createOrAggregateActivity({
+      userId,
+      actorId,
+      type: def.activityType,
+      entityType,
+      entityId,
+      entityImage,
+      message: body || null,
+    });
+    return { activityId: activity?._id || null };
+  }
+
+  return {};
+}
+
+async function send(userId, tokens, payload) {
+  const usable = (tokens || []).filter(Boolean);
+  if (usable.length === 0) {
+    return { status: 'NO_TOKENS', successCount: 0, failureCount: 0, prunedTokens: 0 };
+  }
+
+  const result = await sendDataFcm(String(userId), usable, payload);
+  return {
+    status:       result.successCount > 0 ? 'SENT' : 'FAILED',
+    reason:       result.error || null,
+    successCount: result.successCount,
+    failureCount: result.failureCount,
+    prunedTokens: result.prunedTokens,
+    sentAt:       result.successCount > 0 ? new Date() : null,
+  };
+}
+
+// ── Dispatch ─────────────────────────────────────────────────────────────────
+async function dispatch(event, params) {
+  const def = getEvent(event);
+  const { userId, title = '', body = '', data = {} } = params;
+  const collapseKey = params.collapseKey || (params.entityId ? `${event}:${params.entityId}` : event);
+  const now = new Date();
+
+  const user = await User.findById(userId).select('fcmTokens notifications').lean();
+  if (!user) return { status: null, deliveryId: null };
+
+  const base = { userId, event, collapseKey, title, body };
+  const rule = await getChannelRule(event);
+
+  if (def.collapseMs) {
+    const recent = await NotificationDelivery.exists({
+      userId,
+      collapseKey,
+      status: { $ne: 'COLLAPSED' },
+      createdAt: { $gte: new Date(now.getTime() - def.collapseMs) },
+    });
+    if (recent) {
+      const delivery = await NotificationDelivery.create({ ...base, status: 'COLLAPSED' });
+      return { status: delivery.status, deliveryId: delivery._id };
+    }
+  }
+
+  const inbox   = await writeInbox(def, rule, { ...params, title, body });
+  const _id     = new mongoose.Types.ObjectId();
+  const payload = buildPayload(def, user, { userId, title, body, data });
+  payload.deliveryId = String(_id);
+  if (inbox.notificationId) payload.notificationId = String(inbox.notificationId);
+  const record  = { _id, ...base, ...inbox, title: payload.title || '', body: payload.body || '', data: payload };
+
+  const blocked = pushBlockReason(user, event, now);
+  if (blocked && (blocked !== 'quiet_hours' || def.timely)) {
+    const delivery = await NotificationDelivery.create({ ...record, status: 'SUPPRESSED', reason: blocked });
+    await scheduleEmail(delivery, rule, now);
+    return { status: delivery.status, deliveryId: delivery._id };
+  }
+
+  const digestAt = def.digest ? nextDigestAt(user.notifications, now) : null;
+  if (digestAt) {
+    const delivery = await NotificationDelivery.create({ ...record, status: 'DIGESTED', deliverAfter: digestAt });
+    await scheduleDigest(userId, digestAt);
+    return { status: delivery.status, deliveryId: delivery._id };
+  }
+
+  if (blocked === 'quiet_hours') {
+    const deliverAfter = quietHoursEnd(quietHoursFor(user.notifications, def), now);
+    const delivery = await NotificationDelivery.create({ ...record, status: 'DEFERRED', reason: blocked, deliverAfter });
+    await enqueue('notifications.deliver', { deliveryId: delivery._id.toString() }, {
+      runAt:     deliverAfter,
+      uniqueKey: `notifications.deliver:${delivery._id}`,
+    });
+    await scheduleEmail(delivery, rule, now);
+    return { status: delivery.status, deliveryId: delivery._id };
+  }
+
+  const outcome  = await send(userId, user.fcmTokens, payload);
+  const delivery = await NotificationDelivery.create({ ...record, ...outcome });
+  await scheduleEmail(delivery, rule, now);
+  return { status: delivery.status, deliveryId: delivery._id };
+}
+
+/**
+ * dispatch() to every user in userIds with the same params, FAN_OUT_BATCH at
+ * a time. A failure for one recipient is logged and counted, not thrown.
+ * Returns how many calls ended in each status, e.g. { SENT: 12, SUPPRESSED: 3 }.
+ */
+async function dispatchMany(event, userIds, params) {
+  getEvent(event);
+  const counts = {};
+  for (let i = 0; i < userIds.length; i += FAN_OUT_BATCH) {
+    const batch = userIds.slice(i, i + FAN_OUT_BATCH);
+    const results = await Promise.all(batch.map(userId =>
+      dispatch(event, { ...params, userId }).catch((err) => {
+        console.error(`[notify] ${event} to ${userId} failed:`, err.message);
+        return { status: 'ERROR' };
+      })
+    ));
+    results.forEach(({ status }) => {
+      if (status) counts[status] = (counts[status] || 0) + 1;
+    });
+  }
+  return counts;
+}
+
+// ── Deferred (quiet hours) ───────────────────────────────────────────────────
+async function deliverDeferred({ deliveryId }) {
+  const delivery = await NotificationDelivery.findOne({ _id: deliveryId, status: 'DEFERRED' });
+  if (!delivery) return;
+
+  const user = await User.findById(delivery.userId).select('fcmTokens notifications').lean();
+  if (!user) {
+    delivery.status = 'NO_TOKENS';
+    delivery.reason = 'user_deleted';
+    await delivery.save();
+    return;
+  }
+
+  // Preferences may have changed overnight
+  const blocked = pushBlockReason(user, delivery.event);
+  if (blocked && blocked !== 'quiet_hours') {
+    delivery.status = 'SUPPRESSED';
+    delivery.reason = blocked;
+    await delivery.save();
+    return;
+  }
+
+  const outcome = await send(delivery.userId, user.fcmTokens, delivery.data || {});
+  Object.assign(delivery, outcome);
+  await delivery.save();
+  await scheduleEmail(delivery, await getChannelRule(delivery.event));
+}
+
+// ── Email copy ───────────────────────────────────────────────────────────────
+async function scheduleEmail(delivery, rule, now = new Date()) {
+  const runAt = emailDueAt(rule, delivery.status, now);
+  if (!runAt) return;
+
+  // An 'always' copy was already queued when the push was deferred
+  await NotificationDelivery.updateOne({ _id: delivery._id, emailStatus: null }, { $set: { emailStatus: 'PENDING' } });
+  await enqueue('notifications.email', { deliveryId: delivery._id.toString() }, {
+    runAt,
+    uniqueKey: `notifications.email:${delivery._id}`,
+  });
+}
+
+/** The app showed the push, or the user has read its in-app copy. */
+async function isAcknowledged(delivery) {
+  if (delivery.acknowledgedAt) return true;
+  if (!delivery.notificationId) return false;
+  return Boolean(await Notification.exists({ _id: delivery.notificationId, isRead: true }));
+}
+
+async function deliverEmail({ deliveryId }) {
+  const delivery = await NotificationDelivery.findOne({ _id: deliveryId, emailStatus: 'PENDING' });
+  if (!delivery) return;
+
+  const skip = (reason) => {
+    delivery.emailStatus = 'SKIPPED';
+    delivery.emailReason = reason;
+    return delivery.save();
+  };
+
+  // Rules may have changed since the job was queued
+  const rule = await getChannelRule(delivery.event);
+  if (rule.email === 'off') return skip('rule_disabled');
+  if (rule.email === 'fallback' && delivery.status === 'SENT' && await isAcknowledged(delivery)) {
+    return skip('acknowledged');
+  }
+
+  const user = await User.findById(delivery.userId).select('email firstName').lean();
+  if (!user?.email) return skip(user ? 'no_email' : 'user_deleted');
+
+  // A send error leaves it PENDING for the job queue to retry
+  await sendNotificationEmail(user.email, { name: user.firstName, title: delivery.title, body: delivery.body });
+  delivery.emailStatus = 'SENT';
+  delivery.emailReason = null;
+  delivery.emailSentAt = new Date();
+  await delivery.save();
+}
+
+// ── Digest ───────────────────────────────────────────────────────────────────
+function scheduleDigest(userId, runAt) {
+  return enqueue('notifications.digest', { userId: String(userId) }, {
+    runAt,
+    uniqueKey: `notifications.digest:${userId}@${runAt.toISOString()}`,
+  });
+}
+
+function digestSummary(held) {
+  const counts = new Map();
+  held.forEach(delivery => counts.set(delivery.event, (counts.get(delivery.event) || 0) + 1));
+
+  const lines = [...counts.entries()].map(([event, count]) => {
+    const [one, many] = NOTIFICATION_EVENTS[event]?.digestLabel || ['update', 'updates'];
+    return `${count} ${count === 1 ? one : many}`;
+  });
+
+  return {
+    title: held.length === 1 ? '✨ 1 update while you were away' : `✨ ${held.length} updates while you were away`,
+    body:  lines.join(' · '),
+  };
+}
+
+async function sendDigest({ userId }) {
+  const now  = new Date();
+  const held = await NotificationDelivery.find({ userId, status: 'DIGESTED', deliverAfter: { $lte: now } })
+    .sort({ createdAt: 1 });
+  if (held.length === 0) return;
+  const heldIds = held.map(delivery => delivery._id);
+
+  const user = await User.findById(userId).select('fcmTokens notifications').lean();
+  const blocked = user ? pushBlockReason(user, 'notifications.digest', now) : 'user_deleted';
+
+  // Digest slot fell inside quiet hours — hold everything until they end
+  if (blocked === 'quiet_hours') {
+    const deliverAfter = quietHoursEnd(user.notifications, now);
+    await NotificationDelivery.updateMany({ _id: { $in: heldIds } }, { $set: { deliverAfter } });
+    await scheduleDigest(userId, deliverAfter);
+    return;
+  }
+  if (blocked) {
+    await NotificationDelivery.updateMany({ _id: { $in: heldIds } }, { $set: { status: 'SUPPRESSED', reason: blocked } });
+    return;
+  }
+
+  const { title, body } = digestSummary(held);
+  const payload = {
+    type: 'NOTIFICATION_DIGEST',
+    title,
+    body,
+    count: held.length,
+    recipientUserId: String(userId),
+  };
+  const outcome = await send(userId, user.fcmTokens, payload);
+
+  const digest = await NotificationDelivery.create({
+    userId,
+    event: 'notifications.digest',
+    collapseKey: `notifications.digest@${now.toISOString()}`,
+    title,
+    body,
+    data: payload,
+    ...outcome,
+  });
+  await NotificationDelivery.updateMany(
+    { _id: { $in: heldIds } },
+    { $set: { status: outcome.status, reason: outcome.reason || null, sentAt: outcome.sentAt || null, digestDeliveryId: digest._id } }
+  );
+}
+
+registerHandler('notifications.deliver', deliverDeferred, { queue: 'notifications', maxAttempts: 3 });
+registerHandler('notifications.digest', sendDigest, { queue: 'notifications', maxAttempts: 3 });
+registerHandler('notifications.email', deliverEmail, { queue: 'notifications', maxAttempts: 5 });
+
+module.exports = {
+  dispatch,
+  dispatchMany,
+  pushBlockReason,
+  quietHoursEnd,
+  nextDigestAt,
+  deliverDeferred,
+  deliverEmail,
+  sendDigest,
+};
@@ -79,61 +79,24 @@ async function notifyNearbyUsers(booking) {
 
     console.log(`📤 Sending notifications to ${userIds.length} users...`);
 
-    // Get full user details with FCM tokens
-    const users = await User.find({
-      _id: { $in: userIds }
-    }).select('fcmTokens firstName');
-
-    // Send FCM notifications
-    const admin = require('firebase-admin');
-    const promises = [];
-
-    for (const user of users) {
-      if (!user.fcmTokens || user.fcmTokens.length === 0) continue;
-
-      const message = {
-        notification: {
-          title: '🎉 New Meet Request Nearby!',
-          body: `Someone is looking to meet in ${booking.city} on ${booking.date}`
-        },
+    const { dispatch } = require('./notificationDispatcher');
+    const promises = userIds.map(userId =>
+      dispatch('random_booking.nearby', {
+        userId,
+        title: '🎉 New Meet Request Nearby!',
+        body:  `Someone is looking to meet in ${booking.city} on ${booking.date}`,
+        entityId: booking._id,
         data: {
           type: 'new_random_booking',
           bookingId: booking._id.toString(),
           city: booking.city,
           date: booking.date,
           time: booking.time
-        },
-        tokens: user.fcmTokens
-      };
-
-      promises.push(
-        admin.messaging().sendMulticast(message)
-          .then(response => {
-            console.log(`✅ Notification sent to ${user.firstName}: ${response.successCount} success`);
-            
-            // Clean up invalid tokens
-            if (response.failureCount > 0) {
-              const failedTokens = [];
-              response.responses.forEach((resp, idx) => {
-                if (!resp.success) {
-                  failedTokens.push(user.fcmTokens[idx]);
-                }
-              });
-              
-              // Remove invalid tokens
-              if (failedTokens.length > 0) {
-                user.fcmTokens = user.fcmTokens.filter(
-                  token => !failedTokens.includes(token)
-                );
-                user.save();
-              }
-            }
-          })
-          .catch(error => {
-            console.error(`❌ Failed to send to ${user.firstName}:`, error);
-          })
-      );
-    }
+        }
+      }).catch(error => {
+        console.error(`❌ Failed to notify ${userId}:`, error.message);
+      })
+    );
 
     await Promise.all(promises);
     console.log(`✅ Notification batch complete`);
@@ -188,38 +151,13 @@ async function getNearbyRandomBookings(userId, radiusKm = 50) {
   }
 }
 
-/**
- * Send a high-priority FCM push to a single user by userId.
- * Fetches the user's FCM tokens, then delegates to sendDataFcm.
- * Used by moodRequestController via safePush().
- *
- * @param {string} userId  - Recipient MongoDB user ID
- * @param {string} title   - Notification title (passed as data field for custom handling)
- * @param {string} body    - Notification body
- * @param {object} data    - Extra key-value data payload
- */
-async function sendPushToUser(userId, title, body, data = {}) {
-  try {
-    const { sendDataFcm } = require('../utils/fcmHelper');
-    const user = await User.findById(userId).select('fcmTokens').lean();
-    if (!user?.fcmTokens?.length) return;
-    await sendDataFcm(userId.toString(), user.fcmTokens, {
-      ...data,
-      title:  title  || '',
-      body:   body   || '',
-    });
-  } catch (e) {
-    console.error('[notificationService] sendPushToUser error:', e.message);
-  }
-}
-
 async function sendMovieHangoutNotification(sessionId, msg, senderName, isVoice) {
   try {
     const MovieSession = require('../models/MovieSession');
     const session = await MovieSession.findById(sessionId).lean();
     if (!session) return;
 
-    const { sendDataFcm } = require('../utils/fcmHelper');
+    const { dispatch } = require('./notificationDispatcher');
     const title = 'Humrah Movie Hangout';
     const body = isVoice ? `${senderName} sent a voice note` : `${senderName}: ${msg.text}`;
     
@@ -227,17 +165,17 @@ async function sendMovieHangoutNotification(sessionId, msg, senderName, isVoice)
     const recipientIds = session.participants.filter(p => p.toString() !== msg.senderId.toString());
     
     for (const uid of recipientIds) {
-      const user = await User.findById(uid).select('fcmTokens').lean();
-      if (!user?.fcmTokens?.length) continue;
-      
-      await sendDataFcm(uid.toString(), user.fcmTokens, {
-        type: 'movie_hangout_message',
-        sessionId: sessionId.toString(),
-        senderId: msg.senderId.toString(),
-        senderName: senderName,
-        title: title,
-        body: body,
-        messageId: msg._id.toString()
+      await dispatch('movie_hangout.message', {
+        userId: uid,
+        title,
+        body,
+        data: {
+          type: 'movie_hangout_message',
+          sessionId: sessionId.toString(),
+          senderId: msg.senderId.toString(),
+          senderName: senderName,
+          messageId: msg._id.toString()
+        }
       });
     }
   } catch (err) {
@@ -249,6 +187,5 @@ module.exports = {
   findUsersToNotify,
   notifyNearbyUsers,
   getNearbyRandomBookings,
-  sendPushToUser,
   sendMovieHangoutNotification,
 };
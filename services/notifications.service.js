@@ -8,12 +8,16 @@ class NotificationsService {
     let comfortCount = 0;
     let warmthCount = 0;
     let noteCount = 0;
+    let conversationCount = 0;
+    let updateCount = 0;
     let unreadCount = 0;
 
     const formatted = notifications.map(n => {
       if (n.type === 'comfort' || n.type === 'helped') comfortCount += n.count;
       if (n.type === 'warmth') warmthCount += n.count;
       if (n.type === 'note') noteCount += n.count;
+      if (n.type === 'author_reply' || n.type === 'thread_reply') conversationCount += n.count;
+      if (n.type === 'update') updateCount += n.count;
       if (!n.isRead) unreadCount += 1;
 
       return {
@@ -27,7 +31,7 @@ class NotificationsService {
       };
     });
 
-    const summary = { comfortCount, warmthCount, noteCount, unreadCount };
+    const summary = { comfortCount, warmthCount, noteCount, conversationCount, updateCount, unreadCount };
     return { notifications: formatted, summary };
   }
 
@@ -86,6 +90,45 @@ class NotificationsService {
       console.error('[notifications.service] note notification error:', err.message);
     }
   }
+
+  // The letter author answered recipientId's note
+  async notifyAuthorReply(recipientId, letterId, previewText) {
+    await this._notifyConversation(recipientId, letterId, 'author_reply', previewText);
+  }
+
+  // A note writer answered the letter author back in their thread
+  async notifyThreadReply(recipientId, letterId, previewText) {
+    try {
+      const Letter = require('../models/Letter');
+      const letter = await Letter.findById(letterId);
+      if (!letter || letter.author.toString() !== recipientId.toString()) {
+        console.warn('[notifications.service] Ignored thread push: recipient is not the author');
+        return;
+      }
+    } catch (err) {
+      console.error('[notifications.service] thread notification error:', err.message);
+      return;
+    }
+    await this._notifyConversation(recipientId, letterId, 'thread_reply', previewText);
+  }
+
+  // Everyone who left a note or reaction hears how things turned out
+  async notifyLetterUpdate(recipientIds, letterId, previewText) {
+    for (const recipientId of recipientIds) {
+      await this._notifyConversation(recipientId, letterId, 'update', previewText);
+    }
+  }
+
+  async _notifyConversation(recipientId, letterId, type, previewText) {
+    try {
+      const notification = await notificationsRepo.upsertNotification(recipientId, letterId, type, previewText);
+      if (notification && notification._id) {
+        await pushService.sendConversationNotification(recipientId, letterId, notification._id, type, previewText);
+      }
+    } catch (err) {
+      console.error(`[notifications.service] ${type} notification error:`, err.message);
+    }
+  }
 }
 
 module.exports = new NotificationsService();
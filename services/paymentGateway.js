@@ -1,5 +1,24 @@
 // services/paymentGateway.js - FINAL CORRECTED VERSION
 const axios = require('axios');
+const crypto = require('crypto');
+
+// Mock payments are opt-in (USE_MOCK_PAYMENTS=true) and never allowed in production —
+// missing gateway keys leave payments unavailable, they do not switch to mock.
+const USE_MOCK_PAYMENTS = process.env.USE_MOCK_PAYMENTS === 'true';
+if (USE_MOCK_PAYMENTS && process.env.NODE_ENV === 'production') {
+  throw new Error('[paymentGateway] USE_MOCK_PAYMENTS=true is not allowed when NODE_ENV=production');
+}
+
+// Signs mock-mode checkout callbacks. Set it when several instances share mock
+// checkouts; otherwise each process makes its own.
+const MOCK_PAYMENT_SECRET = USE_MOCK_PAYMENTS
+  ? (process.env.MOCK_PAYMENT_SECRET || crypto.randomBytes(32).toString('hex'))
+  : null;
+
+function safeEqualHex(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
 
 /**
  * ✅ CORRECTED: Payment Gateway Service
@@ -21,9 +40,8 @@ class PaymentGatewayService {
     this.baseURL = process.env.PAYMENT_GATEWAY_URL || 'https://api.razorpay.com/v1';
     
     // ✅ CORRECTED: Only check API credentials (NO account number)
-    this.isDevelopment = !this.apiKey || !this.apiSecret || 
-                         process.env.NODE_ENV === 'development' ||
-                         process.env.USE_MOCK_PAYMENTS === 'true';
+    this.isConfigured = Boolean(this.apiKey && this.apiSecret);
+    this.isDevelopment = USE_MOCK_PAYMENTS;
     
     if (this.isDevelopment) {
       console.log('');
@@ -32,13 +50,15 @@ class PaymentGatewayService {
       console.log('🧪 ========================================');
       console.log('🧪  Using MOCK UPI verification');
       console.log('🧪  ');
-      console.log('🧪  To use real Razorpay, set:');
+      console.log('🧪  To use real Razorpay, unset USE_MOCK_PAYMENTS and set:');
       console.log('🧪    PAYMENT_GATEWAY_API_KEY=rzp_test_XXX');
       console.log('🧪    PAYMENT_GATEWAY_API_SECRET=XXX');
       console.log('🧪  ');
       console.log('🧪  No account number needed!');
       console.log('🧪 ========================================');
       console.log('');
+    } else if (!this.isConfigured) {
+      console.error('❌ Payment Gateway: PAYMENT_GATEWAY_API_KEY / PAYMENT_GATEWAY_API_SECRET not set — payments unavailable');
     } else {
       console.log('✅ Payment Gateway: Using real Razorpay API');
       console.log(`✅ Key: ${this.apiKey.substring(0, 20)}...`);
@@ -56,6 +76,7 @@ class PaymentGatewayService {
       console.log('🧪 Using MOCK verification...');
       return this.mockVerifyUPI(upiId);
     }
+    if (!this.isConfigured) return this.notConfigured();
     
     console.log('🔐 Using REAL Razorpay Fund Account Validation API...');
     
@@ -114,6 +135,10 @@ class PaymentGatewayService {
     }
   }
 
+  notConfigured() {
+    return { success: false, error: 'Payment gateway is not configured' };
+  }
+
   /**
    * Mock UPI verification
    */
@@ -171,6 +196,153 @@ class PaymentGatewayService {
     });
   }
 
+  // =============================================
+  // CHECKOUT — ORDERS, PAYMENT SIGNATURES, REFUNDS
+  // =============================================
+
+  /**
+   * Create a gateway order for a booking checkout.
+   * amount is in RUPEES (same unit as Booking.totalAmount) — converted to paise here.
+   */
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    if (this.isDevelopment) {
+      return this.mockCreateOrder({ amount, currency, receipt, notes });
+    }
+    if (!this.isConfigured) return this.notConfigured();
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/orders`,
+        {
+          amount: Math.round(amount * 100),
+          currency,
+          receipt,
+          notes
+        },
+        {
+          auth: { username: this.apiKey, password: this.apiSecret },
+          headers: { 'Content-Type': 'application/json' },
+          timeout: 30000
+        }
+      );
+
+      return {
+        success: true,
+        orderId: response.data.id,
+        amount,
+        currency: response.data.currency,
+        status: response.data.status,
+        keyId: this.apiKey,
+        mock: false
+      };
+    } catch (error) {
+      console.error('❌ Create order error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.description || 'Could not create payment order'
+      };
+    }
+  }
+
+  mockCreateOrder({ amount, currency, receipt }) {
+    const orderId = `order_mock_${crypto.randomBytes(7).toString('hex')}`;
+    console.log(`🧪 Mock order ${orderId}: ₹${amount} (${receipt})`);
+    return Promise.resolve({
+      success: true,
+      orderId,
+      amount,
+      currency,
+      status: 'created',
+      keyId: 'rzp_mock',
+      mock: true
+    });
+  }
+
+  /**
+   * Verify the checkout callback signature:
+   *   HMAC_SHA256(order_id + "|" + payment_id, key_secret)
+   * In mock mode the secret is MOCK_PAYMENT_SECRET so the whole flow can be
+   * exercised offline (see mockSignPayment).
+   */
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    if (!orderId || !paymentId || !signature) return false;
+
+    const secret = this.isDevelopment ? MOCK_PAYMENT_SECRET : this.apiSecret;
+    if (!secret) return false;
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+
+    return safeEqualHex(expected, signature);
+  }
+
+  /**
+   * Mock-mode only: produce what the checkout SDK would hand back on success.
+   */
+  mockSignPayment(orderId) {
+    if (!this.isDevelopment) throw new Error('mockSignPayment is only available in mock payment mode');
+    const paymentId = `pay_mock_${crypto.randomBytes(7).toString('hex')}`;
+    const signature = crypto
+      .createHmac('sha256', MOCK_PAYMENT_SECRET)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+    return { orderId, paymentId, signature };
+  }
+
+  /**
+   * Refund a captured payment. amount in RUPEES; omit for a full refund.
+   */
+  async refundPayment(paymentId, amount, notes = {}) {
+    if (!paymentId) {
+      return { success: false, error: 'No payment to refund' };
+    }
+
+    if (this.isDevelopment) {
+      console.log(`🧪 Mock refund: ₹${amount ?? 'full'} for ${paymentId}`);
+      return {
+        success: true,
+        refundId: `rfnd_mock_${crypto.randomBytes(7).toString('hex')}`,
+        amount,
+        status: 'processed',
+        mock: true
+      };
+    }
+    if (paymentId.startsWith('pay_mock_')) {
+      return { success: false, error: 'Mock payments cannot be refunded through the live gateway' };
+    }
+    if (!this.isConfigured) return this.notConfigured();
+
+    try {
+      const body = { notes };
+      if (amount != null) body.amount = Math.round(amount * 100);
+
+      const response = await axios.post(
+        `${this.baseURL}/payments/${paymentId}/refund`,
+        body,
+        {
+          auth: { username: this.apiKey, password: this.apiSecret },
+          headers: { 'Content-Type': 'application/json' },
+          timeout: 30000
+        }
+      );
+
+      return {
+        success: true,
+        refundId: response.data.id,
+        amount: response.data.amount / 100,
+        status: response.data.status,
+        mock: false
+      };
+    } catch (error) {
+      console.error('❌ Refund error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.description || 'Refund failed'
+      };
+    }
+  }
+
   async getPayoutStatus() {
     return { success: true, status: 'processed', utr: `${Date.now()}` };
   }
@@ -179,16 +351,25 @@ class PaymentGatewayService {
     return { success: true, balance: 100000, currency: 'INR' };
   }
 
+  /**
+   * Webhook signature (x-razorpay-signature). Pass the RAW request body —
+   * re-serialising parsed JSON does not reproduce the signed bytes.
+   * Without PAYMENT_GATEWAY_WEBHOOK_SECRET nothing verifies — payout webhooks
+   * move money, so there is no unsigned mode, mock or not.
+   */
   verifyWebhookSignature(payload, signature) {
-    const crypto = require('crypto');
     const secret = process.env.PAYMENT_GATEWAY_WEBHOOK_SECRET;
-    if (!secret) return this.isDevelopment;
+    if (!secret) return false;
+    
+    const body = Buffer.isBuffer(payload) || typeof payload === 'string'
+      ? payload
+      : JSON.stringify(payload);
     
     const expected = crypto
       .createHmac('sha256', secret)
-      .update(JSON.stringify(payload))
+      .update(body)
       .digest('hex');
-    return signature === expected;
+    return safeEqualHex(expected, signature);
   }
 }
 
@@ -0,0 +1,178 @@
+// services/payoutWebhookService.js — Payout status reconciliation from gateway webhooks
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Payout.process() only knows what the transfer call returned at the time.
+// The bank can still fail or reverse a payout hours later; the gateway tells
+// us through webhooks, handled here.
+//
+//   verifySignature ──▶ recordEvent (dedupe by event id) ──▶ applyPayoutEvent
+//
+// Transitions (anything else is recorded and ignored):
+//   payout.processed            pending/processing/failed ──▶ completed
+//   payout.failed / .rejected   pending/processing        ──▶ failed
+//                               completed                 ──▶ reversed
+//   payout.reversed             completed                 ──▶ reversed
+//
+// Reversal restores paymentInfo.pendingPayout (Payout.reverse()).
+//
+// Return shape follows services/otpService.js:
+//   { ok: true, ... }                           on success
+//   { ok: false, status: <http code>, message } on business-rule failure
+//   throws                                      on unexpected error
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const crypto              = require('crypto');
+const mongoose            = require('mongoose');
+const Payout              = require('../models/Payout');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent');
+const paymentGateway      = require('./paymentGateway');
+
+const FAILURE_EVENTS = ['payout.failed', 'payout.rejected'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// recordEvent
+//
+// Inserts the delivery. A duplicate id that was already handled returns
+// { duplicate: true }; one that previously failed is claimed for a retry.
+// ─────────────────────────────────────────────────────────────────────────────
+async function recordEvent({ eventId, rawBody, payload, ipAddress }) {
+  const id = eventId || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+  try {
+    const doc = await PaymentWebhookEvent.create({
+      eventId:   id,
+      event:     payload.event || 'unknown',
+      rawBody,
+      payload,
+      ipAddress: ipAddress || null,
+    });
+    return { duplicate: false, doc };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    const retry = await PaymentWebhookEvent.findOneAndUpdate(
+      { eventId: id, status: 'failed' },
+      { $set: { status: 'received', error: null }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    return retry ? { duplicate: false, doc: retry } : { duplicate: true, doc: null };
+  }
+}
+
+async function findPayoutForEntity(entity) {
+  if (entity.reference_id && mongoose.isValidObjectId(entity.reference_id)) {
+    const byRef = await Payout.findById(entity.reference_id);
+    if (byRef) return byRef;
+  }
+  if (entity.id) {
+    return Payout.findOne({ transactionId: entity.id });
+  }
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// applyPayoutEvent — returns { handled, payoutId, from, to }
+// ─────────────────────────────────────────────────────────────────────────────
+async function applyPayoutEvent(event, entity) {
+  const payout = await findPayoutForEntity(entity);
+  if (!payout) {
+    console.warn(`⚠️ Webhook ${event}: no payout for ${entity.id || entity.reference_id}`);
+    return { handled: false };
+  }
+
+  const from   = payout.status;
+  const reason = entity.failure_reason || entity.status_details?.description || null;
+  let changed  = false;
+
+  if (event === 'payout.processed') {
+    changed = await payout.markCompletedFromGateway(entity);
+  } else if (event === 'payout.reversed' || (FAILURE_EVENTS.includes(event) && from === 'completed')) {
+    changed = await payout.reverse(reason);
+    if (changed) {
+      console.log(`↩️ Payout ${payout._id} reversed — ₹${payout.amount} restored to user ${payout.userId}`);
+    }
+  } else if (FAILURE_EVENTS.includes(event) && ['pending', 'processing'].includes(from)) {
+    const result = await Payout.updateOne(
+      { _id: payout._id, status: from },
+      {
+        $set: {
+          status:          'failed',
+          failureReason:   reason || 'Failed at bank',
+          gatewayResponse: entity,
+          nextRetryAt:     null
+        }
+      }
+    );
+    changed = result.modifiedCount > 0;
+  }
+
+  if (!changed) {
+    return { handled: false, payoutId: payout._id, from, to: from };
+  }
+
+  const updated = await Payout.findById(payout._id).select('status').lean();
+  return { handled: true, payoutId: payout._id, from, to: updated.status };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// handleWebhook — entry point for routes/paymentWebhooks.js
+// ─────────────────────────────────────────────────────────────────────────────
+async function handleWebhook({ rawBody, signature, eventId, ipAddress }) {
+  // 503 rather than 400 so the gateway keeps retrying until the secret is set
+  if (!process.env.PAYMENT_GATEWAY_WEBHOOK_SECRET) {
+    console.error('❌ Payment webhook refused: PAYMENT_GATEWAY_WEBHOOK_SECRET is not set');
+    return { ok: false, status: 503, message: 'Webhooks are not configured' };
+  }
+
+  if (!rawBody || !paymentGateway.verifyWebhookSignature(rawBody, signature)) {
+    console.warn(`⚠️ Payment webhook rejected: invalid signature (ip ${ipAddress})`);
+    return { ok: false, status: 400, message: 'Invalid signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    return { ok: false, status: 400, message: 'Invalid JSON payload' };
+  }
+
+  const { duplicate, doc } = await recordEvent({ eventId, rawBody, payload, ipAddress });
+  if (duplicate) {
+    return { ok: true, duplicate: true };
+  }
+
+  try {
+    const entity = payload.payload?.payout?.entity;
+    const event  = payload.event || '';
+
+    if (!event.startsWith('payout.') || !entity) {
+      doc.status      = 'ignored';
+      doc.processedAt = new Date();
+      await doc.save();
+      return { ok: true, duplicate: false, handled: false };
+    }
+
+    const result = await applyPayoutEvent(event, entity);
+
+    doc.status      = result.handled ? 'processed' : 'ignored';
+    doc.payoutId    = result.payoutId || null;
+    doc.transition  = { from: result.from || null, to: result.to || null };
+    doc.processedAt = new Date();
+    await doc.save();
+
+    return { ok: true, duplicate: false, handled: result.handled };
+  } catch (err) {
+    doc.status = 'failed';
+    doc.error  = err.message;
+    await doc.save().catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = {
+  handleWebhook,
+  recordEvent,
+  applyPayoutEvent,
+};
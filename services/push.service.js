@@ -1,57 +1,24 @@
 // services/push.service.js
-const admin = require('../config/firebase');
-const User = require('../models/User');
+// Letters push copy. Delivery (preferences, quiet hours, dead tokens, outcome)
+// is services/notificationDispatcher.js.
+const { dispatch } = require('./notificationDispatcher');
 
 class PushService {
   /**
-   * Helper to send notification payload to user's FCM tokens
-   * Handles dead token cleanup
+   * Hand a letters event to the dispatcher. Errors are logged, not thrown, so
+   * a failed push never fails the request that caused it.
    */
-  async sendToUser(userId, payload) {
+  async sendToUser(userId, event, payload, collapseKey) {
     try {
-      const user = await User.findById(userId).select('fcmTokens');
-      if (!user || !user.fcmTokens || user.fcmTokens.length === 0) {
-        return; // No tokens to send to
-      }
-
-      // Check if Firebase Admin is fully initialized
-      if (!admin.apps.length) {
-        console.warn('[PushService] Firebase Admin not initialized. Skipping push.');
-        return;
-      }
-
-      const tokens = user.fcmTokens;
-      const response = await admin.messaging().sendEachForMulticast({
-        tokens,
-        notification: payload.notification,
-        data: payload.data
+      await dispatch(event, {
+        userId,
+        title: payload.data.title,
+        body:  payload.data.body,
+        data:  payload.data,
+        collapseKey
       });
-
-      // Cleanup dead tokens
-      if (response.failureCount > 0) {
-        const deadTokens = [];
-        response.responses.forEach((resp, idx) => {
-          if (!resp.success) {
-            const errCode = resp.error?.code;
-            if (
-              errCode === 'messaging/invalid-registration-token' ||
-              errCode === 'messaging/registration-token-not-registered'
-            ) {
-              deadTokens.push(tokens[idx]);
-            }
-          }
-        });
-
-        if (deadTokens.length > 0) {
-          await User.findByIdAndUpdate(userId, {
-            $pullAll: { fcmTokens: deadTokens }
-          });
-          console.log(`[PushService] Cleaned up ${deadTokens.length} dead FCM tokens for user ${userId}`);
-        }
-      }
     } catch (error) {
       console.error('[PushService] Error sending push notification:', error.message);
-      // We catch the error so it doesn't crash the calling API
     }
   }
 
@@ -78,7 +45,32 @@ class PushService {
         notificationId: notificationId.toString()
       }
     };
-    await this.sendToUser(userId, payload);
+    await this.sendToUser(userId, 'letter.note', payload);
+  }
+
+  async sendConversationNotification(userId, letterId, notificationId, activityType, previewText) {
+    const copy = {
+      author_reply: { title: '💌 The writer answered your note', fallback: 'The letter writer replied to you.' },
+      thread_reply: { title: '✉️ New reply in your letter thread', fallback: 'Someone answered you back.' },
+      update:       { title: '🌱 An update on a letter you touched', fallback: 'The writer shared how things turned out.' }
+    }[activityType];
+    if (!copy) return;
+
+    const preview = previewText && previewText.length > 50
+      ? previewText.substring(0, 47) + '...'
+      : previewText;
+
+    const payload = {
+      data: {
+        type: 'letter_activity',
+        activityType,
+        title: copy.title,
+        body: preview || copy.fallback,
+        letterId: letterId.toString(),
+        notificationId: notificationId.toString()
+      }
+    };
+    await this.sendToUser(userId, 'letter.conversation', payload);
   }
 
   async sendSummaryNotification(userId, letterId, comfortCount, warmthCount) {
@@ -108,7 +100,7 @@ class PushService {
         notificationId: `summary_${Date.now()}`
       }
     };
-    await this.sendToUser(userId, payload);
+    await this.sendToUser(userId, 'letter.summary', payload, `letter.summary:${letterId}`);
   }
 }
 
@@ -0,0 +1,54 @@
+// services/readerHashService.js — Daily-rotated reader hashes for letter read tracking
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// readerHash = HMAC-SHA256(salt of the UTC day, userId). The salt is random,
+// shared by every instance through LetterReaderSalt (first writer wins) and
+// expires two days later, so a stored hash can be counted but not reversed
+// or matched against another day's hashes.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const crypto           = require('crypto');
+const LetterReaderSalt = require('../models/LetterReaderSalt');
+
+// day → salt, for the current and previous day at most
+const saltCache = new Map();
+
+function dayKey(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+async function saltFor(day) {
+  if (saltCache.has(day)) return saltCache.get(day);
+
+  let doc;
+  try {
+    doc = await LetterReaderSalt.findOneAndUpdate(
+      { day },
+      { $setOnInsert: { day, salt: crypto.randomBytes(32).toString('hex'), createdAt: new Date() } },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (err) {
+    // Two instances upserting the same new day: the loser reads the winner's salt
+    if (err.code !== 11000) throw err;
+    doc = await LetterReaderSalt.findOne({ day }).lean();
+  }
+
+  for (const key of saltCache.keys()) {
+    if (key < day) saltCache.delete(key);
+  }
+  saltCache.set(day, doc.salt);
+  return doc.salt;
+}
+
+async function getReaderHash(userId, date = new Date()) {
+  const day  = dayKey(date);
+  const salt = await saltFor(day);
+  return {
+    day,
+    readerHash: crypto.createHmac('sha256', salt).update(userId.toString()).digest('hex'),
+  };
+}
+
+module.exports = { getReaderHash, dayKey };
@@ -0,0 +1,333 @@
+// services/statementService.js — Monthly earnings statements for companions
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// A statement covers one calendar month in IST and lists:
+//   • every completed + paid Booking credited in that month
+//     (gross amount, platform fee, net earning, the Payout that settled it)
+//   • every Payout initiated in that month with its gateway transaction id
+//
+// Used by GET /api/payment/statements/:month (PDF / CSV download) and by
+// cronJobs/statementCron.js, which emails last month's PDF on the 1st.
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const PDFDocument = require('pdfkit');
+const Booking     = require('../models/Booking');
+const Payout      = require('../models/Payout');
+const User        = require('../models/User');
+const { csvLine } = require('../utils/csv');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const MONTH_RE      = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// parseStatementMonth('2026-09') → { key, label, start, end } or null
+// start/end are the UTC instants of IST midnight on the 1st of the month/next month.
+// ─────────────────────────────────────────────────────────────────────────────
+function parseStatementMonth(value) {
+  const match = MONTH_RE.exec(String(value || ''));
+  if (!match) return null;
+
+  const year  = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10) - 1;
+
+  const start = new Date(Date.UTC(year, month, 1) - IST_OFFSET_MS);
+  const end   = new Date(Date.UTC(year, month + 1, 1) - IST_OFFSET_MS);
+  const label = new Date(Date.UTC(year, month, 1))
+    .toLocaleString('en-IN', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  return { key: value, label, start, end };
+}
+
+/** 'YYYY-MM' of the month before `now`, in IST. */
+function previousMonthKey(now = new Date()) {
+  const ist = new Date(now.getTime() + IST_OFFSET_MS);
+  const prev = new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth() - 1, 1));
+  return `${prev.getUTCFullYear()}-${String(prev.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }) : '';
+}
+
+function formatRupees(amount) {
+  return `Rs. ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// buildStatement
+// ─────────────────────────────────────────────────────────────────────────────
+async function buildStatement(userId, period) {
+  const companion = await User.findById(userId)
+    .select('firstName lastName email paymentInfo.upiId')
+    .lean();
+  if (!companion) return null;
+
+  const range = { $gte: period.start, $lt: period.end };
+
+  // Bookings credited before earningsCreditedAt existed fall back to updatedAt.
+  const bookings = await Booking.find({
+    companionId:   userId,
+    status:        'completed',
+    paymentStatus: 'paid',
+    $or: [
+      { earningsCreditedAt: range },
+      { earningsCreditedAt: null, updatedAt: range }
+    ]
+  })
+    .populate('userId', 'firstName lastName')
+    .populate('payoutId', 'transactionId utr status completedAt')
+    .sort({ bookingDate: 1 })
+    .lean();
+
+  const payouts = await Payout.find({ userId, initiatedAt: range })
+    .sort({ initiatedAt: 1 })
+    .lean();
+
+  const bookingRows = bookings.map(b => ({
+    bookingId:        b._id.toString(),
+    bookingDate:      b.bookingDate,
+    completedAt:      b.earningsCreditedAt || b.updatedAt,
+    bookerName:       b.userId ? `${b.userId.firstName || ''} ${b.userId.lastName || ''}`.trim() : 'Deleted User',
+    grossAmount:      b.totalAmount || 0,
+    platformFee:      b.platformFee || 0,
+    netEarning:       b.companionEarning || 0,
+    payoutStatus:     b.payoutId ? b.payoutId.status : 'pending',
+    payoutTransactionId: b.payoutId?.transactionId || null,
+    payoutDate:       b.payoutId?.completedAt || null,
+  }));
+
+  const payoutRows = payouts.map(p => ({
+    payoutId:      p._id.toString(),
+    initiatedAt:   p.initiatedAt,
+    completedAt:   p.completedAt,
+    amount:        p.amount,
+    status:        p.status,
+    transactionId: p.transactionId || null,
+    utr:           p.utr || null,
+    upiId:         p.upiId,
+    bookingsCount: (p.bookingsIncluded || []).length,
+  }));
+
+  const sum = (rows, field) => rows.reduce((s, r) => s + (r[field] || 0), 0);
+
+  return {
+    period: { month: period.key, label: period.label, start: period.start, end: period.end },
+    companion: {
+      id:    companion._id.toString(),
+      name:  `${companion.firstName || ''} ${companion.lastName || ''}`.trim(),
+      email: companion.email,
+      upiId: companion.paymentInfo?.upiId || null,
+    },
+    bookings: bookingRows,
+    payouts:  payoutRows,
+    totals: {
+      bookings:     bookingRows.length,
+      grossAmount:  sum(bookingRows, 'grossAmount'),
+      platformFees: sum(bookingRows, 'platformFee'),
+      netEarnings:  sum(bookingRows, 'netEarning'),
+      paidOut:      sum(payoutRows.filter(p => p.status === 'completed'), 'amount'),
+    },
+    generatedAt: new Date(),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CSV
+// ─────────────────────────────────────────────────────────────────────────────
+function statementToCsv(statement) {
+  const lines = [
+    csvLine(['Humrah earnings statement', statement.period.label]),
+    csvLine(['Companion', statement.companion.name, statement.companion.email]),
+    '',
+    csvLine(['Booking ID', 'Booking date', 'Completed', 'Booked by', 'Gross (INR)', 'Platform fee (INR)',
+      'Net earning (INR)', 'Payout status', 'Payout transaction ID', 'Payout date']),
+    ...statement.bookings.map(b => csvLine([
+      b.bookingId, formatDate(b.bookingDate), formatDate(b.completedAt), b.bookerName,
+      b.grossAmount, b.platformFee, b.netEarning, b.payoutStatus, b.payoutTransactionId, formatDate(b.payoutDate)
+    ])),
+    '',
+    csvLine(['Payout ID', 'Initiated', 'Completed', 'Amount (INR)', 'Status', 'Transaction ID', 'UTR', 'UPI ID', 'Bookings']),
+    ...statement.payouts.map(p => csvLine([
+      p.payoutId, formatDate(p.initiatedAt), formatDate(p.completedAt), p.amount, p.status,
+      p.transactionId, p.utr, p.upiId, p.bookingsCount
+    ])),
+    '',
+    csvLine(['Total bookings', statement.totals.bookings]),
+    csvLine(['Gross amount (INR)', statement.totals.grossAmount]),
+    csvLine(['Platform fees (INR)', statement.totals.platformFees]),
+    csvLine(['Net earnings (INR)', statement.totals.netEarnings]),
+    csvLine(['Paid out (INR)', statement.totals.paidOut]),
+  ];
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PDF — plain tabular layout, built-in Helvetica (no font files to ship)
+// ─────────────────────────────────────────────────────────────────────────────
+function statementToPdf(statement) {
+  return new Promise((resolve, reject) => {
+    const doc    = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Humrah statement ${statement.period.month}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left  = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    const table = (columns, rows) => {
+      const drawRow = (cells, bold) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 30) doc.addPage();
+        const y = doc.y;
+        let x = left;
+        let height = 0;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        cells.forEach((cell, i) => {
+          const w = columns[i].width * width;
+          doc.text(String(cell ?? ''), x, y, { width: w - 4, align: columns[i].align || 'left' });
+          height = Math.max(height, doc.y - y);
+          x += w;
+        });
+        doc.y = y + height + 4;
+        doc.x = left;
+      };
+
+      drawRow(columns.map(c => c.title), true);
+      doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).strokeColor('#cccccc').stroke();
+      rows.forEach(r => drawRow(r, false));
+      doc.moveDown(0.5);
+    };
+
+    doc.font('Helvetica-Bold').fontSize(18).text('Humrah — Earnings Statement');
+    doc.font('Helvetica').fontSize(11).fillColor('#444444')
+      .text(statement.period.label)
+      .moveDown(0.5)
+      .fillColor('#000000')
+      .text(`Companion: ${statement.companion.name}`)
+      .text(`Email: ${statement.companion.email}`);
+    if (statement.companion.upiId) doc.text(`UPI ID: ${statement.companion.upiId}`);
+    doc.text(`Generated: ${formatDate(statement.generatedAt)}`).moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Summary').moveDown(0.3);
+    doc.font('Helvetica').fontSize(10)
+      .text(`Completed bookings: ${statement.totals.bookings}`)
+      .text(`Gross booking value: ${formatRupees(statement.totals.grossAmount)}`)
+      .text(`Platform fees: ${formatRupees(statement.totals.platformFees)}`)
+      .text(`Net earnings: ${formatRupees(statement.totals.netEarnings)}`)
+      .text(`Paid out this month: ${formatRupees(statement.totals.paidOut)}`)
+      .moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Bookings').moveDown(0.3);
+    if (statement.bookings.length === 0) {
+      doc.font('Helvetica').fontSize(10).text('No completed bookings this month.').moveDown();
+    } else {
+      table(
+        [
+          { title: 'Date',          width: 0.11 },
+          { title: 'Booked by',     width: 0.17 },
+          { title: 'Gross',         width: 0.12, align: 'right' },
+          { title: 'Fee',           width: 0.11, align: 'right' },
+          { title: 'Net',           width: 0.12, align: 'right' },
+          { title: 'Payout',        width: 0.11 },
+          { title: 'Transaction ID', width: 0.26 },
+        ],
+        statement.bookings.map(b => [
+          formatDate(b.bookingDate), b.bookerName, formatRupees(b.grossAmount), formatRupees(b.platformFee),
+          formatRupees(b.netEarning), b.payoutStatus, b.payoutTransactionId || '—'
+        ])
+      );
+    }
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Payouts').moveDown(0.3);
+    if (statement.payouts.length === 0) {
+      doc.font('Helvetica').fontSize(10).text('No payouts this month.').moveDown();
+    } else {
+      table(
+        [
+          { title: 'Initiated',      width: 0.13 },
+          { title: 'Completed',      width: 0.13 },
+          { title: 'Amount',         width: 0.14, align: 'right' },
+          { title: 'Status',         width: 0.12 },
+          { title: 'Transaction ID', width: 0.28 },
+          { title: 'UTR',            width: 0.20 },
+        ],
+        statement.payouts.map(p => [
+          formatDate(p.initiatedAt), formatDate(p.completedAt), formatRupees(p.amount), p.status,
+          p.transactionId || '—', p.utr || '—'
+        ])
+      );
+    }
+
+    doc.moveDown().font('Helvetica').fontSize(8).fillColor('#666666')
+      .text('Platform fee is 25% of each booking. Net earnings are credited to your Humrah balance when a booking '
+        + 'is completed and paid out to your verified UPI ID.', left, doc.y, { width });
+
+    doc.end();
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// sendMonthlyStatements — emails a PDF to every companion with activity
+// ─────────────────────────────────────────────────────────────────────────────
+async function sendMonthlyStatements(monthKey = previousMonthKey()) {
+  const { sendEmail, escapeHtml } = require('./email');
+
+  const period = parseStatementMonth(monthKey);
+  const range  = { $gte: period.start, $lt: period.end };
+
+  const [bookingCompanions, payoutUsers] = await Promise.all([
+    Booking.distinct('companionId', {
+      status: 'completed',
+      paymentStatus: 'paid',
+      $or: [{ earningsCreditedAt: range }, { earningsCreditedAt: null, updatedAt: range }]
+    }),
+    Payout.distinct('userId', { initiatedAt: range }),
+  ]);
+
+  const userIds = [...new Set([...bookingCompanions, ...payoutUsers].map(id => id.toString()))];
+  let sent = 0;
+  let failed = 0;
+
+  for (const userId of userIds) {
+    try {
+      const statement = await buildStatement(userId, period);
+      if (!statement?.companion.email) continue;
+
+      const pdf = await statementToPdf(statement);
+      await sendEmail({
+        to: statement.companion.email,
+        subject: `Your Humrah earnings statement — ${period.label}`,
+        html: `
+          <p>Hi ${escapeHtml(statement.companion.name.split(' ')[0]) || 'there'},</p>
+          <p>Your earnings statement for <strong>${period.label}</strong> is attached.</p>
+          <p>Completed bookings: ${statement.totals.bookings}<br>
+             Net earnings: ${formatRupees(statement.totals.netEarnings)}<br>
+             Paid out: ${formatRupees(statement.totals.paidOut)}</p>
+          <p>You can also download it any time from the Earnings screen in the app.</p>
+          <p>— Team Humrah</p>
+        `,
+        attachments: [{ name: `humrah-statement-${period.key}.pdf`, content: pdf }],
+      });
+      sent++;
+    } catch (err) {
+      failed++;
+      console.error(`[statements] Failed for user ${userId}:`, err.message);
+    }
+  }
+
+  console.log(`📄 Statements for ${period.key}: ${sent} sent, ${failed} failed`);
+  return { month: period.key, sent, failed };
+}
+
+module.exports = {
+  parseStatementMonth,
+  previousMonthKey,
+  buildStatement,
+  statementToCsv,
+  statementToPdf,
+  sendMonthlyStatements,
+};
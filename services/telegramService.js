@@ -202,6 +202,33 @@ async function notifyTicketResolved(ticketId, riskLevel) {
     return sendMessage(token, chatId, text);
 }
 
+/**
+ * Fired when a letter (or its author's update) mentions self-harm.
+ * Goes to the Safety Reports bot regardless of volume — always full priority.
+ */
+async function notifyCrisisEscalation(crisisCase, { excerpt, source }) {
+    const token  = process.env.TELEGRAM_SAFETY_BOT_TOKEN;
+    const chatId = process.env.TELEGRAM_SAFETY_CHAT_ID;
+
+    const text = [
+        `🆘 <b>CRISIS SUPPORT — SELF-HARM IN LETTERS</b>`,
+        ``,
+        `Case: <code>${esc(crisisCase.caseId)}</code>`,
+        `Author ID: <code>${esc(crisisCase.userId)}</code>`,
+        `Letter ID: <code>${esc(crisisCase.letterId)}</code>`,
+        `Source: <b>${source === 'letter_update' ? 'Author update' : 'New letter'}</b>`,
+        `Helplines shown: <b>${esc(crisisCase.country || 'N/A')}</b>`,
+        `Time: ${esc(formatTs(new Date()))}`,
+        ``,
+        `<b>Excerpt:</b>`,
+        `<i>${esc(excerpt.substring(0, 300))}${excerpt.length > 300 ? '...' : ''}</i>`,
+        ``,
+        `Letter is hidden from the feed. Acknowledge the case in the Admin Dashboard.`
+    ].join('\n');
+
+    return sendMessage(token, chatId, text);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Bot 3 — Founder Inbox
 // ─────────────────────────────────────────────────────────────────────────────
@@ -240,6 +267,14 @@ async function notifyVerificationReview(user, session) {
     const token  = process.env.TELEGRAM_VERIFICATION_BOT_TOKEN;
     const chatId = process.env.TELEGRAM_VERIFICATION_CHAT_ID;
 
+    const faceMatch = session.faceMatch?.status && session.faceMatch.status !== 'SKIPPED'
+        ? [
+            `Face match: <b>${esc(session.faceMatch.status)}</b>` +
+                (session.faceMatchScore != null ? ` (similarity ${esc(session.faceMatchScore)})` : ''),
+            ...(session.faceMatch.flagged ? [`⚠️ <b>Video may not match the profile photo — check for catfishing</b>`] : [])
+          ]
+        : [];
+
     const text = [
         `🔔 <b>Humrah Verification Review Required</b>`,
         ``,
@@ -248,6 +283,7 @@ async function notifyVerificationReview(user, session) {
         `Submitted: ${esc(formatTs(session.createdAt))}`,
         ``,
         `Status: <b>MANUAL_REVIEW</b>`,
+        ...faceMatch,
         ``,
         `Action: Open Admin Dashboard and review manually.`
     ].join('\n');
@@ -260,6 +296,7 @@ module.exports = {
     notifyEmergencyChannel,
     notifyLocationShared,
     notifyTicketResolved,
+    notifyCrisisEscalation,
     notifyFounderChannel,
     notifyVerificationReview
 };
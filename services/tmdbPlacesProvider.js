@@ -0,0 +1,327 @@
+// services/tmdbPlacesProvider.js — Live movie + theatre data (TMDB, Google Places v1)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// One of the two providers behind services/movieDataProvider.js (the other is
+// services/movieFixtureProvider.js). Every method either returns real data or
+// throws — caching, quota back-off and the fixture fallback live in the facade.
+//
+//   TMDB_API_KEY            trendingMovies, searchMovies
+//   TMDB_BASE_URL           defaults to api.tmdb.org (Jio blocks api.themoviedb.org)
+//   GOOGLE_PLACES_API_KEY   nearbyTheatres, searchTheatres
+//
+// HTTP errors carry err.status, so a 429 can be told apart from an outage.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const { calculateDistance } = require('../utils/distance');
+
+const INDIAN_LANGUAGES = new Set(['hi', 'ta', 'te', 'ml', 'kn', 'bn', 'mr', 'gu', 'pa']);
+
+const PLACES_URL        = 'https://places.googleapis.com/v1/places';
+const PLACES_FIELD_MASK = 'places.id,places.displayName,places.formattedAddress,places.rating,places.location';
+
+const name = 'tmdb-places';
+
+// Which API each method spends quota on
+const API_FOR = {
+  trendingMovies: 'tmdb',
+  searchMovies:   'tmdb',
+  nearbyTheatres: 'places',
+  searchTheatres: 'places',
+};
+
+function isConfigured(api) {
+  return Boolean(api === 'tmdb' ? process.env.TMDB_API_KEY : process.env.GOOGLE_PLACES_API_KEY);
+}
+
+function httpError(label, status) {
+  const err = new Error(`${label} HTTP ${status}`);
+  err.status = status;
+  return err;
+}
+
+function _tmdbBase() {
+  return process.env.TMDB_BASE_URL || 'https://api.tmdb.org/3';
+}
+
+// ─── Shared TMDB Movie Mapper ─────────────────────────────────────────────────
+function mapTmdbMovie(m, defaultSource = null) {
+  return {
+    id:         m.id,
+    title:      m.title,
+    posterPath: m.poster_path || null,
+    overview:   m.overview || '',
+    rating:     Math.round((m.vote_average || 0) * 10) / 10,
+    releaseDate: m.release_date || null,
+    genreIds:   m.genre_ids || [],
+    language:   m.original_language,  // 'hi' | 'en' | other
+    source:     m._src || defaultSource,
+    popularity: m.popularity || 0,
+  };
+}
+
+function mapPlace(p, lat, lng) {
+  const pLat = p.location?.latitude  || 0;
+  const pLng = p.location?.longitude || 0;
+  return {
+    placeId:  p.id || '',
+    name:     p.displayName?.text   || 'Cinema',
+    address:  p.formattedAddress    || '',
+    rating:   p.rating              || null,
+    lat:      pLat,
+    lng:      pLng,
+    distance: (lat !== null && lng !== null)
+      ? Math.round(calculateDistance(lat, lng, pLat, pLng) * 1000)
+      : null,
+  };
+}
+
+async function _placesRequest(endpoint, body) {
+  const res = await fetch(`${PLACES_URL}:${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type':     'application/json',
+      'X-Goog-Api-Key':   process.env.GOOGLE_PLACES_API_KEY,
+      'X-Goog-FieldMask': PLACES_FIELD_MASK,
+    },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw httpError(`Places ${endpoint}`, res.status);
+  const data = await res.json();
+  return data.places || [];
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// trendingMovies — India-first movie pool for system-generated sessions
+//
+// SOURCES (fetched in parallel, merged with source-priority dedup):
+//   1. /movie/now_playing?region=IN (page 1)  ← highest priority: in theatres NOW
+//   2. /movie/now_playing?region=IN (page 2)  ← extends the IN now-playing pool
+//   3. /movie/popular?region=IN&with_original_language=hi  ← dedicated Hindi popular
+//   4. /movie/popular?region=IN               ← India-popular across all languages
+//   5. /trending/movie/week                   ← global trending (blockbuster catches)
+//
+// LANGUAGE FILTER (Humrah spec — Delhi launch):
+//   Indian languages pass the baseline gates below; international movies only
+//   when they are outstanding (Avatar / Avengers / Mission Impossible scale).
+//
+// QUALITY GATES:
+//   • poster_path must exist
+//   • vote_count >= 50
+//   • popularity  >= 20
+//   • release_date within last ~3 months  (now_playing bypasses this gate)
+//
+// POOL: up to 10 movies, sorted Indian-first → English-second → global,
+//       and Now-Playing-first within each language tier.
+//
+// Throws when every source failed or nothing passed the filters.
+// ─────────────────────────────────────────────────────────────────────────────
+async function trendingMovies() {
+  const KEY  = process.env.TMDB_API_KEY;
+  const BASE = _tmdbBase();
+
+  const [np1Settled, np2Settled, hindiPopSettled, popularSettled, trendingSettled] = await Promise.allSettled([
+    fetch(`${BASE}/movie/now_playing?${new URLSearchParams({ api_key: KEY, region: 'IN', language: 'en-US', page: '1' })}`),
+    fetch(`${BASE}/movie/now_playing?${new URLSearchParams({ api_key: KEY, region: 'IN', language: 'en-US', page: '2' })}`),
+    fetch(`${BASE}/movie/popular?${new URLSearchParams(    { api_key: KEY, region: 'IN', language: 'en-US', page: '1', with_original_language: 'hi' })}`),
+    fetch(`${BASE}/movie/popular?${new URLSearchParams(    { api_key: KEY, region: 'IN', language: 'en-US', page: '1' })}`),
+    fetch(`${BASE}/trending/movie/week?${new URLSearchParams({ api_key: KEY, language: 'en-US' })}`),
+  ]);
+
+  // ── Parse each settled promise — failures yield empty arrays ──────────
+  let lastStatus = null;
+  const parseSettled = async (settled, src) => {
+    if (settled.status !== 'fulfilled') {
+      console.warn(`[movies] ${src} fetch rejected: ${settled.reason?.message}`);
+      return [];
+    }
+    if (!settled.value.ok) {
+      console.warn(`[movies] ${src} HTTP ${settled.value.status}`);
+      lastStatus = settled.value.status;
+      return [];
+    }
+    const data = await settled.value.json();
+    return (data.results || []).map(m => ({ ...m, _src: src }));
+  };
+
+  const [np1Raw, np2Raw, hindiPopRaw, popularRaw, trendingRaw] = await Promise.all([
+    parseSettled(np1Settled,       'now_playing'),
+    parseSettled(np2Settled,       'now_playing'),  // same _src tag → same source priority
+    parseSettled(hindiPopSettled,  'popular'),       // Hindi-only popular → same tier as general popular
+    parseSettled(popularSettled,   'popular'),
+    parseSettled(trendingSettled,  'trending'),
+  ]);
+
+  const nowPlayingRaw = [...np1Raw, ...np2Raw];
+  console.log(`[movies] raw — nowPlaying:${nowPlayingRaw.length} hindiPop:${hindiPopRaw.length} popular:${popularRaw.length} trending:${trendingRaw.length}`);
+
+  const total = nowPlayingRaw.length + hindiPopRaw.length + popularRaw.length + trendingRaw.length;
+  if (!total && lastStatus) throw httpError('TMDB', lastStatus);
+
+  // ── Merge with source-priority dedup ──────────────────────────────────
+  // Priority order: now_playing > hindiPop > popular > trending
+  const seenIds    = new Set();
+  const seenTitles = new Set();
+  const merged = [...nowPlayingRaw, ...hindiPopRaw, ...popularRaw, ...trendingRaw].filter(m => {
+    if (!m.id || !m.title) return false;
+    const titleKey = m.title.trim().toLowerCase();
+    if (seenIds.has(m.id) || seenTitles.has(titleKey)) return false;
+    seenIds.add(m.id);
+    seenTitles.add(titleKey);
+    return true;
+  });
+
+  // ── Recency gate ──────────────────────────────────────────────────────
+  // Movies more than ~3 months old are unlikely to still be in theatres.
+  // now_playing bypasses this gate because TMDB guarantees they're playing.
+  const cutoff = new Date();
+  cutoff.setMonth(cutoff.getMonth() - 3);
+  const cutoffStr = cutoff.toISOString().slice(0, 10); // YYYY-MM-DD
+
+  const isIndian = (m) => INDIAN_LANGUAGES.has(m.original_language) || (m.origin_country && m.origin_country.includes('IN'));
+
+  // ── India + Language filter ───────────────────────────────────────────
+  const filtered = merged.filter(m => {
+    if (!m.poster_path)               return false; // no poster → broken UI card
+    if ((m.vote_count  || 0) < 50)    return false; // too few votes → unreliable
+    if ((m.popularity  || 0) < 20)    return false; // too niche for Indian screens
+
+    if (m._src !== 'now_playing' && m.release_date && m.release_date < cutoffStr) return false;
+
+    if (isIndian(m)) return true;
+
+    // Stricter quality gates for International movies
+    return (m.vote_average || 0) >= 7.0 && (m.popularity || 0) >= 80 && (m.vote_count || 0) >= 100;
+  });
+
+  if (!filtered.length) throw new Error('0 movies after India/language filter');
+
+  // ── Priority sort ─────────────────────────────────────────────────────
+  //  0 — Indian  + now_playing  (current Indian theatrical releases in IN)
+  //  1 — Indian  + popular / trending
+  //  2 — English + now_playing  (current English theatrical releases in IN)
+  //  3 — English + popular / trending
+  //  4 — Other
+  const _srcPriority = (m) => {
+    const en = m.original_language === 'en';
+    const np = m._src === 'now_playing';
+    if (isIndian(m) && np) return 0;
+    if (isIndian(m))       return 1;
+    if (en && np) return 2;
+    if (en)       return 3;
+    return 4;
+  };
+
+  filtered.sort((a, b) => {
+    const diff = _srcPriority(a) - _srcPriority(b);
+    if (diff !== 0) return diff;
+    return (b.popularity || 0) - (a.popularity || 0); // within tier: most popular first
+  });
+
+  const pool = filtered.slice(0, 10).map(m => mapTmdbMovie(m));
+
+  const hiCount = pool.filter(m => m.language === 'hi').length;
+  const enCount = pool.filter(m => m.language === 'en').length;
+  const npCount = pool.filter(m => m.source  === 'now_playing').length;
+  console.log(`[movies] pool: ${pool.length} total | Hindi:${hiCount} English:${enCount} NowPlaying:${npCount}`);
+
+  return pool;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// searchMovies — TMDB Search API, mapped identically to trendingMovies.
+// query arrives normalised and page clamped (see the facade).
+// ─────────────────────────────────────────────────────────────────────────────
+async function searchMovies(query, page) {
+  const params = new URLSearchParams({
+    api_key: process.env.TMDB_API_KEY,
+    query,
+    page,
+    language: 'en-US',
+    region: 'IN',
+    include_adult: 'false'
+  });
+
+  const res = await fetch(`${_tmdbBase()}/search/movie?${params}`);
+  if (!res.ok) throw httpError('TMDB search', res.status);
+
+  const data = await res.json();
+  return (data.results || [])
+    .filter(m => m.poster_path) // Require poster for UI integrity
+    .map(m => mapTmdbMovie(m, 'search'));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// nearbyTheatres — Google Places API v1 (POST, not GET)
+// Filter: rating >= 3.0, top 5 only
+// Sort: distance ASC, then rating DESC
+// Throws when nothing survives the filter, so the facade can fall back.
+// ─────────────────────────────────────────────────────────────────────────────
+async function nearbyTheatres(lat, lng, radius) {
+  const places = await _placesRequest('searchNearby', {
+    includedTypes: ['movie_theater'],
+    maxResultCount: 20,
+    locationRestriction: {
+      circle: {
+        center: { latitude: lat, longitude: lng },
+        radius: parseFloat(radius),
+      },
+    },
+  });
+
+  const list = places
+    .map(p => mapPlace(p, lat, lng))
+    .filter(t => t.rating === null || t.rating >= 3.0)
+    .sort((a, b) => {
+      if (a.distance !== b.distance) return a.distance - b.distance;
+      return (b.rating || 0) - (a.rating || 0);
+    })
+    .slice(0, 5);
+
+  if (!list.length) throw new Error('0 cinemas after rating filter');
+
+  console.log(`[theatres] Places API v1: ${list.length} cinema(s)`);
+  return list;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// searchTheatres — Google Places Text Search API v1
+// Ignores distance limit — lets user find any cinema by name.
+// Returns max 10 results, biased towards lat/lng when given.
+// ─────────────────────────────────────────────────────────────────────────────
+async function searchTheatres(query, lat = null, lng = null) {
+  const body = {
+    textQuery:    `${query} cinema movie theatre`,
+    includedType: 'movie_theater',
+    maxResultCount: 10,
+  };
+
+  if (lat !== null && lng !== null) {
+    body.locationBias = {
+      circle: {
+        center: { latitude: lat, longitude: lng },
+        radius: 50000,
+      },
+    };
+  }
+
+  const places = await _placesRequest('searchText', body);
+  return places.map(p => mapPlace(p, lat, lng));
+}
+
+// Live APIs know nothing about showtimes — the fixed system schedule applies
+async function showTimes() {
+  return null;
+}
+
+module.exports = {
+  name,
+  API_FOR,
+  isConfigured,
+  trendingMovies,
+  searchMovies,
+  nearbyTheatres,
+  searchTheatres,
+  showTimes,
+};
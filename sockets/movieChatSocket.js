@@ -21,26 +21,19 @@
  */
 'use strict';
 
-const jwt = require('jsonwebtoken');
-
-function verifyToken(token) {
-  if (!token) throw new Error('No token');
-  const raw = token.startsWith('Bearer ') ? token.slice(7) : token;
-  const decoded = jwt.verify(raw, process.env.JWT_SECRET || 'fallback_secret_change_in_production');
-  return {
-    userId:   (decoded.userId || decoded._id || '').toString(),
-    username: decoded.username || 'User',
-  };
-}
+const { verifyNamespaceToken } = require('../utils/socketAuth');
 
 function initMovieChatSocket(io) {
   const ns = io.of('/movie-chat');
 
-  // ── Auth middleware ──────────────────────────────────────────────────────────
-  ns.use((socket, next) => {
+  // ── Auth middleware (same revocation rules as the main namespace) ────────────
+  ns.use(async (socket, next) => {
     try {
-      const raw = socket.handshake.auth?.token || '';
-      socket.data.user = verifyToken(raw);
+      const decoded = await verifyNamespaceToken(socket);
+      socket.data.user = {
+        userId:   String(decoded.userId),
+        username: decoded.username || 'User',
+      };
       next();
     } catch (e) {
       next(new Error('Auth failed: ' + e.message));
@@ -49,6 +42,7 @@ function initMovieChatSocket(io) {
 
   ns.on('connection', (socket) => {
     const { userId, username } = socket.data.user;
+    socket.join(`user:${userId}`);   // for disconnectUserSockets() on logout
 
     // ── join-movie-chat ────────────────────────────────────────────────────────
     socket.on('join-movie-chat', ({ chatId } = {}) => {
@@ -3,32 +3,26 @@
  * Socket.io /gaming namespace — updated with host power events.
  * Import and call initSessionSocket(io) from your server.js.
  */
-const jwt = require("jsonwebtoken");
-
-function verifySocketToken(token) {
-  if (!token) throw new Error("No token");
-  const decoded = jwt.verify(token, process.env.JWT_SECRET || "fallback_secret_change_in_production");
-  return {
-    _id:      decoded.userId || decoded._id,
-    username: decoded.username,
-    city:     decoded.city,
-  };
-}
+const { verifyNamespaceToken } = require("../utils/socketAuth");
 
 function initSessionSocket(io) {
   const ns = io.of("/gaming");
 
-  ns.use((socket, next) => {
+  ns.use(async (socket, next) => {
     try {
-      const raw   = socket.handshake.auth?.token || "";
-      const token = raw.startsWith("Bearer ") ? raw.slice(7) : raw;
-      socket.data.user = verifySocketToken(token);
+      const decoded = await verifyNamespaceToken(socket);
+      socket.data.user = {
+        _id:      decoded.userId,
+        username: decoded.username,
+        city:     decoded.city,
+      };
       next();
     } catch (e) { next(new Error("Auth failed: " + e.message)); }
   });
 
   ns.on("connection", (socket) => {
-    const { city } = socket.data.user;
+    const { _id, city } = socket.data.user;
+    socket.join(`user:${_id}`);   // for disconnectUserSockets() on logout
     socket.join(`city:${city}`);
 
     socket.on("join_session_room",  ({ session_id }) => { if (session_id) socket.join(`session:${session_id}`); });
@@ -0,0 +1,246 @@
+// test/appeals.test.js — Moderation appeals and reinstatement (services/appealService.js)
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  startTestApp, connectTestDB, clearTestDB, disconnectTestDB,
+  factories, tokenFor, mfaTokenFor,
+} = require('./helpers');
+const { DEFAULT_PASSWORD, seedLegalVersions, createUser, createAdmin, enrolTwoFactor } = factories;
+
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const ModerationAppeal = require('../models/ModerationAppeal');
+const { LEVEL, applyStrikesAndEnforce } = require('../middleware/moderation');
+const { verifyNamespaceToken } = require('../utils/socketAuth');
+
+const STATEMENT = 'That message was a quote from a film, not directed at anyone.';
+
+const HOUR = 60 * 60 * 1000;
+
+async function offend(userId, level) {
+  const user = await User.findById(userId);
+  await applyStrikesAndEnforce(user, [{ field: 'bio', level, reason: 'test', originalValue: 'test' }], 'test');
+  return User.findById(userId);
+}
+
+// Moves every logged violation an hour back so the next one is enforced on its own
+async function backdateViolations(userId) {
+  const user = await User.findById(userId);
+  user.moderationFlags.violations.forEach(v => { v.detectedAt = new Date(v.detectedAt.getTime() - HOUR); });
+  user.markModified('moderationFlags');
+  await user.save();
+}
+
+describe('moderation appeals', () => {
+  let api;
+  let admin;
+  let adminToken;
+
+  before(async () => {
+    api = await startTestApp();
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await seedLegalVersions();
+    admin = await createAdmin();
+    await enrolTwoFactor(admin);
+    adminToken = mfaTokenFor(admin);
+  });
+
+  async function appealWithLogin(user, body) {
+    const login = await api.request('POST', '/api/auth/login', {
+      body: { email: user.email, password: DEFAULT_PASSWORD },
+    });
+    assert.equal(login.status, 403);
+    assert.ok(login.body.appealToken, 'refused login carries an appeal token');
+
+    const res = await api.request('POST', '/api/appeals', { token: login.body.appealToken, body });
+    return { appealToken: login.body.appealToken, res };
+  }
+
+  it('lets a suspended user appeal with the token from the refused login', async () => {
+    const { _id } = await createUser();
+    const user = await offend(_id, LEVEL.HARASSMENT);
+    assert.equal(user.status, 'SUSPENDED');
+
+    const { appealToken, res } = await appealWithLogin(user, { type: 'SUSPENSION', statement: STATEMENT });
+    assert.equal(res.status, 201);
+
+    const appeal = await ModerationAppeal.findById(res.body.appeal._id);
+    assert.equal(appeal.violationIds.length, 1);
+
+    // The appeal token opens nothing else
+    const other = await api.request('GET', '/api/auth/me', { token: appealToken });
+    assert.equal(other.status, 401);
+    assert.equal(other.body.code, 'APPEAL_TOKEN_ONLY');
+
+    // …including the /gaming and /movie-chat socket namespaces
+    const socket = { handshake: { auth: { token: `Bearer ${appealToken}` } }, data: {} };
+    await assert.rejects(verifyNamespaceToken(socket), /APPEAL_TOKEN_ONLY/);
+  });
+
+  it('accepts one appeal per decision', async () => {
+    const { _id } = await createUser();
+    const user = await offend(_id, LEVEL.HARASSMENT);
+
+    const first = await api.request('POST', '/api/appeals', {
+      token: tokenFor(user), body: { type: 'SUSPENSION', statement: STATEMENT },
+    });
+    assert.equal(first.status, 201);
+
+    const again = await api.request('POST', '/api/appeals', {
+      token: tokenFor(user), body: { type: 'SUSPENSION', statement: STATEMENT },
+    });
+    assert.equal(again.status, 409);
+
+    const short = await api.request('POST', '/api/appeals', {
+      token: tokenFor(user), body: { type: 'BAN', statement: 'please' },
+    });
+    assert.equal(short.status, 400);
+  });
+
+  it('overturning a suspension removes the strike and reinstates with a new tokenVersion', async () => {
+    const { _id } = await createUser();
+    const suspended = await offend(_id, LEVEL.HARASSMENT);
+    const { res } = await appealWithLogin(suspended, { type: 'SUSPENSION', statement: STATEMENT });
+
+    const decision = await api.request('POST', `/api/admin/appeals/${res.body.appeal._id}/decision`, {
+      token: adminToken, body: { decision: 'OVERTURN', note: 'Quote, not a threat' },
+    });
+    assert.equal(decision.status, 200);
+    assert.equal(decision.body.reinstated, true);
+    assert.equal(decision.body.removedViolations, 1);
+
+    const user = await User.findById(_id);
+    assert.equal(user.status, 'ACTIVE');
+    assert.equal(user.suspensionInfo.isSuspended, false);
+    assert.equal(user.moderationFlags.strikeCount, 0);
+    assert.equal(user.tokenVersion, (suspended.tokenVersion || 0) + 1);
+
+    // Old tokens are dead; a fresh login works
+    const stale = await api.request('GET', '/api/appeals', { token: tokenFor(suspended) });
+    assert.equal(stale.status, 401);
+    const login = await api.request('POST', '/api/auth/login', {
+      body: { email: user.email, password: DEFAULT_PASSWORD },
+    });
+    assert.equal(login.status, 200);
+
+    const audit = await AuditLog.findOne({ action: 'OVERTURN_APPEAL' });
+    assert.equal(audit.targetId.toString(), _id.toString());
+  });
+
+  it('overturning a single strike drops it from the count', async () => {
+    const { _id } = await createUser();
+    await offend(_id, LEVEL.POLICY);
+    await backdateViolations(_id);
+    const user = await offend(_id, LEVEL.POLICY);
+    assert.equal(user.moderationFlags.strikeCount, 2);
+
+    const eligible = await api.request('GET', '/api/appeals/eligible', { token: tokenFor(user) });
+    assert.equal(eligible.status, 200);
+    assert.equal(eligible.body.strikes.length, 2);
+
+    const first = eligible.body.strikes[0];
+    const filed = await api.request('POST', '/api/appeals', {
+      token: tokenFor(user), body: { type: 'STRIKE', violationId: first.violationId, statement: STATEMENT },
+    });
+    assert.equal(filed.status, 201);
+
+    const decision = await api.request('POST', `/api/admin/appeals/${filed.body.appeal._id}/decision`, {
+      token: adminToken, body: { decision: 'OVERTURN' },
+    });
+    assert.equal(decision.status, 200);
+
+    const updated = await User.findById(_id);
+    assert.equal(updated.moderationFlags.strikeCount, 1);
+    // The second strike's suspension still stands
+    assert.equal(updated.status, 'SUSPENDED');
+  });
+
+  it('upholding leaves the account untouched and cannot be decided twice', async () => {
+    const { _id } = await createUser();
+    const user = await offend(_id, LEVEL.HARASSMENT);
+    const filed = await api.request('POST', '/api/appeals', {
+      token: tokenFor(user), body: { type: 'SUSPENSION', statement: STATEMENT },
+    });
+
+    const queue = await api.request('GET', '/api/admin/appeals', { token: adminToken });
+    assert.equal(queue.body.appeals.length, 1);
+
+    const path = `/api/admin/appeals/${filed.body.appeal._id}/decision`;
+    const upheld = await api.request('POST', path, { token: adminToken, body: { decision: 'UPHOLD' } });
+    assert.equal(upheld.status, 200);
+
+    const twice = await api.request('POST', path, { token: adminToken, body: { decision: 'OVERTURN' } });
+    assert.equal(twice.status, 409);
+
+    const updated = await User.findById(_id);
+    assert.equal(updated.status, 'SUSPENDED');
+    assert.equal(updated.tokenVersion || 0, user.tokenVersion || 0);
+    assert.equal(await AuditLog.countDocuments({ action: 'UPHOLD_APPEAL' }), 1);
+  });
+
+  it('only a super admin can overturn a ban', async () => {
+    const { _id } = await createUser();
+    await offend(_id, LEVEL.ZERO_TOL);
+    await backdateViolations(_id);
+    const user = await offend(_id, LEVEL.ZERO_TOL);
+    assert.equal(user.status, 'BANNED');
+
+    const { res } = await appealWithLogin(user, { type: 'BAN', statement: STATEMENT });
+    const path = `/api/admin/appeals/${res.body.appeal._id}/decision`;
+
+    const denied = await api.request('POST', path, { token: adminToken, body: { decision: 'OVERTURN' } });
+    assert.equal(denied.status, 403);
+
+    const superAdmin = await createAdmin({ role: 'SUPER_ADMIN' });
+    await enrolTwoFactor(superAdmin);
+    const ok = await api.request('POST', path, { token: mfaTokenFor(superAdmin), body: { decision: 'OVERTURN' } });
+    assert.equal(ok.status, 200);
+
+    const updated = await User.findById(_id);
+    assert.equal(updated.banInfo.isBanned, false);
+    assert.equal(updated.moderationFlags.strikeCount, 1);
+    // The first L4 suspension was not part of this appeal
+    assert.equal(updated.status, 'SUSPENDED');
+    assert.equal(ok.body.reinstated, false);
+    // The ban stays on record with the lift stamped on it
+    assert.ok(updated.banInfo.bannedAt);
+    assert.ok(updated.banInfo.banReason);
+    assert.equal(updated.banInfo.liftedBy.toString(), superAdmin._id.toString());
+    assert.ok(updated.banInfo.liftedAt);
+  });
+
+  it('only a super admin can overturn a strike that triggered a ban', async () => {
+    const { _id } = await createUser();
+    await offend(_id, LEVEL.ZERO_TOL);
+    await backdateViolations(_id);
+    const user = await offend(_id, LEVEL.ZERO_TOL);
+    assert.equal(user.status, 'BANNED');
+
+    // The strike logged with the ban, not the backdated one
+    const strike = user.moderationFlags.violations
+      .reduce((a, b) => (a.detectedAt > b.detectedAt ? a : b));
+    const { res } = await appealWithLogin(user, { type: 'STRIKE', violationId: strike._id, statement: STATEMENT });
+    assert.equal(res.status, 201);
+    const path = `/api/admin/appeals/${res.body.appeal._id}/decision`;
+
+    const denied = await api.request('POST', path, { token: adminToken, body: { decision: 'OVERTURN' } });
+    assert.equal(denied.status, 403);
+
+    const unchanged = await User.findById(_id);
+    assert.equal(unchanged.status, 'BANNED');
+    assert.equal(unchanged.banInfo.isBanned, true);
+    assert.equal((await ModerationAppeal.findById(res.body.appeal._id)).status, 'PENDING');
+  });
+});
@@ -0,0 +1,303 @@
+// test/auth.test.js — Registration, login, token revocation, legal gate
+'use strict';
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  startTestApp, connectTestDB, clearTestDB, disconnectTestDB,
+  factories, tokenFor, expiredTokenFor, resetCalls,
+} = require('./helpers');
+const { LEGAL_VERSION, DEFAULT_PASSWORD, seedLegalVersions, createUser } = factories;
+
+const User = require('../models/User');
+const LegalAcceptance = require('../models/LegalAcceptance');
+const RefreshToken = require('../models/RefreshToken');
+const { REFRESH_REUSE_GRACE_MS } = require('../services/authSessionService');
+const MongoRateLimitStore = require('../utils/mongoRateLimitStore');
+
+const registration = (overrides = {}) => ({
+  firstName: 'Asha',
+  lastName:  'Verma',
+  email:     'asha@test.humrah.in',
+  password:  DEFAULT_PASSWORD,
+  legalAcceptance: {
+    termsVersion:      LEGAL_VERSION,
+    privacyVersion:    LEGAL_VERSION,
+    deviceFingerprint: 'test-device',
+    platform:          'android',
+  },
+  ...overrides,
+});
+
+describe('auth', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestApp();
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await seedLegalVersions();
+    resetCalls();
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('creates the user, logs legal acceptance and returns a token pair', async () => {
+      const res = await api.request('POST', '/api/auth/register', { body: registration() });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.success, true);
+      assert.ok(res.body.token);
+      assert.ok(res.body.refreshToken);
+      assert.equal(res.body.user.role, 'USER');
+
+      const user = await User.findOne({ email: 'asha@test.humrah.in' }).select('+password');
+      assert.equal(user.acceptedTermsVersion, LEGAL_VERSION);
+      assert.notEqual(user.password, DEFAULT_PASSWORD, 'password is stored hashed');
+      assert.equal(await LegalAcceptance.countDocuments({ userId: user._id }), 1);
+
+      const me = await api.request('GET', '/api/auth/me', { token: res.body.token });
+      assert.equal(me.status, 200);
+      assert.equal(me.body.user.email, 'asha@test.humrah.in');
+    });
+
+    it('ignores a client-supplied role', async () => {
+      const res = await api.request('POST', '/api/auth/register', { body: registration({ role: 'SUPER_ADMIN' }) });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.user.role, 'USER');
+    });
+
+    it('rejects a stale legal version', async () => {
+      const body = registration();
+      body.legalAcceptance.termsVersion = '0.9';
+
+      const res = await api.request('POST', '/api/auth/register', { body });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.currentVersions.terms, LEGAL_VERSION);
+      assert.equal(await User.countDocuments(), 0);
+    });
+
+    it('rejects a weak password', async () => {
+      const res = await api.request('POST', '/api/auth/register', { body: registration({ password: 'password' }) });
+
+      assert.equal(res.status, 400);
+      assert.equal(await User.countDocuments(), 0);
+    });
+
+    it('rejects users under 18', async () => {
+      const dob = new Date();
+      dob.setFullYear(dob.getFullYear() - 16);
+
+      const res = await api.request('POST', '/api/auth/register', {
+        body: registration({
+          questionnaire: {
+            dateOfBirth:      dob.toISOString().slice(0, 10),
+            isAdultConfirmed: true,
+            consentAccepted:  true,
+          },
+        }),
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(await User.countDocuments(), 0);
+    });
+
+    it('rejects a duplicate email', async () => {
+      await createUser({ email: 'asha@test.humrah.in' });
+
+      const res = await api.request('POST', '/api/auth/register', { body: registration() });
+
+      assert.equal(res.status, 400);
+      assert.equal(await User.countDocuments({ email: 'asha@test.humrah.in' }), 1);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('returns a token pair for valid credentials', async () => {
+      const user = await createUser();
+
+      const res = await api.request('POST', '/api/auth/login', {
+        body: { email: user.email, password: DEFAULT_PASSWORD },
+      });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.token);
+      assert.ok(res.body.refreshToken);
+    });
+
+    it('returns 401 for a wrong password or unknown email', async () => {
+      const user = await createUser();
+
+      const wrong = await api.request('POST', '/api/auth/login', {
+        body: { email: user.email, password: 'Wrong-pass1' },
+      });
+      const unknown = await api.request('POST', '/api/auth/login', {
+        body: { email: 'nobody@test.humrah.in', password: DEFAULT_PASSWORD },
+      });
+
+      assert.equal(wrong.status, 401);
+      assert.equal(unknown.status, 401);
+      assert.equal(wrong.body.message, unknown.body.message, 'no account enumeration');
+    });
+
+    it('refuses suspended and banned accounts', async () => {
+      const suspended = await createUser({
+        status: 'SUSPENDED',
+        suspensionInfo: {
+          isSuspended:      true,
+          suspensionReason: 'Test',
+          suspendedAt:      new Date(),
+          suspendedUntil:   new Date(Date.now() + 72 * 60 * 60 * 1000),
+        },
+      });
+      const banned = await createUser({ status: 'BANNED', banInfo: { isBanned: true, isPermanent: true } });
+
+      for (const user of [suspended, banned]) {
+        const res = await api.request('POST', '/api/auth/login', {
+          body: { email: user.email, password: DEFAULT_PASSWORD },
+        });
+        assert.equal(res.status, 403, user.status);
+      }
+    });
+
+    it('lifts a suspension whose end date has passed', async () => {
+      const user = await createUser({
+        status: 'SUSPENDED',
+        suspensionInfo: {
+          isSuspended:    true,
+          suspendedAt:    new Date(Date.now() - 4 * 24 * 60 * 60 * 1000),
+          suspendedUntil: new Date(Date.now() - 60 * 1000),
+        },
+      });
+
+      const res = await api.request('POST', '/api/auth/login', {
+        body: { email: user.email, password: DEFAULT_PASSWORD },
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal((await User.findById(user._id)).status, 'ACTIVE');
+    });
+
+    it('refuses logins while the rate-limit store is failing', async (t) => {
+      const user = await createUser();
+      t.after(() => mock.restoreAll());
+      mock.method(MongoRateLimitStore.prototype, 'increment', async () => { throw new Error('store down'); });
+
+      const login = await api.request('POST', '/api/auth/login', {
+        body: { email: user.email, password: DEFAULT_PASSWORD },
+      });
+      assert.equal(login.status, 500);
+      assert.equal(login.body.token, undefined);
+
+      // Non-credential limiters still let the request through
+      const refresh = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: 'not-a-token' } });
+      assert.equal(refresh.status, 401);
+    });
+  });
+
+  describe('access tokens', () => {
+    it('rejects missing and expired tokens', async () => {
+      const user = await createUser();
+
+      const missing = await api.request('GET', '/api/auth/me');
+      const expired = await api.request('GET', '/api/auth/me', { token: expiredTokenFor(user) });
+
+      assert.equal(missing.status, 401);
+      assert.equal(expired.status, 401);
+    });
+
+    it('revokes every outstanding token on logout-all', async () => {
+      const user  = await createUser();
+      const token = tokenFor(user);
+
+      const logout = await api.request('POST', '/api/auth/logout-all', { token });
+      assert.equal(logout.status, 200);
+
+      const after = await api.request('GET', '/api/auth/me', { token });
+      assert.equal(after.status, 401);
+      assert.equal(after.body.code, 'SESSION_REVOKED');
+    });
+
+    it('rotates refresh tokens and rejects a replayed one', async () => {
+      const user  = await createUser();
+      const login = await api.request('POST', '/api/auth/login', {
+        body: { email: user.email, password: DEFAULT_PASSWORD },
+      });
+
+      const first = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: login.body.refreshToken } });
+      assert.equal(first.status, 200);
+      assert.notEqual(first.body.refreshToken, login.body.refreshToken);
+
+      // Past the grace window the old token is a replay
+      await RefreshToken.updateOne({}, { $set: { rotatedAt: new Date(Date.now() - 60 * 1000) } });
+      const replay = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: login.body.refreshToken } });
+      assert.equal(replay.status, 401);
+
+      const revoked = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: first.body.refreshToken } });
+      assert.equal(revoked.status, 401);
+    });
+
+    it('lets two concurrent refreshes from one device both succeed', async () => {
+      const user  = await createUser();
+      const login = await api.request('POST', '/api/auth/login', {
+        body: { email: user.email, password: DEFAULT_PASSWORD },
+      });
+
+      const [a, b] = await Promise.all([
+        api.request('POST', '/api/auth/refresh', { body: { refreshToken: login.body.refreshToken } }),
+        api.request('POST', '/api/auth/refresh', { body: { refreshToken: login.body.refreshToken } }),
+      ]);
+      assert.equal(a.status, 200);
+      assert.equal(b.status, 200);
+      // The loser got the winner's pair instead of rotating again
+      assert.equal(a.body.refreshToken, b.body.refreshToken);
+
+      // Past the grace window both results still work
+      await RefreshToken.updateOne(
+        { userId: user._id },
+        { $set: { rotatedAt: new Date(Date.now() - REFRESH_REUSE_GRACE_MS - 1000) } }
+      );
+      const refreshed = [];
+      for (const result of [a, b]) {
+        const me = await api.request('GET', '/api/auth/me', { token: result.body.token });
+        assert.equal(me.status, 200);
+        const next = await api.request('POST', '/api/auth/refresh', { body: { refreshToken: result.body.refreshToken } });
+        assert.equal(next.status, 200);
+        refreshed.push(next.body.refreshToken);
+      }
+      assert.equal(refreshed[0], refreshed[1]);
+
+      const session = await RefreshToken.findOne({ userId: user._id }).lean();
+      assert.equal(session.revokedAt, null);
+    });
+  });
+
+  describe('legal acceptance gate', () => {
+    it('answers 428 until the current versions are accepted', async () => {
+      const user = await createUser({ acceptedTermsVersion: '0.9' });
+
+      const res = await api.request('GET', '/api/bookings/my', { token: tokenFor(user) });
+
+      assert.equal(res.status, 428);
+      assert.equal(res.body.code, 'LEGAL_ACCEPTANCE_REQUIRED');
+    });
+
+    it('lets admins through without acceptance', async () => {
+      const admin = await factories.createAdmin({ acceptedTermsVersion: null, acceptedPrivacyVersion: null });
+
+      const res = await api.request('GET', '/api/bookings/my', { token: tokenFor(admin) });
+
+      assert.equal(res.status, 200);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+// test/booking.test.js — Booking lifecycle: request → confirm → pay → complete / cancel
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const {
+  startTestApp, connectTestDB, clearTestDB, disconnectTestDB,
+  factories, tokenFor, resetCalls,
+} = require('./helpers');
+const { seedLegalVersions, createUser, createCompanion, createBooking } = factories;
+
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { getCompanionBalance } = require('../services/ledgerService');
+
+describe('booking lifecycle', () => {
+  let api;
+  let booker;
+  let companion;
+
+  before(async () => {
+    api = await startTestApp();
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await seedLegalVersions();
+    resetCalls();
+    booker    = await createUser();
+    companion = await createCompanion();
+  });
+
+  const setStatus = (user, bookingId, status, extra = {}) =>
+    api.request('PUT', `/api/bookings/${bookingId}/status`, { token: tokenFor(user), body: { status, ...extra } });
+
+  // Request → confirm → mock checkout. Returns the booking id.
+  async function paidBooking() {
+    const created = await api.request('POST', '/api/bookings', {
+      token: tokenFor(booker),
+      body:  { companionId: companion._id, bookingDate: new Date(Date.now() + 86400000), meetingLocation: 'Lodhi Garden' },
+    });
+    const bookingId = created.body.booking._id;
+
+    await setStatus(companion, bookingId, 'confirmed');
+    const paid = await api.request('POST', `/api/bookings/${bookingId}/payment/mock-complete`, { token: tokenFor(booker) });
+    assert.equal(paid.status, 200);
+    return bookingId;
+  }
+
+  it('prices a new booking from the companion questionnaire', async () => {
+    const res = await api.request('POST', '/api/bookings', {
+      token: tokenFor(booker),
+      body:  { companionId: companion._id, bookingDate: new Date(Date.now() + 86400000), meetingLocation: 'Lodhi Garden' },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.booking.status, 'pending');
+    assert.equal(res.body.booking.totalAmount, 800);
+    assert.equal(res.body.booking.platformFee, 200);
+    assert.equal(res.body.booking.companionEarning, 600);
+  });
+
+  it('treats a companion without a numeric price as free', async () => {
+    const free = await createCompanion({ questionnaire: { becomeCompanion: "Yes, I'm interested", price: 'Split the bill' } });
+
+    const res = await api.request('POST', '/api/bookings', {
+      token: tokenFor(booker),
+      body:  { companionId: free._id, bookingDate: new Date(Date.now() + 86400000) },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.booking.totalAmount, 0);
+
+    const confirmed = await setStatus(free, res.body.booking._id, 'confirmed');
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.payment, null, 'free bookings skip checkout');
+
+    const completed = await setStatus(booker, res.body.booking._id, 'completed');
+    assert.equal(completed.status, 200);
+  });
+
+  it('returns 404 for an unknown companion', async () => {
+    const res = await api.request('POST', '/api/bookings', {
+      token: tokenFor(booker),
+      body:  { companionId: new mongoose.Types.ObjectId(), bookingDate: new Date() },
+    });
+
+    assert.equal(res.status, 404);
+  });
+
+  it('lists bookings for both participants only', async () => {
+    const booking  = await createBooking({ user: booker, companion });
+    const outsider = await createUser();
+
+    for (const user of [booker, companion]) {
+      const res = await api.request('GET', '/api/bookings/my', { token: tokenFor(user) });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.bookings.map(b => b._id), [booking._id.toString()]);
+    }
+
+    const res = await api.request('GET', '/api/bookings/my', { token: tokenFor(outsider) });
+    assert.deepEqual(res.body.bookings, []);
+  });
+
+  it('only lets participants change the status', async () => {
+    const booking  = await createBooking({ user: booker, companion });
+    const outsider = await createUser();
+
+    const denied = await setStatus(outsider, booking._id, 'confirmed');
+    assert.equal(denied.status, 403);
+
+    const invalid = await setStatus(companion, booking._id, 'accepted');
+    assert.equal(invalid.status, 400);
+
+    const confirmed = await setStatus(companion, booking._id, 'confirmed');
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.booking.status, 'confirmed');
+  });
+
+  it('opens a checkout order on confirmation and only the booker can pay', async () => {
+    const created = await api.request('POST', '/api/bookings', {
+      token: tokenFor(booker),
+      body:  { companionId: companion._id, bookingDate: new Date(Date.now() + 86400000) },
+    });
+    const bookingId = created.body.booking._id;
+
+    const confirmed = await setStatus(companion, bookingId, 'confirmed');
+    assert.equal(confirmed.body.payment.required, true);
+    assert.ok(confirmed.body.payment.order);
+
+    const early = await setStatus(booker, bookingId, 'completed');
+    assert.equal(early.status, 400, 'cannot complete before payment');
+
+    const companionPays = await api.request('POST', `/api/bookings/${bookingId}/checkout`, { token: tokenFor(companion) });
+    assert.equal(companionPays.status, 403);
+
+    const paid = await api.request('POST', `/api/bookings/${bookingId}/payment/mock-complete`, { token: tokenFor(booker) });
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.paymentStatus, 'paid');
+
+    const summary = await api.request('GET', `/api/bookings/${bookingId}/payment`, { token: tokenFor(companion) });
+    assert.equal(summary.status, 200);
+    assert.equal(summary.body.payment.paymentStatus, 'paid');
+  });
+
+  it('credits the companion once when a paid booking completes', async () => {
+    const bookingId = await paidBooking();
+
+    const completed = await setStatus(booker, bookingId, 'completed');
+    assert.equal(completed.status, 200);
+
+    // A second save of the completed booking must not credit again
+    const booking = await Booking.findById(bookingId);
+    booking.notes = 'Lovely walk';
+    await booking.save();
+
+    const refreshed = await User.findById(companion._id);
+    assert.equal(refreshed.paymentInfo.pendingPayout, 600);
+    assert.equal(refreshed.paymentInfo.totalEarnings, 600);
+
+    const balance = await getCompanionBalance(companion._id);
+    assert.equal(balance.pendingPayout, 600);
+    assert.equal(balance.totalEarnings, 600);
+  });
+
+  it('refunds a paid booking on cancellation', async () => {
+    const bookingId = await paidBooking();
+
+    const cancelled = await setStatus(booker, bookingId, 'cancelled', { reason: 'Plans changed' });
+
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.booking.status, 'cancelled');
+    assert.equal(cancelled.body.refund.success, true);
+    assert.ok(cancelled.body.refund.refundId);
+
+    const refreshed = await User.findById(companion._id);
+    assert.equal(refreshed.paymentInfo.pendingPayout || 0, 0, 'no earnings for a cancelled booking');
+  });
+});
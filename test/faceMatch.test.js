@@ -0,0 +1,76 @@
+// test/faceMatch.test.js — Profile photo vs verification video comparison (services/faceMatchService.js)
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  cosineSimilarity, compareFaces, getFaceEmbeddingProvider, setFaceEmbeddingProvider, checkFaceMatchConfig,
+} = require('../services/faceMatchService');
+
+// A model that reads its "faces" straight out of the image buffer:
+// Buffer.from(JSON.stringify([[...embedding], ...]))
+const fakeModel = {
+  name: 'fake',
+  async detectFaces(buffer) {
+    return JSON.parse(buffer.toString()).map(embedding => ({ embedding }));
+  },
+};
+const image = (...faces) => Buffer.from(JSON.stringify(faces));
+
+describe('face comparison', () => {
+  afterEach(() => {
+    delete process.env.FACE_MATCH_THRESHOLD;
+    delete process.env.FACE_EMBEDDING_MODEL;
+    setFaceEmbeddingProvider(undefined);
+  });
+
+  it('measures cosine similarity', () => {
+    assert.equal(cosineSimilarity([1, 0], [2, 0]), 1);
+    assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+    assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+  });
+
+  it('matches the same face across frames and flags a different one', async () => {
+    const photo = image([1, 0.1, 0]);
+
+    const same = await compareFaces([image([1, 0, 0]), image([0.9, 0.2, 0]), image()], photo, fakeModel);
+    assert.equal(same.status, 'MATCH');
+    assert.equal(same.facesDetected, 2);
+    assert.ok(same.similarity > 0.9);
+    assert.equal(same.embedding.length, 3);
+
+    // One frame of a held-up photo does not carry the median
+    const other = await compareFaces([image([0, 1, 0]), image([0, 0.9, 0.3]), image([1, 0.1, 0])], photo, fakeModel);
+    assert.equal(other.status, 'LOW_SIMILARITY');
+    assert.ok(other.similarity < 0.5);
+  });
+
+  it('reports NO_FACE and honours the configured threshold', async () => {
+    assert.equal((await compareFaces([image([1, 0])], image(), fakeModel)).status, 'NO_FACE');
+    assert.equal((await compareFaces([image(), image()], image([1, 0]), fakeModel)).status, 'NO_FACE');
+
+    process.env.FACE_MATCH_THRESHOLD = '0.99';
+    const strict = await compareFaces([image([1, 0.3])], image([1, 0]), fakeModel);
+    assert.equal(strict.status, 'LOW_SIMILARITY');
+    assert.equal(strict.threshold, 0.99);
+  });
+
+  it('runs without a model when none is configured or it fails to load', () => {
+    assert.equal(getFaceEmbeddingProvider(), null);
+
+    setFaceEmbeddingProvider(undefined);
+    process.env.FACE_EMBEDDING_MODEL = './models/does-not-exist.js';
+    assert.equal(getFaceEmbeddingProvider(), null);
+  });
+
+  it('reports at startup whether a model is in use', () => {
+    assert.equal(checkFaceMatchConfig(), false);
+
+    process.env.FACE_EMBEDDING_MODEL = './models/does-not-exist.js';
+    assert.equal(checkFaceMatchConfig(), false);
+
+    setFaceEmbeddingProvider(fakeModel);
+    assert.equal(checkFaceMatchConfig(), true);
+  });
+});
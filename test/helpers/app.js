@@ -0,0 +1,77 @@
+// test/helpers/app.js — Boot the HTTP app on an ephemeral port
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Builds the same Express app as server.js (app.js createApp) without sockets,
+// cron jobs or the job worker. Routes that emit through req.app.get('io') get
+// a fake whose emits are recorded on `io.emitted`.
+//
+//   const api = await startTestApp();
+//   const res = await api.request('POST', '/api/bookings', { token, body });
+//   res.status, res.body
+//   await api.close();
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const http = require('http');
+const { createApp } = require('../../app');
+
+function createFakeIo() {
+  const emitted = [];
+
+  const target = (rooms) => ({
+    to:     (room) => target([...rooms, ...[].concat(room)]),
+    in:     (room) => target([...rooms, ...[].concat(room)]),
+    except: ()     => target(rooms),
+    emit:   (event, ...args) => { emitted.push({ rooms, event, args }); return true; },
+    fetchSockets:      async () => [],
+    socketsJoin:       () => {},
+    socketsLeave:      () => {},
+    disconnectSockets: () => {},
+  });
+
+  const io = {
+    ...target([]),
+    of:      () => io,
+    engine:  { clientsCount: 0 },
+    sockets: { sockets: new Map(), adapter: { rooms: new Map() } },
+    emitted,
+  };
+  return io;
+}
+
+async function startTestApp() {
+  const app = createApp();
+  const io  = createFakeIo();
+  app.set('io', io);
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+
+    const text = await res.text();
+    let parsed = text;
+    try { parsed = text ? JSON.parse(text) : null; } catch (_) { /* non-JSON body */ }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  return { app, io, server, baseUrl, request, close };
+}
+
+module.exports = { startTestApp, createFakeIo };
@@ -0,0 +1,28 @@
+// test/helpers/auth.js — JWT helpers
+//
+// Tokens are signed exactly like issueAuthTokens() signs them, minus the
+// device session (no `sid`), so they pass authenticate() without a
+// RefreshToken row. Pass { sessionId } to bind one. mfaTokenFor() adds a
+// fresh TOTP claim for sensitiveAdminOnly routes (needs enrolTwoFactor()).
+
+'use strict';
+
+const jwt = require('jsonwebtoken');
+const { signAccessToken } = require('../../services/authSessionService');
+
+function tokenFor(user, { sessionId = null, expiresIn, claims } = {}) {
+  return signAccessToken(user._id, user.role, user.tokenVersion || 0, sessionId, { expiresIn, claims });
+}
+
+function mfaTokenFor(user, options = {}) {
+  return tokenFor(user, { ...options, claims: { ...options.claims, mfaAt: Math.floor(Date.now() / 1000) } });
+}
+
+function expiredTokenFor(user) {
+  return jwt.sign(
+    { userId: user._id, role: user.role, tv: user.tokenVersion || 0, exp: Math.floor(Date.now() / 1000) - 60 },
+    process.env.JWT_SECRET
+  );
+}
+
+module.exports = { tokenFor, mfaTokenFor, expiredTokenFor };
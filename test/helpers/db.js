@@ -0,0 +1,40 @@
+// test/helpers/db.js — In-memory MongoDB for the test suites
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// One mongod per test file (node --test runs each file in its own process),
+// started as a single-node replica set because ledger postings use transactions.
+// MONGOMS_VERSION / MONGOMS_DOWNLOAD_DIR etc. are honoured by
+// mongodb-memory-server if CI needs a pinned binary.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+let mongod = null;
+
+async function connectTestDB() {
+  if (mongod) return mongoose.connection;
+
+  mongod = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(mongod.getUri(), { dbName: 'humrah-test' });
+  // Unique indexes (email, transactionKey, …) must exist before the first write
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+  return mongoose.connection;
+}
+
+async function clearTestDB() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+async function disconnectTestDB() {
+  await mongoose.disconnect();
+  if (mongod) {
+    await mongod.stop();
+    mongod = null;
+  }
+}
+
+module.exports = { connectTestDB, clearTestDB, disconnectTestDB };
@@ -0,0 +1,109 @@
+// test/helpers/factories.js — Fixture builders
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Every builder writes straight to the (in-memory) database and returns the
+// saved document. Overrides are shallow-merged; nested objects (questionnaire,
+// paymentInfo) replace the defaults wholesale.
+//
+//   seedLegalVersions()              TERMS + PRIVACY at LEGAL_VERSION
+//   createUser / createCompanion / createAdmin
+//   enrolTwoFactor(admin)            for sensitiveAdminOnly routes (with mfaTokenFor)
+//   createBooking({ user, companion, ...overrides })
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const User           = require('../../models/User');
+const Booking        = require('../../models/Booking');
+const LegalVersion   = require('../../models/LegalVersion');
+const AdminTwoFactor = require('../../models/AdminTwoFactor');
+
+const LEGAL_VERSION    = '1.0';
+const DEFAULT_PASSWORD = 'Passw0rd!23';
+
+let seq = 0;
+const nextSeq = () => ++seq;
+
+async function seedLegalVersions(version = LEGAL_VERSION) {
+  const docs = ['TERMS', 'PRIVACY'].map(documentType => ({
+    documentType,
+    currentVersion: version,
+    url:            `https://humrah.in/legal/${documentType.toLowerCase()}/${version}`,
+    effectiveDate:  new Date(),
+  }));
+  await Promise.all(docs.map(doc =>
+    LegalVersion.findOneAndUpdate({ documentType: doc.documentType }, doc, { upsert: true, new: true })
+  ));
+}
+
+async function createUser(overrides = {}) {
+  const n = nextSeq();
+  return User.create({
+    firstName:              'Test',
+    lastName:               `User${n}`,
+    email:                  `user${n}@test.humrah.in`,
+    password:               DEFAULT_PASSWORD,
+    role:                   'USER',
+    status:                 'ACTIVE',
+    emailVerified:          true,
+    acceptedTermsVersion:   LEGAL_VERSION,
+    acceptedPrivacyVersion: LEGAL_VERSION,
+    questionnaire:          { becomeCompanion: 'No' },
+    ...overrides,
+  });
+}
+
+async function createCompanion(overrides = {}) {
+  const n = nextSeq();
+  return createUser({
+    firstName:     'Companion',
+    email:         `companion${n}@test.humrah.in`,
+    questionnaire: { becomeCompanion: "Yes, I'm interested", price: '₹800 per hour' },
+    paymentInfo:   { upiId: `companion${n}@okaxis`, upiName: `Companion ${n}`, upiStatus: 'verified' },
+    ...overrides,
+  });
+}
+
+async function createAdmin(overrides = {}) {
+  const n = nextSeq();
+  return createUser({
+    firstName: 'Admin',
+    email:     `admin${n}@test.humrah.in`,
+    role:      'SAFETY_ADMIN',
+    ...overrides,
+  });
+}
+
+async function enrolTwoFactor(admin) {
+  return AdminTwoFactor.create({
+    userId:     admin._id,
+    enabled:    true,
+    enrolledAt: new Date(Date.now() - 60 * 1000),
+  });
+}
+
+async function createBooking({ user, companion, ...overrides } = {}) {
+  const booker = user      || await createUser();
+  const host   = companion || await createCompanion();
+
+  return Booking.create({
+    userId:          booker._id,
+    companionId:     host._id,
+    bookingDate:     new Date(Date.now() + 24 * 60 * 60 * 1000),
+    meetingLocation: 'Cafe Coffee Day, Connaught Place',
+    status:          'pending',
+    totalAmount:     0,
+    ...overrides,
+  });
+}
+
+module.exports = {
+  LEGAL_VERSION,
+  DEFAULT_PASSWORD,
+  seedLegalVersions,
+  createUser,
+  createCompanion,
+  createAdmin,
+  enrolTwoFactor,
+  createBooking,
+};
@@ -0,0 +1,59 @@
+// test/helpers/index.js — Entry point for every suite
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Require this first in a test file: it fixes the environment and installs
+// the SDK stubs before any app module is loaded, then re-exports the helpers.
+//
+//   const { startTestApp, connectTestDB, factories, tokenFor } = require('./helpers');
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const TEST_ENV = {
+  NODE_ENV:                 'test',
+  JWT_SECRET:               'test-jwt-secret',
+  OTP_PEPPER:               'test-otp-pepper',
+  AGORA_APP_ID:             'test-agora-app',
+  AGORA_APP_CERTIFICATE:    'test-agora-certificate',
+  USE_MOCK_PAYMENTS:        'true',
+  BOOKING_PAYMENTS_ENABLED: 'true',
+  SOCKET_ADAPTER:           'memory',
+  BREVO_API_KEY:            'test-brevo-key',
+  MOVIE_DATA_PROVIDER:      'fixture',
+};
+
+// Set to '' (not deleted) so a later dotenv.config() cannot fill them from .env
+const DISABLED_PROVIDERS = [
+  'OPENAI_API_KEY',
+  'GROQ_API_KEY',
+  'GEMINI_API_KEY',
+  'GOOGLE_VISION_API_KEY',
+  'GOOGLE_PLACES_API_KEY',
+  'TMDB_API_KEY',
+  'FACE_EMBEDDING_MODEL',
+  'RESEND_API_KEY',
+  'PAYMENT_GATEWAY_API_KEY',
+  'PAYMENT_GATEWAY_API_SECRET',
+  'TELEGRAM_SAFETY_BOT_TOKEN',
+  'TELEGRAM_EMERGENCY_BOT_TOKEN',
+  'TELEGRAM_VERIFICATION_BOT_TOKEN',
+  'TELEGRAM_FOUNDER_BOT_TOKEN',
+];
+
+Object.assign(process.env, TEST_ENV);
+for (const key of DISABLED_PROVIDERS) process.env[key] = '';
+
+const stubs     = require('./stubs');
+const db        = require('./db');
+const factories = require('./factories');
+const auth      = require('./auth');
+const { startTestApp, createFakeIo } = require('./app');
+
+module.exports = {
+  ...stubs,
+  ...db,
+  ...auth,
+  factories,
+  startTestApp,
+  createFakeIo,
+};
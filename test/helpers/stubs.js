@@ -0,0 +1,139 @@
+// test/helpers/stubs.js — In-process fakes for third-party SDKs
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Seeds require.cache so every `require('firebase-admin')`, `require('cloudinary')`,
+// `require('agora-access-token')` and `require('@getbrevo/brevo')` in the app
+// resolves to a fake that records what it was asked to do and never touches
+// the network. Must be loaded before anything from the app — test/helpers/index.js
+// does that.
+//
+//   calls.push        FCM messages     { method, message }
+//   calls.email       Brevo payloads   { to, subject, ... }
+//   calls.cloudinary  uploads/deletes  { method, options }
+//   calls.agora       RTC tokens       { channel, uid, role }
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const Module = require('module');
+const { Writable } = require('stream');
+
+const calls = { push: [], email: [], cloudinary: [], agora: [] };
+
+function resetCalls() {
+  for (const key of Object.keys(calls)) calls[key].length = 0;
+}
+
+function stubModule(name, exports) {
+  const filename = require.resolve(name);
+  const mod      = new Module(filename);
+  mod.filename   = filename;
+  mod.loaded     = true;
+  mod.exports    = exports;
+  require.cache[filename] = mod;
+}
+
+// ── firebase-admin ────────────────────────────────────────────────────────────
+// apps is non-empty so config/firebase.js treats the SDK as already initialised.
+const multicastResult = (message) => ({
+  successCount: (message.tokens || []).length,
+  failureCount: 0,
+  responses:    (message.tokens || []).map((_, i) => ({ success: true, messageId: `test-msg-${i}` })),
+});
+
+const messaging = {
+  async send(message) {
+    calls.push.push({ method: 'send', message });
+    return `projects/test/messages/${calls.push.length}`;
+  },
+  async sendEachForMulticast(message) {
+    calls.push.push({ method: 'sendEachForMulticast', message });
+    return multicastResult(message);
+  },
+  async sendMulticast(message) {
+    calls.push.push({ method: 'sendMulticast', message });
+    return multicastResult(message);
+  },
+};
+
+stubModule('firebase-admin', {
+  apps:          [{ name: '[DEFAULT]' }],
+  initializeApp: () => ({ name: '[DEFAULT]' }),
+  app:           () => ({ name: '[DEFAULT]' }),
+  credential:    { cert: (serviceAccount) => serviceAccount },
+  messaging:     () => messaging,
+  storage:       () => ({
+    bucket: () => ({
+      file: (path) => ({
+        save:         async () => {},
+        delete:       async () => {},
+        getSignedUrl: async () => [`https://storage.test/${path}`],
+      }),
+    }),
+  }),
+});
+
+// ── cloudinary ────────────────────────────────────────────────────────────────
+let uploadSeq = 0;
+const uploadResult = (options = {}) => {
+  uploadSeq += 1;
+  const publicId = `${options.folder || 'humrah'}/test-${uploadSeq}`;
+  return {
+    public_id:     publicId,
+    secure_url:    `https://res.cloudinary.com/test/${publicId}`,
+    url:           `http://res.cloudinary.com/test/${publicId}`,
+    resource_type: options.resource_type || 'image',
+    bytes:         0,
+  };
+};
+
+const cloudinaryV2 = {
+  config: () => {},
+  url:    (publicId) => `https://res.cloudinary.com/test/${publicId}`,
+  uploader: {
+    upload_stream(options, callback) {
+      calls.cloudinary.push({ method: 'upload_stream', options });
+      const sink = new Writable({ write(chunk, encoding, done) { done(); } });
+      sink.on('finish', () => callback(null, uploadResult(options)));
+      return sink;
+    },
+    async upload(file, options = {}) {
+      calls.cloudinary.push({ method: 'upload', options });
+      return uploadResult(options);
+    },
+    async destroy(publicId, options = {}) {
+      calls.cloudinary.push({ method: 'destroy', options: { ...options, publicId } });
+      return { result: 'ok' };
+    },
+  },
+};
+
+stubModule('cloudinary', { v2: cloudinaryV2 });
+
+// ── agora-access-token ────────────────────────────────────────────────────────
+stubModule('agora-access-token', {
+  RtcRole: { PUBLISHER: 1, SUBSCRIBER: 2 },
+  RtcTokenBuilder: {
+    buildTokenWithUid(appId, certificate, channel, uid, role) {
+      calls.agora.push({ channel, uid, role });
+      return `test-rtc-token:${channel}:${uid}`;
+    },
+  },
+});
+
+// ── @getbrevo/brevo (outbound email) ──────────────────────────────────────────
+class TransactionalEmailsApi {
+  setApiKey() {}
+
+  async sendTransacEmail(payload) {
+    calls.email.push(payload);
+    return { messageId: `<test-${calls.email.length}@brevo.test>` };
+  }
+}
+
+stubModule('@getbrevo/brevo', {
+  TransactionalEmailsApi,
+  TransactionalEmailsApiApiKeys: { apiKey: 0 },
+});
+
+module.exports = { calls, resetCalls };
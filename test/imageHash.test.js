@@ -0,0 +1,139 @@
+// test/imageHash.test.js — Perceptual-hash blocklist and SafeSearch verdict cache (services/imageHashService.js)
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const {
+  startTestApp, connectTestDB, clearTestDB, disconnectTestDB,
+  factories, tokenFor,
+} = require('./helpers');
+const { seedLegalVersions, createUser, createAdmin } = factories;
+
+const BlockedImageHash = require('../models/BlockedImageHash');
+const ImageModerationCache = require('../models/ImageModerationCache');
+const { computeImageHash, hammingDistance, hashBands } = require('../services/imageHashService');
+
+// A 64×48 gradient with some texture, as PNG
+async function samplePng() {
+  const width = 64, height = 48;
+  const raw = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      raw[i] = x * 4;
+      raw[i + 1] = (y * 5) % 256;
+      raw[i + 2] = (x * y) % 256;
+    }
+  }
+  return sharp(raw, { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
+// The same picture as a phone would re-share it: resized, recompressed
+async function reencoded(png) {
+  const jpg = await sharp(png).resize(200, 150).jpeg({ quality: 60 }).toBuffer();
+  return `data:image/jpeg;base64,${jpg.toString('base64')}`;
+}
+
+describe('perceptual hash', () => {
+  it('survives re-encoding and tells different images apart', async () => {
+    const png = await samplePng();
+    const original = await computeImageHash(png);
+
+    assert.match(original, /^[0-9a-f]{16}$/);
+    assert.ok(hammingDistance(original, await computeImageHash(await reencoded(png))) <= 2);
+
+    const mirrored = await sharp(png).flop().png().toBuffer();
+    assert.ok(hammingDistance(original, await computeImageHash(mirrored)) > 20);
+  });
+
+  it('cuts hashes into positional bands', () => {
+    assert.deepEqual(hashBands('0123456789abcdef', 16), ['0:0123', '1:4567', '2:89ab', '3:cdef']);
+    assert.equal(hashBands('0123456789abcdef', 8).length, 8);
+  });
+});
+
+describe('image blocklist and verdict cache', () => {
+  let api;
+  let user;
+
+  before(async () => {
+    api = await startTestApp();
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await seedLegalVersions();
+    user = await createUser();
+  });
+
+  it('rejects a re-upload of a post the Safety Team removed', async () => {
+    const png = await samplePng();
+    const first = await api.request('POST', '/api/posts', {
+      token: tokenFor(user), body: { imageBase64: png.toString('base64') },
+    });
+    assert.equal(first.status, 201);
+
+    const admin = await createAdmin();
+    const removed = await api.request('PATCH', `/api/admin/moderation/posts/${first.body.post._id}/remove`, {
+      token: tokenFor(admin), body: { reasonCode: 'nudity' },
+    });
+    assert.equal(removed.status, 200);
+    assert.equal(await BlockedImageHash.countDocuments({ sourceType: 'post' }), 1);
+
+    const again = await api.request('POST', '/api/posts', {
+      token: tokenFor(user), body: { imageBase64: await reencoded(png) },
+    });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.code, 'IMAGE_POLICY_VIOLATION');
+    assert.equal(again.body.strikeCount, 1);
+
+    // Restoring the post lifts the block
+    await api.request('PATCH', `/api/admin/moderation/posts/${first.body.post._id}/restore`, { token: tokenFor(admin) });
+    assert.equal(await BlockedImageHash.countDocuments(), 0);
+  });
+
+  it('reuses the cached SafeSearch verdict for a near-duplicate', async () => {
+    const png = await samplePng();
+    const hash = await computeImageHash(png);
+    await ImageModerationCache.create({
+      hash,
+      bands: hashBands(hash, 16),
+      verdict: { blocked: true, extremeContent: false, blockReason: 'adult', scores: { adult: 'LIKELY' } },
+    });
+
+    // No Vision key in tests: without the cache this upload would fail open
+    const res = await api.request('POST', '/api/posts', {
+      token: tokenFor(user), body: { imageBase64: await reencoded(png) },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'IMAGE_POLICY_VIOLATION');
+
+    const cached = await ImageModerationCache.findOne({ hash });
+    assert.equal(cached.hits, 1);
+  });
+
+  it('screens profile photos against the blocklist', async () => {
+    const png = await samplePng();
+    const admin = await createAdmin();
+    const holder = await createUser({ profilePhoto: 'https://images.test/p.jpg', profilePhotoHash: await computeImageHash(png) });
+
+    const blocked = await api.request('POST', '/api/admin/image-blocklist', {
+      token: tokenFor(admin), body: { sourceType: 'profile_photo', sourceId: holder._id, reason: 'impersonation' },
+    });
+    assert.equal(blocked.status, 201);
+
+    const res = await api.request('POST', '/api/users/upload-profile-photo-base64', {
+      token: tokenFor(user), body: { photoBase64: png.toString('base64') },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'IMAGE_POLICY_VIOLATION');
+  });
+});
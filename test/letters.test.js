@@ -0,0 +1,355 @@
+// test/letters.test.js — Letter threads, author updates, extension, crisis escalation and
+//                        feed ranking (services/letters.service.js, crisisEscalationService.js,
+//                        letterRanking.js)
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  startTestApp, connectTestDB, clearTestDB, disconnectTestDB,
+  factories, tokenFor,
+} = require('./helpers');
+const { seedLegalVersions, createUser, createAdmin } = factories;
+
+const Letter = require('../models/Letter');
+const LetterReply = require('../models/LetterReply');
+const LetterNotification = require('../models/LetterNotification');
+const CrisisCase = require('../models/CrisisCase');
+const AuditLog = require('../models/AuditLog');
+const { recomputeEngagementScores } = require('../services/letterRanking');
+
+const CRISIS_LETTER = 'Some days there is no reason to live and nobody would notice.';
+const LETTER = 'Moving to a new city next week and I am scared of being alone there.';
+
+// Clears the 3-second reply cooldown without waiting for it
+async function backdateReplies() {
+  await LetterReply.collection.updateMany({}, { $set: { createdAt: new Date(Date.now() - 60 * 1000) } });
+}
+
+describe('letter conversations', () => {
+  let api;
+  let author;
+  let replier;
+  let letterId;
+
+  before(async () => {
+    api = await startTestApp();
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await seedLegalVersions();
+    author = await createUser();
+    replier = await createUser();
+
+    const res = await api.request('POST', '/api/letters', {
+      token: tokenFor(author), body: { body: LETTER, category: 'loneliness' },
+    });
+    assert.equal(res.status, 201);
+    letterId = res.body.letterId;
+  });
+
+  async function leaveNote(user = replier, body = 'You will find your people, give it time.') {
+    const res = await api.request('POST', `/api/letters/${letterId}/replies`, { token: tokenFor(user), body: { body } });
+    assert.equal(res.status, 201);
+    await backdateReplies();
+    return res.body.reply;
+  }
+
+  it('threads the author reply under the note and notifies the note writer', async () => {
+    const note = await leaveNote();
+
+    const answer = await api.request('POST', `/api/letters/${letterId}/replies/${note.id}/replies`, {
+      token: tokenFor(author), body: { body: 'Thank you, that means a lot.' },
+    });
+    assert.equal(answer.status, 201);
+    assert.equal(answer.body.reply.fromLetterAuthor, true);
+    await backdateReplies();
+
+    const back = await api.request('POST', `/api/letters/${letterId}/replies/${note.id}/replies`, {
+      token: tokenFor(replier), body: { body: 'Let us know how it goes!' },
+    });
+    assert.equal(back.status, 201);
+    assert.equal(back.body.reply.authorHash, null);
+
+    const details = await api.request('GET', `/api/letters/${letterId}`, { token: tokenFor(replier) });
+    const [top] = details.body.replies;
+    assert.equal(details.body.replies.length, 1);
+    assert.equal(top.thread.length, 2);
+    assert.equal(top.thread[0].authorHash, details.body.letter.authorHash);
+    assert.equal(top.thread[1].isMine, true);
+
+    assert.ok(await LetterNotification.findOne({ recipientId: replier._id, type: 'author_reply' }));
+    assert.ok(await LetterNotification.findOne({ recipientId: author._id, type: 'thread_reply' }));
+  });
+
+  it('keeps other users out of a thread', async () => {
+    const note = await leaveNote();
+    const stranger = await createUser();
+
+    const res = await api.request('POST', `/api/letters/${letterId}/replies/${note.id}/replies`, {
+      token: tokenFor(stranger), body: { body: 'Jumping in here too.' },
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it('hides held thread replies and skips the notification', async () => {
+    const note = await leaveNote();
+
+    const res = await api.request('POST', `/api/letters/${letterId}/replies/${note.id}/replies`, {
+      token: tokenFor(author), body: { body: 'dm me for rates' },
+    });
+    assert.equal(res.status, 201);
+
+    const details = await api.request('GET', `/api/letters/${letterId}`, { token: tokenFor(replier) });
+    assert.equal(details.body.replies[0].thread.length, 0);
+    assert.equal(await LetterNotification.countDocuments({ type: 'author_reply' }), 0);
+  });
+
+  it('accepts one author update and tells everyone who took part', async () => {
+    await leaveNote();
+    const reactor = await createUser();
+    await api.request('POST', `/api/letters/${letterId}/react`, { token: tokenFor(reactor), body: { type: 'warmth' } });
+
+    const body = { body: 'I made my first friend at work today. Thank you all.' };
+    const foreign = await api.request('POST', `/api/letters/${letterId}/update`, { token: tokenFor(replier), body });
+    assert.equal(foreign.status, 403);
+
+    const posted = await api.request('POST', `/api/letters/${letterId}/update`, { token: tokenFor(author), body });
+    assert.equal(posted.status, 201);
+    assert.equal(posted.body.letter.update.body, body.body);
+
+    const again = await api.request('POST', `/api/letters/${letterId}/update`, { token: tokenFor(author), body });
+    assert.equal(again.status, 409);
+
+    const notified = await LetterNotification.find({ type: 'update' }).lean();
+    assert.deepEqual(
+      notified.map(n => n.recipientId.toString()).sort(),
+      [replier._id.toString(), reactor._id.toString()].sort()
+    );
+  });
+
+  it('extends a letter once by a day', async () => {
+    const original = await Letter.findById(letterId).lean();
+
+    const res = await api.request('POST', `/api/letters/${letterId}/extend`, { token: tokenFor(author) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.letter.isExtended, true);
+
+    const extended = await Letter.findById(letterId).lean();
+    assert.equal(extended.expiresAt - original.expiresAt, 24 * 60 * 60 * 1000);
+
+    const twice = await api.request('POST', `/api/letters/${letterId}/extend`, { token: tokenFor(author) });
+    assert.equal(twice.status, 409);
+  });
+
+  it('closes threads and extension once the letter has expired', async () => {
+    const note = await leaveNote();
+    await Letter.updateOne({ _id: letterId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const reply = await api.request('POST', `/api/letters/${letterId}/replies/${note.id}/replies`, {
+      token: tokenFor(author), body: { body: 'Sorry I missed this one.' },
+    });
+    assert.equal(reply.status, 410);
+
+    const extend = await api.request('POST', `/api/letters/${letterId}/extend`, { token: tokenFor(author) });
+    assert.equal(extend.status, 410);
+  });
+});
+
+describe('letter crisis escalation', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startTestApp();
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await seedLegalVersions();
+    admin = await createAdmin();
+  });
+
+  async function writeLetter(user, body = CRISIS_LETTER) {
+    return api.request('POST', '/api/letters', { token: tokenFor(user), body: { body, category: 'loneliness' } });
+  }
+
+  it('returns helplines for the author country and opens a case', async () => {
+    const author = await createUser({ liveLocation: { country: 'United Kingdom' } });
+
+    const res = await writeLetter(author);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.crisisSupport.country, 'GB');
+    assert.equal(res.body.crisisSupport.helplines[0].phone, '116 123');
+
+    const letter = await Letter.findById(res.body.letterId).lean();
+    assert.equal(letter.status, 'under_review');
+    assert.equal(letter.crisisHold, true);
+    assert.equal(letter.moderationPriority, 'high');
+
+    const crisisCase = await CrisisCase.findOne({ letterId: letter._id }).lean();
+    assert.equal(crisisCase.status, 'OPEN');
+    assert.equal(crisisCase.triggers[0].source, 'letter');
+  });
+
+  it('defaults to Indian helplines and leaves other held letters alone', async () => {
+    const author = await createUser();
+
+    const crisis = await writeLetter(author);
+    assert.equal(crisis.body.crisisSupport.country, 'IN');
+    assert.equal(crisis.body.crisisSupport.emergency, '112');
+
+    await Letter.collection.updateMany({}, { $set: { createdAt: new Date(Date.now() - 60 * 1000) } });
+    const held = await writeLetter(author, 'Lonely tonight, dm me for rates if you want to talk.');
+    assert.equal(held.status, 201);
+    assert.equal(held.body.crisisSupport, undefined);
+    assert.equal(await CrisisCase.countDocuments(), 1);
+  });
+
+  it('keeps a reinstated letter off the feed only until the case is resolved', async () => {
+    const author = await createUser();
+    const reader = await createUser();
+    const { body } = await writeLetter(author);
+    const crisisCase = await CrisisCase.findOne({ letterId: body.letterId });
+
+    const feedBefore = await api.request('GET', '/api/letters', { token: tokenFor(reader) });
+    assert.equal(feedBefore.body.letters.length, 0);
+
+    const ack = await api.request('POST', `/api/admin/crisis-cases/${crisisCase._id}/acknowledge`, { token: tokenFor(admin) });
+    assert.equal(ack.status, 200);
+    assert.equal(ack.body.crisisCase.status, 'ACKNOWLEDGED');
+
+    const resolved = await api.request('POST', `/api/admin/crisis-cases/${crisisCase._id}/resolve`, {
+      token: tokenFor(admin), body: { outcome: 'REINSTATE', note: 'Reached out, author is safe' },
+    });
+    assert.equal(resolved.status, 200);
+
+    const feedAfter = await api.request('GET', '/api/letters', { token: tokenFor(reader) });
+    assert.equal(feedAfter.body.letters.length, 1);
+
+    const again = await api.request('POST', `/api/admin/crisis-cases/${crisisCase._id}/resolve`, {
+      token: tokenFor(admin), body: { outcome: 'REMOVE' },
+    });
+    assert.equal(again.status, 409);
+    assert.equal(await AuditLog.countDocuments({ action: 'RESOLVE_CRISIS_CASE' }), 1);
+  });
+
+  it('hides an active letter when the author update mentions self-harm', async () => {
+    const author = await createUser();
+    const { body } = await writeLetter(author, LETTER);
+
+    const res = await api.request('POST', `/api/letters/${body.letterId}/update`, {
+      token: tokenFor(author), body: { body: 'It got worse, I want to end my life.' },
+    });
+    assert.equal(res.status, 201);
+    assert.ok(res.body.crisisSupport.helplines.length > 0);
+    assert.equal(res.body.letter.update, null);
+
+    const letter = await Letter.findById(body.letterId).lean();
+    assert.equal(letter.status, 'active');
+    assert.equal(letter.crisisHold, true);
+
+    const crisisCase = await CrisisCase.findOne({ letterId: body.letterId }).lean();
+    assert.equal(crisisCase.triggers[0].source, 'letter_update');
+  });
+});
+
+describe('letters feed ranking', () => {
+  let api;
+  let reader;
+
+  const HOUR = 60 * 60 * 1000;
+
+  before(async () => {
+    api = await startTestApp();
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await seedLegalVersions();
+    reader = await createUser({ questionnaire: { becomeCompanion: 'No', preferredLanguages: ['Hindi', 'English'] } });
+  });
+
+  async function seedLetter(overrides = {}) {
+    const author = await createUser();
+    return Letter.create({
+      author: author._id,
+      body: LETTER,
+      category: 'loneliness',
+      locationLabel: 'Somewhere in Delhi',
+      authorHash: `hash-${author._id}`,
+      language: 'en',
+      expiresAt: new Date(Date.now() + 24 * HOUR),
+      ...overrides,
+    });
+  }
+
+  async function forYou() {
+    const res = await api.request('GET', '/api/letters?sort=for_you', { token: tokenFor(reader) });
+    assert.equal(res.status, 200);
+    return res.body.letters.map(l => l.id.toString());
+  }
+
+  it('decays engagement with age', async () => {
+    const fresh = await seedLetter({ engagementScore: 4 });
+    const old = await seedLetter({ engagementScore: 12, createdAt: new Date(Date.now() - 20 * HOUR) });
+
+    assert.deepEqual(await forYou(), [fresh._id.toString(), old._id.toString()]);
+  });
+
+  it('lifts unanswered letters and letters in the reader language', async () => {
+    const answered = await seedLetter({ replyCount: 1, engagementScore: 1 });
+    const unanswered = await seedLetter({ engagementScore: 1 });
+    const tamil = await seedLetter({ engagementScore: 1, language: 'ta' });
+    const hindi = await seedLetter({ engagementScore: 2, language: 'hi' });
+
+    assert.deepEqual(await forYou(), [hindi, unanswered, answered, tamil].map(l => l._id.toString()));
+  });
+
+  it('hides letters the reader already left a note on', async () => {
+    const replied = await seedLetter();
+    const other = await seedLetter();
+    await LetterReply.create({ letterId: replied._id, author: reader._id, body: 'Sending you strength.' });
+
+    assert.deepEqual(await forYou(), [other._id.toString()]);
+  });
+
+  it('counts each reader once and rebuilds the score from the counters', async () => {
+    const letter = await seedLetter();
+
+    await api.request('GET', `/api/letters/${letter._id}`, { token: tokenFor(reader) });
+    await api.request('GET', `/api/letters/${letter._id}`, { token: tokenFor(reader) });
+    await api.request('GET', `/api/letters/${letter._id}`, { token: tokenFor({ _id: letter.author, role: 'USER' }) });
+
+    let stored = await Letter.findById(letter._id).lean();
+    assert.equal(stored.viewsCount, 3);
+    assert.equal(stored.uniqueReadersCount, 1);
+    assert.equal(stored.engagementScore, 0.5);
+
+    await Letter.updateOne({ _id: letter._id }, { $set: { comfortCount: 2, engagementScore: 99 } });
+    await recomputeEngagementScores();
+
+    stored = await Letter.findById(letter._id).lean();
+    assert.equal(stored.engagementScore, 6.5);
+  });
+});
@@ -0,0 +1,168 @@
+// test/lettersAnalytics.test.js — Reader tracking and the letters analytics range report
+//                                 (services/readerHashService.js, services/analytics.service.js)
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  startTestApp, connectTestDB, clearTestDB, disconnectTestDB,
+  factories, tokenFor,
+} = require('./helpers');
+const { seedLegalVersions, createUser, createAdmin } = factories;
+
+const Letter = require('../models/Letter');
+const LetterReply = require('../models/LetterReply');
+const LetterView = require('../models/LetterView');
+const LetterAnalytics = require('../models/LetterAnalytics');
+const { getReaderHash } = require('../services/readerHashService');
+const analyticsService = require('../services/analytics.service');
+const lettersRepo = require('../repositories/letters.repository');
+
+const MINUTE = 60 * 1000;
+const BODY = 'Moving to a new city next week and I am scared of being alone there.';
+
+describe('letters analytics', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startTestApp();
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await seedLegalVersions();
+    admin = await createAdmin();
+  });
+
+  async function seedLetter(overrides = {}) {
+    const author = await createUser();
+    return Letter.create({
+      author: author._id,
+      body: BODY,
+      category: 'loneliness',
+      locationLabel: 'Somewhere in Delhi',
+      authorHash: `hash-${author._id}`,
+      language: 'en',
+      expiresAt: new Date(Date.now() + 24 * 60 * MINUTE),
+      ...overrides,
+    });
+  }
+
+  it('stores only a rotating hash of the reader', async () => {
+    const letter = await seedLetter();
+    const reader = await createUser();
+
+    await api.request('GET', `/api/letters/${letter._id}`, { token: tokenFor(reader) });
+
+    const view = await LetterView.findOne({ letterId: letter._id }).lean();
+    assert.equal(view.userId, undefined);
+    assert.equal(view.readerHash, (await getReaderHash(reader._id)).readerHash);
+    assert.notEqual(view.readerHash, (await getReaderHash(reader._id, new Date(Date.now() - 24 * 60 * MINUTE))).readerHash);
+  });
+
+  it('counts concurrent opens by the same reader once', async () => {
+    const letter = await seedLetter();
+    const reader = await createUser();
+    await LetterView.init();
+
+    const hash = await getReaderHash(reader._id);
+    const counted = await Promise.all([1, 2, 3].map(() => lettersRepo.recordUniqueView(letter, hash)));
+
+    assert.equal(counted.filter(Boolean).length, 1);
+    assert.equal(await LetterView.countDocuments({ letterId: letter._id }), 1);
+  });
+
+  it('computes reply rate, time to first reply and report rate per category', async () => {
+    const today = new Date().toISOString().split('T')[0];
+    const createdAt = new Date(`${today}T00:00:00Z`);
+    const replied = await seedLetter({ createdAt });
+    await seedLetter({ createdAt, category: 'career', reportsCount: 2 });
+    await LetterReply.create({
+      letterId: replied._id, author: admin._id, body: 'You are not alone in this.',
+      createdAt: new Date(createdAt.getTime() + 30 * MINUTE),
+    });
+
+    const readers = [await createUser(), await createUser()];
+    for (const reader of readers) {
+      await api.request('GET', `/api/letters/${replied._id}`, { token: tokenFor(reader) });
+    }
+
+    const res = await api.request('GET', `/api/letters/admin/analytics?from=${today}&to=${today}`, { token: tokenFor(admin) });
+    assert.equal(res.status, 200);
+
+    const [day] = res.body.days;
+    assert.equal(day.lettersCreated, 2);
+    assert.equal(day.activeReaders, 2);
+    assert.equal(day.replyRate, 0.5);
+    assert.equal(day.medianFirstReplyMinutes, 30);
+    assert.equal(day.reportRate, 0.5);
+
+    const loneliness = day.breakdown.find(b => b.dimension === 'category' && b.key === 'loneliness');
+    assert.deepEqual(
+      { readers: loneliness.activeReaders, replyRate: loneliness.replyRate, reportRate: loneliness.reportRate },
+      { readers: 2, replyRate: 1, reportRate: 0 }
+    );
+  });
+
+  it('computes unstored days without saving them and flags days past the view TTL', async () => {
+    const dayKey = (daysAgo) => new Date(Date.now() - daysAgo * 24 * 60 * MINUTE).toISOString().split('T')[0];
+    const old = dayKey(40);
+    await seedLetter({ createdAt: new Date(`${old}T12:00:00Z`) });
+
+    const report = await analyticsService.getRangeAnalytics(old, dayKey(30));
+
+    const first = report.days[0];
+    assert.deepEqual({ letters: first.lettersCreated, readers: first.activeReaders, complete: first.complete },
+      { letters: 1, readers: null, complete: false });
+    assert.equal(report.days.at(-1).complete, true);
+    assert.equal(await LetterAnalytics.countDocuments(), 0);
+  });
+
+  it('exports the range as CSV and guards the endpoint', async () => {
+    const today = new Date().toISOString().split('T')[0];
+    await seedLetter();
+
+    const csv = await api.request('GET', `/api/letters/admin/analytics?from=${today}&to=${today}&format=csv`, { token: tokenFor(admin) });
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    const lines = csv.body.trim().split('\r\n');
+    assert.equal(lines[0], 'date,dimension,key,letters_created,active_readers,reply_rate,median_first_reply_minutes,report_rate');
+    assert.equal(lines[1], `${today},all,all,1,0,0,,0`);
+
+    const user = await createUser();
+    const denied = await api.request('GET', '/api/letters/admin/analytics', { token: tokenFor(user) });
+    assert.equal(denied.status, 403);
+
+    const tooLong = await api.request('GET', '/api/letters/admin/analytics?from=2026-01-01&to=2026-06-01', { token: tokenFor(admin) });
+    assert.equal(tooLong.status, 400);
+  });
+});
+
+describe('letters analytics CSV', () => {
+  it('escapes cells', () => {
+    const csv = analyticsService.rangeToCsv({
+      days: [{ date: '2026-10-01', lettersCreated: 1, activeReaders: 0, replyRate: 0, medianFirstReplyMinutes: null, reportRate: 0,
+        breakdown: [{ dimension: 'category', key: 'love, loss', lettersCreated: 1, activeReaders: 0, replyRate: 0, medianFirstReplyMinutes: null, reportRate: 0 }] }],
+    });
+    assert.match(csv, /2026-10-01,category,"love, loss",1,0,0,,0\r\n$/);
+  });
+
+  it('neutralises formula-leading cells but keeps negative numbers', () => {
+    const csv = analyticsService.rangeToCsv({
+      days: [{ date: '2026-10-01', lettersCreated: 1, activeReaders: 0, replyRate: -1, medianFirstReplyMinutes: null, reportRate: 0,
+        breakdown: [{ dimension: 'feeling', key: '=HYPERLINK("http://x")', lettersCreated: 1, activeReaders: 0, replyRate: 0, medianFirstReplyMinutes: null, reportRate: 0 },
+          { dimension: 'feeling', key: '@sum', lettersCreated: 1, activeReaders: 0, replyRate: 0, medianFirstReplyMinutes: null, reportRate: 0 }] }],
+    });
+    assert.match(csv, /2026-10-01,all,all,1,0,-1,,0\r\n/);
+    assert.match(csv, /feeling,"'=HYPERLINK\(""http:\/\/x""\)",1/);
+    assert.match(csv, /feeling,'@sum,1/);
+  });
+});
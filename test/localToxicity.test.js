@@ -0,0 +1,96 @@
+// test/localToxicity.test.js — Hindi/Hinglish rules and the offline classifier fallback
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { transliterateDevanagari, phoneticSkeleton } = require('../utils/indicText');
+const { moderateContent, compileRule, toSkeleton, LEVEL } = require('../services/moderationPolicy');
+const { scoreText, checkWithLocalClassifier } = require('../services/localToxicityClassifier');
+const { moderateChatMessage } = require('../middleware/moderation');
+
+describe('transliteration', () => {
+  it('romanizes Devanagari the way Hinglish is typed', () => {
+    assert.equal(transliterateDevanagari('मादरचोद'), 'maadarchod');
+    assert.equal(transliterateDevanagari('कमीना'), 'kameenaa');
+    assert.equal(transliterateDevanagari('hi तेरी माँ'), 'hi teree maa');
+  });
+
+  it('folds spelling variants to one skeleton', () => {
+    const forms = ['chutiya', 'chootiyaa', 'chutya', 'CH00TIYA', 'चूतिया'].map(toSkeleton);
+    assert.equal(new Set(forms).size, 1);
+    // chhod (leave) stays apart
+    assert.notEqual(phoneticSkeleton('chhod'), phoneticSkeleton('chod'));
+  });
+});
+
+describe('Indian-language policy rules', () => {
+  it('blocks gaali in any script and spelling', () => {
+    for (const text of ['tu chutiya hai', 'तू चूतिया है', 'c h u t i y a', 'bhosdike']) {
+      const result = moderateContent(text, { surface: 'chat' });
+      assert.equal(result.action, 'block', text);
+      assert.equal(result.category, 'profanity', text);
+    }
+    assert.equal(moderateContent('தேவடியா', { surface: 'chat' }).ruleKey, 'indic_profanity_regional');
+  });
+
+  it('treats threats and explicit self-harm at their own levels', () => {
+    assert.equal(moderateContent('jaan se maar dunga tujhe', { surface: 'chat' }).level, LEVEL.HARASSMENT);
+
+    const letter = moderateContent('मैं आत्महत्या कर लूंगी', { surface: 'letter' });
+    assert.equal(letter.category, 'self_harm');
+    assert.equal(letter.priority, 'high');
+  });
+
+  it('leaves look-alike words alone', () => {
+    for (const text of ['chutney with grandiose samosas', 'mujhe station pe chhod dena', 'Kamini from Katwa', 'dengue fever']) {
+      assert.equal(moderateContent(text, { surface: 'chat' }).action, 'allow', text);
+    }
+  });
+
+  it('compiles admin keywords against the skeleton', () => {
+    const { regexes } = compileRule({ key: 'x', level: 2, target: 'transliterated', patterns: ['ullu ka pattha', 'bewak*'] });
+
+    assert.ok(regexes[0].test(toSkeleton('tu ulloo ka patha hai')));
+    assert.ok(regexes[1].test(toSkeleton('bewakoof')));
+    assert.throws(() => compileRule({ key: 'x', level: 0, target: 'transliterated', patterns: ['a'] }), /cannot clean/);
+  });
+});
+
+describe('local toxicity classifier', () => {
+  const savedKey = process.env.OPENAI_API_KEY;
+  afterEach(() => {
+    if (savedKey === undefined) delete process.env.OPENAI_API_KEY;
+    else process.env.OPENAI_API_KEY = savedKey;
+  });
+
+  it('scores insults in context, not single words', () => {
+    assert.equal(scoreText('mera kutta bahut pyara hai').category, null);
+    assert.equal(scoreText('tu kutta hai').category, 'toxicity');
+
+    const aimed = scoreText('saale kutte, teri aukaat kya hai');
+    assert.equal(aimed.level, LEVEL.HARASSMENT);
+    assert.ok(aimed.directed);
+  });
+
+  it('answers in the checkWithOpenAI shape', () => {
+    const result = checkWithLocalClassifier({ bio: 'Chai, books and long drives', tagline: 'tum nalayak aur ghatiya ho' });
+
+    assert.equal(result.safe, false);
+    assert.deepEqual(result.flaggedCategories, ['toxicity']);
+    assert.equal(result.maxLevel, LEVEL.SOFT);
+    assert.equal(result.provider, 'local');
+  });
+
+  it('takes over chat moderation when the AI layer is not configured', async () => {
+    delete process.env.OPENAI_API_KEY;
+
+    const blocked = await moderateChatMessage('saale kutte, teri aukaat kya hai');
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.level, LEVEL.HARASSMENT);
+    assert.equal(blocked.reason, 'ai_flagged');
+
+    const ok = await moderateChatMessage('mera kutta bahut pyara hai, milna hai?');
+    assert.equal(ok.allowed, true);
+  });
+});
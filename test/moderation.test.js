@@ -0,0 +1,211 @@
+// test/moderation.test.js — Text classification and strike escalation (middleware/moderation.js)
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  startTestApp, connectTestDB, clearTestDB, disconnectTestDB,
+  factories, tokenFor,
+} = require('./helpers');
+const { seedLegalVersions, createUser } = factories;
+
+const User = require('../models/User');
+const {
+  LEVEL,
+  moderateChatMessage,
+  moderateQuestionnaireSync,
+  applyStrikesAndEnforce,
+} = require('../middleware/moderation');
+
+const HOUR = 60 * 60 * 1000;
+
+const violation = (level, reason = 'test') => [{ field: 'bio', level, reason, originalValue: 'test' }];
+
+// Applies one violation at `level` per call, reloading the user each time like a request would
+async function offend(userId, level, times = 1) {
+  let result;
+  for (let i = 0; i < times; i++) {
+    const user = await User.findById(userId);
+    result = await applyStrikesAndEnforce(user, violation(level), 'test');
+  }
+  return { result, user: await User.findById(userId) };
+}
+
+const hoursUntil = (date) => Math.round((new Date(date).getTime() - Date.now()) / HOUR);
+
+describe('moderation', () => {
+  before(async () => {
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await seedLegalVersions();
+  });
+
+  describe('classification', () => {
+    it('passes clean chat through untouched', async () => {
+      const result = await moderateChatMessage('See you at the cafe at six!');
+
+      assert.equal(result.allowed, true);
+      assert.equal(result.cleanedText, 'See you at the cafe at six!');
+      assert.equal(result.violations.length, 0);
+    });
+
+    it('auto-cleans a phone number without a strike', async () => {
+      const { cleanedQuestionnaire, violations, errors } =
+        moderateQuestionnaireSync({ bio: 'Love long walks 9876543210 and chai' });
+
+      assert.equal(errors.length, 0);
+      assert.doesNotMatch(cleanedQuestionnaire.bio, /9876543210/);
+      assert.equal(violations[0].level, LEVEL.CLEAN);
+    });
+
+    const cases = [
+      ['soft',           'wtf is this app',              LEVEL.SOFT],
+      ['policy',         'dm me for rates',              LEVEL.POLICY],
+      ['policy (leet)',  'add me on 1n5tagram',          LEVEL.POLICY],
+      ['harassment',     'i will find you',              LEVEL.HARASSMENT],
+      ['zero tolerance', 'available for sex tonight',    LEVEL.ZERO_TOL],
+    ];
+
+    for (const [name, text, level] of cases) {
+      it(`blocks ${name} content`, async () => {
+        const result = await moderateChatMessage(text);
+
+        assert.equal(result.allowed, false);
+        assert.equal(result.level, level);
+        assert.ok(result.userMessage);
+      });
+    }
+  });
+
+  describe('escalation', () => {
+    it('L2: 24h edit lock, then 3-day and 7-day suspensions', async () => {
+      const { _id } = await createUser();
+
+      let { result, user } = await offend(_id, LEVEL.POLICY);
+      assert.equal(result.action, 'cooldown');
+      assert.equal(user.status, 'ACTIVE');
+      assert.deepEqual(user.suspensionInfo.restrictions, ['profile_edit']);
+      assert.equal(hoursUntil(user.suspensionInfo.profileEditLockedUntil), 24);
+
+      ({ result, user } = await offend(_id, LEVEL.POLICY));
+      assert.equal(result.action, 'suspend');
+      assert.equal(user.status, 'SUSPENDED');
+      assert.equal(hoursUntil(user.suspensionInfo.suspendedUntil), 72);
+
+      ({ result, user } = await offend(_id, LEVEL.POLICY));
+      assert.equal(hoursUntil(user.suspensionInfo.suspendedUntil), 168);
+      assert.ok(user.suspensionInfo.restrictions.includes('earnings'));
+      assert.equal(user.moderationFlags.strikeCount, 3);
+    });
+
+    it('L3: 3-day, 7-day, then permanent ban', async () => {
+      const { _id } = await createUser();
+
+      let { user } = await offend(_id, LEVEL.HARASSMENT);
+      assert.equal(user.status, 'SUSPENDED');
+      assert.equal(hoursUntil(user.suspensionInfo.suspendedUntil), 72);
+
+      ({ user } = await offend(_id, LEVEL.HARASSMENT));
+      assert.equal(hoursUntil(user.suspensionInfo.suspendedUntil), 168);
+
+      ({ user } = await offend(_id, LEVEL.HARASSMENT));
+      assert.equal(user.status, 'BANNED');
+      assert.equal(user.banInfo.isBanned, true);
+    });
+
+    it('L4: immediate 7-day suspension, ban on repeat', async () => {
+      const { _id } = await createUser();
+
+      let { user } = await offend(_id, LEVEL.ZERO_TOL);
+      assert.equal(user.status, 'SUSPENDED');
+      assert.equal(hoursUntil(user.suspensionInfo.suspendedUntil), 168);
+
+      ({ user } = await offend(_id, LEVEL.ZERO_TOL));
+      assert.equal(user.status, 'BANNED');
+    });
+
+    it('bans at five strikes across categories', async () => {
+      const { _id } = await createUser();
+
+      await offend(_id, LEVEL.POLICY, 3);
+      await offend(_id, LEVEL.HARASSMENT);
+      const { result, user } = await offend(_id, LEVEL.HARASSMENT);
+
+      assert.equal(result.action, 'ban');
+      assert.equal(user.status, 'BANNED');
+    });
+
+    it('every third soft offense locks profile editing', async () => {
+      const { _id } = await createUser();
+
+      let { result, user } = await offend(_id, LEVEL.SOFT, 2);
+      assert.equal(result.action, 'warning');
+      assert.equal(user.moderationFlags.strikeCount, 0);
+
+      ({ result, user } = await offend(_id, LEVEL.SOFT));
+      assert.equal(result.action, 'cooldown');
+      assert.deepEqual(user.suspensionInfo.restrictions, ['profile_edit']);
+      assert.equal(user.status, 'ACTIVE');
+    });
+
+    it('forgets violations after 90 clean days', async () => {
+      const longAgo = new Date(Date.now() - 91 * 24 * HOUR);
+      const { _id } = await createUser({
+        moderationFlags: {
+          isFlagged:       true,
+          strikeCount:     2,
+          lastViolationAt: longAgo,
+          violations: [
+            { field: 'bio', level: LEVEL.POLICY, reason: 'old', detectedAt: longAgo },
+            { field: 'bio', level: LEVEL.POLICY, reason: 'old', detectedAt: longAgo },
+          ],
+        },
+      });
+
+      const { result, user } = await offend(_id, LEVEL.POLICY);
+
+      assert.equal(result.action, 'cooldown', 'treated as a first offense');
+      assert.equal(user.moderationFlags.strikeCount, 1);
+    });
+  });
+
+  describe('PUT /api/users/me', () => {
+    let api;
+
+    before(async () => {
+      api = await startTestApp();
+    });
+
+    after(async () => {
+      await api.close();
+    });
+
+    it('rejects a violating bio, strikes the user and locks them out on repeat', async () => {
+      const user  = await createUser();
+      const token = tokenFor(user);
+
+      const first = await api.request('PUT', '/api/users/me', { token, body: { questionnaire: { bio: 'dm me for rates' } } });
+      assert.equal(first.status, 422);
+      assert.equal(first.body.code, 'MODERATION_FAILED');
+      assert.equal(first.body.errors[0].code, 'POLICY_BLOCK');
+
+      const afterFirst = await User.findById(user._id);
+      assert.equal(afterFirst.questionnaire.bio, undefined, 'violating text is never saved');
+      assert.equal(afterFirst.moderationFlags.strikeCount, 1);
+
+      await api.request('PUT', '/api/users/me', { token, body: { questionnaire: { bio: 'call me tonight' } } });
+
+      const locked = await api.request('GET', '/api/auth/me', { token });
+      assert.equal(locked.status, 403);
+      assert.ok(locked.body.suspensionInfo.restrictions.includes('chat'));
+    });
+  });
+});
@@ -0,0 +1,177 @@
+// test/moderationPolicy.test.js — Unified policy engine and admin rule management
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  startTestApp, connectTestDB, clearTestDB, disconnectTestDB,
+  factories, tokenFor, mfaTokenFor,
+} = require('./helpers');
+const { seedLegalVersions, createAdmin, enrolTwoFactor } = factories;
+
+const ModerationRule = require('../models/ModerationRule');
+const AuditLog = require('../models/AuditLog');
+const { moderateContent, compileRule, reloadRules, LEVEL } = require('../services/moderationPolicy');
+const { moderateChatMessage, moderateQuestionnaireSync } = require('../middleware/moderation');
+const { sanitizeCaption } = require('../services/foodService');
+
+describe('moderation policy engine', () => {
+  it('applies each surface default to the same match', () => {
+    const text = 'dm me for rates';
+
+    assert.equal(moderateContent(text, { surface: 'chat' }).action, 'block');
+    assert.equal(moderateContent(text, { surface: 'letter' }).action, 'review');
+    assert.equal(moderateContent(text, { surface: 'profile_review' }).action, 'review');
+    assert.equal(moderateContent(text, { surface: 'food_caption' }).action, 'block');
+  });
+
+  it('reports the highest-level match as the reason', () => {
+    const result = moderateContent('whatsapp me, i will find you', { surface: 'chat' });
+
+    assert.equal(result.level, LEVEL.HARASSMENT);
+    assert.equal(result.reason, 'targeted_harassment');
+    assert.ok(result.matches.length > 1);
+  });
+
+  it('honours per-rule surface actions', () => {
+    const food = moderateContent('Best biryani ₹250 https://promo.example', { surface: 'food_caption' });
+    assert.equal(food.action, 'clean');
+    assert.equal(food.cleanedText, 'Best biryani ₹250');
+
+    const chat = moderateContent('Best biryani ₹250', { surface: 'chat' });
+    assert.equal(chat.cleanedText, 'Best biryani');
+  });
+
+  it('holds letters mentioning self-harm at high priority', () => {
+    const result = moderateContent('Some days there is no reason to live', { surface: 'letter' });
+
+    assert.equal(result.action, 'review');
+    assert.equal(result.category, 'self_harm');
+    assert.equal(result.priority, 'high');
+  });
+
+  it('strips links and phone numbers from food captions and rejects scams', () => {
+    assert.equal(sanitizeCaption('Great dosa! Call 011-2345-6789 www.promo.example'), 'Great dosa! Call');
+    assert.throws(() => sanitizeCaption('Guaranteed returns, send money now'), { statusCode: 422 });
+  });
+
+  it('keeps the profile and chat pipelines on the shared rules', async () => {
+    const { errors } = moderateQuestionnaireSync({ bio: 'looking for an investment partner' });
+    assert.equal(errors[0].code, 'POLICY_BLOCK');
+
+    const chat = await moderateChatMessage('great crypto opportunity here');
+    assert.equal(chat.allowed, false);
+    assert.equal(chat.level, LEVEL.POLICY);
+  });
+
+  it('rejects malformed rules', () => {
+    assert.throws(() => compileRule({ key: 'x', level: 7, patterns: ['a'] }), /level/);
+    assert.throws(() => compileRule({ key: 'x', level: 2, patterns: [] }), /patterns/);
+    assert.throws(() => compileRule({ key: 'x', level: 2, matchType: 'regex', patterns: ['(a'] }), /Invalid pattern/);
+    assert.throws(() => compileRule({ key: 'x', level: 2, matchType: 'regex', patterns: ['(a+)+$'] }), /nested quantifiers/);
+    assert.throws(() => compileRule({ key: 'x', level: 2, matchType: 'regex', patterns: ['((\\w\\s?)*)+x'] }), /nested quantifiers/);
+    assert.doesNotThrow(() => compileRule({ key: 'x', level: 2, matchType: 'regex', patterns: ['(ab?)+', '(\\d+)?[+*]+', '\\(a+\\)+'] }));
+    assert.throws(() => compileRule({ key: 'x', level: 2, patterns: ['a'], surfaces: ['feed'] }), /Unknown surface/);
+    assert.throws(() => compileRule({ key: 'x', level: 2, patterns: ['a'], actions: { letter: 'block' } }), /not supported/);
+    assert.throws(() => compileRule({ key: 'x', level: 0, target: 'normalized', patterns: ['a'] }), /cannot clean/);
+  });
+
+  it('matches keywords as whole words', () => {
+    const { regexes } = compileRule({ key: 'x', level: 2, patterns: ['refund fee', '@ybl'] });
+
+    assert.ok(regexes[0].test('pay the refund  fee first'));
+    assert.ok(!regexes[0].test('refund feedback'));
+    assert.ok(regexes[1].test('send it to me@ybl'));
+  });
+});
+
+describe('admin moderation rules', () => {
+  let api;
+  let admin;
+  let token;
+
+  before(async () => {
+    api = await startTestApp();
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await reloadRules();
+    await seedLegalVersions();
+    admin = await createAdmin();
+    await enrolTwoFactor(admin);
+    token = mfaTokenFor(admin);
+  });
+
+  it('blocks a new keyword on every surface as soon as it is added', async () => {
+    const text = 'pay the kyc unlock fee first';
+    assert.equal(moderateContent(text, { surface: 'chat' }).action, 'allow');
+
+    const res = await api.request('POST', '/api/admin/moderation-rules', {
+      token,
+      body: { key: 'kyc_unlock_scam', category: 'scam', level: 2, patterns: ['kyc unlock fee'] },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(moderateContent(text, { surface: 'chat' }).action, 'block');
+    assert.equal(moderateContent(text, { surface: 'profile' }).action, 'block');
+    assert.equal(moderateContent(text, { surface: 'letter' }).action, 'review');
+    assert.equal(moderateContent(text, { surface: 'food_caption' }).action, 'block');
+    assert.equal(await AuditLog.countDocuments({ action: 'CREATE_MODERATION_RULE' }), 1);
+  });
+
+  it('requires a fresh 2FA step-up to change rules', async () => {
+    const res = await api.request('POST', '/api/admin/moderation-rules', {
+      token: tokenFor(admin),
+      body: { key: 'kyc_unlock_scam', level: 2, patterns: ['kyc unlock fee'] },
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(await ModerationRule.countDocuments(), 0);
+  });
+
+  it('rejects an invalid pattern with 400', async () => {
+    const res = await api.request('POST', '/api/admin/moderation-rules', {
+      token,
+      body: { key: 'broken', level: 2, matchType: 'regex', patterns: ['(unclosed'] },
+    });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /Invalid pattern/);
+  });
+
+  it('overrides a built-in and restores it on delete', async () => {
+    assert.equal(moderateContent('wtf', { surface: 'chat' }).action, 'block');
+
+    const off = await api.request('PUT', '/api/admin/moderation-rules/mild_profanity', { token, body: { enabled: false } });
+    assert.equal(off.status, 200);
+    assert.equal(moderateContent('wtf', { surface: 'chat' }).action, 'allow');
+
+    const list = await api.request('GET', '/api/admin/moderation-rules', { token });
+    assert.equal(list.body.rules.find(r => r.key === 'mild_profanity').source, 'override');
+
+    const del = await api.request('DELETE', '/api/admin/moderation-rules/mild_profanity', { token });
+    assert.equal(del.status, 200);
+    assert.equal(del.body.restoredBuiltin, true);
+    assert.equal(moderateContent('wtf', { surface: 'chat' }).action, 'block');
+  });
+
+  it('dry-runs text across all surfaces', async () => {
+    const res = await api.request('POST', '/api/admin/moderation-rules/test', {
+      token,
+      body: { text: 'call me on 9876543210' },
+    });
+
+    assert.equal(res.status, 200);
+    const bySurface = Object.fromEntries(res.body.results.map(r => [r.surface, r.action]));
+    assert.equal(bySurface.chat, 'block');
+    assert.equal(bySurface.letter, 'review');
+  });
+});
@@ -0,0 +1,161 @@
+// test/moderationReview.test.js — Human review of the AI moderation queue (services/moderationReviewService.js)
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  startTestApp, connectTestDB, clearTestDB, disconnectTestDB,
+  factories, tokenFor,
+} = require('./helpers');
+const { seedLegalVersions, createUser, createAdmin } = factories;
+
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const ModerationTask = require('../models/ModerationTask');
+const ModerationCache = require('../models/ModerationCache');
+const { taskContentHash, queueStrandedTasks } = require('../services/moderationReviewService');
+
+const BIO = 'Coffee, long walks and old Hindi songs';
+const TAGLINE = 'dm me for rates';
+
+// A user whose tagline the AI flagged (as the worker leaves it)
+async function flaggedProfile({ aiDecision = 'REVIEW', flaggedPaths = ['questionnaire.tagline'] } = {}) {
+  const user = await createUser({
+    questionnaire: { becomeCompanion: 'No', bio: BIO, tagline: TAGLINE },
+    moderationStatus: 'flagged',
+    flaggedFields: flaggedPaths,
+  });
+  const fields = [
+    { path: 'questionnaire.bio', value: BIO },
+    { path: 'questionnaire.tagline', value: TAGLINE },
+  ];
+  const contentHash = taskContentHash({ fields });
+  const task = await ModerationTask.create({
+    userId: user._id,
+    documentType: 'profile',
+    fields,
+    status: 'completed',
+    contentHash,
+    aiDecision,
+    flaggedPaths,
+    review: { status: 'pending' },
+  });
+  await ModerationCache.create({
+    contentHash,
+    decision: aiDecision,
+    openAiResult: { safe: true, flaggedCategories: [], scores: { harassment: 0.02 } },
+    ruleEngineResult: { flagged: true, fields: flaggedPaths },
+  });
+  return { user, task };
+}
+
+describe('moderation review console', () => {
+  let api;
+  let admin;
+  let token;
+
+  before(async () => {
+    api = await startTestApp();
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await seedLegalVersions();
+    admin = await createAdmin();
+    token = tokenFor(admin);
+  });
+
+  it('lists pending tasks with the cached AI results', async () => {
+    await flaggedProfile();
+    await ModerationTask.create({
+      userId: admin._id, documentType: 'profile', fields: [{ path: 'questionnaire.bio', value: 'hi' }], status: 'completed',
+    });
+
+    const res = await api.request('GET', '/api/admin/moderation/tasks', { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.tasks.length, 1);
+    assert.equal(res.body.tasks[0].ai.source, 'cache');
+    assert.equal(res.body.tasks[0].ai.openAi.scores.harassment, 0.02);
+    assert.equal(res.body.tasks[0].fields[1].value, TAGLINE);
+  });
+
+  it('approves and rejects per field', async () => {
+    const { user, task } = await flaggedProfile();
+
+    const res = await api.request('POST', `/api/admin/moderation/tasks/${task._id}/decision`, {
+      token,
+      body: { fields: { 'questionnaire.bio': 'approve', 'questionnaire.tagline': 'reject' }, note: 'Solicitation' },
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.clearedFields, ['questionnaire.tagline']);
+
+    const updated = await User.findById(user._id);
+    assert.equal(updated.questionnaire.bio, BIO);
+    assert.equal(updated.questionnaire.tagline, '');
+    assert.deepEqual(updated.flaggedFields, []);
+    assert.equal(updated.moderationStatus, 'clean');
+    assert.equal(await AuditLog.countDocuments({ action: 'REVIEW_MODERATION_TASK' }), 1);
+  });
+
+  it('needs a decision for every field and decides a task once', async () => {
+    const { task } = await flaggedProfile();
+    const path = `/api/admin/moderation/tasks/${task._id}/decision`;
+
+    const partial = await api.request('POST', path, { token, body: { fields: { 'questionnaire.bio': 'approve' } } });
+    assert.equal(partial.status, 400);
+
+    const first = await api.request('POST', path, { token, body: { decision: 'approve' } });
+    assert.equal(first.status, 200);
+
+    const again = await api.request('POST', path, { token, body: { decision: 'reject' } });
+    assert.equal(again.status, 409);
+  });
+
+  it('bulk-decides and reports agreement with the AI', async () => {
+    const a = await flaggedProfile();
+    const b = await flaggedProfile();
+
+    const res = await api.request('POST', '/api/admin/moderation/tasks/bulk', {
+      token,
+      body: { taskIds: [a.task._id, b.task._id, '000000000000000000000000'], decision: 'approve' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.decided, 2);
+    assert.equal(res.body.failed, 1);
+
+    const stats = await api.request('GET', '/api/admin/moderation/tasks/stats', { token });
+    assert.equal(stats.status, 200);
+    const [row] = stats.body.reviewers;
+    assert.equal(row.tasksDecided, 2);
+    assert.equal(row.fieldsDecided, 4);
+    // AI flagged the tagline, the reviewer approved it: agrees on bio only
+    assert.equal(row.aiAgreementRate, 0.5);
+    assert.equal(stats.body.queue.pending, 0);
+  });
+
+  it('queues failed tasks left over from before the console', async () => {
+    const user = await createUser();
+    await ModerationTask.collection.insertOne({
+      userId: user._id,
+      documentType: 'profile',
+      fields: [{ path: 'questionnaire.bio', value: BIO }],
+      status: 'failed_permanently',
+      createdAt: new Date(),
+    });
+
+    assert.equal(await queueStrandedTasks(), 1);
+
+    const res = await api.request('GET', '/api/admin/moderation/tasks?status=failed_permanently', { token });
+    assert.equal(res.body.tasks.length, 1);
+    assert.equal(res.body.tasks[0].ai, null);
+  });
+});
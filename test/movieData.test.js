@@ -0,0 +1,172 @@
+// test/movieData.test.js — Movie/cinema providers, catalogue fallback and MongoDB cache
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { connectTestDB, clearTestDB, disconnectTestDB } = require('./helpers');
+
+const MovieDataCache = require('../models/MovieDataCache');
+const fixture = require('../services/movieFixtureProvider');
+const movieData = require('../services/movieDataProvider');
+
+const DELHI = { lat: 28.6315, lng: 77.2167 };   // Connaught Place
+
+const tmdbMovie = (id, title) => ({
+  id, title, poster_path: `/${id}.jpg`, original_language: 'hi',
+  vote_count: 500, vote_average: 7.2, popularity: 120, release_date: '2026-10-01',
+});
+
+const realFetch = globalThis.fetch;
+let fetched;
+
+function stubFetch(respond) {
+  fetched = [];
+  globalThis.fetch = async (url) => {
+    fetched.push(String(url));
+    return respond(String(url));
+  };
+}
+
+function useLiveTmdb() {
+  process.env.MOVIE_DATA_PROVIDER = 'live';
+  process.env.TMDB_API_KEY = 'test-tmdb-key';
+  movieData.clearQuotaBackoff();
+}
+
+function restoreEnv() {
+  globalThis.fetch = realFetch;
+  process.env.MOVIE_DATA_PROVIDER = 'fixture';
+  process.env.TMDB_API_KEY = '';
+  movieData.clearQuotaBackoff();
+}
+
+describe('fixture catalogue', () => {
+  afterEach(() => {
+    delete process.env.MOVIE_FIXTURE_PATH;
+    fixture.reloadCatalogue();
+  });
+
+  it('serves Indian movies first and the nearest rated cinemas', async () => {
+    const movies = await movieData.getTrendingMovies();
+    assert.ok(movies.length >= 3);
+    assert.equal(movies[0].language, 'hi');
+    assert.equal(movies.at(-1).language, 'en');
+
+    const theatres = await movieData.getNearbyTheatres(DELHI.lat, DELHI.lng, 8000);
+    assert.equal(theatres[0].placeId, 'fx_del_1');
+    assert.ok(theatres.every((t, i) => i === 0 || t.distance >= theatres[i - 1].distance));
+  });
+
+  it('places stand-in cinemas at the user when the catalogue has none nearby', async () => {
+    const theatres = await movieData.getNearbyTheatres(23.2599, 77.4126);   // Bhopal
+    assert.equal(theatres[0].placeId, 'fb_1');
+    assert.equal(theatres[0].lat, 23.2599);
+  });
+
+  it('searches cinemas and movies by name', async () => {
+    const cinemas = await movieData.searchTheatres('pvr  SAKET');
+    assert.deepEqual(cinemas.map(t => t.placeId), ['fx_del_2']);
+
+    const movies = await movieData.searchMovies('stree', 1);
+    assert.equal(movies[0].title, 'Stree 2');
+    assert.deepEqual(await movieData.searchMovies('   '), []);
+  });
+
+  it('reads showtimes per city from MOVIE_FIXTURE_PATH', async () => {
+    const file = path.join(os.tmpdir(), `movie-catalogue-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      defaultShowtimes: ['10:00'],
+      movies: [{ id: 1, title: 'Test Movie', language: 'hi', popularity: 10 }],
+      cities: [{ name: 'Raipur', lat: 21.2514, lng: 81.6296, showtimes: ['19:30', '13:15'], theatres: [] }],
+    }));
+    process.env.MOVIE_FIXTURE_PATH = file;
+    fixture.reloadCatalogue();
+
+    try {
+      assert.deepEqual(await movieData.getShowTimes('raipur'), [
+        { hour: 13, minute: 15, label: '1:15 PM' },
+        { hour: 19, minute: 30, label: '7:30 PM' },
+      ]);
+      // Unknown city name, but the coordinates are in Raipur
+      assert.equal((await movieData.getShowTimes('bhilai', 21.24, 81.63)).length, 2);
+      assert.deepEqual(await movieData.getShowTimes('kochi'), [{ hour: 10, minute: 0, label: '10 AM' }]);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('leaves the schedule alone in live mode', async () => {
+    process.env.MOVIE_DATA_PROVIDER = 'live';
+    try {
+      assert.equal(await movieData.getShowTimes('delhi'), null);
+    } finally {
+      process.env.MOVIE_DATA_PROVIDER = 'fixture';
+    }
+  });
+});
+
+describe('live provider fallback', () => {
+  afterEach(restoreEnv);
+
+  it('falls back to the catalogue and backs off after a 429', async () => {
+    useLiveTmdb();
+    stubFetch(() => ({ ok: false, status: 429, json: async () => ({}) }));
+
+    const first = await movieData.getTrendingMovies();
+    assert.equal(first[0].source, 'fixture');
+    const calls = fetched.length;
+    assert.ok(calls > 0);
+
+    await movieData.searchMovies('stree');
+    assert.equal(fetched.length, calls, 'TMDB is not called again while backing off');
+  });
+});
+
+describe('MongoDB response cache', () => {
+  before(async () => {
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    useLiveTmdb();
+  });
+  afterEach(restoreEnv);
+
+  it('caches live responses and serves them without calling the API', async () => {
+    stubFetch(() => ({ ok: true, status: 200, json: async () => ({ results: [tmdbMovie(101, 'Live Movie')] }) }));
+
+    const first = await movieData.getTrendingMovies();
+    assert.equal(first[0].title, 'Live Movie');
+    const doc = await MovieDataCache.findOne({ key: 'tmdb:trending' }).lean();
+    assert.ok(doc.freshUntil < doc.expiresAt);
+
+    fetched.length = 0;
+    const second = await movieData.getTrendingMovies();
+    assert.equal(second[0].title, 'Live Movie');
+    assert.equal(fetched.length, 0);
+  });
+
+  it('serves a stale response when the API is out of quota', async () => {
+    await MovieDataCache.create({
+      key: 'tmdb:search:stree:1',
+      provider: 'tmdb-places',
+      value: [{ id: 7, title: 'Cached Stree', language: 'hi' }],
+      freshUntil: new Date(Date.now() - 60 * 1000),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    stubFetch(() => ({ ok: false, status: 429, json: async () => ({}) }));
+
+    const movies = await movieData.searchMovies('Stree');
+    assert.equal(fetched.length, 1);
+    assert.equal(movies[0].title, 'Cached Stree');
+  });
+});
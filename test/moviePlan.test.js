@@ -0,0 +1,158 @@
+// test/moviePlan.test.js — Movie hangout ticket-split plans (services/moviePlanService.js)
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  startTestApp, connectTestDB, clearTestDB, disconnectTestDB,
+  factories, tokenFor, calls, resetCalls,
+} = require('./helpers');
+const { seedLegalVersions, createUser } = factories;
+
+const Job = require('../models/Job');
+const MovieSession = require('../models/MovieSession');
+const MovieMessage = require('../models/MovieMessage');
+const MovieTicketPlan = require('../models/MovieTicketPlan');
+const { sendPaymentReminders } = require('../services/moviePlanService');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('movie hangout ticket plans', () => {
+  let api;
+  let admin, member, other, session;
+
+  before(async () => {
+    api = await startTestApp();
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await seedLegalVersions();
+    resetCalls();
+    api.io.emitted.length = 0;
+
+    admin  = await createUser({ fcmTokens: ['token-admin'] });
+    member = await createUser({ fcmTokens: ['token-member'] });
+    other  = await createUser();
+
+    const showTime = new Date(Date.now() + 5 * HOUR);
+    session = await MovieSession.create({
+      movieId: '1262229',
+      movieTitle: 'Stree 2',
+      theatreName: 'PVR Cinemas',
+      theatreAddress: 'Mall Road',
+      location: { type: 'Point', coordinates: [77.2, 28.6] },
+      date: showTime.toISOString().slice(0, 10),
+      time: '19:30',
+      showTime,
+      expiresAt: new Date(showTime.getTime() + 15 * 60 * 1000),
+      chatExpiresAt: new Date(showTime.getTime() + 3 * HOUR),
+      createdBy: admin._id,
+      participants: [admin._id, member._id],
+      adminId: admin._id,
+    });
+  });
+
+  const plan = (user, method = 'GET', suffix = '', body) =>
+    api.request(method, `/api/movie-session/${session._id}/plan${suffix}`, { token: tokenFor(user), body });
+
+  it('lets the admin propose seats, notifies members and schedules reminders', async () => {
+    const res = await plan(admin, 'POST', '', { seats: ['h7', 'H8'], pricePerSeat: 250 });
+
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.plan.seats, ['H7', 'H8']);
+    const mine = res.body.plan.members.find(m => m.userId === admin._id.toString());
+    assert.equal(mine.response, 'confirmed');
+    assert.equal(mine.payment, 'paid');
+
+    assert.equal(calls.push.length, 1);
+    assert.equal(calls.push[0].message.data.type, 'MOVIE_PLAN_UPDATED');
+    assert.ok(api.io.emitted.some(e => e.event === 'moviePlanUpdated' && e.rooms.includes(`movie:${session._id}`)));
+    assert.equal(await MovieMessage.countDocuments({ sessionId: session._id, type: 'system' }), 1);
+    assert.equal(await Job.countDocuments({ name: 'movie_plan.remind' }), 2);
+  });
+
+  it('only lets the admin propose, and only members see the plan', async () => {
+    const notAdmin = await plan(member, 'POST', '', { pricePerSeat: 250 });
+    assert.equal(notAdmin.status, 403);
+
+    const outsider = await plan(other);
+    assert.equal(outsider.status, 403);
+
+    const bad = await plan(admin, 'POST', '', { pricePerSeat: 250, showTime: new Date(Date.now() - HOUR).toISOString() });
+    assert.equal(bad.status, 400);
+
+    const badId = await api.request('GET', '/api/movie-session/not-an-id/plan', { token: tokenFor(admin) });
+    assert.equal(badId.status, 404);
+  });
+
+  it('requires a showtime when the session has none', async () => {
+    await MovieSession.collection.updateOne({ _id: session._id }, { $unset: { showTime: '' } });
+
+    const res = await plan(admin, 'POST', '', { pricePerSeat: 250 });
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /showTime is required/);
+  });
+
+  it('tracks confirmations and per-member payment', async () => {
+    await plan(admin, 'POST', '', { pricePerSeat: 300 });
+
+    const confirmed = await plan(member, 'POST', '/respond', { response: 'confirmed' });
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.plan.totals.confirmed, 2);
+    assert.equal(confirmed.body.plan.totals.outstanding, 300);
+
+    const forOther = await plan(member, 'PATCH', `/members/${admin._id}/payment`, { payment: 'unpaid' });
+    assert.equal(forOther.status, 403);
+
+    const paid = await plan(member, 'PATCH', `/members/${member._id}/payment`, { payment: 'paid' });
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.plan.totals.collected, 600);
+
+    const booked = await plan(admin, 'POST', '/booked', { bookingReference: 'PVR-88213' });
+    assert.equal(booked.body.plan.status, 'booked');
+
+    const late = await plan(member, 'POST', '/respond', { response: 'declined' });
+    assert.equal(late.status, 409);
+  });
+
+  it('lets the current admin mark payments after the proposer hands over', async () => {
+    await plan(admin, 'POST', '', { pricePerSeat: 300 });
+    await plan(member, 'POST', '/respond', { response: 'confirmed' });
+    await MovieSession.updateOne({ _id: session._id }, { $set: { adminId: member._id } });
+
+    const byProposer = await plan(admin, 'PATCH', `/members/${member._id}/payment`, { payment: 'paid' });
+    assert.equal(byProposer.status, 403);
+
+    const byAdmin = await plan(member, 'PATCH', `/members/${admin._id}/payment`, { payment: 'unpaid' });
+    assert.equal(byAdmin.status, 200);
+    const proposer = byAdmin.body.plan.members.find(m => m.userId === admin._id.toString());
+    assert.equal(proposer.payment, 'unpaid');
+  });
+
+  it('reminds confirmed members who have not paid', async () => {
+    await plan(admin, 'POST', '', { pricePerSeat: 200 });
+    await plan(member, 'POST', '/respond', { response: 'confirmed' });
+    resetCalls();
+
+    const { _id, version } = await MovieTicketPlan.findOne({ sessionId: session._id }).lean();
+    await sendPaymentReminders({ planId: _id.toString(), version });
+
+    assert.equal(calls.push.length, 1);
+    assert.equal(calls.push[0].message.data.type, 'MOVIE_PLAN_PAYMENT_REMINDER');
+    assert.equal(calls.push[0].message.data.recipientUserId, member._id.toString());
+
+    // A re-proposal makes the old reminder jobs stale
+    await plan(admin, 'POST', '', { pricePerSeat: 220 });
+    resetCalls();
+    await sendPaymentReminders({ planId: _id.toString(), version });
+    assert.equal(calls.push.length, 0);
+  });
+});
@@ -0,0 +1,361 @@
+// test/notifications.test.js — Notification dispatcher: preferences, quiet hours,
+//                              collapsing, dead tokens, email fallback
+//                              (services/notificationDispatcher.js)
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  startTestApp, connectTestDB, clearTestDB, disconnectTestDB,
+  factories, tokenFor, mfaTokenFor, calls, resetCalls,
+} = require('./helpers');
+const { createUser, createAdmin, enrolTwoFactor } = factories;
+
+const admin = require('firebase-admin');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const Job = require('../models/Job');
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const {
+  dispatch, dispatchMany, pushBlockReason, quietHoursEnd, nextDigestAt, deliverDeferred, deliverEmail, sendDigest,
+} = require('../services/notificationDispatcher');
+const { emailDueAt, validateChannelRule, reloadChannelRules } = require('../services/notificationChannels');
+const { sendWarningActivity } = require('../utils/sendWarningActivity');
+
+// 23:00–07:00 IST == 17:30–01:30 UTC
+const QUIET = { quietHoursEnabled: true, quietHoursStart: '23:00', quietHoursEnd: '07:00' };
+
+describe('notification preferences', () => {
+  it('reads quiet hours as IST and wraps past midnight', () => {
+    assert.equal(quietHoursEnd(QUIET, new Date('2026-10-19T12:00:00Z')), null);          // 17:30 IST
+    assert.equal(
+      quietHoursEnd(QUIET, new Date('2026-10-19T18:00:00Z')).toISOString(),              // 23:30 IST
+      '2026-10-20T01:30:00.000Z'
+    );
+    assert.equal(
+      quietHoursEnd(QUIET, new Date('2026-10-20T00:00:00Z')).toISOString(),              // 05:30 IST
+      '2026-10-20T01:30:00.000Z'
+    );
+    assert.equal(quietHoursEnd({ ...QUIET, quietHoursEnabled: false }, new Date('2026-10-19T18:00:00Z')), null);
+  });
+
+  it('reads quiet hours and digest slots in the user timezone', () => {
+    const london = { ...QUIET, timezone: 'Europe/London' };                               // BST, UTC+1
+    assert.equal(quietHoursEnd(london, new Date('2026-10-19T18:00:00Z')), null);          // 19:00 London
+    assert.equal(
+      quietHoursEnd(london, new Date('2026-10-19T22:30:00Z')).toISOString(),              // 23:30 London
+      '2026-10-20T06:00:00.000Z'
+    );
+
+    const digest = { digestEnabled: true, digestMorningTime: '08:00', digestEveningTime: '19:00', timezone: 'Europe/London' };
+    assert.equal(nextDigestAt(digest, new Date('2026-10-19T12:00:00Z')).toISOString(), '2026-10-19T18:00:00.000Z');
+    assert.equal(nextDigestAt(digest, new Date('2026-10-19T18:00:30Z')).toISOString(), '2026-10-20T07:00:00.000Z');
+    assert.equal(nextDigestAt({ ...digest, digestEnabled: false }, new Date()), null);
+  });
+
+  it('checks the master switch, the event toggle and critical events', () => {
+    const night = new Date('2026-10-19T18:00:00Z');
+
+    assert.equal(pushBlockReason({ notifications: { pushNotifications: false } }, 'chat.message'), 'push_disabled');
+    assert.equal(pushBlockReason({ notifications: { chatMessages: false } }, 'chat.message'), 'preference_disabled');
+    assert.equal(pushBlockReason({ notifications: { chatMessages: false } }, 'movie_hangout.message'), null);
+    assert.equal(pushBlockReason({ notifications: QUIET }, 'chat.message', night), 'quiet_hours');
+    assert.equal(pushBlockReason({ notifications: { ...QUIET, pushNotifications: false } }, 'moderation.warning', night), null);
+    assert.throws(() => pushBlockReason({}, 'no.such.event'), /Unknown notification event/);
+  });
+
+  it('holds letter summaries overnight for users without quiet hours', () => {
+    const noQuiet = { notifications: {} };
+    // 23:30 and 07:30 IST are inside the default 23:00–08:00 window, 08:30 is not
+    assert.equal(pushBlockReason(noQuiet, 'letter.summary', new Date('2026-10-19T18:00:00Z')), 'quiet_hours');
+    assert.equal(pushBlockReason(noQuiet, 'letter.summary', new Date('2026-10-20T02:00:00Z')), 'quiet_hours');
+    assert.equal(pushBlockReason(noQuiet, 'letter.summary', new Date('2026-10-20T03:00:00Z')), null);
+    assert.equal(pushBlockReason(noQuiet, 'chat.message', new Date('2026-10-19T18:00:00Z')), null);
+
+    // In the user's timezone: 23:30 London
+    const london = { notifications: { timezone: 'Europe/London' } };
+    assert.equal(pushBlockReason(london, 'letter.summary', new Date('2026-10-19T22:30:00Z')), 'quiet_hours');
+    assert.equal(pushBlockReason(london, 'letter.summary', new Date('2026-10-19T18:00:00Z')), null);
+
+    // Their own window replaces the default: 07:30 IST is after their 07:00 end
+    assert.equal(pushBlockReason({ notifications: QUIET }, 'letter.summary', new Date('2026-10-20T02:00:00Z')), null);
+  });
+
+  it('emails on failure, after the ack window, or always — per the channel rule', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const fallback = { email: 'fallback', ackWindowMinutes: 30 };
+
+    assert.equal(emailDueAt(fallback, 'NO_TOKENS', now), now);
+    assert.equal(emailDueAt(fallback, 'FAILED', now), now);
+    assert.equal(emailDueAt(fallback, 'SENT', now).toISOString(), '2026-10-19T12:30:00.000Z');
+    assert.equal(emailDueAt({ ...fallback, ackWindowMinutes: 0 }, 'SENT', now), null);
+    assert.equal(emailDueAt(fallback, 'SUPPRESSED', now), null);
+    assert.equal(emailDueAt({ email: 'always' }, 'SUPPRESSED', now), now);
+    assert.equal(emailDueAt({ email: 'off' }, 'NO_TOKENS', now), null);
+
+    assert.equal(validateChannelRule('chat.message', { inApp: true, email: 'fallback', ackWindowMinutes: 10 }), null);
+    assert.match(validateChannelRule('booking.confirmed', { inApp: false }), /always keeps its in-app record/);
+    assert.match(validateChannelRule('booking.confirmed', { email: 'sms' }), /email must be one of/);
+    assert.match(validateChannelRule('broadcast.promotion', { email: 'always' }), /no per-user channel rule/);
+  });
+});
+
+describe('notification dispatcher', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestApp();
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await api.close();
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    await reloadChannelRules();
+    resetCalls();
+  });
+
+  const chat = (userId, text = 'see you at 7?') => dispatch('chat.message', {
+    userId,
+    data: { type: 'NEW_CHAT_MESSAGE', chatType: 'MOOD', messageText: text },
+  });
+
+  it('sends, and records the outcome', async () => {
+    const user = await createUser({ fcmTokens: ['token-a'] });
+
+    const { status, deliveryId } = await chat(user._id);
+
+    assert.equal(status, 'SENT');
+    assert.equal(calls.push.length, 1);
+    assert.equal(calls.push[0].message.data.messageText, 'see you at 7?');
+    assert.equal(calls.push[0].message.data.recipientUserId, user._id.toString());
+
+    const delivery = await NotificationDelivery.findById(deliveryId).lean();
+    assert.equal(delivery.successCount, 1);
+    assert.ok(delivery.sentAt);
+  });
+
+  it('honours the event toggle and hides previews', async () => {
+    const muted = await createUser({ fcmTokens: ['token-a'], notifications: { chatMessages: false } });
+    const { status } = await chat(muted._id);
+    assert.equal(status, 'SUPPRESSED');
+    assert.equal(calls.push.length, 0);
+
+    const hidden = await createUser({ fcmTokens: ['token-b'], notifications: { previewContent: false } });
+    await chat(hidden._id);
+    assert.equal(calls.push[0].message.data.messageText, '');
+    assert.equal(calls.push[0].message.data.body, 'You have a new message');
+  });
+
+  it('defers during quiet hours and sends from the job', async () => {
+    const now = new Date();
+    const istMinutes = (now.getUTCHours() * 60 + now.getUTCMinutes() + 330) % 1440;
+    const clock = (m) => `${String(Math.floor(m / 60) % 24).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+    const user = await createUser({
+      fcmTokens: ['token-a'],
+      notifications: { quietHoursEnabled: true, quietHoursStart: clock(istMinutes), quietHoursEnd: clock((istMinutes + 60) % 1440) },
+    });
+
+    const { status, deliveryId } = await chat(user._id);
+    assert.equal(status, 'DEFERRED');
+    assert.equal(calls.push.length, 0);
+    assert.equal(await Job.countDocuments({ name: 'notifications.deliver', 'payload.deliveryId': deliveryId.toString() }), 1);
+
+    await User.updateOne({ _id: user._id }, { $set: { 'notifications.quietHoursEnabled': false } });
+    await deliverDeferred({ deliveryId });
+
+    assert.equal((await NotificationDelivery.findById(deliveryId).lean()).status, 'SENT');
+    assert.equal(calls.push.length, 1);
+  });
+
+  it('drops timely events in quiet hours instead of deferring them', async () => {
+    const istMinutes = (new Date().getUTCHours() * 60 + new Date().getUTCMinutes() + 330) % 1440;
+    const clock = (m) => `${String(Math.floor(m / 60) % 24).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+    const user = await createUser({
+      fcmTokens: ['token-a'],
+      notifications: { quietHoursEnabled: true, quietHoursStart: clock(istMinutes), quietHoursEnd: clock((istMinutes + 60) % 1440) },
+    });
+
+    const { status, deliveryId } = await dispatch('voice_call.incoming', { userId: user._id, data: { type: 'INCOMING_CALL', callId: 'c1' } });
+
+    assert.equal(status, 'SUPPRESSED');
+    assert.equal((await NotificationDelivery.findById(deliveryId).lean()).reason, 'quiet_hours');
+    assert.equal(await Job.countDocuments({ name: 'notifications.deliver' }), 0);
+    assert.equal(calls.push.length, 0);
+  });
+
+  it('fans one event out to many users and counts the outcomes', async () => {
+    const reachable = await createUser({ fcmTokens: ['token-a'] });
+    const muted = await createUser({ fcmTokens: ['token-b'], notifications: { officialEvents: false } });
+    const noDevice = await createUser();
+
+    const counts = await dispatchMany('official_event.announced', [reachable._id, muted._id, noDevice._id], {
+      title: 'New Event Near You', body: 'Sunday run', entityId: 'event-1', data: { type: 'official_event' },
+    });
+
+    assert.deepEqual(counts, { SENT: 1, SUPPRESSED: 1, NO_TOKENS: 1 });
+    assert.equal(calls.push.length, 1);
+  });
+
+  it('collapses a duplicate warning into one activity and one push', async () => {
+    const user = await createUser({ fcmTokens: ['token-a'], notifications: { pushNotifications: false } });
+
+    await sendWarningActivity({ userId: user._id });
+    const second = await sendWarningActivity({ userId: user._id });
+
+    assert.equal(second.status, 'COLLAPSED');
+    assert.equal(calls.push.length, 1);
+    assert.equal(await Activity.countDocuments({ userId: user._id, type: 'WARNING' }), 1);
+  });
+
+  it('holds low-priority events for one digest push and lets chat through', async () => {
+    const user = await createUser({ fcmTokens: ['token-a'], notifications: { digestEnabled: true } });
+    const comment = () => dispatch('food.comment', {
+      userId: user._id,
+      title: '💬 New comment on your food post',
+      body: 'Asha: "looks amazing"',
+      data: { type: 'COMMENT_FOOD' },
+    });
+
+    assert.equal((await comment()).status, 'DIGESTED');
+    assert.equal((await comment()).status, 'DIGESTED');
+    assert.equal((await chat(user._id)).status, 'SENT');
+    assert.equal(calls.push.length, 1);
+    assert.equal(await Job.countDocuments({ name: 'notifications.digest', 'payload.userId': user._id.toString() }), 1);
+
+    await NotificationDelivery.updateMany({ status: 'DIGESTED' }, { $set: { deliverAfter: new Date(Date.now() - 1000) } });
+    await sendDigest({ userId: user._id.toString() });
+
+    assert.equal(calls.push.length, 2);
+    const digest = calls.push[1].message.data;
+    assert.equal(digest.type, 'NOTIFICATION_DIGEST');
+    assert.equal(digest.count, '2');
+    assert.equal(digest.body, '2 new comments on your food posts');
+    assert.equal(await NotificationDelivery.countDocuments({ event: 'food.comment', status: 'SENT', digestDeliveryId: { $ne: null } }), 2);
+  });
+
+  it('saves timezone and digest settings', async () => {
+    const user = await createUser();
+
+    const res = await api.request('PUT', '/api/settings/notifications', {
+      token: tokenFor(user),
+      body: { timezone: 'Asia/Dubai', digestEnabled: true, digestEveningTime: '20:30', digestMorningTime: '25:00' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.notifications.timezone, 'Asia/Dubai');
+    assert.equal(res.body.notifications.digestEnabled, true);
+    assert.equal(res.body.notifications.digestEveningTime, '20:30');
+    assert.equal(res.body.notifications.digestMorningTime, '08:00');
+
+    const bad = await api.request('PUT', '/api/settings/notifications', {
+      token: tokenFor(user),
+      body: { timezone: 'Mars/Olympus_Mons' },
+    });
+    assert.equal(bad.status, 400);
+  });
+
+  it('keeps an in-app copy and emails an event the push could not reach', async () => {
+    const user = await createUser({ fcmTokens: [] });
+
+    const { status, deliveryId } = await dispatch('booking.confirmed', {
+      userId: user._id,
+      title: '✅ Booking confirmed',
+      body: 'Asha confirmed your booking for 21 Oct, 7:00 pm.',
+      data: { type: 'BOOKING_CONFIRMED' },
+    });
+
+    assert.equal(status, 'NO_TOKENS');
+    assert.equal(await Notification.countDocuments({ userId: user._id, title: '✅ Booking confirmed' }), 1);
+    assert.equal(await Job.countDocuments({ name: 'notifications.email', 'payload.deliveryId': deliveryId.toString() }), 1);
+
+    await deliverEmail({ deliveryId });
+
+    assert.equal(calls.email.length, 1);
+    assert.equal(calls.email[0].to[0].email, user.email);
+    assert.equal(calls.email[0].subject, '✅ Booking confirmed');
+    const delivery = await NotificationDelivery.findById(deliveryId).lean();
+    assert.equal(delivery.emailStatus, 'SENT');
+    assert.ok(delivery.emailSentAt);
+  });
+
+  it('skips the fallback email once the app acknowledges the push', async () => {
+    const user = await createUser({ fcmTokens: ['token-a'] });
+    const ticket = () => dispatch('event_ticket.issued', {
+      userId: user._id,
+      title: 'Your Humrah ticket is ready 🎟️',
+      body: 'You successfully joined Sunday Run',
+      data: { type: 'official_event' },
+    });
+
+    const acked = await ticket();
+    assert.equal(acked.status, 'SENT');
+    assert.equal(calls.push[0].message.data.deliveryId, acked.deliveryId.toString());
+    const res = await api.request('POST', `/api/notifications/deliveries/${acked.deliveryId}/ack`, { token: tokenFor(user) });
+    assert.equal(res.status, 200);
+
+    const ignored = await ticket();
+    await deliverEmail({ deliveryId: acked.deliveryId });
+    await deliverEmail({ deliveryId: ignored.deliveryId });
+
+    assert.equal((await NotificationDelivery.findById(acked.deliveryId).lean()).emailStatus, 'SKIPPED');
+    assert.equal((await NotificationDelivery.findById(ignored.deliveryId).lean()).emailStatus, 'SENT');
+    assert.equal(calls.email.length, 1);
+  });
+
+  it('lets admins change an event\'s channels', async () => {
+    const admin = await createAdmin();
+    await enrolTwoFactor(admin);
+    const user = await createUser({ fcmTokens: [] });
+
+    const res = await api.request('PUT', '/api/admin/notification-channels/chat.message', {
+      token: mfaTokenFor(admin),
+      body: { inApp: true, email: 'fallback' },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.rule.email, 'fallback');
+
+    const { deliveryId } = await chat(user._id);
+    const delivery = await NotificationDelivery.findById(deliveryId).lean();
+    assert.ok(delivery.notificationId);
+    assert.equal(delivery.emailStatus, 'PENDING');
+
+    const bad = await api.request('PUT', '/api/admin/notification-channels/payout.completed', {
+      token: mfaTokenFor(admin),
+      body: { inApp: false },
+    });
+    assert.equal(bad.status, 400);
+  });
+
+  it('prunes tokens FCM reports as dead', async () => {
+    const user = await createUser({ fcmTokens: ['token-live', 'token-dead', 'token-flaky'] });
+    const messaging = admin.messaging();
+    const original = messaging.sendEachForMulticast;
+    messaging.sendEachForMulticast = async (message) => ({
+      successCount: 1,
+      failureCount: 2,
+      responses: message.tokens.map(token => ({
+        'token-live':  { success: true, messageId: 'm-1' },
+        'token-dead':  { success: false, error: { code: 'messaging/registration-token-not-registered' } },
+        'token-flaky': { success: false, error: { code: 'messaging/internal-error' } },
+      })[token]),
+    });
+
+    try {
+      const { deliveryId } = await chat(user._id);
+      const delivery = await NotificationDelivery.findById(deliveryId).lean();
+      assert.equal(delivery.status, 'SENT');
+      assert.equal(delivery.prunedTokens, 1);
+    } finally {
+      messaging.sendEachForMulticast = original;
+    }
+
+    const reloaded = await User.findById(user._id).select('fcmTokens').lean();
+    assert.deepEqual(reloaded.fcmTokens, ['token-live', 'token-flaky']);
+  });
+});
@@ -0,0 +1,217 @@
+// test/payouts.test.js — Earnings credit, weekly/monthly payout runs, retries (cronJobs/payoutCron.js)
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  connectTestDB, clearTestDB, disconnectTestDB,
+  factories, calls, resetCalls,
+} = require('./helpers');
+const { createCompanion, createBooking } = factories;
+
+const Booking = require('../models/Booking');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+const paymentGateway = require('../services/paymentGateway');
+const { getCompanionBalance } = require('../services/ledgerService');
+const { runWeeklyPayouts, runMonthlyPayouts, retryFailedPayouts } = require('../cronJobs/payoutCron');
+const { handleWebhook } = require('../services/payoutWebhookService');
+
+// Completed + paid booking; Booking's post-save hook credits the companion
+const completedBooking = (companion, totalAmount) =>
+  createBooking({ companion, totalAmount, status: 'completed', paymentStatus: 'paid', paymentId: 'pay_mock_test' });
+
+const transferSucceeds = () => mock.method(paymentGateway, 'transferToUPI', async ({ referenceId }) => ({
+  success:       true,
+  transactionId: `txn_${referenceId}`,
+  status:        'processed',
+}));
+
+describe('payouts', () => {
+  before(async () => {
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    resetCalls();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('credits 75% of a completed paid booking to the companion exactly once', async () => {
+    const companion = await createCompanion();
+    const booking   = await completedBooking(companion, 800);
+
+    booking.notes = 'saved again';
+    await booking.save();
+
+    const user = await User.findById(companion._id);
+    assert.equal(user.paymentInfo.pendingPayout, 600);
+    assert.equal((await getCompanionBalance(companion._id)).pendingPayout, 600);
+  });
+
+  it('rolls the credit back when the earnings update fails and credits on the next save', async () => {
+    const companion = await createCompanion();
+    const updateOne = User.updateOne.bind(User);
+    const failing = mock.method(User, 'updateOne', async (filter, update, ...rest) => {
+      if (update?.$inc?.['paymentInfo.pendingPayout'] !== undefined) throw new Error('write failed');
+      return updateOne(filter, update, ...rest);
+    });
+
+    const booking = await completedBooking(companion, 800);
+    assert.equal((await Booking.findById(booking._id)).earningsCreditedAt, null);
+    assert.equal(await LedgerEntry.countDocuments({ bookingId: booking._id }), 0);
+
+    failing.mock.restore();
+    booking.notes = 'saved again';
+    await booking.save();
+
+    const user = await User.findById(companion._id);
+    assert.equal(user.paymentInfo.pendingPayout, 600);
+    assert.equal((await getCompanionBalance(companion._id)).pendingPayout, 600);
+  });
+
+  it('weekly run pays balances of ₹500+ and settles cache, ledger and bookings', async () => {
+    const transfer  = transferSucceeds();
+    const companion = await createCompanion();
+    const bookings  = [await completedBooking(companion, 400), await completedBooking(companion, 400)];
+
+    await runWeeklyPayouts();
+
+    assert.equal(transfer.mock.callCount(), 1);
+    assert.equal(transfer.mock.calls[0].arguments[0].amount, 600);
+    assert.equal(transfer.mock.calls[0].arguments[0].upiId, companion.paymentInfo.upiId);
+
+    const payout = await Payout.findOne({ userId: companion._id });
+    assert.equal(payout.status, 'completed');
+    assert.equal(payout.amount, 600);
+
+    const user = await User.findById(companion._id);
+    assert.equal(user.paymentInfo.pendingPayout, 0);
+    assert.equal(user.paymentInfo.completedPayouts, 600);
+
+    const balance = await getCompanionBalance(companion._id);
+    assert.equal(balance.pendingPayout, 0);
+    assert.equal(balance.completedPayouts, 600);
+
+    for (const { _id } of bookings) {
+      const settled = await Booking.findById(_id);
+      assert.equal(settled.earningsPaidOut, true);
+      assert.equal(settled.payoutId.toString(), payout._id.toString());
+    }
+
+    assert.ok(calls.email.some(mail => mail.to[0].email === companion.email), 'payout confirmation emailed');
+  });
+
+  it('weekly run leaves small balances for the monthly run', async () => {
+    const transfer  = transferSucceeds();
+    const companion = await createCompanion();
+    await completedBooking(companion, 400);
+
+    await runWeeklyPayouts();
+    assert.equal(transfer.mock.callCount(), 0);
+
+    await runMonthlyPayouts();
+    assert.equal(transfer.mock.callCount(), 1);
+    assert.equal(transfer.mock.calls[0].arguments[0].amount, 300);
+  });
+
+  it('skips companions without a verified UPI or with a restricted account', async () => {
+    const transfer = transferSucceeds();
+
+    const unverified = await createCompanion();
+    await User.updateOne({ _id: unverified._id }, { 'paymentInfo.upiStatus': 'pending_verification' });
+    await completedBooking(unverified, 800);
+
+    const suspended = await createCompanion();
+    await completedBooking(suspended, 800);
+    await User.updateOne({ _id: suspended._id }, { status: 'SUSPENDED', 'suspensionInfo.isSuspended': true });
+
+    const banned = await createCompanion();
+    await completedBooking(banned, 800);
+    await User.updateOne({ _id: banned._id }, { status: 'BANNED', 'banInfo.isBanned': true });
+
+    await runWeeklyPayouts();
+
+    assert.equal(transfer.mock.callCount(), 0);
+    assert.equal(await Payout.countDocuments(), 0);
+  });
+
+  it('pays accounts that predate the suspension/ban fields', async () => {
+    const transfer  = transferSucceeds();
+    const companion = await createCompanion();
+    await completedBooking(companion, 800);
+    await User.collection.updateOne({ _id: companion._id }, { $unset: { suspensionInfo: '', banInfo: '' } });
+
+    await runWeeklyPayouts();
+
+    assert.equal(transfer.mock.callCount(), 1);
+  });
+
+  it('schedules a retry when the transfer fails and completes it on the retry run', async () => {
+    mock.method(paymentGateway, 'transferToUPI', async () => ({ success: false, error: 'Beneficiary bank offline' }));
+    const companion = await createCompanion();
+    await completedBooking(companion, 800);
+
+    await runWeeklyPayouts();
+
+    let payout = await Payout.findOne({ userId: companion._id });
+    assert.equal(payout.status, 'pending');
+    assert.equal(payout.retryCount, 1);
+    assert.equal(payout.failureReason, 'Beneficiary bank offline');
+    assert.equal((await User.findById(companion._id)).paymentInfo.pendingPayout, 600, 'balance untouched');
+
+    mock.restoreAll();
+    transferSucceeds();
+    await Payout.updateOne({ _id: payout._id }, { nextRetryAt: new Date(Date.now() - 1000) });
+
+    await retryFailedPayouts();
+
+    payout = await Payout.findById(payout._id);
+    assert.equal(payout.status, 'completed');
+    assert.equal((await User.findById(companion._id)).paymentInfo.pendingPayout, 0);
+    assert.equal((await getCompanionBalance(companion._id)).completedPayouts, 600);
+  });
+
+  it('does not pay a booking twice across runs', async () => {
+    const transfer  = transferSucceeds();
+    const companion = await createCompanion();
+    await completedBooking(companion, 800);
+
+    await runWeeklyPayouts();
+    await User.updateOne({ _id: companion._id }, { 'paymentInfo.pendingPayout': 600 }); // stale cache
+    await runWeeklyPayouts();
+
+    assert.equal(transfer.mock.callCount(), 1);
+    assert.equal(await Payout.countDocuments({ userId: companion._id }), 1);
+  });
+});
+
+describe('payout webhooks', () => {
+  const rawBody = JSON.stringify({ event: 'payout.reversed', payload: { payout: { entity: { id: 'pout_1' } } } });
+
+  afterEach(() => {
+    delete process.env.PAYMENT_GATEWAY_WEBHOOK_SECRET;
+  });
+
+  it('refuses every webhook while no secret is configured', async () => {
+    const result = await handleWebhook({ rawBody, signature: 'anything', eventId: 'evt_1', ipAddress: '127.0.0.1' });
+    assert.equal(result.status, 503);
+    assert.equal(paymentGateway.verifyWebhookSignature(rawBody, undefined), false);
+  });
+
+  it('rejects a bad signature once a secret is set', async () => {
+    process.env.PAYMENT_GATEWAY_WEBHOOK_SECRET = 'test-webhook-secret';
+    const result = await handleWebhook({ rawBody, signature: 'f'.repeat(64), eventId: 'evt_2', ipAddress: '127.0.0.1' });
+    assert.equal(result.status, 400);
+  });
+});
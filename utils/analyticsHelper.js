@@ -3,7 +3,9 @@ const analyticsService = require('../services/analytics.service');
 const runDailyAnalytics = async () => {
   try {
     console.log('[Humrah Letters] Running daily analytics job...');
-    await analyticsService.generateDailyAnalytics();
+    // Runs at midnight: close out the day that just ended
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    await analyticsService.generateDailyAnalytics(yesterday);
     console.log('[Humrah Letters] Daily analytics generated successfully.');
   } catch (error) {
     console.error('[Humrah Letters] Failed to run daily analytics:', error);
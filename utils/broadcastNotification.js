@@ -1,7 +1,7 @@
 // backend/utils/broadcastNotification.js - FINAL FIX
 
 const User = require('../models/User');
-const admin = require('../config/firebase');
+const { dispatch, dispatchMany } = require('../services/notificationDispatcher');
 
 /**
  * Broadcast new random booking notification to eligible users in same city
@@ -74,31 +74,12 @@ async function broadcastNewBooking(booking) {
 
     console.log(`✅ Found ${usersInCity.length} eligible users in ${booking.city}`);
 
-    // ==================== STEP 2: COLLECT FCM TOKENS ====================
-    
-    const fcmTokens = [];
-    usersInCity.forEach(user => {
-      if (user.fcmTokens && Array.isArray(user.fcmTokens)) {
-        fcmTokens.push(...user.fcmTokens);
-      }
-    });
-
-    if (fcmTokens.length === 0) {
-      console.log(`⚠️  No FCM tokens found for eligible users`);
-      return {
-        success: true,
-        sentCount: 0,
-        message: 'No FCM tokens available'
-      };
-    }
-
-    console.log(`📱 Collected ${fcmTokens.length} FCM tokens from ${usersInCity.length} users`);
-
-    // ==================== STEP 3: PREPARE NOTIFICATION DATA ====================
+    // ==================== STEP 2: PREPARE NOTIFICATION DATA ====================
     
     const notificationData = {
       title: '🎲 New Random Hangout!',
       body: `${creator.firstName} wants to hangout at ${booking.destination} in ${booking.city}`,
+      entityId: booking._id,
       data: {
         type: 'NEW_RANDOM_BOOKING',
         bookingId: booking._id.toString(),
@@ -115,79 +96,15 @@ async function broadcastNewBooking(booking) {
     console.log(`   Title: ${notificationData.title}`);
     console.log(`   Body: ${notificationData.body}`);
 
-    // ==================== STEP 4: SEND FCM NOTIFICATION ====================
-    
-    let sentCount = 0;
+    // ==================== STEP 3: DISPATCH ====================
+    // Preferences, quiet hours and dead-token pruning are the dispatcher's job
     
-    try {
-      // ✅ SEND MULTICAST MESSAGE TO ALL TOKENS
-      const message = {
-        notification: {
-          title: notificationData.title,
-          body: notificationData.body
-        },
-        data: notificationData.data,
-        tokens: fcmTokens,
-        android: {
-          priority: 'high',
-          notification: {
-            channelId: 'humrah_notifications',
-            sound: 'default',
-            clickAction: 'OPEN_RANDOM_BOOKING'
-          }
-        },
-        apns: {
-          payload: {
-            aps: {
-              sound: 'default',
-              badge: 1
-            }
-          }
-        }
-      };
-
-      const response = await admin.messaging().sendEachForMulticast(message);
-      
-      sentCount = response.successCount;
-      
-      console.log(`✅ FCM Notification sent successfully`);
-      console.log(`   Success: ${response.successCount}/${fcmTokens.length}`);
-      console.log(`   Failed: ${response.failureCount}`);
-
-      // ✅ HANDLE FAILED TOKENS (remove invalid tokens from database)
-      if (response.failureCount > 0) {
-        console.log(`⚠️  Some notifications failed. Details:`);
-        
-        const failedTokens = [];
-        response.responses.forEach((resp, idx) => {
-          if (!resp.success) {
-            failedTokens.push(fcmTokens[idx]);
-            console.log(`   ❌ Token ${idx + 1}: ${resp.error?.code || 'Unknown'} - ${resp.error?.message || 'No message'}`);
-          }
-        });
+    const counts = await dispatchMany('random_booking.nearby', usersInCity.map(u => u._id), notificationData);
+    const sentCount = counts.SENT || 0;
 
-        // Remove invalid tokens from users
-        if (failedTokens.length > 0) {
-          await User.updateMany(
-            { fcmTokens: { $in: failedTokens } },
-            { $pull: { fcmTokens: { $in: failedTokens } } }
-          );
-          console.log(`🧹 Cleaned up ${failedTokens.length} invalid tokens`);
-        }
-      }
+    console.log(`✅ Push dispatched: ${JSON.stringify(counts)}`);
 
-    } catch (fcmError) {
-      console.error('❌ FCM send error:', fcmError);
-      console.error('   Error code:', fcmError.code);
-      console.error('   Error message:', fcmError.message);
-      return {
-        success: false,
-        sentCount: 0,
-        error: fcmError.message
-      };
-    }
-
-    // ==================== STEP 5: RETURN RESULT ====================
+    // ==================== STEP 4: RETURN RESULT ====================
     
     console.log(`✅ Broadcast completed: ${sentCount} notifications sent`);
     
@@ -195,9 +112,8 @@ async function broadcastNewBooking(booking) {
       success: true,
       sentCount,
       totalUsers: usersInCity.length,
-      totalTokens: fcmTokens.length,
       city: booking.city,
-      message: `Notification sent to ${sentCount} devices`
+      message: `Notification sent to ${sentCount} users`
     };
 
   } catch (error) {
@@ -228,48 +144,24 @@ async function notifyBookingAccepted(booking, acceptor) {
       creatorId = booking.initiatorId;
     }
 
-    // Get creator's FCM tokens
-    const creator = await User.findById(creatorId).select('fcmTokens firstName');
-    
-    if (!creator || !creator.fcmTokens || creator.fcmTokens.length === 0) {
-      console.log(`⚠️  Creator has no FCM tokens`);
-      return { success: false, message: 'No FCM tokens' };
-    }
-
-    const notificationData = {
+    const { status } = await dispatch('random_booking.matched', {
+      userId: creatorId,
       title: '🎉 Booking Accepted!',
       body: `${acceptor.firstName} accepted your booking! Start chatting now.`,
+      entityId: booking._id,
       data: {
         type: 'BOOKING_ACCEPTED',
         bookingId: booking._id.toString(),
         acceptedUserId: acceptor._id.toString(),
         chatId: booking.chatId ? booking.chatId.toString() : ''
       }
-    };
-
-    const message = {
-      notification: {
-        title: notificationData.title,
-        body: notificationData.body
-      },
-      data: notificationData.data,
-      tokens: creator.fcmTokens,
-      android: {
-        priority: 'high',
-        notification: {
-          channelId: 'humrah_notifications',
-          sound: 'default'
-        }
-      }
-    };
-
-    const response = await admin.messaging().sendEachForMulticast(message);
+    });
 
-    console.log(`✅ Booking accepted notification sent: ${response.successCount}/${creator.fcmTokens.length}`);
+    console.log(`✅ Booking accepted notification: ${status}`);
 
     return {
-      success: true,
-      sentCount: response.successCount
+      success: status === 'SENT',
+      sentCount: status === 'SENT' ? 1 : 0
     };
 
   } catch (error) {
@@ -300,14 +192,8 @@ async function notifyNewChatMessage(chat, message, sender) {
       return { success: false };
     }
 
-    const recipient = await User.findById(recipientId).select('fcmTokens firstName');
-    
-    if (!recipient || !recipient.fcmTokens || recipient.fcmTokens.length === 0) {
-      console.log(`⚠️  Recipient has no FCM tokens`);
-      return { success: false };
-    }
-
-    const notificationData = {
+    const { status } = await dispatch('chat.message', {
+      userId: recipientId,
       title: `💬 ${sender.firstName}`,
       body: message.content.substring(0, 100), // Truncate long messages
       data: {
@@ -316,31 +202,13 @@ async function notifyNewChatMessage(chat, message, sender) {
         senderId: sender._id.toString(),
         messageId: message._id.toString()
       }
-    };
-
-    const fcmMessage = {
-      notification: {
-        title: notificationData.title,
-        body: notificationData.body
-      },
-      data: notificationData.data,
-      tokens: recipient.fcmTokens,
-      android: {
-        priority: 'high',
-        notification: {
-          channelId: 'humrah_notifications',
-          sound: 'default'
-        }
-      }
-    };
-
-    const response = await admin.messaging().sendEachForMulticast(fcmMessage);
+    });
 
-    console.log(`✅ Message notification sent: ${response.successCount}/${recipient.fcmTokens.length}`);
+    console.log(`✅ Message notification: ${status}`);
 
     return {
-      success: true,
-      sentCount: response.successCount
+      success: status === 'SENT',
+      sentCount: status === 'SENT' ? 1 : 0
     };
 
   } catch (error) {
@@ -0,0 +1,25 @@
+/**
+ * utils/csv.js
+ * ─────────────────────────────────────────────────────────────
+ * CSV cells and lines for every export (earnings statements,
+ * letters analytics). Pure — no side effects.
+ *
+ * Spreadsheets run a cell that starts with = + - @ (or a tab/CR
+ * before one) as a formula, so user-supplied text such as a
+ * booking note "=HYPERLINK(...)" is prefixed with ' and shown as
+ * text. Numbers are written as-is, so -250 stays a number.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let str = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(str)) str = `'${str}`;
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',');
+}
+
+module.exports = { csvCell, csvLine };
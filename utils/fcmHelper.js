@@ -1,5 +1,7 @@
 // utils/fcmHelper.js
-// Shared data-only FCM sender.
+// Shared data-only FCM sender — the transport under
+// services/notificationDispatcher.js. Features should dispatch() a typed event
+// rather than call this directly, so preferences and quiet hours apply.
 //
 // WHY data-only (no notification payload)?
 // When a FCM message contains BOTH notification + data keys, Android OS handles
@@ -10,15 +12,29 @@
 const admin = require('../config/firebase');
 const User  = require('../models/User');
 
+// Permanent per-token errors — the token will never work again
+const DEAD_TOKEN_ERRORS = new Set([
+  'messaging/invalid-registration-token',
+  'messaging/registration-token-not-registered',
+]);
+
 /**
  * Send a high-priority data-only FCM message.
  *
  * @param {string}   userId  - Recipient MongoDB user ID (used for token pruning)
  * @param {string[]} tokens  - FCM registration tokens
  * @param {object}   data    - Key-value payload (all values auto-coerced to strings)
+ * @returns {Promise<{ successCount: number, failureCount: number, prunedTokens: number, error?: string }>}
  */
 async function sendDataFcm(userId, tokens, data) {
-  if (!tokens || tokens.length === 0) return;
+  if (!tokens || tokens.length === 0) {
+    return { successCount: 0, failureCount: 0, prunedTokens: 0 };
+  }
+
+  if (!admin.apps.length) {
+    console.warn('[FCM] Firebase Admin not initialized. Skipping push.');
+    return { successCount: 0, failureCount: tokens.length, prunedTokens: 0, error: 'firebase_not_initialized' };
+  }
 
   // FCM data payload requires all values to be strings
   const stringData = {};
@@ -31,14 +47,22 @@ async function sendDataFcm(userId, tokens, data) {
       data:    stringData,
       tokens,
       android: { priority: 'high' },
+      apns: {
+        payload: { aps: { 'content-available': 1 } },
+        headers: { 'apns-priority': '5' },
+      },
     });
 
-    // Prune tokens that FCM rejected (unregistered / invalid)
+    // Prune tokens that FCM rejected permanently (transient errors keep theirs)
+    let prunedTokens = 0;
     if (resp.failureCount > 0) {
-      const bad = tokens.filter((_, i) => !resp.responses[i].success);
-      if (bad.length > 0) {
-        await User.findByIdAndUpdate(userId, { $pull: { fcmTokens: { $in: bad } } });
-        console.log('[FCM] Pruned ' + bad.length + ' invalid token(s) for user ' + userId);
+      const dead = tokens.filter((_, i) =>
+        !resp.responses[i].success && DEAD_TOKEN_ERRORS.has(resp.responses[i].error?.code)
+      );
+      if (dead.length > 0) {
+        await User.findByIdAndUpdate(userId, { $pullAll: { fcmTokens: dead } });
+        prunedTokens = dead.length;
+        console.log('[FCM] Pruned ' + dead.length + ' invalid token(s) for user ' + userId);
       }
     }
 
@@ -46,9 +70,12 @@ async function sendDataFcm(userId, tokens, data) {
       ' to=' + userId +
       ' success=' + resp.successCount +
       ' failure=' + resp.failureCount);
+
+    return { successCount: resp.successCount, failureCount: resp.failureCount, prunedTokens };
   } catch (err) {
     console.error('[FCM] sendDataFcm error:', err.message);
+    return { successCount: 0, failureCount: tokens.length, prunedTokens: 0, error: err.message };
   }
 }
 
-module.exports = { sendDataFcm };
+module.exports = { sendDataFcm, DEAD_TOKEN_ERRORS };
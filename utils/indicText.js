@@ -0,0 +1,132 @@
+// utils/indicText.js — Devanagari transliteration and Hinglish spelling folds
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Hindi abuse arrives in Devanagari ("चूतिया"), in Latin with a dozen
+// spellings ("chootiya", "chutiya", "chutya") or mixed in one message. Both
+// helpers here are pure and offline; services/moderationPolicy.js chains them
+// into its 'transliterated' rule target:
+//
+//   transliterateDevanagari('मादरचोद')   → 'maadarchod'
+//   phoneticSkeleton('chootiyaa')        → 'chutia'
+//
+// The skeleton is lossy on purpose (most aspirates, doubled letters and
+// y-glides fold away) so a word list only needs one spelling per term. 'chh'
+// survives: chhod (leave) and chod are different words. The skeleton is a
+// match key, never shown to anyone.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const CONSONANTS = {
+  'क':'k', 'ख':'kh', 'ग':'g', 'घ':'gh', 'ङ':'n',
+  'च':'ch', 'छ':'chh', 'ज':'j', 'झ':'jh', 'ञ':'n',
+  'ट':'t', 'ठ':'th', 'ड':'d', 'ढ':'dh', 'ण':'n',
+  'त':'t', 'थ':'th', 'द':'d', 'ध':'dh', 'न':'n',
+  'प':'p', 'फ':'ph', 'ब':'b', 'भ':'bh', 'म':'m',
+  'य':'y', 'र':'r', 'ल':'l', 'ळ':'l', 'व':'v',
+  'श':'sh', 'ष':'sh', 'स':'s', 'ह':'h',
+};
+
+// Consonant + nukta (़). Hinglish writes ड़ as 'd' ("ladki", "bhosdi") far more often than 'r'.
+const NUKTA_FORMS = { 'क':'q', 'ख':'kh', 'ग':'g', 'ज':'z', 'ड':'d', 'ढ':'dh', 'फ':'f', 'य':'y' };
+
+const VOWELS = {
+  'अ':'a', 'आ':'aa', 'इ':'i', 'ई':'ee', 'उ':'u', 'ऊ':'oo', 'ऋ':'ri',
+  'ए':'e', 'ऐ':'ai', 'ओ':'o', 'औ':'au', 'ऑ':'o',
+};
+
+const MATRAS = {
+  'ा':'aa', 'ि':'i', 'ी':'ee', 'ु':'u', 'ू':'oo', 'ृ':'ri',
+  'े':'e', 'ै':'ai', 'ो':'o', 'ौ':'au', 'ॉ':'o',
+};
+
+// Chandrabindu is left out of Hinglish spelling (माँ → maa)
+const NASALS  = { 'ं':'n', 'ँ':'', 'ः':'h' };
+const VIRAMA  = '्';
+const NUKTA   = '़';
+const DEVANAGARI = /[ऀ-ॿ]/;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DEVANAGARI → LATIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// One run of Devanagari as syllables [{ c: consonant, v: vowel, inherent }]
+function toSyllables(run) {
+  const syllables = [];
+  const chars = [...run.normalize('NFD')];
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+
+    if (CONSONANTS[ch]) {
+      let c = CONSONANTS[ch];
+      if (chars[i + 1] === NUKTA) { c = NUKTA_FORMS[ch] || c; i++; }
+
+      const next = chars[i + 1];
+      if (MATRAS[next])        { syllables.push({ c, v: MATRAS[next], inherent: false }); i++; }
+      else if (next === VIRAMA) { syllables.push({ c, v: '', inherent: false }); i++; }
+      else                      syllables.push({ c, v: 'a', inherent: true });
+    } else if (VOWELS[ch]) {
+      syllables.push({ c: '', v: VOWELS[ch], inherent: false });
+    } else if (NASALS[ch]) {
+      syllables.push({ c: NASALS[ch], v: '', inherent: false });
+    } else if (ch >= '०' && ch <= '९') {
+      syllables.push({ c: String(ch.charCodeAt(0) - 0x0966), v: '', inherent: false });
+    }
+    // Anything else in the block (dandas, accents) is dropped
+  }
+  return syllables;
+}
+
+// Schwa deletion, right to left: the inherent 'a' goes at the end of a word and
+// between a vowel and a following syllable that keeps its vowel (म-द-र-चो-द → madarchod)
+function dropSchwas(syllables) {
+  for (let i = syllables.length - 1; i >= 0; i--) {
+    const s = syllables[i];
+    if (!s.inherent) continue;
+    if (i === syllables.length - 1) { if (i > 0) s.v = ''; continue; }
+    const prev = syllables[i - 1];
+    const next = syllables[i + 1];
+    if (prev?.v && next?.v) s.v = '';
+  }
+  return syllables.map(s => s.c + s.v).join('');
+}
+
+/**
+ * Romanize every Devanagari run in `text` the way people type Hinglish;
+ * everything else passes through untouched.
+ */
+function transliterateDevanagari(text) {
+  if (!text || !DEVANAGARI.test(text)) return text || '';
+  return text.replace(/[ऀ-ॿ]+/g, run => dropSchwas(toSyllables(run)));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PHONETIC SKELETON — one spelling per word
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function skeletonWord(word) {
+  return word
+    .replace(/ph/g, 'f')
+    .replace(/ck/g, 'k')
+    .replace(/q/g, 'k')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/([kgjtdbs])h/g, '$1')      // kh gh jh th dh bh sh — 'ch' and 'chh' are kept
+    .replace(/c(?!h)/g, 'k')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/([a-gi-z])\1+/g, '$1')
+    .replace(/([^aeiouy])y(?=[aeiou])/g, '$1i')  // chutya → chutia
+    .replace(/iy(?=[aeiou])/g, 'i');              // chutiya → chutia
+}
+
+/**
+ * Fold lower-cased Latin text to its phonetic skeleton, word by word.
+ * Non-Latin words (Tamil, Bengali, … script) are returned as they are.
+ */
+function phoneticSkeleton(text) {
+  return (text || '').replace(/[a-z]+/g, skeletonWord);
+}
+
+module.exports = { transliterateDevanagari, phoneticSkeleton };
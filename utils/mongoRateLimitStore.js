@@ -0,0 +1,89 @@
+// utils/mongoRateLimitStore.js — MongoDB store for express-rate-limit
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Implements the express-rate-limit Store interface on models/RateLimitCounter
+// so limits hold across restarts and across instances.
+//
+// Fixed window, same semantics as the default MemoryStore: the first hit
+// opens a window of windowMs; hits inside it increment the counter; the first
+// hit after resetTime starts a new window at 1. The increment is a single
+// atomic pipeline upsert, so concurrent requests never lose a count.
+//
+// One instance per limiter (express-rate-limit rejects a shared store) —
+// use `new MongoRateLimitStore('login')`.
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+class MongoRateLimitStore {
+  constructor(limiter) {
+    this.limiter   = limiter;
+    this.prefix    = `${limiter}:`;
+    this.localKeys = false;
+    this.windowMs  = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const doc = await RateLimitCounter.findOne({ limiter: this.limiter, clientKey: key }).lean();
+    if (!doc || doc.resetTime <= new Date()) return undefined;
+    return { totalHits: doc.totalHits, resetTime: doc.resetTime };
+  }
+
+  async increment(key) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetTime', now] };
+
+    const update = [
+      {
+        $set: {
+          totalHits: { $cond: [windowOpen, { $add: ['$totalHits', 1] }, 1] },
+          resetTime: { $cond: [windowOpen, '$resetTime', new Date(now.getTime() + this.windowMs)] },
+          createdAt: { $ifNull: ['$createdAt', now] },
+          updatedAt: now,
+        },
+      },
+    ];
+
+    let doc;
+    try {
+      doc = await RateLimitCounter.findOneAndUpdate(
+        { limiter: this.limiter, clientKey: key },
+        update,
+        { upsert: true, new: true, lean: true }
+      );
+    } catch (err) {
+      // Two first-hits raced on the upsert — the document exists now.
+      if (err.code !== 11000) throw err;
+      doc = await RateLimitCounter.findOneAndUpdate(
+        { limiter: this.limiter, clientKey: key },
+        update,
+        { new: true, lean: true }
+      );
+    }
+
+    return { totalHits: doc.totalHits, resetTime: doc.resetTime };
+  }
+
+  async decrement(key) {
+    await RateLimitCounter.updateOne(
+      { limiter: this.limiter, clientKey: key, totalHits: { $gt: 0 }, resetTime: { $gt: new Date() } },
+      { $inc: { totalHits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimitCounter.deleteOne({ limiter: this.limiter, clientKey: key });
+  }
+
+  async resetAll() {
+    await RateLimitCounter.deleteMany({ limiter: this.limiter });
+  }
+}
+
+module.exports = MongoRateLimitStore;
@@ -1,353 +1,387 @@
-// utils/presenceManager.js - IN-MEMORY PRESENCE TRACKING
-// NO DATABASE STORAGE - Session-based only
+// utils/presenceManager.js - PRESENCE TRACKING (PLUGGABLE STORE)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Same switch as the Socket.IO adapter (config/socketAdapter.js):
+//
+//   SOCKET_ADAPTER=memory  MemoryPresenceStore — Maps in this process, nothing
+//                          persisted. Single-node dev / one instance only.
+//   SOCKET_ADAPTER=mongo   MongoPresenceStore  — models/UserPresence, shared by
+//                          every instance. Each instance heartbeats its own
+//                          sockets; 'presence.prune' clears sockets left behind
+//                          by an instance that crashed.
+//
+// All lookups are async so callers do not care which store is active.
+// setUserOnline / setUserOffline report whether this was the user's first /
+// last connection across the cluster — only then should user-online /
+// user-offline be broadcast.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const os = require('os');
+const mongoose = require('mongoose');
+const UserPresence = require('../models/UserPresence');
+const { getAdapterName } = require('../config/socketAdapter');
+const { registerHandler, scheduleRecurring } = require('../services/jobQueue');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// Three missed heartbeats and the instance is considered gone
+const STALE_AFTER_MS        = 3 * HEARTBEAT_INTERVAL_MS;
 
 /**
- * Presence Manager
- * Tracks user online/offline status in memory
- * 
- * Features:
- * - In-memory Map storage (no DB)
- * - User online/offline tracking
- * - Last seen timestamps
- * - Socket ID mapping
- * - Cleanup for disconnected users
+ * In-memory store — the original behaviour
  */
-
-class PresenceManager {
+class MemoryPresenceStore {
   constructor() {
-    // userId -> { socketId, status, lastSeen, connectedAt }
+    // userId -> { status, lastSeen, connectedAt, name, photo }
     this.userPresence = new Map();
-    
-    // socketId -> userId (reverse lookup)
-    this.socketToUser = new Map();
-    
-    // Track multiple sockets per user (mobile + web)
-    // userId -> Set of socketIds
+
+    // userId -> Set of socketIds (mobile + web)
     this.userSockets = new Map();
   }
-  
-  /**
-   * Mark user as online
-   */
-  setUserOnline(userId, socketId, io) {
+
+  async connect(userId, socketId, info = {}) {
     const now = new Date();
-    
-    // Add to userSockets set
+
     if (!this.userSockets.has(userId)) {
       this.userSockets.set(userId, new Set());
     }
-    this.userSockets.get(userId).add(socketId);
-    
-    // Update presence
+    const sockets = this.userSockets.get(userId);
+    const firstConnection = sockets.size === 0;
+    sockets.add(socketId);
+
     this.userPresence.set(userId, {
-      socketId,
-      status: 'ONLINE',
-      lastSeen: now,
-      connectedAt: now
+      status:      'ONLINE',
+      lastSeen:    now,
+      connectedAt: now,
+      name:        info.name || null,
+      photo:       info.photo || null
     });
-    
-    // Store reverse lookup
-    this.socketToUser.set(socketId, userId);
-    
-    console.log(`🟢 ${userId} is ONLINE (socket: ${socketId})`);
-    
-    // ✅ Broadcast to all connected clients
-    if (io) {
-      io.emit('user-online', {
-        userId,
-        timestamp: now.toISOString()
-      });
-    }
-    
-    return {
-      userId,
-      status: 'ONLINE',
-      socketId,
-      timestamp: now
-    };
+
+    return { firstConnection, connections: sockets.size };
   }
-  
-  /**
-   * Mark user as offline
-   */
-  setUserOffline(userId, socketId, io) {
+
+  async disconnect(userId, socketId) {
     const now = new Date();
-    
-    // Remove socket from user's socket set
-    if (this.userSockets.has(userId)) {
-      this.userSockets.get(userId).delete(socketId);
-      
-      // If user has other active sockets, keep them online
-      if (this.userSockets.get(userId).size > 0) {
-        console.log(`🟡 ${userId} still has ${this.userSockets.get(userId).size} active connections`);
-        return {
-          userId,
-          status: 'ONLINE', // Still online on other devices
-          timestamp: now
-        };
+    const sockets = this.userSockets.get(userId);
+
+    if (sockets) {
+      sockets.delete(socketId);
+      if (sockets.size > 0) {
+        return { lastConnection: false, connections: sockets.size, lastSeen: null };
       }
-      
-      // Remove empty set
       this.userSockets.delete(userId);
     }
-    
-    // Update presence to offline
-    const presence = this.userPresence.get(userId);
-    
-    if (presence) {
-      presence.status = 'OFFLINE';
-      presence.lastSeen = now;
-      this.userPresence.set(userId, presence);
-    }
-    
-    // Remove reverse lookup
-    this.socketToUser.delete(socketId);
-    
-    console.log(`⚫ ${userId} is OFFLINE (socket: ${socketId})`);
-    
-    // ✅ Broadcast to all connected clients
-    if (io) {
-      io.emit('user-offline', {
-        userId,
-        lastSeen: now.toISOString(),
-        timestamp: now.toISOString()
-      });
-    }
-    
-    return {
-      userId,
-      status: 'OFFLINE',
-      lastSeen: now,
-      timestamp: now
-    };
-  }
-  
-  /**
-   * Check if user is online
-   */
-  isUserOnline(userId) {
-    const presence = this.userPresence.get(userId);
-    return presence?.status === 'ONLINE';
-  }
-  
-  /**
-   * Get user's last seen time
-   */
-  getUserLastSeen(userId) {
-    const presence = this.userPresence.get(userId);
-    return presence?.lastSeen || null;
+
+    const presence = this.userPresence.get(userId) || {};
+    presence.status   = 'OFFLINE';
+    presence.lastSeen = now;
+    this.userPresence.set(userId, presence);
+
+    return { lastConnection: true, connections: 0, lastSeen: now };
   }
-  
-  /**
-   * Get user presence info
-   */
-  getUserPresence(userId) {
+
+  async getPresence(userId) {
     const presence = this.userPresence.get(userId);
-    
-    if (!presence) {
-      return {
-        userId,
-        status: 'OFFLINE',
-        lastSeen: null,
-        isOnline: false
-      };
-    }
-    
+    if (!presence) return null;
+
     return {
-      userId,
-      status: presence.status,
-      lastSeen: presence.lastSeen,
+      isOnline:    presence.status === 'ONLINE',
+      lastSeen:    presence.lastSeen,
       connectedAt: presence.connectedAt,
-      socketId: presence.socketId,
-      isOnline: presence.status === 'ONLINE'
+      connections: this.userSockets.get(userId)?.size || 0
     };
   }
-  
-  /**
-   * Get user by socket ID
-   */
-  getUserBySocket(socketId) {
-    return this.socketToUser.get(socketId) || null;
+
+  async countOnline() {
+    return this.userSockets.size;
   }
-  
+
   /**
-   * Get all online users
+   * Cleanup stale offline records (memory management)
    */
-  getOnlineUsers() {
-    const online = [];
-    
+  async pruneStale(maxAgeHours = 24) {
+    const cutoff = Date.now() - maxAgeHours * 60 * 60 * 1000;
+
     for (const [userId, presence] of this.userPresence.entries()) {
-      if (presence.status === 'ONLINE') {
-        online.push({
-          userId,
-          socketId: presence.socketId,
-          connectedAt: presence.connectedAt
-        });
+      if (presence.status === 'OFFLINE' && presence.lastSeen && presence.lastSeen.getTime() < cutoff) {
+        this.userPresence.delete(userId);
       }
     }
-    
-    return online;
+
+    // Nobody goes offline here — sockets in this process always disconnect
+    return [];
   }
-  
-  /**
-   * Get online count
-   */
-  getOnlineCount() {
-    let count = 0;
-    
-    for (const presence of this.userPresence.values()) {
-      if (presence.status === 'ONLINE') {
-        count++;
-      }
-    }
-    
-    return count;
+
+  async releaseInstance() {
+    return [];
   }
-  
-  /**
-   * Get presence statistics
-   */
-  getStats() {
-    const totalUsers = this.userPresence.size;
-    const onlineUsers = this.getOnlineCount();
-    const offlineUsers = totalUsers - onlineUsers;
-    const totalSockets = this.socketToUser.size;
-    
-    return {
-      totalUsers,
-      onlineUsers,
-      offlineUsers,
-      totalSockets,
-      timestamp: new Date().toISOString()
-    };
+
+  start() {
+    // Auto-cleanup every 6 hours
+    this.cleanupTimer = setInterval(() => this.pruneStale(24), 6 * 60 * 60 * 1000);
+    this.cleanupTimer.unref();
   }
-  
-  /**
-   * Check if users are in same chat and online
-   */
-  areUsersOnlineTogether(userId1, userId2) {
-    return this.isUserOnline(userId1) && this.isUserOnline(userId2);
+
+  stop() {
+    if (this.cleanupTimer) clearInterval(this.cleanupTimer);
   }
-  
-  /**
-   * Get formatted "last seen" text
-   */
-  getLastSeenText(userId) {
-    const presence = this.userPresence.get(userId);
-    
-    if (!presence) {
-      return 'Last seen: Unknown';
-    }
-    
-    if (presence.status === 'ONLINE') {
-      return 'Online';
-    }
-    
-    if (!presence.lastSeen) {
-      return 'Last seen: Unknown';
+}
+
+/**
+ * MongoDB store — shared by every instance
+ */
+class MongoPresenceStore {
+  freshCutoff() {
+    return new Date(Date.now() - STALE_AFTER_MS);
+  }
+
+  hasFreshConnection(doc) {
+    const cutoff = this.freshCutoff();
+    return !!doc?.connections?.some(c => c.heartbeatAt > cutoff);
+  }
+
+  async connect(userId, socketId, info = {}) {
+    const now = new Date();
+
+    // Pre-update document tells us whether the user was already online elsewhere
+    const before = await UserPresence.findOneAndUpdate(
+      { userId },
+      {
+        $push: { connections: { socketId, instanceId: INSTANCE_ID, connectedAt: now, heartbeatAt: now } },
+        $set:  { name: info.name || null, photo: info.photo || null }
+      },
+      { upsert: true, new: false }
+    ).lean();
+
+    const previous = before ? before.connections.filter(c => c.heartbeatAt > this.freshCutoff()).length : 0;
+    return { firstConnection: previous === 0, connections: previous + 1 };
+  }
+
+  async disconnect(userId, socketId) {
+    const after = await UserPresence.findOneAndUpdate(
+      { userId },
+      { $pull: { connections: { socketId } } },
+      { new: true }
+    ).lean();
+
+    if (after && this.hasFreshConnection(after)) {
+      return { lastConnection: false, connections: after.connections.length, lastSeen: null };
     }
-    
+
     const now = new Date();
-    const lastSeen = new Date(presence.lastSeen);
-    const diffMs = now - lastSeen;
-    const diffMins = Math.floor(diffMs / 60000);
-    const diffHours = Math.floor(diffMs / 3600000);
-    const diffDays = Math.floor(diffMs / 86400000);
-    
-    if (diffMins < 1) {
-      return 'Last seen: Just now';
-    } else if (diffMins < 60) {
-      return `Last seen: ${diffMins} min${diffMins !== 1 ? 's' : ''} ago`;
-    } else if (diffHours < 24) {
-      return `Last seen: ${diffHours} hour${diffHours !== 1 ? 's' : ''} ago`;
-    } else if (diffDays < 7) {
-      return `Last seen: ${diffDays} day${diffDays !== 1 ? 's' : ''} ago`;
-    } else {
-      return `Last seen: ${lastSeen.toLocaleDateString()}`;
+    if (after) {
+      await UserPresence.updateOne({ _id: after._id }, { $set: { lastSeen: now } });
     }
+    return { lastConnection: true, connections: 0, lastSeen: now };
+  }
+
+  async getPresence(userId) {
+    if (!mongoose.isValidObjectId(userId)) return null;
+
+    const doc = await UserPresence.findOne({ userId }).lean();
+    if (!doc) return null;
+
+    const cutoff = this.freshCutoff();
+    const live   = doc.connections.filter(c => c.heartbeatAt > cutoff);
+
+    return {
+      isOnline:    live.length > 0,
+      lastSeen:    live.length > 0 ? new Date() : doc.lastSeen,
+      connectedAt: live.length > 0 ? live.reduce((min, c) => (c.connectedAt < min ? c.connectedAt : min), live[0].connectedAt) : null,
+      connections: live.length
+    };
+  }
+
+  async countOnline() {
+    return UserPresence.countDocuments({
+      connections: { $elemMatch: { heartbeatAt: { $gt: this.freshCutoff() } } }
+    });
   }
-  
+
+  async heartbeat() {
+    await UserPresence.updateMany(
+      { 'connections.instanceId': INSTANCE_ID },
+      { $set: { 'connections.$[c].heartbeatAt': new Date() } },
+      { arrayFilters: [{ 'c.instanceId': INSTANCE_ID }] }
+    );
+  }
+
   /**
-   * Cleanup stale presence (optional, for memory management)
+   * Drop connections matching `connectionFilter`; returns the users left with
+   * no live connection (caller broadcasts user-offline for them).
    */
-  cleanupStalePresence(maxAgeHours = 24) {
-    const now = new Date();
-    const maxAge = maxAgeHours * 60 * 60 * 1000;
-    
-    let cleaned = 0;
-    
-    for (const [userId, presence] of this.userPresence.entries()) {
-      if (presence.status === 'OFFLINE' && presence.lastSeen) {
-        const age = now - new Date(presence.lastSeen);
-        
-        if (age > maxAge) {
-          this.userPresence.delete(userId);
-          cleaned++;
-        }
+  async removeConnections(docFilter, connectionFilter, lastSeen) {
+    const docs = await UserPresence.find(docFilter).select('_id userId').lean();
+    const wentOffline = [];
+
+    for (const { _id, userId } of docs) {
+      const after = await UserPresence.findOneAndUpdate(
+        { _id },
+        { $pull: { connections: connectionFilter } },
+        { new: true }
+      ).lean();
+
+      if (after && !this.hasFreshConnection(after)) {
+        await UserPresence.updateOne({ _id }, { $set: { lastSeen } });
+        wentOffline.push({ userId: userId.toString(), lastSeen });
       }
     }
-    
-    console.log(`🧹 Cleaned up ${cleaned} stale presence records`);
-    
-    return cleaned;
+
+    return wentOffline;
+  }
+
+  /** Connections whose instance stopped heartbeating (crash, OOM kill). */
+  async pruneStale() {
+    const cutoff = this.freshCutoff();
+    // The instance was last known alive around the cutoff
+    return this.removeConnections(
+      { 'connections.heartbeatAt': { $lte: cutoff } },
+      { heartbeatAt: { $lte: cutoff } },
+      cutoff
+    );
   }
-  
+
+  /** Graceful shutdown: this instance's sockets are about to drop. */
+  async releaseInstance() {
+    return this.removeConnections(
+      { 'connections.instanceId': INSTANCE_ID },
+      { instanceId: INSTANCE_ID },
+      new Date()
+    );
+  }
+
+  start() {
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(err => console.error('[Presence] Heartbeat error:', err.message));
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeatTimer.unref();
+  }
+
+  stop() {
+    if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Facade
+// ─────────────────────────────────────────────────────────────────────────────
+let store = null;
+let ioRef = null;
+
+function getStore() {
+  if (!store) {
+    store = getAdapterName() === 'mongo' ? new MongoPresenceStore() : new MemoryPresenceStore();
+  }
+  return store;
+}
+
+function emitOffline(users) {
+  if (!ioRef) return;
+  for (const { userId, lastSeen } of users) {
+    ioRef.emit('user-offline', { userId, lastSeen: lastSeen.toISOString() });
+  }
+}
+
+const presenceManager = {
   /**
-   * Remove user completely
+   * Start heartbeats / cleanup. Call once MongoDB is connected (server.js).
    */
-  removeUser(userId) {
-    this.userPresence.delete(userId);
-    this.userSockets.delete(userId);
-    
-    // Find and remove all sockets for this user
-    for (const [socketId, uid] of this.socketToUser.entries()) {
-      if (uid === userId) {
-        this.socketToUser.delete(socketId);
-      }
+  init(io) {
+    ioRef = io;
+    const s = getStore();
+    s.start();
+
+    if (s instanceof MongoPresenceStore) {
+      scheduleRecurring('presence.prune', '* * * * *');
     }
-  }
-  
+    console.log(`✅ Presence store: ${s instanceof MongoPresenceStore ? 'MongoDB (cluster-wide)' : 'in-memory'}`);
+  },
+
   /**
-   * Clear all presence data
+   * Mark a socket as connected. firstConnection is true when the user had no
+   * other live socket on any instance.
    */
-  clear() {
-    this.userPresence.clear();
-    this.socketToUser.clear();
-    this.userSockets.clear();
-    console.log('🧹 Cleared all presence data');
-  }
-  
+  async setUserOnline(userId, socketId, info = {}) {
+    const result = await getStore().connect(userId.toString(), socketId, info);
+    console.log(`🟢 ${userId} is ONLINE (socket: ${socketId}, connections: ${result.connections})`);
+    return { userId, status: 'ONLINE', socketId, ...result };
+  },
+
   /**
-   * Export presence data (for debugging)
+   * Mark a socket as disconnected. lastConnection is true when that was the
+   * user's last live socket — the user is now OFFLINE.
    */
-  export() {
-    const data = {
-      users: Array.from(this.userPresence.entries()).map(([userId, presence]) => ({
-        userId,
-        ...presence,
-        sockets: Array.from(this.userSockets.get(userId) || [])
-      })),
-      stats: this.getStats()
+  async setUserOffline(userId, socketId) {
+    const result = await getStore().disconnect(userId.toString(), socketId);
+
+    if (result.lastConnection) {
+      console.log(`⚫ ${userId} is OFFLINE (socket: ${socketId})`);
+    } else {
+      console.log(`🟡 ${userId} still has ${result.connections} active connections`);
+    }
+
+    return { userId, status: result.lastConnection ? 'OFFLINE' : 'ONLINE', socketId, ...result };
+  },
+
+  async isUserOnline(userId) {
+    const presence = await getStore().getPresence(userId.toString());
+    return presence?.isOnline || false;
+  },
+
+  async getUserLastSeen(userId) {
+    const presence = await getStore().getPresence(userId.toString());
+    return presence?.lastSeen || null;
+  },
+
+  async getUserPresence(userId) {
+    const presence = await getStore().getPresence(userId.toString());
+
+    if (!presence) {
+      return { userId, status: 'OFFLINE', lastSeen: null, isOnline: false };
+    }
+
+    return {
+      userId,
+      status:      presence.isOnline ? 'ONLINE' : 'OFFLINE',
+      lastSeen:    presence.lastSeen,
+      connectedAt: presence.connectedAt,
+      isOnline:    presence.isOnline
     };
-    
-    return data;
-  }
-}
+  },
 
-// Create singleton instance
-const presenceManager = new PresenceManager();
+  async getOnlineCount() {
+    return getStore().countOnline();
+  },
 
-// Auto-cleanup every 6 hours
-setInterval(() => {
-  presenceManager.cleanupStalePresence(24);
-}, 6 * 60 * 60 * 1000);
+  async pruneStale() {
+    const wentOffline = await getStore().pruneStale();
+    if (wentOffline.length > 0) {
+      console.log(`🧹 [Presence] ${wentOffline.length} user(s) offline after their instance stopped responding`);
+      emitOffline(wentOffline);
+    }
+    return wentOffline.length;
+  },
+
+  /**
+   * Graceful shutdown — hand this instance's users over as offline now rather
+   * than after the stale window.
+   */
+  async shutdown() {
+    if (!store) return;
+    store.stop();
+    emitOffline(await store.releaseInstance());
+  }
+};
+
+registerHandler('presence.prune', () => presenceManager.pruneStale(), { queue: 'maintenance', maxAttempts: 1 });
 
 /**
  * Helper function to broadcast presence updates to specific chat rooms
  */
-const broadcastPresenceToChatRooms = (io, userId, status, chatIds) => {
-  const presence = presenceManager.getUserPresence(userId);
-  
+const broadcastPresenceToChatRooms = async (io, userId, status, chatIds) => {
+  const presence = await presenceManager.getUserPresence(userId);
+
   chatIds.forEach(chatId => {
     io.to(chatId).emit('user-presence-update', {
       userId,
@@ -362,7 +396,7 @@ const broadcastPresenceToChatRooms = (io, userId, status, chatIds) => {
  * Get presence for multiple users (bulk query)
  */
 const getBulkPresence = (userIds) => {
-  return userIds.map(userId => presenceManager.getUserPresence(userId));
+  return Promise.all(userIds.map(userId => presenceManager.getUserPresence(userId)));
 };
 
 module.exports = {
@@ -2,7 +2,17 @@
 
 const RandomBooking = require('../models/RandomBooking');
 const User = require('../models/User');
-const admin = require('../config/firebase');
+const { dispatch, dispatchMany } = require('../services/notificationDispatcher');
+const { registerHandler, enqueue } = require('../services/jobQueue');
+
+// Phase schedule (minutes after booking creation). Persisted as jobs so a
+// restart mid-search still runs the remaining phases and the final expiry.
+const MATCHING_PHASES = [
+  { phase: 1, radius: 5,  delayMin: 4 },
+  { phase: 2, radius: 10, delayMin: 7 },
+  { phase: 3, radius: 15, delayMin: 10 },
+];
+const FINAL_EXPIRE_DELAY_MIN = 11;
 
 function calculateDistance(lat1, lon1, lat2, lon2) {
   const R = 6371;
@@ -31,10 +41,17 @@ async function startProgressiveMatching(bookingId) {
       return;
     }
 
-    setTimeout(async () => { await runMatchingPhase(bookingId, 1, 5); }, 4 * 60 * 1000);
-    setTimeout(async () => { await runMatchingPhase(bookingId, 2, 10); }, 7 * 60 * 1000);
-    setTimeout(async () => { await runMatchingPhase(bookingId, 3, 15); }, 10 * 60 * 1000);
-    setTimeout(async () => { await finalExpireCheck(bookingId); }, 11 * 60 * 1000);
+    const id = bookingId.toString();
+    for (const { phase, radius, delayMin } of MATCHING_PHASES) {
+      await enqueue('randomBooking.matchingPhase', { bookingId: id, phase, radius }, {
+        delayMs: delayMin * 60 * 1000,
+        uniqueKey: `randomBooking.matchingPhase:${id}:${phase}`
+      });
+    }
+    await enqueue('randomBooking.finalExpireCheck', { bookingId: id }, {
+      delayMs: FINAL_EXPIRE_DELAY_MIN * 60 * 1000,
+      uniqueKey: `randomBooking.finalExpireCheck:${id}`
+    });
 
   } catch (error) {
     console.error('❌ Progressive matching error:', error);
@@ -119,16 +136,7 @@ async function findEligibleUsers(lat, lng, radius, excludeUserId, phase) {
 
 async function sendProximityNotifications(booking, eligibleUsers, radius) {
   try {
-    const fcmTokens = [];
-    eligibleUsers.forEach(user => {
-      if (user.fcmTokens && Array.isArray(user.fcmTokens)) {
-        fcmTokens.push(...user.fcmTokens);
-      }
-    });
-
-    if (fcmTokens.length === 0) { console.log('   No FCM tokens found'); return; }
-
-    console.log(`   📱 Sending to ${fcmTokens.length} tokens`);
+    console.log(`   📱 Notifying ${eligibleUsers.length} users`);
 
     const startTime = new Date(booking.startTime);
     const timeStr = startTime.toLocaleTimeString('en-IN', {
@@ -138,11 +146,11 @@ async function sendProximityNotifications(booking, eligibleUsers, radius) {
       timeZone: 'Asia/Kolkata'  // ✅ Show IST time in notification
     });
 
-    const message = {
-      notification: {
-        title: 'Public meet available nearby',
-        body: `${booking.activityType.toLowerCase()} at ${timeStr} today`
-      },
+    // A user already told about this booking in an earlier phase is collapsed
+    const counts = await dispatchMany('random_booking.nearby', eligibleUsers.map(u => u._id), {
+      title: 'Public meet available nearby',
+      body: `${booking.activityType.toLowerCase()} at ${timeStr} today`,
+      entityId: booking._id,
       data: {
         type: 'NEW_RANDOM_BOOKING',
         bookingId: booking._id.toString(),
@@ -151,37 +159,11 @@ async function sendProximityNotifications(booking, eligibleUsers, radius) {
         locationCategory: booking.locationCategory || 'Public Place',
         startTime: booking.startTime.toISOString(),
         radius: radius.toString()
-      },
-      tokens: fcmTokens,
-      android: {
-        priority: 'high',
-        notification: {
-          channelId: 'humrah_notifications',
-          sound: 'default'
-        }
-      }
-    };
-
-    const response = await admin.messaging().sendEachForMulticast(message);
-    console.log(`   ✅ Sent: ${response.successCount}/${fcmTokens.length}`);
-    console.log(`   ❌ Failed: ${response.failureCount}`);
-
-    if (response.failureCount > 0) {
-      const failedTokens = [];
-      response.responses.forEach((resp, idx) => {
-        if (!resp.success) failedTokens.push(fcmTokens[idx]);
-      });
-
-      if (failedTokens.length > 0) {
-        await User.updateMany(
-          { fcmTokens: { $in: failedTokens } },
-          { $pull: { fcmTokens: { $in: failedTokens } } }
-        );
-        console.log(`   🧹 Cleaned ${failedTokens.length} invalid tokens`);
       }
-    }
+    });
+    console.log(`   ✅ Sent: ${counts.SENT || 0}/${eligibleUsers.length}`);
 
-    return { success: true, sentCount: response.successCount, totalUsers: eligibleUsers.length };
+    return { success: true, sentCount: counts.SENT || 0, totalUsers: eligibleUsers.length };
   } catch (error) {
     console.error('Send proximity notifications error:', error);
     return { success: false, error: error.message };
@@ -214,25 +196,17 @@ async function finalExpireCheck(bookingId) {
       console.log('   ❌ Booking EXPIRED (no matches found)');
 
       // ✅ Notify ONLY the creator (initiatorId) — not anyone else
-      const creator = await User.findById(booking.initiatorId)
-        .select('fcmTokens firstName');
-
-      if (creator && creator.fcmTokens && creator.fcmTokens.length > 0) {
-        const message = {
-          notification: {
-            title: 'No matches found',
-            body: 'Unfortunately, no nearby users were available for your Random Meet request.'
-          },
-          data: {
-            type: 'BOOKING_EXPIRED',
-            bookingId: booking._id.toString()
-          },
-          tokens: creator.fcmTokens  // ✅ Only sent to creator's tokens
-        };
-
-        await admin.messaging().sendEachForMulticast(message);
-        console.log(`   📢 Expiry notification sent ONLY to creator: ${creator._id}`);
-      }
+      await dispatch('random_booking.expired', {
+        userId: booking.initiatorId,
+        title: 'No matches found',
+        body: 'Unfortunately, no nearby users were available for your Random Meet request.',
+        entityId: booking._id,
+        data: {
+          type: 'BOOKING_EXPIRED',
+          bookingId: booking._id.toString()
+        }
+      });
+      console.log(`   📢 Expiry notification sent ONLY to creator: ${booking.initiatorId}`);
     } else {
       console.log(`   ✅ Booking is ${booking.status} - no action needed`);
     }
@@ -245,26 +219,19 @@ async function notifyBookingMatched(booking, acceptor) {
   try {
     console.log('📢 NOTIFY BOOKING MATCHED');
 
-    const initiator = await User.findById(booking.initiatorId).select('fcmTokens firstName');
-
-    if (initiator && initiator.fcmTokens && initiator.fcmTokens.length > 0) {
-      const message = {
-        notification: {
-          title: '🎉 Match confirmed!',
-          body: `${acceptor.firstName} accepted your Random Meet request. Chat is now open.`
-        },
-        data: {
-          type: 'BOOKING_MATCHED',
-          bookingId: booking._id.toString(),
-          chatId: booking.chatId.toString(),
-          acceptorId: acceptor._id.toString()
-        },
-        tokens: initiator.fcmTokens
-      };
-
-      await admin.messaging().sendEachForMulticast(message);
-      console.log('   ✅ Initiator notified of match');
-    }
+    await dispatch('random_booking.matched', {
+      userId: booking.initiatorId,
+      title: '🎉 Match confirmed!',
+      body: `${acceptor.firstName} accepted your Random Meet request. Chat is now open.`,
+      entityId: booking._id,
+      data: {
+        type: 'BOOKING_MATCHED',
+        bookingId: booking._id.toString(),
+        chatId: booking.chatId.toString(),
+        acceptorId: acceptor._id.toString()
+      }
+    });
+    console.log('   ✅ Initiator notified of match');
 
     console.log('   ✅ Match notifications complete');
   } catch (error) {
@@ -272,6 +239,13 @@ async function notifyBookingMatched(booking, acceptor) {
   }
 }
 
+registerHandler('randomBooking.matchingPhase',
+  ({ bookingId, phase, radius }) => runMatchingPhase(bookingId, phase, radius),
+  { queue: 'matching', maxAttempts: 3 });
+registerHandler('randomBooking.finalExpireCheck',
+  ({ bookingId }) => finalExpireCheck(bookingId),
+  { queue: 'matching', maxAttempts: 3 });
+
 module.exports = {
   startProgressiveMatching,
   notifyBookingMatched,
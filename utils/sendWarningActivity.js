@@ -1,15 +1,16 @@
 // utils/sendWarningActivity.js
 // Call this whenever a post violates community guidelines.
-// Creates a WARNING activity entry AND sends a push notification.
+// Dispatches 'moderation.warning', which creates the WARNING activity entry AND
+// sends the push (services/notificationDispatcher.js) — it is a critical event,
+// so neither notification toggles nor quiet hours hold it back.
 //
 // Usage (in any controller that issues a moderation warning):
 //
 //   const { sendWarningActivity } = require('../utils/sendWarningActivity');
 //   await sendWarningActivity({ userId, entityId, entityType });
 
-const mongoose                  = require('mongoose');
-const { createOrAggregateActivity } = require('../controllers/activityController');
-const { sendGamingPush }            = require('./gamingPush');
+const mongoose     = require('mongoose');
+const { dispatch } = require('../services/notificationDispatcher');
 
 // A fixed sentinel ObjectId used as actorId for all system-issued activities.
 // Different from any real userId → the self-skip guard in createOrAggregateActivity
@@ -26,24 +27,14 @@ async function sendWarningActivity({ userId, entityId = null, entityType = 'post
   const warningMsg =
     '⚠ Your post violates community guidelines. Please edit or remove it.';
 
-  // 1. Activity feed entry — always
-  //    actorId = SYSTEM_ACTOR_ID so self-skip guard is never triggered
-  await createOrAggregateActivity({
+  // actorId = SYSTEM_ACTOR_ID so self-skip guard is never triggered
+  return dispatch('moderation.warning', {
     userId,
     actorId:    SYSTEM_ACTOR_ID,
-    type:       'WARNING',
     entityType,
     entityId,
-    message:    warningMsg,
-  });
-
-  // 2. Push notification — always (spec §6)
-  //    Note: createOrAggregateActivity also fires the push internally for WARNING,
-  //    but we keep it here too as a safety net in case the caller path differs.
-  await sendGamingPush({
-    recipientId: userId,
-    title:       '⚠ Community Guidelines',
-    body:        warningMsg,
+    title:      '⚠ Community Guidelines',
+    body:       warningMsg,
     data: {
       type:       'WARNING',
       entityType,
@@ -1,5 +1,7 @@
 // utils/socketAuth.js - JWT AUTHENTICATION FOR SOCKETS
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { getRevocationReason, APPEAL_TOKEN_SCOPE } = require('../services/authSessionService');
 
 /**
  * Socket.IO Authentication Middleware
@@ -12,8 +14,9 @@ const jwt = require('jsonwebtoken');
 
 /**
  * Middleware function for Socket.IO authentication
+ * Honours the same revocation rules as middleware/auth.js (tokenVersion + device session)
  */
-const socketAuthMiddleware = (socket, next) => {
+const socketAuthMiddleware = async (socket, next) => {
   try {
     // ✅ Get token from handshake auth
     const token = socket.handshake.auth.token;
@@ -31,12 +34,21 @@ const socketAuthMiddleware = (socket, next) => {
     }
     
     const decoded = jwt.verify(token, JWT_SECRET);
+
+    // ✅ Reject tokens revoked via logout-all, password change or session revoke
+    const revoked = await isSocketTokenRevoked(decoded, socket);
+    if (revoked) {
+      console.log(`❌ Socket auth failed: ${revoked} (${decoded.userId})`);
+      return next(new Error('Authentication error: Session revoked'));
+    }
     
     // ✅ Attach user info to socket
     socket.userId = decoded.userId;
     socket.userRole = decoded.role || 'USER';
     socket.userName = `${decoded.firstName} ${decoded.lastName || ''}`.trim();
     socket.userEmail = decoded.email;
+    socket.sessionId = decoded.sid || null;
+    socket.data.sessionId = socket.sessionId;
     
     console.log(`✅ Socket authenticated: ${socket.userName} (${socket.userId})`);
     
@@ -57,6 +69,57 @@ const socketAuthMiddleware = (socket, next) => {
   }
 };
 
+/**
+ * Check a verified JWT payload against the user's tokenVersion and device session.
+ * Returns null when the token is still valid, otherwise the revocation reason.
+ */
+const isSocketTokenRevoked = async (decoded, socket = null) => {
+  if (decoded.scope === APPEAL_TOKEN_SCOPE) return 'APPEAL_TOKEN_ONLY';
+  const user = await User.findById(decoded.userId).select('tokenVersion status');
+  if (!user) return 'USER_NOT_FOUND';
+  if (user.status && user.status !== 'ACTIVE') return `USER_${user.status}`;
+  return getRevocationReason(decoded, user, { ip: socket?.handshake?.address });
+};
+
+/**
+ * Handshake check for the feature namespaces (/gaming, /movie-chat).
+ * Same secret and revocation rules as the main namespace, so an appeal-only
+ * token or a logged-out device cannot open them either.
+ * Resolves the verified payload; throws with the reason otherwise.
+ */
+const verifyNamespaceToken = async (socket) => {
+  const raw   = socket.handshake.auth?.token || '';
+  const token = raw.startsWith('Bearer ') ? raw.slice(7) : raw;
+  if (!token) throw new Error('No token');
+
+  const JWT_SECRET = process.env.JWT_SECRET;
+  if (!JWT_SECRET) throw new Error('Server misconfiguration');
+
+  const decoded = jwt.verify(token, JWT_SECRET);
+  const revoked = await isSocketTokenRevoked(decoded, socket);
+  if (revoked) throw new Error(`Session revoked (${revoked})`);
+
+  socket.data.userId    = String(decoded.userId);
+  socket.data.sessionId = decoded.sid || null;
+  return decoded;
+};
+
+// Every namespace joins its sockets to `user:<id>` so they can be found here
+const USER_NAMESPACES = ['/', '/gaming', '/movie-chat'];
+
+/**
+ * Drop a user's live sockets in every namespace — all of them, or only the
+ * ones opened with one device session.
+ */
+const disconnectUserSockets = async (io, userId, sessionId = null) => {
+  await Promise.all(USER_NAMESPACES.map(async (name) => {
+    const sockets = await io.of(name).in(`user:${userId}`).fetchSockets();
+    sockets
+      .filter(s => !sessionId || s.data?.sessionId === String(sessionId))
+      .forEach(s => s.disconnect(true));
+  }));
+};
+
 /**
  * Verify token manually (for special cases)
  */
@@ -234,7 +297,7 @@ const rateLimiter = new SocketRateLimiter();
 // Cleanup every 5 minutes
 setInterval(() => {
   rateLimiter.cleanup();
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 /**
  * Rate limit middleware wrapper
@@ -264,6 +327,9 @@ const logSocketEvent = (socket, eventType, data = {}) => {
 
 module.exports = {
   socketAuthMiddleware,
+  isSocketTokenRevoked,
+  verifyNamespaceToken,
+  disconnectUserSockets,
   verifySocketToken,
   isAdmin,
   hasPermission,
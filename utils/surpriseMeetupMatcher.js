@@ -32,7 +32,8 @@
 const mongoose      = require('mongoose');
 const RandomBooking = require('../models/RandomBooking');
 const User          = require('../models/User');
-const admin         = require('../config/firebase');
+const { dispatch }  = require('../services/notificationDispatcher');
+const { registerHandler, enqueue } = require('../services/jobQueue');
 
 // ── Constants ──────────────────────────────────────────────────────────────────
 const STAGE_CONFIG = [
@@ -263,7 +264,10 @@ async function offerToNextCandidate(bookingId) {
 
     const windowSec = booking.matchMode === 'FAST' ? 45 : 90;
     console.log(`[Matcher] → ${booking.matchMode} mode, stage ${booking.matchStage}, score ${candidate.score}, window ${windowSec}s`);
-    setTimeout(() => advanceIfTimedOut(bookingId), (windowSec + 3) * 1000);
+    await enqueue('surpriseMeetup.offerTimeout', { bookingId: bookingId.toString() }, {
+      delayMs: (windowSec + 3) * 1000,
+      uniqueKey: `surpriseMeetup.offerTimeout:${bookingId}:${booking.currentCandidateIndex}`,
+    });
   } catch (err) {
     console.error('[Matcher] offerToNextCandidate error:', err);
   }
@@ -287,7 +291,10 @@ async function reserveForReview(bookingId, candidateUserId) {
   booking.candidateQueue[booking.currentCandidateIndex].response = 'REVIEWING';
   await booking.save();
 
-  setTimeout(() => advanceIfReviewExpired(bookingId), (reviewSec + 3) * 1000);
+  await enqueue('surpriseMeetup.reviewTimeout', { bookingId: bookingId.toString() }, {
+    delayMs: (reviewSec + 3) * 1000,
+    uniqueKey: `surpriseMeetup.reviewTimeout:${bookingId}:${booking.currentCandidateIndex}`,
+  });
   console.log(`[Matcher] Booking ${bookingId} REVIEWING by ${candidateUserId} for ${reviewSec}s`);
   return { ok: true, reviewingUntil: booking.reviewingUntil };
 }
@@ -453,30 +460,17 @@ async function notifyCandidate(booking, candidateEntry) {
     return;
   }
 
-  // Fallback: FCM DATA-ONLY — no `notification` block (FIX 2)
-  if (!user.fcmTokens?.length) {
-    console.log(`[Matcher] Candidate ${candidateIdStr} offline with no FCM tokens — will poll via /nearby`);
-    return;
-  }
-
+  // Fallback: push through the dispatcher (data-only, FIX 2). The offer is
+  // time-boxed, so quiet hours drop it rather than deliver it stale.
   try {
-    const msg = {
-      // FIX 2: NO `notification` block here — data-only so Android's
-      // onMessageReceived is the sole handler and we control what shows.
+    const { status } = await dispatch('surprise_meetup.offer', {
+      userId: candidateEntry.userId,
+      title,
+      body,
       data,
-      tokens:  user.fcmTokens,
-      android: {
-        priority: 'high',
-        ttl:      '90s',
-        notification: { channelId: 'humrah_notifications', sound: 'default' },
-      },
-    };
-    const resp = await admin.messaging().sendEachForMulticast(msg);
-    console.log(`[Matcher] FCM → candidate ${candidateIdStr}: ${resp.successCount} ok / ${resp.failureCount} fail`);
-    if (resp.failureCount > 0) {
-      const bad = user.fcmTokens.filter((_, i) => !resp.responses[i].success);
-      if (bad.length) await User.updateOne({ _id: user._id }, { $pull: { fcmTokens: { $in: bad } } });
-    }
+      collapseKey: `surprise_meetup.offer:${booking._id}:${candidateIdStr}`,
+    });
+    console.log(`[Matcher] push → candidate ${candidateIdStr}: ${status}`);
   } catch (fcmErr) {
     console.error('[Matcher] FCM error:', fcmErr.message);
   }
@@ -484,30 +478,33 @@ async function notifyCandidate(booking, candidateEntry) {
 
 // ── Creator notifications ──────────────────────────────────────────────────────
 async function notifyCreatorNoMatch(booking) {
-  const creator = await User.findById(booking.initiatorId).select('fcmTokens').lean();
   emitSocket(booking.initiatorId.toString(), 'surprise_meetup_expired', { bookingId: booking._id.toString() });
-  if (!creator?.fcmTokens?.length) return;
-  await admin.messaging().sendEachForMulticast({
-    notification: { title: 'No match found this time', body: 'We looked nearby but no one was available. Try again a bit later!' },
-    data:         { type: 'SURPRISE_MEETUP_EXPIRED', bookingId: booking._id.toString() },
-    tokens:       creator.fcmTokens,
+  await dispatch('surprise_meetup.expired', {
+    userId:   booking.initiatorId,
+    title:    'No match found this time',
+    body:     'We looked nearby but no one was available. Try again a bit later!',
+    data:     { type: 'SURPRISE_MEETUP_EXPIRED', bookingId: booking._id.toString() },
+    entityId: booking._id,
   }).catch(() => {});
 }
 
 async function notifyCreatorMatched(booking, acceptorId) {
-  const [creator, acceptor] = await Promise.all([
-    User.findById(booking.initiatorId).select('fcmTokens').lean(),
-    User.findById(acceptorId).select('firstName').lean(),
-  ]);
+  const acceptor = await User.findById(acceptorId).select('firstName').lean();
   emitSocket(booking.initiatorId.toString(), 'surprise_meetup_matched', {
     bookingId: booking._id.toString(), chatId: booking.chatId?.toString() || '', acceptorId: acceptorId.toString(),
   });
-  if (!creator?.fcmTokens?.length) return;
-  await admin.messaging().sendEachForMulticast({
-    notification: { title: '✨ Someone accepted your meetup', body: `${acceptor?.firstName || 'Someone'} accepted. Open the chat to plan your meetup!` },
-    data:         { type: 'SURPRISE_MEETUP_MATCHED', bookingId: booking._id.toString(), chatId: booking.chatId?.toString() || '', acceptorId: acceptorId.toString() },
-    tokens:       creator.fcmTokens,
+  await dispatch('surprise_meetup.matched', {
+    userId:   booking.initiatorId,
+    title:    '✨ Someone accepted your meetup',
+    body:     `${acceptor?.firstName || 'Someone'} accepted. Open the chat to plan your meetup!`,
+    data:     { type: 'SURPRISE_MEETUP_MATCHED', bookingId: booking._id.toString(), chatId: booking.chatId?.toString() || '', acceptorId: acceptorId.toString() },
+    entityId: booking._id,
   }).catch(() => {});
 }
 
+// ── Persistent timers (services/jobQueue.js) ───────────────────────────────────
+// Both handlers re-check the deadline, so a late or repeated run is harmless.
+registerHandler('surpriseMeetup.offerTimeout',  ({ bookingId }) => advanceIfTimedOut(bookingId),      { queue: 'matching', maxAttempts: 3, backoffMs: 5000 });
+registerHandler('surpriseMeetup.reviewTimeout', ({ bookingId }) => advanceIfReviewExpired(bookingId), { queue: 'matching', maxAttempts: 3, backoffMs: 5000 });
+
 module.exports = { startSurpriseMatching, offerToNextCandidate, reserveForReview, handleCandidateResponse, tickReservationExpiry, haversineKm };
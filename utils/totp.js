@@ -0,0 +1,127 @@
+// utils/totp.js — RFC 6238 TOTP (authenticator apps) with no extra dependencies
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Compatible with Google Authenticator / Authy / 1Password defaults:
+//   HMAC-SHA1, 6 digits, 30-second step, base32 secret (RFC 4648, no padding).
+//
+// verifyTotp() accepts ±1 step of clock drift and returns the matched step so
+// callers can store it and refuse the same code twice (replay protection).
+//
+// ─────────────────────────────────────────────────────────────────────────────
+
+'use strict';
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_DIGITS     = 6;
+const TOTP_STEP_SEC   = 30;
+const TOTP_DRIFT_STEPS = 1;
+
+function base32Encode(buffer) {
+  let bits   = 0;
+  let value  = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits  = 0;
+  let value = 0;
+  const out = [];
+
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Invalid base32 character in TOTP secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/** 20 random bytes (160 bits) — the RFC 4226 recommended secret length. */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secretBase32, counter) {
+  const key = base32Decode(secretBase32);
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+
+  const hmac   = crypto.createHmac('sha1', key).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code   = ((hmac[offset] & 0x7f) << 24)
+               | (hmac[offset + 1] << 16)
+               | (hmac[offset + 2] << 8)
+               |  hmac[offset + 3];
+
+  return String(code % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SEC);
+}
+
+function generateTotp(secretBase32, now = Date.now()) {
+  return hotp(secretBase32, currentStep(now));
+}
+
+/**
+ * Verify a user-supplied code.
+ * @param {string} secretBase32
+ * @param {string} code           6 digits (spaces tolerated)
+ * @param {number|null} lastUsedStep  step of the last accepted code — never accepted again
+ * @returns {number|null} the matched step, or null when the code is invalid
+ */
+function verifyTotp(secretBase32, code, lastUsedStep = null, now = Date.now()) {
+  const clean = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const step = currentStep(now);
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+    const candidate = step + drift;
+    if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+    const expected = hotp(secretBase32, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return candidate;
+  }
+  return null;
+}
+
+/** otpauth:// URI — rendered as a QR code by the admin dashboard. */
+function buildOtpauthUri({ secret, accountName, issuer = 'Humrah Admin' }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits:    String(TOTP_DIGITS),
+    period:    String(TOTP_STEP_SEC),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  base32Encode,
+  base32Decode,
+};
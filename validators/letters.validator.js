@@ -38,6 +38,21 @@ const validateLetterReply = [
   }
 ];
 
+const validateLetterUpdate = [
+  body('body')
+    .isString().withMessage('Body must be a string')
+    .trim()
+    .isLength({ min: 10, max: 500 }).withMessage('Update must be between 10 and 500 characters'),
+  
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    next();
+  }
+];
+
 const validateLetterReport = [
   body('reason')
     .isString().withMessage('Reason must be a string')
@@ -66,5 +81,6 @@ const validateLetterReport = [
 module.exports = {
   validateLetterCreation,
   validateLetterReply,
+  validateLetterUpdate,
   validateLetterReport
 };